@@ -24,56 +24,333 @@ import {Socket} from "phoenix"
 import {LiveSocket} from "phoenix_live_view"
 import {hooks as colocatedHooks} from "phoenix-colocated/app"
 import topbar from "../vendor/topbar"
+import TrendChart from "./trend_chart"
+import Sparkline from "./sparkline"
+import MetricsConsole from "./metrics_console"
+import SyncPlan from "./sync_plan"
+import LiveTail from "./live_tail"
+import PayloadViewer from "./payload_viewer"
+import PayloadDiff from "./payload_diff"
+import AuditDiff, {mountAuditDiff} from "./audit_diff"
+import HeadersEditor from "./headers_editor"
+import BodyEditor from "./body_editor"
+import TestRequest from "./test_request"
+import FailureList from "./failure_list"
+import FilterBuilder from "./filter_builder"
+import SignatureVerifier, {mountSignatureVerifier} from "./signature_verifier"
+import StatusPage, {setupStatusPage} from "./status_page"
+import DesktopNotifications, {mountNotificationSettings} from "./desktop_notifications"
+import CopyToClipboard, {handleCopyClicks} from "./clipboard"
+import Menu, {mountMenu} from "./menu"
+import Tabs, {mountTabs} from "./tabs"
+import {createDialog} from "./dialog"
+import {reconnectDelay} from "./status_page.mjs"
 
-const CopyToClipboard = {
+// Command palette (Cmd/Ctrl-K) and global keyboard shortcuts.
+// Mounted by PrikkeWeb.CommandPaletteLive, which serves the search index and
+// handles the actions; fuzzy matching and rendering happen here.
+const PALETTE_COMMANDS = [
+  {kind: "page", id: "dashboard", title: "Go to dashboard", href: "/dashboard", actions: []},
+  {kind: "page", id: "tasks", title: "Go to tasks", href: "/tasks", actions: []},
+  {kind: "page", id: "failures", title: "Go to failures", href: "/failures", actions: []},
+  {kind: "page", id: "endpoints", title: "Go to endpoints", href: "/endpoints", actions: []},
+  {kind: "page", id: "monitors", title: "Go to monitors", href: "/monitors", actions: []},
+  {kind: "page", id: "queues", title: "Go to queues", href: "/queues", actions: []},
+  {kind: "page", id: "status-page", title: "Go to status page", href: "/status-page", actions: []},
+  {kind: "page", id: "sync", title: "Go to sync", href: "/sync", actions: []},
+  {kind: "page", id: "new-task", title: "New task", href: "/tasks/new", actions: []},
+]
+
+const GOTO_SHORTCUTS = {
+  d: "/dashboard",
+  t: "/tasks",
+  f: "/failures",
+  e: "/endpoints",
+  m: "/monitors",
+  q: "/queues",
+}
+
+const PALETTE_ACTION_LABELS = {
+  trigger_task: "Trigger",
+  pause_queue: "Pause",
+  resume_queue: "Resume",
+}
+
+const PALETTE_MAX_RESULTS = 50
+
+// Returns null when query is not a subsequence of text, otherwise a score
+// that favours consecutive characters and matches at word boundaries.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase()
+  const t = text.toLowerCase()
+  let score = 0
+  let from = 0
+  let prev = -2
+  for (const ch of q) {
+    const idx = t.indexOf(ch, from)
+    if (idx === -1) return null
+    score += idx === prev + 1 ? 5 : 1
+    if (idx === 0 || " -_/.:".includes(t[idx - 1])) score += 3
+    prev = idx
+    from = idx + 1
+  }
+  return score - t.length * 0.01
+}
+
+function isTypingTarget(el) {
+  return el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))
+}
+
+const CommandPalette = {
   mounted() {
-    this.el.addEventListener("click", () => {
-      const text = this.el.getAttribute("data-clipboard-text")
-      if (navigator.clipboard && window.isSecureContext) {
-        navigator.clipboard.writeText(text).then(() => this.flash())
-      } else {
-        const ta = document.createElement("textarea")
-        ta.value = text
-        ta.style.position = "fixed"
-        ta.style.left = "-9999px"
-        document.body.appendChild(ta)
-        ta.select()
-        document.execCommand("copy")
-        document.body.removeChild(ta)
-        this.flash()
+    this.dialog = this.el.querySelector("[data-palette-dialog]")
+    this.help = this.el.querySelector("[data-palette-help]")
+    this.input = this.el.querySelector("[data-palette-input]")
+    this.results = this.el.querySelector("[data-palette-results]")
+    this.toast = this.el.querySelector("[data-palette-toast]")
+    this.items = PALETTE_COMMANDS
+    this.matches = []
+    this.active = 0
+    this.pendingG = false
+    this.paletteDialog = createDialog(this.dialog)
+    this.helpDialog = createDialog(this.help)
+
+    this.onKeydown = (e) => this.handleKeydown(e)
+    document.addEventListener("keydown", this.onKeydown)
+    this.input.addEventListener("input", () => this.search())
+    this.input.addEventListener("keydown", (e) => this.handleInputKeydown(e))
+    this.results.addEventListener("click", (e) => {
+      const row = e.target.closest("[data-index]")
+      if (!row) return
+      const item = this.matches[Number(row.dataset.index)]
+      const action = e.target.closest("[data-action]")
+      action ? this.runAction(item, action.dataset.action) : this.openItem(item)
+    })
+  },
+  destroyed() {
+    document.removeEventListener("keydown", this.onKeydown)
+    this.paletteDialog.destroy()
+    this.helpDialog.destroy()
+    clearTimeout(this.gTimer)
+    clearTimeout(this.toastTimer)
+  },
+  isOpen() {
+    return this.paletteDialog.isOpen()
+  },
+  open() {
+    this.toggleHelp(false)
+    this.input.value = ""
+    this.paletteDialog.open(this.input)
+    this.search()
+    // Refresh on every open so newly created tasks and queue states show up
+    this.pushEvent("index", {}, ({items}) => {
+      this.items = PALETTE_COMMANDS.concat(items)
+      if (this.isOpen()) this.search()
+    })
+  },
+  close() {
+    this.paletteDialog.close()
+  },
+  toggleHelp(show = !this.helpDialog.isOpen()) {
+    show ? this.helpDialog.open() : this.helpDialog.close()
+  },
+  handleKeydown(e) {
+    if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "k") {
+      e.preventDefault()
+      this.isOpen() ? this.close() : this.open()
+      return
+    }
+    if (e.key === "Escape") {
+      if (this.isOpen()) this.close()
+      this.toggleHelp(false)
+      return
+    }
+    if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return
+
+    if (this.pendingG) {
+      this.pendingG = false
+      const href = GOTO_SHORTCUTS[e.key]
+      if (href) {
+        e.preventDefault()
+        this.navigate(href)
+      }
+      return
+    }
+
+    switch (e.key) {
+      case "g":
+        this.pendingG = true
+        clearTimeout(this.gTimer)
+        this.gTimer = setTimeout(() => this.pendingG = false, 1000)
+        break
+      case "/":
+        e.preventDefault()
+        this.open()
+        break
+      case "?":
+        e.preventDefault()
+        this.toggleHelp()
+        break
+    }
+  },
+  handleInputKeydown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this.setActive(this.active + 1)
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this.setActive(this.active - 1)
+        break
+      case "Enter": {
+        e.preventDefault()
+        const item = this.matches[this.active]
+        if (!item) return
+        if (e.shiftKey && item.actions.length > 0) {
+          this.runAction(item, item.actions[0])
+        } else {
+          this.openItem(item)
+        }
+        break
       }
+    }
+  },
+  search() {
+    const query = this.input.value.trim()
+    if (query === "") {
+      this.matches = this.items.slice(0, PALETTE_MAX_RESULTS)
+    } else {
+      this.matches = this.items
+        .map(item => ({item, score: fuzzyScore(query, `${item.title} ${item.kind}`)}))
+        .filter(({score}) => score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, PALETTE_MAX_RESULTS)
+        .map(({item}) => item)
+    }
+    this.active = 0
+    this.render()
+  },
+  setActive(index) {
+    if (this.matches.length === 0) return
+    this.active = (index + this.matches.length) % this.matches.length
+    this.results.querySelectorAll("[data-index]").forEach(row => {
+      const selected = Number(row.dataset.index) === this.active
+      row.setAttribute("aria-selected", selected)
+      row.classList.toggle("bg-slate-100", selected)
+      if (selected) row.scrollIntoView({block: "nearest"})
     })
   },
-  flash() {
-    if (this.el.dataset.copied) return
-    this.el.dataset.copied = "true"
-    const icon = this.el.querySelector("span")
-    const originalClass = icon ? icon.getAttribute("class") : null
-    if (icon) {
-      icon.setAttribute("class", originalClass.replace("hero-clipboard-document", "hero-check"))
-      icon.style.color = "#10b981"
+  render() {
+    this.results.replaceChildren()
+    if (this.matches.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = "px-4 py-6 text-sm text-center text-slate-400"
+      empty.textContent = "No matches"
+      this.results.appendChild(empty)
+      return
     }
-    const tip = document.createElement("span")
-    tip.textContent = "Copied!"
-    tip.style.cssText = "position:absolute;bottom:100%;left:50%;transform:translateX(-50%);margin-bottom:6px;padding:4px 10px;background:#0f172a;color:white;font-size:12px;border-radius:6px;white-space:nowrap;pointer-events:none;z-index:50"
-    this.el.style.position = "relative"
-    this.el.appendChild(tip)
-    setTimeout(() => {
-      if (icon && originalClass) {
-        icon.setAttribute("class", originalClass)
-        icon.style.color = ""
+    this.matches.forEach((item, index) => {
+      const row = document.createElement("li")
+      row.dataset.index = index
+      row.setAttribute("role", "option")
+      row.className = "flex items-center gap-3 px-4 py-2 cursor-pointer hover:bg-slate-50"
+
+      const kind = document.createElement("span")
+      kind.className = "text-[10px] font-medium uppercase tracking-wide text-slate-400 w-16 shrink-0"
+      kind.textContent = item.kind
+      row.appendChild(kind)
+
+      const text = document.createElement("div")
+      text.className = "min-w-0 flex-1"
+      const title = document.createElement("div")
+      title.className = "text-sm text-slate-900 truncate"
+      title.textContent = item.title
+      text.appendChild(title)
+      if (item.subtitle) {
+        const subtitle = document.createElement("div")
+        subtitle.className = "text-xs text-slate-400 truncate"
+        subtitle.textContent = item.subtitle
+        text.appendChild(subtitle)
+      }
+      row.appendChild(text)
+
+      item.actions.forEach(action => {
+        const btn = document.createElement("button")
+        btn.type = "button"
+        btn.dataset.action = action
+        btn.className = "text-xs font-medium text-emerald-600 hover:text-emerald-700 px-2 py-1 rounded hover:bg-emerald-50 cursor-pointer"
+        btn.textContent = PALETTE_ACTION_LABELS[action] || action
+        row.appendChild(btn)
+      })
+
+      this.results.appendChild(row)
+    })
+    this.setActive(0)
+  },
+  openItem(item) {
+    if (item.href) this.navigate(item.href)
+  },
+  runAction(item, action) {
+    const payload = item.kind === "queue" ? {name: item.id} : {id: item.id}
+    this.pushEvent(action, payload, ({ok, message}) => {
+      this.showToast(message)
+      if (ok && item.kind === "queue") {
+        const paused = action === "pause_queue"
+        item.actions = [paused ? "resume_queue" : "pause_queue"]
+        item.subtitle = paused ? "Paused" : "Active"
+        this.render()
       }
-      tip.remove()
-      delete this.el.dataset.copied
-    }, 1500)
+    })
+  },
+  navigate(href) {
+    this.close()
+    // Dead views (e.g. organization settings) have no main LiveView to patch
+    if (document.querySelector("[data-phx-main]")) {
+      this.js().navigate(href)
+    } else {
+      window.location.href = href
+    }
+  },
+  showToast(message) {
+    this.toast.textContent = message
+    this.toast.classList.remove("hidden")
+    clearTimeout(this.toastTimer)
+    this.toastTimer = setTimeout(() => this.toast.classList.add("hidden"), 3000)
   }
 }
 
 const csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute("content")
+// Public status pages are opened on bad connections during incidents, so they
+// back off their reconnects rather than retrying every few seconds
+const isStatusPage = document.querySelector("[data-status-page]") !== null
 const liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
+  ...(isStatusPage && {reconnectAfterMs: reconnectDelay}),
   params: {_csrf_token: csrfToken},
-  hooks: {...colocatedHooks, CopyToClipboard},
+  hooks: {
+    ...colocatedHooks,
+    CopyToClipboard,
+    Menu,
+    Tabs,
+    CommandPalette,
+    DesktopNotifications,
+    TrendChart,
+    Sparkline,
+    MetricsConsole,
+    SyncPlan,
+    LiveTail,
+    PayloadViewer,
+    PayloadDiff,
+    AuditDiff,
+    HeadersEditor,
+    BodyEditor,
+    TestRequest,
+    FailureList,
+    FilterBuilder,
+    SignatureVerifier,
+    StatusPage,
+  },
 })
 
 // Show progress bar on live navigation and form submits
@@ -83,6 +360,23 @@ window.addEventListener("phx:page-loading-stop", _info => topbar.hide())
 
 // connect if there are any LiveViews on the page
 liveSocket.connect()
+if (isStatusPage) setupStatusPage(liveSocket)
+
+// Hooks don't run on dead views (e.g. organization settings)
+document.querySelectorAll("[data-signature-verifier]").forEach(el => {
+  if (!el.closest("[data-phx-session]")) mountSignatureVerifier(el)
+})
+document.querySelectorAll("[data-notification-settings]").forEach(mountNotificationSettings)
+document.querySelectorAll("[data-audit-diff]").forEach(el => {
+  if (!el.closest("[data-phx-session]")) mountAuditDiff(el)
+})
+document.querySelectorAll("[data-menu]").forEach(el => {
+  if (!el.closest("[data-phx-session]")) mountMenu(el)
+})
+document.querySelectorAll("[data-tab-group]").forEach(el => {
+  if (!el.closest("[data-phx-session]")) mountTabs(el)
+})
+handleCopyClicks()
 
 // expose liveSocket on window for web console debug logs and latency simulation:
 // >> liveSocket.enableDebug()
@@ -90,88 +384,6 @@ liveSocket.connect()
 // >> liveSocket.disableLatencySim()
 window.liveSocket = liveSocket
 
-// Dropdown toggle
-document.addEventListener("click", (e) => {
-  const toggle = e.target.closest("[data-dropdown-toggle]")
-
-  if (toggle) {
-    e.preventDefault()
-    const dropdown = toggle.closest("[data-dropdown]")
-    const menu = dropdown.querySelector("[data-dropdown-menu]")
-    // Close all other dropdowns first
-    document.querySelectorAll("[data-dropdown-menu]").forEach(other => {
-      if (other !== menu) other.classList.add("hidden")
-    })
-    menu.classList.toggle("hidden")
-  } else {
-    // Close all dropdowns when clicking outside
-    document.querySelectorAll("[data-dropdown-menu]").forEach(menu => {
-      menu.classList.add("hidden")
-    })
-  }
-})
-
-
-// Copy to clipboard for dead views (data-copy attribute)
-document.addEventListener("click", (e) => {
-  const btn = e.target.closest("[data-copy]")
-  if (!btn) return
-  const text = btn.dataset.copy
-  if (navigator.clipboard && window.isSecureContext) {
-    navigator.clipboard.writeText(text).then(() => flashCopyButton(btn))
-  } else {
-    const ta = document.createElement("textarea")
-    ta.value = text
-    ta.style.position = "fixed"
-    ta.style.left = "-9999px"
-    document.body.appendChild(ta)
-    ta.select()
-    document.execCommand("copy")
-    document.body.removeChild(ta)
-    flashCopyButton(btn)
-  }
-})
-
-function flashCopyButton(btn) {
-  if (btn.dataset.copied) return
-  btn.dataset.copied = "true"
-  const icon = btn.querySelector("span")
-  const originalClass = icon ? icon.getAttribute("class") : null
-  if (icon) {
-    icon.setAttribute("class", originalClass.replace("hero-clipboard-document", "hero-check"))
-    icon.style.color = "#10b981"
-  }
-  const tip = document.createElement("span")
-  tip.textContent = "Copied!"
-  tip.style.cssText = "position:absolute;bottom:100%;left:50%;transform:translateX(-50%);margin-bottom:6px;padding:4px 10px;background:#0f172a;color:white;font-size:12px;border-radius:6px;white-space:nowrap;pointer-events:none;z-index:50"
-  btn.appendChild(tip)
-  setTimeout(() => {
-    if (icon && originalClass) {
-      icon.setAttribute("class", originalClass)
-      icon.style.color = ""
-    }
-    tip.remove()
-    delete btn.dataset.copied
-  }, 1500)
-}
-
-// Code example tab switching (curl / Node.js SDK)
-document.addEventListener("click", (e) => {
-  const tab = e.target.closest("[data-tab]")
-  if (!tab) return
-  const group = tab.closest("[data-tab-group]")
-  group.querySelectorAll("[data-tab]").forEach(t => {
-    t.classList.remove("text-emerald-400", "border-emerald-400")
-    t.classList.add("text-slate-500", "border-transparent")
-  })
-  tab.classList.add("text-emerald-400", "border-emerald-400")
-  tab.classList.remove("text-slate-500", "border-transparent")
-  const target = tab.dataset.tab
-  group.querySelectorAll("[data-tab-content]").forEach(c => {
-    c.style.display = c.dataset.tabContent === target ? "" : "none"
-  })
-})
-
 // The lines below enable quality of life phoenix_live_reload
 // development features:
 //
@@ -0,0 +1,75 @@
+// Before/after diff of the fields an audit log entry changed, rendered by
+// PrikkeWeb.AuditHistory.
+//
+// `data-changes` holds the entry's changes as recorded by the server. Short
+// values are shown as before → after, objects and multi-line text as a
+// side-by-side line diff.
+
+import {changeRows, displayValue, isMultiline, lineDiff} from "./audit_diff.mjs"
+
+const TYPE_LABELS = {
+  added: ["set", "text-emerald-700"],
+  removed: ["cleared", "text-red-700"],
+  changed: ["changed", "text-amber-700"],
+  set: ["set", "text-slate-500"],
+}
+
+const ROW_CLASSES = {
+  same: ["", ""],
+  changed: ["bg-red-50", "bg-emerald-50"],
+  removed: ["bg-red-50", "bg-slate-100/60"],
+  added: ["bg-slate-100/60", "bg-emerald-50"],
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function renderValues(row) {
+  const values = el("div", "flex flex-wrap items-baseline gap-x-2 gap-y-1 min-w-0 font-mono")
+  if (row.type === "changed" || row.type === "removed") {
+    values.append(el("span", "text-red-700 bg-red-50 px-1 rounded line-through break-all", displayValue(row.from)))
+    values.append(el("span", "text-slate-400", "→"))
+  }
+  const after = row.type === "removed" ? "text-slate-400" : "text-emerald-700 bg-emerald-50 px-1 rounded"
+  values.append(el("span", `${after} break-all`, displayValue(row.to)))
+  return values
+}
+
+function renderLineDiff(row) {
+  const table = el("div", "grid grid-cols-2 font-mono border border-slate-200 rounded-lg overflow-auto max-h-72")
+  for (const line of lineDiff(row)) {
+    const [leftClass, rightClass] = ROW_CLASSES[line.type]
+    table.append(
+      el("div", `px-2 whitespace-pre-wrap break-all border-r border-slate-200 ${leftClass}`, line.left ? line.left.text : ""),
+      el("div", `px-2 whitespace-pre-wrap break-all ${rightClass}`, line.right ? line.right.text : "")
+    )
+  }
+  return table
+}
+
+export function mountAuditDiff(root) {
+  const rows = changeRows(JSON.parse(root.dataset.changes || "{}"))
+
+  root.replaceChildren(
+    ...rows.map(row => {
+      const [word, className] = TYPE_LABELS[row.type]
+      const item = el("div", "space-y-1")
+      const title = el("div", "flex items-center gap-2")
+      title.append(el("code", "font-medium text-slate-700", row.field), el("span", className, word))
+      item.append(title, isMultiline(row) ? renderLineDiff(row) : renderValues(row))
+      return item
+    })
+  )
+}
+
+const AuditDiff = {
+  mounted() {
+    mountAuditDiff(this.el)
+  },
+}
+
+export default AuditDiff
@@ -0,0 +1,39 @@
+// Before/after rows for the AuditDiff hook (assets/js/audit_diff.js).
+
+import {diffLines, sideBySide, canonicalJson} from "./diff.mjs"
+
+function isChange(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value) && "from" in value && "to" in value
+}
+
+// One row per field, sorted by name. Changes are recorded as {from, to};
+// creations and older entries record the value that was set instead.
+export function changeRows(changes) {
+  return Object.keys(changes || {})
+    .sort()
+    .map(field => {
+      const change = changes[field]
+      if (!isChange(change)) return {field, type: "set", from: null, to: change}
+
+      const {from, to} = change
+      const type = from === null ? "added" : to === null ? "removed" : "changed"
+      return {field, type, from, to}
+    })
+}
+
+export function displayValue(value) {
+  if (value === null || value === undefined) return "(unset)"
+  if (typeof value === "string") return value
+  if (typeof value === "object") return canonicalJson(value)
+  return String(value)
+}
+
+// Objects and multi-line text get a line diff instead of a from → to line
+export function isMultiline(row) {
+  return [row.from, row.to].some(value => value !== null && displayValue(value).includes("\n"))
+}
+
+export function lineDiff(row) {
+  const lines = value => (value === null ? [] : displayValue(value).split("\n"))
+  return sideBySide(diffLines(lines(row.from), lines(row.to)))
+}
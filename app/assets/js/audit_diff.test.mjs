@@ -0,0 +1,45 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {changeRows, displayValue, isMultiline, lineDiff} from "./audit_diff.mjs"
+
+test("turns recorded changes into rows sorted by field", () => {
+  const rows = changeRows({
+    url: {from: "https://a", to: "https://b"},
+    queue: {from: null, to: "emails"},
+    callback_url: {from: "https://cb", to: null},
+    name: "Nightly",
+  })
+
+  assert.deepEqual(rows.map(row => [row.field, row.type]), [
+    ["callback_url", "removed"],
+    ["name", "set"],
+    ["queue", "added"],
+    ["url", "changed"],
+  ])
+  assert.deepEqual(rows[1], {field: "name", type: "set", from: null, to: "Nightly"})
+  assert.deepEqual(changeRows(null), [])
+})
+
+test("displays values as text", () => {
+  assert.equal(displayValue(null), "(unset)")
+  assert.equal(displayValue("plain"), "plain")
+  assert.equal(displayValue(false), "false")
+  assert.equal(displayValue({b: 1, a: 2}), '{\n  "a": 2,\n  "b": 1\n}')
+})
+
+test("diffs objects and multi-line values line by line", () => {
+  const headers = {field: "headers", type: "changed", from: {a: "1"}, to: {a: "1", b: "2"}}
+  assert.equal(isMultiline(headers), true)
+  assert.equal(isMultiline({field: "url", type: "changed", from: "https://a", to: "https://b"}), false)
+
+  assert.deepEqual(
+    lineDiff(headers).map(row => row.type),
+    ["same", "changed", "added", "same"]
+  )
+
+  const body = {field: "body", type: "added", from: null, to: "a\nb"}
+  assert.deepEqual(
+    lineDiff(body).map(row => [row.left, row.right.text]),
+    [[null, "a"], [null, "b"]]
+  )
+})
@@ -0,0 +1,123 @@
+// Request body editor, rendered by PrikkeWeb.RequestEditors.body_editor/1.
+//
+// Adds line numbers to the body textarea and, for JSON bodies, checks the
+// JSON as you type, marks the line with the first error and offers a Format
+// button. It also compares the body with the Content-Type in the headers
+// field named by `data-headers-input` and can fix the header through the
+// HeadersEditor's "headers:set" event.
+
+import {checkJson, contentTypeWarning, headersFromJson, looksLikeJson} from "./request.mjs"
+
+const CHECK_DELAY = 150
+
+const BodyEditor = {
+  mounted() {
+    this.input = this.el.querySelector("[data-body-input]")
+    this.gutter = this.el.querySelector("[data-body-gutter]")
+    this.status = this.el.querySelector("[data-body-status]")
+    this.formatButton = this.el.querySelector("[data-body-format]")
+    this.warning = this.el.querySelector("[data-body-warning]")
+    this.warningText = this.el.querySelector("[data-body-warning-text]")
+    this.fixButton = this.el.querySelector("[data-body-fix]")
+    this.headersInput = document.querySelector(this.el.dataset.headersInput)
+    this.requireContentType = this.el.dataset.requireContentType === "true"
+
+    this.input.wrap = "off"
+    this.gutter.hidden = false
+    this.lineCount = 0
+
+    this.scheduleCheck = () => {
+      clearTimeout(this.timer)
+      this.timer = setTimeout(() => this.check(), CHECK_DELAY)
+    }
+    this.input.addEventListener("input", () => {
+      this.renderGutter()
+      this.scheduleCheck()
+    })
+    this.input.addEventListener("scroll", () => this.renderGutter())
+    this.headersInput?.addEventListener("input", this.scheduleCheck)
+
+    this.formatButton.addEventListener("click", () => this.format())
+    this.fixButton.addEventListener("click", () => {
+      this.headersInput.dispatchEvent(
+        new CustomEvent("headers:set", {bubbles: true, detail: {name: "Content-Type", value: this.fixButton.dataset.value}})
+      )
+    })
+
+    this.renderGutter()
+    this.check()
+  },
+
+  destroyed() {
+    clearTimeout(this.timer)
+    this.headersInput?.removeEventListener("input", this.scheduleCheck)
+  },
+
+  headers() {
+    return (this.headersInput && headersFromJson(this.headersInput.value)) || []
+  },
+
+  isJson() {
+    const contentType = this.headers().find(([name]) => name.trim().toLowerCase() === "content-type")
+    return looksLikeJson(this.input.value) || /[/+]json\b/i.test(contentType?.[1] ?? "")
+  },
+
+  renderGutter() {
+    const count = this.input.value.split("\n").length
+    if (count !== this.lineCount) {
+      this.lineCount = count
+      this.gutter.textContent = Array.from({length: count}, (_, i) => i + 1).join("\n")
+    }
+    this.gutter.scrollTop = this.input.scrollTop
+
+    this.marker?.remove()
+    this.marker = null
+    if (this.errorLine) {
+      // Absolutely positioned over the gutter's own line numbers
+      const lineHeight = parseFloat(getComputedStyle(this.gutter).lineHeight)
+      const top = parseFloat(getComputedStyle(this.gutter).paddingTop)
+      this.marker = document.createElement("div")
+      this.marker.className = "absolute inset-x-0 bg-red-500/20 border-l-2 border-red-500 pointer-events-none"
+      this.marker.style.top = `${top + (this.errorLine - 1) * lineHeight - this.gutter.scrollTop}px`
+      this.marker.style.height = `${lineHeight}px`
+      this.gutter.parentElement.append(this.marker)
+    }
+  },
+
+  check() {
+    const body = this.input.value
+    const json = body.trim() !== "" && this.isJson()
+    const error = json ? checkJson(body).error : null
+
+    this.errorLine = error?.line
+    this.renderGutter()
+    this.formatButton.hidden = !json || !!error
+    this.status.className = error ? "flex-1 text-red-600" : "flex-1 text-emerald-600"
+    this.status.textContent = error
+      ? `Line ${error.line}, column ${error.column}: ${error.message}`
+      : json
+        ? "Valid JSON"
+        : ""
+    this.input.parentElement.classList.toggle("border-red-500", !!error)
+    this.input.parentElement.classList.toggle("border-white/50", !error)
+
+    const warning = contentTypeWarning(this.headers(), body, {requireContentType: this.requireContentType})
+    this.warning.hidden = !warning
+    this.warningText.textContent = warning?.message ?? ""
+    this.fixButton.hidden = !warning?.contentType || !this.headersInput
+    if (warning?.contentType) {
+      this.fixButton.dataset.value = warning.contentType
+      this.fixButton.textContent = `Set Content-Type to ${warning.contentType}`
+    }
+  },
+
+  format() {
+    const {formatted} = checkJson(this.input.value)
+    if (formatted === undefined) return
+
+    this.input.value = formatted
+    this.input.dispatchEvent(new Event("input", {bubbles: true}))
+  },
+}
+
+export default BodyEditor
@@ -0,0 +1,85 @@
+// Copy buttons: `phx-hook="CopyToClipboard"` with `data-clipboard-text` in
+// LiveViews and `data-copy` on dead views (see `handleCopyClicks`). After a
+// copy the button's clipboard icon turns into a check mark with a "Copied!"
+// tip for a moment, and the copy is announced to screen readers.
+
+const FLASH_MS = 1500
+
+let status = null
+
+export function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text)
+  }
+
+  const ta = document.createElement("textarea")
+  ta.value = text
+  ta.style.position = "fixed"
+  ta.style.left = "-9999px"
+  document.body.appendChild(ta)
+  ta.select()
+  document.execCommand("copy")
+  document.body.removeChild(ta)
+  return Promise.resolve()
+}
+
+// A polite live region shared by every copy button
+function announce(message) {
+  if (!status || !document.body.contains(status)) {
+    status = document.createElement("div")
+    status.setAttribute("role", "status")
+    status.className = "sr-only"
+    document.body.appendChild(status)
+  }
+  status.textContent = message
+}
+
+export function flashCopied(button) {
+  if (button.dataset.copied) return
+  button.dataset.copied = "true"
+
+  const icon = button.querySelector("span")
+  const originalClass = icon ? icon.getAttribute("class") : null
+  if (icon) {
+    icon.setAttribute("class", originalClass.replace("hero-clipboard-document", "hero-check"))
+    icon.style.color = "#10b981"
+  }
+
+  const tip = document.createElement("span")
+  tip.textContent = "Copied!"
+  tip.setAttribute("aria-hidden", "true")
+  tip.style.cssText = "position:absolute;bottom:100%;left:50%;transform:translateX(-50%);margin-bottom:6px;padding:4px 10px;background:#0f172a;color:white;font-size:12px;border-radius:6px;white-space:nowrap;pointer-events:none;z-index:50"
+  if (getComputedStyle(button).position === "static") button.style.position = "relative"
+  button.appendChild(tip)
+  announce("Copied to clipboard")
+
+  setTimeout(() => {
+    if (icon && originalClass) {
+      icon.setAttribute("class", originalClass)
+      icon.style.color = ""
+    }
+    tip.remove()
+    status.textContent = ""
+    delete button.dataset.copied
+  }, FLASH_MS)
+}
+
+// Hooks don't run on dead views, so their `data-copy` buttons are handled by
+// one listener on the document
+export function handleCopyClicks() {
+  document.addEventListener("click", e => {
+    const button = e.target.closest("[data-copy]")
+    if (!button) return
+    copyText(button.dataset.copy).then(() => flashCopied(button))
+  })
+}
+
+const CopyToClipboard = {
+  mounted() {
+    this.el.addEventListener("click", () => {
+      copyText(this.el.dataset.clipboardText).then(() => flashCopied(this.el))
+    })
+  },
+}
+
+export default CopyToClipboard
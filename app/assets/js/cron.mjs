@@ -0,0 +1,310 @@
+// Cron expression parsing, description and scheduling for the browser.
+//
+// Mirrors how the server treats cron expressions: validation and run times
+// follow the Crontab library used by Prikke.Tasks.Task (UTC, day-of-month AND
+// day-of-week must both match), and the interval estimate follows
+// Prikke.Cron.estimate_interval_minutes/1, which is what the tier's minimum
+// interval is checked against. Both sides are checked against the shared table
+// in test/support/fixtures/cron_expressions.json (`node --test assets/js/`).
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July",
+  "August", "September", "October", "November", "December"]
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday",
+  "Saturday", "Sunday"]
+
+export const FIELDS = [
+  {name: "minute", label: "Minute", min: 0, max: 59, unit: "minute"},
+  {name: "hour", label: "Hour", min: 0, max: 23, unit: "hour"},
+  {name: "day", label: "Day of month", min: 1, max: 31, unit: "day"},
+  {name: "month", label: "Month", min: 1, max: 12, unit: "month",
+    aliases: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"]},
+  {name: "weekday", label: "Day of week", min: 0, max: 7, unit: "day of the week",
+    aliases: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"]},
+]
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+}
+
+// How far ahead nextRuns/3 looks before giving up (covers 29 Feb schedules)
+const MAX_SEARCH_DAYS = 366 * 50
+
+function parseValue(field, raw) {
+  const upper = raw.toUpperCase()
+  if (field.aliases && field.aliases.includes(upper)) {
+    return field.aliases.indexOf(upper) + (field.name === "month" ? 1 : 0)
+  }
+  if (!/^\d+$/.test(raw)) throw new Error(`"${raw}" is not a number`)
+  const value = Number(raw)
+  if (value < field.min || value > field.max) {
+    throw new Error(`${value} is out of range (${field.min}-${field.max})`)
+  }
+  return value
+}
+
+function parseBase(field, raw) {
+  if (raw === "*") return {type: "all"}
+  if (raw.includes("-")) {
+    const [from, to, ...rest] = raw.split("-")
+    if (rest.length > 0) throw new Error(`"${raw}" is not a valid range`)
+    const range = {type: "range", from: parseValue(field, from), to: parseValue(field, to)}
+    if (range.from > range.to) throw new Error(`range ${raw} runs backwards`)
+    return range
+  }
+  return {type: "value", value: parseValue(field, raw)}
+}
+
+function parseTerm(field, raw) {
+  if (raw === "") throw new Error("empty value in list")
+
+  if (field.name === "day") {
+    if (raw.toUpperCase() === "L") return {type: "last"}
+    const nearest = raw.match(/^(\d+)W$/i)
+    if (nearest) return {type: "nearest_weekday", value: parseValue(field, nearest[1])}
+  }
+
+  if (field.name === "weekday") {
+    const nth = raw.match(/^(\w+)#(\d)$/)
+    if (nth) {
+      const n = Number(nth[2])
+      if (n < 1 || n > 5) throw new Error(`#${n} must be between 1 and 5`)
+      return {type: "nth", value: parseValue(field, nth[1]) % 7, n}
+    }
+    const last = raw.match(/^(\w+)L$/i)
+    if (last) return {type: "last_of_month", value: parseValue(field, last[1]) % 7}
+  }
+
+  if (raw.includes("/")) {
+    const [base, step, ...rest] = raw.split("/")
+    if (rest.length > 0 || !/^\d+$/.test(step) || Number(step) === 0) {
+      throw new Error(`"${raw}" has an invalid step`)
+    }
+    return {type: "step", base: parseBase(field, base), step: Number(step)}
+  }
+
+  return parseBase(field, raw)
+}
+
+function parseField(field, raw) {
+  try {
+    return {raw, terms: raw.split(",").map(term => parseTerm(field, term)), error: null}
+  } catch (e) {
+    return {raw, terms: [], error: e.message}
+  }
+}
+
+// Parses a 5-field cron expression (or one of the @daily style macros).
+//
+// Returns `{valid, error, fields}` where `fields` holds one entry per cron
+// field with its raw text, parsed terms and a per-field error, so callers can
+// point at exactly which part is wrong.
+export function parseCron(expression) {
+  let source = (expression || "").trim()
+  if (MACROS[source.toLowerCase()]) source = MACROS[source.toLowerCase()]
+
+  const parts = source === "" ? [] : source.split(/\s+/)
+  if (parts.length !== 5) {
+    return {
+      valid: false,
+      error: `Expected 5 fields (minute hour day month weekday), got ${parts.length}`,
+      fields: [],
+    }
+  }
+
+  const fields = FIELDS.map((field, i) => ({field, ...parseField(field, parts[i])}))
+  const invalid = fields.find(f => f.error)
+
+  return {
+    valid: !invalid,
+    error: invalid ? `${invalid.field.label}: ${invalid.error}` : null,
+    fields,
+  }
+}
+
+function termMatches(field, term, value) {
+  switch (term.type) {
+    case "all":
+      return true
+    case "value":
+      return value === term.value || (field.name === "weekday" && term.value % 7 === value)
+    case "range":
+      if (field.name === "weekday" && term.to === 7 && value === 0) return true
+      return value >= term.from && value <= term.to
+    case "step": {
+      const from = term.base.type === "all" ? field.min : term.base.from ?? term.base.value
+      const to = term.base.type === "range" ? term.base.to : field.max
+      return value >= from && value <= to && (value - from) % term.step === 0
+    }
+    default:
+      return false
+  }
+}
+
+function expand(parsedField) {
+  const {field, terms} = parsedField
+  const values = []
+  for (let v = field.min; v <= field.max; v++) {
+    if (terms.some(term => termMatches(field, term, v))) values.push(v)
+  }
+  return values
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate()
+}
+
+function nearestWeekday(year, month, day) {
+  const last = daysInMonth(year, month)
+  if (day > last) return null
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  if (weekday === 6) return day === 1 ? 3 : day - 1
+  if (weekday === 0) return day === last ? day - 2 : day + 1
+  return day
+}
+
+function dayMatches(parsedDay, year, month, day) {
+  return parsedDay.terms.some(term => {
+    if (term.type === "last") return day === daysInMonth(year, month)
+    if (term.type === "nearest_weekday") return nearestWeekday(year, month, term.value) === day
+    return termMatches(parsedDay.field, term, day)
+  })
+}
+
+function weekdayMatches(parsedWeekday, year, month, day) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  return parsedWeekday.terms.some(term => {
+    if (term.type === "nth") return weekday === term.value && Math.ceil(day / 7) === term.n
+    if (term.type === "last_of_month") {
+      return weekday === term.value && day + 7 > daysInMonth(year, month)
+    }
+    return termMatches(parsedWeekday.field, term, weekday)
+  })
+}
+
+// Returns the next `count` run times (UTC Date objects) at or after `from`,
+// matching Crontab.Scheduler.get_next_run_dates/2.
+export function nextRuns(parsed, from, count) {
+  if (!parsed.valid) return []
+
+  const [minute, hour, day, month, weekday] = parsed.fields
+  const minutes = expand(minute)
+  const hours = expand(hour)
+  const months = new Set(expand(month))
+
+  const start = new Date(from.getTime())
+  start.setUTCSeconds(0, 0)
+  if (start.getTime() < from.getTime()) start.setUTCMinutes(start.getUTCMinutes() + 1)
+
+  const runs = []
+  const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()))
+
+  for (let i = 0; i < MAX_SEARCH_DAYS && runs.length < count; i++) {
+    const y = cursor.getUTCFullYear()
+    const m = cursor.getUTCMonth() + 1
+    const d = cursor.getUTCDate()
+
+    if (months.has(m) && dayMatches(day, y, m, d) && weekdayMatches(weekday, y, m, d)) {
+      for (const h of hours) {
+        for (const min of minutes) {
+          const run = new Date(Date.UTC(y, m - 1, d, h, min))
+          if (run >= start && runs.length < count) runs.push(run)
+        }
+      }
+    }
+
+    cursor.setUTCDate(cursor.getUTCDate() + 1)
+  }
+
+  return runs
+}
+
+// Mirrors Prikke.Cron.estimate_interval_minutes/1: a rough interval used for
+// task priority and the tier's minimum interval, not the true gap between runs.
+export function estimateIntervalMinutes(parsed) {
+  if (!parsed.valid) return null
+  const [minute, hour] = parsed.fields
+
+  const isAll = terms => terms.length === 1 && terms[0].type === "all"
+  const stepOfAll = terms =>
+    terms.length === 1 && terms[0].type === "step" && terms[0].base.type === "all"
+      ? terms[0].step
+      : null
+
+  let minuteInterval = 60
+  if (isAll(minute.terms)) minuteInterval = 1
+  else if (stepOfAll(minute.terms)) minuteInterval = stepOfAll(minute.terms)
+  else if (minute.terms.length > 1) minuteInterval = Math.floor(60 / minute.terms.length)
+
+  if (minuteInterval < 60) return minuteInterval
+  if (isAll(hour.terms)) return 60
+  if (stepOfAll(hour.terms)) return stepOfAll(hour.terms) * 60
+  if (hour.terms.length > 1) return Math.floor((24 * 60) / hour.terms.length)
+  return 24 * 60
+}
+
+function isNamed(field) {
+  return field.name === "month" || field.name === "weekday"
+}
+
+function valueName(field, value) {
+  if (field.name === "month") return MONTH_NAMES[value - 1]
+  if (field.name === "weekday") return WEEKDAY_NAMES[value]
+  return String(value)
+}
+
+function plural(field, n) {
+  if (field.name === "weekday") return n === 1 ? "day" : `${n} days`
+  return n === 1 ? field.unit : `${n} ${field.unit}s`
+}
+
+function describeTerm(field, term) {
+  switch (term.type) {
+    case "all":
+      return `every ${field.unit}`
+    case "value":
+      return isNamed(field) ? valueName(field, term.value) : `${field.unit} ${term.value}`
+    case "range": {
+      const range = `${valueName(field, term.from)} through ${valueName(field, term.to)}`
+      return isNamed(field) ? range : `${field.unit}s ${range}`
+    }
+    case "step": {
+      const every = `every ${plural(field, term.step)}`
+      if (term.base.type === "range") return `${every} from ${describeTerm(field, term.base)}`
+      if (term.base.type === "value") {
+        return `${every} starting at ${describeTerm(field, term.base)}`
+      }
+      return every
+    }
+    case "last":
+      return "the last day of the month"
+    case "nearest_weekday":
+      return `the weekday nearest to day ${term.value}`
+    case "nth":
+      return `the ${["first", "second", "third", "fourth", "fifth"][term.n - 1]} ${WEEKDAY_NAMES[term.value]}`
+    case "last_of_month":
+      return `the last ${WEEKDAY_NAMES[term.value]} of the month`
+  }
+}
+
+// Describes a single parsed field in plain words, e.g. "every 15 minutes" or
+// "Monday through Friday".
+export function describeField(parsedField) {
+  const {field, terms, error} = parsedField
+  if (error) return error
+
+  // "minutes 0, 15 and 30" reads better than repeating the unit for each value
+  const plainValues = !isNamed(field) && terms.length > 1 && terms.every(t => t.type === "value")
+  const parts = plainValues
+    ? terms.map(term => valueName(field, term.value))
+    : terms.map(term => describeTerm(field, term))
+
+  if (parts.length === 1) return parts[0]
+  const list = `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`
+  return plainValues ? `${field.unit}s ${list}` : list
+}
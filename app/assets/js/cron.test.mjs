@@ -0,0 +1,53 @@
+// The expression table is shared with test/app/cron_test.exs so the browser
+// editor and the server agree on what is valid, when it runs and how often.
+
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {readFileSync} from "node:fs"
+import {parseCron, nextRuns, estimateIntervalMinutes, describeField} from "./cron.mjs"
+
+const table = JSON.parse(
+  readFileSync(new URL("../../test/support/fixtures/cron_expressions.json", import.meta.url))
+)
+
+for (const entry of table) {
+  const from = entry.from ? ` from ${entry.from}` : ""
+
+  test(`${entry.expression}${from} is ${entry.valid ? "valid" : "invalid"}`, () => {
+    const parsed = parseCron(entry.expression)
+    assert.equal(parsed.valid, entry.valid, parsed.error)
+
+    if (entry.interval_minutes) {
+      assert.equal(estimateIntervalMinutes(parsed), entry.interval_minutes)
+    }
+
+    if (entry.next_runs) {
+      const runs = nextRuns(parsed, new Date(entry.from), entry.next_runs.length)
+      assert.deepEqual(
+        runs.map(run => run.toISOString().replace(".000Z", "Z")),
+        entry.next_runs
+      )
+    }
+  })
+}
+
+test("marks the offending field", () => {
+  const parsed = parseCron("0 25 * * *")
+  assert.equal(parsed.fields[0].error, null)
+  assert.match(parsed.fields[1].error, /out of range/)
+})
+
+test("describes fields in plain words", () => {
+  const parsed = parseCron("0,30 9-17 * * MON-FRI")
+  assert.deepEqual(parsed.fields.map(describeField), [
+    "minutes 0 and 30",
+    "hours 9 through 17",
+    "every day",
+    "every month",
+    "Monday through Friday",
+  ])
+})
+
+test("gives up on schedules that never run", () => {
+  assert.deepEqual(nextRuns(parseCron("0 0 31 2 *"), new Date("2026-01-01T00:00:00Z"), 10), [])
+})
@@ -0,0 +1,174 @@
+// Browser notifications while the dashboard is open in a background tab.
+//
+// The DesktopNotifications hook is mounted by PrikkeWeb.NotificationsLive,
+// which pushes a `desktop_notification` event for every failure, monitor
+// change and usage warning that isn't muted. Depending on the preferences
+// stored in this browser, the hook shows it as a system notification and/or
+// counts it in the tab title and favicon until the tab is looked at again.
+//
+// mountNotificationSettings/1 wires the preference checkboxes on the
+// (dead) organization notification settings page.
+
+import {PREFS_KEY, parsePrefs, titleWithCount, wants} from "./desktop_notifications.mjs"
+
+const FAVICON_SIZE = 32
+
+function readPrefs() {
+  return parsePrefs(localStorage.getItem(PREFS_KEY))
+}
+
+function supported() {
+  return "Notification" in window
+}
+
+// The favicon with a red unread badge, as a data URL
+function badgedFavicon(src, count) {
+  return new Promise(resolve => {
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement("canvas")
+      canvas.width = canvas.height = FAVICON_SIZE
+      const ctx = canvas.getContext("2d")
+      ctx.drawImage(image, 0, 0, FAVICON_SIZE, FAVICON_SIZE)
+      ctx.fillStyle = "#ef4444"
+      ctx.beginPath()
+      ctx.arc(22, 10, 10, 0, 2 * Math.PI)
+      ctx.fill()
+      ctx.fillStyle = "#ffffff"
+      ctx.font = "bold 13px system-ui, sans-serif"
+      ctx.textAlign = "center"
+      ctx.textBaseline = "middle"
+      ctx.fillText(count > 9 ? "9+" : String(count), 22, 11)
+      resolve(canvas.toDataURL("image/png"))
+    }
+    image.onerror = () => resolve(null)
+    image.src = src
+  })
+}
+
+const DesktopNotifications = {
+  mounted() {
+    this.unread = 0
+    this.favicon = document.querySelector("link[rel='icon']")
+    this.faviconHref = this.favicon?.getAttribute("href")
+
+    this.handleEvent("desktop_notification", notification => this.receive(notification))
+
+    this.onSeen = () => {
+      if (!document.hidden && document.hasFocus()) this.setUnread(0)
+    }
+    document.addEventListener("visibilitychange", this.onSeen)
+    window.addEventListener("focus", this.onSeen)
+
+    // Live navigation replaces the title; put the count back in front
+    this.titleObserver = new MutationObserver(() => {
+      if (this.unread > 0) this.renderTitle()
+    })
+    const title = document.querySelector("title")
+    if (title) this.titleObserver.observe(title, {childList: true, characterData: true, subtree: true})
+  },
+
+  destroyed() {
+    document.removeEventListener("visibilitychange", this.onSeen)
+    window.removeEventListener("focus", this.onSeen)
+    this.titleObserver.disconnect()
+    this.setUnread(0)
+  },
+
+  receive({kind, title, body, url, tag}) {
+    const prefs = readPrefs()
+    // Whoever is looking at the tab already sees it on the page
+    if (!wants(prefs, kind) || (!document.hidden && document.hasFocus())) return
+
+    if (prefs.tab) this.setUnread(this.unread + 1)
+
+    if (prefs.desktop && supported() && Notification.permission === "granted") {
+      const notification = new Notification(title, {body: body || "", tag, icon: "/favicon.svg"})
+      notification.onclick = () => {
+        window.focus()
+        this.navigate(url)
+        notification.close()
+      }
+    }
+  },
+
+  setUnread(count) {
+    if (count === this.unread) return
+    this.unread = count
+    this.renderTitle()
+    this.renderFavicon()
+  },
+
+  renderTitle() {
+    const title = titleWithCount(document.title, this.unread)
+    if (title !== document.title) document.title = title
+  },
+
+  async renderFavicon() {
+    if (!this.favicon || !this.faviconHref) return
+    if (this.unread === 0) {
+      this.favicon.setAttribute("href", this.faviconHref)
+      return
+    }
+
+    const count = this.unread
+    const href = await badgedFavicon(this.faviconHref, count)
+    // Skip if the count changed while the image loaded
+    if (href && count === this.unread) this.favicon.setAttribute("href", href)
+  },
+
+  navigate(url) {
+    if (!url) return
+    // Dead views (e.g. organization settings) have no main LiveView to patch
+    if (document.querySelector("[data-phx-main]")) {
+      this.js().navigate(url)
+    } else {
+      window.location.href = url
+    }
+  },
+}
+
+export function mountNotificationSettings(root) {
+  const status = root.querySelector("[data-notification-status]")
+  const inputs = root.querySelectorAll("input[data-pref], input[data-kind]")
+
+  const render = () => {
+    const prefs = readPrefs()
+    for (const input of inputs) {
+      input.checked = input.dataset.pref ? prefs[input.dataset.pref] : prefs.kinds[input.dataset.kind]
+    }
+
+    if (!supported()) {
+      status.textContent = "This browser doesn't support desktop notifications."
+    } else if (Notification.permission === "denied") {
+      status.textContent = "Notifications are blocked for this site in your browser settings."
+    } else {
+      status.textContent = ""
+    }
+  }
+
+  const save = prefs => {
+    localStorage.setItem(PREFS_KEY, JSON.stringify(prefs))
+    render()
+  }
+
+  for (const input of inputs) {
+    input.addEventListener("change", async () => {
+      const prefs = readPrefs()
+
+      if (input.dataset.kind) {
+        prefs.kinds[input.dataset.kind] = input.checked
+      } else if (input.dataset.pref === "desktop" && input.checked) {
+        prefs.desktop = supported() && (await Notification.requestPermission()) === "granted"
+      } else {
+        prefs[input.dataset.pref] = input.checked
+      }
+
+      save(prefs)
+    })
+  }
+
+  render()
+}
+
+export default DesktopNotifications
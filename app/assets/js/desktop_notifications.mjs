@@ -0,0 +1,54 @@
+// Helpers for browser notifications while the dashboard is open
+// (assets/js/desktop_notifications.js): per-browser preferences and the
+// unread count shown in the tab title.
+
+export const PREFS_KEY = "runlater:desktop-notifications"
+
+// Kinds pushed by PrikkeWeb.NotificationsLive
+export const KINDS = ["failure", "monitor_down", "monitor_recovery", "usage"]
+
+// Off until turned on: `desktop` shows system notifications, `tab` counts
+// unread alerts in the tab title and favicon
+export const DEFAULT_PREFS = {
+  desktop: false,
+  tab: false,
+  kinds: Object.fromEntries(KINDS.map(kind => [kind, true])),
+}
+
+const COUNT_PREFIX = /^\(\d+\+?\) /
+
+// Preferences from their stored JSON, falling back to the defaults for
+// anything missing or invalid
+export function parsePrefs(raw) {
+  let stored
+  try {
+    stored = JSON.parse(raw)
+  } catch (_e) {
+    stored = null
+  }
+  if (stored === null || typeof stored !== "object") return structuredClone(DEFAULT_PREFS)
+
+  const kinds = {}
+  for (const kind of KINDS) {
+    kinds[kind] = typeof stored.kinds?.[kind] === "boolean" ? stored.kinds[kind] : DEFAULT_PREFS.kinds[kind]
+  }
+
+  return {
+    desktop: stored.desktop === true,
+    tab: stored.tab === true,
+    kinds,
+  }
+}
+
+// Whether a notification of this kind is wanted at all
+export function wants(prefs, kind) {
+  return (prefs.desktop || prefs.tab) && prefs.kinds[kind] === true
+}
+
+// "(3) Dashboard" for a title and an unread count; an existing count is
+// replaced, and a count of 0 removes it
+export function titleWithCount(title, count) {
+  const base = title.replace(COUNT_PREFIX, "")
+  if (count <= 0) return base
+  return `(${count > 99 ? "99+" : count}) ${base}`
+}
@@ -0,0 +1,32 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {DEFAULT_PREFS, parsePrefs, wants, titleWithCount} from "./desktop_notifications.mjs"
+
+test("falls back to the defaults for missing or invalid preferences", () => {
+  assert.deepEqual(parsePrefs(null), DEFAULT_PREFS)
+  assert.deepEqual(parsePrefs("not json"), DEFAULT_PREFS)
+  assert.deepEqual(parsePrefs("[]").kinds, DEFAULT_PREFS.kinds)
+
+  const prefs = parsePrefs(JSON.stringify({desktop: true, kinds: {usage: false, failure: "yes"}}))
+  assert.equal(prefs.desktop, true)
+  assert.equal(prefs.tab, false)
+  assert.equal(prefs.kinds.usage, false)
+  assert.equal(prefs.kinds.failure, true)
+})
+
+test("wants nothing until desktop or tab alerts are on", () => {
+  assert.equal(wants(DEFAULT_PREFS, "failure"), false)
+
+  const prefs = parsePrefs(JSON.stringify({tab: true, kinds: {monitor_recovery: false}}))
+  assert.equal(wants(prefs, "failure"), true)
+  assert.equal(wants(prefs, "monitor_recovery"), false)
+  assert.equal(wants(prefs, "unknown"), false)
+})
+
+test("puts the unread count in front of the tab title", () => {
+  assert.equal(titleWithCount("Dashboard · Runlater", 3), "(3) Dashboard · Runlater")
+  assert.equal(titleWithCount("(3) Dashboard · Runlater", 4), "(4) Dashboard · Runlater")
+  assert.equal(titleWithCount("(99+) Tasks", 0), "Tasks")
+  assert.equal(titleWithCount("Tasks", 120), "(99+) Tasks")
+  assert.equal(titleWithCount("(draft) Tasks", 0), "(draft) Tasks")
+})
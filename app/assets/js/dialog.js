@@ -0,0 +1,77 @@
+// Modal dialogs, such as the command palette and its shortcuts help.
+//
+// `createDialog(overlay)` controls an overlay shown by removing its `hidden`
+// class, whose `[role="dialog"]` child is the dialog itself. While it's open
+// Tab and Shift-Tab stay inside the dialog, Escape and clicks on the
+// backdrop close it, and closing it returns focus to whatever had it before.
+
+import {trapIndex} from "./focus.mjs"
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type=hidden])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  '[tabindex]:not([tabindex="-1"])',
+].join(", ")
+
+export function createDialog(overlay, {onClose} = {}) {
+  const dialog = overlay.querySelector('[role="dialog"]') || overlay
+  if (!dialog.hasAttribute("tabindex")) dialog.tabIndex = -1
+  let returnFocus = null
+
+  const focusables = () =>
+    [...dialog.querySelectorAll(FOCUSABLE)].filter(el => el.getClientRects().length > 0)
+
+  const isOpen = () => !overlay.classList.contains("hidden")
+
+  const open = (focus = null) => {
+    if (!isOpen()) returnFocus = document.activeElement
+    overlay.classList.remove("hidden")
+    const target = focus || focusables()[0] || dialog
+    target.focus()
+  }
+
+  const close = () => {
+    if (!isOpen()) return
+    overlay.classList.add("hidden")
+    if (returnFocus && document.contains(returnFocus)) returnFocus.focus()
+    returnFocus = null
+    onClose?.()
+  }
+
+  const onKeydown = e => {
+    if (e.key === "Escape") {
+      e.preventDefault()
+      e.stopPropagation()
+      close()
+      return
+    }
+    if (e.key !== "Tab") return
+
+    const all = focusables()
+    const next = trapIndex(all.indexOf(document.activeElement), all.length, e.shiftKey)
+    if (next === null) return
+    e.preventDefault()
+    const target = next < 0 ? dialog : all[next]
+    target.focus()
+  }
+
+  const onClick = e => {
+    if (e.target === overlay) close()
+  }
+
+  overlay.addEventListener("keydown", onKeydown)
+  overlay.addEventListener("click", onClick)
+
+  return {
+    open,
+    close,
+    isOpen,
+    destroy() {
+      overlay.removeEventListener("keydown", onKeydown)
+      overlay.removeEventListener("click", onClick)
+    },
+  }
+}
@@ -0,0 +1,156 @@
+// Line and JSON diffs for the PayloadDiff hook (assets/js/payload_diff.js).
+
+// Above this many edits the line diff gives up and marks everything changed
+const MAX_EDITS = 2000
+
+// Myers diff of two arrays of lines. Returns ops in order, each
+// {type: "same" | "removed" | "added", text}.
+export function diffLines(a, b) {
+  // Common prefix and suffix are cheap to strip and usually most of a payload
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) start++
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const same = lines => lines.map(text => ({type: "same", text}))
+  const middle = myers(a.slice(start, endA), b.slice(start, endB))
+  return [...same(a.slice(0, start)), ...middle, ...same(a.slice(endA))]
+}
+
+function myers(a, b) {
+  const n = a.length
+  const m = b.length
+  if (n === 0 || m === 0) {
+    return [...a.map(text => ({type: "removed", text})), ...b.map(text => ({type: "added", text}))]
+  }
+
+  const max = Math.min(n + m, MAX_EDITS)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) return backtrack(trace, offset, a, b)
+    }
+  }
+
+  // Too different to be worth aligning
+  return [...a.map(text => ({type: "removed", text})), ...b.map(text => ({type: "added", text}))]
+}
+
+function backtrack(trace, offset, a, b) {
+  const ops = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1
+    const prevX = v[offset + prevK]
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      ops.push({type: "same", text: a[x - 1]})
+      x--
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({type: "added", text: b[y - 1]})
+      else ops.push({type: "removed", text: a[x - 1]})
+    }
+    x = prevX
+    y = prevY
+  }
+
+  return ops.reverse()
+}
+
+// Lines up diff ops for a side-by-side view. A run of removed lines followed
+// by added lines is paired up as "changed" rows.
+export function sideBySide(ops) {
+  const rows = []
+  let leftNumber = 0
+  let rightNumber = 0
+  let i = 0
+
+  while (i < ops.length) {
+    if (ops[i].type === "same") {
+      rows.push({
+        type: "same",
+        left: {number: ++leftNumber, text: ops[i].text},
+        right: {number: ++rightNumber, text: ops[i].text},
+      })
+      i++
+      continue
+    }
+
+    const removed = []
+    const added = []
+    while (i < ops.length && ops[i].type === "removed") removed.push(ops[i++].text)
+    while (i < ops.length && ops[i].type === "added") added.push(ops[i++].text)
+
+    for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+      const left = j < removed.length ? {number: ++leftNumber, text: removed[j]} : null
+      const right = j < added.length ? {number: ++rightNumber, text: added[j]} : null
+      rows.push({type: left && right ? "changed" : left ? "removed" : "added", left, right})
+    }
+  }
+
+  return rows
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+// Key-level differences between two JSON values, as
+// {path, type: "added" | "removed" | "changed", left, right}
+export function diffJson(a, b, path = []) {
+  if (isObject(a) && isObject(b)) {
+    const keys = [...Object.keys(a), ...Object.keys(b).filter(key => !(key in a))]
+    return keys.flatMap(key => {
+      if (!(key in b)) return [{path: [...path, key], type: "removed", left: a[key]}]
+      if (!(key in a)) return [{path: [...path, key], type: "added", right: b[key]}]
+      return diffJson(a[key], b[key], [...path, key])
+    })
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const changes = []
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if (i >= b.length) changes.push({path: [...path, i], type: "removed", left: a[i]})
+      else if (i >= a.length) changes.push({path: [...path, i], type: "added", right: b[i]})
+      else changes.push(...diffJson(a[i], b[i], [...path, i]))
+    }
+    return changes
+  }
+
+  if (JSON.stringify(a) === JSON.stringify(b)) return []
+  return [{path, type: "changed", left: a, right: b}]
+}
+
+// Pretty-printed JSON with sorted keys, so key order doesn't show up as a diff
+export function canonicalJson(value) {
+  const sort = node => {
+    if (Array.isArray(node)) return node.map(sort)
+    if (!isObject(node)) return node
+    return Object.fromEntries(Object.keys(node).sort().map(key => [key, sort(node[key])]))
+  }
+  return JSON.stringify(sort(value), null, 2)
+}
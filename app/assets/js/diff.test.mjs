@@ -0,0 +1,47 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {diffLines, sideBySide, diffJson, canonicalJson} from "./diff.mjs"
+
+const types = ops => ops.map(op => `${op.type[0]} ${op.text}`)
+
+test("diffs lines with the fewest edits", () => {
+  assert.deepEqual(types(diffLines(["a", "b", "c", "d"], ["a", "c", "x", "d"])), [
+    "s a",
+    "r b",
+    "s c",
+    "a x",
+    "s d",
+  ])
+  assert.deepEqual(types(diffLines([], ["a"])), ["a a"])
+  assert.deepEqual(types(diffLines(["a"], ["a"])), ["s a"])
+})
+
+test("pairs removed and added lines side by side", () => {
+  const rows = sideBySide(diffLines(["status: ok", "id: 1"], ["status: failed", "id: 1", "retry: 2"]))
+
+  assert.deepEqual(
+    rows.map(row => [row.type, row.left?.number ?? null, row.right?.number ?? null]),
+    [
+      ["changed", 1, 1],
+      ["same", 2, 2],
+      ["added", null, 3],
+    ]
+  )
+})
+
+test("reports JSON differences by key", () => {
+  const before = {id: "evt_1", data: {status: "active", items: [1, 2]}, livemode: true}
+  const after = {id: "evt_1", data: {status: "past_due", items: [1]}, attempt: 2}
+
+  assert.deepEqual(diffJson(before, after), [
+    {path: ["data", "status"], type: "changed", left: "active", right: "past_due"},
+    {path: ["data", "items", 1], type: "removed", left: 2},
+    {path: ["livemode"], type: "removed", left: true},
+    {path: ["attempt"], type: "added", right: 2},
+  ])
+  assert.deepEqual(diffJson({a: [1, {b: 2}]}, {a: [1, {b: 2}]}), [])
+})
+
+test("sorts keys when pretty-printing", () => {
+  assert.equal(canonicalJson({b: 1, a: {d: 2, c: 3}}), canonicalJson({a: {c: 3, d: 2}, b: 1}))
+})
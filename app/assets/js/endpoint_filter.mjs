@@ -0,0 +1,219 @@
+// Endpoint filter rules for the FilterBuilder hook (assets/js/filter_builder.js).
+//
+// Mirrors Prikke.Endpoints.Filter, which applies the rules as events arrive,
+// so the builder can preview a filter against recent events before it is
+// saved. Keep the two in step.
+
+export const OPERATORS = [
+  ["eq", "equals"],
+  ["neq", "does not equal"],
+  ["in", "is one of"],
+  ["not_in", "is not one of"],
+  ["contains", "contains"],
+  ["exists", "exists"],
+  ["not_exists", "does not exist"],
+]
+
+export const LIST_OPERATORS = ["in", "not_in"]
+export const VALUELESS_OPERATORS = ["exists", "not_exists"]
+
+// The root group plus one level of nested groups
+export const MAX_DEPTH = 2
+export const MAX_CONDITIONS = 20
+
+const MISSING = Symbol("missing")
+
+export function emptyRule(source = "body") {
+  return {source, path: source === "body" ? "$." : "", operator: "eq", value: ""}
+}
+
+export function emptyGroup(combinator = "and") {
+  return {combinator, rules: []}
+}
+
+export const isGroup = node => Array.isArray(node?.rules)
+
+// Splits a JSONPath into keys and array indexes, or returns null.
+// Supports $, .key, ['key'], ["key"] and [0], e.g. $.data.items[0]['x-id']
+export function parsePath(path) {
+  if (typeof path !== "string" || !path.startsWith("$")) return null
+
+  const segments = []
+  let rest = path.slice(1)
+  while (rest !== "") {
+    let match
+    if ((match = rest.match(/^\.([A-Za-z_$][\w$-]*)/))) {
+      segments.push(match[1])
+    } else if ((match = rest.match(/^\[(\d+)\]/))) {
+      segments.push(Number(match[1]))
+    } else if ((match = rest.match(/^\['((?:[^'\\]|\\.)*)'\]/) || rest.match(/^\["((?:[^"\\]|\\.)*)"\]/))) {
+      segments.push(match[1].replace(/\\(.)/g, "$1"))
+    } else {
+      return null
+    }
+    rest = rest.slice(match[0].length)
+  }
+  return segments
+}
+
+function parseBody(body) {
+  if (typeof body !== "string") return MISSING
+  try {
+    return JSON.parse(body)
+  } catch (_e) {
+    return MISSING
+  }
+}
+
+function dig(value, segments) {
+  for (const segment of segments) {
+    if (typeof segment === "number" && Array.isArray(value) && segment < value.length) {
+      value = value[segment]
+    } else if (
+      typeof segment === "string" &&
+      value !== null &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      Object.hasOwn(value, segment)
+    ) {
+      value = value[segment]
+    } else {
+      return MISSING
+    }
+  }
+  return value
+}
+
+function lookup(rule, headers, body) {
+  if (rule.source === "header") {
+    const name = String(rule.path).toLowerCase()
+    return Object.hasOwn(headers, name) ? headers[name] : MISSING
+  }
+  if (body === MISSING) return MISSING
+  const segments = parsePath(rule.path)
+  return segments ? dig(body, segments) : MISSING
+}
+
+// Scalars as text; objects and arrays have none
+function toText(value) {
+  if (value === null) return "null"
+  if (["string", "number", "boolean"].includes(typeof value)) return String(value)
+  return null
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+    case "exists":
+      return actual !== MISSING
+    case "not_exists":
+      return actual === MISSING
+    case "neq":
+      return !compare(actual, "eq", expected)
+    case "not_in":
+      return !compare(actual, "in", expected)
+    case "eq": {
+      const text = actual === MISSING ? null : toText(actual)
+      return text !== null && text === String(expected)
+    }
+    case "in": {
+      const text = actual === MISSING ? null : toText(actual)
+      return text !== null && Array.isArray(expected) && expected.map(String).includes(text)
+    }
+    case "contains": {
+      if (Array.isArray(actual)) return actual.some(item => toText(item) === String(expected))
+      const text = actual === MISSING ? null : toText(actual)
+      return text !== null && text.includes(String(expected))
+    }
+    default:
+      return false
+  }
+}
+
+function evaluate(node, headers, body) {
+  if (isGroup(node)) {
+    return node.combinator === "or"
+      ? node.rules.some(rule => evaluate(rule, headers, body))
+      : node.rules.every(rule => evaluate(rule, headers, body))
+  }
+  return compare(lookup(node, headers, body), node.operator, node.value)
+}
+
+// Whether an event ({headers, body}) would be forwarded. No filter forwards
+// everything.
+export function matches(filter, event) {
+  if (!filter) return true
+  const headers = {}
+  for (const [name, value] of Object.entries(event.headers || {})) headers[name.toLowerCase()] = value
+  return evaluate(filter, headers, parseBody(event.body))
+}
+
+export function usesBody(node) {
+  return isGroup(node) ? node.rules.some(usesBody) : node.source === "body"
+}
+
+export function countConditions(node) {
+  return isGroup(node) ? node.rules.reduce((sum, rule) => sum + countConditions(rule), 0) : 1
+}
+
+// What the server would reject about a single condition, or null
+export function ruleError(rule) {
+  if (rule.source === "header" && String(rule.path).trim() === "") return "Enter a header name"
+  if (rule.source === "body" && parsePath(rule.path) === null) return "Use a JSONPath like $.type"
+  if (LIST_OPERATORS.includes(rule.operator) && !(Array.isArray(rule.value) && rule.value.length > 0)) {
+    return "Enter one or more values, separated by commas"
+  }
+  return null
+}
+
+// The filter as saved: null when there are no conditions, so an empty
+// builder forwards everything
+export function normalize(filter) {
+  return isGroup(filter) && filter.rules.length > 0 ? filter : null
+}
+
+// Keeps the value in the shape the new operator expects
+export function changeOperator(rule, operator) {
+  const next = {...rule, operator}
+  if (VALUELESS_OPERATORS.includes(operator)) {
+    delete next.value
+  } else if (LIST_OPERATORS.includes(operator)) {
+    next.value = Array.isArray(rule.value) ? rule.value : splitValues(rule.value ?? "")
+  } else {
+    next.value = Array.isArray(rule.value) ? rule.value.join(", ") : (rule.value ?? "")
+  }
+  return next
+}
+
+export function splitValues(text) {
+  return text
+    .split(",")
+    .map(value => value.trim())
+    .filter(value => value !== "")
+}
+
+// One line summary, e.g. $.type == "invoice.paid" AND (X-GitHub-Event in [push, release])
+export function describe(node, nested = false) {
+  if (isGroup(node)) {
+    if (node.rules.length === 0) return nested ? "()" : "everything"
+    const text = node.rules.map(rule => describe(rule, true)).join(node.combinator === "or" ? " OR " : " AND ")
+    return nested && node.rules.length > 1 ? `(${text})` : text
+  }
+
+  const value = Array.isArray(node.value) ? `[${node.value.join(", ")}]` : JSON.stringify(node.value ?? "")
+  switch (node.operator) {
+    case "eq":
+      return `${node.path} == ${value}`
+    case "neq":
+      return `${node.path} != ${value}`
+    case "in":
+      return `${node.path} in ${value}`
+    case "not_in":
+      return `${node.path} not in ${value}`
+    case "contains":
+      return `${node.path} contains ${value}`
+    case "exists":
+      return `${node.path} exists`
+    default:
+      return `${node.path} does not exist`
+  }
+}
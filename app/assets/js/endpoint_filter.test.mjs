@@ -0,0 +1,105 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {changeOperator, describe, matches, normalize, parsePath, ruleError, usesBody} from "./endpoint_filter.mjs"
+
+const stripe = {
+  headers: {"content-type": "application/json", "stripe-signature": "t=1,v1=abc"},
+  body: JSON.stringify({type: "invoice.paid", livemode: true, data: {object: {amount: 1200, tags: ["vip"]}}}),
+}
+
+const github = {
+  headers: {"x-github-event": "push"},
+  body: JSON.stringify({ref: "refs/heads/main", commits: [{id: "a1", "x-id": null}]}),
+}
+
+const rule = (source, path, operator, value) => ({source, path, operator, value})
+const all = (...rules) => ({combinator: "and", rules})
+const any = (...rules) => ({combinator: "or", rules})
+
+test("parses the JSONPaths the payload viewer copies", () => {
+  assert.deepEqual(parsePath("$"), [])
+  assert.deepEqual(parsePath("$.data.items[0]['x-id']"), ["data", "items", 0, "x-id"])
+  assert.deepEqual(parsePath(`$["a.b"]['it\\'s']`), ["a.b", "it's"])
+  assert.equal(parsePath("data.type"), null)
+  assert.equal(parsePath("$.data..type"), null)
+  assert.equal(parsePath("$[*]"), null)
+})
+
+test("forwards everything without a filter", () => {
+  assert.equal(matches(null, stripe), true)
+  assert.equal(matches(normalize(all()), stripe), true)
+})
+
+test("compares body values as text", () => {
+  assert.equal(matches(all(rule("body", "$.type", "eq", "invoice.paid")), stripe), true)
+  assert.equal(matches(all(rule("body", "$.type", "eq", "invoice.failed")), stripe), false)
+  assert.equal(matches(all(rule("body", "$.data.object.amount", "eq", "1200")), stripe), true)
+  assert.equal(matches(all(rule("body", "$.livemode", "in", ["true"])), stripe), true)
+  assert.equal(matches(all(rule("body", "$.commits[0]['x-id']", "eq", "null")), github), true)
+  assert.equal(matches(all(rule("body", "$.data.object", "eq", "[object Object]")), stripe), false)
+})
+
+test("matches header names case-insensitively", () => {
+  const push = all(rule("header", "X-GitHub-Event", "in", ["push", "release"]))
+
+  assert.equal(matches(push, github), true)
+  assert.equal(matches(push, {headers: {"X-GITHUB-EVENT": "release"}, body: ""}), true)
+  assert.equal(matches(push, {headers: {"x-github-event": "issues"}, body: ""}), false)
+  assert.equal(matches(all(rule("header", "Stripe-Signature", "contains", "v1=")), stripe), true)
+})
+
+test("treats missing values and non-JSON bodies as absent", () => {
+  const plain = {headers: {}, body: "type=invoice.paid"}
+
+  assert.equal(matches(all(rule("body", "$.type", "exists")), plain), false)
+  assert.equal(matches(all(rule("body", "$.type", "not_exists")), plain), true)
+  assert.equal(matches(all(rule("body", "$.type", "neq", "invoice.paid")), plain), true)
+  assert.equal(matches(all(rule("body", "$.type", "not_in", ["invoice.paid"])), plain), true)
+  assert.equal(matches(all(rule("body", "$.commits[5].id", "exists")), github), false)
+  assert.equal(matches(all(rule("body", "$.ref.length", "exists")), github), false)
+})
+
+test("contains looks inside arrays and strings", () => {
+  assert.equal(matches(all(rule("body", "$.data.object.tags", "contains", "vip")), stripe), true)
+  assert.equal(matches(all(rule("body", "$.data.object.tags", "contains", "vi")), stripe), false)
+  assert.equal(matches(all(rule("body", "$.ref", "contains", "heads/")), github), true)
+})
+
+test("combines rules with AND and OR groups", () => {
+  const filter = all(
+    rule("header", "content-type", "contains", "json"),
+    any(rule("body", "$.type", "eq", "invoice.paid"), rule("header", "x-github-event", "eq", "push"))
+  )
+
+  assert.equal(matches(filter, stripe), true)
+  assert.equal(matches(filter, github), false)
+  assert.equal(matches(any(), stripe), false)
+  assert.equal(usesBody(filter), true)
+  assert.equal(usesBody(all(rule("header", "x-a", "exists"))), false)
+})
+
+test("describes a filter on one line", () => {
+  const filter = all(
+    rule("body", "$.type", "eq", "invoice.paid"),
+    any(rule("header", "X-GitHub-Event", "in", ["push", "release"]), rule("body", "$.ref", "exists"))
+  )
+
+  assert.equal(describe(filter), '$.type == "invoice.paid" AND (X-GitHub-Event in [push, release] OR $.ref exists)')
+  assert.equal(describe(all()), "everything")
+})
+
+test("reshapes the value when the operator changes", () => {
+  const eq = rule("header", "x-github-event", "eq", "push, release")
+
+  assert.deepEqual(changeOperator(eq, "in").value, ["push", "release"])
+  assert.equal(changeOperator(changeOperator(eq, "in"), "neq").value, "push, release")
+  assert.equal("value" in changeOperator(eq, "exists"), false)
+  assert.equal(changeOperator(changeOperator(eq, "exists"), "eq").value, "")
+})
+
+test("reports what the server would reject", () => {
+  assert.equal(ruleError(rule("body", "$.type", "eq", "x")), null)
+  assert.equal(ruleError(rule("body", "type", "eq", "x")), "Use a JSONPath like $.type")
+  assert.equal(ruleError(rule("header", " ", "exists")), "Enter a header name")
+  assert.equal(ruleError(rule("header", "x-a", "in", [])), "Enter one or more values, separated by commas")
+})
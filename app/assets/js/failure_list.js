@@ -0,0 +1,107 @@
+// Failure list on the failures page (PrikkeWeb.FailuresLive).
+//
+// Shift-click on a checkbox selects every row between it and the last row
+// clicked. Rows can be driven from the keyboard: ↑/↓ or j/k move between
+// rows, space or x selects (with shift for a range), r retries and Enter
+// opens the task. Exports built by the server arrive as a
+// "failures:download" event and are saved as a file.
+
+import {moveIndex, rangeIds} from "./selection.mjs"
+
+const FailureList = {
+  mounted() {
+    this.anchor = null
+
+    // Capture phase, so a range click never reaches the checkbox's phx-click
+    this.el.addEventListener("click", e => this.onClick(e), true)
+    this.el.addEventListener("keydown", e => this.onKeydown(e))
+
+    this.handleEvent("failures:download", ({filename, mime, content}) => this.download(filename, mime, content))
+  },
+
+  rows() {
+    return Array.from(this.el.querySelectorAll("[data-failure-row]"))
+  },
+
+  onClick(e) {
+    const box = e.target.closest("[data-select]")
+    if (!box) return
+
+    const id = box.closest("[data-failure-row]").dataset.id
+    if (e.shiftKey && this.anchor && this.anchor !== id) {
+      e.preventDefault()
+      e.stopPropagation()
+      // The click has already flipped the box, so it holds what the user wants
+      this.selectRange(id, box.checked)
+    }
+    this.anchor = id
+  },
+
+  onKeydown(e) {
+    const row = e.target.closest("[data-failure-row]")
+    if (!row || e.metaKey || e.ctrlKey || e.altKey) return
+    const onRow = e.target === row
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "j":
+        this.focusRow(row, 1)
+        break
+      case "ArrowUp":
+      case "k":
+        this.focusRow(row, -1)
+        break
+      case " ":
+      case "x":
+        if (!onRow) return
+        this.toggle(row, e.shiftKey)
+        break
+      case "r":
+        if (!onRow) return
+        this.pushEvent("retry", {id: row.dataset.id})
+        break
+      case "Enter":
+        if (!onRow) return
+        row.querySelector("[data-task-link]")?.click()
+        break
+      default:
+        return
+    }
+    e.preventDefault()
+  },
+
+  focusRow(row, delta) {
+    const rows = this.rows()
+    rows[moveIndex(rows.indexOf(row), delta, rows.length)]?.focus()
+  },
+
+  toggle(row, extend) {
+    const id = row.dataset.id
+    const box = row.querySelector("[data-select]")
+
+    if (extend && this.anchor && this.anchor !== id) {
+      this.selectRange(id, !box.checked)
+    } else {
+      this.pushEvent("toggle_select", {id})
+    }
+    this.anchor = id
+  },
+
+  selectRange(id, selected) {
+    const ids = rangeIds(this.rows().map(row => row.dataset.id), this.anchor, id)
+    this.pushEvent("select_range", {ids, selected})
+  },
+
+  download(filename, mime, content) {
+    const url = URL.createObjectURL(new Blob([content], {type: mime}))
+    const link = document.createElement("a")
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  },
+}
+
+export default FailureList
@@ -0,0 +1,290 @@
+// Rule builder for endpoint filters, rendered by PrikkeWeb.FilterBuilder.
+//
+// Like the HeadersEditor, the JSON textarea stays the form field: every edit
+// is written back to it and announced with an input event so phx-change
+// validates it. The builder also runs the rules (assets/js/endpoint_filter.mjs)
+// against the recent events in data-events and lists which of them would be
+// forwarded, before anything is saved.
+
+import {
+  LIST_OPERATORS,
+  MAX_CONDITIONS,
+  MAX_DEPTH,
+  OPERATORS,
+  VALUELESS_OPERATORS,
+  changeOperator,
+  countConditions,
+  describe,
+  emptyGroup,
+  emptyRule,
+  isGroup,
+  matches,
+  normalize,
+  ruleError,
+  splitValues,
+  usesBody,
+} from "./endpoint_filter.mjs"
+
+const INPUT_CLASS =
+  "min-w-0 px-3 py-2 text-sm bg-white/70 border border-slate-300 rounded-md text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+
+const VERDICTS = {
+  forward: ["forward", "bg-emerald-100 text-emerald-700"],
+  filter: ["filter", "bg-purple-100 text-purple-700"],
+  unknown: ["body too large", "bg-slate-100 text-slate-600"],
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function select(options, value, label) {
+  const node = el("select", `${INPUT_CLASS} pr-8`)
+  node.setAttribute("aria-label", label)
+  node.append(...options.map(([optionValue, text]) => Object.assign(el("option", null, text), {value: optionValue})))
+  node.value = value
+  return node
+}
+
+function textButton(text, icon, onClick) {
+  const button = el("button", "inline-flex items-center gap-1 text-sm font-medium text-emerald-600 hover:text-emerald-700")
+  button.type = "button"
+  button.append(el("span", `${icon} w-4 h-4`), text)
+  button.addEventListener("click", onClick)
+  return button
+}
+
+function removeButton(title, onClick) {
+  const button = el("button", "p-2 text-slate-400 hover:text-red-600 shrink-0")
+  button.type = "button"
+  button.title = title
+  button.setAttribute("aria-label", title)
+  button.append(el("span", "hero-x-mark w-4 h-4"))
+  button.addEventListener("click", onClick)
+  return button
+}
+
+// Builder controls are never form fields of their own
+function isolate(node) {
+  node.addEventListener("input", event => event.stopPropagation())
+  node.addEventListener("change", event => event.stopPropagation())
+  return node
+}
+
+function parseFilter(text) {
+  if (text.trim() === "") return emptyGroup()
+  try {
+    const filter = JSON.parse(text)
+    return isGroup(filter) ? filter : null
+  } catch (_e) {
+    return null
+  }
+}
+
+const FilterBuilder = {
+  mounted() {
+    this.input = this.el.querySelector("[data-filter-input]")
+    this.treeEl = this.el.querySelector("[data-filter-tree]")
+    this.summaryEl = this.el.querySelector("[data-filter-summary]")
+    this.countEl = this.el.querySelector("[data-filter-count]")
+    this.previewEl = this.el.querySelector("[data-filter-preview]")
+    this.events = JSON.parse(this.el.dataset.events || "[]")
+
+    // Header names seen in recent events, suggested for header conditions
+    const names = new Set(this.events.flatMap(event => Object.keys(event.headers || {})))
+    const datalist = el("datalist")
+    datalist.id = `${this.el.id}-headers`
+    datalist.append(...[...names].sort().map(name => Object.assign(el("option"), {value: name})))
+    this.el.append(datalist)
+
+    // A filter the builder can't show stays editable as JSON
+    this.filter = parseFilter(this.input.value)
+    if (!this.filter) return
+
+    this.input.hidden = true
+    this.treeEl.hidden = false
+    this.render(false)
+  },
+
+  render(announce = true) {
+    this.treeEl.replaceChildren(this.groupEl(this.filter, 1, null))
+    this.refresh(announce)
+  },
+
+  // Writes the filter back to the form and updates the summary and preview
+  refresh(announce = true) {
+    const filter = normalize(this.filter)
+    if (announce) {
+      this.input.value = filter ? JSON.stringify(filter) : ""
+      this.input.dispatchEvent(new Event("input", {bubbles: true}))
+    }
+
+    this.summaryEl.textContent = filter
+      ? `Forward when ${describe(filter)}`
+      : "No conditions: every event is forwarded."
+    this.renderPreview(filter)
+  },
+
+  groupEl(group, depth, parent) {
+    const element = el("div", depth === 1 ? "space-y-3" : "space-y-3 p-3 border border-slate-200 rounded-lg bg-slate-50/60")
+
+    const header = el("div", "flex items-center gap-2")
+    const combinator = isolate(
+      select(
+        [
+          ["and", depth === 1 ? "Forward events matching all of" : "All of"],
+          ["or", depth === 1 ? "Forward events matching any of" : "Any of"],
+        ],
+        group.combinator,
+        "Combine conditions with"
+      )
+    )
+    combinator.addEventListener("change", () => {
+      group.combinator = combinator.value
+      this.refresh()
+    })
+    header.append(combinator)
+    if (parent) {
+      header.append(el("span", "flex-1"), removeButton("Remove group", () => this.remove(parent, group)))
+    }
+
+    const rules = el("div", "space-y-2")
+    for (const node of group.rules) {
+      rules.append(isGroup(node) ? this.groupEl(node, depth + 1, group) : this.ruleEl(node, group))
+    }
+
+    const actions = el("div", "flex items-center gap-4")
+    if (countConditions(this.filter) < MAX_CONDITIONS) {
+      actions.append(textButton("Add condition", "hero-plus", () => this.add(group, emptyRule())))
+      if (depth < MAX_DEPTH) {
+        actions.append(
+          textButton("Add group", "hero-squares-plus", () =>
+            this.add(group, {...emptyGroup(group.combinator === "and" ? "or" : "and"), rules: [emptyRule()]})
+          )
+        )
+      }
+    } else {
+      actions.append(el("span", "text-xs text-slate-500", `A filter can have up to ${MAX_CONDITIONS} conditions.`))
+    }
+
+    element.append(header, rules, actions)
+    return element
+  },
+
+  ruleEl(rule, group) {
+    const element = el("div")
+    const row = el("div", "flex flex-wrap sm:flex-nowrap items-start gap-2")
+
+    const source = isolate(
+      select(
+        [
+          ["body", "Body"],
+          ["header", "Header"],
+        ],
+        rule.source,
+        "Source"
+      )
+    )
+    const path = isolate(el("input", `${INPUT_CLASS} font-mono flex-1`))
+    path.value = rule.path
+    path.placeholder = rule.source === "body" ? "$.type" : "X-GitHub-Event"
+    path.setAttribute("aria-label", rule.source === "body" ? "JSONPath" : "Header name")
+    if (rule.source === "header") path.setAttribute("list", `${this.el.id}-headers`)
+
+    const operator = isolate(select(OPERATORS, rule.operator, "Operator"))
+
+    const value = isolate(el("input", `${INPUT_CLASS} flex-1`))
+    value.hidden = VALUELESS_OPERATORS.includes(rule.operator)
+    value.value = Array.isArray(rule.value) ? rule.value.join(", ") : (rule.value ?? "")
+    value.placeholder = LIST_OPERATORS.includes(rule.operator) ? "push, release" : "invoice.paid"
+    value.setAttribute("aria-label", "Value")
+
+    const error = el("p", "text-xs text-red-600 mt-1")
+    const check = () => {
+      const message = ruleError(rule)
+      error.textContent = message ?? ""
+      error.hidden = message === null
+    }
+
+    source.addEventListener("change", () => {
+      const fresh = emptyRule(source.value)
+      Object.assign(rule, {source: fresh.source, path: fresh.path})
+      this.render()
+    })
+    path.addEventListener("input", () => {
+      rule.path = path.value
+      check()
+      this.refresh()
+    })
+    operator.addEventListener("change", () => {
+      this.replace(group, rule, changeOperator(rule, operator.value))
+    })
+    value.addEventListener("input", () => {
+      rule.value = LIST_OPERATORS.includes(rule.operator) ? splitValues(value.value) : value.value
+      check()
+      this.refresh()
+    })
+
+    row.append(source, path, operator, value, removeButton("Remove condition", () => this.remove(group, rule)))
+    element.append(row, error)
+    check()
+    return element
+  },
+
+  add(group, node) {
+    group.rules.push(node)
+    this.render()
+  },
+
+  replace(group, node, next) {
+    group.rules[group.rules.indexOf(node)] = next
+    this.render()
+  },
+
+  remove(group, node) {
+    group.rules.splice(group.rules.indexOf(node), 1)
+    this.render()
+  },
+
+  renderPreview(filter) {
+    if (this.events.length === 0) {
+      this.countEl.textContent = ""
+      this.previewEl.replaceChildren(
+        el("li", "py-3 text-sm text-slate-400 italic", "No events yet. Send a webhook to the inbound URL to preview the filter.")
+      )
+      return
+    }
+
+    const needsBody = filter !== null && usesBody(filter)
+    const verdicts = this.events.map(event => {
+      if (needsBody && event.body_too_large) return "unknown"
+      return matches(filter, event) ? "forward" : "filter"
+    })
+    const forwarded = verdicts.filter(verdict => verdict === "forward").length
+    this.countEl.textContent = `${forwarded} of ${this.events.length} would be forwarded`
+
+    this.previewEl.replaceChildren(
+      ...this.events.map((event, index) => {
+        const [label, color] = VERDICTS[verdicts[index]]
+        const item = el("li", "py-2 flex items-center gap-3 text-sm")
+        item.append(
+          el("span", `text-xs font-medium px-2 py-0.5 rounded shrink-0 w-28 text-center ${color}`, label),
+          el("span", "text-xs font-medium text-slate-500 bg-slate-100 px-2 py-0.5 rounded font-mono shrink-0", event.method),
+          el("span", "text-slate-700 shrink-0", new Date(event.received_at).toLocaleString()),
+          el("span", "text-xs text-slate-400 font-mono truncate min-w-0", (event.body || "").slice(0, 120))
+        )
+
+        const was = event.filtered ? "filter" : "forward"
+        if (verdicts[index] !== "unknown" && verdicts[index] !== was) {
+          item.append(el("span", "ml-auto text-xs text-amber-600 shrink-0", event.filtered ? "was filtered" : "was forwarded"))
+        }
+        return item
+      })
+    )
+  },
+}
+
+export default FilterBuilder
@@ -0,0 +1,53 @@
+// Keyboard navigation for menus, tabs and dialogs (assets/js/menu.js,
+// assets/js/tabs.js and assets/js/dialog.js).
+
+const ARROWS = {
+  vertical: {next: "ArrowDown", previous: "ArrowUp"},
+  horizontal: {next: "ArrowRight", previous: "ArrowLeft"},
+}
+
+// Index a key press moves to from `index` among `count` items, wrapping
+// around at either end, or null when the key doesn't move. An `index` of -1
+// (nothing focused yet) moves to the first or last item.
+export function moveIndex(index, count, key, orientation = "vertical") {
+  if (count === 0) return null
+  const {next, previous} = ARROWS[orientation]
+
+  switch (key) {
+    case next:
+      return index < 0 ? 0 : (index + 1) % count
+    case previous:
+      return index < 0 ? count - 1 : (index - 1 + count) % count
+    case "Home":
+      return 0
+    case "End":
+      return count - 1
+    default:
+      return null
+  }
+}
+
+// Type-to-select: the next item after `index` whose label starts with
+// `char`, wrapping around, or -1 when none does.
+export function typeaheadIndex(labels, index, char) {
+  const prefix = char.toLowerCase()
+
+  for (let step = 1; step <= labels.length; step++) {
+    const i = (index + step + labels.length) % labels.length
+    if (labels[i].trim().toLowerCase().startsWith(prefix)) return i
+  }
+  return -1
+}
+
+// Where Tab moves focus inside a dialog with `count` focusable elements:
+// from the last back to the first (or the other way round with Shift), and
+// into the dialog when focus is outside it. Returns null when the browser's
+// own move stays inside, and -1 when there is nothing to focus but the
+// dialog itself.
+export function trapIndex(index, count, backwards) {
+  if (count === 0) return -1
+  if (index < 0) return backwards ? count - 1 : 0
+  if (backwards && index === 0) return count - 1
+  if (!backwards && index === count - 1) return 0
+  return null
+}
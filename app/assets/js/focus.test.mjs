@@ -0,0 +1,42 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {moveIndex, trapIndex, typeaheadIndex} from "./focus.mjs"
+
+test("moves with the arrow keys and wraps around", () => {
+  assert.equal(moveIndex(0, 3, "ArrowDown"), 1)
+  assert.equal(moveIndex(2, 3, "ArrowDown"), 0)
+  assert.equal(moveIndex(0, 3, "ArrowUp"), 2)
+  assert.equal(moveIndex(1, 3, "Home"), 0)
+  assert.equal(moveIndex(1, 3, "End"), 2)
+  assert.equal(moveIndex(1, 3, "Enter"), null)
+  assert.equal(moveIndex(0, 0, "ArrowDown"), null)
+})
+
+test("starts from either end when nothing is focused", () => {
+  assert.equal(moveIndex(-1, 3, "ArrowDown"), 0)
+  assert.equal(moveIndex(-1, 3, "ArrowUp"), 2)
+})
+
+test("uses left and right for horizontal lists", () => {
+  assert.equal(moveIndex(0, 2, "ArrowRight", "horizontal"), 1)
+  assert.equal(moveIndex(0, 2, "ArrowLeft", "horizontal"), 1)
+  assert.equal(moveIndex(0, 2, "ArrowDown", "horizontal"), null)
+})
+
+test("jumps to the next item starting with a letter", () => {
+  const labels = [" Edit ", "Pause", "Delete", "Duplicate"]
+  assert.equal(typeaheadIndex(labels, -1, "d"), 2)
+  assert.equal(typeaheadIndex(labels, 2, "D"), 3)
+  assert.equal(typeaheadIndex(labels, 3, "d"), 2)
+  assert.equal(typeaheadIndex(labels, 0, "e"), 0)
+  assert.equal(typeaheadIndex(labels, 0, "x"), -1)
+})
+
+test("keeps Tab inside a dialog", () => {
+  assert.equal(trapIndex(2, 3, false), 0)
+  assert.equal(trapIndex(0, 3, true), 2)
+  assert.equal(trapIndex(1, 3, false), null)
+  assert.equal(trapIndex(-1, 3, false), 0)
+  assert.equal(trapIndex(-1, 3, true), 2)
+  assert.equal(trapIndex(-1, 0, false), -1)
+})
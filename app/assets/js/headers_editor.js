@@ -0,0 +1,171 @@
+// Key/value table for request headers, rendered by
+// PrikkeWeb.RequestEditors.headers_editor/1.
+//
+// The JSON textarea stays the form field: every edit in the table is written
+// back to it and announced with an input event, so phx-change and the
+// BodyEditor's Content-Type check see it. "Edit as JSON" shows the textarea
+// itself; switching back needs it to hold a JSON object.
+
+import {HEADER_NAMES, checkJson, headersFromJson, headersToJson, headerErrors} from "./request.mjs"
+
+const INPUT_CLASS =
+  "min-w-0 px-3 py-2 font-mono text-sm bg-white/70 border rounded-md text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+const HeadersEditor = {
+  mounted() {
+    this.input = this.el.querySelector("[data-headers-input]")
+    this.rowsEl = this.el.querySelector("[data-headers-rows]")
+    this.errorEl = this.el.querySelector("[data-headers-error]")
+    this.addButton = this.el.querySelector("[data-headers-add]")
+    this.modeButton = this.el.querySelector("[data-headers-mode]")
+
+    this.datalistId = `${this.el.id}-names`
+    const datalist = el("datalist")
+    datalist.id = this.datalistId
+    datalist.append(...HEADER_NAMES.map(name => Object.assign(el("option"), {value: name})))
+    this.el.append(datalist)
+
+    this.modeButton.hidden = false
+    this.addButton.addEventListener("click", () => this.addRow("", "").name.focus())
+    this.modeButton.addEventListener("click", () => (this.rows ? this.showJson() : this.showTable()))
+    this.input.addEventListener("input", () => {
+      if (!this.rows) this.checkInput()
+    })
+
+    // Lets other hooks set a header, e.g. BodyEditor's Content-Type fix
+    this.el.addEventListener("headers:set", event => this.setHeader(event.detail.name, event.detail.value))
+
+    if (!this.showTable()) this.showJson()
+  },
+
+  // Switches to the table. Returns false, leaving the JSON in place, if it
+  // isn't an object.
+  showTable() {
+    const entries = headersFromJson(this.input.value)
+    if (entries === null) {
+      this.checkInput()
+      return false
+    }
+
+    this.rows = []
+    this.rowsEl.replaceChildren()
+    for (const [name, value] of entries) this.addRow(name, value)
+    if (entries.length === 0) this.addRow("", "")
+
+    this.input.hidden = true
+    this.rowsEl.hidden = false
+    this.addButton.hidden = false
+    this.modeButton.textContent = "Edit as JSON"
+    this.validate()
+    return true
+  },
+
+  showJson() {
+    this.rows = null
+    this.rowsEl.hidden = true
+    this.addButton.hidden = true
+    this.input.hidden = false
+    this.modeButton.textContent = "Edit as table"
+    this.checkInput()
+  },
+
+  addRow(name, value) {
+    const row = {element: el("div", "flex items-start gap-2")}
+
+    row.name = el("input", `${INPUT_CLASS} w-full`)
+    row.name.setAttribute("list", this.datalistId)
+    row.name.placeholder = "Header name"
+    row.name.setAttribute("aria-label", "Header name")
+    row.name.value = name
+
+    row.value = el("input", `${INPUT_CLASS} flex-1`)
+    row.value.placeholder = "Value"
+    row.value.setAttribute("aria-label", "Header value")
+    row.value.value = value
+
+    const remove = el("button", "p-2 text-slate-400 hover:text-red-600")
+    remove.type = "button"
+    remove.title = "Remove header"
+    remove.setAttribute("aria-label", "Remove header")
+    remove.append(el("span", "hero-x-mark w-4 h-4"))
+    remove.addEventListener("click", () => {
+      this.rows.splice(this.rows.indexOf(row), 1)
+      row.element.remove()
+      if (this.rows.length === 0) this.addRow("", "")
+      this.sync()
+    })
+
+    row.error = el("p", "text-xs text-red-600 mt-1")
+    row.error.hidden = true
+    const nameCell = el("div", "w-2/5")
+    nameCell.append(row.name, row.error)
+
+    // Names and values are never form fields of their own
+    for (const input of [row.name, row.value]) {
+      input.addEventListener("input", event => {
+        event.stopPropagation()
+        this.sync()
+      })
+      input.addEventListener("change", event => event.stopPropagation())
+    }
+
+    row.element.append(nameCell, row.value, remove)
+    this.rowsEl.append(row.element)
+    this.rows.push(row)
+    return row
+  },
+
+  setHeader(name, value) {
+    if (!this.rows && !this.showTable()) return
+
+    const existing = this.rows.find(row => row.name.value.trim().toLowerCase() === name.toLowerCase())
+    const blank = this.rows.find(row => row.name.value === "" && row.value.value === "")
+    const row = existing || blank || this.addRow("", "")
+    row.name.value = name
+    row.value.value = value
+    this.sync()
+  },
+
+  entries() {
+    return this.rows.map(row => [row.name.value, row.value.value])
+  },
+
+  validate() {
+    headerErrors(this.entries()).forEach((error, i) => {
+      const {name, error: message} = this.rows[i]
+      message.textContent = error || ""
+      message.hidden = !error
+      name.classList.toggle("border-red-500", !!error)
+      name.classList.toggle("border-white/50", !error)
+    })
+  },
+
+  sync() {
+    this.validate()
+    this.input.value = headersToJson(this.entries())
+    this.input.dispatchEvent(new Event("input", {bubbles: true}))
+  },
+
+  checkInput() {
+    const text = this.input.value
+    let message = null
+
+    if (text.trim() !== "") {
+      const {error} = checkJson(text)
+      if (error) message = `${error.message} (line ${error.line}, column ${error.column})`
+      else if (headersFromJson(text) === null) message = "Headers must be a JSON object"
+    }
+
+    this.errorEl.textContent = message || ""
+    this.errorEl.hidden = !message
+  },
+}
+
+export default HeadersEditor
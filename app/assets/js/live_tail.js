@@ -0,0 +1,199 @@
+// Live tail list, rendered by PrikkeWeb.LiveTail.
+//
+// Items arrive through the "live_tail" push event (sent from the LiveView's
+// existing PubSub handle_info callbacks) and are kept in a capped buffer,
+// oldest first. Items with an id already in the buffer are updated in place,
+// so a status change doesn't add a second row. Only the rows in view are in
+// the DOM, which keeps a busy endpoint from bogging down the page.
+
+const ROW_HEIGHT = 36
+const OVERSCAN = 8
+const DEFAULT_CAPACITY = 500
+
+const STATUS_CLASSES = {
+  success: "bg-emerald-100 text-emerald-700",
+  failed: "bg-red-100 text-red-700",
+  timeout: "bg-amber-100 text-amber-700",
+  running: "bg-blue-100 text-blue-700",
+  pending: "bg-slate-100 text-slate-600",
+  filtered: "bg-purple-100 text-purple-700",
+}
+
+// "404" matches that status code, "5xx" any 5xx; anything else is a
+// case-insensitive text search over status, method and summary
+function matches(item, query) {
+  if (!query) return true
+
+  const code = query.match(/^([1-5])(\d\d|xx)$/)
+  if (code) {
+    const status = String(item.status_code ?? "")
+    return code[2] === "xx" ? status.length === 3 && status.startsWith(code[1]) : status === query
+  }
+
+  return [item.status, item.method, item.summary, item.status_code]
+    .some(value => value != null && String(value).toLowerCase().includes(query))
+}
+
+function formatDuration(ms) {
+  if (ms == null) return ""
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`
+  return `${(ms / 60_000).toFixed(1)}m`
+}
+
+const LiveTail = {
+  mounted() {
+    this.capacity = parseInt(this.el.dataset.capacity, 10) || DEFAULT_CAPACITY
+    this.items = []
+    this.byId = new Map()
+    this.pending = []
+    this.visible = []
+    this.paused = false
+    this.follow = true
+    this.query = ""
+
+    this.viewport = this.el.querySelector("[data-tail-viewport]")
+    this.spacer = this.el.querySelector("[data-tail-spacer]")
+    this.empty = this.el.querySelector("[data-tail-empty]")
+    this.count = this.el.querySelector("[data-tail-count]")
+    this.pauseButton = this.el.querySelector("[data-tail-pause]")
+    this.jumpButton = this.el.querySelector("[data-tail-jump]")
+    this.filterInput = this.el.querySelector("[data-tail-filter]")
+
+    this.viewport.addEventListener("scroll", () => {
+      // Stop following as soon as the user scrolls away from the bottom
+      const {scrollTop, scrollHeight, clientHeight} = this.viewport
+      this.follow = scrollHeight - scrollTop - clientHeight < ROW_HEIGHT
+      this.jumpButton.classList.toggle("hidden", this.follow)
+      this.renderRows()
+    })
+
+    this.filterInput.addEventListener("input", () => {
+      this.query = this.filterInput.value.trim().toLowerCase()
+      this.refresh()
+    })
+
+    this.pauseButton.addEventListener("click", () => this.togglePause())
+    this.jumpButton.addEventListener("click", () => {
+      this.follow = true
+      this.jumpButton.classList.add("hidden")
+      this.scrollToBottom()
+    })
+
+    this.handleEvent("live_tail", ({id, items}) => {
+      if (id === this.el.id) this.receive(items)
+    })
+
+    this.add(JSON.parse(this.el.dataset.seed || "[]"))
+  },
+
+  receive(items) {
+    if (this.paused) {
+      this.pending.push(...items)
+      this.updateControls()
+    } else {
+      this.add(items)
+    }
+  },
+
+  add(items) {
+    for (const item of items) {
+      const existing = this.byId.get(item.id)
+      if (existing) {
+        Object.assign(existing, item)
+      } else {
+        this.items.push(item)
+        this.byId.set(item.id, item)
+      }
+    }
+
+    while (this.items.length > this.capacity) {
+      this.byId.delete(this.items.shift().id)
+    }
+
+    this.refresh()
+  },
+
+  togglePause() {
+    this.paused = !this.paused
+    if (!this.paused && this.pending.length > 0) {
+      const pending = this.pending
+      this.pending = []
+      this.add(pending)
+    } else {
+      this.updateControls()
+    }
+  },
+
+  refresh() {
+    this.visible = this.items.filter(item => matches(item, this.query))
+    this.spacer.style.height = `${this.visible.length * ROW_HEIGHT}px`
+    this.empty.classList.toggle("hidden", this.visible.length > 0)
+
+    if (this.follow) this.scrollToBottom()
+    this.renderRows()
+    this.updateControls()
+  },
+
+  scrollToBottom() {
+    this.viewport.scrollTop = this.viewport.scrollHeight
+  },
+
+  updateControls() {
+    const shown = this.visible.length
+    const total = this.items.length
+    this.count.textContent = shown === total ? `${total} items` : `${shown} of ${total} items`
+
+    this.pauseButton.textContent = this.paused
+      ? `Resume${this.pending.length > 0 ? ` (${this.pending.length} new)` : ""}`
+      : "Pause"
+    this.pauseButton.setAttribute("aria-pressed", String(this.paused))
+  },
+
+  renderRows() {
+    const {scrollTop, clientHeight} = this.viewport
+    const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+    const last = Math.min(this.visible.length, Math.ceil((scrollTop + clientHeight) / ROW_HEIGHT) + OVERSCAN)
+
+    const rows = []
+    for (let i = first; i < last; i++) rows.push(this.renderRow(this.visible[i], i))
+    this.spacer.replaceChildren(...rows)
+  },
+
+  renderRow(item, index) {
+    const row = document.createElement("a")
+    row.href = item.href
+    // Let LiveView handle the click as live navigation
+    row.setAttribute("data-phx-link", "redirect")
+    row.setAttribute("data-phx-link-state", "push")
+    row.className =
+      "absolute inset-x-0 flex items-center gap-3 px-3 text-sm hover:bg-slate-50 border-b border-slate-100"
+    row.style.top = `${index * ROW_HEIGHT}px`
+    row.style.height = `${ROW_HEIGHT}px`
+
+    const time = document.createElement("span")
+    time.className = "text-xs text-slate-400 font-mono shrink-0 w-16"
+    time.textContent = new Date(item.at).toLocaleTimeString("en-GB", {hour12: false})
+
+    const status = document.createElement("span")
+    status.className = `text-xs font-medium px-2 py-0.5 rounded shrink-0 ${STATUS_CLASSES[item.status] || STATUS_CLASSES.pending}`
+    status.textContent = item.status
+
+    const code = document.createElement("span")
+    code.className = "text-xs font-mono text-slate-500 shrink-0 w-8"
+    code.textContent = item.status_code ?? ""
+
+    const summary = document.createElement("span")
+    summary.className = "flex-1 min-w-0 truncate text-slate-600"
+    summary.textContent = [item.method, item.summary].filter(Boolean).join(" ")
+
+    const duration = document.createElement("span")
+    duration.className = "text-xs text-slate-400 shrink-0"
+    duration.textContent = formatDuration(item.duration_ms)
+
+    row.append(time, status, code, summary, duration)
+    return row
+  },
+}
+
+export default LiveTail
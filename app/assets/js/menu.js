@@ -0,0 +1,156 @@
+// Menu buttons: the actions menus on resource pages (PrikkeWeb.Menu) and the
+// account menu in the root layout.
+//
+// `[data-menu]` wraps a `[data-menu-button]` and a `[data-menu-items]` list
+// rendered `hidden`; the links and buttons in the list are its items. Missing
+// ARIA roles, ids and `aria-expanded` are filled in here.
+//
+// Enter, Space or ArrowDown on the button opens the menu on its first item,
+// ArrowUp on its last. In the menu the arrow keys, Home and End move between
+// items, typing a letter jumps to the next item starting with it, Escape
+// closes it and returns focus to the button and Tab closes it. Clicking an
+// item or anywhere outside closes it too, and opening a menu closes any
+// other.
+//
+// Whether a menu is open is kept here rather than in the DOM, so `sync()` can
+// put it back after a LiveView patch re-renders the menu.
+
+import {moveIndex, typeaheadIndex} from "./focus.mjs"
+
+const ITEMS = '[role="menuitem"], a[href], button:not([disabled])'
+
+let uid = 0
+let openMenu = null
+
+function ensureId(el, prefix) {
+  if (!el.id) el.id = `${prefix}-${++uid}`
+  return el.id
+}
+
+export function mountMenu(root) {
+  const button = () => root.querySelector("[data-menu-button]")
+  const list = () => root.querySelector("[data-menu-items]")
+  const items = () => [...list().querySelectorAll(ITEMS)]
+  let open = false
+
+  const menu = {
+    sync() {
+      const trigger = button()
+      const menuList = list()
+
+      trigger.setAttribute("aria-haspopup", "menu")
+      trigger.setAttribute("aria-expanded", String(open))
+      trigger.setAttribute("aria-controls", ensureId(menuList, "menu"))
+      menuList.setAttribute("role", "menu")
+      menuList.setAttribute("aria-labelledby", ensureId(trigger, "menu-button"))
+      menuList.hidden = !open
+
+      for (const item of items()) {
+        item.setAttribute("role", "menuitem")
+        item.tabIndex = -1
+      }
+    },
+
+    show(focus = "first") {
+      if (openMenu && openMenu !== menu) openMenu.hide(false)
+      open = true
+      openMenu = menu
+      menu.sync()
+
+      const all = items()
+      all[focus === "last" ? all.length - 1 : 0]?.focus()
+    },
+
+    hide(returnFocus = true) {
+      if (!open) return
+      open = false
+      if (openMenu === menu) openMenu = null
+      menu.sync()
+      if (returnFocus) button().focus()
+    },
+
+    destroy() {
+      root.removeEventListener("click", onClick)
+      root.removeEventListener("keydown", onKeydown)
+      document.removeEventListener("click", onDocumentClick)
+      if (openMenu === menu) openMenu = null
+    },
+  }
+
+  const onClick = e => {
+    if (e.target.closest("[data-menu-button]") === button()) {
+      open ? menu.hide() : menu.show()
+      return
+    }
+    const item = e.target.closest('[role="menuitem"]')
+    if (item && list().contains(item)) menu.hide()
+  }
+
+  const onDocumentClick = e => {
+    if (open && !root.contains(e.target)) menu.hide(false)
+  }
+
+  const onKeydown = e => {
+    if (e.target.closest("[data-menu-button]") === button()) {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault()
+        menu.show(e.key === "ArrowUp" ? "last" : "first")
+      } else if (e.key === "Escape" && open) {
+        menu.hide()
+      }
+      return
+    }
+    if (!open) return
+
+    const all = items()
+    const index = all.indexOf(document.activeElement)
+
+    switch (e.key) {
+      case "Escape":
+        e.preventDefault()
+        menu.hide()
+        return
+      case "Tab":
+        menu.hide(false)
+        return
+      case " ":
+        // Buttons already activate on Space, links only on Enter
+        if (document.activeElement.tagName === "A") {
+          e.preventDefault()
+          document.activeElement.click()
+        }
+        return
+    }
+
+    const next = moveIndex(index, all.length, e.key)
+    if (next !== null) {
+      e.preventDefault()
+      all[next].focus()
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const match = typeaheadIndex(all.map(item => item.textContent), index, e.key)
+      if (match >= 0) all[match].focus()
+    }
+  }
+
+  root.addEventListener("click", onClick)
+  root.addEventListener("keydown", onKeydown)
+  document.addEventListener("click", onDocumentClick)
+  menu.sync()
+  return menu
+}
+
+const Menu = {
+  mounted() {
+    this.menu = mountMenu(this.el)
+  },
+
+  updated() {
+    this.menu.sync()
+  },
+
+  destroyed() {
+    this.menu.destroy()
+  },
+}
+
+export default Menu
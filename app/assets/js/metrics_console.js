@@ -0,0 +1,166 @@
+// Operations console charts on the superadmin dashboard, rendered by
+// PrikkeWeb.SuperadminLive.
+//
+// The initial window's buckets come in `data-series` and alerts in
+// `data-annotations`. After that the LiveView pushes "metrics:points" with the
+// latest buckets, which are merged into the series, and "metrics:reset" with a
+// whole new series when the window changes, so the page itself isn't
+// re-rendered. Alerts are drawn as bands across every chart.
+
+import {
+  annotationBands,
+  formatValue,
+  latestValue,
+  linePaths,
+  mergePoints,
+  niceMax,
+  timeDomain,
+} from "./metrics_console.mjs"
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const WIDTH = 300
+const HEIGHT = 96
+
+function svg(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag)
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value)
+  return el
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function parse(json) {
+  try {
+    return JSON.parse(json || "[]")
+  } catch (_e) {
+    return []
+  }
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString([], {month: "short", day: "numeric", hour: "2-digit", minute: "2-digit"})
+}
+
+const MetricsConsole = {
+  mounted() {
+    this.charts = [...this.el.querySelectorAll("[data-console-chart]")].map(chart => {
+      const canvas = chart.querySelector("[data-console-canvas]")
+      return {
+        canvas,
+        key: chart.dataset.consoleChart,
+        format: chart.dataset.format,
+        label: canvas.getAttribute("aria-label"),
+        value: chart.querySelector("[data-console-value]"),
+        tooltip: el("div", "absolute bottom-full mb-1 px-2 py-1 bg-slate-800 text-white text-xs rounded whitespace-nowrap z-10 pointer-events-none hidden"),
+      }
+    })
+
+    for (const chart of this.charts) {
+      chart.canvas.addEventListener("pointermove", e => this.showTooltip(chart, e))
+      chart.canvas.addEventListener("pointerleave", () => chart.tooltip.classList.add("hidden"))
+    }
+
+    this.window = this.el.dataset.window
+    this.reset(parse(this.el.dataset.series), parse(this.el.dataset.annotations))
+
+    this.handleEvent("metrics:reset", ({window, points, annotations}) => {
+      this.window = window
+      this.reset(points, annotations)
+    })
+
+    this.handleEvent("metrics:points", ({window, points, annotations}) => {
+      // Points for a window the user has just switched away from
+      if (window !== this.window) return
+      this.points = mergePoints(this.points, points, this.size)
+      this.annotations = annotations
+      this.render()
+    })
+  },
+
+  reset(points, annotations) {
+    this.points = points
+    this.size = points.length
+    this.annotations = annotations
+    this.render()
+  },
+
+  render() {
+    const domain = timeDomain(this.points)
+    for (const chart of this.charts) this.renderChart(chart, domain)
+  },
+
+  renderChart(chart, domain) {
+    const values = this.points.map(p => p[chart.key]).filter(v => v !== null && v !== undefined)
+    const max = chart.format === "percent" ? 100 : niceMax(Math.max(0, ...values))
+    const latest = formatValue(chart.format, latestValue(this.points, chart.key))
+
+    const root = svg("svg", {
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      preserveAspectRatio: "none",
+      class: "w-full h-full block overflow-visible",
+      "aria-hidden": "true",
+    })
+
+    if (domain) {
+      for (const band of annotationBands(this.annotations, domain, Date.now())) {
+        const rect = svg("rect", {
+          x: band.start * WIDTH,
+          y: 0,
+          width: Math.max((band.end - band.start) * WIDTH, 1),
+          height: HEIGHT,
+          fill: "currentColor",
+          "fill-opacity": "0.15",
+          class: band.level === "critical" ? "text-red-500" : "text-amber-400",
+        })
+        const title = svg("title", {})
+        title.textContent = band.label
+        rect.append(title)
+        root.append(rect)
+      }
+
+      const {line, area} = linePaths(this.points, chart.key, domain, WIDTH, HEIGHT, max)
+      const series = svg("g", {class: "text-emerald-500"})
+      series.append(
+        svg("path", {d: area, fill: "currentColor", "fill-opacity": "0.12", stroke: "none"}),
+        svg("path", {
+          d: line,
+          fill: "none",
+          stroke: "currentColor",
+          "stroke-width": "1.5",
+          "stroke-linejoin": "round",
+          "vector-effect": "non-scaling-stroke",
+        }),
+      )
+      root.append(series)
+    }
+
+    chart.value.textContent = latest
+    chart.canvas.setAttribute("aria-label", `${chart.label}, latest ${latest}`)
+    chart.canvas.replaceChildren(
+      root,
+      el("div", "absolute top-0 left-0 text-[10px] leading-none text-slate-400", formatValue(chart.format, max)),
+      chart.tooltip,
+    )
+  },
+
+  showTooltip(chart, e) {
+    if (this.points.length === 0) return
+
+    const rect = chart.canvas.getBoundingClientRect()
+    const offsetX = e.clientX - rect.left
+    const index = Math.max(0, Math.min(this.points.length - 1, Math.floor((offsetX / rect.width) * this.points.length)))
+    const point = this.points[index]
+
+    chart.tooltip.textContent = `${formatTime(point.start)} · ${formatValue(chart.format, point[chart.key])}`
+    const maxLeft = rect.width - chart.tooltip.offsetWidth
+    chart.tooltip.style.left = `${Math.max(0, Math.min(offsetX - 40, maxLeft))}px`
+    chart.tooltip.classList.remove("hidden")
+  },
+}
+
+export default MetricsConsole
@@ -0,0 +1,116 @@
+// Series and geometry for the MetricsConsole hook (assets/js/metrics_console.js).
+
+// Buckets are `{start, ...metrics}` with an ISO8601 start, oldest first.
+// Pushed buckets replace the ones with the same start (the bucket still
+// filling up) and the series is trimmed back to its newest `size` buckets.
+export function mergePoints(points, incoming, size) {
+  const byStart = new Map(points.map(point => [point.start, point]))
+  for (const point of incoming) byStart.set(point.start, point)
+
+  return [...byStart.values()]
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start))
+    .slice(-size)
+}
+
+// Time span covered by the series, in milliseconds, up to the end of the last
+// bucket.
+export function timeDomain(points) {
+  if (points.length === 0) return null
+
+  const first = Date.parse(points[0].start)
+  const last = Date.parse(points.at(-1).start)
+  const step = points.length > 1 ? Date.parse(points[1].start) - first : 60_000
+  return {from: first, to: last + step, step}
+}
+
+// Rounds a scale maximum up to 1, 2 or 5 times a power of ten
+export function niceMax(value) {
+  if (!(value > 0)) return 1
+  const magnitude = 10 ** Math.floor(Math.log10(value))
+  return [1, 2, 5, 10].find(n => n * magnitude >= value) * magnitude
+}
+
+// SVG path data for one metric's line and the area under it, in a
+// `width` x `height` box scaled to `max`. Each bucket sits at its middle and
+// the line breaks where a bucket has no value.
+export function linePaths(points, key, domain, width, height, max) {
+  const span = domain.to - domain.from
+  const half = (domain.step / span) * width / 2
+  const x = point => round(((Date.parse(point.start) - domain.from) / span) * width + half)
+  const y = value => round(height - (Math.min(value, max) / max) * height)
+
+  const segments = []
+  let segment = []
+  for (const point of points) {
+    const value = point[key]
+    if (value === null || value === undefined) {
+      if (segment.length > 0) segments.push(segment)
+      segment = []
+    } else {
+      segment.push([x(point), y(value)])
+    }
+  }
+  if (segment.length > 0) segments.push(segment)
+
+  // A lone bucket is drawn as a short flat line across its width
+  const lines = segments.map(coords =>
+    coords.length === 1 ? [[round(coords[0][0] - half), coords[0][1]], [round(coords[0][0] + half), coords[0][1]]] : coords
+  )
+
+  const path = coords => coords.map(([cx, cy], i) => `${i === 0 ? "M" : "L"}${cx} ${cy}`).join(" ")
+  return {
+    line: lines.map(path).join(" "),
+    area: lines.map(coords => `${path(coords)} L${coords.at(-1)[0]} ${height} L${coords[0][0]} ${height} Z`).join(" "),
+  }
+}
+
+// Alerts as bands across the charts, clipped to the domain, with start and
+// end as fractions of its width. Alerts that are still active have no
+// `until` and run up to `now`.
+export function annotationBands(annotations, domain, now) {
+  const span = domain.to - domain.from
+
+  return annotations.flatMap(alert => {
+    const since = Date.parse(alert.since)
+    const until = alert.until ? Date.parse(alert.until) : now
+    if (until < domain.from || since > domain.to) return []
+
+    return [{
+      start: (Math.max(since, domain.from) - domain.from) / span,
+      end: (Math.min(until, domain.to) - domain.from) / span,
+      level: alert.level,
+      label: `${alert.level === "critical" ? "CRITICAL" : "WARNING"} ${alert.metric}: ${alert.value}`,
+    }]
+  })
+}
+
+// Value of the last full bucket, skipping the one still filling up
+export function latestValue(points, key) {
+  const full = points.length > 1 ? points.slice(0, -1) : points
+  const point = full.findLast(p => p[key] !== null && p[key] !== undefined)
+  return point ? point[key] : null
+}
+
+export function formatValue(format, value) {
+  if (value === null || value === undefined) return "-"
+
+  switch (format) {
+    case "percent":
+      return `${round(value, 1)}%`
+    case "rate":
+      return `${round(value, 1)}/min`
+    default:
+      return formatDuration(Math.round(value))
+  }
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`
+  return `${(ms / 60_000).toFixed(1)}m`
+}
+
+function round(n, digits = 2) {
+  const factor = 10 ** digits
+  return Math.round(n * factor) / factor
+}
@@ -0,0 +1,89 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {
+  annotationBands,
+  formatValue,
+  latestValue,
+  linePaths,
+  mergePoints,
+  niceMax,
+  timeDomain,
+} from "./metrics_console.mjs"
+
+const minute = m => `2026-10-19T12:${String(m).padStart(2, "0")}:00Z`
+
+test("merges pushed buckets by start and keeps the newest", () => {
+  const points = [0, 1, 2].map(m => ({start: minute(m), throughput: m}))
+  const merged = mergePoints(points, [{start: minute(2), throughput: 5}, {start: minute(3), throughput: 1}], 3)
+
+  assert.deepEqual(merged.map(p => [p.start, p.throughput]), [
+    [minute(1), 1],
+    [minute(2), 5],
+    [minute(3), 1],
+  ])
+})
+
+test("covers the series up to the end of the last bucket", () => {
+  const domain = timeDomain([{start: minute(0)}, {start: minute(1)}])
+  assert.equal(domain.to - domain.from, 120_000)
+  assert.equal(domain.step, 60_000)
+  assert.equal(timeDomain([]), null)
+})
+
+test("rounds the scale up", () => {
+  assert.equal(niceMax(0), 1)
+  assert.equal(niceMax(3), 5)
+  assert.equal(niceMax(120), 200)
+  assert.equal(niceMax(1000), 1000)
+})
+
+test("breaks the line where buckets have no value", () => {
+  const points = [
+    {start: minute(0), queue_wait_ms: 0},
+    {start: minute(1), queue_wait_ms: 100},
+    {start: minute(2), queue_wait_ms: null},
+    {start: minute(3), queue_wait_ms: 50},
+  ]
+  const {line, area} = linePaths(points, "queue_wait_ms", timeDomain(points), 40, 10, 100)
+
+  assert.equal(line, "M5 10 L15 0 M30 5 L40 5")
+  assert.equal(area, "M5 10 L15 0 L15 10 L5 10 Z M30 5 L40 5 L40 10 L30 10 Z")
+})
+
+test("clips alerts to the window and runs active ones up to now", () => {
+  const domain = {from: Date.parse(minute(0)), to: Date.parse(minute(10)), step: 60_000}
+  const bands = annotationBands(
+    [
+      {level: "warning", metric: "queue_depth", value: 60, since: "2026-10-19T11:00:00Z", until: "2026-10-19T11:30:00Z"},
+      {level: "warning", metric: "cpu_percent", value: 85.2, since: "2026-10-19T11:55:00Z", until: minute(5)},
+      {level: "critical", metric: "queue_depth", value: 200, since: minute(8)},
+    ],
+    domain,
+    Date.parse(minute(9))
+  )
+
+  assert.deepEqual(bands, [
+    {start: 0, end: 0.5, level: "warning", label: "WARNING cpu_percent: 85.2"},
+    {start: 0.8, end: 0.9, level: "critical", label: "CRITICAL queue_depth: 200"},
+  ])
+})
+
+test("reads the last full bucket", () => {
+  const points = [
+    {start: minute(0), throughput: 4},
+    {start: minute(1), throughput: null},
+    {start: minute(2), throughput: 1},
+  ]
+  assert.equal(latestValue(points, "throughput"), 4)
+  assert.equal(latestValue(points.slice(0, 1), "throughput"), 4)
+  assert.equal(latestValue([], "throughput"), null)
+})
+
+test("formats values", () => {
+  assert.equal(formatValue("percent", 12.34), "12.3%")
+  assert.equal(formatValue("rate", 4), "4/min")
+  assert.equal(formatValue("duration", 250), "250ms")
+  assert.equal(formatValue("duration", 1500), "1.5s")
+  assert.equal(formatValue("duration", 90_000), "1.5m")
+  assert.equal(formatValue("duration", null), "-")
+})
@@ -0,0 +1,153 @@
+// Payload helpers for the PayloadViewer hook (assets/js/payload_viewer.js).
+
+const MAX_MATCHES = 1000
+
+// Best guess at what a body is. The content type wins when there is one,
+// otherwise the body itself is sniffed.
+export function detectFormat(text, contentType = "") {
+  const type = contentType.toLowerCase()
+  const body = text.trimStart()
+
+  if (type.includes("json")) return parseJson(text) === undefined ? "text" : "json"
+  if (type.includes("html")) return "html"
+  if (type.includes("xml")) return "xml"
+  if (type.includes("x-www-form-urlencoded")) return "form"
+
+  if ((body.startsWith("{") || body.startsWith("[")) && parseJson(text) !== undefined) return "json"
+  if (/^<!doctype html|^<html[\s>]/i.test(body)) return "html"
+  if (body.startsWith("<?xml") || /^<[A-Za-z][\w:.-]*[\s>/]/.test(body)) return "xml"
+  if (/^[\w.%+\-[\]]+=[^&\s]*(&[\w.%+\-[\]]+=[^&\s]*)*$/.test(text.trim())) return "form"
+  return "text"
+}
+
+export function parseJson(text) {
+  try {
+    return JSON.parse(text)
+  } catch (_e) {
+    return undefined
+  }
+}
+
+// Form-encoded bodies become an object so they can use the JSON tree.
+// Repeated keys collect into an array.
+export function parseForm(text) {
+  const result = {}
+  for (const [key, value] of new URLSearchParams(text.trim())) {
+    if (!(key in result)) {
+      result[key] = value
+    } else if (Array.isArray(result[key])) {
+      result[key].push(value)
+    } else {
+      result[key] = [result[key], value]
+    }
+  }
+  return result
+}
+
+// JSONPath for a list of keys and array indexes, e.g. $.data.items[0]['x-id']
+export function jsonPath(segments) {
+  return segments.reduce((path, segment) => {
+    if (typeof segment === "number") return `${path}[${segment}]`
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${path}.${segment}`
+    return `${path}['${segment.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}']`
+  }, "$")
+}
+
+// Paths to every key or scalar value containing `query` (case-insensitive),
+// in document order
+export function findMatches(value, query, limit = MAX_MATCHES) {
+  const needle = query.toLowerCase()
+  const matches = []
+  if (!needle) return matches
+
+  const visit = (node, path) => {
+    if (matches.length >= limit) return
+
+    if (node !== null && typeof node === "object") {
+      const entries = Array.isArray(node) ? node.map((v, i) => [i, v]) : Object.entries(node)
+      for (const [key, child] of entries) {
+        const childPath = [...path, key]
+        if (typeof key === "string" && key.toLowerCase().includes(needle)) {
+          matches.push(childPath)
+        } else if (child === null || typeof child !== "object") {
+          if (String(child).toLowerCase().includes(needle)) matches.push(childPath)
+        }
+        visit(child, childPath)
+      }
+    }
+  }
+
+  visit(value, [])
+  return matches.slice(0, limit)
+}
+
+// Indents XML or HTML one tag per line, keeping <a>text</a> together. It is
+// only meant to make a minified document readable, not to validate it.
+export function prettyMarkup(text) {
+  const tokens = text.replace(/>\s+</g, "><").trim().split(/(?=<)|(?<=>)/)
+  const lines = []
+  let depth = 0
+
+  for (const token of tokens) {
+    const value = token.trim()
+    if (!value) continue
+    const last = lines[lines.length - 1]
+
+    if (value.startsWith("</")) {
+      depth = Math.max(depth - 1, 0)
+      if (last && last.open) {
+        last.value += value
+        last.open = false
+      } else {
+        lines.push({indent: depth, value})
+      }
+    } else if (isOpeningTag(value)) {
+      lines.push({indent: depth, value, open: true})
+      depth++
+    } else if (!value.startsWith("<") && last && last.open && !last.text) {
+      last.value += value
+      last.text = true
+    } else {
+      if (last) last.open = false
+      lines.push({indent: depth, value})
+    }
+  }
+
+  return lines.map(line => "  ".repeat(line.indent) + line.value).join("\n")
+}
+
+function isOpeningTag(token) {
+  return /^<[A-Za-z][^>]*>$/.test(token) && !token.endsWith("/>") && !isVoidElement(token)
+}
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+])
+
+function isVoidElement(tag) {
+  const name = tag.match(/^<([A-Za-z][\w:.-]*)/)
+  return name !== null && VOID_ELEMENTS.has(name[1].toLowerCase())
+}
+
+// Splits text into display lines, breaking very long lines (minified
+// payloads) into pieces so no single DOM node gets huge
+export function splitLines(text, maxLength = 10_000) {
+  const lines = []
+  for (const line of text.split("\n")) {
+    if (line.length <= maxLength) {
+      lines.push(line)
+    } else {
+      for (let i = 0; i < line.length; i += maxLength) lines.push(line.slice(i, i + maxLength))
+    }
+  }
+  return lines
+}
+
+export const EXTENSIONS = {json: "json", xml: "xml", html: "html", form: "txt", text: "txt"}
+export const MIME_TYPES = {
+  json: "application/json",
+  xml: "application/xml",
+  html: "text/html",
+  form: "application/x-www-form-urlencoded",
+  text: "text/plain",
+}
@@ -0,0 +1,44 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {detectFormat, parseForm, jsonPath, findMatches, prettyMarkup, splitLines} from "./payload.mjs"
+
+test("detects formats from the content type or the body", () => {
+  assert.equal(detectFormat('{"id": "evt_1"}'), "json")
+  assert.equal(detectFormat("[1, 2]"), "json")
+  assert.equal(detectFormat("{not json"), "text")
+  assert.equal(detectFormat('<?xml version="1.0"?><note/>'), "xml")
+  assert.equal(detectFormat("<!DOCTYPE html><html></html>"), "html")
+  assert.equal(detectFormat("token=abc&amount=10"), "form")
+  assert.equal(detectFormat("OK"), "text")
+  assert.equal(detectFormat("<p>hi</p>", "text/html; charset=utf-8"), "html")
+  assert.equal(detectFormat("a=1", "application/x-www-form-urlencoded"), "form")
+})
+
+test("collects repeated form keys into arrays", () => {
+  assert.deepEqual(parseForm("a=1&a=2&name=Jane+Doe"), {a: ["1", "2"], name: "Jane Doe"})
+})
+
+test("builds JSONPaths with bracket notation where needed", () => {
+  assert.equal(jsonPath([]), "$")
+  assert.equal(jsonPath(["data", "object", "lines", 0, "id"]), "$.data.object.lines[0].id")
+  assert.equal(jsonPath(["headers", "x-request-id"]), "$.headers['x-request-id']")
+  assert.equal(jsonPath(["it's"]), "$['it\\'s']")
+})
+
+test("finds keys and values in document order", () => {
+  const data = {id: "evt_1", data: {items: [{price: "price_1"}, {note: "no match"}]}}
+  assert.deepEqual(findMatches(data, "PRICE"), [["data", "items", 0, "price"]])
+  assert.deepEqual(findMatches(data, "evt"), [["id"]])
+  assert.deepEqual(findMatches(data, ""), [])
+})
+
+test("indents markup one tag per line", () => {
+  assert.equal(
+    prettyMarkup('<root><a>1</a><b><c x="1"/></b></root>'),
+    ["<root>", "  <a>1</a>", "  <b>", '    <c x="1"/>', "  </b>", "</root>"].join("\n")
+  )
+})
+
+test("breaks long lines into pieces", () => {
+  assert.deepEqual(splitLines("ab\ncdefg", 2), ["ab", "cd", "ef", "g"])
+})
@@ -0,0 +1,140 @@
+// Side-by-side diff of two executions or events, rendered by
+// PrikkeWeb.PayloadDiff.
+//
+// `data-sections` holds [{label, left, right}] text pairs. Sections where both
+// sides are JSON objects or arrays are compared with sorted keys and get a
+// list of changed JSONPaths above the line diff. Identical sections start
+// collapsed.
+
+import {diffLines, sideBySide, diffJson, canonicalJson} from "./diff.mjs"
+import {jsonPath, parseJson, splitLines} from "./payload.mjs"
+
+const ROW_CHUNK = 1000
+const MAX_KEY_CHANGES = 50
+
+const ROW_CLASSES = {
+  same: ["", ""],
+  changed: ["bg-red-50", "bg-emerald-50"],
+  removed: ["bg-red-50", "bg-slate-100/60"],
+  added: ["bg-slate-100/60", "bg-emerald-50"],
+}
+
+const CHANGE_LABELS = {
+  added: ["added", "text-emerald-700"],
+  removed: ["removed", "text-red-700"],
+  changed: ["changed", "text-amber-700"],
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function structured(text) {
+  const value = parseJson(text)
+  return value !== null && typeof value === "object" ? value : undefined
+}
+
+function preview(value) {
+  const text = JSON.stringify(value)
+  return text.length > 80 ? `${text.slice(0, 77)}…` : text
+}
+
+const PayloadDiff = {
+  mounted() {
+    const sections = JSON.parse(this.el.dataset.sections || "[]")
+    const container = this.el.querySelector("[data-diff-sections]")
+    container.replaceChildren(...sections.map(section => this.renderSection(section)))
+  },
+
+  renderSection({label, left, right}) {
+    left = left ?? ""
+    right = right ?? ""
+
+    const leftJson = structured(left)
+    const rightJson = structured(right)
+    const json = leftJson !== undefined && rightJson !== undefined
+    const keyChanges = json ? diffJson(leftJson, rightJson) : []
+    const rows = sideBySide(
+      diffLines(
+        splitLines(json ? canonicalJson(leftJson) : left),
+        splitLines(json ? canonicalJson(rightJson) : right)
+      )
+    )
+    const changed = rows.filter(row => row.type !== "same").length
+
+    const details = el("details", "border border-slate-200 rounded-lg overflow-hidden")
+    details.open = changed > 0
+
+    const summary = el("summary", "flex items-center justify-between gap-3 px-3 py-2 bg-white/60 cursor-pointer select-none")
+    summary.append(
+      el("span", "text-xs font-medium text-slate-500 uppercase", label),
+      changed > 0
+        ? el("span", "text-xs text-amber-700", json ? `${keyChanges.length} keys differ` : `${changed} lines differ`)
+        : el("span", "text-xs text-slate-400", "Identical")
+    )
+    details.append(summary)
+
+    if (keyChanges.length > 0) details.append(this.renderKeyChanges(keyChanges))
+
+    const table = el("div", "grid grid-cols-2 text-xs font-mono max-h-96 overflow-auto border-t border-slate-200")
+    details.append(table)
+    this.renderRows(table, rows, 0)
+    return details
+  },
+
+  renderKeyChanges(changes) {
+    const list = el("ul", "px-3 py-2 space-y-0.5 text-xs border-t border-slate-200 bg-white/30")
+
+    for (const change of changes.slice(0, MAX_KEY_CHANGES)) {
+      const [word, className] = CHANGE_LABELS[change.type]
+      const item = el("li", "flex gap-2 min-w-0")
+      item.append(el("span", `shrink-0 w-14 ${className}`, word), el("code", "shrink-0 text-sky-700", jsonPath(change.path)))
+
+      const values =
+        change.type === "changed"
+          ? `${preview(change.left)} → ${preview(change.right)}`
+          : preview(change.type === "added" ? change.right : change.left)
+      item.append(el("span", "truncate font-mono text-slate-500", values))
+      list.append(item)
+    }
+
+    if (changes.length > MAX_KEY_CHANGES) {
+      list.append(el("li", "text-slate-400", `…and ${changes.length - MAX_KEY_CHANGES} more`))
+    }
+    return list
+  },
+
+  renderRows(table, rows, from) {
+    const end = Math.min(rows.length, from + ROW_CHUNK)
+
+    for (let i = from; i < end; i++) {
+      const row = rows[i]
+      const [leftClass, rightClass] = ROW_CLASSES[row.type]
+      table.append(this.renderCell(row.left, leftClass, "border-r border-slate-200"), this.renderCell(row.right, rightClass, ""))
+    }
+
+    if (end < rows.length) {
+      const more = el("button", "col-span-2 py-1 text-emerald-600 hover:underline", `Show ${rows.length - end} more lines…`)
+      more.type = "button"
+      more.addEventListener("click", () => {
+        more.remove()
+        this.renderRows(table, rows, end)
+      })
+      table.append(more)
+    }
+  },
+
+  renderCell(line, rowClass, border) {
+    const cell = el("div", `flex min-w-0 ${rowClass} ${border}`)
+    cell.append(
+      el("span", "shrink-0 w-10 pr-2 text-right text-slate-400 select-none", line ? String(line.number) : ""),
+      el("span", "flex-1 min-w-0 whitespace-pre-wrap break-all text-slate-800", line ? line.text : "")
+    )
+    return cell
+  },
+}
+
+export default PayloadDiff
@@ -0,0 +1,378 @@
+// Payload viewer, rendered by PrikkeWeb.PayloadViewer.
+//
+// Reads the body from the server-rendered `<pre data-viewer-raw>` and replaces
+// it with a collapsible JSON tree (also used for form-encoded bodies), an
+// indented XML/HTML view or plain text. Trees expand and text renders in
+// chunks as needed, so multi-megabyte payloads don't freeze the page. Clicking
+// a key copies its JSONPath.
+
+import {
+  detectFormat,
+  parseJson,
+  parseForm,
+  jsonPath,
+  findMatches,
+  prettyMarkup,
+  splitLines,
+  EXTENSIONS,
+  MIME_TYPES,
+} from "./payload.mjs"
+
+const TREE_CHUNK = 200
+const LINE_CHUNK = 500
+// Bodies larger than this start with only the top level expanded
+const LARGE_BODY = 100_000
+
+const FORMAT_LABELS = {json: "JSON", xml: "XML", html: "HTML", form: "Form", text: "Text"}
+
+const TOKEN_CLASSES = {
+  key: "text-sky-700 cursor-pointer hover:underline",
+  string: "text-emerald-700",
+  number: "text-amber-700",
+  boolean: "text-violet-700",
+  null: "text-slate-400",
+  punctuation: "text-slate-400",
+  tag: "text-sky-700",
+  attribute: "text-amber-700",
+}
+
+function span(text, kind) {
+  const el = document.createElement("span")
+  if (kind) el.className = TOKEN_CLASSES[kind]
+  el.textContent = text
+  return el
+}
+
+function pathKey(path) {
+  return JSON.stringify(path)
+}
+
+function copyText(text) {
+  if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text)
+
+  const ta = document.createElement("textarea")
+  ta.value = text
+  ta.style.position = "fixed"
+  ta.style.left = "-9999px"
+  document.body.appendChild(ta)
+  ta.select()
+  document.execCommand("copy")
+  document.body.removeChild(ta)
+  return Promise.resolve()
+}
+
+// Splits a line of markup into tag, attribute and text spans
+function highlightMarkup(line) {
+  const parts = []
+  const pattern = /(<\/?[\w:.-]+)|([\w:.-]+)(=)("[^"]*"|'[^']*')|(\/?>)/g
+  let inTag = false
+  let last = 0
+  let match
+
+  while ((match = pattern.exec(line))) {
+    if (!inTag && !match[1]) continue
+    if (match.index > last) parts.push(span(line.slice(last, match.index)))
+
+    if (match[1]) {
+      parts.push(span(match[1], "tag"))
+      inTag = true
+    } else if (match[2]) {
+      parts.push(span(match[2], "attribute"), span(match[3], "punctuation"), span(match[4], "string"))
+    } else {
+      parts.push(span(match[5], "tag"))
+      inTag = false
+    }
+    last = pattern.lastIndex
+  }
+
+  if (last < line.length) parts.push(span(line.slice(last)))
+  return parts
+}
+
+const PayloadViewer = {
+  mounted() {
+    this.raw = this.el.querySelector("[data-viewer-raw]").textContent
+    this.format = detectFormat(this.raw, this.el.dataset.contentType || "")
+    this.data = this.format === "json" ? parseJson(this.raw) : this.format === "form" ? parseForm(this.raw) : null
+    this.mode = this.format === "text" ? "raw" : "pretty"
+    this.query = ""
+    this.matches = []
+    this.current = -1
+
+    this.content = this.el.querySelector("[data-viewer-content]")
+    this.formatLabel = this.el.querySelector("[data-viewer-format]")
+    this.modeButton = this.el.querySelector("[data-viewer-mode]")
+    this.searchInput = this.el.querySelector("[data-viewer-search]")
+    this.matchCount = this.el.querySelector("[data-viewer-matches]")
+    this.pathLabel = this.el.querySelector("[data-viewer-path]")
+
+    this.formatLabel.textContent = FORMAT_LABELS[this.format]
+    this.modeButton.classList.toggle("hidden", this.format === "text")
+    this.modeButton.addEventListener("click", () => {
+      this.mode = this.mode === "pretty" ? "raw" : "pretty"
+      this.render()
+      this.search(this.query)
+    })
+
+    this.el.querySelector("[data-viewer-download]").addEventListener("click", () => this.download())
+
+    this.searchInput.addEventListener("input", () => this.search(this.searchInput.value))
+    this.searchInput.addEventListener("keydown", e => {
+      if (e.key !== "Enter") return
+      e.preventDefault()
+      this.step(e.shiftKey ? -1 : 1)
+    })
+
+    this.content.addEventListener("click", e => {
+      const key = e.target.closest("[data-path]")
+      if (key) this.copyPath(JSON.parse(key.dataset.path))
+    })
+
+    this.render()
+  },
+
+  render() {
+    this.nodes = new Map()
+    this.modeButton.textContent = this.mode === "pretty" ? "Raw" : "Pretty"
+
+    if (this.mode === "pretty" && this.data !== null) {
+      const depth = this.raw.length > LARGE_BODY ? 1 : 2
+      this.content.replaceChildren(this.renderValue(this.data, [], null, depth))
+    } else {
+      const text = this.mode === "pretty" ? prettyMarkup(this.raw) : this.raw
+      this.lines = splitLines(text)
+      this.lineEls = []
+      this.lineList = document.createElement("div")
+      this.content.replaceChildren(this.lineList)
+      this.renderLines(LINE_CHUNK)
+    }
+  },
+
+  // JSON tree
+
+  renderValue(value, path, key, expandDepth) {
+    const row = document.createElement("div")
+    row.className = "pl-4"
+    const line = document.createElement("div")
+    line.className = "whitespace-pre-wrap break-all"
+    row.append(line)
+
+    if (key !== null) {
+      const keyEl = span(typeof key === "number" ? String(key) : JSON.stringify(key), "key")
+      keyEl.dataset.path = pathKey(path)
+      keyEl.title = `Copy ${jsonPath(path)}`
+      line.append(keyEl, span(": ", "punctuation"))
+    }
+
+    if (value === null || typeof value !== "object") {
+      const kind = value === null ? "null" : typeof value
+      const valueEl = span(kind === "string" ? JSON.stringify(value) : String(value), kind)
+      valueEl.dataset.path = pathKey(path)
+      valueEl.classList.add("cursor-pointer")
+      line.append(valueEl)
+      this.nodes.set(pathKey(path), {row, line})
+      return row
+    }
+
+    const isArray = Array.isArray(value)
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value)
+    const [open, close] = isArray ? ["[", "]"] : ["{", "}"]
+
+    const toggle = document.createElement("button")
+    toggle.type = "button"
+    toggle.className = "inline-block w-4 -ml-4 text-slate-400 hover:text-slate-600"
+    line.prepend(toggle)
+
+    const summary = span(`${open} ${entries.length} ${isArray ? "items" : "keys"} ${close}`, "punctuation")
+    const children = document.createElement("div")
+    const closing = span(close, "punctuation")
+    line.append(summary)
+
+    const node = {row, line, entries, children, rendered: 0, expanded: false}
+    this.nodes.set(pathKey(path), node)
+
+    node.setExpanded = expanded => {
+      node.expanded = expanded && entries.length > 0
+      toggle.textContent = entries.length === 0 ? "" : node.expanded ? "▾" : "▸"
+      toggle.setAttribute("aria-expanded", String(node.expanded))
+      summary.textContent = node.expanded ? open : `${open} ${entries.length} ${isArray ? "items" : "keys"} ${close}`
+      if (node.expanded && node.rendered === 0) this.renderChildren(node, path, TREE_CHUNK, expandDepth - 1)
+      children.classList.toggle("hidden", !node.expanded)
+      closing.classList.toggle("hidden", !node.expanded)
+    }
+
+    toggle.addEventListener("click", () => node.setExpanded(!node.expanded))
+    row.append(children, closing)
+    node.setExpanded(expandDepth > 0)
+    return row
+  },
+
+  renderChildren(node, path, upTo, expandDepth) {
+    node.children.querySelector("[data-viewer-more]")?.remove()
+
+    const end = Math.min(node.entries.length, upTo)
+    for (let i = node.rendered; i < end; i++) {
+      const [key, value] = node.entries[i]
+      node.children.append(this.renderValue(value, [...path, key], key, expandDepth))
+    }
+    node.rendered = end
+
+    const remaining = node.entries.length - end
+    if (remaining > 0) {
+      const more = document.createElement("button")
+      more.type = "button"
+      more.dataset.viewerMore = ""
+      more.className = "text-emerald-600 hover:underline"
+      more.textContent = `Show ${Math.min(remaining, TREE_CHUNK)} more of ${remaining}…`
+      more.addEventListener("click", () => this.renderChildren(node, path, end + TREE_CHUNK, 0))
+      node.children.append(more)
+    }
+  },
+
+  // Expands every ancestor of `path` so its row exists, and returns the row
+  reveal(path) {
+    for (let depth = 0; depth < path.length; depth++) {
+      const parentPath = path.slice(0, depth)
+      const parent = this.nodes.get(pathKey(parentPath))
+      if (!parent) return null
+
+      if (!parent.expanded) parent.setExpanded(true)
+      const index = parent.entries.findIndex(([key]) => key === path[depth])
+      if (index >= parent.rendered) this.renderChildren(parent, parentPath, index + 1, 0)
+    }
+    return this.nodes.get(pathKey(path))?.line
+  },
+
+  // Text (raw, markup and plain text)
+
+  renderLines(upTo) {
+    this.lineList.querySelector("[data-viewer-more]")?.remove()
+    const markup = this.mode === "pretty" && (this.format === "xml" || this.format === "html")
+
+    const end = Math.min(this.lines.length, upTo)
+    for (let i = this.lineEls.length; i < end; i++) {
+      const line = document.createElement("div")
+      line.className = "whitespace-pre-wrap break-all min-h-[1em]"
+      if (markup) line.append(...highlightMarkup(this.lines[i]))
+      else line.textContent = this.lines[i]
+      this.lineEls.push(line)
+      this.lineList.append(line)
+    }
+
+    const remaining = this.lines.length - end
+    if (remaining > 0) {
+      const more = document.createElement("button")
+      more.type = "button"
+      more.dataset.viewerMore = ""
+      more.className = "mt-1 text-emerald-600 hover:underline"
+      more.textContent = `Show ${Math.min(remaining, LINE_CHUNK)} more of ${remaining} lines…`
+      more.addEventListener("click", () => this.renderLines(end + LINE_CHUNK))
+      this.lineList.append(more)
+    }
+  },
+
+  // Search
+
+  search(query) {
+    this.clearHighlight()
+    this.query = query.trim()
+    this.current = -1
+
+    if (!this.query) {
+      this.matches = []
+    } else if (this.mode === "pretty" && this.data !== null) {
+      this.matches = findMatches(this.data, this.query)
+    } else {
+      const needle = this.query.toLowerCase()
+      this.matches = this.lines.flatMap((line, i) => (line.toLowerCase().includes(needle) ? [i] : []))
+    }
+
+    this.step(1)
+  },
+
+  step(direction) {
+    if (this.matches.length === 0) {
+      this.matchCount.textContent = this.query ? "No matches" : ""
+      return
+    }
+
+    this.clearHighlight()
+    this.current = (this.current + direction + this.matches.length) % this.matches.length
+    this.matchCount.textContent = `${this.current + 1}/${this.matches.length}`
+
+    const match = this.matches[this.current]
+    const el = typeof match === "number" ? this.revealLine(match) : this.reveal(match)
+    if (!el) return
+
+    el.classList.add("bg-yellow-100")
+    this.highlighted = el
+    el.scrollIntoView({block: "nearest"})
+  },
+
+  revealLine(index) {
+    if (index >= this.lineEls.length) this.renderLines(index + LINE_CHUNK)
+
+    const line = this.lineEls[index]
+    const text = this.lines[index]
+    const needle = this.query.toLowerCase()
+    const parts = []
+    let from = 0
+    let at
+
+    while ((at = text.toLowerCase().indexOf(needle, from)) !== -1) {
+      if (at > from) parts.push(document.createTextNode(text.slice(from, at)))
+      const mark = document.createElement("mark")
+      mark.className = "bg-yellow-300 rounded-sm"
+      mark.textContent = text.slice(at, at + needle.length)
+      parts.push(mark)
+      from = at + needle.length
+    }
+    parts.push(document.createTextNode(text.slice(from)))
+
+    this.markedLine = {line, index}
+    line.replaceChildren(...parts)
+    return line
+  },
+
+  clearHighlight() {
+    this.highlighted?.classList.remove("bg-yellow-100")
+    this.highlighted = null
+
+    if (this.markedLine) {
+      const {line, index} = this.markedLine
+      const markup = this.mode === "pretty" && (this.format === "xml" || this.format === "html")
+      if (markup) line.replaceChildren(...highlightMarkup(this.lines[index]))
+      else line.textContent = this.lines[index]
+      this.markedLine = null
+    }
+  },
+
+  // Actions
+
+  copyPath(path) {
+    const text = jsonPath(path)
+    copyText(text).then(() => {
+      this.pathLabel.textContent = `Copied ${text}`
+      clearTimeout(this.pathTimer)
+      this.pathTimer = setTimeout(() => (this.pathLabel.textContent = ""), 2000)
+    })
+  },
+
+  download() {
+    const blob = new Blob([this.raw], {type: MIME_TYPES[this.format]})
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement("a")
+    link.href = url
+    link.download = `${this.el.dataset.filename || "payload"}.${EXTENSIONS[this.format]}`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  },
+
+  destroyed() {
+    clearTimeout(this.pathTimer)
+  },
+}
+
+export default PayloadViewer
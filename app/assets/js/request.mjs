@@ -0,0 +1,223 @@
+// Helpers for the request editors (assets/js/headers_editor.js and
+// assets/js/body_editor.js): a JSON checker that reports where a body
+// breaks, header conversions and the Content-Type check.
+
+// Suggested in the header name field
+export const HEADER_NAMES = [
+  "Accept",
+  "Accept-Encoding",
+  "Accept-Language",
+  "Authorization",
+  "Cache-Control",
+  "Content-Encoding",
+  "Content-Type",
+  "Cookie",
+  "If-Match",
+  "If-None-Match",
+  "Idempotency-Key",
+  "Origin",
+  "Referer",
+  "User-Agent",
+  "X-Api-Key",
+  "X-Correlation-Id",
+  "X-Forwarded-For",
+  "X-Request-Id",
+]
+
+// RFC 9110 token characters
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/
+
+class JsonSyntaxError extends Error {
+  constructor(message, index) {
+    super(message)
+    this.index = index
+  }
+}
+
+// Checks `text` as JSON and re-indents it. Number and string literals are
+// copied as written, so formatting never rounds large numbers or rewrites
+// escapes. Returns {formatted} or {error: {message, line, column}}.
+export function checkJson(text, indent = "  ") {
+  let i = 0
+
+  const fail = message => {
+    throw new JsonSyntaxError(message, i)
+  }
+  const skipSpace = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++
+  }
+  const expect = (char, message) => {
+    skipSpace()
+    if (text[i] !== char) fail(i < text.length ? message : "Unexpected end of JSON")
+    i++
+  }
+
+  const string = () => {
+    const start = i++
+    while (i < text.length && text[i] !== '"') {
+      if (text.charCodeAt(i) < 0x20) fail("Line breaks and tabs must be escaped in strings")
+      if (text[i] === "\\") {
+        i++
+        if (text[i] === "u") {
+          if (!/^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) fail("Invalid \\u escape")
+          i += 4
+        } else if (!'"\\/bfnrt'.includes(text[i] ?? "")) {
+          fail("Invalid escape in string")
+        }
+      }
+      i++
+    }
+    if (i >= text.length) {
+      i = start
+      fail("Unterminated string")
+    }
+    i++
+    return text.slice(start, i)
+  }
+
+  const literal = () => {
+    const match = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y
+    match.lastIndex = i
+    const found = match.exec(text)
+    if (!found) fail(text[i] === "'" ? "Strings must use double quotes" : `Unexpected ${describe(text[i])}`)
+    i += found[0].length
+    return found[0]
+  }
+
+  const value = depth => {
+    skipSpace()
+    if (i >= text.length) fail("Unexpected end of JSON")
+    if (text[i] === "{") return container(depth, "}", () => {
+      skipSpace()
+      if (text[i] !== '"') fail(text[i] === "}" ? "Trailing comma" : "Expected a property name in double quotes")
+      const key = string()
+      expect(":", "Expected ':' after property name")
+      return `${key}: ${value(depth + 1)}`
+    })
+    if (text[i] === "[") return container(depth, "]", () => {
+      skipSpace()
+      if (text[i] === "]") fail("Trailing comma")
+      return value(depth + 1)
+    })
+    if (text[i] === '"') return string()
+    return literal()
+  }
+
+  const container = (depth, close, item) => {
+    const open = text[i++]
+    skipSpace()
+    if (text[i] === close) {
+      i++
+      return open + close
+    }
+
+    const items = []
+    for (;;) {
+      items.push(item())
+      skipSpace()
+      if (text[i] === ",") {
+        i++
+      } else if (text[i] === close) {
+        i++
+        break
+      } else {
+        fail(i < text.length ? `Expected ',' or '${close}'` : "Unexpected end of JSON")
+      }
+    }
+
+    const inner = indent.repeat(depth + 1)
+    return `${open}\n${inner}${items.join(`,\n${inner}`)}\n${indent.repeat(depth)}${close}`
+  }
+
+  try {
+    const formatted = value(0)
+    skipSpace()
+    if (i < text.length) fail("Unexpected content after the JSON value")
+    return {formatted}
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) throw error
+    return {error: {message: error.message, ...position(text, error.index)}}
+  }
+}
+
+function describe(char) {
+  return char === undefined ? "end of JSON" : `character '${char}'`
+}
+
+// 1-based line and column of an index into `text`
+export function position(text, index) {
+  const before = text.slice(0, index)
+  const line = before.split("\n").length
+  return {line, column: index - before.lastIndexOf("\n")}
+}
+
+// Whether a body is meant to be JSON, going by its first character
+export function looksLikeJson(body) {
+  return /^\s*[{[]/.test(body ?? "")
+}
+
+// Parses the headers JSON kept in the form into [[name, value]] rows.
+// Returns null when it isn't a JSON object.
+export function headersFromJson(text) {
+  if (!text || text.trim() === "") return []
+
+  try {
+    const value = JSON.parse(text)
+    if (value === null || typeof value !== "object" || Array.isArray(value)) return null
+    return Object.entries(value).map(([name, v]) => [name, typeof v === "string" ? v : JSON.stringify(v)])
+  } catch {
+    return null
+  }
+}
+
+// Inverse of headersFromJson. Rows without a name are left out.
+export function headersToJson(rows) {
+  const named = rows.filter(([name]) => name.trim() !== "")
+  if (named.length === 0) return "{}"
+  return JSON.stringify(Object.fromEntries(named.map(([name, value]) => [name.trim(), value])), null, 2)
+}
+
+// Problem with each header row, or null. Names are compared
+// case-insensitively, as HTTP does.
+export function headerErrors(rows) {
+  const seen = new Set()
+
+  return rows.map(([name, value]) => {
+    const trimmed = name.trim()
+    if (trimmed === "") return value === "" ? null : "Name is required"
+    if (!HEADER_NAME.test(trimmed)) return "Names can't contain spaces or characters like : ( ) , \""
+
+    const key = trimmed.toLowerCase()
+    if (seen.has(key)) return "Duplicate header"
+    seen.add(key)
+    return null
+  })
+}
+
+// Warns when the body doesn't match the Content-Type header. A missing
+// Content-Type only counts when `requireContentType` is set, since forwarded
+// requests keep the original one. Returns {message, contentType} with the
+// type to switch to, or null.
+export function contentTypeWarning(rows, body, {requireContentType = true} = {}) {
+  if (!body || body.trim() === "") return null
+
+  const header = rows.find(([name]) => name.trim().toLowerCase() === "content-type")
+  const contentType = header ? header[1].trim().toLowerCase() : ""
+  const json = looksLikeJson(body)
+
+  if (contentType === "") {
+    if (json && requireContentType) {
+      return {message: "The body looks like JSON but no Content-Type header is set.", contentType: "application/json"}
+    }
+    return null
+  }
+
+  const declaredJson = /[/+]json\b/.test(contentType)
+  if (declaredJson && checkJson(body).error) {
+    return {message: `Content-Type is ${header[1].trim()} but the body isn't valid JSON.`, contentType: null}
+  }
+  if (!declaredJson && json && !checkJson(body).error) {
+    return {message: `The body is JSON but Content-Type is ${header[1].trim()}.`, contentType: "application/json"}
+  }
+  return null
+}
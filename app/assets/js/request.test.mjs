@@ -0,0 +1,73 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {checkJson, headersFromJson, headersToJson, headerErrors, contentTypeWarning} from "./request.mjs"
+
+test("formats JSON keeping literals as written", () => {
+  assert.equal(
+    checkJson('{"id":12345678901234567890,"tags":["a"],"meta":{},"name":"caf\\u00e9"}').formatted,
+    '{\n  "id": 12345678901234567890,\n  "tags": [\n    "a"\n  ],\n  "meta": {},\n  "name": "caf\\u00e9"\n}'
+  )
+  assert.equal(checkJson(" true ").formatted, "true")
+})
+
+test("reports where JSON breaks", () => {
+  assert.deepEqual(checkJson('{\n  "a": 1,\n}').error, {message: "Trailing comma", line: 3, column: 1})
+  assert.deepEqual(checkJson('{\n  "a" 1\n}').error, {
+    message: "Expected ':' after property name",
+    line: 2,
+    column: 7,
+  })
+  assert.deepEqual(checkJson("{'a': 1}").error, {
+    message: "Expected a property name in double quotes",
+    line: 1,
+    column: 2,
+  })
+  assert.equal(checkJson('{"a": "b').error.message, "Unterminated string")
+  assert.equal(checkJson("[1, 2").error.message, "Unexpected end of JSON")
+  assert.equal(checkJson("{} {}").error.message, "Unexpected content after the JSON value")
+})
+
+test("converts headers between JSON and rows", () => {
+  assert.deepEqual(headersFromJson('{"Accept": "text/plain", "X-Retry": 3}'), [
+    ["Accept", "text/plain"],
+    ["X-Retry", "3"],
+  ])
+  assert.deepEqual(headersFromJson(""), [])
+  assert.equal(headersFromJson("[1]"), null)
+  assert.equal(headersFromJson("{oops"), null)
+
+  assert.equal(headersToJson([["", ""]]), "{}")
+  assert.equal(headersToJson([[" Accept ", "*/*"], ["", "x"]]), '{\n  "Accept": "*/*"\n}')
+})
+
+test("flags invalid and duplicate header names", () => {
+  assert.deepEqual(
+    headerErrors([
+      ["Content-Type", "application/json"],
+      ["content-type", "text/plain"],
+      ["X Api Key", "secret"],
+      ["", "orphan"],
+      ["", ""],
+    ]),
+    [
+      null,
+      "Duplicate header",
+      "Names can't contain spaces or characters like : ( ) , \"",
+      "Name is required",
+      null,
+    ]
+  )
+})
+
+test("warns when the body doesn't match Content-Type", () => {
+  const json = '{"a": 1}'
+
+  assert.equal(contentTypeWarning([], json).contentType, "application/json")
+  assert.equal(contentTypeWarning([], json, {requireContentType: false}), null)
+  assert.equal(contentTypeWarning([["content-type", "application/json; charset=utf-8"]], json), null)
+  assert.equal(contentTypeWarning([["Content-Type", "application/vnd.api+json"]], json), null)
+  assert.equal(contentTypeWarning([["Content-Type", "application/x-www-form-urlencoded"]], json).contentType, "application/json")
+  assert.equal(contentTypeWarning([["Content-Type", "application/json"]], "a=1&b=2").contentType, null)
+  assert.equal(contentTypeWarning([["Content-Type", "text/plain"]], "hello"), null)
+  assert.equal(contentTypeWarning([], ""), null)
+})
@@ -0,0 +1,21 @@
+// List selection helpers for the FailureList hook (assets/js/failure_list.js).
+
+// Ids from `anchor` to `target`, both included, in list order. Falls back to
+// just the target when the anchor is no longer in the list.
+export function rangeIds(ids, anchor, target) {
+  const from = ids.indexOf(anchor)
+  const to = ids.indexOf(target)
+  if (to === -1) return []
+  if (from === -1) return [target]
+
+  return from < to ? ids.slice(from, to + 1) : ids.slice(to, from + 1)
+}
+
+// Index of the row `delta` rows away, kept within the list. Moving from no
+// row (-1) starts at the first row going down and the last going up.
+export function moveIndex(index, delta, length) {
+  if (length === 0) return -1
+  if (index === -1) return delta > 0 ? 0 : length - 1
+
+  return Math.min(Math.max(index + delta, 0), length - 1)
+}
@@ -0,0 +1,22 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {rangeIds, moveIndex} from "./selection.mjs"
+
+test("selects the range between anchor and target in either direction", () => {
+  const ids = ["a", "b", "c", "d", "e"]
+
+  assert.deepEqual(rangeIds(ids, "b", "d"), ["b", "c", "d"])
+  assert.deepEqual(rangeIds(ids, "d", "b"), ["b", "c", "d"])
+  assert.deepEqual(rangeIds(ids, "c", "c"), ["c"])
+  assert.deepEqual(rangeIds(ids, "gone", "d"), ["d"])
+  assert.deepEqual(rangeIds(ids, "a", "gone"), [])
+})
+
+test("moves between rows without leaving the list", () => {
+  assert.equal(moveIndex(-1, 1, 3), 0)
+  assert.equal(moveIndex(-1, -1, 3), 2)
+  assert.equal(moveIndex(0, 1, 3), 1)
+  assert.equal(moveIndex(2, 1, 3), 2)
+  assert.equal(moveIndex(0, -1, 3), 0)
+  assert.equal(moveIndex(-1, 1, 0), -1)
+})
@@ -0,0 +1,306 @@
+// Checks Runlater webhook signatures for the signature verifier
+// (assets/js/signature_verifier.js) and explains why one doesn't match.
+//
+// Runlater signs the raw request body with HMAC-SHA256 and the organization's
+// webhook secret, and sends `X-Runlater-Signature: sha256=<lowercase hex>`
+// (Prikke.WebhookSignature). There is no timestamp. When a signature doesn't
+// match, the body, secret and encoding are varied the ways receivers usually
+// get them wrong until one reproduces it.
+
+export const SIGNATURE_HEADER = "x-runlater-signature"
+
+const encoder = new TextEncoder()
+
+// `secret` is a string, used as UTF-8, or raw bytes
+export async function hmacSha256(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    typeof secret === "string" ? encoder.encode(secret) : secret,
+    {name: "HMAC", hash: "SHA-256"},
+    false,
+    ["sign"]
+  )
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(message)))
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("")
+}
+
+function fromHex(text) {
+  if (!/^(?:[0-9a-fA-F]{2})+$/.test(text)) return null
+  return Uint8Array.from(text.match(/../g), pair => parseInt(pair, 16))
+}
+
+function fromBase64(text) {
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(text)) return null
+  try {
+    const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+    return Uint8Array.from(binary, char => char.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i])
+}
+
+// `Name: value` lines, or a JSON object of headers. Names are lowercased.
+export function parseHeaders(text) {
+  const trimmed = text.trim()
+
+  if (trimmed.startsWith("{")) {
+    try {
+      return Object.entries(JSON.parse(trimmed)).map(([name, value]) => [name.toLowerCase(), String(value)])
+    } catch {
+      // Not JSON after all, read it as lines
+    }
+  }
+
+  return trimmed
+    .split(/\r?\n/)
+    .map(line => line.match(/^\s*([^:\s][^:]*?)\s*:\s*(.*?)\s*$/))
+    .filter(Boolean)
+    .map(([, name, value]) => [name.toLowerCase(), value])
+}
+
+// Splits a signature value into its parts: `timestamp` for `t=...,v1=...`
+// style values, the scheme before `=`, and the digest.
+export function parseSignature(value) {
+  const result = {scheme: null, digest: value.trim(), timestamp: null}
+
+  for (const part of value.split(",")) {
+    const [, key, rest] = part.trim().match(/^([\w-]+)=(.+)$/) ?? [null, null, part.trim()]
+
+    if (key === "t") {
+      result.timestamp = rest
+    } else {
+      result.scheme = key
+      result.digest = rest
+    }
+  }
+  return result
+}
+
+function decodeDigest(digest) {
+  const hex = fromHex(digest)
+  if (hex?.length === 32) return {bytes: hex, encoding: digest === digest.toLowerCase() ? "hex" : "uppercase hex"}
+
+  const base64 = fromBase64(digest)
+  if (base64?.length === 32) return {bytes: base64, encoding: /[-_]/.test(digest) ? "base64url" : "base64"}
+
+  return {bytes: null, encoding: null}
+}
+
+function prettyJson(body, indent) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, indent)
+  } catch {
+    return null
+  }
+}
+
+// Bodies receivers end up signing instead of the raw one, most likely first
+function bodyVariants(body) {
+  return [
+    ["the body parsed and re-serialized as compact JSON", prettyJson(body, 0)],
+    ["the body parsed and re-serialized as indented JSON", prettyJson(body, 2)],
+    ["the body with surrounding whitespace trimmed", body.trim()],
+    ["the body with a trailing newline added", `${body}\n`],
+    ["the body with \\r\\n line endings turned into \\n", body.replace(/\r\n/g, "\n")],
+    ["the body with \\n line endings turned into \\r\\n", body.replace(/\r?\n/g, "\r\n")],
+  ].filter(([, variant]) => variant !== null && variant !== body)
+}
+
+function secretVariants(secret) {
+  return [
+    ["the secret with surrounding whitespace trimmed", secret.trim()],
+    ["the secret without its whsec_ prefix", secret.startsWith("whsec_") ? secret.slice(6) : null],
+    ["the secret's hex decoded to bytes", secret.startsWith("whsec_") ? fromHex(secret.slice(6)) : null],
+  ].filter(([, variant]) => variant && variant !== secret)
+}
+
+const TIMESTAMP_HEADER = /timestamp/
+
+function timestampOf(signature, headers) {
+  if (signature.timestamp) return signature.timestamp
+  return headers.find(([name]) => TIMESTAMP_HEADER.test(name))?.[1] ?? null
+}
+
+async function signed(secret, body, digest) {
+  return sameBytes(await hmacSha256(secret, body), digest)
+}
+
+// Finds what was actually signed to produce `digest`, if it's one of the
+// usual mistakes. Returns {step, detail} or null.
+async function explainMismatch({body, secret, digest, timestamp}) {
+  if (timestamp) {
+    for (const message of [`${timestamp}.${body}`, `${timestamp}${body}`]) {
+      if (await signed(secret, message, digest)) {
+        return {
+          step: "timestamp",
+          detail: `It matches "${message.slice(0, timestamp.length + 1)}…", the body with the timestamp in front. Runlater signs the body alone.`,
+        }
+      }
+    }
+  }
+
+  for (const [description, variant] of bodyVariants(body)) {
+    if (await signed(secret, variant, digest)) {
+      return {
+        step: "canonical",
+        detail: `It matches ${description}, not the raw body. Compute the HMAC over the bytes exactly as received, before parsing them.`,
+      }
+    }
+  }
+
+  for (const [description, variant] of secretVariants(secret)) {
+    if (await signed(variant, body, digest)) {
+      return {step: "secret", detail: `It matches ${description}. Use the secret exactly as shown, as a UTF-8 string.`}
+    }
+  }
+
+  return null
+}
+
+// Checks `signature` (the header value Runlater sent, or what the receiver
+// computed) against `body` and `secret`. Returns the expected header value,
+// whether it matches, and one result per step:
+//
+//   {step, status: "ok" | "fail" | "warn", title, detail}
+//
+// for the steps "timestamp", "canonical", "encoding" and "secret". Without a
+// signature there are no steps, only the expected value.
+export async function diagnose({body, secret, signature, headers = []}) {
+  const digest = await hmacSha256(secret, body)
+  const expected = `sha256=${toHex(digest)}`
+  const received = signature.trim()
+  if (received === "") return {expected, match: false, steps: []}
+
+  const parsed = parseSignature(received)
+  const decoded = decodeDigest(parsed.digest)
+  const timestamp = timestampOf(parsed, headers)
+  const length = encoder.encode(body).length
+
+  const steps = {
+    timestamp: {
+      status: "ok",
+      title: "Timestamp",
+      detail: "Runlater signs the body alone, so there is no timestamp to prepend or check against the clock.",
+    },
+    canonical: {
+      status: "ok",
+      title: "Signed string",
+      detail: `The raw body, ${length} ${length === 1 ? "byte" : "bytes"} as UTF-8.`,
+    },
+    encoding: {status: "ok", title: "Encoding", detail: "sha256= followed by 64 lowercase hex characters."},
+    secret: {status: "ok", title: "Secret", detail: "The secret as a UTF-8 string, whsec_ prefix included."},
+  }
+
+  if (parsed.timestamp) {
+    steps.timestamp = {
+      status: "warn",
+      title: "Timestamp",
+      detail: "This value has a t= part, like Stripe's signatures. Runlater's X-Runlater-Signature never does.",
+    }
+  }
+
+  if (decoded.bytes === null) {
+    steps.encoding = {
+      status: "fail",
+      title: "Encoding",
+      detail: "This isn't a SHA-256 digest in hex or base64. Expected sha256= followed by 64 lowercase hex characters.",
+    }
+  } else if (decoded.encoding !== "hex" || parsed.scheme !== "sha256") {
+    const format = [
+      parsed.scheme !== "sha256" && (parsed.scheme ? `a ${parsed.scheme}= prefix` : "no sha256= prefix"),
+      decoded.encoding !== "hex" && `${decoded.encoding} encoding`,
+    ].filter(Boolean)
+
+    steps.encoding = {
+      status: "fail",
+      title: "Encoding",
+      detail: `This has ${format.join(" and ")}. Runlater sends sha256= followed by 64 lowercase hex characters, so compare against that exact string.`,
+    }
+  }
+
+  const sameDigest = decoded.bytes !== null && sameBytes(decoded.bytes, digest)
+  const match = received === expected
+
+  if (decoded.bytes !== null && !sameDigest) {
+    const cause = await explainMismatch({body, secret, digest: decoded.bytes, timestamp})
+
+    if (cause) {
+      steps[cause.step] = {...steps[cause.step], status: "fail", detail: cause.detail}
+    } else {
+      steps.secret = {
+        status: "fail",
+        title: "Secret",
+        detail:
+          "Different HMAC. Either the secret isn't this organization's current one (regenerating it changes every signature) or the body differs from what was sent.",
+      }
+    }
+  }
+
+  return {
+    expected,
+    match,
+    steps: ["timestamp", "canonical", "encoding", "secret"].map(step => ({step, ...steps[step]})),
+  }
+}
+
+// Code that verifies this event with the secret from the environment,
+// keyed by language.
+export function snippets(body, signature) {
+  const literal = JSON.stringify(body)
+
+  return {
+    node: `import crypto from "node:crypto"
+
+// rawBody: the request body exactly as received, before JSON parsing
+function verifyRunlaterSignature(rawBody, signature, secret) {
+  const expected = "sha256=" + crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+}
+
+const body = ${literal}
+const signature = ${JSON.stringify(signature)}
+
+console.log(verifyRunlaterSignature(body, signature, process.env.RUNLATER_WEBHOOK_SECRET))
+`,
+    python: `import hashlib
+import hmac
+import os
+
+
+# raw_body: the request body bytes exactly as received, before JSON parsing
+def verify_runlater_signature(raw_body: bytes, signature: str, secret: str) -> bool:
+    expected = "sha256=" + hmac.new(secret.encode(), raw_body, hashlib.sha256).hexdigest()
+    return hmac.compare_digest(expected, signature)
+
+
+body = ${literal}.encode()
+signature = ${JSON.stringify(signature)}
+
+print(verify_runlater_signature(body, signature, os.environ["RUNLATER_WEBHOOK_SECRET"]))
+`,
+    elixir: `defmodule RunlaterSignature do
+  # raw_body: the request body exactly as received. In Phoenix, keep it with
+  # a :body_reader in Plug.Parsers, since the parsers consume it.
+  def verify(raw_body, signature, secret) do
+    expected =
+      "sha256=" <> Base.encode16(:crypto.mac(:hmac, :sha256, secret, raw_body), case: :lower)
+
+    Plug.Crypto.secure_compare(expected, signature)
+  end
+end
+
+body = ${literal.replace(/#\{/g, "\\#{")}
+signature = ${JSON.stringify(signature)}
+
+RunlaterSignature.verify(body, signature, System.fetch_env!("RUNLATER_WEBHOOK_SECRET"))
+`,
+  }
+}
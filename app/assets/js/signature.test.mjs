@@ -0,0 +1,120 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {createHmac} from "node:crypto"
+import {diagnose, parseHeaders, parseSignature, snippets} from "./signature.mjs"
+
+const secret = "whsec_0123456789abcdef0123456789abcdef0123456789abcdef"
+const body = '{"event": "invoice.paid", "amount": 1200}'
+
+const hmac = (message, key = secret) => createHmac("sha256", key).update(message)
+const signature = `sha256=${hmac(body).digest("hex")}`
+
+const statuses = result => Object.fromEntries(result.steps.map(({step, status}) => [step, status]))
+
+test("matches the signature Prikke.WebhookSignature sends", async () => {
+  const result = await diagnose({body, secret, signature})
+
+  assert.equal(result.expected, signature)
+  assert.equal(result.match, true)
+  assert.deepEqual(statuses(result), {timestamp: "ok", canonical: "ok", encoding: "ok", secret: "ok"})
+})
+
+test("only computes the expected value without a signature", async () => {
+  assert.deepEqual(await diagnose({body, secret, signature: " "}), {expected: signature, match: false, steps: []})
+})
+
+test("blames the encoding when the digest is right but written differently", async () => {
+  for (const value of [
+    hmac(body).digest("hex"),
+    `sha256=${hmac(body).digest("hex").toUpperCase()}`,
+    `sha256=${hmac(body).digest("base64")}`,
+    `v1=${hmac(body).digest("base64url")}`,
+  ]) {
+    const result = await diagnose({body, secret, signature: value})
+
+    assert.equal(result.match, false, value)
+    assert.deepEqual(statuses(result), {timestamp: "ok", canonical: "ok", encoding: "fail", secret: "ok"}, value)
+  }
+
+  const {steps} = await diagnose({body, secret, signature: `sha256=${hmac(body).digest("base64")}`})
+  assert.match(steps.find(s => s.step === "encoding").detail, /base64 encoding/)
+})
+
+test("finds a re-serialized or altered body", async () => {
+  const cases = [
+    [JSON.stringify(JSON.parse(body)), /compact JSON/],
+    [JSON.stringify(JSON.parse(body), null, 2), /indented JSON/],
+    [`${body}\n`, /trailing newline/],
+  ]
+
+  for (const [signed, reason] of cases) {
+    const result = await diagnose({body, secret, signature: `sha256=${hmac(signed).digest("hex")}`})
+    const canonical = result.steps.find(s => s.step === "canonical")
+
+    assert.equal(canonical.status, "fail")
+    assert.match(canonical.detail, reason)
+  }
+})
+
+test("finds a timestamp signed in front of the body", async () => {
+  const timestamp = "1760000000"
+  const value = `t=${timestamp},v1=${hmac(`${timestamp}.${body}`).digest("hex")}`
+  const result = await diagnose({body, secret, signature: value})
+
+  assert.equal(statuses(result).timestamp, "fail")
+  assert.match(result.steps[0].detail, /timestamp in front/)
+
+  // Or from a timestamp header the receiver's code picked up
+  const fromHeader = await diagnose({
+    body,
+    secret,
+    signature: `sha256=${hmac(`${timestamp}${body}`).digest("hex")}`,
+    headers: [["x-webhook-timestamp", timestamp]],
+  })
+  assert.equal(statuses(fromHeader).timestamp, "fail")
+})
+
+test("finds a mangled secret", async () => {
+  const withoutPrefix = await diagnose({
+    body,
+    secret,
+    signature: `sha256=${hmac(body, secret.slice(6)).digest("hex")}`,
+  })
+  assert.match(withoutPrefix.steps.find(s => s.step === "secret").detail, /without its whsec_ prefix/)
+
+  const decoded = await diagnose({
+    body,
+    secret,
+    signature: `sha256=${hmac(body, Buffer.from(secret.slice(6), "hex")).digest("hex")}`,
+  })
+  assert.match(decoded.steps.find(s => s.step === "secret").detail, /hex decoded/)
+})
+
+test("falls back to the secret or body when nothing explains the difference", async () => {
+  const result = await diagnose({body, secret, signature: `sha256=${hmac(body, "whsec_other").digest("hex")}`})
+
+  assert.deepEqual(statuses(result), {timestamp: "ok", canonical: "ok", encoding: "ok", secret: "fail"})
+})
+
+test("parses headers as lines or JSON", () => {
+  assert.deepEqual(parseHeaders("Content-Type: application/json\r\nX-Runlater-Signature:  sha256=ab \n\nbogus"), [
+    ["content-type", "application/json"],
+    ["x-runlater-signature", "sha256=ab"],
+  ])
+  assert.deepEqual(parseHeaders('{"X-Runlater-Task-Id": "t1"}'), [["x-runlater-task-id", "t1"]])
+})
+
+test("splits signature values", () => {
+  assert.deepEqual(parseSignature("sha256=abc"), {scheme: "sha256", digest: "abc", timestamp: null})
+  assert.deepEqual(parseSignature("t=1,v1=abc"), {scheme: "v1", digest: "abc", timestamp: "1"})
+  assert.deepEqual(parseSignature("YWJj="), {scheme: null, digest: "YWJj=", timestamp: null})
+})
+
+test("embeds the event in the snippets as valid literals", () => {
+  const code = snippets('{"note": "#{not interpolated}", "quote": "\\""}', signature)
+
+  assert.match(code.node, /const body = "\{\\"note\\": \\"#\{not interpolated\}\\"/)
+  assert.match(code.python, /\.encode\(\)/)
+  assert.match(code.elixir, /\\#\{not interpolated\}/)
+  for (const snippet of Object.values(code)) assert.ok(snippet.includes(signature))
+})
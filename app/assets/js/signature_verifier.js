@@ -0,0 +1,120 @@
+// Webhook signature verifier, rendered by PrikkeWeb.SignatureVerifier.
+//
+// Recomputes the expected X-Runlater-Signature as the fields change, lists
+// each step of the check with what went wrong (assets/js/signature.mjs) and
+// fills the Node.js, Python and Elixir snippets with the pasted request.
+// Everything stays in the browser.
+
+import {SIGNATURE_HEADER, diagnose, parseHeaders, snippets} from "./signature.mjs"
+
+const STATUS_STYLES = {
+  ok: ["✓", "text-emerald-600"],
+  warn: ["!", "text-amber-600"],
+  fail: ["✗", "text-red-600"],
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+export function mountSignatureVerifier(root) {
+  const field = name => root.querySelector(`[data-verifier-${name}]`)
+  const inputs = ["body", "headers", "secret", "signature"].map(field)
+  const [bodyInput, headersInput, secretInput, signatureInput] = inputs
+
+  // Textareas turn \r\n into \n, which changes the signature, so the prefilled
+  // body is used as is until it is edited
+  let body = root.dataset.body || ""
+  let run = 0
+  let timer
+
+  const update = async () => {
+    const current = ++run
+    const headers = parseHeaders(headersInput.value)
+    const header = headers.find(([name]) => name === SIGNATURE_HEADER)?.[1] ?? ""
+    const signature = signatureInput.value.trim() || header
+    const secret = secretInput.value
+
+    if (secret === "") {
+      render({expected: "", verdict: ["Enter the webhook secret to compute the signature.", "text-slate-500"]})
+      return
+    }
+
+    const result = await diagnose({body, secret, signature, headers})
+    if (current !== run) return
+
+    render({
+      expected: result.expected,
+      steps: result.steps,
+      verdict:
+        signature === ""
+          ? ["Paste an X-Runlater-Signature header, or a signature your code computed, to check it.", "text-slate-500"]
+          : result.match
+            ? ["The signature matches.", "text-emerald-700"]
+            : ["The signature doesn't match.", "text-red-700"],
+      code: snippets(body, signature || result.expected),
+    })
+  }
+
+  const render = ({expected, verdict, steps = [], code = null}) => {
+    field("expected").textContent = expected
+    field("copy-expected").dataset.copy = expected
+
+    const [text, color] = verdict
+    const verdictEl = field("verdict")
+    verdictEl.textContent = text
+    verdictEl.className = `text-sm font-medium ${color}`
+
+    field("steps").replaceChildren(
+      ...steps.map(({status, title, detail}) => {
+        const [mark, markColor] = STATUS_STYLES[status]
+        const item = el("li", "flex gap-2 text-sm")
+        const description = el("div", "min-w-0")
+        description.append(el("span", "font-medium text-slate-900", title), el("p", "text-xs text-slate-500", detail))
+        item.append(el("span", `w-4 shrink-0 font-bold ${markColor}`, mark), description)
+        return item
+      })
+    )
+
+    for (const pre of root.querySelectorAll("[data-verifier-snippet]")) {
+      const snippet = code ? code[pre.dataset.verifierSnippet] : ""
+      pre.textContent = snippet
+      root.querySelector(`[data-verifier-copy="${pre.dataset.verifierSnippet}"]`).dataset.copy = snippet
+    }
+  }
+
+  const schedule = () => {
+    clearTimeout(timer)
+    timer = setTimeout(update, 150)
+  }
+
+  const onBodyInput = () => {
+    body = bodyInput.value
+  }
+
+  bodyInput.addEventListener("input", onBodyInput)
+  inputs.forEach(input => input.addEventListener("input", schedule))
+  update()
+
+  return () => {
+    clearTimeout(timer)
+    run++
+    bodyInput.removeEventListener("input", onBodyInput)
+    inputs.forEach(input => input.removeEventListener("input", schedule))
+  }
+}
+
+const SignatureVerifier = {
+  mounted() {
+    this.unmount = mountSignatureVerifier(this.el)
+  },
+
+  destroyed() {
+    this.unmount()
+  },
+}
+
+export default SignatureVerifier
@@ -0,0 +1,60 @@
+// Sparkline, rendered by PrikkeWeb.Sparkline.
+//
+// Draws the numbers in `data-points` as an SVG line over a faint area in the
+// element's text colour, and redraws whenever the LiveView patches in new
+// points. The latest value is in the tooltip.
+
+import {sparklinePaths} from "./sparkline.mjs"
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const WIDTH = 120
+const HEIGHT = 32
+
+function svg(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag)
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value)
+  return el
+}
+
+const Sparkline = {
+  mounted() {
+    this.draw()
+  },
+
+  updated() {
+    this.draw()
+  },
+
+  draw() {
+    let points
+    try {
+      points = JSON.parse(this.el.dataset.points)
+    } catch (_e) {
+      points = []
+    }
+
+    const {line, area} = sparklinePaths(points, WIDTH, HEIGHT)
+    const chart = svg("svg", {
+      viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+      preserveAspectRatio: "none",
+      class: "w-full h-full overflow-visible",
+      "aria-hidden": "true",
+    })
+    chart.append(
+      svg("path", {d: area, fill: "currentColor", "fill-opacity": "0.12", stroke: "none"}),
+      svg("path", {
+        d: line,
+        fill: "none",
+        stroke: "currentColor",
+        "stroke-width": "1.5",
+        "stroke-linejoin": "round",
+        "vector-effect": "non-scaling-stroke",
+      }),
+    )
+
+    this.el.title = points.length > 0 ? `${this.el.getAttribute("aria-label")}: ${points.at(-1)} now` : ""
+    this.el.replaceChildren(chart)
+  },
+}
+
+export default Sparkline
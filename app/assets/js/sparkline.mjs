@@ -0,0 +1,23 @@
+// Geometry for the Sparkline hook (assets/js/sparkline.js).
+
+// SVG path data for the line and the filled area under it, in a
+// `width` x `height` box with the baseline at zero. An all-zero series is a
+// flat line along the bottom.
+export function sparklinePaths(points, width, height, padding = 1) {
+  if (points.length === 0) return {line: "", area: ""}
+
+  const max = Math.max(...points, 0)
+  const step = points.length > 1 ? width / (points.length - 1) : 0
+  const y = value => (max === 0 ? height - padding : padding + (1 - value / max) * (height - 2 * padding))
+
+  const coords = points.map((value, i) => [round(i * step), round(y(value))])
+  if (coords.length === 1) coords.push([width, coords[0][1]])
+
+  const line = coords.map(([cx, cy], i) => `${i === 0 ? "M" : "L"}${cx} ${cy}`).join(" ")
+  const area = `${line} L${coords.at(-1)[0]} ${height} L0 ${height} Z`
+  return {line, area}
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100
+}
@@ -0,0 +1,15 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {sparklinePaths} from "./sparkline.mjs"
+
+test("scales points to the box with the highest at the top", () => {
+  const {line, area} = sparklinePaths([0, 5, 10], 100, 22)
+  assert.equal(line, "M0 21 L50 11 L100 1")
+  assert.equal(area, "M0 21 L50 11 L100 1 L100 22 L0 22 Z")
+})
+
+test("draws flat lines for empty and single-point series", () => {
+  assert.deepEqual(sparklinePaths([], 100, 20), {line: "", area: ""})
+  assert.equal(sparklinePaths([0, 0, 0], 100, 20).line, "M0 19 L50 19 L100 19")
+  assert.equal(sparklinePaths([4], 100, 20).line, "M0 1 L100 1")
+})
@@ -0,0 +1,170 @@
+// Public status pages (PrikkeWeb.PublicStatusLive) as an installable app.
+//
+// setupStatusPage/1 runs on every load of a status page, even one served from
+// the service worker's cache while offline, when the LiveView can't connect
+// and no hook mounts. It registers the service worker (priv/static/status-sw.js),
+// shows how old the status on screen is while offline or reconnecting, and
+// reconnects as soon as the browser is back online instead of waiting out
+// the backoff. The StatusPage hook stops it when the page goes away.
+//
+// The StatusPage hook runs while connected. After every update it hands the
+// page to the service worker as the copy to show offline. Its toggle
+// subscribes the browser to Web Push for the page, so the server can notify
+// the visitor of status changes while the page is closed.
+
+import {base64UrlBytes, timeAgo} from "./status_page.mjs"
+
+const AGE_INTERVAL = 15_000
+
+let stopStatusPage = null
+
+function notifyKey() {
+  return `runlater:status-notify:${location.pathname}`
+}
+
+function pushSupported() {
+  return "Notification" in window && "serviceWorker" in navigator && "PushManager" in window
+}
+
+function notificationsOn() {
+  return pushSupported() && Notification.permission === "granted" && localStorage.getItem(notifyKey()) === "1"
+}
+
+export function setupStatusPage(liveSocket) {
+  const banner = document.getElementById("status-stale-banner")
+  if (!banner || stopStatusPage) return
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/status-sw.js", {scope: "/s/"}).catch(() => {})
+  }
+
+  // Unknown until the socket opens or fails, which only being offline settles
+  let connected = null
+
+  const render = () => {
+    const updatedAt = Date.parse(document.querySelector("[data-status-page]")?.dataset.updatedAt)
+    const stale = !navigator.onLine || connected === false
+
+    banner.hidden = !stale
+    banner.querySelector("[data-stale-reason]").textContent = navigator.onLine ? "Reconnecting…" : "You're offline."
+    banner.querySelector("[data-stale-age]").textContent = timeAgo(Date.now() - updatedAt)
+  }
+
+  const online = () => {
+    render()
+    if (!liveSocket.isConnected()) liveSocket.disconnect(() => liveSocket.connect())
+  }
+
+  const socket = liveSocket.getSocket()
+  const refs = [
+    socket.onOpen(() => {
+      connected = true
+      render()
+    }),
+    socket.onError(() => {
+      connected = false
+      render()
+    }),
+  ]
+
+  window.addEventListener("offline", render)
+  window.addEventListener("online", online)
+  const timer = setInterval(render, AGE_INTERVAL)
+  render()
+
+  stopStatusPage = () => {
+    clearInterval(timer)
+    window.removeEventListener("offline", render)
+    window.removeEventListener("online", online)
+    socket.off(refs)
+    stopStatusPage = null
+  }
+}
+
+const StatusPage = {
+  mounted() {
+    // Already running unless the page was reached by live navigation
+    setupStatusPage(this.liveSocket)
+    this.setupNotifyToggle()
+    this.snapshot()
+  },
+
+  updated() {
+    this.snapshot()
+  },
+
+  destroyed() {
+    stopStatusPage?.()
+  },
+
+  snapshot() {
+    navigator.serviceWorker?.controller?.postMessage({
+      type: "snapshot",
+      path: location.pathname,
+      html: `<!DOCTYPE html>\n${document.documentElement.outerHTML}`,
+    })
+  },
+
+  setupNotifyToggle() {
+    const button = this.el.querySelector("[data-notify-toggle]")
+    if (!button || !pushSupported()) return
+
+    const label = button.querySelector("[data-notify-label]")
+    const icon = button.querySelector("[data-notify-icon]")
+    const render = () => {
+      const on = notificationsOn()
+      label.textContent = on ? "Notifications on" : "Notify me of status changes"
+      icon.className = `${on ? "hero-bell-alert" : "hero-bell"} w-4 h-4`
+      button.setAttribute("aria-pressed", String(on))
+    }
+
+    button.addEventListener("click", async () => {
+      button.disabled = true
+      try {
+        if (notificationsOn()) {
+          await this.unsubscribe(button.dataset.pushPath)
+        } else if ((await Notification.requestPermission()) === "granted") {
+          await this.subscribe(button.dataset.pushPath, button.dataset.pushKey)
+        }
+      } catch (_error) {
+        // Left as it was; the label shows which
+      } finally {
+        button.disabled = false
+        render()
+      }
+    })
+
+    button.hidden = false
+    render()
+  },
+
+  // The browser has one push subscription for all status pages (they share
+  // the service worker), which each page registers with the server.
+  async subscribe(path, key) {
+    const {pushManager} = await navigator.serviceWorker.ready
+    const subscription =
+      (await pushManager.getSubscription()) ||
+      (await pushManager.subscribe({userVisibleOnly: true, applicationServerKey: base64UrlBytes(key)}))
+
+    const response = await sendSubscription(path, "POST", subscription)
+    if (response.ok) localStorage.setItem(notifyKey(), "1")
+  },
+
+  async unsubscribe(path) {
+    const {pushManager} = await navigator.serviceWorker.ready
+    const subscription = await pushManager.getSubscription()
+
+    if (subscription) await sendSubscription(path, "DELETE", {endpoint: subscription.endpoint})
+    localStorage.removeItem(notifyKey())
+  },
+}
+
+function sendSubscription(path, method, body) {
+  return fetch(path, {
+    method,
+    headers: {"content-type": "application/json", accept: "application/json"},
+    body: JSON.stringify(body),
+  })
+}
+
+export default StatusPage
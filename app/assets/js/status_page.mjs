@@ -0,0 +1,34 @@
+// Helpers for public status pages (assets/js/status_page.js).
+
+const MINUTE = 60_000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+const MAX_RECONNECT_DELAY = 30_000
+
+// "5 minutes ago" for an age in milliseconds.
+export function timeAgo(ms) {
+  if (!Number.isFinite(ms) || ms < 45_000) return "just now"
+  if (ms < HOUR) return ago(Math.max(1, Math.round(ms / MINUTE)), "minute")
+  if (ms < DAY) return ago(Math.round(ms / HOUR), "hour")
+  return ago(Math.round(ms / DAY), "day")
+}
+
+function ago(count, unit) {
+  return `${count} ${unit}${count === 1 ? "" : "s"} ago`
+}
+
+// The bytes of a base64url string, which is how the server hands out the
+// VAPID public key that pushManager.subscribe() wants as a Uint8Array.
+export function base64UrlBytes(value) {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "=")
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+// Delay before reconnect attempt `tries` (1, 2, ...): doubles from one second
+// up to 30 seconds, spread by ±20% so clients that dropped together don't
+// all come back at the same moment.
+export function reconnectDelay(tries, random = Math.random) {
+  const base = Math.min(1000 * 2 ** (Math.max(tries, 1) - 1), MAX_RECONNECT_DELAY)
+  return Math.round(base * (0.8 + random() * 0.4))
+}
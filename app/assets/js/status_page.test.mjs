@@ -0,0 +1,30 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {timeAgo, base64UrlBytes, reconnectDelay} from "./status_page.mjs"
+
+test("describes how long ago the status was updated", () => {
+  assert.equal(timeAgo(10_000), "just now")
+  assert.equal(timeAgo(NaN), "just now")
+  assert.equal(timeAgo(50_000), "1 minute ago")
+  assert.equal(timeAgo(5 * 60_000), "5 minutes ago")
+  assert.equal(timeAgo(60 * 60_000), "1 hour ago")
+  assert.equal(timeAgo(26 * 60 * 60_000), "1 day ago")
+  assert.equal(timeAgo(3 * 24 * 60 * 60_000), "3 days ago")
+})
+
+test("decodes base64url keys with or without padding", () => {
+  assert.deepEqual(base64UrlBytes("-_8"), Uint8Array.from([251, 255]))
+  assert.deepEqual(base64UrlBytes("-_8="), Uint8Array.from([251, 255]))
+  assert.equal(base64UrlBytes("BGz36Xc4kIvFsBYaqPceYT0iO3RnOuJrwMyRj5kipdfUsSrJEAP-Zoz2QqtCOqD3kkl2x8YuLRDRW3eVrFblBvE").length, 65)
+})
+
+test("backs off reconnects up to 30 seconds with jitter", () => {
+  const middle = () => 0.5
+
+  assert.equal(reconnectDelay(1, middle), 1000)
+  assert.equal(reconnectDelay(2, middle), 2000)
+  assert.equal(reconnectDelay(5, middle), 16_000)
+  assert.equal(reconnectDelay(20, middle), 30_000)
+  assert.equal(reconnectDelay(1, () => 0), 800)
+  assert.equal(reconnectDelay(1, () => 1), 1200)
+})
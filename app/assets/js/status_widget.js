@@ -0,0 +1,167 @@
+// Embeddable status widget for customer sites, built as its own bundle
+// (/assets/js/status_widget.js) next to app.js.
+//
+//     <div data-runlater-status="acme" data-view="pill" data-theme="auto"></div>
+//     <script src="https://runlater.eu/assets/js/status_widget.js" async></script>
+//
+// Every element with data-runlater-status gets a status pill, an incident
+// banner or a 30-day uptime bar for that status page, read from its public
+// feed (PrikkeWeb.StatusWidgetController) on the host the script came from.
+// The widget renders into a shadow root so the host page's CSS can't reach it,
+// and refreshes while the page is visible.
+
+import {
+  affected,
+  averageUptime,
+  bannerText,
+  dailyBars,
+  dayLabel,
+  feedUrl,
+  formatUptime,
+  parseOptions,
+} from "./status_widget.mjs"
+
+const scriptSrc = document.currentScript?.src || window.location.href
+
+const STYLES = `
+:host { all: initial; display: inline-block; font: 500 13px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif;
+  --bg: #ffffff; --fg: #0f172a; --muted: #64748b; --border: #e2e8f0;
+  --up: #10b981; --degraded: #f59e0b; --down: #ef4444; --none: #e2e8f0; }
+:host([data-view="banner"]), :host([data-view="bar"]) { display: block; }
+:host([data-theme="dark"]) { --bg: #0f172a; --fg: #f1f5f9; --muted: #94a3b8; --border: #334155; --none: #334155; }
+@media (prefers-color-scheme: dark) {
+  :host([data-theme="auto"]) { --bg: #0f172a; --fg: #f1f5f9; --muted: #94a3b8; --border: #334155; --none: #334155; }
+}
+a { color: inherit; text-decoration: none; }
+.pill { display: inline-flex; align-items: center; gap: 8px; padding: 4px 12px; border-radius: 999px;
+  background: var(--bg); color: var(--fg); border: 1px solid var(--border); }
+.dot { width: 8px; height: 8px; border-radius: 50%; flex-shrink: 0; }
+.operational { background: var(--up); }
+.partial_outage { background: var(--degraded); }
+.major_outage { background: var(--down); }
+.banner { display: flex; align-items: center; gap: 10px; padding: 10px 16px; border-radius: 8px; color: #fff; }
+.banner.partial_outage { background: #b45309; }
+.banner.major_outage { background: #b91c1c; }
+.banner span { flex: 1; }
+.banner a { text-decoration: underline; white-space: nowrap; }
+.card { padding: 12px 16px; border-radius: 10px; background: var(--bg); color: var(--fg); border: 1px solid var(--border); }
+.row { display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px; }
+.title { display: flex; align-items: center; gap: 8px; }
+.bars { display: flex; gap: 2px; height: 24px; }
+.bars div { flex: 1; border-radius: 2px; }
+.up { background: var(--up); }
+.degraded { background: var(--degraded); }
+.down { background: var(--down); }
+.none { background: var(--none); }
+.muted { color: var(--muted); font-size: 11px; }
+.legend { display: flex; justify-content: space-between; margin-top: 6px; }
+`
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+function link(feed, className) {
+  const anchor = el("a", className)
+  anchor.href = feed.url
+  anchor.target = "_blank"
+  anchor.rel = "noopener"
+  return anchor
+}
+
+const VIEWS = {
+  pill(feed) {
+    const pill = link(feed, "pill")
+    pill.title = feed.title
+    pill.append(el("span", `dot ${feed.status}`), el("span", null, feed.label))
+    return [pill]
+  },
+
+  // Nothing while everything is operational
+  banner(feed) {
+    if (feed.status === "operational") return []
+
+    const banner = el("div", `banner ${feed.status}`)
+    banner.setAttribute("role", "status")
+    const more = link(feed)
+    more.textContent = "View status"
+    banner.append(el("span", null, bannerText(feed)), more)
+    return [banner]
+  },
+
+  bar(feed) {
+    const card = el("div", "card")
+    const row = el("div", "row")
+    const title = link(feed, "title")
+    title.append(el("span", `dot ${feed.status}`), el("span", null, feed.label))
+    row.append(title)
+
+    const uptime = averageUptime(feed)
+    if (uptime !== null) row.append(el("span", "muted", `${formatUptime(uptime)} uptime`))
+
+    const bars = el("div", "bars")
+    for (const day of dailyBars(feed)) {
+      const bar = el("div", day.status)
+      bar.title = dayLabel(day)
+      bars.append(bar)
+    }
+
+    const legend = el("div", "legend muted")
+    legend.append(el("span", null, "30 days ago"), el("span", null, "Today"))
+
+    const down = affected(feed)
+    card.append(row, bars, legend)
+    if (down.length > 0) card.append(el("div", "muted", down.map(component => component.name).join(", ")))
+    return [card]
+  },
+}
+
+function mount(host) {
+  if (host.shadowRoot) return
+
+  const options = parseOptions(host.dataset)
+  if (options.slug === "") return
+
+  host.dataset.view = options.view
+  host.dataset.theme = options.theme
+
+  const root = host.attachShadow({mode: "open"})
+  const style = el("style", null, STYLES)
+  const content = el("div")
+  content.setAttribute("aria-live", "polite")
+  root.append(style, content)
+
+  const url = feedUrl(scriptSrc, options.slug)
+  let timer
+
+  const load = async () => {
+    clearTimeout(timer)
+    try {
+      const response = await fetch(url, {headers: {accept: "application/json"}})
+      if (response.ok) content.replaceChildren(...VIEWS[options.view](await response.json()))
+    } catch (_e) {
+      // Keeps the last status shown while offline
+    }
+    if (!document.hidden) timer = setTimeout(load, options.refresh * 1000)
+  }
+
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) clearTimeout(timer)
+    else load()
+  })
+
+  load()
+}
+
+function mountAll() {
+  document.querySelectorAll("[data-runlater-status]").forEach(mount)
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", mountAll)
+} else {
+  mountAll()
+}
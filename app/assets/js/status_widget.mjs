@@ -0,0 +1,74 @@
+// Helpers for the embeddable status widget (assets/js/status_widget.js),
+// turning the feed from PrikkeWeb.StatusWidgetController into what each view
+// shows.
+
+export const VIEWS = ["pill", "banner", "bar"]
+export const THEMES = ["light", "dark", "auto"]
+
+export const DEFAULT_REFRESH = 60
+// The feed is cached for a minute, polling faster gains nothing
+export const MIN_REFRESH = 30
+
+const DAY_RANK = {none: 0, up: 1, degraded: 2, down: 3}
+const HEALTH_RANK = {outage: 0, degraded: 1}
+
+// Options from the data-* attributes of the widget element
+export function parseOptions(dataset) {
+  const refresh = Number.parseInt(dataset.refresh, 10)
+
+  return {
+    slug: (dataset.runlaterStatus || dataset.page || "").trim(),
+    view: VIEWS.includes(dataset.view) ? dataset.view : "pill",
+    theme: THEMES.includes(dataset.theme) ? dataset.theme : "light",
+    refresh: Number.isFinite(refresh) ? Math.max(refresh, MIN_REFRESH) : DEFAULT_REFRESH,
+  }
+}
+
+// Where the feed of a status page lives, relative to the widget script
+export function feedUrl(scriptSrc, slug) {
+  return new URL(`/s/${encodeURIComponent(slug)}/status.json`, scriptSrc).toString()
+}
+
+// Components that are degraded or down, worst first
+export function affected(feed) {
+  return feed.components
+    .filter(component => component.health in HEALTH_RANK)
+    .sort((a, b) => HEALTH_RANK[a.health] - HEALTH_RANK[b.health])
+}
+
+// The worst status of each day across all components, oldest first
+export function dailyBars(feed) {
+  const days = new Map()
+  for (const component of feed.components) {
+    for (const {date, status} of component.days) {
+      const rank = DAY_RANK[status] ?? 0
+      if (!days.has(date) || rank > DAY_RANK[days.get(date)]) days.set(date, rank === 0 ? "none" : status)
+    }
+  }
+  return [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, status]) => ({date, status}))
+}
+
+// Mean uptime of the components that report one, or null
+export function averageUptime(feed) {
+  const values = feed.components.map(component => component.uptime).filter(value => typeof value === "number")
+  if (values.length === 0) return null
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+}
+
+export function formatUptime(percent) {
+  return percent === 100 ? "100%" : `${percent}%`
+}
+
+// "Partial outage: API is degraded" and the like, for the banner
+export function bannerText(feed) {
+  const names = affected(feed).map(component => component.name)
+  if (names.length === 0) return feed.label
+  if (names.length === 1) return `${feed.label}: ${names[0]} is affected`
+  if (names.length <= 3) return `${feed.label}: ${names.slice(0, -1).join(", ")} and ${names.at(-1)} are affected`
+  return `${feed.label}: ${names.slice(0, 2).join(", ")} and ${names.length - 2} more are affected`
+}
+
+export function dayLabel({date, status}) {
+  const text = {up: "Operational", degraded: "Degraded", down: "Down"}[status] ?? "No data"
+  return `${date}: ${text}`
+}
@@ -0,0 +1,75 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {affected, averageUptime, bannerText, dailyBars, feedUrl, parseOptions} from "./status_widget.mjs"
+
+const component = (name, health, uptime, days = []) => ({name, health, uptime, days})
+
+const feed = components => ({
+  title: "Acme",
+  url: "https://runlater.eu/s/acme",
+  status: "partial_outage",
+  label: "Partial outage",
+  components,
+})
+
+test("reads options from data attributes with safe defaults", () => {
+  assert.deepEqual(parseOptions({runlaterStatus: " acme "}), {slug: "acme", view: "pill", theme: "light", refresh: 60})
+  assert.deepEqual(parseOptions({runlaterStatus: "acme", view: "bar", theme: "auto", refresh: "5"}), {
+    slug: "acme",
+    view: "bar",
+    theme: "auto",
+    refresh: 30,
+  })
+  assert.equal(parseOptions({runlaterStatus: "acme", view: "table", theme: "pink"}).view, "pill")
+})
+
+test("fetches the feed from the host that served the script", () => {
+  assert.equal(
+    feedUrl("https://runlater.eu/assets/js/status_widget.js?v=1", "acme status"),
+    "https://runlater.eu/s/acme%20status/status.json"
+  )
+})
+
+test("lists affected components worst first", () => {
+  const components = [
+    component("Web", "operational"),
+    component("API", "degraded"),
+    component("Jobs", "outage"),
+    component("Docs", "unknown"),
+  ]
+
+  assert.deepEqual(affected(feed(components)).map(c => c.name), ["Jobs", "API"])
+  assert.equal(bannerText(feed(components)), "Partial outage: Jobs and API are affected")
+  assert.equal(bannerText(feed([component("API", "degraded")])), "Partial outage: API is affected")
+  assert.equal(
+    bannerText(feed(["A", "B", "C", "D"].map(name => component(name, "outage")))),
+    "Partial outage: A, B and 2 more are affected"
+  )
+})
+
+test("keeps the worst status of each day across components", () => {
+  const bars = dailyBars(
+    feed([
+      component("API", "operational", 99.5, [
+        {date: "2026-03-02", status: "up"},
+        {date: "2026-03-01", status: "down"},
+      ]),
+      component("Jobs", "operational", 100, [
+        {date: "2026-03-01", status: "up"},
+        {date: "2026-03-02", status: "degraded"},
+        {date: "2026-03-03", status: "none"},
+      ]),
+    ])
+  )
+
+  assert.deepEqual(bars, [
+    {date: "2026-03-01", status: "down"},
+    {date: "2026-03-02", status: "degraded"},
+    {date: "2026-03-03", status: "none"},
+  ])
+})
+
+test("averages the uptime of components that have one", () => {
+  assert.equal(averageUptime(feed([component("A", "operational", 99.5), component("B", "operational", 100)])), 99.75)
+  assert.equal(averageUptime(feed([component("Endpoint", "unknown", null)])), null)
+})
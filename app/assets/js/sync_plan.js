@@ -0,0 +1,175 @@
+// Declarative sync from the dashboard, mounted by PrikkeWeb.SyncLive.
+//
+// The config is edited as JSON in the browser. Plan sends it to the server,
+// which replies with the changes a sync would make, rendered here like
+// `terraform plan`. Apply stays disabled until the config on screen has been
+// planned, so what gets applied is what was reviewed.
+
+import {parseConfig, planRows, fieldLine, hasChanges} from "./sync_plan.mjs"
+
+const DOWNLOAD_NAME = "runlater-sync.json"
+
+const ACTION_CLASSES = {
+  create: "text-emerald-700",
+  update: "text-amber-700",
+  delete: "text-red-700",
+}
+
+const ACTION_LABELS = {
+  create: "will be created",
+  update: "will be updated",
+  delete: "will be deleted",
+}
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+const SyncPlan = {
+  mounted() {
+    this.exported = this.el.dataset.export
+    this.editor = this.el.querySelector("[data-sync-config]")
+    this.deleteRemoved = this.el.querySelector("[data-sync-delete-removed]")
+    this.planButton = this.el.querySelector("[data-sync-plan]")
+    this.applyButton = this.el.querySelector("[data-sync-apply]")
+    this.upload = this.el.querySelector("[data-sync-upload]")
+    this.output = this.el.querySelector("[data-sync-output]")
+    // The request behind the plan on screen, while it still matches the editor
+    this.planned = null
+    this.planShown = false
+
+    this.editor.addEventListener("input", () => this.invalidate())
+    this.deleteRemoved.addEventListener("change", () => this.invalidate())
+    this.planButton.addEventListener("click", () => this.plan())
+    this.applyButton.addEventListener("click", () => this.apply())
+    this.upload.addEventListener("change", () => this.uploadConfig())
+    this.el.querySelector("[data-sync-download]").addEventListener("click", () => this.downloadConfig())
+    this.el.querySelector("[data-sync-reset]").addEventListener("click", () => this.setConfig(this.exported))
+  },
+
+  plan() {
+    const {config, error} = parseConfig(this.editor.value)
+    if (error) return this.showError(error)
+
+    const request = {...config, delete_removed: this.deleteRemoved.checked}
+    this.planButton.disabled = true
+
+    this.pushEvent("plan", {config: request}, reply => {
+      this.planButton.disabled = false
+      if (!reply.ok) return this.showError(reply.message, reply.errors)
+
+      this.planned = hasChanges(reply.plan) ? request : null
+      this.applyButton.disabled = this.planned === null
+      this.renderPlan(reply.plan, reply.message)
+    })
+  },
+
+  apply() {
+    if (!this.planned) return
+    const message = this.planned.delete_removed
+      ? "Apply this plan? Deleted resources can't be restored."
+      : "Apply this plan?"
+    if (!window.confirm(message)) return
+
+    this.applyButton.disabled = true
+    this.planButton.disabled = true
+
+    this.pushEvent("apply", {config: this.planned}, reply => {
+      this.planButton.disabled = false
+      if (!reply.ok) {
+        this.applyButton.disabled = false
+        return this.showError(reply.message, reply.errors)
+      }
+
+      this.exported = reply.config
+      this.setConfig(reply.config)
+      this.showResult(reply.message)
+    })
+  },
+
+  // The plan no longer describes the editor's config
+  invalidate() {
+    this.planned = null
+    this.applyButton.disabled = true
+    if (this.planShown && !this.output.querySelector("[data-stale]")) {
+      const note = el("p", "mb-3 text-xs text-amber-700", "The config changed since this plan. Plan again to apply it.")
+      note.dataset.stale = ""
+      this.output.prepend(note)
+    }
+  },
+
+  setConfig(text) {
+    this.editor.value = text
+    this.invalidate()
+  },
+
+  async uploadConfig() {
+    const file = this.upload.files[0]
+    if (!file) return
+    this.setConfig(await file.text())
+    this.upload.value = ""
+  },
+
+  downloadConfig() {
+    const url = URL.createObjectURL(new Blob([this.editor.value], {type: "application/json"}))
+    const link = el("a")
+    link.href = url
+    link.download = DOWNLOAD_NAME
+    link.click()
+    URL.revokeObjectURL(url)
+  },
+
+  renderPlan(plan, message) {
+    const header = el("div", "flex items-center justify-between gap-3 mb-4")
+    header.append(
+      el("p", "text-sm font-medium text-slate-900", message),
+      el("span", "text-xs text-slate-400", `${plan.unchanged_count} unchanged`)
+    )
+
+    const list = el("div", "space-y-3 font-mono text-xs")
+    for (const row of planRows(plan)) {
+      const block = el("div")
+      const title = el("div", `font-medium ${ACTION_CLASSES[row.action]}`)
+      title.append(el("span", "inline-block w-4 font-bold", row.symbol), `${row.type} "${row.name}" ${ACTION_LABELS[row.action]}`)
+      block.append(title)
+
+      for (const field of row.fields) {
+        block.append(el("div", "pl-4 text-slate-600 whitespace-pre-wrap break-all", fieldLine(row.action, field)))
+      }
+      list.append(block)
+    }
+
+    this.output.replaceChildren(header, list)
+    this.planShown = true
+  },
+
+  showError(message, errors = []) {
+    const box = el("div", "rounded-lg bg-red-50 border border-red-200 p-3 text-sm text-red-700")
+    box.append(el("p", "font-medium", message))
+
+    if (errors.length > 0) {
+      const list = el("ul", "mt-2 space-y-1 text-xs")
+      for (const {name, error} of errors) {
+        const item = el("li")
+        item.append(el("span", "font-mono font-medium", name || "(no name)"), `: ${error}`)
+        list.append(item)
+      }
+      box.append(list)
+    }
+
+    this.output.replaceChildren(box)
+    this.planShown = false
+  },
+
+  showResult(message) {
+    this.output.replaceChildren(
+      el("div", "rounded-lg bg-emerald-50 border border-emerald-200 p-3 text-sm font-medium text-emerald-700", message)
+    )
+    this.planShown = false
+  },
+}
+
+export default SyncPlan
@@ -0,0 +1,62 @@
+// Helpers for the sync page's plan diff (assets/js/sync_plan.js): checking a
+// pasted config and turning the plan from Prikke.Sync into display rows.
+
+// Request keys in plan order, with the singular used in plan rows
+export const RESOURCE_TYPES = [
+  ["tasks", "task"],
+  ["monitors", "monitor"],
+  ["endpoints", "endpoint"],
+]
+
+export const SYMBOLS = {create: "+", update: "~", delete: "-"}
+
+// The parsed config, or an error explaining why it can't be synced
+export function parseConfig(text) {
+  let config
+  try {
+    config = JSON.parse(text)
+  } catch (e) {
+    return {error: `Invalid JSON: ${e.message}`}
+  }
+
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    return {error: "The config must be a JSON object"}
+  }
+  if (!RESOURCE_TYPES.some(([key]) => Array.isArray(config[key]))) {
+    return {error: "The config needs a \"tasks\", \"monitors\" or \"endpoints\" list"}
+  }
+  return {config}
+}
+
+// One row per planned change, with its fields as [{field, from, to}] sorted
+// by name after the `name` field itself
+export function planRows(plan) {
+  return RESOURCE_TYPES.flatMap(([key, type]) =>
+    (plan[key] || []).map(({action, name, changes}) => ({
+      type,
+      action,
+      symbol: SYMBOLS[action],
+      name,
+      fields: Object.keys(changes || {})
+        .sort((a, b) => (a === "name" ? -1 : b === "name" ? 1 : a.localeCompare(b)))
+        .map(field => ({field, from: changes[field].from, to: changes[field].to})),
+    }))
+  )
+}
+
+// A field value as shown in the plan: JSON, or "(unset)" for no value
+export function formatValue(value) {
+  return value === null || value === undefined ? "(unset)" : JSON.stringify(value)
+}
+
+// The text of a field line under a change: new values for a create, old
+// ones for a delete, both for an update
+export function fieldLine(action, {field, from, to}) {
+  if (action === "create") return `${field} = ${formatValue(to)}`
+  if (action === "delete") return `${field} = ${formatValue(from)}`
+  return `${field}: ${formatValue(from)} → ${formatValue(to)}`
+}
+
+export function hasChanges(plan) {
+  return plan.create_count + plan.update_count + plan.delete_count > 0
+}
@@ -0,0 +1,55 @@
+import {test} from "node:test"
+import assert from "node:assert/strict"
+import {parseConfig, planRows, formatValue, fieldLine, hasChanges} from "./sync_plan.mjs"
+
+test("accepts configs with at least one resource list", () => {
+  assert.deepEqual(parseConfig('{"tasks": []}'), {config: {tasks: []}})
+  assert.match(parseConfig("{tasks: []}").error, /^Invalid JSON/)
+  assert.equal(parseConfig("[]").error, "The config must be a JSON object")
+  assert.equal(parseConfig("null").error, "The config must be a JSON object")
+  assert.match(parseConfig('{"tasks": {}}').error, /needs a "tasks"/)
+})
+
+test("orders plan rows by resource type and fields by name", () => {
+  const plan = {
+    endpoints: [{action: "delete", name: "Stripe", changes: {name: {from: "Stripe", to: null}}}],
+    tasks: [
+      {
+        action: "update",
+        name: "Backup",
+        changes: {url: {from: "https://a", to: "https://b"}, enabled: {from: true, to: false}},
+      },
+    ],
+    monitors: [
+      {
+        action: "create",
+        name: "ETL",
+        changes: {schedule_type: {from: null, to: "cron"}, name: {from: null, to: "ETL"}},
+      },
+    ],
+  }
+
+  const rows = planRows(plan)
+  assert.deepEqual(rows.map(row => [row.symbol, row.type, row.name]), [
+    ["~", "task", "Backup"],
+    ["+", "monitor", "ETL"],
+    ["-", "endpoint", "Stripe"],
+  ])
+  assert.deepEqual(rows[0].fields.map(f => f.field), ["enabled", "url"])
+  assert.deepEqual(rows[1].fields.map(f => f.field), ["name", "schedule_type"])
+})
+
+test("formats field lines per action", () => {
+  assert.equal(formatValue(null), "(unset)")
+  assert.equal(formatValue({a: 1}), '{"a":1}')
+
+  assert.equal(fieldLine("create", {field: "url", from: null, to: "https://a"}), 'url = "https://a"')
+  assert.equal(fieldLine("delete", {field: "enabled", from: false, to: null}), "enabled = false")
+  assert.equal(fieldLine("update", {field: "queue", from: "emails", to: null}), 'queue: "emails" → (unset)')
+})
+
+test("has changes when anything is created, updated or deleted", () => {
+  const counts = {create_count: 0, update_count: 0, delete_count: 0, unchanged_count: 4}
+  assert.equal(hasChanges(counts), false)
+  assert.equal(hasChanges({...counts, delete_count: 1}), true)
+})
@@ -0,0 +1,119 @@
+// Tabs: the curl / Node.js code examples in the docs and on the home page
+// (`[data-tab-group]`) and the Activity / History tabs on resource pages
+// (PrikkeWeb.AuditHistory.history_tabs/1).
+//
+// Code example groups switch their `[data-tab-content]` panels here. Tabs
+// without panels are switched by the LiveView through their `phx-click`, so
+// for them this only adds the keyboard support: Left, Right, Home and End
+// move to a tab and select it.
+//
+// Roles, `aria-selected`, `aria-controls` and the roving tabindex are applied
+// on mount and again by `sync()` after every LiveView patch.
+
+import {moveIndex} from "./focus.mjs"
+
+const TABS = '[data-tab], [role="tab"]'
+
+// Code example tabs sit on a dark background
+const SELECTED = ["text-emerald-400", "border-emerald-400"]
+const UNSELECTED = ["text-slate-500", "border-transparent"]
+
+let uid = 0
+
+function ensureId(el, prefix) {
+  if (!el.id) el.id = `${prefix}-${++uid}`
+  return el.id
+}
+
+export function mountTabs(root) {
+  const tabs = () => [...root.querySelectorAll(TABS)]
+  const panels = () => [...root.querySelectorAll("[data-tab-content]")]
+  const panelFor = tab => panels().find(panel => panel.dataset.tabContent === tab.dataset.tab)
+
+  const selectedTab = all => {
+    const visible = panels().find(panel => panel.style.display !== "none" && !panel.hidden)
+    if (visible) return all.find(tab => tab.dataset.tab === visible.dataset.tabContent)
+    return all.find(tab => tab.getAttribute("aria-selected") === "true") || all[0]
+  }
+
+  const sync = () => {
+    const all = tabs()
+    if (all.length === 0) return
+    const selected = selectedTab(all)
+
+    all[0].parentElement.setAttribute("role", "tablist")
+    for (const tab of all) {
+      tab.setAttribute("role", "tab")
+      tab.setAttribute("aria-selected", String(tab === selected))
+      tab.tabIndex = tab === selected ? 0 : -1
+      if (tab.tagName === "BUTTON") tab.type = "button"
+
+      const panel = panelFor(tab)
+      if (panel) {
+        tab.setAttribute("aria-controls", ensureId(panel, "tab-panel"))
+        panel.setAttribute("role", "tabpanel")
+        panel.setAttribute("aria-labelledby", ensureId(tab, "tab"))
+        panel.tabIndex = 0
+      }
+    }
+  }
+
+  const select = tab => {
+    if (!panelFor(tab)) return
+
+    for (const other of tabs()) {
+      const on = other === tab
+      other.classList.remove(...(on ? UNSELECTED : SELECTED))
+      other.classList.add(...(on ? SELECTED : UNSELECTED))
+    }
+    for (const panel of panels()) {
+      panel.style.display = panel.dataset.tabContent === tab.dataset.tab ? "" : "none"
+    }
+    sync()
+  }
+
+  const onClick = e => {
+    const tab = e.target.closest(TABS)
+    if (tab && root.contains(tab)) select(tab)
+  }
+
+  const onKeydown = e => {
+    const all = tabs()
+    const index = all.indexOf(e.target.closest(TABS))
+    if (index < 0) return
+
+    const next = moveIndex(index, all.length, e.key, "horizontal")
+    if (next === null) return
+    e.preventDefault()
+    all[next].focus()
+    all[next].click()
+  }
+
+  root.addEventListener("click", onClick)
+  root.addEventListener("keydown", onKeydown)
+  sync()
+
+  return {
+    sync,
+    destroy() {
+      root.removeEventListener("click", onClick)
+      root.removeEventListener("keydown", onKeydown)
+    },
+  }
+}
+
+const Tabs = {
+  mounted() {
+    this.tabs = mountTabs(this.el)
+  },
+
+  updated() {
+    this.tabs.sync()
+  },
+
+  destroyed() {
+    this.tabs.destroy()
+  },
+}
+
+export default Tabs
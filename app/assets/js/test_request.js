@@ -0,0 +1,88 @@
+// Test request result, rendered by PrikkeWeb.TestRequestPanel.
+//
+// Draws the timing breakdown from `data-timings` (ms per phase, as measured
+// by Prikke.Tasks.send_test_request/2) as one bar scaled to the total
+// duration, fills the headers tab from `data-headers` and switches tabs.
+
+const PHASES = [
+  ["queue", "Queue", "bg-slate-300"],
+  ["connect", "Connect", "bg-sky-400"],
+  ["send", "Send", "bg-violet-400"],
+  ["receive", "Wait & receive", "bg-emerald-500"],
+]
+
+const ACTIVE_TAB = ["border-emerald-600", "font-medium", "text-slate-900"]
+const INACTIVE_TAB = ["border-transparent", "text-slate-500"]
+
+function el(tag, className, text) {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text !== undefined) node.textContent = text
+  return node
+}
+
+const TestRequest = {
+  mounted() {
+    this.renderTiming(JSON.parse(this.el.dataset.timings || "{}"), Number(this.el.dataset.duration))
+    this.renderHeaders(JSON.parse(this.el.dataset.headers || "[]"))
+
+    for (const tab of this.el.querySelectorAll("[data-test-tab]")) {
+      tab.addEventListener("click", () => this.showTab(tab.dataset.testTab))
+    }
+  },
+
+  renderTiming(timings, total) {
+    const container = this.el.querySelector("[data-test-timing]")
+    const phases = PHASES.filter(([key]) => timings[key] != null)
+    if (phases.length === 0) return
+
+    // The total is timed separately, so rounding can leave the phases a little over it
+    const measured = phases.reduce((sum, [key]) => sum + timings[key], 0)
+    const scale = Math.max(total, measured, 1)
+
+    const bar = el("div", "flex h-2 rounded-full overflow-hidden bg-slate-100")
+    const legend = el("div", "flex flex-wrap gap-x-4 gap-y-1 mt-1.5")
+
+    for (const [key, label, color] of phases) {
+      const segment = el("div", color)
+      segment.style.width = `${(timings[key] / scale) * 100}%`
+      segment.title = `${label}: ${timings[key]}ms`
+      bar.append(segment)
+
+      const item = el("span", "inline-flex items-center gap-1.5")
+      item.append(el("span", `w-2 h-2 rounded-full ${color}`), `${label} ${timings[key]}ms`)
+      legend.append(item)
+    }
+
+    container.replaceChildren(bar, legend)
+  },
+
+  renderHeaders(headers) {
+    const pane = this.el.querySelector("[data-test-pane=headers]")
+
+    if (headers.length === 0) {
+      pane.append(el("p", "text-sm text-slate-400", "No headers"))
+      return
+    }
+
+    const table = el("dl", "grid grid-cols-[minmax(0,14rem)_1fr] gap-x-4 gap-y-1 text-xs font-mono")
+    for (const [name, value] of headers) {
+      table.append(el("dt", "text-slate-500 truncate", name), el("dd", "text-slate-800 break-all", value))
+    }
+    pane.append(table)
+  },
+
+  showTab(name) {
+    for (const tab of this.el.querySelectorAll("[data-test-tab]")) {
+      const active = tab.dataset.testTab === name
+      tab.classList.remove(...(active ? INACTIVE_TAB : ACTIVE_TAB))
+      tab.classList.add(...(active ? ACTIVE_TAB : INACTIVE_TAB))
+      tab.setAttribute("aria-selected", String(active))
+    }
+    for (const pane of this.el.querySelectorAll("[data-test-pane]")) {
+      pane.hidden = pane.dataset.testPane !== name
+    }
+  },
+}
+
+export default TestRequest
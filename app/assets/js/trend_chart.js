@@ -0,0 +1,323 @@
+// Interactive trend chart, rendered by PrikkeWeb.TrendChart.
+//
+// Draws the buckets in `data-buckets` as stacked SVG bars in the current
+// daisyUI theme colours, with a hover tooltip, an optional p50/p95 latency
+// overlay and click-through to the failures or executions for a bucket's
+// window. Dragging across bars pushes `data-zoom-event` and swaps in the
+// hourly buckets from the reply. Kept dependency-free like vendor/topbar.js.
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+const LATENCY_PREF = "prikke:trend-latency"
+
+// Bottom to top. `other` is whatever isn't finished yet (pending, running, ...)
+const SERIES = {
+  executions: [
+    {key: "success", label: "success", color: "--color-success", fallback: "#10b981"},
+    {key: "timeout", label: "timeout", color: "--color-warning", fallback: "#fbbf24"},
+    {key: "failed", label: "failed", color: "--color-error", fallback: "#f87171"},
+    {key: "other", label: "other", color: "--color-base-300", fallback: "#cbd5e1"},
+  ],
+  monitors: [
+    {key: "up", label: "up", color: "--color-success", fallback: "#10b981"},
+    {key: "degraded", label: "degraded", color: "--color-warning", fallback: "#fbbf24"},
+    {key: "down", label: "down", color: "--color-error", fallback: "#f87171"},
+  ],
+}
+
+function svg(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag)
+  for (const [name, value] of Object.entries(attrs)) el.setAttribute(name, value)
+  return el
+}
+
+function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`
+  if (ms < 60_000) return `${(ms / 1000).toFixed(1)}s`
+  return `${(ms / 60_000).toFixed(1)}m`
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0")
+}
+
+function formatBucket(bucket) {
+  const start = new Date(bucket.start)
+  const day = `${MONTHS[start.getUTCMonth()]} ${pad(start.getUTCDate())}`
+  if (new Date(bucket.end) - start > 3_600_000) return day
+  return `${day}, ${pad(start.getUTCHours())}:00 UTC`
+}
+
+const TrendChart = {
+  mounted() {
+    this.kind = this.el.dataset.kind || "executions"
+    this.canvas = this.el.querySelector("[data-trend-canvas]")
+    this.title = this.el.querySelector("[data-trend-title]")
+    this.defaultTitle = this.title ? this.title.textContent : ""
+    this.resetButton = this.el.querySelector("[data-trend-reset]")
+    this.latencyToggle = this.el.querySelector("[data-trend-latency]")
+    this.zoomed = null
+    this.drag = null
+
+    if (this.latencyToggle) {
+      this.latencyToggle.checked = localStorage.getItem(LATENCY_PREF) === "1"
+      this.latencyToggle.addEventListener("change", () => {
+        localStorage.setItem(LATENCY_PREF, this.latencyToggle.checked ? "1" : "0")
+        this.render()
+      })
+    }
+
+    this.resetButton?.addEventListener("click", () => this.resetZoom())
+
+    this.canvas.addEventListener("pointerdown", e => this.onPointerDown(e))
+    this.canvas.addEventListener("pointermove", e => this.onPointerMove(e))
+    this.canvas.addEventListener("pointerup", e => this.onPointerUp(e))
+    this.canvas.addEventListener("pointerleave", () => this.hideTooltip())
+
+    // Redraw when the daisyUI theme changes so colours follow it
+    this.themeObserver = new MutationObserver(() => this.render())
+    this.themeObserver.observe(document.documentElement, {attributes: true, attributeFilter: ["data-theme"]})
+    this.colorScheme = window.matchMedia("(prefers-color-scheme: dark)")
+    this.onColorScheme = () => this.render()
+    this.colorScheme.addEventListener("change", this.onColorScheme)
+
+    this.readBuckets()
+    this.render()
+  },
+
+  updated() {
+    this.readBuckets()
+    if (!this.zoomed) this.render()
+  },
+
+  destroyed() {
+    this.themeObserver.disconnect()
+    this.colorScheme.removeEventListener("change", this.onColorScheme)
+  },
+
+  readBuckets() {
+    try {
+      this.buckets = JSON.parse(this.el.dataset.buckets || "[]")
+    } catch (_e) {
+      this.buckets = []
+    }
+  },
+
+  visibleBuckets() {
+    return this.zoomed ? this.zoomed.buckets : this.buckets
+  },
+
+  colors() {
+    const style = getComputedStyle(this.el)
+    const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback
+    const colors = {
+      empty: read("--color-base-300", "#f1f5f9"),
+      p50: read("--color-info", "#3b82f6"),
+      p95: read("--color-base-content", "#334155"),
+      selection: read("--color-base-content", "#334155"),
+    }
+    for (const series of SERIES[this.kind]) colors[series.key] = read(series.color, series.fallback)
+    return colors
+  },
+
+  segments(bucket) {
+    if (this.kind === "monitors") {
+      return SERIES.monitors.map(s => ({...s, value: bucket[s.key] || 0}))
+    }
+    const other = bucket.total - bucket.success - bucket.failed - bucket.timeout
+    return SERIES.executions.map(s => ({...s, value: s.key === "other" ? other : bucket[s.key] || 0}))
+  },
+
+  render() {
+    const buckets = this.visibleBuckets()
+    const colors = this.colors()
+    const n = Math.max(buckets.length, 1)
+    const width = n * 10
+    const maxTotal = Math.max(1, ...buckets.map(b => b.total))
+
+    const root = svg("svg", {
+      viewBox: `0 0 ${width} 100`,
+      preserveAspectRatio: "none",
+      class: "w-full h-full block",
+      role: "img",
+      "aria-label": `${this.title ? this.title.textContent : "Trend"} chart`,
+    })
+
+    buckets.forEach((bucket, i) => {
+      const x = i * 10 + 0.5
+      if (bucket.total === 0) {
+        root.append(svg("rect", {x, y: 97, width: 9, height: 3, rx: 0.5, fill: colors.empty}))
+        return
+      }
+
+      // Monitor bars are always full height, execution bars scale with volume
+      const height = this.kind === "monitors" ? 100 : Math.max((bucket.total / maxTotal) * 100, 6)
+      let y = 100
+      for (const segment of this.segments(bucket)) {
+        if (segment.value <= 0) continue
+        const h = (segment.value / bucket.total) * height
+        y -= h
+        root.append(svg("rect", {x, y, width: 9, height: h, fill: colors[segment.key]}))
+      }
+    })
+
+    if (this.kind === "executions" && this.latencyToggle?.checked) {
+      this.renderLatency(root, buckets, colors)
+    }
+
+    this.selection = svg("rect", {
+      x: 0, y: 0, width: 0, height: 100,
+      fill: colors.selection, "fill-opacity": 0.1, visibility: "hidden",
+    })
+    root.append(this.selection)
+
+    this.canvas.replaceChildren(root, this.tooltipEl())
+    this.canvas.style.cursor = this.defaultCursor()
+  },
+
+  defaultCursor() {
+    return this.el.dataset.zoomEvent ? "crosshair" : "default"
+  },
+
+  renderLatency(root, buckets, colors) {
+    const maxP95 = Math.max(1, ...buckets.map(b => b.p95_ms || 0))
+    const line = (key, color, dashed) => {
+      const points = buckets
+        .map((b, i) => (b[key] == null ? null : `${i * 10 + 5},${100 - (b[key] / maxP95) * 95}`))
+        .filter(Boolean)
+      if (points.length < 2) return
+      root.append(svg("polyline", {
+        points: points.join(" "),
+        fill: "none",
+        stroke: color,
+        "stroke-width": 1.5,
+        "stroke-dasharray": dashed ? "3 2" : "none",
+        "vector-effect": "non-scaling-stroke",
+      }))
+    }
+    line("p95_ms", colors.p95, true)
+    line("p50_ms", colors.p50, false)
+  },
+
+  tooltipEl() {
+    if (!this.tooltip) {
+      this.tooltip = document.createElement("div")
+      this.tooltip.className =
+        "absolute bottom-full mb-2 px-2 py-1 bg-slate-800 text-white text-xs rounded whitespace-nowrap z-10 pointer-events-none hidden"
+    }
+    return this.tooltip
+  },
+
+  showTooltip(index, offsetX) {
+    const bucket = this.visibleBuckets()[index]
+    if (!bucket) return
+
+    const lines = [[formatBucket(bucket), "font-medium"]]
+    if (bucket.total === 0) {
+      lines.push(["No data", ""])
+    } else {
+      if (this.kind === "executions") lines.push([`${bucket.total} total`, ""])
+      for (const segment of this.segments(bucket)) {
+        if (segment.value > 0) lines.push([`${segment.value} ${segment.label}`, ""])
+      }
+      if (bucket.p50_ms != null) {
+        lines.push([`p50 ${formatDuration(bucket.p50_ms)} · p95 ${formatDuration(bucket.p95_ms)}`, "text-slate-300"])
+      }
+    }
+
+    this.tooltip.replaceChildren(...lines.map(([text, className]) => {
+      const div = document.createElement("div")
+      div.className = className
+      div.textContent = text
+      return div
+    }))
+
+    const maxLeft = this.canvas.clientWidth - this.tooltip.offsetWidth
+    this.tooltip.style.left = `${Math.max(0, Math.min(offsetX - 40, maxLeft))}px`
+    this.tooltip.classList.remove("hidden")
+    this.canvas.style.cursor = this.hrefFor(bucket) ? "pointer" : this.defaultCursor()
+  },
+
+  hideTooltip() {
+    this.tooltip?.classList.add("hidden")
+  },
+
+  indexAt(e) {
+    const rect = this.canvas.getBoundingClientRect()
+    const n = this.visibleBuckets().length
+    const index = Math.floor(((e.clientX - rect.left) / rect.width) * n)
+    return Math.max(0, Math.min(n - 1, index))
+  },
+
+  onPointerDown(e) {
+    if (e.button !== 0) return
+    this.drag = {start: this.indexAt(e), end: this.indexAt(e)}
+    this.canvas.setPointerCapture(e.pointerId)
+  },
+
+  onPointerMove(e) {
+    const index = this.indexAt(e)
+    this.showTooltip(index, e.clientX - this.canvas.getBoundingClientRect().left)
+
+    if (!this.drag || !this.el.dataset.zoomEvent) return
+    this.drag.end = index
+    const from = Math.min(this.drag.start, index)
+    const to = Math.max(this.drag.start, index)
+    this.selection.setAttribute("x", from * 10)
+    this.selection.setAttribute("width", (to - from + 1) * 10)
+    this.selection.setAttribute("visibility", to > from ? "visible" : "hidden")
+  },
+
+  onPointerUp(e) {
+    if (!this.drag) return
+    const {start, end} = this.drag
+    this.drag = null
+    this.canvas.releasePointerCapture(e.pointerId)
+    this.selection.setAttribute("visibility", "hidden")
+
+    const buckets = this.visibleBuckets()
+    if (start === end || !this.el.dataset.zoomEvent) {
+      const href = this.hrefFor(buckets[end])
+      if (href) this.navigate(href)
+      return
+    }
+
+    this.zoom(buckets[Math.min(start, end)], buckets[Math.max(start, end)])
+  },
+
+  zoom(first, last) {
+    const range = {from: first.start, to: last.end}
+    this.pushEvent(this.el.dataset.zoomEvent, range, reply => {
+      if (!reply || !reply.buckets || reply.buckets.length === 0) return
+      this.zoomed = {buckets: reply.buckets}
+      if (this.title) {
+        this.title.textContent = `Hourly · ${formatBucket(first)} – ${formatBucket(last)}`
+      }
+      this.resetButton?.classList.remove("hidden")
+      this.render()
+    })
+  },
+
+  resetZoom() {
+    this.zoomed = null
+    if (this.title) this.title.textContent = this.defaultTitle
+    this.resetButton?.classList.add("hidden")
+    this.render()
+  },
+
+  hrefFor(bucket) {
+    if (!bucket || bucket.total === 0 || this.kind !== "executions") return null
+    const {failuresHref, executionsHref} = this.el.dataset
+    const base = bucket.failed + bucket.timeout > 0 && failuresHref ? failuresHref : executionsHref
+    if (!base) return null
+
+    const params = new URLSearchParams({from: bucket.start, to: bucket.end})
+    return `${base}?${params}`
+  },
+
+  navigate(href) {
+    this.js().navigate(href)
+  },
+}
+
+export default TrendChart
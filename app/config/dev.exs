@@ -106,3 +106,10 @@ config :app, Prikke.Mailer, admin_email: "admin@localhost"
 config :app, PrikkeWeb.RateLimit,
   limit_per_minute: 100_000,
   limit_per_hour: 1_000_000
+
+# Web Push for status page notifications (development keys only)
+config :app, Prikke.WebPush,
+  public_key:
+    "BKgv5SIT4dVJNgr8-Nt2b0qdmeGU7E8zPNlC82aa0BNOOBYhUB2RiRp5crIXkd-7t9opyiHo9GCGURBHCnOKLrQ",
+  private_key: "GXlwjEJoKxz5Sf4rJeKqoCY_ckdrLk5RAaW7mszKXz4",
+  subject: "mailto:admin@localhost"
@@ -113,6 +113,14 @@ if config_env() == :prod do
     yearly_product_id: System.get_env("CREEM_YEARLY_PRODUCT_ID"),
     base_url: "https://api.creem.io"
 
+  # Web Push for status page notifications. Generate a key pair once with
+  # `mix run -e 'IO.inspect(Prikke.WebPush.generate_keys())'`; without one
+  # the notification toggle isn't shown.
+  config :app, Prikke.WebPush,
+    public_key: System.get_env("VAPID_PUBLIC_KEY"),
+    private_key: System.get_env("VAPID_PRIVATE_KEY"),
+    subject: "mailto:" <> System.get_env("VAPID_CONTACT_EMAIL", "support@runlater.eu")
+
   # Configure Mailjet mailer
   config :app, Prikke.Mailer,
     adapter: Swoosh.Adapters.Mailjet,
@@ -64,3 +64,12 @@ config :app, Prikke.Billing.Creem,
   monthly_product_id: "prod_test_monthly",
   yearly_product_id: "prod_test_yearly",
   base_url: "http://localhost:0"
+
+# Web Push for status page notifications (Bypass stands in for push services)
+config :app, Prikke.WebPush,
+  public_key:
+    "BGz36Xc4kIvFsBYaqPceYT0iO3RnOuJrwMyRj5kipdfUsSrJEAP-Zoz2QqtCOqD3kkl2x8YuLRDRW3eVrFblBvE",
+  private_key: "9fuDJBvD0KF2Jfd_DbXybdQwFX91t5e-mzwcg7GeMnE",
+  subject: "mailto:test@localhost",
+  endpoint_hosts: ["localhost"],
+  endpoint_schemes: ["http"]
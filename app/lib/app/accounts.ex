@@ -757,7 +757,8 @@ defmodule Prikke.Accounts do
   - 80%: Warning notification
   - 100%: Limit reached notification
 
-  Only sends one notification per threshold per month.
+  Only sends one notification per threshold per month. Each one is also
+  broadcast to `subscribe_limit_notifications/1` subscribers.
   """
   def maybe_send_limit_notification(organization, current_count) do
     tier_limits = Prikke.Tasks.get_tier_limits(organization.tier)
@@ -773,7 +774,7 @@ defmodule Prikke.Accounts do
       cond do
         # At or over 100% - send limit reached notification
         percent >= 100 and not sent_this_month?(organization.limit_reached_sent_at, now) ->
-          send_limit_reached_notification(organization, limit, now)
+          send_limit_reached_notification(organization, current_count, limit, now)
 
         # At or over 80% but under 100% - send warning notification
         percent >= 80 and not sent_this_month?(organization.limit_warning_sent_at, now) ->
@@ -785,6 +786,22 @@ defmodule Prikke.Accounts do
     end
   end
 
+  @doc """
+  Subscribes to the limit notifications of an organization, broadcast as
+  `{:limit_notification, :warning | :reached, current_count, limit}`.
+  """
+  def subscribe_limit_notifications(%Organization{} = org) do
+    Phoenix.PubSub.subscribe(Prikke.PubSub, "org:#{org.id}:limits")
+  end
+
+  defp broadcast_limit_notification(organization, level, current, limit) do
+    Phoenix.PubSub.broadcast(
+      Prikke.PubSub,
+      "org:#{organization.id}:limits",
+      {:limit_notification, level, current, limit}
+    )
+  end
+
   defp sent_this_month?(nil, _now), do: false
 
   defp sent_this_month?(sent_at, now) do
@@ -805,10 +822,12 @@ defmodule Prikke.Accounts do
     |> Ecto.Changeset.change(limit_warning_sent_at: DateTime.truncate(now, :second))
     |> Repo.update()
 
+    broadcast_limit_notification(organization, :warning, current, limit)
+
     :ok
   end
 
-  defp send_limit_reached_notification(organization, limit, now) do
+  defp send_limit_reached_notification(organization, current, limit, now) do
     email = get_notification_email(organization)
 
     if email do
@@ -822,6 +841,8 @@ defmodule Prikke.Accounts do
     |> Ecto.Changeset.change(limit_reached_sent_at: DateTime.truncate(now, :second))
     |> Repo.update()
 
+    broadcast_limit_notification(organization, :reached, current, limit)
+
     :ok
   end
 
@@ -24,6 +24,8 @@ defmodule Prikke.Application do
         Prikke.HostBlocker,
         # API key cache (ETS-based, 60s TTL)
         Prikke.ApiKeyCache,
+        # Public status page summaries (ETS-based, 60s TTL)
+        Prikke.StatusPages.SummaryCache,
         # Task supervisor for async notifications
         {Task.Supervisor, name: Prikke.TaskSupervisor},
         # Start to serve requests, typically the last entry
@@ -63,6 +65,7 @@ defmodule Prikke.Application do
           Prikke.Cleanup,
           Prikke.StatusMonitor,
           Prikke.MonitorChecker,
+          Prikke.StatusPages.PushNotifier,
           Prikke.Metrics,
           Prikke.ApiMetrics
         ]
@@ -92,6 +92,133 @@ defmodule Prikke.Audit do
     |> Repo.all()
   end
 
+  @doc """
+  Lists a page of an organization's audit logs, newest first.
+
+  Options:
+    * `:actor_type` - "user", "api" or "system"
+    * `:action` and `:resource_type` - exact matches
+    * `:from` and `:to` - `Date`s, both inclusive
+    * `:search` - matched against resource names, the API key name and the
+      acting user's email
+    * `:cursor` - the `next_cursor` of the previous page
+    * `:limit` - page size, 50 by default
+
+  Returns `{logs, next_cursor}`, where `next_cursor` is nil on the last page.
+  """
+  def page_organization_logs(%Organization{} = org, opts \\ []) do
+    limit = Keyword.get(opts, :limit, 50)
+
+    logs =
+      org
+      |> filtered_logs_query(opts)
+      |> before_cursor(decode_cursor(opts[:cursor]))
+      |> limit(^(limit + 1))
+      |> preload(:actor)
+      |> Repo.all()
+
+    case Enum.split(logs, limit) do
+      {page, []} -> {page, nil}
+      {page, _more} -> {page, encode_cursor(List.last(page))}
+    end
+  end
+
+  @export_limit 10_000
+
+  @doc """
+  Lists an organization's audit logs for export, newest first.
+
+  Takes the filters of `page_organization_logs/2` and returns at most
+  #{@export_limit} logs.
+  """
+  def export_organization_logs(%Organization{} = org, opts \\ []) do
+    org
+    |> filtered_logs_query(opts)
+    |> limit(^@export_limit)
+    |> preload(:actor)
+    |> Repo.all()
+  end
+
+  defp filtered_logs_query(org, opts) do
+    query =
+      from(a in AuditLog,
+        where: a.organization_id == ^org.id,
+        order_by: [desc: a.inserted_at, desc: a.id]
+      )
+
+    Enum.reduce(opts, query, fn
+      {:actor_type, type}, query when is_binary(type) ->
+        where(query, [a], a.actor_type == ^type)
+
+      {:action, action}, query when is_binary(action) ->
+        where(query, [a], a.action == ^action)
+
+      {:resource_type, type}, query when is_binary(type) ->
+        where(query, [a], a.resource_type == ^type)
+
+      {:from, %Date{} = date}, query ->
+        where(query, [a], a.inserted_at >= ^start_of_day(date))
+
+      {:to, %Date{} = date}, query ->
+        where(query, [a], a.inserted_at < ^start_of_day(Date.add(date, 1)))
+
+      {:search, search}, query when is_binary(search) and search != "" ->
+        search_logs(query, search)
+
+      _, query ->
+        query
+    end)
+  end
+
+  defp start_of_day(date), do: DateTime.new!(date, ~T[00:00:00], "Etc/UTC")
+
+  # Names are recorded in the metadata under "task_name", "monitor_name",
+  # "api_key_name" and so on
+  defp search_logs(query, search) do
+    pattern = "%" <> String.replace(search, ~r/[\\%_]/, "\\\\\\0") <> "%"
+
+    from(a in query,
+      left_join: u in assoc(a, :actor),
+      where:
+        ilike(u.email, ^pattern) or
+          fragment(
+            "EXISTS (SELECT 1 FROM jsonb_each_text(?) WHERE key ~ 'name$' AND value ILIKE ?)",
+            a.metadata,
+            ^pattern
+          )
+    )
+  end
+
+  defp before_cursor(query, nil), do: query
+
+  defp before_cursor(query, {inserted_at, id}) do
+    where(
+      query,
+      [a],
+      a.inserted_at < ^inserted_at or (a.inserted_at == ^inserted_at and a.id < ^id)
+    )
+  end
+
+  defp encode_cursor(%AuditLog{inserted_at: inserted_at, id: id}) do
+    Base.url_encode64("#{DateTime.to_unix(inserted_at)}:#{id}", padding: false)
+  end
+
+  # Cursors come from query strings, anything that doesn't decode starts over
+  # at the first page
+  defp decode_cursor(cursor) when is_binary(cursor) do
+    with {:ok, decoded} <- Base.url_decode64(cursor, padding: false),
+         [unix, id] <- String.split(decoded, ":", parts: 2),
+         {unix, ""} <- Integer.parse(unix),
+         {:ok, inserted_at} <- DateTime.from_unix(unix),
+         {:ok, id} <- Ecto.UUID.cast(id) do
+      {inserted_at, id}
+    else
+      _ -> nil
+    end
+  end
+
+  defp decode_cursor(_cursor), do: nil
+
   @doc """
   Lists all audit logs (for superadmin).
   """
@@ -170,6 +297,27 @@ defmodule Prikke.Audit do
     |> Repo.delete_all()
   end
 
+  @name_keys ~w(task_name monitor_name endpoint_name queue_name)
+
+  @doc """
+  The name of the resource a log is about, as recorded in its metadata.
+  """
+  def resource_name(%AuditLog{resource_type: "api_key", metadata: metadata}),
+    do: metadata["api_key_name"]
+
+  def resource_name(%AuditLog{metadata: metadata}),
+    do: Enum.find_value(@name_keys, &metadata[&1])
+
+  @doc """
+  Who performed the logged action: the user's email, the API key's name or
+  "System".
+  """
+  def actor_name(%AuditLog{actor_type: "user", actor: %User{email: email}}), do: email
+  def actor_name(%AuditLog{actor_type: "user"}), do: "Deleted user"
+  def actor_name(%AuditLog{actor_type: "api", metadata: metadata}), do: metadata["api_key_name"]
+  def actor_name(%AuditLog{actor_type: "system"}), do: "System"
+  def actor_name(%AuditLog{}), do: "Unknown"
+
   @doc """
   Formats an audit log action for display.
   """
@@ -180,6 +328,7 @@ defmodule Prikke.Audit do
   def format_action("disabled"), do: "Disabled"
   def format_action("triggered"), do: "Triggered manually"
   def format_action("retried"), do: "Retried"
+  def format_action("replayed"), do: "Replayed event"
   def format_action("upgraded"), do: "Upgraded to Pro"
   def format_action("downgraded"), do: "Downgraded to Free"
   def format_action("invited"), do: "Invited member"
@@ -189,6 +338,9 @@ defmodule Prikke.Audit do
   def format_action("api_key_deleted"), do: "Deleted API key"
   def format_action("subscription_activated"), do: "Subscription activated"
   def format_action("subscription_status_changed"), do: "Subscription status changed"
+  def format_action("paused"), do: "Paused"
+  def format_action("resumed"), do: "Resumed"
+  def format_action("purged"), do: "Purged"
   def format_action(action), do: String.capitalize(action)
 
   @doc """
@@ -204,5 +356,6 @@ defmodule Prikke.Audit do
   def format_resource_type("status_page"), do: "Status Page"
   def format_resource_type("status_page_badge"), do: "Status Page Badge"
   def format_resource_type("monitor"), do: "Monitor"
+  def format_resource_type("queue"), do: "Queue"
   def format_resource_type(type), do: String.capitalize(type)
 end
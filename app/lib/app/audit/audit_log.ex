@@ -19,8 +19,12 @@ defmodule Prikke.Audit.AuditLog do
   end
 
   @actor_types ~w(user system api)
-  @actions ~w(created updated deleted enabled disabled triggered retried upgraded downgraded invited removed role_changed api_key_created api_key_deleted subscription_activated subscription_status_changed)
-  @resource_types ~w(organization task execution membership invite api_key endpoint monitor status_page status_page_badge)
+  @actions ~w(created updated deleted enabled disabled triggered retried replayed upgraded downgraded invited removed role_changed api_key_created api_key_deleted subscription_activated subscription_status_changed paused resumed purged)
+  @resource_types ~w(organization task execution membership invite api_key endpoint monitor status_page status_page_badge queue)
+
+  def actor_types, do: @actor_types
+  def actions, do: @actions
+  def resource_types, do: @resource_types
 
   @doc false
   def changeset(audit_log, attrs) do
@@ -253,5 +253,59 @@ defmodule Prikke.Cron do
 
   def parse_to_preset(_), do: :custom
 
+  @doc """
+  Estimates the interval in minutes between runs of a parsed cron expression.
+
+  This is a rough figure used for task priority (minute tasks > hourly > daily)
+  and for the tier's minimum interval, not the exact gap between runs. The cron
+  editor in the browser (`assets/js/cron.mjs`) mirrors this logic so it can warn
+  before a form is submitted.
+
+  ## Examples
+
+      iex> {:ok, cron} = Crontab.CronExpression.Parser.parse("*/15 * * * *")
+      iex> Prikke.Cron.estimate_interval_minutes(cron)
+      15
+
+      iex> {:ok, cron} = Crontab.CronExpression.Parser.parse("0 9 * * 1-5")
+      iex> Prikke.Cron.estimate_interval_minutes(cron)
+      1440
+
+  """
+  def estimate_interval_minutes(%Crontab.CronExpression{} = cron) do
+    minute_interval = estimate_minute_interval(cron.minute)
+
+    cond do
+      # Every N minutes
+      minute_interval < 60 ->
+        minute_interval
+
+      # Hourly (minute is fixed, hour is *)
+      cron.hour == [:*] ->
+        60
+
+      # Step hours like */2
+      match?([{:/, :*, step}] when is_integer(step), cron.hour) ->
+        [{:/, :*, step}] = cron.hour
+        step * 60
+
+      # Multiple times per day
+      is_list(cron.hour) and length(cron.hour) > 1 ->
+        div(24 * 60, length(cron.hour))
+
+      # Daily or less frequent
+      true ->
+        24 * 60
+    end
+  end
+
+  defp estimate_minute_interval([:*]), do: 1
+  defp estimate_minute_interval([{:/, :*, step}]) when is_integer(step), do: step
+
+  defp estimate_minute_interval(list) when is_list(list) and length(list) > 1,
+    do: div(60, length(list))
+
+  defp estimate_minute_interval(_), do: 60
+
   defp numeric?(s), do: Regex.match?(~r/^\d+$/, s)
 end
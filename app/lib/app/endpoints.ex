@@ -110,6 +110,7 @@ defmodule Prikke.Endpoints do
             :forward_headers,
             :forward_body,
             :forward_method,
+            :filter,
             :on_failure_url,
             :on_recovery_url
           ])
@@ -190,7 +191,7 @@ defmodule Prikke.Endpoints do
   def get_last_event_status(%Endpoint{} = endpoint) do
     event =
       from(e in InboundEvent,
-        where: e.endpoint_id == ^endpoint.id,
+        where: e.endpoint_id == ^endpoint.id and not e.filtered,
         order_by: [desc: e.received_at],
         limit: 1
       )
@@ -251,7 +252,10 @@ defmodule Prikke.Endpoints do
       |> Repo.get!(id)
 
     tasks = load_tasks_with_latest_execution(event.task_ids)
-    Map.put(event, :tasks, tasks)
+
+    event
+    |> Map.put(:tasks, tasks)
+    |> Map.put(:replays, load_tasks_with_latest_execution(event.replay_task_ids))
   end
 
   def count_inbound_events(%Endpoint{} = endpoint) do
@@ -266,7 +270,7 @@ defmodule Prikke.Endpoints do
   1. Insert inbound_event record
   2. For each forward URL: create a task + execution
   3. Update event with task_ids
-  4. Notify workers once
+  4. Notify workers once and broadcast `{:inbound_event_received, event}`
   """
   def receive_event(%Endpoint{} = endpoint, attrs) do
     now = DateTime.utc_now() |> DateTime.truncate(:second)
@@ -361,41 +365,191 @@ defmodule Prikke.Endpoints do
     # Notify workers after transaction commits
     Tasks.notify_workers()
 
+    with {:ok, event} <- result do
+      broadcast(org, {:inbound_event_received, event})
+    end
+
+    result
+  end
+
+  @doc """
+  Stores an inbound event that didn't match the endpoint's filter. It is
+  kept for inspection but not forwarded.
+  """
+  def receive_filtered_event(%Endpoint{} = endpoint, attrs) do
+    endpoint = Repo.preload(endpoint, :organization)
+
+    result =
+      %InboundEvent{}
+      |> InboundEvent.create_changeset(%{
+        endpoint_id: endpoint.id,
+        method: to_string(attrs.method),
+        headers: attrs.headers || %{},
+        body: attrs.body,
+        source_ip: attrs.source_ip,
+        received_at: DateTime.utc_now() |> DateTime.truncate(:second),
+        filtered: true
+      })
+      |> Repo.insert()
+
+    with {:ok, event} <- result do
+      broadcast(endpoint.organization, {:inbound_event_received, event})
+    end
+
     result
   end
 
   @doc """
   Replays an inbound event by creating new executions for all linked tasks.
+
+  `overrides` change what is sent, with string keys as in the API:
+
+    * `"url"` - send to this URL only: one of the forward URLs, or any other
+      for a one-off
+    * `"body"`, `"headers"` - send an edited body or headers (replacing the
+      forwarded ones) instead of what was received
+
+  An edited replay gets a one-off task per destination, so the event's own
+  tasks keep the original payload. Those tasks are linked to the event in
+  `replay_task_ids`. Overrides equal to what was forwarded are ignored; a
+  blank `"url"` returns `{:error, :blank_url}`.
+
+  Pass `:scope` or `:api_key_name` in `opts` to record the replay in the
+  audit log.
   """
-  def replay_event(%Endpoint{} = endpoint, %InboundEvent{} = event) do
+  def replay_event(
+        %Endpoint{} = endpoint,
+        %InboundEvent{} = event,
+        overrides \\ %{},
+        opts \\ []
+      ) do
     if event.endpoint_id != endpoint.id do
       raise ArgumentError, "event does not belong to endpoint"
     end
 
-    task_ids = event.task_ids
+    with :ok <- validate_replay_url(overrides),
+         {:ok, tasks} <- replay_tasks(event) do
+      overrides = replay_overrides(overrides, hd(tasks))
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
 
-    if task_ids == [] do
-      {:error, :no_tasks}
-    else
-      tasks = load_tasks_by_ids(task_ids)
+      result =
+        case replay_targets(tasks, overrides) do
+          {:existing, tasks} -> {:ok, Enum.map(tasks, &create_replay_execution(&1, now))}
+          {:edited, tasks} -> replay_edited(endpoint, event, tasks, overrides, now)
+        end
 
-      if Enum.empty?(tasks) do
-        {:error, :task_deleted}
-      else
-        now = DateTime.utc_now() |> DateTime.truncate(:second)
+      with {:ok, executions} <- result do
+        Tasks.notify_workers()
 
-        executions =
-          Enum.map(tasks, fn task ->
-            {:ok, exec} = Executions.create_execution_for_task(task, now)
-            exec
-          end)
+        audit_log(opts, :replayed, :endpoint, endpoint.id, endpoint.organization_id,
+          metadata: replay_metadata(endpoint, event, overrides, executions)
+        )
 
-        Tasks.notify_workers()
         {:ok, executions}
       end
     end
   end
 
+  defp replay_tasks(%InboundEvent{task_ids: []}), do: {:error, :no_tasks}
+
+  defp replay_tasks(event) do
+    case load_tasks_by_ids(event.task_ids) do
+      [] -> {:error, :task_deleted}
+      tasks -> {:ok, tasks}
+    end
+  end
+
+  defp validate_replay_url(%{"url" => url}) when is_binary(url) do
+    if String.trim(url) == "", do: {:error, :blank_url}, else: :ok
+  end
+
+  defp validate_replay_url(_overrides), do: :ok
+
+  @replay_overrides ~w(url body headers)
+
+  defp replay_overrides(overrides, task) do
+    overrides
+    |> Map.take(@replay_overrides)
+    |> Enum.reject(fn
+      {_key, nil} -> true
+      {"url", _url} -> false
+      {"body", body} -> body == (task.body || "")
+      {"headers", headers} -> headers == (task.headers || %{})
+    end)
+    |> Map.new()
+  end
+
+  # Resending to one of the event's own destinations unchanged reuses its task
+  defp replay_targets(tasks, overrides) when map_size(overrides) == 0, do: {:existing, tasks}
+
+  defp replay_targets(tasks, %{"url" => url} = overrides) when map_size(overrides) == 1 do
+    case Enum.filter(tasks, &(&1.url == url)) do
+      [] -> {:edited, [%{hd(tasks) | url: url}]}
+      matching -> {:existing, matching}
+    end
+  end
+
+  defp replay_targets(tasks, %{"url" => url}) do
+    {:edited, [%{Enum.find(tasks, hd(tasks), &(&1.url == url)) | url: url}]}
+  end
+
+  defp replay_targets(tasks, _overrides), do: {:edited, tasks}
+
+  defp create_replay_execution(task, now) do
+    {:ok, execution} = Executions.create_execution_for_task(task, now)
+    execution
+  end
+
+  defp replay_edited(endpoint, event, tasks, overrides, now) do
+    org = Repo.preload(endpoint, :organization).organization
+    event_short_id = String.slice(event.id, 0..7)
+
+    Repo.transaction(fn ->
+      executions =
+        Enum.map(tasks, fn task ->
+          task_attrs = %{
+            "name" => "#{endpoint.name} \u00b7 event #{event_short_id} \u00b7 edited replay",
+            "url" => task.url,
+            "method" => task.method,
+            "headers" => Map.get(overrides, "headers", task.headers),
+            "body" => Map.get(overrides, "body", task.body),
+            "schedule_type" => "once",
+            "scheduled_at" => now,
+            "enabled" => true,
+            "timeout_ms" => task.timeout_ms,
+            "retry_attempts" => task.retry_attempts,
+            "queue" => task.queue,
+            "notify_on_failure" => task.notify_on_failure,
+            "notify_on_recovery" => task.notify_on_recovery,
+            "on_failure_url" => task.on_failure_url,
+            "on_recovery_url" => task.on_recovery_url
+          }
+
+          case Tasks.create_task(org, task_attrs, skip_next_run: true) do
+            {:ok, replay_task} -> create_replay_execution(replay_task, now)
+            {:error, changeset} -> Repo.rollback(changeset)
+          end
+        end)
+
+      for execution <- executions do
+        from(e in InboundEvent, where: e.id == ^event.id)
+        |> Repo.update_all(push: [replay_task_ids: execution.task_id])
+      end
+
+      executions
+    end)
+  end
+
+  defp replay_metadata(endpoint, event, overrides, executions) do
+    %{
+      "endpoint_name" => endpoint.name,
+      "event_id" => event.id,
+      "edited" => overrides |> Map.keys() |> Enum.filter(&(&1 in ["body", "headers"])),
+      "url" => overrides["url"],
+      "executions" => length(executions)
+    }
+  end
+
   ## Private: Task loading helpers
 
   defp load_tasks_by_ids([]), do: []
@@ -425,6 +579,13 @@ defmodule Prikke.Endpoints do
     end)
   end
 
+  @doc """
+  Status of an inbound event: "filtered" when the endpoint's filter held it
+  back, otherwise the aggregated status of its forwarding tasks.
+  """
+  def event_status(%{filtered: true}), do: "filtered"
+  def event_status(event), do: aggregate_task_statuses(Map.get(event, :tasks, []))
+
   @doc """
   Computes an aggregated status from a list of tasks with latest_execution.
   """
@@ -2,6 +2,8 @@ defmodule Prikke.Endpoints.Endpoint do
   use Ecto.Schema
   import Ecto.Changeset
 
+  alias Prikke.Endpoints.Filter
+
   @primary_key {:id, Prikke.UUID7, autogenerate: true}
   @foreign_key_type :binary_id
   schema "endpoints" do
@@ -18,6 +20,7 @@ defmodule Prikke.Endpoints.Endpoint do
     field :forward_headers, :map, default: %{}
     field :forward_body, :string
     field :forward_method, :string
+    field :filter, :map
 
     belongs_to :organization, Prikke.Accounts.Organization
     has_many :inbound_events, Prikke.Endpoints.InboundEvent
@@ -39,7 +42,8 @@ defmodule Prikke.Endpoints.Endpoint do
       :on_recovery_url,
       :forward_headers,
       :forward_body,
-      :forward_method
+      :forward_method,
+      :filter
     ])
     |> validate_required([:name])
     |> validate_number(:retry_attempts, greater_than_or_equal_to: 0, less_than_or_equal_to: 10)
@@ -47,6 +51,7 @@ defmodule Prikke.Endpoints.Endpoint do
     |> validate_forward_urls()
     |> validate_optional_url(:on_failure_url)
     |> validate_optional_url(:on_recovery_url)
+    |> validate_filter()
     |> validate_inclusion(:forward_method, ~w(GET POST PUT PATCH DELETE HEAD OPTIONS),
       message: "must be a valid HTTP method"
     )
@@ -110,6 +115,16 @@ defmodule Prikke.Endpoints.Endpoint do
     end)
   end
 
+  defp validate_filter(changeset) do
+    changeset
+    |> update_change(:filter, &Filter.normalize/1)
+    |> validate_change(:filter, fn :filter, filter ->
+      filter
+      |> Filter.validate()
+      |> Enum.map(&{:filter, &1})
+    end)
+  end
+
   defp generate_slug do
     "ep_" <> (:crypto.strong_rand_bytes(24) |> Base.url_encode64() |> binary_part(0, 32))
   end
@@ -0,0 +1,279 @@
+defmodule Prikke.Endpoints.Filter do
+  @moduledoc """
+  Filter rules deciding which inbound events an endpoint forwards.
+
+  A filter is a group of conditions joined with AND or OR. A group may hold
+  one more level of groups, so `A and (B or C)` can be expressed:
+
+      %{
+        "combinator" => "and",
+        "rules" => [
+          %{"source" => "body", "path" => "$.type", "operator" => "eq",
+            "value" => "invoice.paid"},
+          %{"combinator" => "or", "rules" => [
+            %{"source" => "header", "path" => "X-GitHub-Event", "operator" => "in",
+              "value" => ["push", "release"]}
+          ]}
+        ]
+      }
+
+  Header paths are header names, matched case-insensitively. Body paths are
+  JSONPath expressions (`$.data.items[0]['x-id']`) evaluated against the body
+  parsed as JSON; a body that isn't JSON has no values. Values are compared as
+  strings, so `$.amount == "100"` matches `{"amount": 100}`.
+
+  `assets/js/endpoint_filter.mjs` evaluates the same rules in the browser to
+  preview a filter against recent events, and must be kept in step with this
+  module.
+  """
+
+  @combinators ~w(and or)
+  @sources ~w(header body)
+  @operators ~w(eq neq in not_in contains exists not_exists)
+  @max_depth 2
+  @max_conditions 20
+
+  @doc """
+  Returns true if the event should be forwarded. A nil filter forwards
+  everything.
+
+  `event` needs `:headers` (a map) and `:body` (a string or nil).
+  """
+  def matches?(nil, _event), do: true
+
+  def matches?(filter, event) do
+    body = parse_body(event[:body])
+    headers = downcase_keys(event[:headers] || %{})
+
+    eval(filter, headers, body)
+  end
+
+  defp eval(%{"combinator" => "or", "rules" => rules}, headers, body),
+    do: Enum.any?(rules, &eval(&1, headers, body))
+
+  defp eval(%{"rules" => rules}, headers, body),
+    do: Enum.all?(rules, &eval(&1, headers, body))
+
+  defp eval(%{"operator" => operator} = rule, headers, body) do
+    rule
+    |> lookup(headers, body)
+    |> compare(operator, rule["value"])
+  end
+
+  defp lookup(%{"source" => "header", "path" => name}, headers, _body),
+    do: Map.get(headers, String.downcase(name), :missing)
+
+  defp lookup(%{"source" => "body"}, _headers, :missing), do: :missing
+
+  defp lookup(%{"source" => "body", "path" => path}, _headers, body) do
+    case parse_path(path) do
+      {:ok, segments} -> dig(body, segments)
+      :error -> :missing
+    end
+  end
+
+  defp dig(value, []), do: value
+
+  defp dig(map, [key | rest]) when is_map(map) and is_binary(key) do
+    case Map.fetch(map, key) do
+      {:ok, value} -> dig(value, rest)
+      :error -> :missing
+    end
+  end
+
+  defp dig(list, [index | rest]) when is_list(list) and is_integer(index) do
+    case Enum.fetch(list, index) do
+      {:ok, value} -> dig(value, rest)
+      :error -> :missing
+    end
+  end
+
+  defp dig(_value, _segments), do: :missing
+
+  defp compare(:missing, "exists", _), do: false
+  defp compare(_, "exists", _), do: true
+  defp compare(:missing, "not_exists", _), do: true
+  defp compare(_, "not_exists", _), do: false
+  defp compare(actual, "neq", expected), do: not compare(actual, "eq", expected)
+  defp compare(actual, "not_in", expected), do: not compare(actual, "in", expected)
+
+  defp compare(actual, "eq", expected) do
+    case to_text(actual) do
+      nil -> false
+      text -> text == to_string(expected)
+    end
+  end
+
+  defp compare(actual, "in", expected) when is_list(expected) do
+    case to_text(actual) do
+      nil -> false
+      text -> text in Enum.map(expected, &to_string/1)
+    end
+  end
+
+  defp compare(actual, "contains", expected) when is_list(actual) do
+    Enum.any?(actual, &(to_text(&1) == to_string(expected)))
+  end
+
+  defp compare(actual, "contains", expected) do
+    case to_text(actual) do
+      nil -> false
+      text -> String.contains?(text, to_string(expected))
+    end
+  end
+
+  defp compare(_actual, _operator, _expected), do: false
+
+  # Scalars as the browser's String() would print them; objects and arrays
+  # have no text to compare
+  defp to_text(value) when is_binary(value), do: value
+  defp to_text(nil), do: "null"
+  defp to_text(value) when is_boolean(value), do: to_string(value)
+  defp to_text(value) when is_integer(value), do: Integer.to_string(value)
+
+  defp to_text(value) when is_float(value) do
+    if value == Float.round(value),
+      do: value |> trunc() |> Integer.to_string(),
+      else: to_string(value)
+  end
+
+  defp to_text(_value), do: nil
+
+  defp parse_body(body) when is_binary(body) do
+    case Jason.decode(body) do
+      {:ok, decoded} -> decoded
+      {:error, _} -> :missing
+    end
+  end
+
+  defp parse_body(_body), do: :missing
+
+  defp downcase_keys(headers) do
+    Map.new(headers, fn {name, value} -> {String.downcase(to_string(name)), value} end)
+  end
+
+  @doc """
+  Splits a JSONPath into keys and list indexes.
+
+  Supports `$`, `.key`, `['key']`, `["key"]` and `[0]`.
+
+      iex> Prikke.Endpoints.Filter.parse_path("$.data.items[0]['x-id']")
+      {:ok, ["data", "items", 0, "x-id"]}
+  """
+  def parse_path("$" <> rest), do: parse_segments(rest, [])
+  def parse_path(_path), do: :error
+
+  defp parse_segments("", acc), do: {:ok, Enum.reverse(acc)}
+
+  defp parse_segments("." <> rest, acc) do
+    case Regex.run(~r/^[A-Za-z_$][\w$-]*/, rest) do
+      [key] -> parse_segments(drop(rest, key), [key | acc])
+      nil -> :error
+    end
+  end
+
+  defp parse_segments("[" <> rest, acc) do
+    cond do
+      match = Regex.run(~r/^(\d+)\]/, rest) ->
+        [whole, index] = match
+        parse_segments(drop(rest, whole), [String.to_integer(index) | acc])
+
+      match = Regex.run(~r/^'((?:[^'\\]|\\.)*)'\]/, rest) ->
+        [whole, key] = match
+        parse_segments(drop(rest, whole), [unescape(key) | acc])
+
+      match = Regex.run(~r/^"((?:[^"\\]|\\.)*)"\]/, rest) ->
+        [whole, key] = match
+        parse_segments(drop(rest, whole), [unescape(key) | acc])
+
+      true ->
+        :error
+    end
+  end
+
+  defp parse_segments(_rest, _acc), do: :error
+
+  defp drop(string, prefix),
+    do: binary_part(string, byte_size(prefix), byte_size(string) - byte_size(prefix))
+
+  defp unescape(key), do: String.replace(key, ~r/\\(.)/, "\\1")
+
+  @doc """
+  Checks a filter's shape. Returns a list of error messages, empty when the
+  filter is valid.
+  """
+  def validate(nil), do: []
+
+  def validate(filter) when is_map(filter) do
+    errors = validate_group(filter, 1, "Filter")
+
+    if errors == [] and count_conditions(filter) > @max_conditions do
+      ["Filter can't have more than #{@max_conditions} conditions"]
+    else
+      errors
+    end
+  end
+
+  def validate(_filter), do: ["Filter must be a group of rules"]
+
+  defp validate_group(%{"combinator" => combinator, "rules" => rules}, depth, label)
+       when is_list(rules) do
+    if combinator in @combinators do
+      rules
+      |> Enum.with_index(1)
+      |> Enum.flat_map(fn {rule, idx} -> validate_rule(rule, depth, "#{label} rule #{idx}") end)
+    else
+      ["#{label} must combine its rules with \"and\" or \"or\""]
+    end
+  end
+
+  defp validate_group(_group, _depth, label), do: ["#{label} must have a combinator and rules"]
+
+  defp validate_rule(%{"rules" => _} = group, depth, label) when depth < @max_depth,
+    do: validate_group(group, depth + 1, label)
+
+  defp validate_rule(%{"rules" => _}, _depth, label),
+    do: ["#{label}: groups can only be nested #{@max_depth} levels deep"]
+
+  defp validate_rule(%{"source" => source, "path" => path, "operator" => op} = rule, _, label)
+       when is_binary(path) do
+    cond do
+      source not in @sources ->
+        ["#{label}: source must be header or body"]
+
+      op not in @operators ->
+        ["#{label}: unknown operator #{inspect(op)}"]
+
+      source == "header" and String.trim(path) == "" ->
+        ["#{label}: header name can't be blank"]
+
+      source == "body" and parse_path(path) == :error ->
+        ["#{label}: #{inspect(path)} is not a JSONPath like $.type"]
+
+      op in ~w(in not_in) and not string_list?(rule["value"]) ->
+        ["#{label}: value must be a list of strings"]
+
+      op in ~w(eq neq contains) and not is_binary(rule["value"]) ->
+        ["#{label}: value must be a string"]
+
+      true ->
+        []
+    end
+  end
+
+  defp validate_rule(_rule, _depth, label), do: ["#{label} needs a source, path and operator"]
+
+  defp string_list?(value), do: is_list(value) and value != [] and Enum.all?(value, &is_binary/1)
+
+  defp count_conditions(%{"rules" => rules}) when is_list(rules),
+    do: Enum.reduce(rules, 0, &(count_conditions(&1) + &2))
+
+  defp count_conditions(_rule), do: 1
+
+  @doc """
+  Drops a filter without conditions, so an empty rule builder forwards
+  everything.
+  """
+  def normalize(%{"rules" => []}), do: nil
+  def normalize(filter), do: filter
+end
@@ -11,6 +11,8 @@ defmodule Prikke.Endpoints.InboundEvent do
     field :source_ip, :string
     field :received_at, :utc_datetime
     field :task_ids, {:array, Ecto.UUID}, default: []
+    field :replay_task_ids, {:array, Ecto.UUID}, default: []
+    field :filtered, :boolean, default: false
 
     belongs_to :endpoint, Prikke.Endpoints.Endpoint
 
@@ -26,7 +28,8 @@ defmodule Prikke.Endpoints.InboundEvent do
       :body,
       :source_ip,
       :received_at,
-      :task_ids
+      :task_ids,
+      :filtered
     ])
     |> validate_required([:endpoint_id, :method, :received_at])
   end
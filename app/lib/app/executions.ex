@@ -230,7 +230,7 @@ defmodule Prikke.Executions do
         query
       end
 
-    Repo.all(query)
+    query |> filter_window(opts) |> Repo.all()
   end
 
   def count_task_executions(task, opts \\ []) do
@@ -245,7 +245,21 @@ defmodule Prikke.Executions do
         query
       end
 
-    Repo.aggregate(query, :count)
+    query |> filter_window(opts) |> Repo.aggregate(:count)
+  end
+
+  # Restricts a query to executions scheduled within `[:from, :to)` when given
+  defp filter_window(query, opts) do
+    query =
+      case Keyword.get(opts, :from) do
+        %DateTime{} = from -> from(e in query, where: e.scheduled_for >= ^from)
+        _ -> query
+      end
+
+    case Keyword.get(opts, :to) do
+      %DateTime{} = to -> from(e in query, where: e.scheduled_for < ^to)
+      _ -> query
+    end
   end
 
   def get_latest_status(task) do
@@ -598,24 +612,6 @@ defmodule Prikke.Executions do
     |> Repo.one()
   end
 
-  def get_avg_queue_wait(since \\ nil) do
-    since = since || DateTime.add(DateTime.utc_now(), -1, :hour)
-
-    from(e in Execution,
-      where: e.status in ["success", "failed", "timeout"],
-      where: e.finished_at >= ^since,
-      where: not is_nil(e.started_at),
-      select: %{
-        avg_wait_ms:
-          avg(fragment("EXTRACT(EPOCH FROM (? - ?)) * 1000", e.started_at, e.scheduled_for)),
-        max_wait_ms:
-          max(fragment("EXTRACT(EPOCH FROM (? - ?)) * 1000", e.started_at, e.scheduled_for)),
-        count: count(e.id)
-      }
-    )
-    |> Repo.one()
-  end
-
   @doc """
   Returns scheduling precision percentiles (p50, p95, p99, avg, max) for the last hour.
   Delay = started_at - scheduled_for in milliseconds.
@@ -852,17 +848,111 @@ defmodule Prikke.Executions do
   defp round_or_zero(f) when is_float(f), do: round(f)
   defp round_or_zero(i), do: i
 
-  def throughput_per_minute(minutes \\ 60) do
-    since = DateTime.add(DateTime.utc_now(), -minutes, :minute)
+  # Bucket width in seconds and number of buckets for each console window
+  @series_windows %{"1h" => {60, 60}, "24h" => {900, 96}, "7d" => {7_200, 84}}
 
-    from(e in Execution,
-      where: e.finished_at >= ^since,
-      where: e.status in ["success", "failed", "timeout"],
-      group_by: fragment("date_trunc('minute', ?)", e.finished_at),
-      order_by: [asc: fragment("date_trunc('minute', ?)", e.finished_at)],
-      select: {fragment("date_trunc('minute', ?)", e.finished_at), count(e.id)}
+  @doc """
+  Returns the windows `system_series/2` accepts.
+  """
+  def series_windows, do: ~w(1h 24h 7d)
+
+  @doc """
+  Platform-wide execution metrics over time, for the superadmin console.
+
+  Executions are bucketed by when they finished (one-minute buckets for
+  `"1h"`, 15 minutes for `"24h"`, two hours for `"7d"`), oldest first. The
+  last bucket is the one still filling up. Each bucket has:
+
+    * `:throughput` - executions finished per minute
+    * `:worker_utilization` - percentage of the worker pool's time spent
+      waiting on requests
+    * `:queue_wait_ms` - average delay from scheduled to started
+    * `:scheduling_lag_ms` - p95 of that delay for executions outside named
+      queues, as in `get_scheduling_precision/1`
+
+  The delays are `nil` for buckets without executions.
+
+  Options:
+    * `:buckets` - only the most recent n buckets, for updating a chart
+    * `:now` - end of the window (default: now)
+  """
+  def system_series(window, opts \\ []) do
+    {step, count} = Map.fetch!(@series_windows, window)
+    count = min(Keyword.get(opts, :buckets, count), count)
+    now = Keyword.get_lazy(opts, :now, &DateTime.utc_now/0)
+
+    last = now |> DateTime.to_unix() |> div(step) |> Kernel.*(step) |> DateTime.from_unix!()
+    from = DateTime.add(last, -(count - 1) * step, :second)
+    to = DateTime.add(last, step, :second)
+
+    data =
+      from(e in Execution,
+        where: e.status in ["success", "failed", "timeout"],
+        where: e.finished_at >= ^from and e.finished_at < ^to
+      )
+      |> series_bucket_query(step)
+      |> select_merge([e], %{
+        count: count(e.id),
+        busy_ms: sum(e.duration_ms),
+        queue_wait_ms:
+          avg(fragment("EXTRACT(EPOCH FROM (? - ?)) * 1000", e.started_at, e.scheduled_for)),
+        scheduling_lag_ms:
+          fragment(
+            "percentile_cont(0.95) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (? - ?)) * 1000) FILTER (WHERE ? IS NULL)",
+            e.started_at,
+            e.scheduled_for,
+            e.queue
+          )
+      })
+      |> Repo.all()
+      |> Map.new(fn row ->
+        {row.bucket |> DateTime.from_naive!("Etc/UTC") |> DateTime.truncate(:second), row}
+      end)
+
+    capacity_ms = Prikke.WorkerPool.max_workers() * step * 1000
+
+    from
+    |> Stream.iterate(&DateTime.add(&1, step, :second))
+    |> Enum.take(count)
+    |> Enum.map(fn start ->
+      row = Map.get(data, start, %{count: 0, busy_ms: 0})
+
+      %{
+        start: start,
+        throughput: Float.round(row.count * 60 / step, 1),
+        worker_utilization: min(Float.round((row.busy_ms || 0) * 100 / capacity_ms, 1), 100.0),
+        queue_wait_ms: round_ms(row[:queue_wait_ms]),
+        scheduling_lag_ms: round_ms(row[:scheduling_lag_ms])
+      }
+    end)
+  end
+
+  # date_bin's interval has to be a literal so GROUP BY matches the SELECT
+  defp series_bucket_query(query, 60) do
+    from(e in query,
+      group_by: fragment("date_bin('1 minute', ?, TIMESTAMP '1970-01-01')", e.finished_at),
+      select: %{
+        bucket: fragment("date_bin('1 minute', ?, TIMESTAMP '1970-01-01')", e.finished_at)
+      }
+    )
+  end
+
+  defp series_bucket_query(query, 900) do
+    from(e in query,
+      group_by: fragment("date_bin('15 minutes', ?, TIMESTAMP '1970-01-01')", e.finished_at),
+      select: %{
+        bucket: fragment("date_bin('15 minutes', ?, TIMESTAMP '1970-01-01')", e.finished_at)
+      }
+    )
+  end
+
+  defp series_bucket_query(query, 7_200) do
+    from(e in query,
+      group_by: fragment("date_bin('2 hours', ?, TIMESTAMP '1970-01-01')", e.finished_at),
+      select: %{
+        bucket: fragment("date_bin('2 hours', ?, TIMESTAMP '1970-01-01')", e.finished_at)
+      }
     )
-    |> Repo.all()
   end
 
   def get_platform_stats do
@@ -1047,13 +1137,13 @@ defmodule Prikke.Executions do
     |> Repo.one()
   end
 
-  def executions_by_day_for_org(organization, days \\ 14) do
+  def executions_by_day(days) do
     since = DateTime.utc_now() |> DateTime.add(-days, :day)
     today = Date.utc_today()
 
     data =
       from(e in Execution,
-        where: e.organization_id == ^organization.id and e.scheduled_for >= ^since,
+        where: e.scheduled_for >= ^since,
         group_by: fragment("DATE(?)", e.scheduled_for),
         select: {
           fragment("DATE(?)", e.scheduled_for),
@@ -1074,33 +1164,89 @@ defmodule Prikke.Executions do
     end)
   end
 
-  def executions_by_day(days) do
-    since = DateTime.utc_now() |> DateTime.add(-days, :day)
-    today = Date.utc_today()
+  @trend_step_seconds %{day: 86_400, hour: 3_600}
+
+  @doc """
+  Execution counts and duration percentiles for an organization or a single
+  task, bucketed by `:day` or `:hour` over the window `[from, to)`.
+
+  Every bucket in the window is returned, including empty ones, as
+  `%{start:, end:, total:, success:, failed:, timeout:, p50_ms:, p95_ms:}`.
+  Percentiles are `nil` for buckets without a recorded duration.
+  """
+  def execution_trend(scope, %DateTime{} = from, %DateTime{} = to, unit)
+      when unit in [:day, :hour] do
+    from = truncate_to_bucket(from, unit)
 
     data =
-      from(e in Execution,
-        where: e.scheduled_for >= ^since,
-        group_by: fragment("DATE(?)", e.scheduled_for),
-        select: {
-          fragment("DATE(?)", e.scheduled_for),
-          %{
-            total: count(),
-            success: count(fragment("CASE WHEN ? = 'success' THEN 1 END", e.status)),
-            failed: count(fragment("CASE WHEN ? = 'failed' THEN 1 END", e.status))
-          }
-        }
-      )
+      scope
+      |> trend_scope_query()
+      |> where([e], e.scheduled_for >= ^from and e.scheduled_for < ^to)
+      |> trend_bucket_query(unit)
+      |> select_merge([e], %{
+        total: count(e.id),
+        success: count(fragment("CASE WHEN ? = 'success' THEN 1 END", e.status)),
+        failed: count(fragment("CASE WHEN ? = 'failed' THEN 1 END", e.status)),
+        timeout: count(fragment("CASE WHEN ? = 'timeout' THEN 1 END", e.status)),
+        p50_ms: fragment("percentile_cont(0.5) WITHIN GROUP (ORDER BY ?)", e.duration_ms),
+        p95_ms: fragment("percentile_cont(0.95) WITHIN GROUP (ORDER BY ?)", e.duration_ms)
+      })
       |> Repo.all()
-      |> Map.new()
+      |> Map.new(fn row ->
+        {row.bucket |> DateTime.from_naive!("Etc/UTC") |> DateTime.truncate(:second), row}
+      end)
 
-    Enum.map(0..(days - 1), fn offset ->
-      date = Date.add(today, -days + 1 + offset)
-      stats = Map.get(data, date, %{total: 0, success: 0, failed: 0})
-      {date, stats}
+    step = Map.fetch!(@trend_step_seconds, unit)
+
+    from
+    |> Stream.iterate(&DateTime.add(&1, step, :second))
+    |> Enum.take_while(&(DateTime.compare(&1, to) == :lt))
+    |> Enum.map(fn start ->
+      row = Map.get(data, start, %{total: 0, success: 0, failed: 0, timeout: 0})
+
+      %{
+        start: start,
+        end: DateTime.add(start, step, :second),
+        total: row.total,
+        success: row.success,
+        failed: row.failed,
+        timeout: row.timeout,
+        p50_ms: round_ms(row[:p50_ms]),
+        p95_ms: round_ms(row[:p95_ms])
+      }
     end)
   end
 
+  defp trend_scope_query(%Organization{id: id}),
+    do: from(e in Execution, where: e.organization_id == ^id)
+
+  defp trend_scope_query(%Task{id: id}), do: from(e in Execution, where: e.task_id == ^id)
+
+  # date_trunc's unit has to be a literal so GROUP BY matches the SELECT
+  defp trend_bucket_query(query, :day) do
+    from(e in query,
+      group_by: fragment("date_trunc('day', ?)", e.scheduled_for),
+      select: %{bucket: fragment("date_trunc('day', ?)", e.scheduled_for)}
+    )
+  end
+
+  defp trend_bucket_query(query, :hour) do
+    from(e in query,
+      group_by: fragment("date_trunc('hour', ?)", e.scheduled_for),
+      select: %{bucket: fragment("date_trunc('hour', ?)", e.scheduled_for)}
+    )
+  end
+
+  defp truncate_to_bucket(datetime, :day),
+    do: DateTime.new!(DateTime.to_date(datetime), ~T[00:00:00], "Etc/UTC")
+
+  defp truncate_to_bucket(datetime, :hour),
+    do: %{datetime | minute: 0, second: 0, microsecond: {0, 0}}
+
+  defp round_ms(nil), do: nil
+  defp round_ms(%Decimal{} = ms), do: ms |> Decimal.to_float() |> round()
+  defp round_ms(ms), do: round(ms)
+
   def list_pending_retries(opts \\ []) do
     limit = Keyword.get(opts, :limit, 50)
 
@@ -1204,54 +1350,110 @@ defmodule Prikke.Executions do
     * `:limit` - max results (default 50)
     * `:offset` - pagination offset (default 0)
     * `:queue` - filter by queue name
+    * `:task_id` - only executions of this task
+    * `:endpoint_id` - only deliveries of events received by this endpoint
+    * `:status_code` - an HTTP status code, `"4xx"`/`"5xx"` for a class, or
+      `"none"` for failures without a response (timeouts, connection errors)
+    * `:from` / `:to` - only executions scheduled within this window
   """
   def list_failed_executions(%Organization{} = org, opts \\ []) do
     limit = Keyword.get(opts, :limit, 50)
     offset = Keyword.get(opts, :offset, 0)
-    queue = Keyword.get(opts, :queue)
-
-    query =
-      from(e in Execution,
-        where: e.organization_id == ^org.id,
-        where: e.status in ["failed", "timeout"],
-        order_by: [desc: e.scheduled_for],
-        limit: ^limit,
-        offset: ^offset,
-        preload: [:task]
-      )
 
-    query =
-      if queue && queue != "" do
-        from(e in query, where: e.queue == ^queue)
-      else
-        query
-      end
-
-    Repo.all(query)
+    from(e in failed_executions_query(org, opts),
+      order_by: [desc: e.scheduled_for],
+      limit: ^limit,
+      offset: ^offset,
+      preload: [:task]
+    )
+    |> Repo.all()
   end
 
   @doc """
   Counts failed and timed-out executions for an organization.
+  Takes the same filter options as `list_failed_executions/2`.
   """
   def count_failed_executions(%Organization{} = org, opts \\ []) do
-    queue = Keyword.get(opts, :queue)
+    org |> failed_executions_query(opts) |> Repo.aggregate(:count)
+  end
 
-    query =
-      from(e in Execution,
-        where: e.organization_id == ^org.id,
-        where: e.status in ["failed", "timeout"]
-      )
+  @doc """
+  Returns the ids of failed executions matching the filter options of
+  `list_failed_executions/2`, newest first, up to `:limit` (default 1000).
+  """
+  def list_failed_execution_ids(%Organization{} = org, opts \\ []) do
+    limit = Keyword.get(opts, :limit, 1000)
 
-    query =
-      if queue && queue != "" do
+    from(e in failed_executions_query(org, opts),
+      order_by: [desc: e.scheduled_for],
+      limit: ^limit,
+      select: e.id
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Gets the failed executions with the given ids, with their tasks, in the
+  order of `execution_ids`. Invalid ids, ids of other organizations'
+  executions and of executions that didn't fail are left out.
+  """
+  def get_failed_executions(%Organization{} = org, execution_ids) when is_list(execution_ids) do
+    valid_ids = Enum.filter(execution_ids, &match?({:ok, _}, Ecto.UUID.cast(&1)))
+
+    by_id =
+      from(e in failed_executions_query(org, []), where: e.id in ^valid_ids, preload: [:task])
+      |> Repo.all()
+      |> Map.new(&{&1.id, &1})
+
+    execution_ids |> Enum.map(&by_id[&1]) |> Enum.reject(&is_nil/1)
+  end
+
+  defp failed_executions_query(org, opts) do
+    from(e in Execution,
+      where: e.organization_id == ^org.id,
+      where: e.status in ["failed", "timeout"]
+    )
+    |> filter_failed_by(opts)
+    |> filter_window(opts)
+  end
+
+  defp filter_failed_by(query, opts) do
+    Enum.reduce(opts, query, fn
+      {:queue, queue}, query when is_binary(queue) and queue != "" ->
         from(e in query, where: e.queue == ^queue)
-      else
+
+      {:task_id, task_id}, query when is_binary(task_id) ->
+        from(e in query, where: e.task_id == ^task_id)
+
+      {:endpoint_id, endpoint_id}, query when is_binary(endpoint_id) ->
+        task_ids =
+          from(ie in Prikke.Endpoints.InboundEvent,
+            where: ie.endpoint_id == ^endpoint_id,
+            select: fragment("unnest(?)", ie.task_ids)
+          )
+
+        from(e in query, where: e.task_id in subquery(task_ids))
+
+      {:status_code, code}, query ->
+        filter_status_code(query, code)
+
+      _, query ->
         query
-      end
+    end)
+  end
+
+  defp filter_status_code(query, "none"), do: from(e in query, where: is_nil(e.status_code))
 
-    Repo.aggregate(query, :count)
+  defp filter_status_code(query, <<class, "xx">>) when class in ?1..?5 do
+    low = (class - ?0) * 100
+    from(e in query, where: e.status_code >= ^low and e.status_code < ^(low + 100))
   end
 
+  defp filter_status_code(query, code) when is_integer(code),
+    do: from(e in query, where: e.status_code == ^code)
+
+  defp filter_status_code(query, _code), do: query
+
   @doc """
   Creates a new pending execution to retry a failed one.
   Reuses the same task, scheduling for immediate execution.
@@ -10,6 +10,10 @@ defmodule Prikke.Metrics do
 
   ETS table is public for reads, so LiveViews can read without
   going through the GenServer.
+
+  Alerts carry the time their condition started (`:since`). Once one clears
+  it moves to `alert_history/0` with the time it ended (`:until`), so charts
+  can mark when the system was unhealthy.
   """
 
   use GenServer
@@ -18,6 +22,7 @@ defmodule Prikke.Metrics do
   @table :prikke_metrics
   @sample_interval 30_000
   @max_samples 60
+  @max_alert_history 100
 
   ## Client API
 
@@ -86,6 +91,19 @@ defmodule Prikke.Metrics do
     ArgumentError -> []
   end
 
+  @doc """
+  Returns alerts that have cleared, most recent first.
+  Reads directly from ETS (no GenServer call).
+  """
+  def alert_history do
+    case :ets.lookup(@table, :alert_history) do
+      [{:alert_history, history}] -> history
+      [] -> []
+    end
+  rescue
+    ArgumentError -> []
+  end
+
   @doc """
   Manually trigger a sample collection. Used in tests.
   """
@@ -102,6 +120,7 @@ defmodule Prikke.Metrics do
     # Create ETS table (public for reads)
     :ets.new(@table, [:named_table, :set, :public])
     :ets.insert(@table, {:alerts, []})
+    :ets.insert(@table, {:alert_history, []})
 
     unless test_mode do
       send(self(), :sample)
@@ -134,8 +153,7 @@ defmodule Prikke.Metrics do
     :ets.insert(@table, {:latest_index, state.sample_index})
 
     # Simple alert check (just store, no emails)
-    alerts = check_alerts(sample)
-    :ets.insert(@table, {:alerts, alerts})
+    track_alerts(check_alerts(sample), sample.timestamp)
 
     %{state | sample_index: state.sample_index + 1}
   end
@@ -266,6 +284,37 @@ defmodule Prikke.Metrics do
     {pct, total_mb, used_mb}
   end
 
+  # An alert keeps its start time while the same metric stays at the same
+  # level. Alerts that are gone from this sample are moved to the history.
+  defp track_alerts(alerts, now) do
+    previous = alerts()
+
+    alerts =
+      Enum.map(alerts, fn alert ->
+        since =
+          case Enum.find(previous, &same_alert?(&1, alert)) do
+            nil -> now
+            started -> started.since
+          end
+
+        Map.put(alert, :since, since)
+      end)
+
+    cleared =
+      previous
+      |> Enum.reject(fn alert -> Enum.any?(alerts, &same_alert?(&1, alert)) end)
+      |> Enum.map(&Map.put(&1, :until, now))
+
+    :ets.insert(@table, {:alerts, alerts})
+
+    if cleared != [] do
+      history = Enum.take(cleared ++ alert_history(), @max_alert_history)
+      :ets.insert(@table, {:alert_history, history})
+    end
+  end
+
+  defp same_alert?(a, b), do: a.metric == b.metric and a.level == b.level
+
   defp check_alerts(sample) do
     alerts = []
 
@@ -1212,16 +1212,22 @@ defmodule Prikke.Notifications do
     }
   end
 
-  # Per-resource notification override helpers.
-  # nil = use org default, true/false = override.
-  defp should_notify_on_failure?(resource, org) do
+  @doc """
+  Whether failures of a task or monitor are notified: its own setting when
+  set (`false` mutes it), otherwise the organization's default.
+  """
+  def should_notify_on_failure?(resource, org) do
     case resource.notify_on_failure do
       nil -> org.notify_on_failure
       value -> value
     end
   end
 
-  defp should_notify_on_recovery?(resource, org) do
+  @doc """
+  Whether recoveries of a task or monitor are notified, like
+  `should_notify_on_failure?/2`.
+  """
+  def should_notify_on_recovery?(resource, org) do
     case resource.notify_on_recovery do
       nil -> org.notify_on_recovery
       value -> value
@@ -7,23 +7,26 @@ defmodule Prikke.Queues do
   alias Prikke.Repo
   alias Prikke.Queues.Queue
   alias Prikke.Accounts.Organization
+  alias Prikke.Audit
+  alias Prikke.Executions.Execution
 
   @doc """
   Gets or creates a queue record, then sets paused = true.
   """
-  def pause_queue(%Organization{} = org, queue_name) when is_binary(queue_name) do
+  def pause_queue(%Organization{} = org, queue_name, opts \\ []) when is_binary(queue_name) do
     queue = get_or_create_queue!(org, queue_name)
 
     queue
     |> Queue.changeset(%{paused: true})
     |> Repo.update()
+    |> tap_audit(opts, :paused, org)
   end
 
   @doc """
   Resumes a queue by setting paused = false.
   Returns :ok if queue doesn't exist (nothing to resume).
   """
-  def resume_queue(%Organization{} = org, queue_name) when is_binary(queue_name) do
+  def resume_queue(%Organization{} = org, queue_name, opts \\ []) when is_binary(queue_name) do
     case get_queue(org, queue_name) do
       nil ->
         :ok
@@ -32,6 +35,30 @@ defmodule Prikke.Queues do
         queue
         |> Queue.changeset(%{paused: false})
         |> Repo.update()
+        |> tap_audit(opts, :resumed, org)
+    end
+  end
+
+  @doc """
+  Cancels everything waiting in a queue, like `DELETE /api/v1/tasks?queue=`:
+  soft-deletes its tasks and drops their pending executions (see
+  `Prikke.Tasks.cancel_tasks_by_queue/2`). The running execution, if any,
+  finishes.
+
+  Returns `{:ok, %{cancelled: task_count}}` or `{:error, reason}`.
+  """
+  def purge_queue(%Organization{} = org, queue_name, opts \\ []) when is_binary(queue_name) do
+    with {:ok, result} <- Prikke.Tasks.cancel_tasks_by_queue(org, queue_name) do
+      metadata = %{"queue_name" => queue_name, "cancelled" => result.cancelled}
+
+      # Queues are named by their tasks and may have no row, so purging one
+      # doesn't create it; the log goes to the organization instead
+      case get_queue(org, queue_name) do
+        nil -> audit_log(opts, :purged, :organization, org.id, org, metadata: metadata)
+        queue -> audit_log(opts, :purged, queue, org, metadata: metadata)
+      end
+
+      {:ok, result}
     end
   end
 
@@ -72,6 +99,105 @@ defmodule Prikke.Queues do
     end)
   end
 
+  @doc """
+  Live numbers for every queue of an organization, for the queues page.
+
+  Returns one map per queue, ordered by name:
+
+    * `:name` and `:paused`
+    * `:pending` - executions waiting to run, due or not
+    * `:running` - the execution in flight (with its task), or nil
+    * `:oldest_pending_at` - when the longest-waiting due execution was
+      scheduled, or nil when nothing is due
+    * `:throughput` - executions finished per minute over the last
+      `minutes` minutes, oldest first, the current minute last
+  """
+  def list_queue_stats(%Organization{} = org, minutes \\ 30) do
+    names = Prikke.Tasks.list_queues(org)
+    paused = MapSet.new(list_paused_queues(org))
+    now = DateTime.utc_now()
+
+    pending =
+      from(e in Execution,
+        where: e.organization_id == ^org.id and e.queue in ^names and e.status == "pending",
+        group_by: e.queue,
+        select:
+          {e.queue,
+           %{
+             pending: count(),
+             oldest_pending_at: filter(min(e.scheduled_for), e.scheduled_for <= ^now)
+           }}
+      )
+      |> Repo.all()
+      |> Map.new()
+
+    running =
+      from(e in Execution,
+        where: e.organization_id == ^org.id and e.queue in ^names and e.status == "running",
+        order_by: [asc: e.started_at],
+        preload: :task
+      )
+      |> Repo.all()
+      |> Enum.group_by(& &1.queue)
+
+    throughput = throughput_by_queue(org, names, now, minutes)
+
+    Enum.map(names, fn name ->
+      counts = Map.get(pending, name, %{pending: 0, oldest_pending_at: nil})
+
+      %{
+        name: name,
+        paused: MapSet.member?(paused, name),
+        pending: counts.pending,
+        running: running |> Map.get(name, []) |> List.first(),
+        oldest_pending_at: counts.oldest_pending_at,
+        throughput: Map.get(throughput, name, List.duplicate(0, minutes))
+      }
+    end)
+  end
+
+  # %{queue => per-minute counts}, oldest minute first
+  defp throughput_by_queue(_org, [], _now, _minutes), do: %{}
+
+  defp throughput_by_queue(org, names, now, minutes) do
+    since =
+      now
+      |> DateTime.add(-(minutes - 1), :minute)
+      |> DateTime.truncate(:second)
+      |> Map.put(:second, 0)
+
+    from(e in Execution,
+      where: e.organization_id == ^org.id and e.queue in ^names,
+      where: e.status in ["success", "failed", "timeout"] and e.finished_at >= ^since,
+      group_by: [e.queue, fragment("date_trunc('minute', ?)", e.finished_at)],
+      select: {e.queue, fragment("date_trunc('minute', ?)", e.finished_at), count()}
+    )
+    |> Repo.all()
+    |> Enum.group_by(&elem(&1, 0), &Tuple.delete_at(&1, 0))
+    |> Map.new(fn {name, rows} ->
+      by_minute =
+        Map.new(rows, fn {minute, count} ->
+          {div(NaiveDateTime.diff(minute, DateTime.to_naive(since)), 60), count}
+        end)
+
+      {name, Enum.map(0..(minutes - 1), &Map.get(by_minute, &1, 0))}
+    end)
+  end
+
+  @doc """
+  Lists the pending executions of a queue in the order workers pick them
+  up, with their tasks preloaded.
+  """
+  def list_pending_executions(%Organization{} = org, queue_name, limit \\ 100) do
+    from(e in Execution,
+      where: e.organization_id == ^org.id and e.queue == ^queue_name and e.status == "pending",
+      order_by: [asc: e.scheduled_for, asc: e.inserted_at],
+      limit: ^limit,
+      preload: :task
+    )
+    |> Repo.all()
+  end
+
   @doc """
   Gets a queue record by org and name.
   """
@@ -132,4 +258,36 @@ defmodule Prikke.Queues do
         queue
     end
   end
+
+  defp tap_audit({:ok, queue} = result, opts, action, org) do
+    audit_log(opts, action, queue, org, metadata: %{"queue_name" => queue.name})
+    result
+  end
+
+  defp tap_audit(error, _opts, _action, _org), do: error
+
+  defp audit_log(opts, action, %Queue{} = queue, org, extra_opts) do
+    audit_log(opts, action, :queue, queue.id, org, extra_opts)
+  end
+
+  defp audit_log(opts, action, resource_type, resource_id, org, extra_opts) do
+    metadata = Keyword.get(extra_opts, :metadata, %{})
+
+    cond do
+      scope = Keyword.get(opts, :scope) ->
+        Audit.log(scope, action, resource_type, resource_id,
+          organization_id: org.id,
+          metadata: metadata
+        )
+
+      api_key_name = Keyword.get(opts, :api_key_name) ->
+        Audit.log_api(api_key_name, action, resource_type, resource_id,
+          organization_id: org.id,
+          metadata: metadata
+        )
+
+      true ->
+        :ok
+    end
+  end
 end
@@ -10,10 +10,15 @@ defmodule Prikke.StatusPages do
   """
 
   import Ecto.Query, warn: false
+  require Logger
   alias Prikke.Repo
 
+  alias Prikke.StatusPages.PushSubscription
   alias Prikke.StatusPages.StatusPage
   alias Prikke.StatusPages.StatusPageItem
+  alias Prikke.StatusPages.Summary
+  alias Prikke.StatusPages.SummaryCache
+  alias Prikke.WebPush
   alias Prikke.Accounts.Organization
 
   @doc """
@@ -219,6 +224,148 @@ defmodule Prikke.StatusPages do
     end
   end
 
+  # -- Push Subscriptions --
+
+  @doc """
+  Subscribes a browser to push notifications of a status page's changes.
+  Subscribing an endpoint again replaces its keys.
+  Returns {:ok, subscription} or {:error, changeset}.
+  """
+  def subscribe_to_push(%StatusPage{} = status_page, attrs) do
+    %PushSubscription{}
+    |> PushSubscription.create_changeset(attrs, status_page.id)
+    |> Repo.insert(
+      on_conflict: {:replace, [:p256dh, :auth, :updated_at]},
+      conflict_target: [:status_page_id, :endpoint],
+      returning: true
+    )
+  end
+
+  @doc """
+  Removes a browser's push subscription, if there is one.
+  """
+  def unsubscribe_from_push(%StatusPage{} = status_page, endpoint) when is_binary(endpoint) do
+    from(s in PushSubscription,
+      where: s.status_page_id == ^status_page.id and s.endpoint == ^endpoint
+    )
+    |> Repo.delete_all()
+
+    :ok
+  end
+
+  @doc """
+  Lists the push subscriptions of a status page.
+  """
+  def list_push_subscriptions(%StatusPage{} = status_page) do
+    Repo.all(from s in PushSubscription, where: s.status_page_id == ^status_page.id)
+  end
+
+  @doc """
+  Lists enabled status pages that have push subscribers.
+  """
+  def list_status_pages_with_push_subscriptions do
+    from(sp in StatusPage,
+      where:
+        sp.enabled == true and
+          sp.id in subquery(from s in PushSubscription, select: s.status_page_id),
+      preload: [:organization]
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Forgets the notified statuses of status pages that are disabled or have
+  lost their subscribers, so a later subscriber isn't notified of changes
+  made while nobody was watching.
+  """
+  def reset_unwatched_notified_statuses do
+    from(sp in StatusPage,
+      where:
+        not is_nil(sp.notified_statuses) and
+          (sp.enabled == false or
+             sp.id not in subquery(from s in PushSubscription, select: s.status_page_id))
+    )
+    |> Repo.update_all(set: [notified_statuses: nil])
+  end
+
+  @doc """
+  Sends a push notification to every subscriber of a status page for each
+  component whose status changed since the last call. The first call only
+  records the statuses. Subscriptions the push service reports as gone are
+  deleted.
+
+  The status page needs its organization preloaded.
+  Returns {:ok, notifications_sent}.
+  """
+  def notify_status_changes(%StatusPage{} = status_page) do
+    statuses = status_page |> SummaryCache.fetch() |> Summary.component_statuses()
+    changes = status_changes(status_page.notified_statuses, statuses)
+
+    if statuses != status_page.notified_statuses do
+      status_page
+      |> Ecto.Changeset.change(notified_statuses: statuses)
+      |> Repo.update!()
+    end
+
+    case changes do
+      [] -> {:ok, 0}
+      changes -> {:ok, push_changes(status_page, changes)}
+    end
+  end
+
+  # Components that appear or disappear aren't changes
+  defp status_changes(nil, _statuses), do: []
+
+  defp status_changes(previous, statuses) do
+    for {id, %{"name" => name, "status" => status}} <- Enum.sort(statuses),
+        %{"status" => from} <- [previous[id]],
+        from != status,
+        do: %{id: id, name: name, from: from, to: status}
+  end
+
+  defp push_changes(status_page, changes) do
+    url = "/s/#{status_page.slug}"
+
+    messages =
+      Enum.map(changes, fn change ->
+        %{
+          title: "#{change.name} is #{change.to}",
+          body: "#{status_page.title}: changed from #{change.from} to #{change.to}",
+          tag: "#{url}:#{change.id}",
+          url: url
+        }
+      end)
+
+    subscriptions = list_push_subscriptions(status_page)
+
+    results =
+      for(subscription <- subscriptions, message <- messages, do: {subscription, message})
+      |> Task.async_stream(
+        fn {subscription, message} ->
+          {subscription, WebPush.send_notification(subscription, message)}
+        end,
+        max_concurrency: 10,
+        timeout: 15_000,
+        on_timeout: :kill_task
+      )
+      |> Enum.map(fn
+        {:ok, result} -> result
+        {:exit, reason} -> {nil, {:error, reason}}
+      end)
+
+    gone_ids = for {subscription, {:error, :gone}} <- results, uniq: true, do: subscription.id
+
+    if gone_ids != [] do
+      Repo.delete_all(from s in PushSubscription, where: s.id in ^gone_ids)
+    end
+
+    for {_subscription, {:error, reason}} <- results, reason != :gone do
+      Logger.warning("[StatusPages] Push notification failed: #{inspect(reason)}")
+    end
+
+    Enum.count(results, &match?({_, :ok}, &1))
+  end
+
   @doc """
   Generates a URL-safe slug from a string.
   """
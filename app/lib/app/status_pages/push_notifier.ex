@@ -0,0 +1,97 @@
+defmodule Prikke.StatusPages.PushNotifier do
+  @moduledoc """
+  GenServer that sends push notifications of status page changes every 60
+  seconds.
+
+  Each status page with push subscribers is compared with the statuses they
+  were last notified of (`Prikke.StatusPages.notify_status_changes/1`), so
+  visitors hear about changes while the page is closed. Does nothing unless
+  `Prikke.WebPush` is configured.
+
+  Uses advisory lock for leader election in multi-node clusters.
+  """
+
+  use GenServer
+  require Logger
+
+  alias Prikke.{Repo, StatusPages, WebPush}
+
+  @check_interval 60_000
+  @advisory_lock_id 728_492_850
+
+  def start_link(opts \\ []) do
+    GenServer.start_link(__MODULE__, opts, name: __MODULE__)
+  end
+
+  def check_now do
+    GenServer.call(__MODULE__, :check)
+  end
+
+  @impl true
+  def init(opts) do
+    test_mode = Keyword.get(opts, :test_mode, false)
+
+    unless test_mode do
+      Process.send_after(self(), :check, 10_000)
+    end
+
+    {:ok, %{test_mode: test_mode}}
+  end
+
+  @impl true
+  def handle_info(:check, state) do
+    try do
+      run_with_lock(state)
+    rescue
+      e ->
+        Logger.error("[PushNotifier] Error during check: #{Exception.message(e)}")
+    end
+
+    Process.send_after(self(), :check, @check_interval)
+    {:noreply, state}
+  end
+
+  @impl true
+  def handle_call(:check, _from, state) do
+    result = run_with_lock(state)
+    {:reply, result, state}
+  end
+
+  defp run_with_lock(state) do
+    if WebPush.enabled?(), do: run_locked(state), else: {:ok, 0}
+  end
+
+  defp run_locked(%{test_mode: true}) do
+    notify_status_changes()
+  end
+
+  defp run_locked(_state) do
+    Repo.transaction(
+      fn ->
+        case Repo.query("SELECT pg_try_advisory_xact_lock($1)", [@advisory_lock_id]) do
+          {:ok, %{rows: [[true]]}} -> notify_status_changes()
+          _ -> {:ok, 0}
+        end
+      end,
+      timeout: :timer.minutes(1)
+    )
+    |> case do
+      {:ok, result} -> result
+      {:error, _} -> {:ok, 0}
+    end
+  end
+
+  defp notify_status_changes do
+    StatusPages.reset_unwatched_notified_statuses()
+
+    sent =
+      StatusPages.list_status_pages_with_push_subscriptions()
+      |> Enum.map(fn status_page ->
+        {:ok, count} = StatusPages.notify_status_changes(status_page)
+        count
+      end)
+      |> Enum.sum()
+
+    {:ok, sent}
+  end
+end
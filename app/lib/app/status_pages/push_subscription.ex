@@ -0,0 +1,48 @@
+defmodule Prikke.StatusPages.PushSubscription do
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  alias Prikke.WebPush
+
+  @primary_key {:id, :binary_id, autogenerate: true}
+  @foreign_key_type :binary_id
+  schema "status_page_push_subscriptions" do
+    field :endpoint, :string
+    field :p256dh, :string
+    field :auth, :string
+
+    belongs_to :status_page, Prikke.StatusPages.StatusPage
+
+    timestamps(type: :utc_datetime)
+  end
+
+  def changeset(subscription, attrs) do
+    subscription
+    |> cast(attrs, [:endpoint, :p256dh, :auth])
+    |> validate_required([:endpoint, :p256dh, :auth])
+    |> validate_length(:endpoint, max: 2000)
+    |> validate_change(:endpoint, fn :endpoint, endpoint ->
+      if WebPush.valid_endpoint?(endpoint), do: [], else: [endpoint: "is not a push service"]
+    end)
+    |> validate_key(:p256dh, 65)
+    |> validate_key(:auth, 16)
+    |> unique_constraint([:status_page_id, :endpoint])
+  end
+
+  def create_changeset(subscription, attrs, status_page_id) do
+    subscription
+    |> changeset(attrs)
+    |> put_change(:status_page_id, status_page_id)
+    |> validate_required([:status_page_id])
+  end
+
+  # A base64url key of `size` bytes: an uncompressed P-256 point or auth secret
+  defp validate_key(changeset, field, size) do
+    validate_change(changeset, field, fn ^field, value ->
+      case WebPush.decode_key(value) do
+        {:ok, key} when byte_size(key) == size -> []
+        _ -> [{field, "is not a valid key"}]
+      end
+    end)
+  end
+end
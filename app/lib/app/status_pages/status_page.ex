@@ -9,6 +9,8 @@ defmodule Prikke.StatusPages.StatusPage do
     field :description, :string
     field :slug, :string
     field :enabled, :boolean, default: false
+    # Set by `Prikke.StatusPages.notify_status_changes/1`, never cast
+    field :notified_statuses, :map
 
     belongs_to :organization, Prikke.Accounts.Organization
 
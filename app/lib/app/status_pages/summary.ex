@@ -0,0 +1,157 @@
+defmodule Prikke.StatusPages.Summary do
+  @moduledoc """
+  What a public status page shows: every visible resource with its status
+  label, its last 30 days and uptime, and the overall status.
+
+  `PrikkeWeb.PublicStatusLive` renders it and the status widget feed
+  (`PrikkeWeb.StatusWidgetController`) serves it as JSON, so both show the
+  same resources with the same status logic.
+  """
+
+  alias Prikke.Endpoints
+  alias Prikke.Executions
+  alias Prikke.Monitors
+  alias Prikke.StatusPages
+  alias Prikke.StatusPages.StatusPage
+
+  @days 30
+
+  @doc """
+  Loads the summary of a status page.
+
+  Tasks, monitors and queues are `{resource, label, daily_status, uptime}`,
+  endpoints `{endpoint, label}`. `daily_status` is the `{date, stats}` list
+  of the underlying `get_daily_status` function.
+  """
+  def load(%StatusPage{} = status_page) do
+    resources = StatusPages.list_visible_resources(status_page.organization)
+    tasks = load_task_data(resources.tasks)
+    monitors = load_monitor_data(resources.monitors)
+    endpoints = load_endpoint_data(resources.endpoints)
+    queues = load_queue_data(resources.queues)
+
+    %{
+      tasks: tasks,
+      monitors: monitors,
+      endpoints: endpoints,
+      queues: queues,
+      overall: compute_overall_status(tasks, monitors, endpoints, queues),
+      updated_at: DateTime.utc_now() |> DateTime.truncate(:second)
+    }
+  end
+
+  @doc """
+  The status label of every resource in a summary, keyed like the
+  `data-component` attributes of the status page (`"task-<id>"`), as
+  `%{"name" => name, "status" => label}`. String keys, so it can be stored
+  as a map column and compared after a round trip.
+  """
+  def component_statuses(summary) do
+    components =
+      Enum.map(summary.tasks, fn {t, label, _, _} -> {"task", t, label} end) ++
+        Enum.map(summary.monitors, fn {m, label, _, _} -> {"monitor", m, label} end) ++
+        Enum.map(summary.endpoints, fn {e, label} -> {"endpoint", e, label} end) ++
+        Enum.map(summary.queues, fn {q, label, _, _} -> {"queue", q, label} end)
+
+    Map.new(components, fn {type, resource, label} ->
+      {"#{type}-#{resource.id}", %{"name" => resource.name, "status" => label}}
+    end)
+  end
+
+  def overall_label(:operational), do: "All systems operational"
+  def overall_label(:partial_outage), do: "Partial outage"
+  def overall_label(:major_outage), do: "Major outage"
+
+  defp load_task_data(tasks) do
+    Enum.map(tasks, fn task ->
+      daily_status = Executions.get_daily_status_for_task(task, @days)
+      uptime = Executions.task_uptime_percentage(task, @days)
+      {task, task_status(task), daily_status, uptime}
+    end)
+  end
+
+  defp load_monitor_data(monitors) do
+    Enum.map(monitors, fn monitor ->
+      daily_status = Monitors.get_daily_status([monitor], @days) |> Map.get(monitor.id, [])
+      uptime = Monitors.monitor_uptime_percentage(monitor, @days)
+      {monitor, monitor_status(monitor), daily_status, uptime}
+    end)
+  end
+
+  defp load_endpoint_data(endpoints) do
+    Enum.map(endpoints, fn endpoint ->
+      last_status = Endpoints.get_last_event_status(endpoint)
+      {endpoint, endpoint_status(endpoint, last_status)}
+    end)
+  end
+
+  defp load_queue_data(queues) do
+    Enum.map(queues, fn queue ->
+      org_id = queue.organization_id
+      daily_status = Executions.get_daily_status_for_queue(org_id, queue.name, @days)
+      uptime = Executions.queue_uptime_percentage(org_id, queue.name, @days)
+      last_status = Executions.get_last_queue_status(org_id, queue.name)
+      {queue, queue_status(last_status), daily_status, uptime}
+    end)
+  end
+
+  # Status resolution (same logic as Badges module)
+
+  defp task_status(%{enabled: false}), do: "paused"
+
+  defp task_status(%{last_execution_status: status}) do
+    case status do
+      "success" -> "passing"
+      "failed" -> "failing"
+      "timeout" -> "timeout"
+      "running" -> "running"
+      _ -> "unknown"
+    end
+  end
+
+  defp monitor_status(%{enabled: false}), do: "paused"
+
+  defp monitor_status(%{status: status}) do
+    case status do
+      "up" -> "up"
+      "down" -> "down"
+      "degraded" -> "degraded"
+      _ -> "new"
+    end
+  end
+
+  defp endpoint_status(%{enabled: false}, _), do: "disabled"
+
+  defp endpoint_status(_endpoint, last_status) do
+    case last_status do
+      "success" -> "passing"
+      "failed" -> "failing"
+      "timeout" -> "timeout"
+      _ -> "no data"
+    end
+  end
+
+  defp queue_status(last_status) do
+    case last_status do
+      "success" -> "passing"
+      "failed" -> "failing"
+      "timeout" -> "timeout"
+      _ -> "no data"
+    end
+  end
+
+  defp compute_overall_status(task_data, monitor_data, endpoint_data, queue_data) do
+    statuses =
+      Enum.map(task_data, fn {_, label, _, _} -> label end) ++
+        Enum.map(monitor_data, fn {_, label, _, _} -> label end) ++
+        Enum.map(endpoint_data, fn {_, label} -> label end) ++
+        Enum.map(queue_data, fn {_, label, _, _} -> label end)
+
+    cond do
+      statuses == [] -> :operational
+      Enum.any?(statuses, &(&1 in ["failing", "down"])) -> :major_outage
+      Enum.any?(statuses, &(&1 in ["timeout", "degraded"])) -> :partial_outage
+      true -> :operational
+    end
+  end
+end
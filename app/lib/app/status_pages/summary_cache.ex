@@ -0,0 +1,87 @@
+defmodule Prikke.StatusPages.SummaryCache do
+  @moduledoc """
+  ETS cache of public status page summaries.
+
+  A summary (`Prikke.StatusPages.Summary.load/1`) runs several 30-day
+  aggregate queries per visible resource, and it's read by every open
+  `/s/:slug` tab once a minute, every widget polling `/s/:slug/status.json`
+  and the push notifier. They all share one summary per status page here, so
+  a page costs the same whether one visitor or a thousand are watching it.
+
+  - TTL: 60 seconds (checked on read), the same as the feed's Cache-Control
+  - Periodic cleanup every 60s to evict expired entries
+  - Public API: `fetch/1`, `invalidate/1`
+  """
+
+  use GenServer
+
+  alias Prikke.StatusPages.StatusPage
+  alias Prikke.StatusPages.Summary
+
+  @table :status_page_summary_cache
+  @ttl_seconds 60
+  @cleanup_interval 60_000
+
+  def start_link(_opts) do
+    GenServer.start_link(__MODULE__, [], name: __MODULE__)
+  end
+
+  @doc """
+  Returns the summary of a status page, loading it when it isn't cached or
+  has expired.
+  """
+  def fetch(%StatusPage{id: id} = status_page) do
+    case :ets.lookup(@table, id) do
+      [{^id, {summary, cached_at}}] ->
+        if fresh?(cached_at), do: summary, else: load(status_page)
+
+      [] ->
+        load(status_page)
+    end
+  end
+
+  @doc """
+  Drops the cached summary of a status page.
+  """
+  def invalidate(%StatusPage{id: id}) do
+    :ets.delete(@table, id)
+    :ok
+  end
+
+  defp load(status_page) do
+    summary = Summary.load(status_page)
+    :ets.insert(@table, {status_page.id, {summary, System.monotonic_time(:second)}})
+    summary
+  end
+
+  ## GenServer callbacks
+
+  @impl true
+  def init(_) do
+    :ets.new(@table, [:set, :public, :named_table, read_concurrency: true])
+    schedule_cleanup()
+    {:ok, %{}}
+  end
+
+  @impl true
+  def handle_info(:cleanup, state) do
+    cleanup_expired()
+    schedule_cleanup()
+    {:noreply, state}
+  end
+
+  defp schedule_cleanup do
+    Process.send_after(self(), :cleanup, @cleanup_interval)
+  end
+
+  defp cleanup_expired do
+    :ets.tab2list(@table)
+    |> Enum.each(fn {id, {_summary, cached_at}} ->
+      unless fresh?(cached_at), do: :ets.delete(@table, id)
+    end)
+  end
+
+  defp fresh?(cached_at) do
+    System.monotonic_time(:second) - cached_at < @ttl_seconds
+  end
+end
@@ -0,0 +1,518 @@
+defmodule Prikke.Sync do
+  @moduledoc """
+  Declarative sync of an organization's recurring tasks, monitors and
+  endpoints, behind `PUT /api/v1/sync` and the dashboard's sync page.
+
+  A sync request declares the desired state:
+
+      %{
+        "tasks" => [...],
+        "monitors" => [...],
+        "endpoints" => [...],
+        "delete_removed" => false
+      }
+
+  Resources are matched by name. `run/3` creates, updates and (with
+  `delete_removed`) deletes resources to match the request, `plan/2` works
+  out the same changes without writing anything, and `export/1` returns
+  the current configuration as a request.
+  """
+
+  alias Prikke.Accounts.Organization
+  alias Prikke.Audit
+  alias Prikke.Endpoints
+  alias Prikke.Monitors
+  alias Prikke.Repo
+  alias Prikke.Tasks
+
+  # The fields a sync request can set, in export and plan order
+  @task_fields [
+    :name,
+    :url,
+    :method,
+    :headers,
+    :body,
+    :schedule_type,
+    :cron_expression,
+    :enabled,
+    :retry_attempts,
+    :timeout_ms,
+    :queue,
+    :callback_url,
+    :expected_status_codes,
+    :expected_body_pattern,
+    :notify_on_failure,
+    :notify_on_recovery,
+    :on_failure_url,
+    :on_recovery_url
+  ]
+
+  @monitor_fields [
+    :name,
+    :schedule_type,
+    :cron_expression,
+    :interval_seconds,
+    :grace_period_seconds,
+    :enabled,
+    :notify_on_failure,
+    :notify_on_recovery,
+    :on_failure_url,
+    :on_recovery_url
+  ]
+
+  @endpoint_fields [
+    :name,
+    :forward_urls,
+    :forward_method,
+    :forward_headers,
+    :forward_body,
+    :filter,
+    :enabled,
+    :retry_attempts,
+    :use_queue,
+    :notify_on_failure,
+    :notify_on_recovery,
+    :on_failure_url,
+    :on_recovery_url
+  ]
+
+  @doc """
+  Applies a sync request. `opts` are passed on to the contexts, so
+  `:scope` or `:api_key_name` attribute the changes in the audit log.
+
+  Returns `{:ok, %{tasks: summary, monitors: summary, endpoints: summary}}`,
+  `{:error, :no_resources}` when the request declares none of the three,
+  or `{:error, %{errors: [%{name: name, error: message}]}}` when a
+  resource is invalid, in which case nothing is changed.
+  """
+  def run(%Organization{} = org, params, opts \\ []) do
+    with :ok <- validate_request(params) do
+      delete_removed = params["delete_removed"] == true
+
+      Repo.transaction(fn ->
+        tasks_summary =
+          if is_list(params["tasks"]) do
+            sync_tasks(org, params["tasks"], delete_removed, opts)
+          else
+            empty_summary()
+          end
+
+        monitors_summary =
+          if is_list(params["monitors"]) do
+            sync_monitors(org, params["monitors"], delete_removed, opts)
+          else
+            empty_summary()
+          end
+
+        endpoints_summary =
+          if is_list(params["endpoints"]) do
+            sync_endpoints(org, params["endpoints"], delete_removed, opts)
+          else
+            empty_summary()
+          end
+
+        %{tasks: tasks_summary, monitors: monitors_summary, endpoints: endpoints_summary}
+      end)
+    end
+  end
+
+  @doc """
+  Works out what `run/3` would change for a sync request, without writing
+  anything.
+
+  Returns `{:ok, plan}`, where `plan` has a list of changes under `:tasks`,
+  `:monitors` and `:endpoints`, each
+  `%{action: "create" | "update" | "delete", name: name, changes: changes}`
+  with `changes` in the audit log's `%{field => %{"from" => _, "to" => _}}`
+  form, plus the totals `:create_count`, `:update_count`, `:delete_count`
+  and `:unchanged_count`.
+
+  Errors are those of `run/3`, reported for every invalid resource rather
+  than the first resource type with one. Plan limits are only checked
+  when applying.
+  """
+  def plan(%Organization{} = org, params) do
+    with :ok <- validate_request(params) do
+      delete_removed = params["delete_removed"] == true
+
+      endpoints_params =
+        if is_list(params["endpoints"]),
+          do: Enum.map(params["endpoints"], &normalize_forward_urls/1)
+
+      results = %{
+        tasks:
+          plan_resources(
+            Tasks.list_cron_tasks(org),
+            params["tasks"],
+            delete_removed,
+            {&Tasks.change_new_task(org, &1), &Tasks.change_task/2, @task_fields}
+          ),
+        monitors:
+          plan_resources(
+            Monitors.list_monitors(org),
+            params["monitors"],
+            delete_removed,
+            {&Monitors.change_new_monitor(org, &1), &Monitors.change_monitor/2, @monitor_fields}
+          ),
+        endpoints:
+          plan_resources(
+            Endpoints.list_endpoints(org),
+            endpoints_params,
+            delete_removed,
+            {&Endpoints.change_new_endpoint(org, &1), &Endpoints.change_endpoint/2,
+             @endpoint_fields}
+          )
+      }
+
+      case Enum.flat_map([:tasks, :monitors, :endpoints], &results[&1].errors) do
+        [] ->
+          changes = Enum.flat_map(Map.values(results), & &1.changes)
+
+          {:ok,
+           %{
+             tasks: results.tasks.changes,
+             monitors: results.monitors.changes,
+             endpoints: results.endpoints.changes,
+             create_count: Enum.count(changes, &(&1.action == "create")),
+             update_count: Enum.count(changes, &(&1.action == "update")),
+             delete_count: Enum.count(changes, &(&1.action == "delete")),
+             unchanged_count: results |> Map.values() |> Enum.map(& &1.unchanged) |> Enum.sum()
+           }}
+
+        errors ->
+          {:error, %{errors: errors}}
+      end
+    end
+  end
+
+  @doc """
+  Returns an organization's current configuration as a sync request, with
+  resources sorted by name and unset fields left out. Syncing it back
+  changes nothing.
+  """
+  def export(%Organization{} = org) do
+    %{
+      "tasks" => export_resources(Tasks.list_cron_tasks(org), @task_fields),
+      "monitors" => export_resources(Monitors.list_monitors(org), @monitor_fields),
+      "endpoints" => export_resources(Endpoints.list_endpoints(org), @endpoint_fields)
+    }
+  end
+
+  @doc """
+  One-line description of a `run/3` result, e.g. "Sync complete: 2 created, 1 updated".
+  """
+  def summary_message(%{tasks: tasks, monitors: monitors, endpoints: endpoints}) do
+    parts = []
+
+    total_created = tasks.created_count + monitors.created_count + endpoints.created_count
+    total_updated = tasks.updated_count + monitors.updated_count + endpoints.updated_count
+    total_deleted = tasks.deleted_count + monitors.deleted_count + endpoints.deleted_count
+
+    parts = if total_created > 0, do: ["#{total_created} created" | parts], else: parts
+    parts = if total_updated > 0, do: ["#{total_updated} updated" | parts], else: parts
+    parts = if total_deleted > 0, do: ["#{total_deleted} deleted" | parts], else: parts
+
+    case parts do
+      [] -> "No changes"
+      _ -> "Sync complete: " <> Enum.join(Enum.reverse(parts), ", ")
+    end
+  end
+
+  @doc """
+  One-line description of a `plan/2` result, e.g. "Plan: 1 to create, 0 to update, 2 to delete".
+  """
+  def plan_message(%{create_count: 0, update_count: 0, delete_count: 0}), do: "No changes"
+
+  def plan_message(plan) do
+    "Plan: #{plan.create_count} to create, #{plan.update_count} to update, " <>
+      "#{plan.delete_count} to delete"
+  end
+
+  defp validate_request(params) do
+    if Enum.any?(["tasks", "monitors", "endpoints"], &is_list(params[&1])) do
+      :ok
+    else
+      {:error, :no_resources}
+    end
+  end
+
+  defp empty_summary do
+    %{
+      created: [],
+      updated: [],
+      deleted: [],
+      created_count: 0,
+      updated_count: 0,
+      deleted_count: 0
+    }
+  end
+
+  defp sync_tasks(org, tasks_params, delete_removed, opts) do
+    existing_tasks = Tasks.list_cron_tasks(org) |> Map.new(&{&1.name, &1})
+    declared_names = MapSet.new(tasks_params, & &1["name"])
+
+    {created, updated, errors} =
+      Enum.reduce(tasks_params, {[], [], []}, fn task_params, {created, updated, errors} ->
+        name = task_params["name"]
+
+        if is_nil(name) or name == "" do
+          {created, updated, [%{name: name, error: "name is required"} | errors]}
+        else
+          case Map.get(existing_tasks, name) do
+            nil ->
+              case Tasks.create_task(org, task_params, opts) do
+                {:ok, task} ->
+                  {[task.name | created], updated, errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+
+            existing_task ->
+              case Tasks.update_task(org, existing_task, task_params, opts) do
+                {:ok, _task} ->
+                  {created, [name | updated], errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+          end
+        end
+      end)
+
+    deleted =
+      if delete_removed do
+        existing_tasks
+        |> Enum.filter(fn {name, _task} -> not MapSet.member?(declared_names, name) end)
+        |> Enum.reduce([], fn {name, task}, deleted ->
+          case Tasks.delete_task(org, task, opts) do
+            {:ok, _} -> [name | deleted]
+            {:error, _} -> deleted
+          end
+        end)
+      else
+        []
+      end
+
+    finish_sync(created, updated, deleted, errors)
+  end
+
+  defp sync_monitors(org, monitors_params, delete_removed, opts) do
+    existing_monitors = Monitors.list_monitors(org) |> Map.new(&{&1.name, &1})
+    declared_names = MapSet.new(monitors_params, & &1["name"])
+
+    {created, updated, errors} =
+      Enum.reduce(monitors_params, {[], [], []}, fn monitor_params, {created, updated, errors} ->
+        name = monitor_params["name"]
+
+        if is_nil(name) or name == "" do
+          {created, updated, [%{name: name, error: "name is required"} | errors]}
+        else
+          case Map.get(existing_monitors, name) do
+            nil ->
+              case Monitors.create_monitor(org, monitor_params, opts) do
+                {:ok, monitor} ->
+                  {[monitor.name | created], updated, errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+
+            existing_monitor ->
+              case Monitors.update_monitor(org, existing_monitor, monitor_params, opts) do
+                {:ok, _monitor} ->
+                  {created, [name | updated], errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+          end
+        end
+      end)
+
+    deleted =
+      if delete_removed do
+        existing_monitors
+        |> Enum.filter(fn {name, _monitor} -> not MapSet.member?(declared_names, name) end)
+        |> Enum.reduce([], fn {name, monitor}, deleted ->
+          case Monitors.delete_monitor(org, monitor, opts) do
+            {:ok, _} -> [name | deleted]
+            {:error, _} -> deleted
+          end
+        end)
+      else
+        []
+      end
+
+    finish_sync(created, updated, deleted, errors)
+  end
+
+  defp sync_endpoints(org, endpoints_params, delete_removed, opts) do
+    existing_endpoints = Endpoints.list_endpoints(org) |> Map.new(&{&1.name, &1})
+    declared_names = MapSet.new(endpoints_params, & &1["name"])
+
+    {created, updated, errors} =
+      Enum.reduce(endpoints_params, {[], [], []}, fn endpoint_params,
+                                                     {created, updated, errors} ->
+        endpoint_params = normalize_forward_urls(endpoint_params)
+        name = endpoint_params["name"]
+
+        if is_nil(name) or name == "" do
+          {created, updated, [%{name: name, error: "name is required"} | errors]}
+        else
+          case Map.get(existing_endpoints, name) do
+            nil ->
+              case Endpoints.create_endpoint(org, endpoint_params, opts) do
+                {:ok, endpoint} ->
+                  {[endpoint.name | created], updated, errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+
+            existing_endpoint ->
+              case Endpoints.update_endpoint(org, existing_endpoint, endpoint_params, opts) do
+                {:ok, _endpoint} ->
+                  {created, [name | updated], errors}
+
+                {:error, changeset} ->
+                  {created, updated,
+                   [%{name: name, error: format_changeset_error(changeset)} | errors]}
+              end
+          end
+        end
+      end)
+
+    deleted =
+      if delete_removed do
+        existing_endpoints
+        |> Enum.filter(fn {name, _endpoint} -> not MapSet.member?(declared_names, name) end)
+        |> Enum.reduce([], fn {name, endpoint}, deleted ->
+          case Endpoints.delete_endpoint(org, endpoint, opts) do
+            {:ok, _} -> [name | deleted]
+            {:error, _} -> deleted
+          end
+        end)
+      else
+        []
+      end
+
+    finish_sync(created, updated, deleted, errors)
+  end
+
+  defp finish_sync(created, updated, deleted, errors) do
+    if errors != [] do
+      Repo.rollback(%{errors: Enum.reverse(errors)})
+    else
+      %{
+        created: Enum.reverse(created),
+        updated: Enum.reverse(updated),
+        deleted: Enum.reverse(deleted),
+        created_count: length(created),
+        updated_count: length(updated),
+        deleted_count: length(deleted)
+      }
+    end
+  end
+
+  # A resource type left out of the request is not planned at all
+  defp plan_resources(_existing, nil, _delete_removed, _spec),
+    do: %{changes: [], unchanged: 0, errors: []}
+
+  defp plan_resources(existing, declared, delete_removed, {change_new, change, fields}) do
+    existing = Map.new(existing, &{&1.name, &1})
+    declared_names = MapSet.new(declared, & &1["name"])
+
+    {changes, unchanged, errors} =
+      Enum.reduce(declared, {[], 0, []}, fn params, {changes, unchanged, errors} ->
+        name = params["name"]
+        resource = Map.get(existing, name)
+        changeset = if resource, do: change.(resource, params), else: change_new.(params)
+
+        cond do
+          is_nil(name) or name == "" ->
+            {changes, unchanged, [%{name: name, error: "name is required"} | errors]}
+
+          not changeset.valid? ->
+            {changes, unchanged,
+             [%{name: name, error: format_changeset_error(changeset)} | errors]}
+
+          is_nil(resource) ->
+            new = Ecto.Changeset.apply_changes(changeset)
+            diff = Audit.compute_changes(%{}, set_fields(new, fields), fields)
+            {[%{action: "create", name: name, changes: diff} | changes], unchanged, errors}
+
+          true ->
+            new = Ecto.Changeset.apply_changes(changeset)
+
+            case Audit.compute_changes(resource, new, fields) do
+              diff when diff == %{} ->
+                {changes, unchanged + 1, errors}
+
+              diff ->
+                {[%{action: "update", name: name, changes: diff} | changes], unchanged, errors}
+            end
+        end
+      end)
+
+    deletes =
+      if delete_removed do
+        existing
+        |> Enum.reject(fn {name, _resource} -> MapSet.member?(declared_names, name) end)
+        |> Enum.sort_by(fn {name, _resource} -> name end)
+        |> Enum.map(fn {name, resource} ->
+          diff = Audit.compute_changes(set_fields(resource, fields), %{}, fields)
+          %{action: "delete", name: name, changes: diff}
+        end)
+      else
+        []
+      end
+
+    %{
+      changes: Enum.reverse(changes) ++ deletes,
+      unchanged: unchanged,
+      errors: Enum.reverse(errors)
+    }
+  end
+
+  defp export_resources(resources, fields) do
+    resources
+    |> Enum.sort_by(& &1.name)
+    |> Enum.map(fn resource ->
+      resource
+      |> set_fields(fields)
+      |> Map.new(fn {field, value} -> {to_string(field), value} end)
+    end)
+  end
+
+  # The sync fields of a resource that hold a value; defaults like an empty
+  # header map are left out
+  defp set_fields(resource, fields) do
+    resource
+    |> Map.take(fields)
+    |> Map.reject(fn {_field, value} -> value in [nil, "", []] or value == %{} end)
+  end
+
+  defp normalize_forward_urls(params) do
+    cond do
+      is_list(params["forward_urls"]) -> params
+      is_binary(params["forward_url"]) -> Map.put(params, "forward_urls", [params["forward_url"]])
+      true -> params
+    end
+  end
+
+  defp format_changeset_error(changeset) do
+    Ecto.Changeset.traverse_errors(changeset, fn {msg, opts} ->
+      Regex.replace(~r"%{(\w+)}", msg, fn _, key ->
+        opts |> Keyword.get(String.to_existing_atom(key), key) |> to_string()
+      end)
+    end)
+    |> Enum.map(fn {field, msgs} -> "#{field}: #{Enum.join(msgs, ", ")}" end)
+    |> Enum.join("; ")
+  end
+end
@@ -389,6 +389,43 @@ defmodule Prikke.Tasks do
     end
   end
 
+  @doc """
+  Turns off failure notifications for the organization's tasks with the
+  given ids.
+
+  Only `notify_on_failure` is written, so schedules are left exactly as they
+  are. Tasks that are already muted are skipped. Returns `{:ok, count}` with
+  the number of tasks muted.
+  """
+  def mute_failure_notifications(%Organization{} = org, task_ids, opts \\ [])
+      when is_list(task_ids) do
+    tasks =
+      from(t in Task,
+        where: t.organization_id == ^org.id and t.id in ^task_ids,
+        where: is_nil(t.deleted_at),
+        where: is_nil(t.notify_on_failure) or t.notify_on_failure
+      )
+      |> Repo.all()
+
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    {count, _} =
+      from(t in Task, where: t.id in ^Enum.map(tasks, & &1.id))
+      |> Repo.update_all(set: [notify_on_failure: false, updated_at: now])
+
+    for task <- tasks do
+      muted = %{task | notify_on_failure: false, updated_at: now}
+      broadcast(org, {:updated, muted})
+
+      audit_log(opts, :updated, :task, task.id, org.id,
+        changes: Audit.compute_changes(task, muted, [:notify_on_failure]),
+        metadata: %{"task_name" => task.name}
+      )
+    end
+
+    {:ok, count}
+  end
+
   @doc """
   Toggles a task's enabled status.
   When enabling, resets next_run_at to avoid creating missed executions.
@@ -648,19 +685,198 @@ defmodule Prikke.Tasks do
     end
   end
 
+  @test_request_timeout_ms 10_000
+  @max_test_request_body_size 64 * 1024
+
+  @timing_events [
+    [:finch, :queue, :stop],
+    [:finch, :connect, :stop],
+    [:finch, :send, :stop],
+    [:finch, :recv, :stop]
+  ]
+
+  @doc """
+  Sends `task`'s request once through the worker's HTTP path, without
+  creating an execution. The task doesn't need to be saved, but its
+  organization must be loaded.
+
+  The URL is checked with `Prikke.UrlValidator` (unless `skip_ssrf: true`)
+  and hosts paused by `Prikke.HostBlocker` aren't contacted. The timeout is
+  capped at 10 seconds.
+
+  Returns `{:ok, result}` with the status, total duration, a timing breakdown
+  (`:queue`, `:connect`, `:send` and `:receive`, in ms; phases that didn't
+  happen, like connecting on a reused connection, are left out), response
+  headers, body and `check_assertions/3` results. Returns `{:error, message}`
+  if the request couldn't be made.
+  """
+  def send_test_request(%Task{} = task, opts \\ []) do
+    host = URI.parse(task.url || "").host
+
+    with :ok <- validate_test_url(task.url, opts),
+         :ok <- check_host_not_blocked(task.organization_id, host) do
+      # Unsaved tasks have no id yet, the receiver still gets a task id header
+      task = %{
+        task
+        | id: task.id || "test",
+          timeout_ms: min(task.timeout_ms || @test_request_timeout_ms, @test_request_timeout_ms)
+      }
+
+      request = fn -> Prikke.Worker.send_request(task, "test") end
+
+      start_time = System.monotonic_time(:millisecond)
+      {result, timings} = with_request_timings(request)
+      duration_ms = System.monotonic_time(:millisecond) - start_time
+
+      case result do
+        {:ok, response} ->
+          {:ok,
+           %{
+             status: response.status,
+             duration_ms: duration_ms,
+             timings: timings,
+             headers: Enum.flat_map(response.headers, fn {k, vs} -> Enum.map(vs, &{k, &1}) end),
+             body: truncate_test_body(response.body, @max_test_request_body_size),
+             assertions: check_assertions(task, response.status, response.body)
+           }}
+
+        {:error, %Req.TransportError{reason: :timeout}} ->
+          {:error, "Request timed out after #{duration_ms}ms"}
+
+        {:error, %Req.TransportError{reason: reason}} ->
+          {:error, "Connection error: #{inspect(reason)}"}
+
+        {:error, error} ->
+          {:error, "Request failed: #{inspect(error)}"}
+      end
+    end
+  end
+
+  defp validate_test_url(url, opts) do
+    result =
+      if Keyword.get(opts, :skip_ssrf, false),
+        do: :ok,
+        else: Prikke.UrlValidator.validate_webhook_url(url)
+
+    case result do
+      :ok when is_binary(url) and url != "" -> :ok
+      :ok -> {:error, "URL is required"}
+      {:error, reason} -> {:error, "URL #{reason}"}
+    end
+  end
+
+  defp check_host_not_blocked(_org_id, nil), do: :ok
+
+  defp check_host_not_blocked(org_id, host) do
+    case Prikke.HostBlocker.blocked_until(org_id, host) do
+      nil ->
+        :ok
+
+      until ->
+        {:error,
+         "#{host} is paused until #{Calendar.strftime(until, "%H:%M:%S")} UTC " <>
+           "after failing or rate limiting recent requests"}
+    end
+  end
+
+  # Finch emits these in the calling process, so the handler only reports
+  # this request's phases back to it
+  defp with_request_timings(fun) do
+    handler_id = {__MODULE__, :test_request, make_ref()}
+    :telemetry.attach_many(handler_id, @timing_events, &__MODULE__.handle_timing_event/4, self())
+
+    try do
+      result = fun.()
+      {result, collect_timings(%{})}
+    after
+      :telemetry.detach(handler_id)
+    end
+  end
+
+  @doc false
+  def handle_timing_event([:finch, phase, :stop], %{duration: duration}, _metadata, pid) do
+    if self() == pid do
+      phase = if phase == :recv, do: :receive, else: phase
+      ms = System.convert_time_unit(duration, :native, :millisecond)
+      send(pid, {:request_timing, phase, ms})
+    end
+  end
+
+  defp collect_timings(timings) do
+    receive do
+      {:request_timing, phase, ms} -> collect_timings(Map.update(timings, phase, ms, &(&1 + ms)))
+    after
+      0 -> timings
+    end
+  end
+
+  @doc """
+  Checks a response against `task`'s assertions. Returns one map per
+  assertion with a `:description`, whether it `:passed` and, if not, the
+  failure `:message` the worker records.
+
+  Without expected status codes, any 2xx status passes. A body assertion is
+  only added when `expected_body_pattern` is set.
+  """
+  def check_assertions(task, status, body) do
+    [status_assertion(task.expected_status_codes, status)] ++
+      body_assertion(task.expected_body_pattern, body)
+  end
+
+  defp status_assertion(codes, status) when codes in [nil, ""] do
+    assertion("Status is 2xx", status >= 200 and status < 300, "HTTP #{status}")
+  end
+
+  defp status_assertion(codes, status) do
+    # Unsaved forms can hold codes that don't parse yet; they never match
+    allowed =
+      codes
+      |> String.split(",", trim: true)
+      |> Enum.flat_map(fn code ->
+        case Integer.parse(String.trim(code)) do
+          {code, ""} -> [code]
+          _ -> []
+        end
+      end)
+
+    assertion(
+      "Status is one of #{codes}",
+      status in allowed,
+      "Assertion failed: status #{status} not in [#{codes}]"
+    )
+  end
+
+  defp body_assertion(pattern, _body) when pattern in [nil, ""], do: []
+
+  defp body_assertion(pattern, body) do
+    [
+      assertion(
+        ~s(Body contains "#{pattern}"),
+        not is_binary(body) or String.contains?(body, pattern),
+        ~s(Assertion failed: response body does not contain "#{pattern}")
+      )
+    ]
+  end
+
+  defp assertion(description, passed, message) do
+    %{description: description, passed: passed, message: if(passed, do: nil, else: message)}
+  end
+
   @max_test_body_size 4 * 1024
 
-  defp truncate_test_body(nil), do: nil
+  defp truncate_test_body(body, max_size \\ @max_test_body_size)
+
+  defp truncate_test_body(nil, _max_size), do: nil
 
-  defp truncate_test_body(body) when is_binary(body) do
-    if byte_size(body) > @max_test_body_size do
-      String.slice(body, 0, @max_test_body_size) <> "... [truncated]"
+  defp truncate_test_body(body, max_size) when is_binary(body) do
+    if byte_size(body) > max_size do
+      String.slice(body, 0, max_size) <> "... [truncated]"
     else
       body
     end
   end
 
-  defp truncate_test_body(body), do: inspect(body)
+  defp truncate_test_body(body, _max_size), do: inspect(body)
 
   @doc """
   Parses a comma-separated string of status codes into a list of integers.
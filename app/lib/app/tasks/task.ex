@@ -72,6 +72,7 @@ defmodule Prikke.Tasks.Task do
         :on_recovery_url
       ])
       |> trim_url()
+      |> put_headers_from_json()
       |> maybe_generate_name()
       |> validate_required([:url, :schedule_type])
       |> validate_inclusion(:method, @http_methods)
@@ -113,6 +114,20 @@ defmodule Prikke.Tasks.Task do
     end
   end
 
+  # Forms send headers as JSON in the virtual headers_json field
+  defp put_headers_from_json(changeset) do
+    case get_change(changeset, :headers_json) do
+      nil ->
+        changeset
+
+      json ->
+        case Jason.decode(json) do
+          {:ok, headers} when is_map(headers) -> put_change(changeset, :headers, headers)
+          _ -> add_error(changeset, :headers_json, "must be a JSON object")
+        end
+    end
+  end
+
   defp maybe_generate_name(changeset) do
     name = get_field(changeset, :name)
     url = get_field(changeset, :url)
@@ -247,7 +262,7 @@ defmodule Prikke.Tasks.Task do
         expression ->
           case Crontab.CronExpression.Parser.parse(expression) do
             {:ok, cron} ->
-              interval = estimate_interval_minutes(cron)
+              interval = Prikke.Cron.estimate_interval_minutes(cron)
               put_change(changeset, :interval_minutes, interval)
 
             {:error, _} ->
@@ -260,43 +275,6 @@ defmodule Prikke.Tasks.Task do
     end
   end
 
-  # Estimate the interval in minutes from a cron expression
-  # This is used for task priority (minute tasks > hourly > daily)
-  defp estimate_interval_minutes(%Crontab.CronExpression{} = cron) do
-    minute_interval = estimate_minute_interval(cron.minute)
-
-    cond do
-      # Every N minutes
-      minute_interval < 60 ->
-        minute_interval
-
-      # Hourly (minute is fixed, hour is *)
-      cron.hour == [:*] ->
-        60
-
-      # Step hours like */2
-      match?([{:/, :*, step}] when is_integer(step), cron.hour) ->
-        [{:/, :*, step}] = cron.hour
-        step * 60
-
-      # Multiple times per day
-      is_list(cron.hour) and length(cron.hour) > 1 ->
-        div(24 * 60, length(cron.hour))
-
-      # Daily or less frequent
-      true ->
-        24 * 60
-    end
-  end
-
-  defp estimate_minute_interval([:*]), do: 1
-  defp estimate_minute_interval([{:/, :*, step}]) when is_integer(step), do: step
-
-  defp estimate_minute_interval(list) when is_list(list) and length(list) > 1,
-    do: div(60, length(list))
-
-  defp estimate_minute_interval(_), do: 60
-
   defp compute_next_run_at(changeset) do
     # Only compute if enabled
     if get_field(changeset, :enabled) do
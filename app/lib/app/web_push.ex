@@ -0,0 +1,164 @@
+defmodule Prikke.WebPush do
+  @moduledoc """
+  Sends Web Push messages (RFC 8030) to browser push subscriptions, for
+  status page notifications.
+
+  Payloads are encrypted for the subscription (RFC 8291, `aes128gcm`) and
+  requests are signed with the app's VAPID key pair (RFC 8292), so no account
+  with the browsers' push services is needed:
+
+      config :app, Prikke.WebPush,
+        public_key: "...",   # base64url, uncompressed P-256 point
+        private_key: "...",  # base64url, 32-byte scalar
+        subject: "mailto:support@runlater.eu"
+
+  Without a key pair `enabled?/0` is false. Subscriptions come from anonymous
+  visitors and the app POSTs to them, so only endpoints on the browsers' push
+  services are accepted (see `valid_endpoint?/1`).
+  """
+
+  @endpoint_hosts ~w(
+    fcm.googleapis.com
+    updates.push.services.mozilla.com
+    push.apple.com
+    notify.windows.com
+  )
+
+  # Seconds a push service keeps an undelivered message
+  @ttl 86_400
+  # VAPID tokens may be valid for at most 24 hours
+  @token_ttl 12 * 60 * 60
+  @record_size 4096
+  @timeout 10_000
+
+  @doc """
+  Whether a VAPID key pair is configured.
+  """
+  def enabled?, do: public_key() != nil and config()[:private_key] != nil
+
+  @doc """
+  The VAPID public key, base64url encoded, which browsers need to subscribe.
+  """
+  def public_key, do: config()[:public_key]
+
+  @doc """
+  Generates a VAPID key pair for the config.
+  """
+  def generate_keys do
+    {public, private} = :crypto.generate_key(:ecdh, :prime256v1)
+    %{public_key: encode(public), private_key: encode(private)}
+  end
+
+  @doc """
+  Whether `endpoint` is a URL on one of the browsers' push services.
+
+  The hosts and schemes can be replaced with the `:endpoint_hosts` and
+  `:endpoint_schemes` config, which tests use to push to Bypass.
+  """
+  def valid_endpoint?(endpoint) when is_binary(endpoint) do
+    uri = URI.parse(endpoint)
+    hosts = config()[:endpoint_hosts] || @endpoint_hosts
+    schemes = config()[:endpoint_schemes] || ["https"]
+
+    uri.scheme in schemes and is_binary(uri.host) and
+      Enum.any?(hosts, &(uri.host == &1 or String.ends_with?(uri.host, "." <> &1)))
+  end
+
+  def valid_endpoint?(_endpoint), do: false
+
+  @doc """
+  Sends `message`, encoded as JSON, to a subscription with `endpoint`,
+  `p256dh` and `auth`.
+
+  Returns `:ok`, `{:error, :gone}` when the subscription has expired or was
+  revoked and should be deleted, or `{:error, reason}`.
+  """
+  def send_notification(%{endpoint: endpoint, p256dh: p256dh, auth: auth}, message) do
+    body = encrypt(Jason.encode!(message), decode!(p256dh), decode!(auth))
+
+    headers = [
+      {"ttl", Integer.to_string(@ttl)},
+      {"urgency", "high"},
+      {"content-encoding", "aes128gcm"},
+      {"content-type", "application/octet-stream"},
+      {"authorization", authorization(endpoint)}
+    ]
+
+    options = [body: body, headers: headers, retry: false, receive_timeout: @timeout]
+
+    case Req.post(endpoint, options) do
+      {:ok, %{status: status}} when status in 200..299 -> :ok
+      {:ok, %{status: status}} when status in [404, 410] -> {:error, :gone}
+      {:ok, %{status: status}} -> {:error, {:http_status, status}}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Encrypts `plaintext` for a subscription's public key and auth secret as a
+  single `aes128gcm` record (RFC 8291).
+  """
+  def encrypt(plaintext, ua_public, auth_secret) do
+    {as_public, as_private} = :crypto.generate_key(:ecdh, :prime256v1)
+    ecdh_secret = :crypto.compute_key(:ecdh, ua_public, as_private, :prime256v1)
+    salt = :crypto.strong_rand_bytes(16)
+
+    key_info = "WebPush: info" <> <<0>> <> ua_public <> as_public
+    ikm = hkdf(auth_secret, ecdh_secret, key_info, 32)
+    cek = hkdf(salt, ikm, "Content-Encoding: aes128gcm" <> <<0>>, 16)
+    nonce = hkdf(salt, ikm, "Content-Encoding: nonce" <> <<0>>, 12)
+
+    # 2 marks the last (and only) record, with no padding
+    {ciphertext, tag} =
+      :crypto.crypto_one_time_aead(:aes_128_gcm, cek, nonce, plaintext <> <<2>>, <<>>, true)
+
+    header = salt <> <<@record_size::unsigned-big-32, byte_size(as_public)::8>> <> as_public
+    header <> ciphertext <> tag
+  end
+
+  @doc """
+  Decodes a base64url key, with or without padding as browsers differ.
+  """
+  def decode_key(value) when is_binary(value) do
+    value |> String.trim_trailing("=") |> Base.url_decode64(padding: false)
+  end
+
+  def decode_key(_value), do: :error
+
+  # HKDF (RFC 5869) with SHA-256, for outputs of at most one hash length
+  defp hkdf(salt, ikm, info, length) do
+    prk = :crypto.mac(:hmac, :sha256, salt, ikm)
+    :crypto.mac(:hmac, :sha256, prk, info <> <<1>>) |> binary_part(0, length)
+  end
+
+  # A VAPID token for the push service's origin, signed with ES256
+  defp authorization(endpoint) do
+    uri = URI.parse(endpoint)
+    audience = URI.to_string(%URI{scheme: uri.scheme, host: uri.host, port: uri.port})
+
+    claims = %{
+      aud: audience,
+      exp: System.system_time(:second) + @token_ttl,
+      sub: config()[:subject]
+    }
+
+    signing_input =
+      encode(Jason.encode!(%{typ: "JWT", alg: "ES256"})) <> "." <> encode(Jason.encode!(claims))
+
+    private_key = decode!(config()[:private_key])
+    der = :crypto.sign(:ecdsa, :sha256, signing_input, [private_key, :prime256v1])
+    {:"ECDSA-Sig-Value", r, s} = :public_key.der_decode(:"ECDSA-Sig-Value", der)
+    signature = <<r::unsigned-big-256, s::unsigned-big-256>>
+
+    "vapid t=#{signing_input}.#{encode(signature)}, k=#{public_key()}"
+  end
+
+  defp decode!(value) do
+    {:ok, key} = decode_key(value)
+    key
+  end
+
+  defp encode(binary), do: Base.url_encode64(binary, padding: false)
+
+  defp config, do: Application.get_env(:app, __MODULE__, [])
+end
@@ -202,7 +202,7 @@ defmodule Prikke.Worker do
     # Track start time with millisecond precision for accurate duration
     start_time = System.monotonic_time(:millisecond)
 
-    result = make_request(task, execution)
+    result = send_request(task, execution.id)
 
     # Calculate duration from monotonic clock (more accurate than timestamps)
     duration_ms = System.monotonic_time(:millisecond) - start_time
@@ -245,12 +245,20 @@ defmodule Prikke.Worker do
 
   defp parse_host(_), do: nil
 
-  defp make_request(task, execution) do
+  @doc """
+  Sends `task`'s HTTP request, signed as `execution_id`, exactly as an
+  execution would. The task's organization must be loaded for the webhook
+  secret. Used by the worker and by test requests from the task form.
+
+  The response body is left as received, so body assertions, the stored
+  response and the test panel all see the same text.
+  """
+  def send_request(task, execution_id) do
     body = if task.method in ["POST", "PUT", "PATCH"], do: task.body || "", else: ""
 
     headers =
       build_headers(task.headers)
-      |> add_runlater_headers(task, execution, body)
+      |> add_runlater_headers(task, execution_id, body)
 
     opts = [
       method: String.downcase(task.method) |> String.to_existing_atom(),
@@ -260,7 +268,8 @@ defmodule Prikke.Worker do
       # Reuse TLS connections via named Finch pool (connect timeout configured at pool level)
       finch: Prikke.Finch,
       # We handle retries ourselves
-      retry: false
+      retry: false,
+      decode_body: false
     ]
 
     # Add body for methods that support it
@@ -280,9 +289,9 @@ defmodule Prikke.Worker do
     Enum.map(headers, fn {k, v} -> {to_string(k), to_string(v)} end)
   end
 
-  defp add_runlater_headers(headers, task, execution, body) do
+  defp add_runlater_headers(headers, task, execution_id, body) do
     webhook_secret = task.organization.webhook_secret
-    runlater_headers = WebhookSignature.build_headers(task.id, execution.id, body, webhook_secret)
+    runlater_headers = WebhookSignature.build_headers(task.id, execution_id, body, webhook_secret)
     headers ++ runlater_headers
   end
 
@@ -354,43 +363,12 @@ defmodule Prikke.Worker do
   end
 
   defp check_response_assertions(task, response) do
-    with :ok <- check_status_assertion(task, response.status),
-         :ok <- check_body_assertion(task, response.body) do
-      :ok
+    case Enum.find(Tasks.check_assertions(task, response.status, response.body), &(!&1.passed)) do
+      nil -> :ok
+      %{message: message} -> {:error, message}
     end
   end
 
-  defp check_status_assertion(%{expected_status_codes: nil}, status) do
-    if status >= 200 and status < 300, do: :ok, else: {:error, "HTTP #{status}"}
-  end
-
-  defp check_status_assertion(%{expected_status_codes: ""}, status) do
-    if status >= 200 and status < 300, do: :ok, else: {:error, "HTTP #{status}"}
-  end
-
-  defp check_status_assertion(%{expected_status_codes: codes}, status) do
-    allowed = Tasks.parse_status_codes(codes)
-
-    if status in allowed do
-      :ok
-    else
-      {:error, "Assertion failed: status #{status} not in [#{codes}]"}
-    end
-  end
-
-  defp check_body_assertion(%{expected_body_pattern: nil}, _body), do: :ok
-  defp check_body_assertion(%{expected_body_pattern: ""}, _body), do: :ok
-
-  defp check_body_assertion(%{expected_body_pattern: pattern}, body) when is_binary(body) do
-    if String.contains?(body, pattern) do
-      :ok
-    else
-      {:error, "Assertion failed: response body does not contain \"#{pattern}\""}
-    end
-  end
-
-  defp check_body_assertion(%{expected_body_pattern: _pattern}, _body), do: :ok
-
   defp handle_timeout(execution, duration_ms) do
     Logger.warning("[Worker] Task timed out after #{duration_ms}ms")
 
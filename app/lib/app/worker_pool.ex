@@ -73,6 +73,12 @@ defmodule Prikke.WorkerPool do
     GenServer.call(__MODULE__, :stats)
   end
 
+  @doc """
+  Returns the most workers the pool runs at once. Doesn't need the pool to
+  be running.
+  """
+  def max_workers, do: @max_workers
+
   ## Server Callbacks
 
   @impl true
@@ -17,7 +17,7 @@ defmodule PrikkeWeb do
   those modules here.
   """
 
-  def static_paths, do: ~w(assets fonts images favicon.ico favicon.svg robots.txt)
+  def static_paths, do: ~w(assets fonts images favicon.ico favicon.svg robots.txt status-sw.js)
 
   def router do
     quote do
@@ -0,0 +1,188 @@
+defmodule PrikkeWeb.AuditHistory do
+  @moduledoc """
+  Audit log entries, for the organization's audit log and the History tab of
+  tasks, monitors and endpoints.
+
+  The fields an entry changed are listed server-side and replaced by a
+  before/after diff by the `AuditDiff` hook (`assets/js/audit_diff.js`). On
+  dead views, where hooks don't run, app.js mounts it directly.
+  """
+  use Phoenix.Component
+  use PrikkeWeb, :verified_routes
+
+  import PrikkeWeb.CoreComponents, only: [local_time: 1]
+
+  alias Prikke.Audit
+
+  @doc """
+  Tabs switching a resource page between its own activity and its history.
+
+  Clicking a tab sends `"show_tab"` with `"tab"` set to `"activity"` or
+  `"history"`. The `Tabs` hook (`assets/js/tabs.js`) adds the arrow keys.
+  """
+  attr :tab, :string, required: true, values: ~w(activity history)
+  attr :label, :string, required: true, doc: "label of the activity tab, e.g. \"Executions\""
+
+  def history_tabs(assigns) do
+    assigns = assign(assigns, :tabs, [{"activity", assigns.label}, {"history", "History"}])
+
+    ~H"""
+    <div
+      id="history-tabs"
+      role="tablist"
+      phx-hook="Tabs"
+      class="flex gap-4 mb-4 border-b border-slate-200/60"
+    >
+      <button
+        :for={{tab, label} <- @tabs}
+        type="button"
+        role="tab"
+        id={"#{tab}-tab"}
+        aria-selected={to_string(@tab == tab)}
+        tabindex={if(@tab == tab, do: "0", else: "-1")}
+        phx-click="show_tab"
+        phx-value-tab={tab}
+        class={[
+          "-mb-px pb-2 px-1 text-sm font-medium border-b-2 transition-colors cursor-pointer",
+          if(@tab == tab,
+            do: "border-emerald-600 text-emerald-600",
+            else: "border-transparent text-slate-500 hover:text-slate-700"
+          )
+        ]}
+      >
+        {label}
+      </button>
+    </div>
+    """
+  end
+
+  @doc """
+  A resource's audit log, newest first.
+  """
+  attr :logs, :list, required: true
+
+  def audit_history(assigns) do
+    ~H"""
+    <div id="audit-history">
+      <p :if={@logs == []} class="text-sm text-slate-400 text-center py-4">
+        No changes recorded yet
+      </p>
+      <div :if={@logs != []} class="divide-y divide-slate-100">
+        <.audit_entry :for={log <- @logs} log={log} />
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  One audit log entry, with the changed fields in a collapsed diff.
+  """
+  attr :log, :map, required: true
+  attr :link, :boolean, default: false, doc: "link the resource's name to its page"
+
+  def audit_entry(assigns) do
+    assigns =
+      assigns
+      |> assign(:name, Audit.resource_name(assigns.log))
+      |> assign(:href, assigns.link && resource_path(assigns.log))
+
+    ~H"""
+    <div id={"audit-log-#{@log.id}"} class="py-4">
+      <div class="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 sm:gap-4">
+        <div class="flex-1 min-w-0 order-2 sm:order-1">
+          <div class="flex items-center gap-2 flex-wrap">
+            <span class={[
+              "text-xs px-2 py-0.5 rounded-full font-medium",
+              action_badge_class(@log.action)
+            ]}>
+              {Audit.format_action(@log.action)}
+            </span>
+            <span class="text-sm font-medium text-slate-700">
+              {Audit.format_resource_type(@log.resource_type)}
+            </span>
+            <.link
+              :if={@name && @href}
+              navigate={@href}
+              class="text-sm text-slate-600 hover:text-emerald-600 hover:underline"
+            >
+              "{@name}"
+            </.link>
+            <span :if={@name && !@href} class="text-sm text-slate-600">"{@name}"</span>
+          </div>
+          <div class="mt-1 text-sm text-slate-500">
+            <%= case @log.actor_type do %>
+              <% "user" -> %>
+                <span class="text-slate-700">{Audit.actor_name(@log)}</span>
+              <% "api" -> %>
+                <span class="text-amber-600">API: {Audit.actor_name(@log)}</span>
+              <% _ -> %>
+                <span class="text-slate-400">{Audit.actor_name(@log)}</span>
+            <% end %>
+          </div>
+          <details :if={@log.changes != %{}} class="mt-2">
+            <summary class="text-xs text-slate-500 hover:text-slate-700 cursor-pointer select-none">
+              {changed_fields(@log.changes)}
+            </summary>
+            <div
+              id={"audit-diff-#{@log.id}"}
+              phx-hook="AuditDiff"
+              phx-update="ignore"
+              data-audit-diff
+              data-changes={Jason.encode!(@log.changes)}
+              class="mt-2 text-xs bg-white/30 rounded-xl p-2 space-y-1"
+            >
+              <div :for={{field, change} <- @log.changes} class="flex items-start gap-2">
+                <span class="font-medium text-slate-600">{field}:</span>
+                <%= if is_map(change) && Map.has_key?(change, "from") do %>
+                  <span class="text-red-600 line-through">{inspect(change["from"])}</span>
+                  <span class="text-slate-400">→</span>
+                  <span class="text-emerald-600">{inspect(change["to"])}</span>
+                <% else %>
+                  <span class="text-slate-600">{inspect(change)}</span>
+                <% end %>
+              </div>
+            </div>
+          </details>
+        </div>
+        <div class="text-xs text-slate-400 whitespace-nowrap order-1 sm:order-2">
+          <.local_time id={"audit-time-#{@log.id}"} datetime={@log.inserted_at} />
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  defp changed_fields(changes) when map_size(changes) == 1, do: "1 field changed"
+  defp changed_fields(changes), do: "#{map_size(changes)} fields changed"
+
+  # Deleted resources have no page to link to
+  defp resource_path(%{action: "deleted"}), do: nil
+  defp resource_path(%{resource_type: "task", resource_id: id}), do: ~p"/tasks/#{id}"
+  defp resource_path(%{resource_type: "monitor", resource_id: id}), do: ~p"/monitors/#{id}"
+  defp resource_path(%{resource_type: "endpoint", resource_id: id}), do: ~p"/endpoints/#{id}"
+  defp resource_path(_log), do: nil
+
+  @doc """
+  Badge colours for an audit log action.
+  """
+  def action_badge_class("created"), do: "bg-emerald-100 text-emerald-700"
+  def action_badge_class("updated"), do: "bg-blue-100 text-blue-700"
+  def action_badge_class("deleted"), do: "bg-red-100 text-red-700"
+  def action_badge_class("enabled"), do: "bg-emerald-100 text-emerald-700"
+  def action_badge_class("disabled"), do: "bg-slate-100 text-slate-600"
+  def action_badge_class("triggered"), do: "bg-amber-100 text-amber-700"
+  def action_badge_class("replayed"), do: "bg-amber-100 text-amber-700"
+  def action_badge_class("upgraded"), do: "bg-purple-100 text-purple-700"
+  def action_badge_class("downgraded"), do: "bg-slate-100 text-slate-600"
+  def action_badge_class("invited"), do: "bg-blue-100 text-blue-700"
+  def action_badge_class("removed"), do: "bg-red-100 text-red-700"
+  def action_badge_class("role_changed"), do: "bg-amber-100 text-amber-700"
+  def action_badge_class("api_key_created"), do: "bg-emerald-100 text-emerald-700"
+  def action_badge_class("api_key_deleted"), do: "bg-red-100 text-red-700"
+  def action_badge_class("subscription_activated"), do: "bg-emerald-100 text-emerald-700"
+  def action_badge_class("subscription_status_changed"), do: "bg-amber-100 text-amber-700"
+  def action_badge_class("paused"), do: "bg-amber-100 text-amber-700"
+  def action_badge_class("resumed"), do: "bg-emerald-100 text-emerald-700"
+  def action_badge_class("purged"), do: "bg-red-100 text-red-700"
+  def action_badge_class(_), do: "bg-slate-100 text-slate-600"
+end
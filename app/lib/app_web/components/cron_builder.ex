@@ -4,6 +4,11 @@ defmodule PrikkeWeb.CronBuilder do
 
   Provides a simple mode with presets and dropdowns, and an advanced mode
   with a raw text input. Both modes show a live preview of the schedule.
+
+  In advanced mode the `.CronEditor` hook parses the expression in the browser
+  (see `assets/js/cron.mjs`), highlights the invalid field, explains each field
+  and lists the next 10 runs. It also asks for confirmation before submitting a
+  schedule that runs more often than the tier allows.
   """
   use Phoenix.Component
 
@@ -63,6 +68,10 @@ defmodule PrikkeWeb.CronBuilder do
       |> assign(:days_of_month, Enum.map(1..31, fn d -> {"#{d}", "#{d}"} end))
       |> assign(:cron_expression, current_cron_expression(assigns))
       |> assign(:cron_description, current_cron_description(assigns))
+      |> assign(
+        :min_interval_minutes,
+        Prikke.Tasks.get_tier_limits(assigns.tier).min_interval_minutes
+      )
 
     ~H"""
     <div>
@@ -206,19 +215,187 @@ defmodule PrikkeWeb.CronBuilder do
         <%!-- Hidden input to sync the computed expression with the form --%>
         <input type="hidden" name={@form[:cron_expression].name} value={@cron_expression} />
       <% else %>
-        <%!-- Advanced mode: raw text input --%>
-        <.input
-          field={@form[:cron_expression]}
-          type="text"
-          placeholder="0 * * * *"
-          class="w-full px-4 py-3 font-mono text-base bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400"
-        />
-        <p class="text-sm text-slate-500 mt-2">
-          Format:
-          <code class="bg-slate-100 px-1.5 py-0.5 rounded text-slate-700 font-mono">
-            minute hour day month weekday
-          </code>
-        </p>
+        <%!-- Advanced mode: raw text input, checked in the browser as you type --%>
+        <div
+          id="cron-editor"
+          phx-hook=".CronEditor"
+          data-min-interval={@min_interval_minutes}
+          data-tier={@tier}
+        >
+          <.input
+            field={@form[:cron_expression]}
+            type="text"
+            placeholder="0 * * * *"
+            class="w-full px-4 py-3 font-mono text-base bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400"
+          />
+          <p class="text-sm text-slate-500 mt-2">
+            Format:
+            <code class="bg-slate-100 px-1.5 py-0.5 rounded text-slate-700 font-mono">
+              minute hour day month weekday
+            </code>
+          </p>
+
+          <div id="cron-editor-panel" phx-update="ignore" class="mt-3 space-y-3">
+            <div data-cron-fields class="grid grid-cols-2 sm:grid-cols-5 gap-2"></div>
+            <p data-cron-error class="hidden text-sm text-red-600"></p>
+            <p data-cron-interval-warning class="hidden text-sm text-amber-700"></p>
+            <div data-cron-runs class="hidden">
+              <p class="text-xs font-medium text-slate-500 uppercase tracking-wide mb-1.5">
+                Next 10 runs
+              </p>
+              <ol
+                data-cron-runs-list
+                class="text-sm divide-y divide-slate-100 border border-slate-100 rounded-lg bg-white/70"
+              >
+              </ol>
+            </div>
+          </div>
+        </div>
+        <script :type={Phoenix.LiveView.ColocatedHook} name=".CronEditor">
+          import {parseCron, nextRuns, estimateIntervalMinutes, describeField} from "@/js/cron.mjs"
+
+          const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"]
+
+          export default {
+            mounted() {
+              this.input = this.el.querySelector("input[type=text]")
+              this.form = this.el.closest("form")
+
+              this.onInput = () => this.refresh()
+              this.el.addEventListener("input", this.onInput)
+
+              // Capture phase so the warning runs before LiveView's phx-submit handler
+              this.onSubmit = (e) => this.confirmInterval(e)
+              this.form?.addEventListener("submit", this.onSubmit, true)
+
+              this.refresh()
+            },
+            updated() {
+              this.input = this.el.querySelector("input[type=text]")
+              this.refresh()
+            },
+            destroyed() {
+              this.form?.removeEventListener("submit", this.onSubmit, true)
+            },
+            refresh() {
+              const parsed = parseCron(this.input.value)
+              this.parsed = parsed
+
+              this.renderFields(parsed)
+
+              const error = this.el.querySelector("[data-cron-error]")
+              error.textContent = parsed.valid ? "" : parsed.error
+              error.classList.toggle("hidden", parsed.valid)
+              this.input.classList.toggle("ring-2", !parsed.valid)
+              this.input.classList.toggle("ring-red-300", !parsed.valid)
+
+              const warning = this.el.querySelector("[data-cron-interval-warning]")
+              const tooFrequent = this.tooFrequent(parsed)
+              warning.textContent = tooFrequent
+                ? `This runs about every ${this.formatInterval(estimateIntervalMinutes(parsed))}, ` +
+                  `but your plan allows at most one run every ${this.formatInterval(this.minInterval())}.`
+                : ""
+              warning.classList.toggle("hidden", !tooFrequent)
+
+              this.renderRuns(parsed.valid ? nextRuns(parsed, new Date(), 10) : [], parsed.valid)
+            },
+            renderFields(parsed) {
+              const container = this.el.querySelector("[data-cron-fields]")
+              container.replaceChildren()
+
+              for (const field of parsed.fields) {
+                const chip = document.createElement("div")
+                chip.className = field.error
+                  ? "px-2.5 py-2 rounded-lg border border-red-200 bg-red-50"
+                  : "px-2.5 py-2 rounded-lg border border-slate-100 bg-slate-50"
+
+                const label = document.createElement("div")
+                label.className = "flex items-baseline justify-between gap-2 text-xs"
+                const name = document.createElement("span")
+                name.className = field.error ? "text-red-600" : "text-slate-500"
+                name.textContent = field.field.label
+                const raw = document.createElement("code")
+                raw.className = field.error ? "font-mono text-red-700" : "font-mono text-slate-700"
+                raw.textContent = field.raw
+                label.append(name, raw)
+
+                const explanation = document.createElement("div")
+                explanation.className = field.error
+                  ? "mt-1 text-xs text-red-600"
+                  : "mt-1 text-xs text-slate-700"
+                explanation.textContent = describeField(field)
+
+                chip.append(label, explanation)
+                container.append(chip)
+              }
+            },
+            renderRuns(runs, valid) {
+              const wrapper = this.el.querySelector("[data-cron-runs]")
+              const list = this.el.querySelector("[data-cron-runs-list]")
+              list.replaceChildren()
+              wrapper.classList.toggle("hidden", !valid)
+              if (!valid) return
+
+              if (runs.length === 0) {
+                const empty = document.createElement("li")
+                empty.className = "px-3 py-2 text-slate-500"
+                empty.textContent = "This schedule never runs"
+                list.append(empty)
+                return
+              }
+
+              for (const run of runs) {
+                const item = document.createElement("li")
+                item.className = "flex items-center justify-between gap-3 px-3 py-1.5"
+                const local = document.createElement("span")
+                local.className = "text-slate-900"
+                local.textContent = run.toLocaleString("en-GB", {
+                  weekday: "short", day: "numeric", month: "short", year: "numeric",
+                  hour: "2-digit", minute: "2-digit", hour12: false
+                })
+                const utc = document.createElement("span")
+                utc.className = "text-xs text-slate-400 font-mono"
+                utc.textContent = this.formatUtc(run)
+                item.append(local, utc)
+                list.append(item)
+              }
+            },
+            confirmInterval(e) {
+              const parsed = parseCron(this.input.value)
+              if (!this.tooFrequent(parsed)) return
+
+              const ok = window.confirm(
+                `This schedule runs about every ${this.formatInterval(estimateIntervalMinutes(parsed))}, ` +
+                `which is more often than your plan allows ` +
+                `(every ${this.formatInterval(this.minInterval())}). It will be rejected when saved.\n\n` +
+                `Save anyway?`
+              )
+              if (!ok) {
+                e.preventDefault()
+                e.stopImmediatePropagation()
+              }
+            },
+            tooFrequent(parsed) {
+              if (!parsed.valid) return false
+              return estimateIntervalMinutes(parsed) < this.minInterval()
+            },
+            minInterval() {
+              return parseInt(this.el.dataset.minInterval, 10) || 1
+            },
+            formatInterval(minutes) {
+              if (minutes === 1) return "minute"
+              if (minutes < 60) return `${minutes} minutes`
+              if (minutes === 60) return "hour"
+              if (minutes % 60 === 0) return `${minutes / 60} hours`
+              return `${minutes} minutes`
+            },
+            formatUtc(date) {
+              const h = String(date.getUTCHours()).padStart(2, "0")
+              const m = String(date.getUTCMinutes()).padStart(2, "0")
+              return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}, ${h}:${m} UTC`
+            }
+          }
+        </script>
       <% end %>
 
       <%!-- Preview (always visible) --%>
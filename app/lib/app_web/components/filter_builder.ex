@@ -0,0 +1,85 @@
+defmodule PrikkeWeb.FilterBuilder do
+  @moduledoc """
+  Rule builder for an endpoint's filter (see `Prikke.Endpoints.Filter`).
+
+  Renders the filter JSON in a textarea as the form field. The
+  `FilterBuilder` hook (`assets/js/filter_builder.js`) replaces it with
+  condition rows and AND/OR groups, writes every change back, and previews
+  the rules against recent events in the browser, so the effect is visible
+  before the endpoint is saved. A filter the builder can't display is left
+  as editable JSON.
+
+  The builder is `phx-update="ignore"`, so errors from the server are
+  rendered below it.
+  """
+  use Phoenix.Component
+
+  # Bodies above this are left out of the preview data; conditions on them
+  # show as unknown
+  @max_preview_body 64 * 1024
+
+  @placeholder ~s({"combinator": "and", "rules": [{"source": "body", "path": "$.type", ) <>
+                 ~s("operator": "eq", "value": "invoice.paid"}]})
+
+  attr :id, :string, required: true
+  attr :name, :string, required: true
+  attr :input_id, :string, required: true
+  attr :value, :string, default: "", doc: "filter JSON, empty for no filter"
+  attr :events, :list, default: [], doc: "recent inbound events to preview against"
+  attr :errors, :list, default: []
+
+  def filter_builder(assigns) do
+    assigns =
+      assigns
+      |> assign(:placeholder, @placeholder)
+      |> assign(:events_json, Jason.encode!(Enum.map(assigns.events, &preview/1)))
+
+    ~H"""
+    <div>
+      <div
+        id={@id}
+        phx-hook="FilterBuilder"
+        phx-update="ignore"
+        data-events={@events_json}
+        class="space-y-4"
+      >
+        <div data-filter-tree hidden></div>
+        <textarea
+          id={@input_id}
+          name={@name}
+          data-filter-input
+          rows="6"
+          spellcheck="false"
+          placeholder={@placeholder}
+          class="w-full px-4 py-3 font-mono text-sm bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+        >{@value}</textarea>
+        <p data-filter-summary class="text-xs text-slate-500 font-mono break-words"></p>
+        <div class="border-t border-slate-100 pt-3">
+          <div class="flex items-center justify-between gap-2 mb-1">
+            <h4 class="text-xs font-medium text-slate-500 uppercase tracking-wider">
+              Preview · last {length(@events)} events
+            </h4>
+            <span data-filter-count class="text-xs text-slate-500"></span>
+          </div>
+          <ul data-filter-preview class="divide-y divide-slate-100 max-h-80 overflow-y-auto"></ul>
+        </div>
+      </div>
+      <p :for={msg <- @errors} class="mt-1.5 text-sm text-red-600">{msg}</p>
+    </div>
+    """
+  end
+
+  defp preview(event) do
+    too_large = byte_size(event.body || "") > @max_preview_body
+
+    %{
+      id: event.id,
+      method: event.method,
+      received_at: event.received_at,
+      headers: event.headers,
+      body: if(too_large, do: nil, else: event.body),
+      body_too_large: too_large,
+      filtered: event.filtered
+    }
+  end
+end
@@ -0,0 +1,131 @@
+defmodule PrikkeWeb.LiveTail do
+  @moduledoc """
+  Streaming list of executions or inbound events.
+
+  The list is seeded from `items` and kept by the `LiveTail` hook
+  (`assets/js/live_tail.js`), which handles pausing, filtering by status code
+  or text, auto-scrolling and capping the buffer. New or changed items are
+  pushed from the LiveView's PubSub callbacks with `push_items/3`; items with
+  an id that is already in the list replace it.
+
+  Items are plain maps built with `execution_item/2` or `event_item/2`.
+  """
+  use Phoenix.Component
+
+  import Phoenix.LiveView, only: [push_event: 3]
+
+  alias Prikke.Endpoints
+
+  attr :id, :string, required: true
+  attr :items, :list, required: true, doc: "oldest first"
+  attr :capacity, :integer, default: 500, doc: "older items are dropped past this"
+
+  def live_tail(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="LiveTail"
+      phx-update="ignore"
+      data-seed={Jason.encode!(@items)}
+      data-capacity={@capacity}
+      class="bg-white/30 rounded-xl overflow-hidden"
+    >
+      <div class="flex items-center gap-2 px-3 py-2 border-b border-white/30">
+        <span class="relative flex h-2 w-2 shrink-0">
+          <span class="animate-ping absolute inline-flex h-full w-full rounded-full bg-emerald-400 opacity-75">
+          </span>
+          <span class="relative inline-flex rounded-full h-2 w-2 bg-emerald-500"></span>
+        </span>
+        <input
+          type="search"
+          data-tail-filter
+          placeholder="Filter by status code (404, 5xx) or text"
+          aria-label="Filter live tail"
+          class="flex-1 min-w-0 text-sm border-slate-200 rounded-md py-1 px-2 focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
+        />
+        <span data-tail-count class="text-xs text-slate-400 shrink-0"></span>
+        <button
+          type="button"
+          data-tail-pause
+          aria-pressed="false"
+          class="px-3 py-1 text-sm font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-white/50 transition-colors shrink-0"
+        >
+          Pause
+        </button>
+      </div>
+      <div class="relative">
+        <div data-tail-viewport class="h-80 overflow-y-auto">
+          <div data-tail-spacer class="relative"></div>
+          <p data-tail-empty class="hidden text-sm text-slate-400 text-center py-6">
+            Waiting for new items…
+          </p>
+        </div>
+        <button
+          type="button"
+          data-tail-jump
+          class="hidden absolute bottom-3 left-1/2 -translate-x-1/2 px-3 py-1 text-xs font-medium text-white bg-slate-800 rounded-full shadow hover:bg-slate-700"
+        >
+          Jump to latest
+        </button>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Pushes items to the live tail with the given DOM id.
+  """
+  def push_items(socket, id, items) do
+    push_event(socket, "live_tail", %{id: id, items: items})
+  end
+
+  @doc """
+  Builds a live tail item for an execution.
+  """
+  def execution_item(execution, href) do
+    %{
+      id: execution.id,
+      at: execution.finished_at || execution.scheduled_for,
+      status: execution.status,
+      status_code: execution.status_code,
+      duration_ms: execution.duration_ms,
+      summary: execution.error_message || snippet(execution.response_body),
+      href: href
+    }
+  end
+
+  @doc """
+  Builds a live tail item for an inbound event loaded with its tasks.
+
+  Status and status code come from the latest executions of the tasks the
+  event was forwarded to, so the row updates as deliveries finish.
+  """
+  def event_item(event, href) do
+    executions =
+      event
+      |> Map.get(:tasks, [])
+      |> Enum.map(&Map.get(&1, :latest_execution))
+      |> Enum.reject(&is_nil/1)
+
+    %{
+      id: event.id,
+      at: event.received_at,
+      status: Endpoints.event_status(event) || "received",
+      method: event.method,
+      status_code: worst_status_code(executions),
+      duration_ms: nil,
+      summary: Enum.find_value(executions, & &1.error_message) || snippet(event.body),
+      href: href
+    }
+  end
+
+  defp worst_status_code(executions) do
+    executions
+    |> Enum.map(& &1.status_code)
+    |> Enum.reject(&is_nil/1)
+    |> Enum.max(fn -> nil end)
+  end
+
+  defp snippet(nil), do: nil
+  defp snippet(text), do: text |> String.slice(0, 120) |> String.replace(~r/\s+/, " ")
+end
@@ -0,0 +1,66 @@
+defmodule PrikkeWeb.Menu do
+  @moduledoc """
+  A menu button, such as the actions menu on a task, monitor or endpoint.
+
+  Opening, closing and keyboard navigation happen in the `Menu` hook
+  (`assets/js/menu.js`), so the LiveView doesn't track whether the menu is
+  open. The items are rendered up front, hidden, and keep their own
+  `phx-click`s and links.
+  """
+  use Phoenix.Component
+
+  import PrikkeWeb.CoreComponents, only: [icon: 1]
+
+  @doc """
+  Renders a button that opens a menu of actions.
+
+  Give each item `role="menuitem"`.
+
+  ## Examples
+
+      <.dropdown_menu id="task-actions-menu">
+        <button type="button" role="menuitem" phx-click="clone">Clone</button>
+      </.dropdown_menu>
+  """
+  attr :id, :string, required: true
+  attr :label, :string, default: "More actions"
+  attr :button_class, :string, default: nil, doc: "replaces the menu button's default styling"
+  attr :class, :string, default: "w-40", doc: "classes for the menu, e.g. its width"
+  slot :inner_block, required: true
+
+  def dropdown_menu(assigns) do
+    ~H"""
+    <div id={@id} phx-hook="Menu" data-menu class="relative">
+      <button
+        type="button"
+        id={"#{@id}-button"}
+        data-menu-button
+        aria-haspopup="menu"
+        aria-expanded="false"
+        aria-controls={"#{@id}-items"}
+        aria-label={@label}
+        class={[
+          "cursor-pointer",
+          @button_class ||
+            "p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-md transition-colors"
+        ]}
+      >
+        <.icon name="hero-ellipsis-vertical" class="w-5 h-5" />
+      </button>
+      <div
+        id={"#{@id}-items"}
+        data-menu-items
+        role="menu"
+        aria-labelledby={"#{@id}-button"}
+        hidden
+        class={[
+          "absolute right-0 top-full mt-1 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50",
+          @class
+        ]}
+      >
+        {render_slot(@inner_block)}
+      </div>
+    </div>
+    """
+  end
+end
@@ -0,0 +1,134 @@
+defmodule PrikkeWeb.PayloadDiff do
+  @moduledoc """
+  Side-by-side comparison of two executions or two inbound events.
+
+  Each side is turned into labelled text sections (`execution_sections/2`,
+  `event_sections/1`) and the `PayloadDiff` hook (`assets/js/payload_diff.js`)
+  diffs them line by line, and key by key when both sides are JSON.
+
+  Executions keep neither the request they sent nor the response headers, so
+  only their responses are compared; the execution page says so.
+  """
+  use Phoenix.Component
+
+  attr :id, :string, required: true
+  attr :left_label, :string, required: true
+  attr :right_label, :string, required: true
+  attr :left, :list, required: true, doc: "sections for the left side"
+  attr :right, :list, required: true, doc: "sections for the right side, in the same order"
+
+  def payload_diff(assigns) do
+    assigns = assign(assigns, :sections, pair_sections(assigns.left, assigns.right))
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="PayloadDiff"
+      phx-update="ignore"
+      data-sections={Jason.encode!(@sections)}
+    >
+      <div class="grid grid-cols-2 mb-2 text-xs font-medium text-slate-500">
+        <div class="px-3">{@left_label}</div>
+        <div class="px-3">{@right_label}</div>
+      </div>
+      <div data-diff-sections class="space-y-3">
+        <p class="text-sm text-slate-400">Loading comparison…</p>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Bar shown above a list while picking two rows to compare.
+  """
+  attr :noun, :string, required: true, doc: "what is being compared, e.g. \"executions\""
+  attr :ids, :list, required: true, doc: "selected ids"
+  attr :href, :string, default: nil, doc: "comparison page, once two are selected"
+
+  def compare_bar(assigns) do
+    ~H"""
+    <div
+      id="compare-bar"
+      class="flex items-center justify-between gap-3 mb-2 px-4 py-2 rounded-xl bg-emerald-50 border border-emerald-200 text-sm"
+    >
+      <span class="text-emerald-800">
+        Select two {@noun} to compare
+        <span class="text-emerald-600">({length(@ids)}/2)</span>
+      </span>
+      <div class="flex items-center gap-3">
+        <button
+          type="button"
+          phx-click="toggle_compare"
+          class="text-slate-500 hover:text-slate-700"
+        >
+          Cancel
+        </button>
+        <.link
+          :if={@href}
+          id="compare-selected"
+          navigate={@href}
+          class="px-3 py-1 font-medium text-white bg-emerald-600 rounded-md hover:bg-emerald-700"
+        >
+          Compare
+        </.link>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Sections for an execution: its response and error.
+
+  The task's current request isn't included, since it may have been edited
+  since either execution ran and would always compare as unchanged.
+  """
+  def execution_sections(execution) do
+    [
+      {"Response status", response_status(execution)},
+      {"Response body", execution.response_body},
+      {"Error", execution.error_message}
+    ]
+  end
+
+  @doc """
+  Sections for an inbound event loaded with its tasks, covering the request
+  and the latest delivery to each destination.
+  """
+  def event_sections(event) do
+    tasks = Map.get(event, :tasks, [])
+
+    [
+      {"Method", event.method},
+      {"Request headers", Jason.encode!(event.headers || %{})},
+      {"Request body", event.body},
+      {"Delivery status", Enum.map_join(tasks, "\n", &"#{&1.url} #{delivery_status(&1)}")},
+      {"Response body", Enum.map_join(tasks, "\n", &delivery_body/1)}
+    ]
+  end
+
+  defp pair_sections(left, right) do
+    Enum.zip_with(left, right, fn {label, left}, {label, right} ->
+      %{label: label, left: left, right: right}
+    end)
+  end
+
+  defp response_status(execution) do
+    [execution.status, execution.status_code]
+    |> Enum.reject(&is_nil/1)
+    |> Enum.join(" ")
+  end
+
+  defp delivery_status(task) do
+    case Map.get(task, :latest_execution) do
+      nil -> "pending"
+      execution -> response_status(execution)
+    end
+  end
+
+  defp delivery_body(task) do
+    case Map.get(task, :latest_execution) do
+      %{response_body: body} when is_binary(body) -> body
+      _ -> ""
+    end
+  end
+end
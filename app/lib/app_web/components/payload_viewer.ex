@@ -0,0 +1,79 @@
+defmodule PrikkeWeb.PayloadViewer do
+  @moduledoc """
+  Viewer for request and response bodies.
+
+  The body is rendered as plain text and upgraded by the `PayloadViewer` hook
+  (`assets/js/payload_viewer.js`) into a collapsible JSON tree with search,
+  JSONPath copying, a raw/pretty toggle and a download button. XML, HTML and
+  form-encoded bodies are detected from `content_type` or the body itself.
+  """
+  use Phoenix.Component
+
+  import PrikkeWeb.CoreComponents
+
+  attr :id, :string, required: true
+  attr :body, :string, required: true
+  attr :content_type, :string, default: nil
+  attr :filename, :string, default: "payload", doc: "download name, without extension"
+
+  def payload_viewer(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="PayloadViewer"
+      phx-update="ignore"
+      data-content-type={@content_type}
+      data-filename={@filename}
+      class="mt-1 rounded-lg border border-slate-200 bg-slate-50 overflow-hidden"
+    >
+      <div class="flex flex-wrap items-center gap-2 px-2 py-1.5 border-b border-slate-200 bg-white/60 text-xs">
+        <span data-viewer-format class="font-medium text-slate-500 uppercase"></span>
+        <input
+          type="search"
+          data-viewer-search
+          placeholder="Search"
+          aria-label="Search payload"
+          class="w-40 text-xs border-slate-200 rounded-md py-0.5 px-2 focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
+        />
+        <span data-viewer-matches class="text-slate-400"></span>
+        <span data-viewer-path class="flex-1 min-w-0 truncate font-mono text-emerald-600"></span>
+        <button
+          type="button"
+          data-viewer-mode
+          class="px-2 py-0.5 font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-slate-50"
+        >
+          Raw
+        </button>
+        <button
+          type="button"
+          data-viewer-download
+          title="Download"
+          aria-label="Download"
+          class="p-1 text-slate-400 hover:text-slate-600"
+        >
+          <.icon name="hero-arrow-down-tray" class="w-4 h-4" />
+        </button>
+      </div>
+      <div data-viewer-content class="max-h-96 overflow-auto p-3 text-xs font-mono">
+        <pre
+          data-viewer-raw
+          class="whitespace-pre-wrap break-all"
+          phx-no-curly-interpolation
+        ><%= @body %></pre>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Returns the value of the `content-type` header, if any, matching the
+  header name case-insensitively.
+  """
+  def content_type(headers) when is_map(headers) do
+    Enum.find_value(headers, fn {name, value} ->
+      if String.downcase(name) == "content-type", do: value
+    end)
+  end
+
+  def content_type(_headers), do: nil
+end
@@ -0,0 +1,149 @@
+defmodule PrikkeWeb.RequestEditors do
+  @moduledoc """
+  Editors for the headers and body of an outgoing request.
+
+  Both render a plain textarea as the form field. The `HeadersEditor` hook
+  (`assets/js/headers_editor.js`) turns the headers JSON into a key/value
+  table and writes every change back to it. The `BodyEditor` hook
+  (`assets/js/body_editor.js`) adds line numbers, live JSON checking with a
+  Format button, and a warning when the body doesn't match the Content-Type
+  header.
+
+  The editors are `phx-update="ignore"`, so field errors from the server are
+  rendered below them.
+  """
+  use Phoenix.Component
+
+  import PrikkeWeb.CoreComponents, only: [icon: 1, translate_error: 1]
+
+  alias Phoenix.HTML.FormField
+
+  attr :id, :string, required: true
+  attr :field, FormField, doc: "headers JSON field; or pass name, input_id and value"
+  attr :name, :string
+  attr :input_id, :string, doc: "id of the headers textarea"
+  attr :value, :string, default: nil
+  attr :errors, :list, default: []
+  attr :placeholder, :string, default: ~s({"Authorization": "Bearer ..."})
+
+  def headers_editor(%{field: %FormField{} = field} = assigns) do
+    assigns
+    |> assign(field: nil, name: field.name, input_id: field.id, value: field.value)
+    |> assign(:errors, field_errors(field))
+    |> headers_editor()
+  end
+
+  def headers_editor(assigns) do
+    ~H"""
+    <div>
+      <div id={@id} phx-hook="HeadersEditor" phx-update="ignore">
+        <div data-headers-rows class="space-y-2" hidden></div>
+        <textarea
+          id={@input_id}
+          name={@name}
+          data-headers-input
+          rows="4"
+          placeholder={@placeholder}
+          class="w-full px-4 py-3 font-mono text-sm bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+        >{@value}</textarea>
+        <p data-headers-error class="mt-1 text-xs text-red-600" hidden></p>
+        <div class="flex items-center gap-4 mt-2 text-sm">
+          <button
+            type="button"
+            data-headers-add
+            class="inline-flex items-center gap-1 font-medium text-emerald-600 hover:text-emerald-700"
+            hidden
+          >
+            <.icon name="hero-plus" class="w-4 h-4" /> Add header
+          </button>
+          <button
+            type="button"
+            data-headers-mode
+            class="text-slate-500 hover:text-slate-700"
+            hidden
+          >
+            Edit as JSON
+          </button>
+        </div>
+      </div>
+      <p :for={msg <- @errors} class="mt-1.5 text-sm text-red-600">{msg}</p>
+    </div>
+    """
+  end
+
+  attr :id, :string, required: true
+  attr :field, FormField, required: true
+  attr :headers_input, :string, required: true, doc: "id of the headers textarea"
+
+  attr :require_content_type, :boolean,
+    default: true,
+    doc: "warn about a JSON body without a Content-Type header"
+
+  attr :rows, :string, default: "10"
+  attr :placeholder, :string, default: ~s({"key": "value"})
+
+  def body_editor(assigns) do
+    assigns = assign(assigns, :errors, field_errors(assigns.field))
+
+    ~H"""
+    <div>
+      <div
+        id={@id}
+        phx-hook="BodyEditor"
+        phx-update="ignore"
+        data-headers-input={"##{@headers_input}"}
+        data-require-content-type={to_string(@require_content_type)}
+      >
+        <div class="relative flex bg-white/70 border border-white/50 rounded-md overflow-hidden focus-within:ring-2 focus-within:ring-emerald-600">
+          <div
+            data-body-gutter
+            aria-hidden="true"
+            class="shrink-0 py-3 px-2 min-w-[2.5rem] text-right font-mono text-sm leading-6 text-slate-400 bg-slate-50/80 select-none whitespace-pre overflow-hidden"
+            hidden
+          ></div>
+          <textarea
+            id={@field.id}
+            name={@field.name}
+            data-body-input
+            rows={@rows}
+            placeholder={@placeholder}
+            class="flex-1 min-w-0 px-3 py-3 font-mono text-sm leading-6 bg-transparent border-0 text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-0 min-h-[200px]"
+          >{Phoenix.HTML.Form.normalize_value("textarea", @field.value)}</textarea>
+        </div>
+        <div class="flex items-center gap-3 mt-1 text-xs">
+          <span data-body-status class="flex-1"></span>
+          <button
+            type="button"
+            data-body-format
+            class="font-medium text-emerald-600 hover:text-emerald-700"
+            hidden
+          >
+            Format JSON
+          </button>
+        </div>
+        <div
+          data-body-warning
+          class="flex flex-wrap items-center gap-2 mt-2 px-3 py-2 text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded-md"
+          hidden
+        >
+          <.icon name="hero-exclamation-triangle" class="w-4 h-4" />
+          <span data-body-warning-text class="flex-1"></span>
+          <button
+            type="button"
+            data-body-fix
+            class="font-medium underline hover:text-amber-900"
+            hidden
+          ></button>
+        </div>
+      </div>
+      <p :for={msg <- @errors} class="mt-1.5 text-sm text-red-600">{msg}</p>
+    </div>
+    """
+  end
+
+  defp field_errors(field) do
+    if Phoenix.Component.used_input?(field),
+      do: Enum.map(field.errors, &translate_error/1),
+      else: []
+  end
+end
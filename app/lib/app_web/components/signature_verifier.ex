@@ -0,0 +1,173 @@
+defmodule PrikkeWeb.SignatureVerifier do
+  @moduledoc """
+  Checks an `X-Runlater-Signature` against a body and webhook secret, for
+  customers whose own verification fails.
+
+  The `SignatureVerifier` hook (`assets/js/signature_verifier.js`) computes
+  the expected signature with WebCrypto, shows which step of the receiver's
+  check went wrong and writes verification snippets for the pasted request.
+  Nothing entered is sent to the server. On dead views, where hooks don't
+  run, app.js mounts it directly.
+  """
+  use Phoenix.Component
+
+  import PrikkeWeb.CoreComponents, only: [icon: 1]
+
+  alias Prikke.WebhookSignature
+
+  @snippets [node: "Node.js", python: "Python", elixir: "Elixir"]
+
+  attr :id, :string, required: true
+  attr :body, :string, default: ""
+  attr :headers, :list, default: [], doc: "`{name, value}` pairs to prefill"
+  attr :secret, :string, default: nil
+
+  def signature_verifier(assigns) do
+    assigns =
+      assigns
+      |> assign(:snippets, @snippets)
+      |> assign(:header_text, Enum.map_join(assigns.headers, "\n", fn {k, v} -> "#{k}: #{v}" end))
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="SignatureVerifier"
+      phx-update="ignore"
+      data-signature-verifier
+      data-body={@body}
+      class="space-y-4"
+    >
+      <p class="text-xs text-slate-400 flex items-center gap-1.5">
+        <.icon name="hero-lock-closed" class="w-3.5 h-3.5" />
+        Runs in your browser. Nothing you enter here is sent to Runlater.
+      </p>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <label class="block">
+          <span class="text-xs text-slate-500 uppercase">Raw body</span>
+          <textarea
+            data-verifier-body
+            rows="8"
+            spellcheck="false"
+            placeholder="The request body exactly as your server received it"
+            class="mt-1 w-full font-mono text-xs border-slate-200 rounded-md focus:ring-emerald-600 focus:border-emerald-600"
+          >{@body}</textarea>
+        </label>
+        <label class="block">
+          <span class="text-xs text-slate-500 uppercase">Headers</span>
+          <textarea
+            data-verifier-headers
+            rows="8"
+            spellcheck="false"
+            placeholder="X-Runlater-Signature: sha256=..."
+            class="mt-1 w-full font-mono text-xs border-slate-200 rounded-md focus:ring-emerald-600 focus:border-emerald-600"
+          >{@header_text}</textarea>
+        </label>
+      </div>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <label class="block">
+          <span class="text-xs text-slate-500 uppercase">Webhook secret</span>
+          <input
+            type="password"
+            data-verifier-secret
+            value={@secret}
+            autocomplete="off"
+            placeholder="whsec_..."
+            class="mt-1 w-full font-mono text-xs border-slate-200 rounded-md focus:ring-emerald-600 focus:border-emerald-600"
+          />
+        </label>
+        <label class="block">
+          <span class="text-xs text-slate-500 uppercase">Signature to check</span>
+          <input
+            type="text"
+            data-verifier-signature
+            autocomplete="off"
+            spellcheck="false"
+            placeholder="What your code computed, or leave empty to use the header"
+            class="mt-1 w-full font-mono text-xs border-slate-200 rounded-md focus:ring-emerald-600 focus:border-emerald-600"
+          />
+        </label>
+      </div>
+
+      <div class="rounded-lg border border-slate-200 bg-white/50 p-4 space-y-3">
+        <div class="flex items-center gap-2 min-w-0">
+          <span class="text-xs text-slate-500 uppercase shrink-0">Expected</span>
+          <code data-verifier-expected class="flex-1 min-w-0 font-mono text-xs break-all text-slate-800">
+          </code>
+          <button
+            type="button"
+            data-copy=""
+            data-verifier-copy-expected
+            class="shrink-0 text-slate-400 hover:text-emerald-600 p-1 rounded transition-colors relative"
+            title="Copy to clipboard"
+          >
+            <.icon name="hero-clipboard-document" class="w-4 h-4" />
+          </button>
+        </div>
+        <p data-verifier-verdict class="text-sm font-medium"></p>
+        <ol data-verifier-steps class="space-y-2"></ol>
+      </div>
+
+      <div data-tab-group class="rounded-lg overflow-hidden">
+        <div class="flex items-center bg-slate-900 border-b border-slate-700">
+          <button
+            :for={{{lang, label}, index} <- Enum.with_index(@snippets)}
+            type="button"
+            data-tab={lang}
+            class={[
+              "px-4 py-2 text-xs font-medium border-b-2 cursor-pointer",
+              if(index == 0,
+                do: "text-emerald-400 border-emerald-400",
+                else: "text-slate-500 border-transparent"
+              )
+            ]}
+          >
+            {label}
+          </button>
+        </div>
+        <div
+          :for={{{lang, _label}, index} <- Enum.with_index(@snippets)}
+          data-tab-content={lang}
+          style={index > 0 && "display:none"}
+          class="relative"
+        >
+          <pre
+            data-verifier-snippet={lang}
+            class="bg-slate-900 text-slate-100 p-4 font-mono text-xs leading-relaxed overflow-x-auto m-0 max-h-96"
+          ></pre>
+          <button
+            type="button"
+            data-copy=""
+            data-verifier-copy={lang}
+            class="absolute top-2 right-2 text-slate-400 hover:text-emerald-400 p-1.5 rounded transition-colors"
+            title="Copy to clipboard"
+          >
+            <.icon name="hero-clipboard-document" class="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  The body and headers of the request Runlater sent for `event`'s first
+  forward, signed with `organization`'s current webhook secret.
+
+  Falls back to the event as received when it wasn't forwarded.
+  """
+  def delivery(event, organization) do
+    case Map.get(event, :tasks, []) do
+      [task | _] ->
+        body = if task.method in ["POST", "PUT", "PATCH"], do: task.body || "", else: ""
+        execution_id = if task.latest_execution, do: task.latest_execution.id, else: ""
+
+        runlater_headers =
+          WebhookSignature.build_headers(task.id, execution_id, body, organization.webhook_secret)
+
+        %{body: body, headers: Enum.sort(task.headers || %{}) ++ runlater_headers}
+
+      [] ->
+        %{body: event.body || "", headers: Enum.sort(event.headers || %{})}
+    end
+  end
+end
@@ -0,0 +1,32 @@
+defmodule PrikkeWeb.Sparkline do
+  @moduledoc """
+  Small line chart of recent values, such as a queue's executions per
+  minute.
+
+  The points are rendered as JSON and drawn by the `Sparkline` hook
+  (`assets/js/sparkline.js`). The chart is `phx-update="ignore"`, but its
+  attributes still patch, so re-rendering with new points redraws it in
+  place.
+  """
+  use Phoenix.Component
+
+  attr :id, :string, required: true
+  attr :points, :list, required: true, doc: "numbers, oldest first"
+  attr :label, :string, required: true, doc: "accessible description of the series"
+  attr :class, :string, default: "h-8 w-32"
+
+  def sparkline(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="Sparkline"
+      phx-update="ignore"
+      data-points={Jason.encode!(@points)}
+      role="img"
+      aria-label={@label}
+      class={["text-emerald-500", @class]}
+    >
+    </div>
+    """
+  end
+end
@@ -0,0 +1,134 @@
+defmodule PrikkeWeb.TestRequestPanel do
+  @moduledoc """
+  Result of a test request sent from the task form with
+  `Prikke.Tasks.send_test_request/2`.
+
+  The status and assertion results are rendered here. The `TestRequest` hook
+  (`assets/js/test_request.js`) adds the timing breakdown and switches between
+  the response body, shown in the payload viewer, and the response headers.
+  """
+  use Phoenix.Component
+
+  import PrikkeWeb.CoreComponents, only: [icon: 1]
+  import PrikkeWeb.PayloadViewer, only: [payload_viewer: 1, content_type: 1]
+
+  attr :id, :string, required: true
+  attr :result, :any, required: true, doc: "`{:ok, result}` or `{:error, message}`"
+
+  def test_request_panel(%{result: {:ok, response}} = assigns) do
+    assigns =
+      assigns
+      |> assign(:response, response)
+      |> assign(:passed, Enum.all?(response.assertions, & &1.passed))
+      |> assign(:headers, Enum.map(response.headers, fn {name, value} -> [name, value] end))
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="TestRequest"
+      phx-update="ignore"
+      data-timings={Jason.encode!(@response.timings)}
+      data-duration={@response.duration_ms}
+      data-headers={Jason.encode!(@headers)}
+      class="mb-4 rounded-lg border border-slate-200 overflow-hidden"
+    >
+      <div class={[
+        "px-4 py-3 flex items-center justify-between border-b",
+        @passed && "bg-emerald-50 border-emerald-200",
+        !@passed && "bg-red-50 border-red-200"
+      ]}>
+        <div class="flex items-center gap-3">
+          <.icon
+            name={if @passed, do: "hero-check-circle", else: "hero-x-circle"}
+            class={["w-5 h-5", if(@passed, do: "text-emerald-600", else: "text-red-600")]}
+          />
+          <span class="font-mono text-sm font-medium">HTTP {@response.status}</span>
+          <span class="text-sm text-slate-500">{@response.duration_ms}ms</span>
+        </div>
+        <button
+          type="button"
+          phx-click="dismiss_test_result"
+          aria-label="Dismiss"
+          class="text-slate-400 hover:text-slate-600 cursor-pointer"
+        >
+          <.icon name="hero-x-mark" class="w-4 h-4" />
+        </button>
+      </div>
+
+      <div class="px-4 py-3 space-y-3 bg-white/50">
+        <div data-test-timing class="text-xs text-slate-500"></div>
+
+        <ul class="space-y-1 text-sm">
+          <li :for={assertion <- @response.assertions} class="flex items-center gap-2">
+            <.icon
+              name={if assertion.passed, do: "hero-check", else: "hero-x-mark"}
+              class={[
+                "w-4 h-4 shrink-0",
+                if(assertion.passed, do: "text-emerald-600", else: "text-red-600")
+              ]}
+            />
+            <span class="text-slate-700">{assertion.description}</span>
+            <span :if={assertion.message} class="text-xs text-red-600">{assertion.message}</span>
+          </li>
+        </ul>
+
+        <div>
+          <div class="flex gap-4 border-b border-slate-200 text-sm" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              data-test-tab="body"
+              class="pb-1.5 -mb-px border-b-2 border-emerald-600 font-medium text-slate-900"
+            >
+              Body
+            </button>
+            <button
+              type="button"
+              role="tab"
+              data-test-tab="headers"
+              class="pb-1.5 -mb-px border-b-2 border-transparent text-slate-500 hover:text-slate-700"
+            >
+              Headers <span class="text-slate-400">({length(@headers)})</span>
+            </button>
+          </div>
+          <div data-test-pane="body" class="pt-2">
+            <p :if={@response.body in [nil, ""]} class="text-sm text-slate-400">Empty body</p>
+            <.payload_viewer
+              :if={@response.body not in [nil, ""]}
+              id={"#{@id}-body"}
+              body={@response.body}
+              content_type={content_type(Map.new(@response.headers))}
+              filename="test-response"
+            />
+          </div>
+          <div data-test-pane="headers" class="pt-2" hidden></div>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  def test_request_panel(%{result: {:error, message}} = assigns) do
+    assigns = assign(assigns, :message, message)
+
+    ~H"""
+    <div
+      id={@id}
+      class="mb-4 px-4 py-3 rounded-lg border bg-red-50 border-red-200 flex items-center justify-between"
+    >
+      <div class="flex items-center gap-3">
+        <.icon name="hero-x-circle" class="w-5 h-5 text-red-600" />
+        <span class="text-sm text-red-700">{@message}</span>
+      </div>
+      <button
+        type="button"
+        phx-click="dismiss_test_result"
+        aria-label="Dismiss"
+        class="text-slate-400 hover:text-slate-600 cursor-pointer"
+      >
+        <.icon name="hero-x-mark" class="w-4 h-4" />
+      </button>
+    </div>
+    """
+  end
+end
@@ -0,0 +1,102 @@
+defmodule PrikkeWeb.TrendChart do
+  @moduledoc """
+  Interactive bar chart for execution and monitor trends.
+
+  The buckets are rendered as JSON and drawn by the `TrendChart` hook
+  (`assets/js/trend_chart.js`) with tooltips, a p50/p95 latency overlay and
+  click-through to the failures or executions for a bucket's window.
+
+  When `zoom_event` is set, dragging across bars pushes that event with
+  `%{"from" => iso8601, "to" => iso8601}`. The LiveView replies with
+  `%{buckets: Executions.execution_trend(scope, from, to, :hour)}`, using
+  `zoom_window/1` to parse and clamp the params.
+  """
+  use Phoenix.Component
+
+  # Hour-level zoom is capped so a single drag can't ask for months of buckets
+  @max_zoom_days 7
+
+  attr :id, :string, required: true
+  attr :kind, :string, values: ~w(executions monitors), default: "executions"
+  attr :title, :string, required: true
+  attr :buckets, :list, required: true, doc: "execution_trend/4 maps or {date, stats} tuples"
+  attr :zoom_event, :string, default: nil
+  attr :failures_href, :string, default: nil, doc: "opened for buckets with failures"
+  attr :executions_href, :string, default: nil, doc: "opened for any other bucket"
+
+  def trend_chart(assigns) do
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="TrendChart"
+      phx-update="ignore"
+      data-kind={@kind}
+      data-buckets={encode_buckets(@buckets)}
+      data-zoom-event={@zoom_event}
+      data-failures-href={@failures_href}
+      data-executions-href={@executions_href}
+      class="px-6 py-4 border-b border-white/30"
+    >
+      <div class="flex items-center justify-between gap-3 mb-2">
+        <div class="text-xs font-medium text-slate-500" data-trend-title>{@title}</div>
+        <div class="flex items-center gap-3 text-xs text-slate-500">
+          <button type="button" data-trend-reset class="hidden text-emerald-600 hover:underline">
+            Reset zoom
+          </button>
+          <%= if @kind == "executions" do %>
+            <label class="flex items-center gap-1.5 cursor-pointer select-none">
+              <input type="checkbox" data-trend-latency class="checkbox checkbox-xs" />
+              p50/p95 latency
+            </label>
+          <% end %>
+        </div>
+      </div>
+      <div data-trend-canvas class="relative h-16 select-none touch-none"></div>
+    </div>
+    """
+  end
+
+  @doc """
+  Parses the `from`/`to` params pushed by a zoom, clamping the window to
+  #{@max_zoom_days} days.
+  """
+  def zoom_window(%{"from" => from, "to" => to}) when is_binary(from) and is_binary(to) do
+    with {:ok, from, _} <- DateTime.from_iso8601(from),
+         {:ok, to, _} <- DateTime.from_iso8601(to),
+         :lt <- DateTime.compare(from, to) do
+      {:ok, from, Enum.min([to, DateTime.add(from, @max_zoom_days, :day)], DateTime)}
+    else
+      _ -> :error
+    end
+  end
+
+  def zoom_window(_params), do: :error
+
+  @doc """
+  Parses optional `from`/`to` URL params into a window for filtering
+  executions, as linked to from a chart bar. Returns `{nil, nil}` when absent.
+  """
+  def window_params(params) do
+    {parse_datetime(params["from"]), parse_datetime(params["to"])}
+  end
+
+  defp parse_datetime(value) when is_binary(value) do
+    case DateTime.from_iso8601(value) do
+      {:ok, datetime, _} -> datetime
+      _ -> nil
+    end
+  end
+
+  defp parse_datetime(_), do: nil
+
+  defp encode_buckets(buckets) do
+    buckets |> Enum.map(&encode_bucket/1) |> Jason.encode!()
+  end
+
+  defp encode_bucket({%Date{} = date, stats}) do
+    start = DateTime.new!(date, ~T[00:00:00], "Etc/UTC")
+    Map.merge(stats, %{start: start, end: DateTime.add(start, 1, :day)})
+  end
+
+  defp encode_bucket(%{} = bucket), do: bucket
+end
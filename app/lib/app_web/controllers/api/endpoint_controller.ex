@@ -165,19 +165,28 @@ defmodule PrikkeWeb.Api.EndpointController do
 
   operation(:replay,
     summary: "Replay an inbound event",
-    description: "Creates new forwarding executions for an existing inbound event",
+    description:
+      "Creates new forwarding executions for an existing inbound event. Send `url` to " <>
+        "replay to one destination only (a forward URL or any other), and `body` or " <>
+        "`headers` to send an edited payload. Edited replays get their own tasks, linked " <>
+        "to the event.",
     parameters: [
       endpoint_id: [in: :path, type: :string, description: "Endpoint ID", required: true],
       event_id: [in: :path, type: :string, description: "Event ID", required: true]
     ],
+    request_body:
+      {"Replay overrides", "application/json", Schemas.ReplayRequest, required: false},
     responses: [
       accepted: {"Event replayed", "application/json", Schemas.ReplayResponse},
-      not_found: {"Not found", "application/json", Schemas.ErrorResponse}
+      not_found: {"Not found", "application/json", Schemas.ErrorResponse},
+      unprocessable_entity: {"Validation error", "application/json", Schemas.ErrorResponse}
     ]
   )
 
-  def replay(conn, %{"endpoint_id" => endpoint_id, "event_id" => event_id}) do
+  def replay(conn, %{"endpoint_id" => endpoint_id, "event_id" => event_id} = params) do
     org = conn.assigns.current_organization
+    api_key_name = conn.assigns[:api_key_name]
+    overrides = Map.take(params, ["url", "body", "headers"])
 
     case Endpoints.get_endpoint(org, endpoint_id) do
       nil ->
@@ -186,7 +195,7 @@ defmodule PrikkeWeb.Api.EndpointController do
       endpoint ->
         event = Endpoints.get_inbound_event!(endpoint, event_id)
 
-        case Endpoints.replay_event(endpoint, event) do
+        case Endpoints.replay_event(endpoint, event, overrides, api_key_name: api_key_name) do
           {:ok, executions} ->
             conn
             |> put_status(:accepted)
@@ -196,6 +205,7 @@ defmodule PrikkeWeb.Api.EndpointController do
                   Enum.map(executions, fn exec ->
                     %{
                       execution_id: exec.id,
+                      task_id: exec.task_id,
                       status: exec.status,
                       scheduled_for: exec.scheduled_for
                     }
@@ -223,6 +233,19 @@ defmodule PrikkeWeb.Api.EndpointController do
                 message: "All linked tasks have been deleted"
               }
             })
+
+          {:error, :blank_url} ->
+            conn
+            |> put_status(:unprocessable_entity)
+            |> json(%{
+              error: %{
+                code: "blank_url",
+                message: "url can't be blank"
+              }
+            })
+
+          {:error, %Ecto.Changeset{} = changeset} ->
+            {:error, changeset}
         end
     end
   end
@@ -248,25 +271,20 @@ defmodule PrikkeWeb.Api.EndpointController do
       forward_headers: e.forward_headers,
       forward_body: e.forward_body,
       forward_method: e.forward_method,
+      filter: e.filter,
       inserted_at: e.inserted_at,
       updated_at: e.updated_at
     }
   end
 
   defp event_json(event) do
-    status =
-      case Map.get(event, :tasks, []) do
-        [] -> nil
-        tasks -> Endpoints.aggregate_task_statuses(tasks)
-      end
-
     %{
       id: event.id,
       method: event.method,
       source_ip: event.source_ip,
       received_at: event.received_at,
       task_ids: event.task_ids,
-      status: status
+      status: Endpoints.event_status(event)
     }
   end
 
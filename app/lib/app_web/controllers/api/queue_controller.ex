@@ -50,7 +50,7 @@ defmodule PrikkeWeb.Api.QueueController do
   def pause(conn, %{"name" => name}) do
     org = conn.assigns.current_organization
 
-    case Queues.pause_queue(org, name) do
+    case Queues.pause_queue(org, name, api_key_name: conn.assigns[:api_key_name]) do
       {:ok, _queue} ->
         json(conn, %{data: %{name: name, paused: true}, message: "Queue \"#{name}\" paused"})
 
@@ -75,7 +75,7 @@ defmodule PrikkeWeb.Api.QueueController do
   def resume(conn, %{"name" => name}) do
     org = conn.assigns.current_organization
 
-    case Queues.resume_queue(org, name) do
+    case Queues.resume_queue(org, name, api_key_name: conn.assigns[:api_key_name]) do
       {:ok, _queue} ->
         json(conn, %{data: %{name: name, paused: false}, message: "Queue \"#{name}\" resumed"})
 
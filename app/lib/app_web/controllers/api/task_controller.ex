@@ -15,6 +15,7 @@ defmodule PrikkeWeb.Api.TaskController do
   alias Prikke.Tasks
   alias Prikke.Tasks.Task
   alias Prikke.Executions
+  alias Prikke.Queues
   alias PrikkeWeb.Schemas
 
   action_fallback PrikkeWeb.Api.FallbackController
@@ -115,9 +116,11 @@ defmodule PrikkeWeb.Api.TaskController do
         required: false
       ]
     ],
-    request_body: {"Task parameters", "application/json", Schemas.TaskRequest},
+    request_body: {"Task parameters", "application/json", Schemas.TaskCreateRequest},
     responses: [
-      created: {"Task created", "application/json", Schemas.TaskResponse},
+      created: {"Cron task created", "application/json", Schemas.TaskResponse},
+      accepted: {"Task queued for execution", "application/json", Schemas.TaskQueuedResponse},
+      bad_request: {"Invalid delay or run_at", "application/json", Schemas.ErrorResponse},
       unprocessable_entity: {"Validation error", "application/json", Schemas.ErrorResponse}
     ]
   )
@@ -199,7 +202,7 @@ defmodule PrikkeWeb.Api.TaskController do
   def delete_by_queue(conn, %{"queue" => queue}) when is_binary(queue) and queue != "" do
     org = conn.assigns.current_organization
 
-    case Tasks.cancel_tasks_by_queue(org, queue) do
+    case Queues.purge_queue(org, queue, api_key_name: conn.assigns[:api_key_name]) do
       {:ok, result} ->
         json(conn, %{
           data: %{cancelled: result.cancelled},
@@ -484,6 +487,7 @@ defmodule PrikkeWeb.Api.TaskController do
       enabled: task.enabled,
       timeout_ms: task.timeout_ms,
       retry_attempts: task.retry_attempts,
+      callback_url: task.callback_url,
       expected_status_codes: task.expected_status_codes,
       expected_body_pattern: task.expected_body_pattern,
       queue: task.queue,
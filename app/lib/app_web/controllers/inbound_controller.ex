@@ -2,6 +2,7 @@ defmodule PrikkeWeb.InboundController do
   use PrikkeWeb, :controller
 
   alias Prikke.Endpoints
+  alias Prikke.Endpoints.Filter
 
   def receive(conn, %{"slug" => slug}) do
     case Endpoints.get_endpoint_by_slug(slug) do
@@ -16,16 +17,27 @@ defmodule PrikkeWeb.InboundController do
         |> json(%{error: "Endpoint disabled"})
 
       endpoint ->
-        body = PrikkeWeb.CacheBodyReader.get_raw_body(conn)
-        headers = Map.new(conn.req_headers)
-        source_ip = original_ip(conn)
-
-        case Endpoints.receive_event(endpoint, %{
-               method: conn.method,
-               headers: headers,
-               body: body,
-               source_ip: source_ip
-             }) do
+        attrs = %{
+          method: conn.method,
+          headers: Map.new(conn.req_headers),
+          body: PrikkeWeb.CacheBodyReader.get_raw_body(conn),
+          source_ip: original_ip(conn)
+        }
+
+        # Events the filter rejects are stored but never fanned out
+        result =
+          if Filter.matches?(endpoint.filter, attrs) do
+            Endpoints.receive_event(endpoint, attrs)
+          else
+            Endpoints.receive_filtered_event(endpoint, attrs)
+          end
+
+        case result do
+          {:ok, %{filtered: true} = event} ->
+            conn
+            |> put_status(:ok)
+            |> json(%{id: event.id, status: "filtered"})
+
           {:ok, event} ->
             conn
             |> put_status(:ok)
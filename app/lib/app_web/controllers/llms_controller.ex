@@ -42,7 +42,7 @@ defmodule PrikkeWeb.LlmsController do
 
     ### Endpoints
 
-    Inbound webhook receivers. Each endpoint gets a unique URL (`https://runlater.eu/in/:slug`). Incoming requests are logged and forwarded to a target URL. Useful as a webhook proxy with automatic retries and logging.
+    Inbound webhook receivers. Each endpoint gets a unique URL (`https://runlater.eu/in/:slug`). Incoming requests are logged and forwarded to a target URL. Useful as a webhook proxy with automatic retries and logging. An optional `filter` forwards only events matching header or body JSONPath conditions; the rest are stored with status `filtered`.
 
     ## Pricing
 
@@ -83,11 +83,12 @@ defmodule PrikkeWeb.LlmsController do
     - `PUT /api/v1/endpoints/:id` — Update an endpoint
     - `DELETE /api/v1/endpoints/:id` — Delete an endpoint
     - `GET /api/v1/endpoints/:id/events` — List events for an endpoint
-    - `POST /api/v1/endpoints/:id/events/:event_id/replay` — Replay an event
+    - `POST /api/v1/endpoints/:id/events/:event_id/replay` — Replay an event (optional `url`, `body`, `headers` overrides)
 
     ### Declarative Sync
 
     - `PUT /api/v1/sync` — Sync tasks and monitors from a declarative config
+    - `PUT /api/v1/sync?dry_run=true` — Plan a sync: the creates, updates and deletes it would make, without applying them
 
     ## Node.js SDK
 
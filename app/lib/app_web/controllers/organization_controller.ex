@@ -7,6 +7,12 @@ defmodule PrikkeWeb.OrganizationController do
   alias Prikke.Tasks
   alias Prikke.Executions
   alias Prikke.Audit
+  alias Prikke.Audit.AuditLog
+  alias PrikkeWeb.CSV
+
+  @audit_filter_params ~w(actor action resource_type from to q)
+  @audit_export_columns ~w(id time actor_type actor action resource_type resource_id
+                           resource_name changes metadata)a
 
   def index(conn, _params) do
     user = conn.assigns.current_scope.user
@@ -338,17 +344,59 @@ defmodule PrikkeWeb.OrganizationController do
     end
   end
 
-  def audit(conn, _params) do
+  def audit(conn, params) do
+    with {:ok, organization} <- authorize_audit(conn) do
+      opts = [cursor: params["cursor"]] ++ audit_filters(params)
+      {audit_logs, next_cursor} = Audit.page_organization_logs(organization, opts)
+
+      # Kept as given, to fill the filter form and carry over to other pages
+      filters =
+        params
+        |> Map.take(@audit_filter_params)
+        |> Map.reject(fn {_key, value} -> value in [nil, ""] end)
+
+      render(conn, :audit,
+        organization: organization,
+        audit_logs: audit_logs,
+        next_cursor: next_cursor,
+        paged: Map.has_key?(params, "cursor"),
+        filters: filters
+      )
+    end
+  end
+
+  def export_audit(conn, params) do
+    with {:ok, organization} <- authorize_audit(conn) do
+      rows =
+        organization
+        |> Audit.export_organization_logs(audit_filters(params))
+        |> Enum.map(&audit_export_row/1)
+
+      timestamp = Calendar.strftime(DateTime.utc_now(), "%Y%m%d-%H%M%S")
+
+      {format, content, mime} =
+        case params["format"] do
+          "json" -> {"json", Jason.encode!(rows, pretty: true), "application/json"}
+          _ -> {"csv", CSV.encode(rows, @audit_export_columns), "text/csv"}
+        end
+
+      send_download(conn, {:binary, content},
+        filename: "audit-log-#{timestamp}.#{format}",
+        content_type: mime
+      )
+    end
+  end
+
+  # Only owners and admins can see the audit log
+  defp authorize_audit(conn) do
     organization = conn.assigns.current_organization
     user = conn.assigns.current_scope.user
 
     if organization do
-      # Check if user is owner or admin
       membership = Accounts.get_membership(organization, user)
 
       if membership && membership.role in ["owner", "admin"] do
-        audit_logs = Audit.list_organization_logs(organization, limit: 50)
-        render(conn, :audit, organization: organization, audit_logs: audit_logs)
+        {:ok, organization}
       else
         conn
         |> put_flash(:error, "You need to be an admin to view audit logs.")
@@ -361,6 +409,43 @@ defmodule PrikkeWeb.OrganizationController do
     end
   end
 
+  defp audit_filters(params) do
+    [
+      actor_type: one_of(params["actor"], AuditLog.actor_types()),
+      action: one_of(params["action"], AuditLog.actions()),
+      resource_type: one_of(params["resource_type"], AuditLog.resource_types()),
+      from: parse_date(params["from"]),
+      to: parse_date(params["to"]),
+      search: params["q"] && String.trim(params["q"])
+    ]
+  end
+
+  defp one_of(value, allowed), do: if(value in allowed, do: value)
+
+  defp parse_date(value) when is_binary(value) do
+    case Date.from_iso8601(value) do
+      {:ok, date} -> date
+      {:error, _} -> nil
+    end
+  end
+
+  defp parse_date(_value), do: nil
+
+  defp audit_export_row(log) do
+    %{
+      id: log.id,
+      time: log.inserted_at,
+      actor_type: log.actor_type,
+      actor: Audit.actor_name(log),
+      action: log.action,
+      resource_type: log.resource_type,
+      resource_id: log.resource_id,
+      resource_name: Audit.resource_name(log),
+      changes: log.changes,
+      metadata: log.metadata
+    }
+  end
+
   def regenerate_webhook_secret(conn, _params) do
     organization = conn.assigns.current_organization
     user = conn.assigns.current_scope.user
@@ -1,6 +1,9 @@
 defmodule PrikkeWeb.OrganizationHTML do
   use PrikkeWeb, :html
 
+  import PrikkeWeb.AuditHistory, only: [audit_entry: 1]
+  import PrikkeWeb.SignatureVerifier, only: [signature_verifier: 1]
+
   embed_templates "organization_html/*"
 
   def role_badge_class("owner"), do: "bg-purple-100 text-purple-700"
@@ -41,20 +44,14 @@ defmodule PrikkeWeb.OrganizationHTML do
     end
   end
 
-  def action_badge_class("created"), do: "bg-emerald-100 text-emerald-700"
-  def action_badge_class("updated"), do: "bg-blue-100 text-blue-700"
-  def action_badge_class("deleted"), do: "bg-red-100 text-red-700"
-  def action_badge_class("enabled"), do: "bg-emerald-100 text-emerald-700"
-  def action_badge_class("disabled"), do: "bg-slate-100 text-slate-600"
-  def action_badge_class("triggered"), do: "bg-amber-100 text-amber-700"
-  def action_badge_class("upgraded"), do: "bg-purple-100 text-purple-700"
-  def action_badge_class("downgraded"), do: "bg-slate-100 text-slate-600"
-  def action_badge_class("invited"), do: "bg-blue-100 text-blue-700"
-  def action_badge_class("removed"), do: "bg-red-100 text-red-700"
-  def action_badge_class("role_changed"), do: "bg-amber-100 text-amber-700"
-  def action_badge_class("api_key_created"), do: "bg-emerald-100 text-emerald-700"
-  def action_badge_class("api_key_deleted"), do: "bg-red-100 text-red-700"
-  def action_badge_class("subscription_activated"), do: "bg-emerald-100 text-emerald-700"
-  def action_badge_class("subscription_status_changed"), do: "bg-amber-100 text-amber-700"
-  def action_badge_class(_), do: "bg-slate-100 text-slate-600"
+  def audit_actor_options, do: [{"user", "Users"}, {"api", "API keys"}, {"system", "System"}]
+
+  @doc """
+  Groups audit logs, newest first, by the UTC day they were recorded on.
+  """
+  def group_by_day(logs) do
+    logs
+    |> Enum.chunk_by(&DateTime.to_date(&1.inserted_at))
+    |> Enum.map(fn [log | _] = logs -> {DateTime.to_date(log.inserted_at), logs} end)
+  end
 end
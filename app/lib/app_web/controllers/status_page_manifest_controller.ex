@@ -0,0 +1,44 @@
+defmodule PrikkeWeb.StatusPageManifestController do
+  @moduledoc """
+  Web app manifest for a public status page, so `/s/:slug` can be installed
+  as an app. The page itself registers `status-sw.js`, which keeps the last
+  rendered status available offline.
+  """
+  use PrikkeWeb, :controller
+
+  alias Prikke.StatusPages
+
+  @cache_max_age 3600
+
+  def show(conn, %{"slug" => slug}) do
+    case StatusPages.get_public_status_page(slug) do
+      nil ->
+        conn
+        |> put_resp_content_type("application/json")
+        |> send_resp(404, Jason.encode!(%{error: "Not found"}))
+
+      status_page ->
+        start_url = ~p"/s/#{status_page.slug}"
+
+        manifest = %{
+          id: start_url,
+          name: status_page.title,
+          short_name: String.slice(status_page.title, 0, 12),
+          description: status_page.description || "Live status of #{status_page.title}",
+          start_url: start_url,
+          scope: start_url,
+          display: "standalone",
+          background_color: "#f8fafc",
+          theme_color: "#059669",
+          icons: [
+            %{src: ~p"/favicon.svg", sizes: "any", type: "image/svg+xml", purpose: "any"}
+          ]
+        }
+
+        conn
+        |> put_resp_content_type("application/manifest+json")
+        |> put_resp_header("cache-control", "public, max-age=#{@cache_max_age}")
+        |> send_resp(200, Jason.encode!(manifest))
+    end
+  end
+end
@@ -0,0 +1,44 @@
+defmodule PrikkeWeb.StatusPagePushController do
+  @moduledoc """
+  Push subscriptions for a public status page, created and removed by the
+  notification toggle on `/s/:slug` (`assets/js/status_page.js`).
+
+  The body is the browser's `PushSubscription.toJSON()`. Subscribers are
+  anonymous, so a subscription is only tied to the status page, and
+  `Prikke.StatusPages.PushNotifier` pushes its status changes to them.
+  """
+  use PrikkeWeb, :controller
+
+  alias Prikke.StatusPages
+  alias Prikke.WebPush
+
+  action_fallback PrikkeWeb.Api.FallbackController
+
+  def create(conn, %{"slug" => slug} = params) do
+    with {:ok, status_page} <- fetch_status_page(slug),
+         {:ok, _subscription} <- StatusPages.subscribe_to_push(status_page, attrs(params)) do
+      send_resp(conn, :created, "")
+    end
+  end
+
+  def delete(conn, %{"slug" => slug, "endpoint" => endpoint}) when is_binary(endpoint) do
+    with {:ok, status_page} <- fetch_status_page(slug) do
+      :ok = StatusPages.unsubscribe_from_push(status_page, endpoint)
+      send_resp(conn, :no_content, "")
+    end
+  end
+
+  def delete(_conn, _params), do: {:error, %{errors: %{endpoint: ["can't be blank"]}}}
+
+  defp fetch_status_page(slug) do
+    case WebPush.enabled?() && StatusPages.get_public_status_page(slug) do
+      status_page when is_struct(status_page) -> {:ok, status_page}
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp attrs(params) do
+    keys = if is_map(params["keys"]), do: params["keys"], else: %{}
+    %{endpoint: params["endpoint"], p256dh: keys["p256dh"], auth: keys["auth"]}
+  end
+end
@@ -0,0 +1,118 @@
+defmodule PrikkeWeb.StatusWidgetController do
+  @moduledoc """
+  Public JSON feed of a status page, read by the embeddable status widget
+  (`assets/js/status_widget.js`) on customer sites.
+
+  Shows exactly what `/s/:slug` shows (see `Prikke.StatusPages.Summary`):
+  nothing for a disabled page, and only the resources added to it. It is
+  served with `Access-Control-Allow-Origin: *` so any site can fetch it, and
+  with a short public cache and an ETag so widgets polling it stay cheap. The
+  summary itself comes from `Prikke.StatusPages.SummaryCache`, so polling
+  doesn't rerun its queries either, and the route is rate limited like the
+  other public JSON endpoints.
+  """
+  use PrikkeWeb, :controller
+
+  alias Prikke.StatusPages
+  alias Prikke.StatusPages.Summary
+  alias Prikke.StatusPages.SummaryCache
+
+  @cache_max_age 60
+
+  def show(conn, %{"slug" => slug}) do
+    conn = put_resp_header(conn, "access-control-allow-origin", "*")
+
+    case StatusPages.get_public_status_page(slug) do
+      nil ->
+        conn
+        |> put_resp_content_type("application/json")
+        |> send_resp(404, Jason.encode!(%{error: "Not found"}))
+
+      status_page ->
+        feed = feed(status_page, SummaryCache.fetch(status_page))
+        # Left out of the ETag so an unchanged status revalidates
+        etag = feed |> Map.delete(:updated_at) |> Jason.encode!() |> etag()
+
+        conn =
+          conn
+          |> put_resp_content_type("application/json")
+          |> put_resp_header("cache-control", "public, max-age=#{@cache_max_age}")
+          |> put_resp_header("etag", etag)
+
+        if etag_matches?(conn, etag) do
+          send_resp(conn, 304, "")
+        else
+          send_resp(conn, 200, Jason.encode!(feed))
+        end
+    end
+  end
+
+  defp feed(status_page, summary) do
+    components =
+      Enum.map(summary.tasks, fn {task, label, days, uptime} ->
+        component("task", task, task.name, label, uptime, Enum.map(days, &execution_day/1))
+      end) ++
+        Enum.map(summary.monitors, fn {monitor, label, days, uptime} ->
+          days = Enum.map(days, &monitor_day/1)
+          component("monitor", monitor, monitor.name, label, uptime, days)
+        end) ++
+        Enum.map(summary.endpoints, fn {endpoint, label} ->
+          component("endpoint", endpoint, endpoint.name, label, nil, [])
+        end) ++
+        Enum.map(summary.queues, fn {queue, label, days, uptime} ->
+          component("queue", queue, queue.name, label, uptime, Enum.map(days, &execution_day/1))
+        end)
+
+    %{
+      title: status_page.title,
+      description: status_page.description,
+      url: url(~p"/s/#{status_page.slug}"),
+      status: summary.overall,
+      label: Summary.overall_label(summary.overall),
+      updated_at: summary.updated_at,
+      components: components
+    }
+  end
+
+  defp etag(json) do
+    hash = :crypto.hash(:sha256, json) |> binary_part(0, 16) |> Base.encode16(case: :lower)
+    ~s("#{hash}")
+  end
+
+  # If-None-Match is a comma-separated list of tags, which caches and proxies
+  # may send weak (W/"...") or as "*"
+  defp etag_matches?(conn, etag) do
+    conn
+    |> get_req_header("if-none-match")
+    |> Enum.flat_map(&String.split(&1, ","))
+    |> Enum.map(&(&1 |> String.trim() |> String.replace_prefix("W/", "")))
+    |> Enum.any?(&(&1 in [etag, "*"]))
+  end
+
+  defp component(type, resource, name, label, uptime, days) do
+    %{
+      id: "#{type}-#{resource.id}",
+      type: type,
+      name: name,
+      status: label,
+      health: health(label),
+      uptime: uptime,
+      days: days
+    }
+  end
+
+  # Labels differ per resource type; health is what the widget colors by
+  defp health(label) when label in ["passing", "up"], do: "operational"
+  defp health(label) when label in ["timeout", "degraded"], do: "degraded"
+  defp health(label) when label in ["failing", "down"], do: "outage"
+  defp health(_label), do: "unknown"
+
+  defp execution_day({date, %{status: "success"}}), do: %{date: date, status: "up"}
+  defp execution_day({date, %{status: "failed"}}), do: %{date: date, status: "down"}
+  defp execution_day({date, _stats}), do: %{date: date, status: "none"}
+
+  defp monitor_day({date, %{status: status}}) when status in ["up", "degraded", "down"],
+    do: %{date: date, status: status}
+
+  defp monitor_day({date, _stats}), do: %{date: date, status: "none"}
+end
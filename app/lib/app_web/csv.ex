@@ -0,0 +1,34 @@
+defmodule PrikkeWeb.CSV do
+  @moduledoc """
+  CSV downloads for the dashboard's exports.
+  """
+
+  @doc """
+  Encodes `rows` (maps) as CSV with a header line of `columns`, in order.
+
+  Maps and lists are written as JSON.
+  """
+  def encode(rows, columns) do
+    lines =
+      for row <- rows do
+        Enum.map_join(columns, ",", &field(Map.fetch!(row, &1)))
+      end
+
+    Enum.join([Enum.join(columns, ",") | lines], "\r\n") <> "\r\n"
+  end
+
+  defp field(nil), do: ""
+  defp field(%DateTime{} = datetime), do: DateTime.to_iso8601(datetime)
+  defp field(value) when is_map(value) or is_list(value), do: field(Jason.encode!(value))
+
+  defp field(value) do
+    value = to_string(value)
+
+    # Keep spreadsheets from reading error messages as formulas
+    value = if String.starts_with?(value, ["=", "+", "-", "@"]), do: "'" <> value, else: value
+
+    if String.contains?(value, [",", "\"", "\n", "\r"]),
+      do: "\"" <> String.replace(value, "\"", "\"\"") <> "\"",
+      else: value
+  end
+end
@@ -0,0 +1,240 @@
+defmodule PrikkeWeb.CommandPaletteLive do
+  @moduledoc """
+  Global Cmd/Ctrl-K command palette.
+
+  Rendered once from the root layout as a sticky LiveView, so it survives live
+  navigation and is available on every authenticated page. The `CommandPalette`
+  hook in `app.js` loads the search index lazily the first time the palette is
+  opened and does the fuzzy matching in the browser. Actions that change state
+  (triggering a task, pausing a queue) are pushed back here as events.
+  """
+  use PrikkeWeb, :live_view
+
+  alias Prikke.Tasks
+  alias Prikke.Executions
+  alias Prikke.Monitors
+  alias Prikke.Endpoints
+  alias Prikke.Queues
+
+  on_mount {PrikkeWeb.UserAuth, :mount_current_user}
+
+  # Only the most recently active tasks are indexed to keep the payload small
+  @task_limit 100
+
+  @impl true
+  def mount(_params, session, socket) do
+    {:ok, assign(socket, :organization, get_organization(socket, session))}
+  end
+
+  @impl true
+  def handle_event("index", _params, %{assigns: %{organization: nil}} = socket) do
+    {:reply, %{items: []}, socket}
+  end
+
+  def handle_event("index", _params, socket) do
+    {:reply, %{items: build_index(socket.assigns.organization)}, socket}
+  end
+
+  def handle_event("trigger_task", %{"id" => id}, socket) do
+    with org when not is_nil(org) <- socket.assigns.organization,
+         task when not is_nil(task) <- Tasks.get_task(org, id),
+         scheduled_for = DateTime.utc_now() |> DateTime.truncate(:second),
+         {:ok, _execution} <- Executions.create_execution_for_task(task, scheduled_for) do
+      Tasks.notify_workers()
+      {:reply, %{ok: true, message: "\"#{task.name}\" queued for immediate execution"}, socket}
+    else
+      _ -> {:reply, %{ok: false, message: "Failed to queue task"}, socket}
+    end
+  end
+
+  def handle_event("pause_queue", %{"name" => name}, socket) do
+    case socket.assigns.organization && pause_queue(socket, name) do
+      {:ok, _queue} -> {:reply, %{ok: true, message: "Queue \"#{name}\" paused"}, socket}
+      _ -> {:reply, %{ok: false, message: "Failed to pause queue"}, socket}
+    end
+  end
+
+  def handle_event("resume_queue", %{"name" => name}, socket) do
+    # resume_queue/3 returns a bare :ok when the queue was never paused
+    case socket.assigns.organization && resume_queue(socket, name) do
+      {:ok, _queue} -> {:reply, %{ok: true, message: "Queue \"#{name}\" resumed"}, socket}
+      :ok -> {:reply, %{ok: true, message: "Queue \"#{name}\" resumed"}, socket}
+      _ -> {:reply, %{ok: false, message: "Failed to resume queue"}, socket}
+    end
+  end
+
+  defp pause_queue(socket, name) do
+    Queues.pause_queue(socket.assigns.organization, name, scope: socket.assigns.current_scope)
+  end
+
+  defp resume_queue(socket, name) do
+    Queues.resume_queue(socket.assigns.organization, name, scope: socket.assigns.current_scope)
+  end
+
+  defp build_index(org) do
+    tasks =
+      org
+      |> Tasks.list_tasks(limit: @task_limit)
+      |> Enum.map(fn task ->
+        %{
+          kind: "task",
+          id: task.id,
+          title: task.name,
+          subtitle: task.queue || task.url,
+          href: ~p"/tasks/#{task.id}",
+          actions: ["trigger_task"]
+        }
+      end)
+
+    monitors =
+      org
+      |> Monitors.list_monitors()
+      |> Enum.map(fn monitor ->
+        %{
+          kind: "monitor",
+          id: monitor.id,
+          title: monitor.name,
+          subtitle: monitor.status,
+          href: ~p"/monitors/#{monitor.id}",
+          actions: []
+        }
+      end)
+
+    endpoints =
+      org
+      |> Endpoints.list_endpoints()
+      |> Enum.map(fn endpoint ->
+        %{
+          kind: "endpoint",
+          id: endpoint.id,
+          title: endpoint.name,
+          subtitle: "/in/#{endpoint.slug}",
+          href: ~p"/endpoints/#{endpoint.id}",
+          actions: []
+        }
+      end)
+
+    queues =
+      org
+      |> Queues.list_queues_with_status()
+      |> Enum.map(fn {name, status} ->
+        %{
+          kind: "queue",
+          id: name,
+          title: name,
+          subtitle: if(status == :paused, do: "Paused", else: "Active"),
+          href: ~p"/queues/#{name}",
+          actions: if(status == :paused, do: ["resume_queue"], else: ["pause_queue"])
+        }
+      end)
+
+    tasks ++ monitors ++ endpoints ++ queues
+  end
+
+  defp get_organization(socket, session) do
+    user = socket.assigns.current_scope && socket.assigns.current_scope.user
+    org_id = session["current_organization_id"]
+
+    cond do
+      is_nil(user) ->
+        nil
+
+      org_id ->
+        Prikke.Accounts.get_organization_for_user(user, org_id)
+
+      true ->
+        case Prikke.Accounts.list_user_organizations(user) do
+          [org | _] -> org
+          [] -> nil
+        end
+    end
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div id="command-palette" phx-hook="CommandPalette">
+      <div
+        data-palette-dialog
+        class="hidden fixed inset-0 z-[60] bg-slate-900/30 backdrop-blur-sm flex items-start justify-center pt-[12vh] px-4"
+      >
+        <div
+          role="dialog"
+          aria-modal="true"
+          aria-label="Command palette"
+          class="w-full max-w-xl bg-white rounded-2xl shadow-2xl border border-slate-200 overflow-hidden"
+        >
+          <div class="flex items-center gap-2 px-4 border-b border-slate-100">
+            <.icon name="hero-magnifying-glass" class="w-5 h-5 text-slate-400" />
+            <input
+              type="text"
+              data-palette-input
+              placeholder="Search tasks, monitors, endpoints, queues…"
+              autocomplete="off"
+              spellcheck="false"
+              class="flex-1 py-3 text-sm text-slate-900 bg-transparent border-0 focus:outline-none focus:ring-0"
+            />
+            <kbd class="text-[10px] font-mono text-slate-400 border border-slate-200 rounded px-1.5 py-0.5">
+              esc
+            </kbd>
+          </div>
+          <ul
+            id="command-palette-results"
+            data-palette-results
+            phx-update="ignore"
+            role="listbox"
+            class="max-h-80 overflow-y-auto py-1"
+          >
+          </ul>
+          <div class="px-4 py-2 border-t border-slate-100 text-xs text-slate-400 flex gap-4">
+            <span><kbd class="font-mono">↑↓</kbd> navigate</span>
+            <span><kbd class="font-mono">↵</kbd> open</span>
+            <span><kbd class="font-mono">⇧↵</kbd> run action</span>
+            <span class="ml-auto"><kbd class="font-mono">?</kbd> shortcuts</span>
+          </div>
+        </div>
+      </div>
+      <div
+        data-palette-help
+        class="hidden fixed inset-0 z-[60] bg-slate-900/30 backdrop-blur-sm flex items-start justify-center pt-[12vh] px-4"
+      >
+        <div
+          role="dialog"
+          aria-modal="true"
+          aria-label="Keyboard shortcuts"
+          class="w-full max-w-sm bg-white rounded-2xl shadow-2xl border border-slate-200 p-6"
+        >
+          <h2 class="text-sm font-semibold text-slate-900 mb-4">Keyboard shortcuts</h2>
+          <dl class="grid grid-cols-[auto_1fr] gap-x-6 gap-y-2 text-sm">
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">⌘K</kbd></dt>
+            <dd class="text-slate-600">Command palette</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">/</kbd></dt>
+            <dd class="text-slate-600">Focus search</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g d</kbd></dt>
+            <dd class="text-slate-600">Go to dashboard</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g t</kbd></dt>
+            <dd class="text-slate-600">Go to tasks</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g f</kbd></dt>
+            <dd class="text-slate-600">Go to failures</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g e</kbd></dt>
+            <dd class="text-slate-600">Go to endpoints</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g m</kbd></dt>
+            <dd class="text-slate-600">Go to monitors</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">g q</kbd></dt>
+            <dd class="text-slate-600">Go to queues</dd>
+            <dt><kbd class="font-mono text-xs bg-slate-100 rounded px-1.5 py-0.5">?</kbd></dt>
+            <dd class="text-slate-600">Show this help</dd>
+          </dl>
+        </div>
+      </div>
+      <div
+        data-palette-toast
+        role="status"
+        aria-live="polite"
+        class="hidden fixed bottom-4 right-4 z-[60] px-4 py-2 text-sm text-white bg-slate-900 rounded-lg shadow-lg"
+      >
+      </div>
+    </div>
+    """
+  end
+end
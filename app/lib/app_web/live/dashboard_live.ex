@@ -1,6 +1,8 @@
 defmodule PrikkeWeb.DashboardLive do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.TrendChart, only: [trend_chart: 1]
+
   alias Prikke.Accounts
   alias Prikke.Tasks
   alias Prikke.Executions
@@ -8,6 +10,7 @@ defmodule PrikkeWeb.DashboardLive do
   alias Prikke.Endpoints
   alias Prikke.StatusPages
   alias Prikke.Cron
+  alias PrikkeWeb.TrendChart
 
   @impl true
   def mount(_params, session, socket) do
@@ -119,6 +122,18 @@ defmodule PrikkeWeb.DashboardLive do
     {:noreply, assign(socket, :endpoints, load_endpoints(socket.assigns.current_organization))}
   end
 
+  def handle_info({:inbound_event_received, _event}, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("execution_trend_zoom", params, socket) do
+    with org when not is_nil(org) <- socket.assigns.current_organization,
+         {:ok, from, to} <- TrendChart.zoom_window(params) do
+      {:reply, %{buckets: Executions.execution_trend(org, from, to, :hour)}, socket}
+    else
+      _ -> {:reply, %{buckets: []}, socket}
+    end
+  end
+
   defp reload_data(socket, org) do
     recent_tasks = load_recent_tasks(org)
     task_ids = Enum.map(recent_tasks, & &1.id)
@@ -307,7 +322,13 @@ defmodule PrikkeWeb.DashboardLive do
             </div>
           <% else %>
             <!-- Execution Trend -->
-            <.execution_trend trend={@stats.execution_trend} days={@stats.trend_days} />
+            <.trend_chart
+              id="execution-trend"
+              title={"#{@stats.trend_days}-day trend"}
+              buckets={@stats.execution_trend}
+              zoom_event="execution_trend_zoom"
+              failures_href={~p"/failures"}
+            />
             <!-- Task List -->
             <div class="divide-y divide-white/30">
               <%= for task <- @recent_tasks do %>
@@ -437,7 +458,14 @@ defmodule PrikkeWeb.DashboardLive do
               </.link>
             </div>
             <!-- Monitor Uptime Trend -->
-            <.monitor_trend trend={@monitor_trend} />
+            <%= if @monitor_trend != [] do %>
+              <.trend_chart
+                id="monitor-trend"
+                kind="monitors"
+                title={"#{length(@monitor_trend)}-day uptime"}
+                buckets={@monitor_trend}
+              />
+            <% end %>
             <!-- Monitor List -->
             <div class="divide-y divide-white/30">
               <%= for monitor <- @monitors do %>
@@ -544,10 +572,7 @@ defmodule PrikkeWeb.DashboardLive do
       monthly_executions: 0,
       monthly_limit: 0,
       trend_days: 7,
-      execution_trend:
-        Enum.map(0..6, fn offset ->
-          {Date.add(Date.utc_today(), -6 + offset), %{total: 0, success: 0, failed: 0}}
-        end)
+      execution_trend: []
     }
 
   defp load_stats(organization) do
@@ -575,10 +600,23 @@ defmodule PrikkeWeb.DashboardLive do
       monthly_executions: monthly_executions,
       monthly_limit: tier_limits.max_monthly_executions,
       trend_days: trend_days,
-      execution_trend: Executions.executions_by_day_for_org(organization, trend_days)
+      execution_trend: load_execution_trend(organization, trend_days)
     }
   end
 
+  # Day buckets covering today and the `days - 1` days before it (UTC)
+  defp trend_window(days) do
+    today = Date.utc_today()
+
+    {DateTime.new!(Date.add(today, 1 - days), ~T[00:00:00], "Etc/UTC"),
+     DateTime.new!(Date.add(today, 1), ~T[00:00:00], "Etc/UTC")}
+  end
+
+  defp load_execution_trend(organization, days) do
+    {from, to} = trend_window(days)
+    Executions.execution_trend(organization, from, to, :day)
+  end
+
   defp format_avg_duration(nil), do: "—"
 
   defp format_avg_duration(avg) do
@@ -731,116 +769,6 @@ defmodule PrikkeWeb.DashboardLive do
     """
   end
 
-  defp execution_trend(assigns) do
-    max_val =
-      Enum.max_by(assigns.trend, fn {_, s} -> s.total end)
-      |> elem(1)
-      |> Map.get(:total)
-      |> max(1)
-
-    assigns = assign(assigns, :max_val, max_val)
-
-    ~H"""
-    <div class="px-6 py-4 border-b border-white/30">
-      <div class="text-xs font-medium text-slate-500 mb-2">{@days}-day trend</div>
-      <div class="h-16 flex items-end gap-px">
-        <%= for {{date, stats}, idx} <- Enum.with_index(@trend) do %>
-          <% height = if stats.total > 0, do: max(round(stats.total / @max_val * 100), 6), else: 0 %>
-          <% bar_color = trend_bar_color(stats) %>
-          <div
-            class="flex-1 flex flex-col justify-end h-full bar-anchor"
-            style={"anchor-name: --task-#{idx}"}
-          >
-            <%= if stats.total > 0 do %>
-              <div class={["rounded-t-sm", bar_color]} style={"height: #{height}%"} />
-            <% else %>
-              <div class="bg-slate-100 h-1 rounded-sm" />
-            <% end %>
-            <div
-              class="bar-tooltip px-2 py-1 bg-slate-800 text-white text-xs rounded whitespace-nowrap z-10"
-              style={"position-anchor: --task-#{idx}"}
-            >
-              <div class="font-medium">{Calendar.strftime(date, "%b %d")}</div>
-              <div>{stats.total} total</div>
-              <%= if stats.failed > 0 do %>
-                <div class="text-red-400">{stats.failed} failed</div>
-              <% end %>
-            </div>
-          </div>
-        <% end %>
-      </div>
-    </div>
-    """
-  end
-
-  defp trend_bar_color(%{total: 0}), do: "bg-slate-100"
-  defp trend_bar_color(%{failed: 0}), do: "bg-emerald-500"
-  defp trend_bar_color(%{failed: f, total: t}) when f > t / 2, do: "bg-red-400"
-  defp trend_bar_color(_), do: "bg-amber-400"
-
-  defp monitor_trend(%{trend: []} = assigns) do
-    ~H""
-  end
-
-  defp monitor_trend(assigns) do
-    ~H"""
-    <div class="px-6 py-4 border-b border-white/30">
-      <div class="text-xs font-medium text-slate-500 mb-2">{length(@trend)}-day uptime</div>
-      <div class="h-16 flex items-end gap-px">
-        <%= for {{date, stats}, idx} <- Enum.with_index(@trend) do %>
-          <div
-            class="flex-1 flex flex-col justify-end h-full bar-anchor"
-            style={"anchor-name: --monitor-#{idx}"}
-          >
-            <%= if stats.total > 0 do %>
-              <div class="flex flex-col h-full">
-                <%= if stats.down > 0 do %>
-                  <div
-                    class="bg-red-400 rounded-t-sm"
-                    style={"height: #{round(stats.down / stats.total * 100)}%"}
-                  />
-                <% end %>
-                <%= if stats.degraded > 0 do %>
-                  <div
-                    class={["bg-amber-400", if(stats.down == 0, do: "rounded-t-sm", else: "")]}
-                    style={"height: #{round(stats.degraded / stats.total * 100)}%"}
-                  />
-                <% end %>
-                <%= if stats.up > 0 do %>
-                  <div class={[
-                    "bg-emerald-500 flex-1",
-                    if(stats.down == 0 && stats.degraded == 0, do: "rounded-t-sm", else: "")
-                  ]} />
-                <% end %>
-              </div>
-            <% else %>
-              <div class="bg-slate-100 h-1 rounded-sm" />
-            <% end %>
-            <div
-              class="bar-tooltip px-2 py-1 bg-slate-800 text-white text-xs rounded whitespace-nowrap z-10"
-              style={"position-anchor: --monitor-#{idx}"}
-            >
-              <div class="font-medium">{Calendar.strftime(date, "%b %d")}</div>
-              <%= if stats.up > 0 do %>
-                <div class="text-emerald-400">{stats.up} up</div>
-              <% end %>
-              <%= if stats.degraded > 0 do %>
-                <div class="text-amber-400">{stats.degraded} degraded</div>
-              <% end %>
-              <%= if stats.down > 0 do %>
-                <div class="text-red-400">{stats.down} down</div>
-              <% end %>
-              <%= if stats.total == 0 do %>
-                <div>No data</div>
-              <% end %>
-            </div>
-          </div>
-        <% end %>
-      </div>
-    </div>
-    """
-  end
-
   defp task_summary(assigns) do
     ~H"""
     <div class="flex items-center gap-2 text-xs">
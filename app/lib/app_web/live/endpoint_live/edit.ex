@@ -1,6 +1,9 @@
 defmodule PrikkeWeb.EndpointLive.Edit do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.RequestEditors, only: [headers_editor: 1, body_editor: 1]
+  import PrikkeWeb.FilterBuilder, only: [filter_builder: 1]
+
   alias Prikke.Endpoints
 
   @impl true
@@ -24,6 +27,8 @@ defmodule PrikkeWeb.EndpointLive.Edit do
        |> assign(:endpoint, endpoint)
        |> assign(:page_title, "Edit #{endpoint.name}")
        |> assign(:forward_headers_json, forward_headers_json)
+       |> assign(:filter_json, if(endpoint.filter, do: Jason.encode!(endpoint.filter), else: ""))
+       |> assign(:recent_events, Endpoints.list_inbound_events(endpoint, limit: 50))
        |> assign(:failure_notification_mode, notification_mode(endpoint.on_failure_url))
        |> assign(:recovery_notification_mode, notification_mode(endpoint.on_recovery_url))
        |> assign_form(changeset)}
@@ -38,6 +43,7 @@ defmodule PrikkeWeb.EndpointLive.Edit do
   @impl true
   def handle_event("validate", %{"endpoint" => params}, socket) do
     {params, forward_headers_json} = parse_forward_headers_json(params)
+    params = parse_filter_json(params)
     params = normalize_forward_urls(params)
     {params, failure_mode, recovery_mode} = cast_notification_overrides(params, socket)
 
@@ -56,6 +62,7 @@ defmodule PrikkeWeb.EndpointLive.Edit do
 
   def handle_event("save", %{"endpoint" => params}, socket) do
     {params, forward_headers_json} = parse_forward_headers_json(params)
+    params = parse_filter_json(params)
     params = normalize_forward_urls(params)
     {params, _, _} = cast_notification_overrides(params, socket)
     org = socket.assigns.organization
@@ -121,6 +128,34 @@ defmodule PrikkeWeb.EndpointLive.Edit do
     end
   end
 
+  # Invalid JSON is passed on as is, so the changeset rejects it
+  defp parse_filter_json(params) do
+    case Map.pop(params, "filter_json") do
+      {nil, params} ->
+        params
+
+      {json, params} ->
+        case String.trim(json) do
+          "" ->
+            Map.put(params, "filter", nil)
+
+          trimmed ->
+            case Jason.decode(trimmed) do
+              {:ok, filter} -> Map.put(params, "filter", filter)
+              {:error, _} -> Map.put(params, "filter", json)
+            end
+        end
+    end
+  end
+
+  defp filter_errors(form) do
+    if form.source.action do
+      form.errors |> Keyword.get_values(:filter) |> Enum.map(&translate_error/1)
+    else
+      []
+    end
+  end
+
   defp cast_notification_overrides(params, socket) do
     failure_mode = Map.get(params, "failure_notification_mode", socket.assigns.failure_notification_mode)
     recovery_mode = Map.get(params, "recovery_notification_mode", socket.assigns.recovery_notification_mode)
@@ -283,6 +318,22 @@ defmodule PrikkeWeb.EndpointLive.Edit do
             When enabled, events are forwarded one at a time. Disable for parallel forwarding when order doesn't matter.
           </p>
 
+          <div class="pt-4 border-t border-slate-100 mt-4">
+            <h3 class="text-sm font-semibold text-slate-900 mb-3">Filter</h3>
+            <p class="text-sm text-slate-500 mb-4">
+              Only forward events that match these conditions on headers or the JSON body.
+              Events that don't match are still stored, marked as filtered.
+            </p>
+            <.filter_builder
+              id="endpoint-filter-builder"
+              name="endpoint[filter_json]"
+              input_id="endpoint_filter_json"
+              value={@filter_json}
+              events={@recent_events}
+              errors={filter_errors(@form)}
+            />
+          </div>
+
           <div class="pt-4 border-t border-slate-100 mt-4">
             <h3 class="text-sm font-semibold text-slate-900 mb-3">Custom Forwarding</h3>
             <p class="text-sm text-slate-500 mb-4">
@@ -323,26 +374,36 @@ defmodule PrikkeWeb.EndpointLive.Edit do
               </div>
 
               <div>
-                <label class="block text-sm font-medium text-slate-700 mb-1">
-                  Custom Headers (JSON)
+                <label
+                  for="endpoint_forward_headers_json"
+                  class="block text-sm font-medium text-slate-700 mb-1"
+                >
+                  Custom Headers
                 </label>
-                <textarea
+                <.headers_editor
+                  id="endpoint-headers-editor"
                   name="endpoint[forward_headers_json]"
-                  id="endpoint_forward_headers_json"
-                  rows="3"
-                  placeholder={~s({"Authorization": "Bearer ..."})}
-                  class="w-full px-4 py-2.5 border border-slate-300 rounded-md text-slate-900 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
-                >{if @forward_headers_json && @forward_headers_json != "", do: @forward_headers_json, else: ""}</textarea>
+                  input_id="endpoint_forward_headers_json"
+                  value={@forward_headers_json}
+                />
                 <p class="text-xs text-slate-500 mt-1">
                   These headers are merged with the original webhook headers. Custom headers override originals.
                 </p>
               </div>
 
               <div>
-                <.input
+                <label
+                  for="endpoint_forward_body"
+                  class="block text-sm font-medium text-slate-700 mb-1"
+                >
+                  Custom Body
+                </label>
+                <.body_editor
+                  id="endpoint-body-editor"
                   field={@form[:forward_body]}
-                  type="textarea"
-                  label="Custom Body"
+                  headers_input="endpoint_forward_headers_json"
+                  require_content_type={false}
+                  rows="6"
                   placeholder="Leave empty to forward original body"
                 />
                 <p class="text-xs text-slate-500 mt-1">
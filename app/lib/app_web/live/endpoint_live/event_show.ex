@@ -1,10 +1,17 @@
 defmodule PrikkeWeb.EndpointLive.EventShow do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.PayloadViewer, only: [payload_viewer: 1]
+  import PrikkeWeb.PayloadDiff, only: [payload_diff: 1]
+  import PrikkeWeb.SignatureVerifier, only: [signature_verifier: 1]
+  import PrikkeWeb.RequestEditors, only: [headers_editor: 1, body_editor: 1]
+
   alias Prikke.Endpoints
+  alias PrikkeWeb.PayloadDiff
+  alias PrikkeWeb.SignatureVerifier
 
   @impl true
-  def mount(%{"endpoint_id" => endpoint_id, "event_id" => event_id}, session, socket) do
+  def mount(%{"endpoint_id" => endpoint_id, "event_id" => event_id} = params, session, socket) do
     org = get_organization(socket, session)
 
     if org do
@@ -30,6 +37,9 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
              |> assign(:organization, org)
              |> assign(:endpoint, endpoint)
              |> assign(:event, event)
+             |> assign(:compare, load_compare(endpoint, event, params["compare"]))
+             |> assign(:delivery, SignatureVerifier.delivery(event, org))
+             |> assign(:replay_form, nil)
              |> assign(:page_title, "Event Details")}
           rescue
             Ecto.NoResultsError ->
@@ -49,10 +59,46 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
 
   @impl true
   def handle_event("replay", _params, socket) do
-    endpoint = socket.assigns.endpoint
-    event = socket.assigns.event
+    replay(socket, %{})
+  end
+
+  def handle_event("edit_replay", _params, socket) do
+    form = if socket.assigns.replay_form, do: nil, else: replay_form(socket.assigns.event)
+    {:noreply, assign(socket, :replay_form, form)}
+  end
+
+  def handle_event("change_replay", %{"replay" => params}, socket) do
+    {:noreply, assign(socket, :replay_form, to_form(params, as: :replay))}
+  end
+
+  def handle_event("replay_edited", %{"replay" => params}, socket) do
+    headers_json = if params["headers"] in [nil, ""], do: "{}", else: params["headers"]
+
+    case {Jason.decode(headers_json), replay_url(params)} do
+      {_headers, :blank} ->
+        form = to_form(params, as: :replay, errors: [other_url: {"can't be blank", []}])
+        {:noreply, assign(socket, :replay_form, form)}
 
-    case Endpoints.replay_event(endpoint, event) do
+      {{:ok, headers}, url} when is_map(headers) ->
+        replay(socket, %{"url" => url, "headers" => headers, "body" => params["body"]})
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "Headers must be a JSON object")}
+    end
+  end
+
+  # "" picks every destination; "Other URL…" needs a URL typed in
+  defp replay_url(%{"url" => "other"} = params) do
+    if String.trim(params["other_url"] || "") == "", do: :blank, else: params["other_url"]
+  end
+
+  defp replay_url(%{"url" => url}) when url not in [nil, ""], do: url
+  defp replay_url(_params), do: nil
+
+  defp replay(socket, overrides) do
+    %{endpoint: endpoint, event: event, current_scope: scope} = socket.assigns
+
+    case Endpoints.replay_event(endpoint, event, overrides, scope: scope) do
       {:ok, _executions} ->
         # Re-fetch event to get updated tasks
         event = Endpoints.get_inbound_event!(endpoint, event.id)
@@ -60,6 +106,7 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
         {:noreply,
          socket
          |> assign(:event, event)
+         |> assign(:replay_form, nil)
          |> put_flash(:info, "Event replayed")}
 
       {:error, :no_tasks} ->
@@ -67,9 +114,35 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
 
       {:error, :task_deleted} ->
         {:noreply, put_flash(socket, :error, "Cannot replay: linked tasks have been deleted")}
+
+      {:error, :blank_url} ->
+        {:noreply, put_flash(socket, :error, "Cannot replay: URL can't be blank")}
+
+      {:error, %Ecto.Changeset{} = changeset} ->
+        message =
+          changeset
+          |> Ecto.Changeset.traverse_errors(fn {msg, _opts} -> msg end)
+          |> Enum.map_join(", ", fn {field, msgs} -> "#{field} #{Enum.join(msgs, ", ")}" end)
+
+        {:noreply, put_flash(socket, :error, "Cannot replay: #{message}")}
     end
   end
 
+  # The editor starts from what the first destination was sent
+  defp replay_form(event) do
+    task = hd(event.tasks)
+
+    to_form(
+      %{
+        "url" => "",
+        "other_url" => "",
+        "headers" => Jason.encode!(task.headers || %{}, pretty: true),
+        "body" => task.body || ""
+      },
+      as: :replay
+    )
+  end
+
   @impl true
   def handle_info({:endpoint_updated, endpoint}, socket) do
     if endpoint.id == socket.assigns.endpoint.id do
@@ -106,24 +179,204 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
     end
   end
 
-  defp format_body(nil), do: nil
-  defp format_body(""), do: nil
+  # ?compare=<id> puts another event of the same endpoint side by side,
+  # older one on the left
+  defp load_compare(_endpoint, _event, nil), do: nil
 
-  defp format_body(body) when is_binary(body) do
-    case Jason.decode(body) do
-      {:ok, decoded} -> Jason.encode!(decoded, pretty: true)
-      {:error, _} -> body
+  defp load_compare(endpoint, event, compare_id) do
+    case Ecto.UUID.cast(compare_id) do
+      {:ok, compare_id} ->
+        other = Endpoints.get_inbound_event!(endpoint, compare_id)
+        Enum.sort_by([event, other], & &1.received_at, DateTime)
+
+      :error ->
+        nil
     end
+  rescue
+    Ecto.NoResultsError -> nil
   end
 
-  defp json?(nil), do: false
-  defp json?(""), do: false
+  defp compare_label(event) do
+    "#{event.method} · #{Calendar.strftime(event.received_at, "%b %-d, %H:%M:%S UTC")}"
+  end
 
-  defp json?(body) when is_binary(body) do
-    case Jason.decode(body) do
-      {:ok, _} -> true
-      {:error, _} -> false
-    end
+  defp compare_panel(assigns) do
+    [left, right] = assigns.compare
+    assigns = assign(assigns, left: left, right: right)
+
+    ~H"""
+    <div id="event-compare" class="glass-card rounded-2xl p-6 mb-6">
+      <div class="flex items-center justify-between gap-3 mb-4">
+        <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider">
+          Comparing events
+        </h2>
+        <.link
+          navigate={~p"/endpoints/#{@endpoint.id}/events/#{@event.id}"}
+          class="text-sm text-slate-500 hover:text-slate-700"
+        >
+          Stop comparing
+        </.link>
+      </div>
+      <.payload_diff
+        id="event-diff"
+        left_label={compare_label(@left)}
+        right_label={compare_label(@right)}
+        left={PayloadDiff.event_sections(@left)}
+        right={PayloadDiff.event_sections(@right)}
+      />
+    </div>
+    """
+  end
+
+  attr :form, Phoenix.HTML.Form, required: true
+  attr :tasks, :list, required: true
+
+  defp replay_editor(assigns) do
+    assigns = assign(assigns, :urls, assigns.tasks |> Enum.map(& &1.url) |> Enum.uniq())
+
+    ~H"""
+    <div id="replay-editor" class="glass-card rounded-2xl p-6 mb-6">
+      <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-1">
+        Edit & replay
+      </h2>
+      <p class="text-sm text-slate-500 mb-4">
+        Sends a copy of this event with your changes. The original stays as it was received,
+        and the edited replay is listed under Forwarding.
+      </p>
+      <.form for={@form} id="replay-form" phx-change="change_replay" phx-submit="replay_edited">
+        <div class="space-y-4">
+          <div>
+            <label for={@form[:url].id} class="block text-sm font-medium text-slate-700 mb-1">
+              Send to
+            </label>
+            <select
+              id={@form[:url].id}
+              name={@form[:url].name}
+              class="w-full px-4 py-2.5 bg-white/70 border border-white/50 rounded-md text-sm text-slate-900 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+            >
+              <option value="" selected={@form[:url].value in [nil, ""]}>
+                {if length(@urls) > 1, do: "All #{length(@urls)} destinations", else: hd(@urls)}
+              </option>
+              <option
+                :for={url <- if(length(@urls) > 1, do: @urls, else: [])}
+                value={url}
+                selected={@form[:url].value == url}
+              >
+                {url}
+              </option>
+              <option value="other" selected={@form[:url].value == "other"}>Other URL…</option>
+            </select>
+            <input
+              :if={@form[:url].value == "other"}
+              type="url"
+              id={@form[:other_url].id}
+              name={@form[:other_url].name}
+              value={@form[:other_url].value}
+              placeholder="https://staging.example.com/webhooks"
+              class="mt-2 w-full px-4 py-2.5 bg-white/70 border border-white/50 rounded-md text-sm text-slate-900 placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-emerald-600"
+            />
+            <p
+              :for={msg <- Enum.map(@form[:other_url].errors, &translate_error/1)}
+              class="mt-1 text-sm text-red-600"
+            >
+              {msg}
+            </p>
+          </div>
+          <div>
+            <label class="block text-sm font-medium text-slate-700 mb-1">Headers</label>
+            <.headers_editor id="replay-headers-editor" field={@form[:headers]} />
+          </div>
+          <div>
+            <label class="block text-sm font-medium text-slate-700 mb-1">Body</label>
+            <.body_editor
+              id="replay-body-editor"
+              field={@form[:body]}
+              headers_input={@form[:headers].id}
+            />
+          </div>
+          <div class="flex items-center justify-end gap-3">
+            <button
+              type="button"
+              phx-click="edit_replay"
+              class="px-4 py-2 text-sm font-medium text-slate-600 hover:text-slate-800"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              class="px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-md hover:bg-emerald-700 transition-colors flex items-center gap-2"
+            >
+              <.icon name="hero-paper-airplane" class="w-4 h-4" /> Send replay
+            </button>
+          </div>
+        </div>
+      </.form>
+    </div>
+    """
+  end
+
+  attr :task, :map, required: true
+  attr :edited, :boolean, default: false
+
+  defp forward_task(assigns) do
+    ~H"""
+    <div class="border border-slate-100 rounded-lg p-4">
+      <div class="flex items-start justify-between gap-3 mb-3">
+        <div class="text-xs text-slate-500 font-mono break-all">{@task.url}</div>
+        <span :if={@edited} class="text-xs text-slate-400 shrink-0">
+          <.local_time id={"replay-#{@task.id}"} datetime={@task.inserted_at} />
+        </span>
+      </div>
+      <%= if Map.get(@task, :latest_execution) do %>
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-3">
+          <div>
+            <span class="text-xs text-slate-500 uppercase">Status</span>
+            <div class="mt-1">
+              <span class={[
+                "text-xs font-medium px-2 py-0.5 rounded",
+                execution_status_badge(@task.latest_execution.status)
+              ]}>
+                {@task.latest_execution.status}
+              </span>
+            </div>
+          </div>
+          <%= if @task.latest_execution.status_code do %>
+            <div>
+              <span class="text-xs text-slate-500 uppercase">Status Code</span>
+              <p class={[
+                "text-lg font-mono font-bold mt-0.5",
+                status_code_color(@task.latest_execution.status_code)
+              ]}>
+                {@task.latest_execution.status_code}
+              </p>
+            </div>
+          <% end %>
+          <div>
+            <span class="text-xs text-slate-500 uppercase">Duration</span>
+            <p class="text-sm font-medium text-slate-900 mt-0.5">
+              {format_duration(@task.latest_execution.duration_ms)}
+            </p>
+          </div>
+        </div>
+        <div class="flex items-center gap-3">
+          <.link
+            navigate={~p"/tasks/#{@task.id}"}
+            class="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center gap-1"
+          >
+            <.icon name="hero-arrow-top-right-on-square" class="w-4 h-4" /> View Task
+          </.link>
+          <.link
+            navigate={~p"/tasks/#{@task.id}/executions/#{@task.latest_execution.id}"}
+            class="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center gap-1"
+          >
+            <.icon name="hero-arrow-top-right-on-square" class="w-4 h-4" /> View Execution
+          </.link>
+        </div>
+      <% else %>
+        <p class="text-sm text-slate-400 italic">Execution pending</p>
+      <% end %>
+    </div>
+    """
   end
 
   defp execution_status_badge("success"), do: "bg-emerald-100 text-emerald-700"
@@ -131,6 +384,7 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
   defp execution_status_badge("timeout"), do: "bg-amber-100 text-amber-700"
   defp execution_status_badge("running"), do: "bg-blue-100 text-blue-700"
   defp execution_status_badge("pending"), do: "bg-slate-100 text-slate-600"
+  defp execution_status_badge("filtered"), do: "bg-purple-100 text-purple-700"
   defp execution_status_badge(_), do: "bg-slate-100 text-slate-600"
 
   defp status_code_color(code) when code >= 200 and code < 300, do: "text-emerald-600"
@@ -169,15 +423,29 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
             Received <.local_time id="event-received" datetime={@event.received_at} format="full" />
           </p>
         </div>
-        <button
-          type="button"
-          phx-click="replay"
-          class="px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-md hover:bg-emerald-700 transition-colors flex items-center gap-2"
-        >
-          <.icon name="hero-arrow-path" class="w-4 h-4" /> Replay
-        </button>
+        <div class="flex items-center gap-2">
+          <button
+            :if={@event.tasks != []}
+            type="button"
+            phx-click="edit_replay"
+            class="px-4 py-2 bg-white text-slate-700 text-sm font-medium rounded-md border border-slate-200 hover:bg-slate-50 transition-colors flex items-center gap-2"
+          >
+            <.icon name="hero-pencil-square" class="w-4 h-4" /> Edit & replay
+          </button>
+          <button
+            type="button"
+            phx-click="replay"
+            class="px-4 py-2 bg-emerald-600 text-white text-sm font-medium rounded-md hover:bg-emerald-700 transition-colors flex items-center gap-2"
+          >
+            <.icon name="hero-arrow-path" class="w-4 h-4" /> Replay
+          </button>
+        </div>
       </div>
 
+      <.replay_editor :if={@replay_form} form={@replay_form} tasks={@event.tasks} />
+
+      <.compare_panel :if={@compare} endpoint={@endpoint} event={@event} compare={@compare} />
+
       <%!-- Request Details --%>
       <div class="glass-card rounded-2xl p-6 mb-6">
         <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-4">
@@ -215,16 +483,13 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
 
           <%= if @event.body && @event.body != "" do %>
             <div>
-              <span class="text-xs text-slate-500 uppercase">
-                Body
-                <%= if json?(@event.body) do %>
-                  <span class="text-slate-400 normal-case ml-1">(JSON)</span>
-                <% end %>
-              </span>
-              <pre
-                class="text-xs bg-slate-50 p-3 rounded-lg mt-1 overflow-x-auto whitespace-pre-wrap max-h-96 overflow-y-auto font-mono"
-                phx-no-curly-interpolation
-              ><%= format_body(@event.body) %></pre>
+              <span class="text-xs text-slate-500 uppercase">Body</span>
+              <.payload_viewer
+                id="event-body"
+                body={@event.body}
+                content_type={PrikkeWeb.PayloadViewer.content_type(@event.headers)}
+                filename={"event-#{@event.id}"}
+              />
             </div>
           <% else %>
             <div>
@@ -246,66 +511,58 @@ defmodule PrikkeWeb.EndpointLive.EventShow do
           <% end %>
         </h2>
         <%= cond do %>
+          <% @event.filtered -> %>
+            <p class="text-sm text-slate-500">
+              <span class={[
+                "text-xs font-medium px-2 py-0.5 rounded mr-1",
+                execution_status_badge("filtered")
+              ]}>
+                filtered
+              </span>
+              Not forwarded: the event didn't match the endpoint's filter when it arrived.
+            </p>
           <% Map.get(@event, :tasks, []) == [] -> %>
             <p class="text-sm text-slate-400 italic">No forwarding data available</p>
           <% true -> %>
             <div class="space-y-4">
-              <%= for task <- @event.tasks do %>
-                <div class="border border-slate-100 rounded-lg p-4">
-                  <div class="text-xs text-slate-500 font-mono mb-3 break-all">{task.url}</div>
-                  <%= if Map.get(task, :latest_execution) do %>
-                    <div class="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-3">
-                      <div>
-                        <span class="text-xs text-slate-500 uppercase">Status</span>
-                        <div class="mt-1">
-                          <span class={[
-                            "text-xs font-medium px-2 py-0.5 rounded",
-                            execution_status_badge(task.latest_execution.status)
-                          ]}>
-                            {task.latest_execution.status}
-                          </span>
-                        </div>
-                      </div>
-                      <%= if task.latest_execution.status_code do %>
-                        <div>
-                          <span class="text-xs text-slate-500 uppercase">Status Code</span>
-                          <p class={[
-                            "text-lg font-mono font-bold mt-0.5",
-                            status_code_color(task.latest_execution.status_code)
-                          ]}>
-                            {task.latest_execution.status_code}
-                          </p>
-                        </div>
-                      <% end %>
-                      <div>
-                        <span class="text-xs text-slate-500 uppercase">Duration</span>
-                        <p class="text-sm font-medium text-slate-900 mt-0.5">
-                          {format_duration(task.latest_execution.duration_ms)}
-                        </p>
-                      </div>
-                    </div>
-                    <div class="flex items-center gap-3">
-                      <.link
-                        navigate={~p"/tasks/#{task.id}"}
-                        class="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center gap-1"
-                      >
-                        <.icon name="hero-arrow-top-right-on-square" class="w-4 h-4" /> View Task
-                      </.link>
-                      <.link
-                        navigate={~p"/tasks/#{task.id}/executions/#{task.latest_execution.id}"}
-                        class="text-sm text-emerald-600 hover:text-emerald-700 font-medium flex items-center gap-1"
-                      >
-                        <.icon name="hero-arrow-top-right-on-square" class="w-4 h-4" /> View Execution
-                      </.link>
-                    </div>
-                  <% else %>
-                    <p class="text-sm text-slate-400 italic">Execution pending</p>
-                  <% end %>
-                </div>
-              <% end %>
+              <.forward_task :for={task <- @event.tasks} task={task} />
             </div>
         <% end %>
+        <%= if @event.replays != [] do %>
+          <h3 class="text-xs font-medium text-slate-500 uppercase tracking-wider mt-6 mb-3">
+            Edited replays
+          </h3>
+          <div class="space-y-4">
+            <.forward_task
+              :for={task <- Enum.sort_by(@event.replays, & &1.inserted_at, {:desc, DateTime})}
+              task={task}
+              edited
+            />
+          </div>
+        <% end %>
       </div>
+
+      <%!-- Signature Verifier --%>
+      <details
+        id="event-signature"
+        phx-mounted={JS.ignore_attributes(["open"])}
+        class="glass-card rounded-2xl p-6 mt-6 group"
+      >
+        <summary class="text-sm font-medium text-slate-500 uppercase tracking-wider cursor-pointer list-none flex items-center gap-2">
+          <.icon name="hero-chevron-right" class="w-4 h-4 group-open:rotate-90 transition-transform" />
+          Verify signature
+        </summary>
+        <p class="text-sm text-slate-500 mt-3 mb-4">
+          Prefilled with the request Runlater sent for this event, signed with the current
+          webhook secret. Paste what your server received instead to find where its check differs.
+        </p>
+        <.signature_verifier
+          id="event-signature-verifier"
+          body={@delivery.body}
+          headers={@delivery.headers}
+          secret={@organization.webhook_secret}
+        />
+      </details>
     </Layouts.app>
     """
   end
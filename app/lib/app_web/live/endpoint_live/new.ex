@@ -1,6 +1,8 @@
 defmodule PrikkeWeb.EndpointLive.New do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.RequestEditors, only: [headers_editor: 1, body_editor: 1]
+
   alias Prikke.Endpoints
   alias Prikke.Endpoints.Endpoint
 
@@ -321,26 +323,36 @@ defmodule PrikkeWeb.EndpointLive.New do
               </div>
 
               <div>
-                <label class="block text-sm font-medium text-slate-700 mb-1">
-                  Custom Headers (JSON)
+                <label
+                  for="endpoint_forward_headers_json"
+                  class="block text-sm font-medium text-slate-700 mb-1"
+                >
+                  Custom Headers
                 </label>
-                <textarea
+                <.headers_editor
+                  id="endpoint-headers-editor"
                   name="endpoint[forward_headers_json]"
-                  id="endpoint_forward_headers_json"
-                  rows="3"
-                  placeholder={~s({"Authorization": "Bearer ..."})}
-                  class="w-full px-4 py-2.5 border border-slate-300 rounded-md text-slate-900 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
-                >{if @forward_headers_json && @forward_headers_json != "", do: @forward_headers_json, else: ""}</textarea>
+                  input_id="endpoint_forward_headers_json"
+                  value={@forward_headers_json}
+                />
                 <p class="text-xs text-slate-500 mt-1">
                   These headers are merged with the original webhook headers. Custom headers override originals.
                 </p>
               </div>
 
               <div>
-                <.input
+                <label
+                  for="endpoint_forward_body"
+                  class="block text-sm font-medium text-slate-700 mb-1"
+                >
+                  Custom Body
+                </label>
+                <.body_editor
+                  id="endpoint-body-editor"
                   field={@form[:forward_body]}
-                  type="textarea"
-                  label="Custom Body"
+                  headers_input="endpoint_forward_headers_json"
+                  require_content_type={false}
+                  rows="6"
                   placeholder="Leave empty to forward original body"
                 />
                 <p class="text-xs text-slate-500 mt-1">
@@ -1,12 +1,20 @@
 defmodule PrikkeWeb.EndpointLive.Show do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.LiveTail, only: [live_tail: 1]
+  import PrikkeWeb.PayloadDiff, only: [compare_bar: 1]
+  import PrikkeWeb.AuditHistory, only: [history_tabs: 1, audit_history: 1]
+  import PrikkeWeb.Menu, only: [dropdown_menu: 1]
+
+  alias Prikke.Audit
   alias Prikke.Endpoints
+  alias Prikke.Executions
+  alias PrikkeWeb.LiveTail
 
   @per_page 20
 
   @impl true
-  def mount(%{"id" => id}, session, socket) do
+  def mount(%{"id" => id} = params, session, socket) do
     org = get_organization(socket, session)
 
     if org do
@@ -20,6 +28,7 @@ defmodule PrikkeWeb.EndpointLive.Show do
       else
         if connected?(socket) do
           Endpoints.subscribe_endpoints(org)
+          Executions.subscribe_organization_executions(org.id)
         end
 
         events = Endpoints.list_inbound_events(endpoint, limit: @per_page)
@@ -35,8 +44,12 @@ defmodule PrikkeWeb.EndpointLive.Show do
          |> assign(:total_events, total_events)
          |> assign(:inbound_url, inbound_url)
          |> assign(:page_title, endpoint.name)
-         |> assign(:menu_open, false)
-         |> assign(:host, host)}
+         |> assign(:live_tail, false)
+         |> assign(:comparing, false)
+         |> assign(:compare_ids, [])
+         |> assign(:host, host)
+         |> assign(:can_view_history, can_view_history?(socket, org))
+         |> assign_tab(params["tab"])}
       end
     else
       {:ok,
@@ -66,17 +79,47 @@ defmodule PrikkeWeb.EndpointLive.Show do
     end
   end
 
-  def handle_info(_, socket), do: {:noreply, socket}
+  def handle_info({:inbound_event_received, event}, socket) do
+    endpoint = socket.assigns.endpoint
 
-  @impl true
-  def handle_event("toggle_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, !socket.assigns.menu_open)}
+    if event.endpoint_id == endpoint.id do
+      event = Endpoints.get_inbound_event!(endpoint, event.id)
+      current_loaded = max(length(socket.assigns.events), @per_page)
+
+      {:noreply,
+       socket
+       |> assign(:events, Endpoints.list_inbound_events(endpoint, limit: current_loaded))
+       |> assign(:total_events, Endpoints.count_inbound_events(endpoint))
+       |> push_tail_item(event)}
+    else
+      {:noreply, socket}
+    end
   end
 
-  def handle_event("close_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, false)}
+  # Deliveries for loaded events update their status in place
+  def handle_info({:execution_updated, execution}, socket) do
+    endpoint = socket.assigns.endpoint
+
+    {events, changed} =
+      Enum.map_reduce(socket.assigns.events, [], fn event, changed ->
+        if execution.task_id in event.task_ids do
+          event = Endpoints.get_inbound_event!(endpoint, event.id)
+          {event, [event | changed]}
+        else
+          {event, changed}
+        end
+      end)
+
+    if changed == [] do
+      {:noreply, socket}
+    else
+      {:noreply, Enum.reduce(changed, assign(socket, :events, events), &push_tail_item(&2, &1))}
+    end
   end
 
+  def handle_info(_, socket), do: {:noreply, socket}
+
+  @impl true
   def handle_event("toggle", _, socket) do
     org = socket.assigns.organization
     endpoint = socket.assigns.endpoint
@@ -124,6 +167,21 @@ defmodule PrikkeWeb.EndpointLive.Show do
     end
   end
 
+  def handle_event("toggle_live_tail", _, socket) do
+    {:noreply, assign(socket, live_tail: !socket.assigns.live_tail, comparing: false)}
+  end
+
+  def handle_event("toggle_compare", _, socket) do
+    {:noreply, assign(socket, comparing: !socket.assigns.comparing, compare_ids: [])}
+  end
+
+  # Keeps the two most recently picked events
+  def handle_event("select_compare", %{"id" => id}, socket) do
+    ids = socket.assigns.compare_ids
+    ids = if id in ids, do: List.delete(ids, id), else: Enum.take(ids ++ [id], -2)
+    {:noreply, assign(socket, :compare_ids, ids)}
+  end
+
   def handle_event("load_more", _, socket) do
     endpoint = socket.assigns.endpoint
     current_count = length(socket.assigns.events)
@@ -137,6 +195,24 @@ defmodule PrikkeWeb.EndpointLive.Show do
     {:noreply, assign(socket, :events, socket.assigns.events ++ more_events)}
   end
 
+  def handle_event("show_tab", %{"tab" => tab}, socket) do
+    {:noreply, assign_tab(socket, tab)}
+  end
+
+  # The History tab is the resource's audit log, which like the organization's
+  # audit log is only for owners and admins. It's loaded each time the tab is
+  # opened, not kept up to date.
+  defp assign_tab(%{assigns: %{can_view_history: true}} = socket, "history") do
+    history = Audit.list_resource_logs(:endpoint, socket.assigns.endpoint.id)
+    socket |> assign(:tab, "history") |> assign(:history, history)
+  end
+
+  defp assign_tab(socket, _tab), do: socket |> assign(:tab, "activity") |> assign(:history, [])
+
+  defp can_view_history?(socket, organization) do
+    Prikke.Accounts.has_role?(organization, socket.assigns.current_scope.user, "admin")
+  end
+
   defp get_organization(socket, session) do
     user = socket.assigns.current_scope.user
     org_id = session["current_organization_id"]
@@ -151,11 +227,28 @@ defmodule PrikkeWeb.EndpointLive.Show do
     end
   end
 
+  defp compare_href(endpoint, [id, compare_id]),
+    do: ~p"/endpoints/#{endpoint.id}/events/#{id}?#{[compare: compare_id]}"
+
+  defp compare_href(_endpoint, _ids), do: nil
+
+  defp tail_item(endpoint, event) do
+    LiveTail.event_item(event, ~p"/endpoints/#{endpoint.id}/events/#{event.id}")
+  end
+
+  defp push_tail_item(%{assigns: %{live_tail: true}} = socket, event) do
+    item = tail_item(socket.assigns.endpoint, event)
+    LiveTail.push_items(socket, "event-live-tail", [item])
+  end
+
+  defp push_tail_item(socket, _event), do: socket
+
   defp execution_status_badge("success"), do: "bg-emerald-100 text-emerald-700"
   defp execution_status_badge("failed"), do: "bg-red-100 text-red-700"
   defp execution_status_badge("timeout"), do: "bg-amber-100 text-amber-700"
   defp execution_status_badge("running"), do: "bg-blue-100 text-blue-700"
   defp execution_status_badge("pending"), do: "bg-slate-100 text-slate-600"
+  defp execution_status_badge("filtered"), do: "bg-purple-100 text-purple-700"
   defp execution_status_badge(_), do: "bg-slate-100 text-slate-600"
 
   @impl true
@@ -186,40 +279,32 @@ defmodule PrikkeWeb.EndpointLive.Show do
         </div>
 
         <div class="flex items-center gap-2">
-          <div id="endpoint-actions-menu" class="relative" phx-hook=".ClickOutside">
+          <.dropdown_menu id="endpoint-actions-menu">
+            <.link
+              role="menuitem"
+              navigate={~p"/endpoints/#{@endpoint.id}/edit"}
+              class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+            >
+              Edit
+            </.link>
             <button
               type="button"
-              phx-click="toggle_menu"
-              class="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-md transition-colors"
+              role="menuitem"
+              phx-click="toggle"
+              class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
             >
-              <.icon name="hero-ellipsis-vertical" class="w-5 h-5" />
+              {if @endpoint.enabled, do: "Disable", else: "Enable"}
             </button>
-            <%= if @menu_open do %>
-              <div class="absolute right-0 top-full mt-1 w-40 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50">
-                <.link
-                  navigate={~p"/endpoints/#{@endpoint.id}/edit"}
-                  class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-                >
-                  Edit
-                </.link>
-                <button
-                  type="button"
-                  phx-click="toggle"
-                  class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-                >
-                  {if @endpoint.enabled, do: "Disable", else: "Enable"}
-                </button>
-                <button
-                  type="button"
-                  phx-click="delete"
-                  data-confirm="Are you sure you want to delete this endpoint?"
-                  class="block w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
-                >
-                  Delete
-                </button>
-              </div>
-            <% end %>
-          </div>
+            <button
+              type="button"
+              role="menuitem"
+              phx-click="delete"
+              data-confirm="Are you sure you want to delete this endpoint?"
+              class="block w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+            >
+              Delete
+            </button>
+          </.dropdown_menu>
         </div>
       </div>
 
@@ -301,72 +386,119 @@ defmodule PrikkeWeb.EndpointLive.Show do
 
       <%!-- Recent Events --%>
       <div class="glass-card rounded-2xl p-6">
-        <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-4">
-          Recent Events
-        </h2>
-        <%= if @events == [] do %>
-          <p class="text-sm text-slate-400 text-center py-4">No events received yet</p>
-        <% else %>
-          <div class="divide-y divide-slate-100">
-            <%= for event <- @events do %>
-              <.link
-                navigate={~p"/endpoints/#{@endpoint.id}/events/#{event.id}"}
-                class="py-3 flex items-center gap-3 hover:bg-slate-50 -mx-2 px-2 rounded-lg transition-colors cursor-pointer"
+        <.history_tabs :if={@can_view_history} tab={@tab} label="Events" />
+        <div :if={@tab == "activity"}>
+          <div class="flex items-center justify-between gap-3 mb-4">
+            <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider">
+              Recent Events
+            </h2>
+            <div class="flex items-center gap-2">
+              <button
+                :if={!@live_tail && @events != []}
+                type="button"
+                id="toggle-compare"
+                phx-click="toggle_compare"
+                aria-pressed={to_string(@comparing)}
+                class={[
+                  "px-3 py-1 text-sm font-medium rounded-md border transition-colors flex items-center gap-1.5",
+                  if(@comparing,
+                    do: "bg-emerald-50 border-emerald-200 text-emerald-700",
+                    else: "bg-white border-slate-200 text-slate-600 hover:bg-white/50"
+                  )
+                ]}
               >
-                <span class="text-xs font-medium text-slate-500 bg-slate-100 px-2 py-0.5 rounded font-mono shrink-0">
-                  {event.method}
-                </span>
-                <span class="text-sm text-slate-700 flex-1 min-w-0">
-                  <.local_time id={"event-#{event.id}"} datetime={event.received_at} />
-                  <%= if event.source_ip do %>
-                    <span class="text-slate-400 text-xs ml-1">from {event.source_ip}</span>
-                  <% end %>
-                </span>
-                <%= if Map.get(event, :tasks, []) != [] do %>
-                  <span class={[
-                    "text-xs font-medium px-2 py-0.5 rounded shrink-0",
-                    execution_status_badge(Prikke.Endpoints.aggregate_task_statuses(event.tasks))
-                  ]}>
-                    {Prikke.Endpoints.aggregate_task_statuses(event.tasks)}
-                  </span>
-                <% end %>
-                <.icon name="hero-chevron-right" class="w-4 h-4 text-slate-400 shrink-0" />
-              </.link>
-            <% end %>
-          </div>
-
-          <%= if length(@events) < @total_events do %>
-            <div class="mt-4 text-center">
+                <.icon name="hero-arrows-right-left" class="w-4 h-4" /> Compare
+              </button>
               <button
                 type="button"
-                phx-click="load_more"
-                class="px-4 py-2 text-sm font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-white/50 transition-colors"
+                id="toggle-live-tail"
+                phx-click="toggle_live_tail"
+                aria-pressed={to_string(@live_tail)}
+                class={[
+                  "px-3 py-1 text-sm font-medium rounded-md border transition-colors flex items-center gap-1.5",
+                  if(@live_tail,
+                    do: "bg-emerald-50 border-emerald-200 text-emerald-700",
+                    else: "bg-white border-slate-200 text-slate-600 hover:bg-white/50"
+                  )
+                ]}
               >
-                Load more
-                <span class="text-slate-400">
-                  (showing {length(@events)} of {@total_events})
-                </span>
+                <.icon name="hero-signal" class="w-4 h-4" /> Live tail
               </button>
             </div>
+          </div>
+          <%= cond do %>
+            <% @live_tail -> %>
+              <.live_tail
+                id="event-live-tail"
+                items={@events |> Enum.reverse() |> Enum.map(&tail_item(@endpoint, &1))}
+              />
+            <% @events == [] -> %>
+              <p class="text-sm text-slate-400 text-center py-4">No events received yet</p>
+            <% true -> %>
+              <.compare_bar
+                :if={@comparing}
+                noun="events"
+                ids={@compare_ids}
+                href={compare_href(@endpoint, @compare_ids)}
+              />
+              <div class="divide-y divide-slate-100">
+                <%= for event <- @events do %>
+                  <div class="flex items-center gap-2">
+                    <label :if={@comparing} class="py-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        class="checkbox checkbox-sm"
+                        phx-click="select_compare"
+                        phx-value-id={event.id}
+                        checked={event.id in @compare_ids}
+                        aria-label="Select for comparison"
+                      />
+                    </label>
+                    <.link
+                      navigate={~p"/endpoints/#{@endpoint.id}/events/#{event.id}"}
+                      class="flex-1 min-w-0 py-3 flex items-center gap-3 hover:bg-slate-50 -mx-2 px-2 rounded-lg transition-colors cursor-pointer"
+                    >
+                      <span class="text-xs font-medium text-slate-500 bg-slate-100 px-2 py-0.5 rounded font-mono shrink-0">
+                        {event.method}
+                      </span>
+                      <span class="text-sm text-slate-700 flex-1 min-w-0">
+                        <.local_time id={"event-#{event.id}"} datetime={event.received_at} />
+                        <%= if event.source_ip do %>
+                          <span class="text-slate-400 text-xs ml-1">from {event.source_ip}</span>
+                        <% end %>
+                      </span>
+                      <%= if Endpoints.event_status(event) do %>
+                        <span class={[
+                          "text-xs font-medium px-2 py-0.5 rounded shrink-0",
+                          execution_status_badge(Endpoints.event_status(event))
+                        ]}>
+                          {Endpoints.event_status(event)}
+                        </span>
+                      <% end %>
+                      <.icon name="hero-chevron-right" class="w-4 h-4 text-slate-400 shrink-0" />
+                    </.link>
+                  </div>
+                <% end %>
+              </div>
+
+              <%= if length(@events) < @total_events do %>
+                <div class="mt-4 text-center">
+                  <button
+                    type="button"
+                    phx-click="load_more"
+                    class="px-4 py-2 text-sm font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-white/50 transition-colors"
+                  >
+                    Load more
+                    <span class="text-slate-400">
+                      (showing {length(@events)} of {@total_events})
+                    </span>
+                  </button>
+                </div>
+              <% end %>
           <% end %>
-        <% end %>
+        </div>
+        <.audit_history :if={@tab == "history"} logs={@history} />
       </div>
-
-      <script :type={Phoenix.LiveView.ColocatedHook} name=".ClickOutside">
-        export default {
-          mounted() {
-            this.handler = (e) => {
-              if (!this.el.contains(e.target)) {
-                this.pushEvent("close_menu", {})
-              }
-            }
-            document.addEventListener("click", this.handler)
-          },
-          destroyed() {
-            document.removeEventListener("click", this.handler)
-          }
-        }
-      </script>
     </Layouts.app>
     """
   end
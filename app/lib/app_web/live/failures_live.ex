@@ -2,9 +2,26 @@ defmodule PrikkeWeb.FailuresLive do
   use PrikkeWeb, :live_view
 
   alias Prikke.Tasks
+  alias Prikke.Endpoints
   alias Prikke.Executions
+  alias PrikkeWeb.CSV
+  alias PrikkeWeb.TrendChart
 
   @per_page 30
+  @max_selection 1000
+  @retry_chunk_size 10
+
+  @export_columns ~w(id task_id task_name method url queue status status_code error_message
+                     attempt scheduled_for finished_at duration_ms)a
+
+  @windows [
+    {"1h", "Last hour", 3600},
+    {"24h", "Last 24 hours", 86_400},
+    {"7d", "Last 7 days", 7 * 86_400},
+    {"30d", "Last 30 days", 30 * 86_400}
+  ]
+
+  @status_codes ~w(4xx 5xx 400 401 403 404 408 429 500 502 503 504)
 
   @impl true
   def mount(_params, session, socket) do
@@ -15,19 +32,18 @@ defmodule PrikkeWeb.FailuresLive do
         Executions.subscribe_organization_executions(org.id)
       end
 
-      queues = Tasks.list_queues(org)
-      executions = Executions.list_failed_executions(org, limit: @per_page)
-      total_count = Executions.count_failed_executions(org)
-
       {:ok,
        socket
        |> assign(:organization, org)
        |> assign(:page_title, "Failures")
-       |> assign(:executions, executions)
-       |> assign(:total_count, total_count)
-       |> assign(:queues, queues)
-       |> assign(:queue_filter, nil)
-       |> assign(:selected, MapSet.new())}
+       |> assign(:queues, Tasks.list_queues(org))
+       |> assign(:tasks, Tasks.list_tasks(org, limit: 100))
+       |> assign(:endpoints, Endpoints.list_endpoints(org))
+       |> assign(:executions, [])
+       |> assign(:total_count, 0)
+       |> assign(:selected, MapSet.new())
+       |> assign(:bulk_retry, nil)
+       |> assign(:retry_results, %{})}
     else
       {:ok,
        socket
@@ -36,31 +52,71 @@ defmodule PrikkeWeb.FailuresLive do
     end
   end
 
+  # Filters live in the URL so a filtered view can be shared. The from/to
+  # window is linked from the dashboard trend chart.
+  @impl true
+  def handle_params(params, _uri, socket) do
+    {:noreply,
+     socket
+     |> assign(:filters, parse_filters(params))
+     |> assign(:executions, [])
+     |> assign(:selected, MapSet.new())
+     |> refetch()}
+  end
+
   @impl true
   def handle_info({:execution_updated, _execution}, socket) do
     {:noreply, refetch(socket)}
   end
 
+  def handle_info(:bulk_retry_next, %{assigns: %{bulk_retry: %{pending: pending}}} = socket)
+      when pending != [] do
+    {chunk, rest} = Enum.split(pending, @retry_chunk_size)
+    results = Map.new(chunk, &{&1.id, retry_result(&1)})
+    failed = Enum.count(results, fn {_id, result} -> result != :ok end)
+    bulk_retry = socket.assigns.bulk_retry
+
+    socket =
+      socket
+      |> assign(:bulk_retry, %{
+        bulk_retry
+        | pending: rest,
+          done: bulk_retry.done + length(chunk),
+          failed: bulk_retry.failed + failed
+      })
+      |> assign(:retry_results, Map.merge(socket.assigns.retry_results, results))
+
+    # One chunk per message, so the progress bar fills in as retries are queued
+    if rest == [] do
+      {:noreply, finish_bulk_retry(socket)}
+    else
+      send(self(), :bulk_retry_next)
+      {:noreply, socket}
+    end
+  end
+
+  def handle_info(:bulk_retry_next, socket), do: {:noreply, socket}
+
   @impl true
-  def handle_event("filter", %{"queue" => queue}, socket) do
-    queue_filter = if queue == "", do: nil, else: queue
-    org = socket.assigns.organization
-    opts = filter_opts(queue_filter)
+  def handle_event("filter", params, socket) do
+    filters = socket.assigns.filters
 
-    executions = Executions.list_failed_executions(org, [{:limit, @per_page} | opts])
-    total_count = Executions.count_failed_executions(org, opts)
+    # A window from the trend chart stays until one of the presets replaces it
+    {from, to} =
+      if params["window"] in [nil, ""], do: {filters.from, filters.to}, else: {nil, nil}
 
-    {:noreply,
-     socket
-     |> assign(:queue_filter, queue_filter)
-     |> assign(:executions, executions)
-     |> assign(:total_count, total_count)
-     |> assign(:selected, MapSet.new())}
+    filters =
+      params
+      |> Map.take(~w(queue task endpoint code window))
+      |> Map.merge(%{"from" => format_param(from), "to" => format_param(to)})
+      |> parse_filters()
+
+    {:noreply, push_patch(socket, to: failures_path(filters))}
   end
 
   def handle_event("load_more", _, socket) do
     org = socket.assigns.organization
-    opts = filter_opts(socket.assigns.queue_filter)
+    opts = filter_opts(socket.assigns.filters)
     current_count = length(socket.assigns.executions)
 
     more =
@@ -102,34 +158,122 @@ defmodule PrikkeWeb.FailuresLive do
     {:noreply, assign(socket, :selected, selected)}
   end
 
+  # Shift-click range from the FailureList hook
+  def handle_event("select_range", %{"ids" => ids, "selected" => selected?}, socket) do
+    loaded = MapSet.new(socket.assigns.executions, & &1.id)
+    range = ids |> Enum.filter(&MapSet.member?(loaded, &1)) |> MapSet.new()
+
+    selected =
+      if selected?,
+        do: MapSet.union(socket.assigns.selected, range),
+        else: MapSet.difference(socket.assigns.selected, range)
+
+    {:noreply, assign(socket, :selected, selected)}
+  end
+
   def handle_event("select_all", _, socket) do
     all_ids = Enum.map(socket.assigns.executions, & &1.id) |> MapSet.new()
     {:noreply, assign(socket, :selected, all_ids)}
   end
 
+  def handle_event("select_matching", _, socket) do
+    ids =
+      Executions.list_failed_execution_ids(socket.assigns.organization, [
+        {:limit, @max_selection} | filter_opts(socket.assigns.filters)
+      ])
+
+    {:noreply, assign(socket, :selected, MapSet.new(ids))}
+  end
+
   def handle_event("select_none", _, socket) do
     {:noreply, assign(socket, :selected, MapSet.new())}
   end
 
   def handle_event("bulk_retry", _, socket) do
-    ids = MapSet.to_list(socket.assigns.selected)
+    executions = selected_executions(socket)
+
+    cond do
+      MapSet.size(socket.assigns.selected) == 0 ->
+        {:noreply, put_flash(socket, :error, "No executions selected")}
+
+      retrying?(socket.assigns.bulk_retry) ->
+        {:noreply, socket}
+
+      true ->
+        # Selected executions that are gone or no longer failed can't be retried
+        found = MapSet.new(executions, & &1.id)
+
+        missing =
+          for id <- socket.assigns.selected, !MapSet.member?(found, id), into: %{} do
+            {id, {:error, "No longer available"}}
+          end
+
+        send(self(), :bulk_retry_next)
+
+        {:noreply,
+         socket
+         |> assign(:retry_results, missing)
+         |> assign(:bulk_retry, %{
+           pending: executions,
+           total: MapSet.size(socket.assigns.selected),
+           done: map_size(missing),
+           failed: map_size(missing)
+         })}
+    end
+  end
 
-    if ids == [] do
-      {:noreply, put_flash(socket, :error, "No executions selected")}
-    else
-      {:ok, count} = Executions.bulk_retry_executions(socket.assigns.organization, ids)
+  def handle_event("dismiss_bulk_retry", _, socket) do
+    {:noreply, socket |> assign(:bulk_retry, nil) |> assign(:retry_results, %{})}
+  end
 
-      {:noreply,
-       socket
-       |> put_flash(:info, "#{count} retries queued")
-       |> assign(:selected, MapSet.new())
-       |> refetch()}
+  def handle_event("bulk_mute", _, socket) do
+    task_ids =
+      socket
+      |> selected_executions()
+      |> Enum.map(& &1.task_id)
+      |> Enum.reject(&is_nil/1)
+      |> Enum.uniq()
+
+    if task_ids == [] do
+      {:noreply, put_flash(socket, :error, "No tasks to mute")}
+    else
+      {:ok, count} =
+        Tasks.mute_failure_notifications(socket.assigns.organization, task_ids,
+          scope: socket.assigns.current_scope
+        )
+
+      message =
+        case count do
+          0 -> "Failure notifications were already off for these tasks"
+          1 -> "Muted failure notifications for 1 task"
+          count -> "Muted failure notifications for #{count} tasks"
+        end
+
+      {:noreply, socket |> put_flash(:info, message) |> refetch()}
     end
   end
 
+  def handle_event("export", %{"format" => format}, socket) when format in ["csv", "json"] do
+    rows = socket |> selected_executions() |> Enum.map(&export_row/1)
+    timestamp = Calendar.strftime(DateTime.utc_now(), "%Y%m%d-%H%M%S")
+
+    {content, mime} =
+      case format do
+        "csv" -> {CSV.encode(rows, @export_columns), "text/csv"}
+        "json" -> {Jason.encode!(rows, pretty: true), "application/json"}
+      end
+
+    {:noreply,
+     push_event(socket, "failures:download", %{
+       filename: "failures-#{timestamp}.#{format}",
+       mime: mime,
+       content: content
+     })}
+  end
+
   defp refetch(socket) do
     org = socket.assigns.organization
-    opts = filter_opts(socket.assigns.queue_filter)
+    opts = filter_opts(socket.assigns.filters)
     current_loaded = max(length(socket.assigns.executions), @per_page)
 
     executions = Executions.list_failed_executions(org, [{:limit, current_loaded} | opts])
@@ -141,8 +285,145 @@ defmodule PrikkeWeb.FailuresLive do
     |> assign(:queues, Tasks.list_queues(org))
   end
 
-  defp filter_opts(nil), do: []
-  defp filter_opts(queue), do: [queue: queue]
+  defp selected_executions(socket) do
+    Executions.get_failed_executions(
+      socket.assigns.organization,
+      MapSet.to_list(socket.assigns.selected)
+    )
+  end
+
+  defp retry_result(execution) do
+    case Executions.retry_execution(execution) do
+      {:ok, _new_exec} -> :ok
+      {:error, :task_not_found} -> {:error, "Task was deleted"}
+      {:error, _reason} -> {:error, "Could not queue the retry"}
+    end
+  end
+
+  # Retried executions are deselected; the ones that failed to retry stay
+  # selected so they can be tried again.
+  defp finish_bulk_retry(socket) do
+    failed_ids =
+      for {id, {:error, _}} <- socket.assigns.retry_results, into: MapSet.new(), do: id
+
+    socket
+    |> assign(:selected, MapSet.intersection(socket.assigns.selected, failed_ids))
+    |> refetch()
+  end
+
+  # Everything loaded is selected, but more failures match the filters
+  defp more_to_select?(selected, executions, total_count) do
+    loaded = length(executions)
+    MapSet.size(selected) >= loaded and total_count > loaded
+  end
+
+  defp retrying?(%{pending: [_ | _]}), do: true
+  defp retrying?(_bulk_retry), do: false
+
+  defp progress_percent(%{total: 0}), do: 100
+  defp progress_percent(%{done: done, total: total}), do: round(done / total * 100)
+
+  defp parse_filters(params) do
+    {from, to} = TrendChart.window_params(params)
+
+    %{
+      queue: if(params["queue"] in [nil, ""], do: nil, else: params["queue"]),
+      task: uuid_param(params["task"]),
+      endpoint: uuid_param(params["endpoint"]),
+      code: status_code_param(params["code"]),
+      window: if(List.keymember?(@windows, params["window"], 0), do: params["window"]),
+      from: from,
+      to: to
+    }
+  end
+
+  defp uuid_param(value) do
+    case Ecto.UUID.cast(value || "") do
+      {:ok, uuid} -> uuid
+      :error -> nil
+    end
+  end
+
+  defp status_code_param(value) when is_binary(value) do
+    cond do
+      value == "none" -> value
+      value =~ ~r/\A[1-5]xx\z/ -> value
+      value =~ ~r/\A[1-5]\d\d\z/ -> value
+      true -> nil
+    end
+  end
+
+  defp status_code_param(_value), do: nil
+
+  defp filter_opts(filters) do
+    {from, to} =
+      case List.keyfind(@windows, filters.window, 0) do
+        {_key, _label, seconds} -> {DateTime.add(DateTime.utc_now(), -seconds, :second), nil}
+        nil -> {filters.from, filters.to}
+      end
+
+    code =
+      case filters.code && Integer.parse(filters.code) do
+        {code, ""} -> code
+        _ -> filters.code
+      end
+
+    [
+      queue: filters.queue,
+      task_id: filters.task,
+      endpoint_id: filters.endpoint,
+      status_code: code,
+      from: from,
+      to: to
+    ]
+    |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+  end
+
+  defp failures_path(filters) do
+    params =
+      filters
+      |> Map.update!(:from, &format_param/1)
+      |> Map.update!(:to, &format_param/1)
+      |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+      |> Enum.sort()
+
+    if params == [], do: ~p"/failures", else: ~p"/failures?#{params}"
+  end
+
+  defp format_param(nil), do: nil
+  defp format_param(%DateTime{} = datetime), do: DateTime.to_iso8601(datetime)
+
+  defp status_code_options(current) do
+    codes =
+      if current in [nil, "none" | @status_codes],
+        do: @status_codes,
+        else: @status_codes ++ [current]
+
+    Enum.map(codes, fn
+      <<_class, "xx">> = code -> {"Any #{code}", code}
+      code -> {"HTTP #{code}", code}
+    end)
+  end
+
+  defp export_row(execution) do
+    task = execution.task
+
+    %{
+      id: execution.id,
+      task_id: execution.task_id,
+      task_name: task && task.name,
+      method: task && task.method,
+      url: task && task.url,
+      queue: execution.queue,
+      status: execution.status,
+      status_code: execution.status_code,
+      error_message: execution.error_message,
+      attempt: execution.attempt,
+      scheduled_for: execution.scheduled_for,
+      finished_at: execution.finished_at,
+      duration_ms: execution.duration_ms
+    }
+  end
 
   defp get_organization(socket, session) do
     user = socket.assigns.current_scope.user
@@ -162,6 +443,11 @@ defmodule PrikkeWeb.FailuresLive do
   defp status_class("timeout"), do: "bg-amber-100 text-amber-700"
   defp status_class(_), do: "bg-slate-100 text-slate-600"
 
+  defp format_window(from, to), do: "#{format_window_edge(from)} – #{format_window_edge(to)} UTC"
+
+  defp format_window_edge(nil), do: "…"
+  defp format_window_edge(datetime), do: Calendar.strftime(datetime, "%b %d %H:%M")
+
   defp format_duration(nil), do: "-"
   defp format_duration(ms) when ms < 1000, do: "#{ms}ms"
   defp format_duration(ms) when ms < 60_000, do: "#{Float.round(ms / 1000, 1)}s"
@@ -169,6 +455,8 @@ defmodule PrikkeWeb.FailuresLive do
 
   @impl true
   def render(assigns) do
+    assigns = assign(assigns, windows: @windows, max_selection: @max_selection)
+
     ~H"""
     <Layouts.app flash={@flash} current_scope={@current_scope}>
       <div class="mb-4">
@@ -187,15 +475,6 @@ defmodule PrikkeWeb.FailuresLive do
             Failed and timed-out executions across all tasks
           </p>
         </div>
-        <%= if MapSet.size(@selected) > 0 do %>
-          <button
-            type="button"
-            phx-click="bulk_retry"
-            class="text-sm font-medium text-white bg-emerald-600 hover:bg-emerald-700 px-3 sm:px-4 py-2 rounded-md transition-colors whitespace-nowrap"
-          >
-            Retry selected ({MapSet.size(@selected)})
-          </button>
-        <% end %>
       </div>
 
       <div class="mb-4" id="failure-filters">
@@ -206,12 +485,69 @@ defmodule PrikkeWeb.FailuresLive do
               id="failure-queue-filter"
               class="text-sm border-slate-200 rounded-lg px-3 py-1.5 text-slate-700 focus:ring-emerald-500 focus:border-emerald-500"
             >
-              <option value="" selected={@queue_filter == nil}>All queues</option>
+              <option value="" selected={@filters.queue == nil}>All queues</option>
               <%= for queue <- @queues do %>
-                <option value={queue} selected={@queue_filter == queue}>{queue}</option>
+                <option value={queue} selected={@filters.queue == queue}>{queue}</option>
+              <% end %>
+            </select>
+          <% end %>
+          <select
+            name="task"
+            id="failure-task-filter"
+            class="text-sm border-slate-200 rounded-lg px-3 py-1.5 text-slate-700 focus:ring-emerald-500 focus:border-emerald-500 max-w-[14rem]"
+          >
+            <option value="" selected={@filters.task == nil}>All tasks</option>
+            <%= for task <- @tasks do %>
+              <option value={task.id} selected={@filters.task == task.id}>{task.name}</option>
+            <% end %>
+          </select>
+          <%= if @endpoints != [] do %>
+            <select
+              name="endpoint"
+              id="failure-endpoint-filter"
+              class="text-sm border-slate-200 rounded-lg px-3 py-1.5 text-slate-700 focus:ring-emerald-500 focus:border-emerald-500 max-w-[14rem]"
+            >
+              <option value="" selected={@filters.endpoint == nil}>All endpoints</option>
+              <%= for endpoint <- @endpoints do %>
+                <option value={endpoint.id} selected={@filters.endpoint == endpoint.id}>
+                  {endpoint.name}
+                </option>
               <% end %>
             </select>
           <% end %>
+          <select
+            name="code"
+            id="failure-code-filter"
+            class="text-sm border-slate-200 rounded-lg px-3 py-1.5 text-slate-700 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="" selected={@filters.code == nil}>Any status</option>
+            <option value="none" selected={@filters.code == "none"}>No response</option>
+            <%= for {label, code} <- status_code_options(@filters.code) do %>
+              <option value={code} selected={@filters.code == code}>{label}</option>
+            <% end %>
+          </select>
+          <select
+            name="window"
+            id="failure-window-filter"
+            class="text-sm border-slate-200 rounded-lg px-3 py-1.5 text-slate-700 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="" selected={@filters.window == nil}>Any time</option>
+            <%= for {window, label, _seconds} <- @windows do %>
+              <option value={window} selected={@filters.window == window}>{label}</option>
+            <% end %>
+          </select>
+          <%= if @filters.from || @filters.to do %>
+            <span class="inline-flex items-center gap-1.5 text-xs font-medium px-2.5 py-1 rounded-full bg-slate-100 text-slate-600">
+              {format_window(@filters.from, @filters.to)}
+              <.link
+                patch={failures_path(%{@filters | from: nil, to: nil})}
+                class="text-slate-400 hover:text-slate-600"
+                aria-label="Clear time window"
+              >
+                <.icon name="hero-x-mark" class="w-3.5 h-3.5" />
+              </.link>
+            </span>
+          <% end %>
           <%= if length(@executions) > 0 do %>
             <div class="flex gap-2 ml-auto">
               <button
@@ -233,6 +569,93 @@ defmodule PrikkeWeb.FailuresLive do
         </form>
       </div>
 
+      <%= if MapSet.size(@selected) > 0 do %>
+        <div
+          id="failure-bulk-actions"
+          class="mb-4 px-4 py-2.5 glass-card rounded-xl flex flex-wrap items-center gap-x-4 gap-y-2 text-sm"
+        >
+          <span class="font-medium text-slate-700">{MapSet.size(@selected)} selected</span>
+          <button
+            :if={more_to_select?(@selected, @executions, @total_count)}
+            type="button"
+            phx-click="select_matching"
+            class="text-emerald-600 hover:text-emerald-700 font-medium"
+          >
+            Select all {min(@total_count, @max_selection)} matching
+          </button>
+          <div class="flex flex-wrap items-center gap-2 ml-auto">
+            <button
+              type="button"
+              phx-click="bulk_retry"
+              disabled={retrying?(@bulk_retry)}
+              class="inline-flex items-center gap-1.5 font-medium text-white bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 px-3 py-1.5 rounded-md transition-colors"
+            >
+              <.icon name="hero-arrow-path" class="w-4 h-4" /> Retry
+            </button>
+            <button
+              type="button"
+              phx-click="bulk_mute"
+              class="inline-flex items-center gap-1.5 font-medium text-slate-700 bg-white border border-slate-200 hover:bg-slate-50 px-3 py-1.5 rounded-md transition-colors"
+              title="Turn off failure notifications for the tasks of the selected executions"
+            >
+              <.icon name="hero-bell-slash" class="w-4 h-4" /> Mute notifications
+            </button>
+            <button
+              type="button"
+              phx-click="export"
+              phx-value-format="csv"
+              class="font-medium text-slate-700 bg-white border border-slate-200 hover:bg-slate-50 px-3 py-1.5 rounded-md transition-colors"
+            >
+              Export CSV
+            </button>
+            <button
+              type="button"
+              phx-click="export"
+              phx-value-format="json"
+              class="font-medium text-slate-700 bg-white border border-slate-200 hover:bg-slate-50 px-3 py-1.5 rounded-md transition-colors"
+            >
+              Export JSON
+            </button>
+          </div>
+        </div>
+      <% end %>
+
+      <%= if @bulk_retry do %>
+        <div id="bulk-retry-progress" class="mb-4 px-4 py-3 glass-card rounded-xl" role="status">
+          <div class="flex items-center justify-between text-sm mb-2">
+            <span class="text-slate-700">
+              <%= if retrying?(@bulk_retry) do %>
+                Queueing retries… {@bulk_retry.done} of {@bulk_retry.total}
+              <% else %>
+                Queued {@bulk_retry.total - @bulk_retry.failed} of {@bulk_retry.total} retries
+              <% end %>
+              <span :if={@bulk_retry.failed > 0} class="text-red-600">
+                · {@bulk_retry.failed} failed
+              </span>
+            </span>
+            <button
+              :if={!retrying?(@bulk_retry)}
+              type="button"
+              phx-click="dismiss_bulk_retry"
+              aria-label="Dismiss"
+              class="text-slate-400 hover:text-slate-600"
+            >
+              <.icon name="hero-x-mark" class="w-4 h-4" />
+            </button>
+          </div>
+          <div class="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+            <div
+              class={[
+                "h-full transition-all",
+                if(@bulk_retry.failed > 0, do: "bg-amber-500", else: "bg-emerald-500")
+              ]}
+              style={"width: #{progress_percent(@bulk_retry)}%"}
+            >
+            </div>
+          </div>
+        </div>
+      <% end %>
+
       <%= if @executions == [] do %>
         <div class="glass-card rounded-2xl p-8 sm:p-12 text-center">
           <div class="w-12 h-12 bg-emerald-100 rounded-full flex items-center justify-center mx-auto mb-4">
@@ -242,15 +665,27 @@ defmodule PrikkeWeb.FailuresLive do
           <p class="text-slate-500">All executions are running smoothly.</p>
         </div>
       <% else %>
-        <div class="glass-card rounded-2xl divide-y divide-slate-200/60">
+        <div
+          id="failure-list"
+          phx-hook="FailureList"
+          class="glass-card rounded-2xl divide-y divide-slate-200/60"
+        >
           <%= for execution <- @executions do %>
-            <div class="px-4 sm:px-6 py-4 flex items-start gap-3">
+            <div
+              id={"failure-#{execution.id}"}
+              data-failure-row
+              data-id={execution.id}
+              tabindex="0"
+              class="px-4 sm:px-6 py-4 flex items-start gap-3 focus:outline-none focus:bg-emerald-50/50"
+            >
               <label class="flex items-center pt-1 cursor-pointer">
                 <input
                   type="checkbox"
+                  data-select
                   checked={MapSet.member?(@selected, execution.id)}
                   phx-click="toggle_select"
                   phx-value-id={execution.id}
+                  aria-label="Select execution"
                   class="rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
                 />
               </label>
@@ -265,10 +700,18 @@ defmodule PrikkeWeb.FailuresLive do
                   <%= if execution.task do %>
                     <.link
                       navigate={~p"/tasks/#{execution.task_id}"}
+                      data-task-link
                       class="font-medium text-slate-900 hover:text-emerald-600 truncate"
                     >
                       {execution.task.name}
                     </.link>
+                    <span
+                      :if={execution.task.notify_on_failure == false}
+                      class="inline-flex items-center gap-1 text-xs text-slate-400"
+                      title="Failure notifications are off for this task"
+                    >
+                      <.icon name="hero-bell-slash" class="w-3.5 h-3.5" /> Muted
+                    </span>
                   <% else %>
                     <span class="text-slate-400 italic">Deleted task</span>
                   <% end %>
@@ -277,6 +720,17 @@ defmodule PrikkeWeb.FailuresLive do
                       {execution.queue}
                     </span>
                   <% end %>
+                  <%= case @retry_results[execution.id] do %>
+                    <% :ok -> %>
+                      <span class="text-xs font-medium px-2 py-0.5 rounded bg-emerald-50 text-emerald-700">
+                        Retry queued
+                      </span>
+                    <% {:error, reason} -> %>
+                      <span class="text-xs font-medium px-2 py-0.5 rounded bg-red-50 text-red-700">
+                        Retry failed: {reason}
+                      </span>
+                    <% nil -> %>
+                  <% end %>
                 </div>
                 <div class="text-sm text-slate-500 mt-1 flex items-center gap-2 flex-wrap">
                   <%= if execution.task do %>
@@ -317,6 +771,11 @@ defmodule PrikkeWeb.FailuresLive do
           <% end %>
         </div>
 
+        <p class="hidden sm:block mt-2 text-xs text-slate-400">
+          Shift-click to select a range. In the list, ↑/↓ or j/k move, x selects, r retries
+          and Enter opens the task.
+        </p>
+
         <%= if length(@executions) < @total_count do %>
           <div class="mt-4 text-center">
             <button
@@ -1,10 +1,14 @@
 defmodule PrikkeWeb.MonitorLive.Show do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.AuditHistory, only: [history_tabs: 1, audit_history: 1]
+  import PrikkeWeb.Menu, only: [dropdown_menu: 1]
+
+  alias Prikke.Audit
   alias Prikke.Monitors
 
   @impl true
-  def mount(%{"id" => id}, session, socket) do
+  def mount(%{"id" => id} = params, session, socket) do
     org = get_organization(socket, session)
 
     if org do
@@ -33,10 +37,11 @@ defmodule PrikkeWeb.MonitorLive.Show do
          |> assign(:timeline, timeline)
          |> assign(:ping_url, ping_url)
          |> assign(:page_title, monitor.name)
-         |> assign(:menu_open, false)
          |> assign(:status_days, status_days)
          |> assign(:daily_status, daily_status)
-         |> assign(:host, host)}
+         |> assign(:host, host)
+         |> assign(:can_view_history, can_view_history?(socket, org))
+         |> assign_tab(params["tab"])}
       end
     else
       {:ok,
@@ -76,14 +81,6 @@ defmodule PrikkeWeb.MonitorLive.Show do
   def handle_info(_, socket), do: {:noreply, socket}
 
   @impl true
-  def handle_event("toggle_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, !socket.assigns.menu_open)}
-  end
-
-  def handle_event("close_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, false)}
-  end
-
   def handle_event("toggle", _, socket) do
     org = socket.assigns.organization
     monitor = socket.assigns.monitor
@@ -102,6 +99,24 @@ defmodule PrikkeWeb.MonitorLive.Show do
      |> push_navigate(to: ~p"/monitors")}
   end
 
+  def handle_event("show_tab", %{"tab" => tab}, socket) do
+    {:noreply, assign_tab(socket, tab)}
+  end
+
+  # The History tab is the resource's audit log, which like the organization's
+  # audit log is only for owners and admins. It's loaded each time the tab is
+  # opened, not kept up to date.
+  defp assign_tab(%{assigns: %{can_view_history: true}} = socket, "history") do
+    history = Audit.list_resource_logs(:monitor, socket.assigns.monitor.id)
+    socket |> assign(:tab, "history") |> assign(:history, history)
+  end
+
+  defp assign_tab(socket, _tab), do: socket |> assign(:tab, "activity") |> assign(:history, [])
+
+  defp can_view_history?(socket, organization) do
+    Prikke.Accounts.has_role?(organization, socket.assigns.current_scope.user, "admin")
+  end
+
   defp get_organization(socket, session) do
     user = socket.assigns.current_scope.user
     org_id = session["current_organization_id"]
@@ -245,40 +260,32 @@ defmodule PrikkeWeb.MonitorLive.Show do
         </div>
 
         <div class="flex items-center gap-2">
-          <div id="monitor-actions-menu" class="relative" phx-hook=".ClickOutside">
+          <.dropdown_menu id="monitor-actions-menu">
+            <.link
+              role="menuitem"
+              navigate={~p"/monitors/#{@monitor.id}/edit"}
+              class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+            >
+              Edit
+            </.link>
             <button
               type="button"
-              phx-click="toggle_menu"
-              class="p-2 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-md transition-colors"
+              role="menuitem"
+              phx-click="toggle"
+              class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
             >
-              <.icon name="hero-ellipsis-vertical" class="w-5 h-5" />
+              {if @monitor.enabled, do: "Pause", else: "Enable"}
             </button>
-            <%= if @menu_open do %>
-              <div class="absolute right-0 top-full mt-1 w-40 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50">
-                <.link
-                  navigate={~p"/monitors/#{@monitor.id}/edit"}
-                  class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-                >
-                  Edit
-                </.link>
-                <button
-                  type="button"
-                  phx-click="toggle"
-                  class="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-                >
-                  {if @monitor.enabled, do: "Pause", else: "Enable"}
-                </button>
-                <button
-                  type="button"
-                  phx-click="delete"
-                  data-confirm="Are you sure you want to delete this monitor?"
-                  class="block w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
-                >
-                  Delete
-                </button>
-              </div>
-            <% end %>
-          </div>
+            <button
+              type="button"
+              role="menuitem"
+              phx-click="delete"
+              data-confirm="Are you sure you want to delete this monitor?"
+              class="block w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50"
+            >
+              Delete
+            </button>
+          </.dropdown_menu>
         </div>
       </div>
 
@@ -376,63 +383,51 @@ defmodule PrikkeWeb.MonitorLive.Show do
 
       <%!-- Event Log --%>
       <div class="glass-card rounded-2xl p-6">
-        <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-4">Availability</h2>
-        <%= if @timeline == [] do %>
-          <p class="text-sm text-slate-400 text-center py-4">No events yet</p>
-        <% else %>
-          <div class="divide-y divide-slate-100">
-            <%= for {event, idx} <- Enum.with_index(@timeline) do %>
-              <%= if event.type == :up do %>
-                <div class="py-3 flex items-center gap-3">
-                  <span class="w-2 h-2 rounded-full bg-emerald-500 shrink-0" />
-                  <div class="flex-1 min-w-0">
-                    <span class="text-sm font-medium text-slate-900">Up</span>
-                    <span class="text-xs text-slate-400 ml-2">
-                      {format_period_duration(event.from, event.to)}
+        <.history_tabs :if={@can_view_history} tab={@tab} label="Events" />
+        <div :if={@tab == "activity"}>
+          <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-4">Availability</h2>
+          <%= if @timeline == [] do %>
+            <p class="text-sm text-slate-400 text-center py-4">No events yet</p>
+          <% else %>
+            <div class="divide-y divide-slate-100">
+              <%= for {event, idx} <- Enum.with_index(@timeline) do %>
+                <%= if event.type == :up do %>
+                  <div class="py-3 flex items-center gap-3">
+                    <span class="w-2 h-2 rounded-full bg-emerald-500 shrink-0" />
+                    <div class="flex-1 min-w-0">
+                      <span class="text-sm font-medium text-slate-900">Up</span>
+                      <span class="text-xs text-slate-400 ml-2">
+                        {format_period_duration(event.from, event.to)}
+                      </span>
+                    </div>
+                    <span class="text-xs text-slate-400 shrink-0">
+                      <.local_time id={"event-from-#{idx}"} datetime={event.from} />
+                      <span class="mx-1">&ndash;</span>
+                      <.local_time id={"event-to-#{idx}"} datetime={event.to} />
                     </span>
                   </div>
-                  <span class="text-xs text-slate-400 shrink-0">
-                    <.local_time id={"event-from-#{idx}"} datetime={event.from} />
-                    <span class="mx-1">&ndash;</span>
-                    <.local_time id={"event-to-#{idx}"} datetime={event.to} />
-                  </span>
-                </div>
-              <% else %>
-                <div class="py-3 flex items-center gap-3 bg-red-50/50 -mx-6 px-6">
-                  <span class="w-2 h-2 rounded-full bg-red-500 shrink-0" />
-                  <div class="flex-1 min-w-0">
-                    <span class="text-sm font-medium text-red-700">Down</span>
-                    <span class="text-xs text-red-500 ml-2">
-                      {format_gap_duration(event.duration_minutes)}
+                <% else %>
+                  <div class="py-3 flex items-center gap-3 bg-red-50/50 -mx-6 px-6">
+                    <span class="w-2 h-2 rounded-full bg-red-500 shrink-0" />
+                    <div class="flex-1 min-w-0">
+                      <span class="text-sm font-medium text-red-700">Down</span>
+                      <span class="text-xs text-red-500 ml-2">
+                        {format_gap_duration(event.duration_minutes)}
+                      </span>
+                    </div>
+                    <span class="text-xs text-red-400 shrink-0">
+                      <.local_time id={"event-from-#{idx}"} datetime={event.from} />
+                      <span class="mx-1">&ndash;</span>
+                      <.local_time id={"event-to-#{idx}"} datetime={event.to} />
                     </span>
                   </div>
-                  <span class="text-xs text-red-400 shrink-0">
-                    <.local_time id={"event-from-#{idx}"} datetime={event.from} />
-                    <span class="mx-1">&ndash;</span>
-                    <.local_time id={"event-to-#{idx}"} datetime={event.to} />
-                  </span>
-                </div>
+                <% end %>
               <% end %>
-            <% end %>
-          </div>
-        <% end %>
+            </div>
+          <% end %>
+        </div>
+        <.audit_history :if={@tab == "history"} logs={@history} />
       </div>
-
-      <script :type={Phoenix.LiveView.ColocatedHook} name=".ClickOutside">
-        export default {
-          mounted() {
-            this.handler = (e) => {
-              if (!this.el.contains(e.target)) {
-                this.pushEvent("close_menu", {})
-              }
-            }
-            document.addEventListener("click", this.handler)
-          },
-          destroyed() {
-            document.removeEventListener("click", this.handler)
-          }
-        }
-      </script>
     </Layouts.app>
     """
   end
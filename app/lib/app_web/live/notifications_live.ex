@@ -0,0 +1,163 @@
+defmodule PrikkeWeb.NotificationsLive do
+  @moduledoc """
+  Browser notifications while the dashboard is open.
+
+  Rendered once from the root layout as a sticky LiveView, like
+  `PrikkeWeb.CommandPaletteLive`. It subscribes to the organization's
+  executions, monitors and limit notifications and pushes a
+  `desktop_notification` event for task failures, monitors going down or
+  recovering, and usage limit warnings. Tasks and monitors that are muted
+  (see `Prikke.Notifications.should_notify_on_failure?/2`) stay silent.
+
+  The `DesktopNotifications` hook (`assets/js/desktop_notifications.js`)
+  decides what to show from the per-browser preferences set on the
+  notification settings page: a desktop notification, an unread count in
+  the tab title and favicon, or nothing.
+  """
+  use PrikkeWeb, :live_view
+
+  alias Prikke.Accounts
+  alias Prikke.Executions
+  alias Prikke.Monitors
+  alias Prikke.Notifications
+
+  on_mount {PrikkeWeb.UserAuth, :mount_current_user}
+
+  @impl true
+  def mount(_params, session, socket) do
+    org = get_organization(socket, session)
+
+    socket =
+      socket
+      |> assign(:organization, org)
+      |> assign(:monitor_statuses, %{})
+
+    if connected?(socket) && org do
+      Executions.subscribe_organization_executions(org.id)
+      Monitors.subscribe_monitors(org)
+      Accounts.subscribe_limit_notifications(org)
+
+      statuses = Map.new(Monitors.list_monitors(org), &{&1.id, &1.status})
+      {:ok, assign(socket, :monitor_statuses, statuses)}
+    else
+      {:ok, socket}
+    end
+  end
+
+  @impl true
+  def handle_info({:execution_updated, execution}, socket) do
+    task = execution.task
+
+    if notify_failure?(execution, task, socket.assigns.organization) do
+      {:noreply,
+       notify(socket, %{
+         kind: "failure",
+         title: failure_title(task, execution),
+         body: execution.error_message || status_code_text(execution.status_code),
+         url: ~p"/tasks/#{task.id}/executions/#{execution.id}",
+         tag: "task-#{task.id}"
+       })}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_info({:monitor_updated, monitor}, socket) do
+    previous = Map.get(socket.assigns.monitor_statuses, monitor.id)
+    socket = update(socket, :monitor_statuses, &Map.put(&1, monitor.id, monitor.status))
+    org = socket.assigns.organization
+
+    cond do
+      monitor.status == "down" and previous != "down" and
+          Notifications.should_notify_on_failure?(monitor, org) ->
+        {:noreply,
+         notify(socket, %{
+           kind: "monitor_down",
+           title: "#{monitor.name} is down",
+           body: "No ping received within the expected window",
+           url: ~p"/monitors/#{monitor.id}",
+           tag: "monitor-#{monitor.id}"
+         })}
+
+      previous == "down" and monitor.status == "up" and
+          Notifications.should_notify_on_recovery?(monitor, org) ->
+        {:noreply,
+         notify(socket, %{
+           kind: "monitor_recovery",
+           title: "#{monitor.name} recovered",
+           body: "Pings are arriving again",
+           url: ~p"/monitors/#{monitor.id}",
+           tag: "monitor-#{monitor.id}"
+         })}
+
+      true ->
+        {:noreply, socket}
+    end
+  end
+
+  def handle_info({:monitor_deleted, monitor}, socket) do
+    {:noreply, update(socket, :monitor_statuses, &Map.delete(&1, monitor.id))}
+  end
+
+  def handle_info({:limit_notification, level, current, limit}, socket) do
+    title =
+      case level do
+        :warning -> "80% of monthly executions used"
+        :reached -> "Monthly execution limit reached"
+      end
+
+    {:noreply,
+     notify(socket, %{
+       kind: "usage",
+       title: title,
+       body: "#{current} of #{limit} executions used this month",
+       url: ~p"/organizations/settings",
+       tag: "usage-#{level}"
+     })}
+  end
+
+  def handle_info(_message, socket), do: {:noreply, socket}
+
+  defp notify(socket, notification) do
+    push_event(socket, "desktop_notification", notification)
+  end
+
+  # One-time tasks only notify once their retries are used up
+  defp notify_failure?(execution, task, org) do
+    execution.status in ["failed", "timeout"] and
+      not (task.schedule_type == "once" and execution.attempt <= task.retry_attempts) and
+      Notifications.should_notify_on_failure?(task, org)
+  end
+
+  defp failure_title(task, %{status: "timeout"}), do: "#{task.name} timed out"
+  defp failure_title(task, _execution), do: "#{task.name} failed"
+
+  defp status_code_text(nil), do: nil
+  defp status_code_text(code), do: "HTTP #{code}"
+
+  defp get_organization(socket, session) do
+    user = socket.assigns.current_scope && socket.assigns.current_scope.user
+    org_id = session["current_organization_id"]
+
+    cond do
+      is_nil(user) ->
+        nil
+
+      org_id ->
+        Accounts.get_organization_for_user(user, org_id)
+
+      true ->
+        case Accounts.list_user_organizations(user) do
+          [org | _] -> org
+          [] -> nil
+        end
+    end
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div id="desktop-notifications" phx-hook="DesktopNotifications" hidden></div>
+    """
+  end
+end
@@ -2,9 +2,11 @@ defmodule PrikkeWeb.PublicStatusLive do
   use PrikkeWeb, :live_view
 
   alias Prikke.StatusPages
-  alias Prikke.Executions
-  alias Prikke.Monitors
-  alias Prikke.Endpoints
+  alias Prikke.StatusPages.Summary
+  alias Prikke.StatusPages.SummaryCache
+  alias Prikke.WebPush
+
+  @refresh_interval :timer.minutes(1)
 
   @impl true
   def mount(%{"slug" => slug}, _session, socket) do
@@ -18,25 +20,28 @@ defmodule PrikkeWeb.PublicStatusLive do
          |> assign(:hide_footer, true)}
 
       status_page ->
-        resources = StatusPages.list_visible_resources(status_page.organization)
-        task_data = load_task_data(resources.tasks)
-        monitor_data = load_monitor_data(resources.monitors)
-        endpoint_data = load_endpoint_data(resources.endpoints)
-        queue_data = load_queue_data(resources.queues)
-
-        overall = compute_overall_status(task_data, monitor_data, endpoint_data, queue_data)
+        # Keeps an open page, and the copy cached for offline use, current.
+        # Every open tab reads the same cached summary.
+        if connected?(socket), do: :timer.send_interval(@refresh_interval, :refresh)
 
         {:ok,
          socket
          |> assign(:page_title, status_page.title)
          |> assign(:status_page, status_page)
-         |> assign(:task_data, task_data)
-         |> assign(:monitor_data, monitor_data)
-         |> assign(:endpoint_data, endpoint_data)
-         |> assign(:queue_data, queue_data)
-         |> assign(:overall, overall)
+         |> assign(:manifest_path, ~p"/s/#{status_page.slug}/manifest.webmanifest")
          |> assign(:hide_header, true)
-         |> assign(:hide_footer, true)}
+         |> assign(:hide_footer, true)
+         |> load_status()}
+    end
+  end
+
+  @impl true
+  def handle_info(:refresh, %{assigns: %{status_page: nil}} = socket), do: {:noreply, socket}
+
+  def handle_info(:refresh, socket) do
+    case StatusPages.get_public_status_page(socket.assigns.status_page.slug) do
+      nil -> {:noreply, assign(socket, :status_page, nil)}
+      status_page -> {:noreply, socket |> assign(:status_page, status_page) |> load_status()}
     end
   end
 
@@ -54,11 +59,31 @@ defmodule PrikkeWeb.PublicStatusLive do
 
   def render(assigns) do
     ~H"""
-    <div class="min-h-screen bg-gradient-to-br from-slate-50 to-white">
+    <div
+      id="status-page"
+      phx-hook="StatusPage"
+      data-status-page
+      data-updated-at={DateTime.to_iso8601(@updated_at)}
+      class="min-h-screen bg-gradient-to-br from-slate-50 to-white"
+    >
+      <%!-- Shown by assets/js/status_page.js while offline or reconnecting --%>
+      <div
+        id="status-stale-banner"
+        phx-update="ignore"
+        role="status"
+        class="sticky top-0 z-10 px-4 py-2 text-center text-sm text-amber-900 bg-amber-100 border-b border-amber-200"
+        hidden
+      >
+        <span data-stale-reason>You're offline.</span>
+        Showing the status from <span data-stale-age class="font-medium">just now</span>.
+      </div>
+
       <div class="max-w-3xl mx-auto px-4 py-8 sm:py-12">
         <%!-- Header --%>
         <div class="text-center mb-8">
-          <h1 class="text-2xl sm:text-3xl font-bold text-slate-900">{@status_page.title}</h1>
+          <h1 data-status-title class="text-2xl sm:text-3xl font-bold text-slate-900">
+            {@status_page.title}
+          </h1>
           <%= if @status_page.description && @status_page.description != "" do %>
             <p class="text-slate-500 mt-2 max-w-xl mx-auto">{@status_page.description}</p>
           <% end %>
@@ -71,14 +96,19 @@ defmodule PrikkeWeb.PublicStatusLive do
         ]}>
           <div class="flex items-center justify-center gap-2">
             <span class={["w-3 h-3 rounded-full", overall_dot_class(@overall)]} />
-            <span class="text-lg font-semibold">{overall_label(@overall)}</span>
+            <span class="text-lg font-semibold">{Summary.overall_label(@overall)}</span>
           </div>
         </div>
 
         <%!-- Resources --%>
         <div class="space-y-3">
           <%= for {task, status_label, daily_status, uptime} <- @task_data do %>
-            <div class="bg-white rounded-xl border border-slate-200 p-4">
+            <div
+              data-component={"task-#{task.id}"}
+              data-name={task.name}
+              data-status={status_label}
+              class="bg-white rounded-xl border border-slate-200 p-4"
+            >
               <div class="flex items-center justify-between mb-2">
                 <div class="flex items-center gap-2">
                   <span class={["w-2 h-2 rounded-full shrink-0", status_dot(status_label)]} />
@@ -103,7 +133,12 @@ defmodule PrikkeWeb.PublicStatusLive do
           <% end %>
 
           <%= for {monitor, status_label, daily_status, uptime} <- @monitor_data do %>
-            <div class="bg-white rounded-xl border border-slate-200 p-4">
+            <div
+              data-component={"monitor-#{monitor.id}"}
+              data-name={monitor.name}
+              data-status={status_label}
+              class="bg-white rounded-xl border border-slate-200 p-4"
+            >
               <div class="flex items-center justify-between mb-2">
                 <div class="flex items-center gap-2">
                   <span class={["w-2 h-2 rounded-full shrink-0", status_dot(status_label)]} />
@@ -128,7 +163,12 @@ defmodule PrikkeWeb.PublicStatusLive do
           <% end %>
 
           <%= for {endpoint, status_label} <- @endpoint_data do %>
-            <div class="bg-white rounded-xl border border-slate-200 p-4">
+            <div
+              data-component={"endpoint-#{endpoint.id}"}
+              data-name={endpoint.name}
+              data-status={status_label}
+              class="bg-white rounded-xl border border-slate-200 p-4"
+            >
               <div class="flex items-center justify-between">
                 <div class="flex items-center gap-2">
                   <span class={["w-2 h-2 rounded-full shrink-0", status_dot(status_label)]} />
@@ -143,7 +183,12 @@ defmodule PrikkeWeb.PublicStatusLive do
           <% end %>
 
           <%= for {queue, status_label, daily_status, uptime} <- @queue_data do %>
-            <div class="bg-white rounded-xl border border-slate-200 p-4">
+            <div
+              data-component={"queue-#{queue.id}"}
+              data-name={queue.name}
+              data-status={status_label}
+              class="bg-white rounded-xl border border-slate-200 p-4"
+            >
               <div class="flex items-center justify-between mb-2">
                 <div class="flex items-center gap-2">
                   <span class={["w-2 h-2 rounded-full shrink-0", status_dot(status_label)]} />
@@ -169,14 +214,35 @@ defmodule PrikkeWeb.PublicStatusLive do
         </div>
 
         <%!-- Footer --%>
-        <div class="mt-12 text-center">
-          <a
-            href="https://runlater.eu"
-            target="_blank"
-            class="text-xs text-slate-400 hover:text-slate-500 transition-colors"
+        <div class="mt-12 text-center space-y-3">
+          <p class="text-xs text-slate-400">
+            Last updated {Calendar.strftime(@updated_at, "%H:%M UTC")}
+          </p>
+          <%!-- Shown by the StatusPage hook where push notifications are supported --%>
+          <button
+            :if={WebPush.enabled?()}
+            id="status-notify-toggle"
+            type="button"
+            phx-update="ignore"
+            data-notify-toggle
+            data-push-key={WebPush.public_key()}
+            data-push-path={~p"/s/#{@status_page.slug}/push-subscriptions"}
+            aria-pressed="false"
+            class="inline-flex items-center gap-1.5 text-xs font-medium text-slate-500 hover:text-slate-700 transition-colors"
+            hidden
           >
-            Powered by Runlater
-          </a>
+            <span data-notify-icon class="hero-bell w-4 h-4"></span>
+            <span data-notify-label>Notify me of status changes</span>
+          </button>
+          <div>
+            <a
+              href="https://runlater.eu"
+              target="_blank"
+              class="text-xs text-slate-400 hover:text-slate-500 transition-colors"
+            >
+              Powered by Runlater
+            </a>
+          </div>
         </div>
       </div>
     </div>
@@ -229,102 +295,16 @@ defmodule PrikkeWeb.PublicStatusLive do
 
   # Data loading
 
-  defp load_task_data(tasks) do
-    Enum.map(tasks, fn task ->
-      daily_status = Executions.get_daily_status_for_task(task, 30)
-      uptime = Executions.task_uptime_percentage(task, 30)
-      {label, _color} = task_status(task)
-      {task, label, daily_status, uptime}
-    end)
-  end
-
-  defp load_monitor_data(monitors) do
-    Enum.map(monitors, fn monitor ->
-      daily_status = Monitors.get_daily_status([monitor], 30) |> Map.get(monitor.id, [])
-      uptime = Monitors.monitor_uptime_percentage(monitor, 30)
-      {label, _color} = monitor_status(monitor)
-      {monitor, label, daily_status, uptime}
-    end)
-  end
-
-  defp load_endpoint_data(endpoints) do
-    Enum.map(endpoints, fn endpoint ->
-      last_status = Endpoints.get_last_event_status(endpoint)
-      {label, _color} = endpoint_status(endpoint, last_status)
-      {endpoint, label}
-    end)
-  end
-
-  defp load_queue_data(queues) do
-    Enum.map(queues, fn queue ->
-      daily_status = Executions.get_daily_status_for_queue(queue.organization_id, queue.name, 30)
-      uptime = Executions.queue_uptime_percentage(queue.organization_id, queue.name, 30)
-      last_status = Executions.get_last_queue_status(queue.organization_id, queue.name)
-      {label, _color} = queue_status(last_status)
-      {queue, label, daily_status, uptime}
-    end)
-  end
-
-  # Status resolution (same logic as Badges module)
+  defp load_status(socket) do
+    summary = SummaryCache.fetch(socket.assigns.status_page)
 
-  defp task_status(%{enabled: false}), do: {"paused", "#94a3b8"}
-
-  defp task_status(%{last_execution_status: status}) do
-    case status do
-      "success" -> {"passing", "#10b981"}
-      "failed" -> {"failing", "#ef4444"}
-      "timeout" -> {"timeout", "#f97316"}
-      "running" -> {"running", "#3b82f6"}
-      _ -> {"unknown", "#94a3b8"}
-    end
-  end
-
-  defp monitor_status(%{enabled: false}), do: {"paused", "#94a3b8"}
-
-  defp monitor_status(%{status: status}) do
-    case status do
-      "up" -> {"up", "#10b981"}
-      "down" -> {"down", "#ef4444"}
-      "degraded" -> {"degraded", "#f97316"}
-      _ -> {"new", "#94a3b8"}
-    end
-  end
-
-  defp endpoint_status(%{enabled: false}, _), do: {"disabled", "#94a3b8"}
-
-  defp endpoint_status(_endpoint, last_status) do
-    case last_status do
-      "success" -> {"passing", "#10b981"}
-      "failed" -> {"failing", "#ef4444"}
-      "timeout" -> {"timeout", "#f97316"}
-      _ -> {"no data", "#94a3b8"}
-    end
-  end
-
-  defp queue_status(last_status) do
-    case last_status do
-      "success" -> {"passing", "#10b981"}
-      "failed" -> {"failing", "#ef4444"}
-      "timeout" -> {"timeout", "#f97316"}
-      _ -> {"no data", "#94a3b8"}
-    end
-  end
-
-  # Overall status computation
-
-  defp compute_overall_status(task_data, monitor_data, endpoint_data, queue_data) do
-    statuses =
-      Enum.map(task_data, fn {_, label, _, _} -> label end) ++
-        Enum.map(monitor_data, fn {_, label, _, _} -> label end) ++
-        Enum.map(endpoint_data, fn {_, label} -> label end) ++
-        Enum.map(queue_data, fn {_, label, _, _} -> label end)
-
-    cond do
-      statuses == [] -> :operational
-      Enum.any?(statuses, &(&1 in ["failing", "down"])) -> :major_outage
-      Enum.any?(statuses, &(&1 in ["timeout", "degraded"])) -> :partial_outage
-      true -> :operational
-    end
+    socket
+    |> assign(:task_data, summary.tasks)
+    |> assign(:monitor_data, summary.monitors)
+    |> assign(:endpoint_data, summary.endpoints)
+    |> assign(:queue_data, summary.queues)
+    |> assign(:overall, summary.overall)
+    |> assign(:updated_at, summary.updated_at)
   end
 
   # UI helpers
@@ -337,10 +317,6 @@ defmodule PrikkeWeb.PublicStatusLive do
   defp overall_dot_class(:partial_outage), do: "bg-amber-500"
   defp overall_dot_class(:major_outage), do: "bg-red-500"
 
-  defp overall_label(:operational), do: "All systems operational"
-  defp overall_label(:partial_outage), do: "Partial outage"
-  defp overall_label(:major_outage), do: "Major outage"
-
   defp status_dot("passing"), do: "bg-emerald-500"
   defp status_dot("up"), do: "bg-emerald-500"
   defp status_dot("failing"), do: "bg-red-500"
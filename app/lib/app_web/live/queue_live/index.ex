@@ -0,0 +1,277 @@
+defmodule PrikkeWeb.QueueLive.Index do
+  @moduledoc """
+  Live overview of an organization's named queues: how much is waiting,
+  what is running, how long the oldest due execution has waited and the
+  executions per minute, with pause, resume and purge controls.
+
+  The numbers refresh every few seconds, and sooner when an execution
+  changes. Actions go through `Prikke.Queues`, which records them in the
+  audit log.
+  """
+  use PrikkeWeb, :live_view
+
+  import PrikkeWeb.Sparkline
+
+  alias Prikke.Executions
+  alias Prikke.Queues
+
+  @refresh_interval :timer.seconds(5)
+  # Execution updates arrive in bursts on a busy queue; refresh once per burst
+  @update_debounce 1_000
+  @sparkline_minutes 30
+
+  @impl true
+  def mount(_params, session, socket) do
+    org = get_organization(socket, session)
+
+    if org do
+      if connected?(socket) do
+        Executions.subscribe_organization_executions(org.id)
+        :timer.send_interval(@refresh_interval, :refresh)
+      end
+
+      {:ok,
+       socket
+       |> assign(:organization, org)
+       |> assign(:page_title, "Queues")
+       |> assign(:sparkline_minutes, @sparkline_minutes)
+       |> assign(:refresh_scheduled, false)
+       |> load_queues()}
+    else
+      {:ok,
+       socket
+       |> put_flash(:error, "Please select an organization first")
+       |> redirect(to: ~p"/organizations")}
+    end
+  end
+
+  @impl true
+  def handle_info(:refresh, socket) do
+    {:noreply, socket |> assign(:refresh_scheduled, false) |> load_queues()}
+  end
+
+  def handle_info(
+        {:execution_updated, %{queue: queue}},
+        %{assigns: %{refresh_scheduled: false}} = socket
+      )
+      when is_binary(queue) do
+    Process.send_after(self(), :refresh, @update_debounce)
+    {:noreply, assign(socket, :refresh_scheduled, true)}
+  end
+
+  def handle_info(_, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("pause", %{"name" => name}, socket) do
+    case Queues.pause_queue(socket.assigns.organization, name,
+           scope: socket.assigns.current_scope
+         ) do
+      {:ok, _queue} ->
+        {:noreply, socket |> put_flash(:info, "Queue \"#{name}\" paused") |> load_queues()}
+
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to pause queue")}
+    end
+  end
+
+  def handle_event("resume", %{"name" => name}, socket) do
+    case Queues.resume_queue(socket.assigns.organization, name,
+           scope: socket.assigns.current_scope
+         ) do
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to resume queue")}
+
+      # A bare :ok when the queue was never paused
+      _ ->
+        {:noreply, socket |> put_flash(:info, "Queue \"#{name}\" resumed") |> load_queues()}
+    end
+  end
+
+  def handle_event("purge", %{"name" => name}, socket) do
+    case Queues.purge_queue(socket.assigns.organization, name,
+           scope: socket.assigns.current_scope
+         ) do
+      {:ok, %{cancelled: count}} ->
+        {:noreply,
+         socket
+         |> put_flash(:info, "Queue \"#{name}\" purged, #{count} tasks cancelled")
+         |> load_queues()}
+
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to purge queue")}
+    end
+  end
+
+  defp load_queues(socket) do
+    assign(
+      socket,
+      :queues,
+      Queues.list_queue_stats(socket.assigns.organization, @sparkline_minutes)
+    )
+  end
+
+  defp get_organization(socket, session) do
+    user = socket.assigns.current_scope.user
+    org_id = session["current_organization_id"]
+
+    if org_id do
+      Prikke.Accounts.get_organization_for_user(user, org_id)
+    else
+      case Prikke.Accounts.list_user_organizations(user) do
+        [org | _] -> org
+        [] -> nil
+      end
+    end
+  end
+
+  # Queue names are free text, so DOM ids use a hash of them
+  defp dom_id(name), do: "queue-#{:erlang.phash2(name)}"
+
+  defp purge_confirmation(name) do
+    "Purge queue \"#{name}\"? Its tasks are deleted and their pending executions " <>
+      "cancelled. This can't be undone."
+  end
+
+  # Executions finished in the last full minute
+  defp per_minute(%{throughput: []}), do: 0
+  defp per_minute(%{throughput: [only]}), do: only
+  defp per_minute(%{throughput: throughput}), do: Enum.at(throughput, -2)
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope}>
+      <div class="mb-4">
+        <.link
+          navigate={~p"/dashboard"}
+          class="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+        >
+          <.icon name="hero-chevron-left" class="w-4 h-4" /> Back to Dashboard
+        </.link>
+      </div>
+
+      <div class="mb-6 sm:mb-8 pl-1 sm:pl-0">
+        <h1 class="text-xl sm:text-2xl font-bold text-slate-900">Queues</h1>
+        <p class="text-slate-500 mt-1 text-sm">
+          Tasks in a named queue run one at a time, in order. Updates live.
+        </p>
+      </div>
+
+      <%= if @queues == [] do %>
+        <div class="glass-card rounded-2xl p-8 sm:p-12 text-center">
+          <div class="w-12 h-12 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <.icon name="hero-queue-list" class="w-6 h-6 text-slate-400" />
+          </div>
+          <h3 class="text-lg font-medium text-slate-900 mb-2">No queues yet</h3>
+          <p class="text-slate-500">
+            Give tasks a <code>queue</code> name to run them one at a time, in order.
+          </p>
+        </div>
+      <% else %>
+        <div class="glass-card rounded-2xl divide-y divide-slate-200/60" id="queues">
+          <div
+            :for={queue <- @queues}
+            id={dom_id(queue.name)}
+            class="px-4 sm:px-6 py-5 flex flex-col lg:flex-row lg:items-center gap-4"
+          >
+            <div class="flex-1 min-w-0">
+              <div class="flex items-center gap-2 flex-wrap">
+                <.link
+                  navigate={~p"/queues/#{queue.name}"}
+                  class="font-medium text-slate-900 hover:text-emerald-600 break-all"
+                >
+                  {queue.name}
+                </.link>
+                <span
+                  :if={queue.paused}
+                  class="inline-flex items-center gap-1 text-xs font-medium px-2 py-0.5 rounded bg-amber-100 text-amber-700"
+                >
+                  <.icon name="hero-pause-circle" class="w-3.5 h-3.5" /> Paused
+                </span>
+              </div>
+              <div class="text-xs sm:text-sm text-slate-500 mt-1 truncate">
+                <%= if queue.running do %>
+                  Running
+                  <.link
+                    navigate={~p"/tasks/#{queue.running.task_id}/executions/#{queue.running.id}"}
+                    class="text-slate-700 hover:text-emerald-600"
+                  >
+                    {queue.running.task.name}
+                  </.link>
+                  <span class="text-slate-300">·</span> started
+                  <.relative_time
+                    id={"#{dom_id(queue.name)}-running"}
+                    datetime={queue.running.started_at}
+                  />
+                <% else %>
+                  Nothing running
+                <% end %>
+              </div>
+            </div>
+
+            <dl class="grid grid-cols-3 gap-4 sm:gap-6 text-sm shrink-0">
+              <div>
+                <dt class="text-xs text-slate-400">Pending</dt>
+                <dd class="font-semibold text-slate-900 tabular-nums">{queue.pending}</dd>
+              </div>
+              <div>
+                <dt class="text-xs text-slate-400">Oldest waiting</dt>
+                <dd class="font-semibold text-slate-900 tabular-nums">
+                  <.relative_time
+                    id={"#{dom_id(queue.name)}-oldest"}
+                    datetime={queue.oldest_pending_at}
+                  />
+                </dd>
+              </div>
+              <div>
+                <dt class="text-xs text-slate-400">Per minute</dt>
+                <dd class="font-semibold text-slate-900 tabular-nums">{per_minute(queue)}</dd>
+              </div>
+            </dl>
+
+            <.sparkline
+              id={"#{dom_id(queue.name)}-sparkline"}
+              points={queue.throughput}
+              label={"Executions per minute in #{queue.name}, last #{@sparkline_minutes} minutes"}
+              class="h-8 w-full lg:w-32 shrink-0"
+            />
+
+            <div class="flex items-center gap-2 shrink-0">
+              <%= if queue.paused do %>
+                <button
+                  type="button"
+                  phx-click="resume"
+                  phx-value-name={queue.name}
+                  data-confirm={"Resume queue \"#{queue.name}\"?"}
+                  class="inline-flex items-center gap-1 text-sm font-medium text-emerald-700 bg-emerald-50 hover:bg-emerald-100 px-3 py-1.5 rounded-md transition-colors"
+                >
+                  <.icon name="hero-play" class="w-4 h-4" /> Resume
+                </button>
+              <% else %>
+                <button
+                  type="button"
+                  phx-click="pause"
+                  phx-value-name={queue.name}
+                  data-confirm={"Pause queue \"#{queue.name}\"? Pending executions will wait."}
+                  class="inline-flex items-center gap-1 text-sm font-medium text-slate-700 bg-slate-100 hover:bg-amber-50 hover:text-amber-700 px-3 py-1.5 rounded-md transition-colors"
+                >
+                  <.icon name="hero-pause" class="w-4 h-4" /> Pause
+                </button>
+              <% end %>
+              <button
+                type="button"
+                phx-click="purge"
+                phx-value-name={queue.name}
+                data-confirm={purge_confirmation(queue.name)}
+                class="inline-flex items-center gap-1 text-sm font-medium text-slate-500 hover:text-red-600 hover:bg-red-50 px-3 py-1.5 rounded-md transition-colors"
+              >
+                <.icon name="hero-trash" class="w-4 h-4" /> Purge
+              </button>
+            </div>
+          </div>
+        </div>
+      <% end %>
+    </Layouts.app>
+    """
+  end
+end
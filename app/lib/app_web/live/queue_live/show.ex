@@ -0,0 +1,302 @@
+defmodule PrikkeWeb.QueueLive.Show do
+  @moduledoc """
+  One queue's pending executions, in the order workers pick them up, next
+  to its live numbers and the same pause, resume and purge controls as
+  `PrikkeWeb.QueueLive.Index`.
+  """
+  use PrikkeWeb, :live_view
+
+  import PrikkeWeb.Sparkline
+
+  alias Prikke.Executions
+  alias Prikke.Queues
+
+  @refresh_interval :timer.seconds(5)
+  @update_debounce 1_000
+  @sparkline_minutes 30
+  @pending_limit 100
+
+  @impl true
+  def mount(%{"name" => name}, session, socket) do
+    org = get_organization(socket, session)
+
+    cond do
+      is_nil(org) ->
+        {:ok,
+         socket
+         |> put_flash(:error, "Please select an organization first")
+         |> redirect(to: ~p"/organizations")}
+
+      name not in Prikke.Tasks.list_queues(org) ->
+        {:ok,
+         socket
+         |> put_flash(:error, "Queue not found")
+         |> redirect(to: ~p"/queues")}
+
+      true ->
+        if connected?(socket) do
+          Executions.subscribe_organization_executions(org.id)
+          :timer.send_interval(@refresh_interval, :refresh)
+        end
+
+        {:ok,
+         socket
+         |> assign(:organization, org)
+         |> assign(:name, name)
+         |> assign(:page_title, "Queue #{name}")
+         |> assign(:sparkline_minutes, @sparkline_minutes)
+         |> assign(:pending_limit, @pending_limit)
+         |> assign(:refresh_scheduled, false)
+         |> load_queue()}
+    end
+  end
+
+  @impl true
+  def handle_info(:refresh, socket) do
+    {:noreply, socket |> assign(:refresh_scheduled, false) |> load_queue()}
+  end
+
+  def handle_info(
+        {:execution_updated, %{queue: queue}},
+        %{assigns: %{name: queue, refresh_scheduled: false}} = socket
+      ) do
+    Process.send_after(self(), :refresh, @update_debounce)
+    {:noreply, assign(socket, :refresh_scheduled, true)}
+  end
+
+  def handle_info(_, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("pause", _params, socket) do
+    %{organization: org, name: name, current_scope: scope} = socket.assigns
+
+    case Queues.pause_queue(org, name, scope: scope) do
+      {:ok, _queue} ->
+        {:noreply, socket |> put_flash(:info, "Queue \"#{name}\" paused") |> load_queue()}
+
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to pause queue")}
+    end
+  end
+
+  def handle_event("resume", _params, socket) do
+    %{organization: org, name: name, current_scope: scope} = socket.assigns
+
+    case Queues.resume_queue(org, name, scope: scope) do
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to resume queue")}
+
+      # A bare :ok when the queue was never paused
+      _ ->
+        {:noreply, socket |> put_flash(:info, "Queue \"#{name}\" resumed") |> load_queue()}
+    end
+  end
+
+  def handle_event("purge", _params, socket) do
+    %{organization: org, name: name, current_scope: scope} = socket.assigns
+
+    case Queues.purge_queue(org, name, scope: scope) do
+      {:ok, %{cancelled: count}} ->
+        {:noreply,
+         socket
+         |> put_flash(:info, "Queue \"#{name}\" purged, #{count} tasks cancelled")
+         |> push_navigate(to: ~p"/queues")}
+
+      {:error, _} ->
+        {:noreply, put_flash(socket, :error, "Failed to purge queue")}
+    end
+  end
+
+  defp load_queue(socket) do
+    %{organization: org, name: name} = socket.assigns
+
+    stats =
+      org
+      |> Queues.list_queue_stats(@sparkline_minutes)
+      |> Enum.find(empty_stats(), &(&1.name == name))
+
+    socket
+    |> assign(:queue, stats)
+    |> assign(:pending, Queues.list_pending_executions(org, name, @pending_limit))
+  end
+
+  defp get_organization(socket, session) do
+    user = socket.assigns.current_scope.user
+    org_id = session["current_organization_id"]
+
+    if org_id do
+      Prikke.Accounts.get_organization_for_user(user, org_id)
+    else
+      case Prikke.Accounts.list_user_organizations(user) do
+        [org | _] -> org
+        [] -> nil
+      end
+    end
+  end
+
+  # A queue whose tasks were all deleted while the page was open
+  defp empty_stats do
+    %{
+      pending: 0,
+      running: nil,
+      oldest_pending_at: nil,
+      paused: false,
+      throughput: List.duplicate(0, @sparkline_minutes)
+    }
+  end
+
+  defp purge_confirmation(name) do
+    "Purge queue \"#{name}\"? Its tasks are deleted and their pending executions " <>
+      "cancelled. This can't be undone."
+  end
+
+  defp due?(execution), do: DateTime.compare(execution.scheduled_for, DateTime.utc_now()) != :gt
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope}>
+      <div class="mb-4">
+        <.link
+          navigate={~p"/queues"}
+          class="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+        >
+          <.icon name="hero-chevron-left" class="w-4 h-4" /> Back to Queues
+        </.link>
+      </div>
+
+      <div class="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 sm:gap-4 mb-6 pl-1 sm:pl-0">
+        <div class="flex items-center gap-2 flex-wrap">
+          <h1 class="text-xl sm:text-2xl font-bold text-slate-900 break-all">{@name}</h1>
+          <span
+            :if={@queue.paused}
+            class="inline-flex items-center gap-1 text-xs font-medium px-2 py-0.5 rounded bg-amber-100 text-amber-700"
+          >
+            <.icon name="hero-pause-circle" class="w-3.5 h-3.5" /> Paused
+          </span>
+        </div>
+        <div class="flex items-center gap-2">
+          <%= if @queue.paused do %>
+            <button
+              type="button"
+              phx-click="resume"
+              data-confirm={"Resume queue \"#{@name}\"?"}
+              class="inline-flex items-center gap-1 text-sm font-medium text-emerald-700 bg-emerald-50 hover:bg-emerald-100 px-3 py-1.5 rounded-md transition-colors"
+            >
+              <.icon name="hero-play" class="w-4 h-4" /> Resume
+            </button>
+          <% else %>
+            <button
+              type="button"
+              phx-click="pause"
+              data-confirm={"Pause queue \"#{@name}\"? Pending executions will wait."}
+              class="inline-flex items-center gap-1 text-sm font-medium text-slate-700 bg-slate-100 hover:bg-amber-50 hover:text-amber-700 px-3 py-1.5 rounded-md transition-colors"
+            >
+              <.icon name="hero-pause" class="w-4 h-4" /> Pause
+            </button>
+          <% end %>
+          <button
+            type="button"
+            phx-click="purge"
+            data-confirm={purge_confirmation(@name)}
+            class="inline-flex items-center gap-1 text-sm font-medium text-slate-500 hover:text-red-600 hover:bg-red-50 px-3 py-1.5 rounded-md transition-colors"
+          >
+            <.icon name="hero-trash" class="w-4 h-4" /> Purge
+          </button>
+        </div>
+      </div>
+
+      <div class="glass-card rounded-2xl p-4 sm:p-6 mb-6 flex flex-col sm:flex-row sm:items-center gap-4">
+        <dl class="grid grid-cols-3 gap-4 sm:gap-8 text-sm flex-1">
+          <div>
+            <dt class="text-xs text-slate-400">Pending</dt>
+            <dd class="text-lg font-semibold text-slate-900 tabular-nums">{@queue.pending}</dd>
+          </div>
+          <div>
+            <dt class="text-xs text-slate-400">Oldest waiting</dt>
+            <dd class="text-lg font-semibold text-slate-900 tabular-nums">
+              <.relative_time id="queue-oldest" datetime={@queue.oldest_pending_at} />
+            </dd>
+          </div>
+          <div>
+            <dt class="text-xs text-slate-400">Running</dt>
+            <dd class="text-sm font-medium text-slate-900 truncate">
+              <%= if @queue.running do %>
+                <.link
+                  navigate={~p"/tasks/#{@queue.running.task_id}/executions/#{@queue.running.id}"}
+                  class="hover:text-emerald-600"
+                >
+                  {@queue.running.task.name}
+                </.link>
+              <% else %>
+                —
+              <% end %>
+            </dd>
+          </div>
+        </dl>
+        <div class="sm:w-48">
+          <div class="text-xs text-slate-400 mb-1">
+            Executions per minute, last {@sparkline_minutes} min
+          </div>
+          <.sparkline
+            id="queue-sparkline"
+            points={@queue.throughput}
+            label={"Executions per minute in #{@name}"}
+            class="h-10 w-full"
+          />
+        </div>
+      </div>
+
+      <div class="glass-card rounded-2xl overflow-hidden">
+        <div class="px-4 sm:px-6 py-3 border-b border-slate-200/60 flex items-center justify-between">
+          <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider">
+            Pending, in run order
+          </h2>
+          <span :if={@queue.pending > @pending_limit} class="text-xs text-slate-400">
+            First {@pending_limit} of {@queue.pending}
+          </span>
+        </div>
+        <%= if @pending == [] do %>
+          <p class="px-4 sm:px-6 py-8 text-sm text-center text-slate-400">Nothing waiting</p>
+        <% else %>
+          <ol id="queue-pending" class="divide-y divide-slate-200/60">
+            <li
+              :for={{execution, position} <- Enum.with_index(@pending, 1)}
+              id={"pending-#{execution.id}"}
+              class="px-4 sm:px-6 py-3 flex items-center gap-4 text-sm"
+            >
+              <span class="w-8 text-right text-slate-400 tabular-nums shrink-0">{position}</span>
+              <div class="flex-1 min-w-0">
+                <.link
+                  navigate={~p"/tasks/#{execution.task_id}"}
+                  class="font-medium text-slate-900 hover:text-emerald-600 truncate block"
+                >
+                  {execution.task.name}
+                </.link>
+                <div :if={execution.attempt > 1} class="text-xs text-slate-400">
+                  Retry, attempt {execution.attempt}
+                </div>
+              </div>
+              <span class={[
+                "text-xs font-medium px-2 py-0.5 rounded shrink-0",
+                if(due?(execution),
+                  do: "bg-blue-100 text-blue-700",
+                  else: "bg-slate-100 text-slate-600"
+                )
+              ]}>
+                {if due?(execution), do: "Due", else: "Scheduled"}
+              </span>
+              <span class="text-xs text-slate-500 shrink-0 w-36 text-right">
+                <.local_time
+                  id={"pending-#{execution.id}-at"}
+                  datetime={execution.scheduled_for}
+                />
+              </span>
+            </li>
+          </ol>
+        <% end %>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
@@ -323,6 +323,35 @@ defmodule PrikkeWeb.StatusLive.Index do
           <% end %>
         </div>
 
+        <%!-- Status Widget Card --%>
+        <%= if @status_page.enabled do %>
+          <div class="glass-card rounded-2xl p-6">
+            <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider mb-4">
+              Status Widget
+            </h2>
+            <p class="text-sm text-slate-500 mb-4">
+              Show your live status on your own site. The widget refreshes every minute and is
+              styled in isolation from your CSS. Set <code>data-theme</code>
+              to <code>light</code>, <code>dark</code> or <code>auto</code>.
+            </p>
+            <div class="space-y-4">
+              <.widget_embed
+                :for={
+                  {view, label} <- [
+                    {"pill", "Status pill"},
+                    {"banner", "Incident banner (hidden while all systems are operational)"},
+                    {"bar", "Uptime bar"}
+                  ]
+                }
+                view={view}
+                label={label}
+                slug={@status_page.slug}
+                base_url={@base_url}
+              />
+            </div>
+          </div>
+        <% end %>
+
         <%!-- Embed Codes Card --%>
         <% visible_items = Map.values(@items_by_resource) %>
         <%= if visible_items != [] do %>
@@ -408,6 +437,33 @@ defmodule PrikkeWeb.StatusLive.Index do
     """
   end
 
+  defp widget_embed(assigns) do
+    assigns =
+      assign(assigns, :snippet, """
+      <div data-runlater-status="#{assigns.slug}" data-view="#{assigns.view}" data-theme="auto"></div>
+      <script src="#{assigns.base_url}/assets/js/status_widget.js" async></script>\
+      """)
+
+    ~H"""
+    <div>
+      <p class="text-xs text-slate-400 mb-1">{@label}</p>
+      <div class="flex items-start gap-2 bg-slate-100 rounded p-2">
+        <pre class="flex-1 text-xs text-slate-700 whitespace-pre-wrap break-all select-all m-0">{@snippet}</pre>
+        <button
+          type="button"
+          id={"copy-widget-#{@view}"}
+          phx-hook="CopyToClipboard"
+          data-clipboard-text={@snippet}
+          class="shrink-0 text-slate-400 hover:text-emerald-600 p-1 rounded transition-colors cursor-pointer"
+          title="Copy to clipboard"
+        >
+          <.icon name="hero-clipboard-document" class="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+    """
+  end
+
   defp badge_embed_section(assigns) do
     ~H"""
     <div>
@@ -9,17 +9,27 @@ defmodule PrikkeWeb.SuperadminLive do
   alias Prikke.Analytics
   alias Prikke.Audit
   alias Prikke.Emails
+  alias Prikke.Metrics
+
+  # New chart points are pushed in step with Prikke.Metrics sampling
+  @console_interval 30_000
 
   @impl true
   def mount(_params, _session, socket) do
     if connected?(socket) do
       # Auto-refresh every 2 minutes (heavy DB queries)
       :timer.send_interval(120_000, :refresh)
+      :timer.send_interval(@console_interval, :tick)
     end
 
     socket =
       socket
       |> assign(:page_title, "Superadmin Dashboard")
+      |> assign(:metrics_windows, Executions.series_windows())
+      |> assign(:metrics_window, "1h")
+      |> assign(:metrics_series, Executions.system_series("1h"))
+      |> assign(:metrics_annotations, alert_annotations())
+      |> load_metrics()
       |> load_stats()
 
     {:ok, socket}
@@ -30,6 +40,48 @@ defmodule PrikkeWeb.SuperadminLive do
     {:noreply, load_stats(socket)}
   end
 
+  # Only the latest two buckets are sent: the one that just filled up and the
+  # one in progress. The MetricsConsole hook merges them into its charts.
+  def handle_info(:tick, socket) do
+    {:noreply,
+     socket
+     |> load_metrics()
+     |> push_event("metrics:points", console_payload(socket.assigns.metrics_window, buckets: 2))}
+  end
+
+  @impl true
+  def handle_event("metrics_window", %{"window" => window}, socket) do
+    if window in Executions.series_windows() do
+      {:noreply,
+       socket
+       |> assign(:metrics_window, window)
+       |> push_event("metrics:reset", console_payload(window, []))}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  defp console_payload(window, opts) do
+    %{
+      window: window,
+      points: Executions.system_series(window, opts),
+      annotations: alert_annotations()
+    }
+  end
+
+  # Cleared and active alerts, drawn as bands on the console charts. Active
+  # ones have no `until` yet.
+  defp alert_annotations do
+    Metrics.alert_history() ++ Metrics.alerts()
+  end
+
+  defp load_metrics(socket) do
+    socket
+    |> assign(:metrics, Metrics.current())
+    |> assign(:metrics_history, Metrics.recent(60))
+    |> assign(:system_alerts, Metrics.alerts())
+  end
+
   defp load_stats(socket) do
     now = DateTime.utc_now()
     seven_days_ago = DateTime.add(now, -7, :day)
@@ -98,14 +150,8 @@ defmodule PrikkeWeb.SuperadminLive do
     emails_this_month = Emails.count_emails_this_month()
     monthly_summary_emails = Emails.list_monthly_summary_emails(limit: 12)
 
-    # System performance metrics
-    metrics = Prikke.Metrics.current()
-    metrics_history = Prikke.Metrics.recent(60)
+    # Webhook response times
     duration_percentiles = Executions.get_duration_percentiles()
-    queue_wait = Executions.get_avg_queue_wait()
-    scheduling_precision = Executions.get_scheduling_precision()
-    throughput = Executions.throughput_per_minute(60)
-    system_alerts = Prikke.Metrics.alerts()
 
     # API response time metrics (from ETS, no DB queries)
     api_percentiles = Prikke.ApiMetrics.percentiles()
@@ -113,13 +159,7 @@ defmodule PrikkeWeb.SuperadminLive do
     api_slowest = Prikke.ApiMetrics.slowest(10)
 
     socket
-    |> assign(:metrics, metrics)
-    |> assign(:metrics_history, metrics_history)
     |> assign(:duration_percentiles, duration_percentiles)
-    |> assign(:queue_wait, queue_wait)
-    |> assign(:scheduling_precision, scheduling_precision)
-    |> assign(:throughput, throughput)
-    |> assign(:system_alerts, system_alerts)
     |> assign(:api_percentiles, api_percentiles)
     |> assign(:api_by_group, api_by_group)
     |> assign(:api_slowest, api_slowest)
@@ -349,9 +389,36 @@ defmodule PrikkeWeb.SuperadminLive do
       
     <!-- System Performance -->
       <div class="glass-card rounded-2xl p-6 mb-8">
-        <div class="flex justify-between items-center mb-4">
+        <div class="flex flex-wrap justify-between items-center gap-3 mb-4">
           <h2 class="text-lg font-semibold text-slate-900">System Performance</h2>
-          <span class="text-xs text-slate-400">Updated every 10s</span>
+          <div class="flex items-center gap-3">
+            <span class="flex items-center gap-1.5 text-xs text-slate-400">
+              <span class="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse"></span> Live
+            </span>
+            <div
+              id="metrics-window"
+              role="group"
+              aria-label="Chart window"
+              class="inline-flex rounded-lg border border-slate-200 bg-white/50 p-0.5"
+            >
+              <button
+                :for={window <- @metrics_windows}
+                type="button"
+                phx-click="metrics_window"
+                phx-value-window={window}
+                aria-pressed={to_string(@metrics_window == window)}
+                class={[
+                  "px-2.5 py-1 text-xs font-medium rounded-md transition-colors cursor-pointer",
+                  if(@metrics_window == window,
+                    do: "bg-white text-slate-900 shadow-sm",
+                    else: "text-slate-500 hover:text-slate-700"
+                  )
+                ]}
+              >
+                {window}
+              </button>
+            </div>
+          </div>
         </div>
         
     <!-- Real-time metrics -->
@@ -414,6 +481,30 @@ defmodule PrikkeWeb.SuperadminLive do
           </div>
         </div>
         
+    <!-- Operations console -->
+        <div
+          id="metrics-console"
+          phx-hook="MetricsConsole"
+          phx-update="ignore"
+          data-window={@metrics_window}
+          data-series={Jason.encode!(@metrics_series)}
+          data-annotations={Jason.encode!(@metrics_annotations)}
+          class="border-t border-white/50 pt-4 mb-4 grid grid-cols-1 md:grid-cols-2 gap-6"
+        >
+          <.console_chart
+            metric="worker_utilization"
+            title="Worker Utilization"
+            format="percent"
+          />
+          <.console_chart metric="queue_wait_ms" title="Queue Wait (avg)" format="duration" />
+          <.console_chart
+            metric="scheduling_lag_ms"
+            title="Scheduling Lag (p95)"
+            format="duration"
+          />
+          <.console_chart metric="throughput" title="Throughput" format="rate" />
+        </div>
+        
     <!-- Response time percentiles -->
         <div class="border-t border-white/50 pt-4 mb-4">
           <div class="text-sm font-medium text-slate-700 mb-3">
@@ -453,39 +544,8 @@ defmodule PrikkeWeb.SuperadminLive do
           </div>
         </div>
         
-    <!-- Secondary metrics -->
+    <!-- BEAM -->
         <div class="border-t border-white/50 pt-4 grid grid-cols-2 md:grid-cols-5 gap-4">
-          <div>
-            <div class="text-xs text-slate-500">Queue Wait (avg)</div>
-            <div class="text-base font-semibold text-slate-900">
-              {format_duration_short(@queue_wait && @queue_wait.avg_wait_ms)}
-            </div>
-          </div>
-          <div>
-            <div class="text-xs text-slate-500">Sched Precision (p95)</div>
-            <div class={[
-              "text-base font-semibold",
-              cond do
-                @scheduling_precision == nil || @scheduling_precision.count == 0 -> "text-slate-400"
-                @scheduling_precision.p95 <= 30_000 -> "text-emerald-600"
-                true -> "text-red-600"
-              end
-            ]}>
-              {format_duration_short(@scheduling_precision && @scheduling_precision.p95)}
-            </div>
-          </div>
-          <div>
-            <div class="text-xs text-slate-500">Throughput</div>
-            <div class="text-base font-semibold text-slate-900">
-              {throughput_per_min(@throughput)}/min
-            </div>
-          </div>
-          <div>
-            <div class="text-xs text-slate-500">Peak Throughput</div>
-            <div class="text-base font-semibold text-slate-900">
-              {peak_throughput(@throughput)}/min
-            </div>
-          </div>
           <div>
             <div class="text-xs text-slate-500">BEAM Processes</div>
             <div class="text-base font-semibold text-slate-900">
@@ -519,6 +579,14 @@ defmodule PrikkeWeb.SuperadminLive do
                   <span>
                     {alert.metric}: {alert.value}
                   </span>
+                  <span class="ml-auto text-xs opacity-75">
+                    since
+                    <.local_time
+                      id={"alert-since-#{alert.metric}"}
+                      datetime={alert.since}
+                      format="time"
+                    />
+                  </span>
                 </div>
               <% end %>
             </div>
@@ -1138,6 +1206,28 @@ defmodule PrikkeWeb.SuperadminLive do
     """
   end
 
+  # A chart of the operations console. The MetricsConsole hook draws into
+  # `data-console-canvas` and keeps `data-console-value` at the latest value.
+  # `format` is one of "percent", "duration" or "rate".
+
+  defp console_chart(assigns) do
+    ~H"""
+    <div data-console-chart={@metric} data-format={@format} class="min-w-0">
+      <div class="flex items-baseline justify-between gap-2 mb-1">
+        <div class="text-sm text-slate-500">{@title}</div>
+        <div data-console-value class="text-sm font-semibold text-slate-900">-</div>
+      </div>
+      <div
+        data-console-canvas
+        role="img"
+        aria-label={"#{@title} chart"}
+        class="relative h-24 select-none touch-none"
+      >
+      </div>
+    </div>
+    """
+  end
+
   defp stat_card(assigns) do
     assigns = assign_new(assigns, :subtitle, fn -> nil end)
     assigns = assign_new(assigns, :color, fn -> "text-slate-900" end)
@@ -1236,23 +1326,6 @@ defmodule PrikkeWeb.SuperadminLive do
   defp format_duration_short(ms) when ms < 60_000, do: "#{Float.round(ms / 1000, 1)}s"
   defp format_duration_short(ms), do: "#{Float.round(ms / 60_000, 1)}m"
 
-  defp throughput_per_min([]), do: "0"
-
-  defp throughput_per_min(throughput) do
-    total = Enum.reduce(throughput, 0, fn {_ts, count}, acc -> acc + count end)
-    minutes = max(length(throughput), 1)
-    Float.round(total / minutes, 1) |> to_string()
-  end
-
-  defp peak_throughput([]), do: "0"
-
-  defp peak_throughput(throughput) do
-    throughput
-    |> Enum.map(fn {_ts, count} -> count end)
-    |> Enum.max()
-    |> to_string()
-  end
-
   defp action_badge_class("created"), do: "bg-emerald-100 text-emerald-700"
   defp action_badge_class("updated"), do: "bg-blue-100 text-blue-700"
   defp action_badge_class("deleted"), do: "bg-red-100 text-red-700"
@@ -0,0 +1,193 @@
+defmodule PrikkeWeb.SyncLive do
+  @moduledoc """
+  Declarative sync from the browser: export the organization's config as
+  JSON, edit it or load a file, review the plan of changes and apply it.
+
+  Editing, file handling and the plan diff live in the SyncPlan hook
+  (assets/js/sync_plan.js). Planning and applying go through
+  `Prikke.Sync`, like `PUT /api/v1/sync` with and without `dry_run`.
+  """
+  use PrikkeWeb, :live_view
+
+  alias Prikke.Sync
+
+  @impl true
+  def mount(_params, session, socket) do
+    org = get_organization(socket, session)
+
+    if org do
+      {:ok,
+       socket
+       |> assign(:organization, org)
+       |> assign(:page_title, "Sync")
+       |> assign(:config, export_json(org))}
+    else
+      {:ok,
+       socket
+       |> put_flash(:error, "Please select an organization first")
+       |> redirect(to: ~p"/organizations")}
+    end
+  end
+
+  @impl true
+  def handle_event("plan", %{"config" => config}, socket) when is_map(config) do
+    case Sync.plan(socket.assigns.organization, config) do
+      {:ok, plan} ->
+        {:reply, %{ok: true, plan: plan, message: Sync.plan_message(plan)}, socket}
+
+      {:error, reason} ->
+        {:reply, error_reply(reason), socket}
+    end
+  end
+
+  def handle_event("apply", %{"config" => config}, socket) when is_map(config) do
+    %{organization: org, current_scope: scope} = socket.assigns
+
+    case Sync.run(org, config, scope: scope) do
+      {:ok, summary} ->
+        config = export_json(org)
+
+        {:reply, %{ok: true, message: Sync.summary_message(summary), config: config},
+         assign(socket, :config, config)}
+
+      {:error, reason} ->
+        {:reply, error_reply(reason), socket}
+    end
+  end
+
+  def handle_event(event, _params, socket) when event in ["plan", "apply"] do
+    {:reply, error_reply(:no_resources), socket}
+  end
+
+  defp error_reply(:no_resources) do
+    %{ok: false, message: "The config needs a \"tasks\", \"monitors\" or \"endpoints\" list"}
+  end
+
+  defp error_reply(%{errors: errors}) do
+    %{ok: false, message: "Nothing was changed, the config has errors", errors: errors}
+  end
+
+  defp error_reply(_reason), do: %{ok: false, message: "Sync failed"}
+
+  defp export_json(org), do: org |> Sync.export() |> Jason.encode!(pretty: true)
+
+  defp get_organization(socket, session) do
+    user = socket.assigns.current_scope.user
+    org_id = session["current_organization_id"]
+
+    if org_id do
+      Prikke.Accounts.get_organization_for_user(user, org_id)
+    else
+      case Prikke.Accounts.list_user_organizations(user) do
+        [org | _] -> org
+        [] -> nil
+      end
+    end
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope}>
+      <div class="mb-4">
+        <.link
+          navigate={~p"/dashboard"}
+          class="text-sm text-slate-500 hover:text-slate-700 flex items-center gap-1"
+        >
+          <.icon name="hero-chevron-left" class="w-4 h-4" /> Back to Dashboard
+        </.link>
+      </div>
+
+      <div class="mb-6 sm:mb-8 pl-1 sm:pl-0">
+        <h1 class="text-xl sm:text-2xl font-bold text-slate-900">Sync</h1>
+        <p class="text-slate-500 mt-1 text-sm">
+          Your recurring tasks, monitors and endpoints as one JSON config, in the format of
+          <.link href={~p"/docs/api"} class="text-emerald-600 hover:underline">
+            <code>PUT /api/v1/sync</code>
+          </.link>. Edit it or load a file, then review the plan before applying it.
+        </p>
+      </div>
+
+      <div id="sync" phx-hook="SyncPlan" data-export={@config} class="space-y-6">
+        <div class="glass-card rounded-2xl overflow-hidden">
+          <div class="px-4 sm:px-6 py-3 border-b border-slate-200/60 flex flex-wrap items-center justify-between gap-2">
+            <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wider">Config</h2>
+            <div class="flex items-center gap-1">
+              <button
+                type="button"
+                data-sync-download
+                class="inline-flex items-center gap-1 text-xs font-medium text-slate-600 hover:text-emerald-600 hover:bg-emerald-50 px-2 py-1 rounded transition-colors cursor-pointer"
+              >
+                <.icon name="hero-arrow-down-tray" class="w-4 h-4" /> Download
+              </button>
+              <label class="inline-flex items-center gap-1 text-xs font-medium text-slate-600 hover:text-emerald-600 hover:bg-emerald-50 px-2 py-1 rounded transition-colors cursor-pointer">
+                <.icon name="hero-arrow-up-tray" class="w-4 h-4" /> Upload
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  data-sync-upload
+                  class="sr-only"
+                />
+              </label>
+              <button
+                type="button"
+                data-sync-reset
+                class="inline-flex items-center gap-1 text-xs font-medium text-slate-600 hover:text-emerald-600 hover:bg-emerald-50 px-2 py-1 rounded transition-colors cursor-pointer"
+              >
+                <.icon name="hero-arrow-uturn-left" class="w-4 h-4" /> Reset to current
+              </button>
+            </div>
+          </div>
+          <textarea
+            id="sync-config"
+            phx-update="ignore"
+            data-sync-config
+            aria-label="Sync config (JSON)"
+            spellcheck="false"
+            rows="20"
+            class="block w-full border-0 bg-white/40 px-4 sm:px-6 py-4 font-mono text-xs text-slate-800 focus:ring-0 resize-y"
+          >{@config}</textarea>
+          <div class="px-4 sm:px-6 py-3 border-t border-slate-200/60 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <label class="flex items-center gap-2 text-sm text-slate-600">
+              <input
+                type="checkbox"
+                data-sync-delete-removed
+                class="rounded border-slate-300 text-emerald-600 focus:ring-emerald-500"
+              /> Delete resources missing from the config
+            </label>
+            <div class="flex items-center gap-2">
+              <button
+                type="button"
+                data-sync-plan
+                class="inline-flex items-center gap-1 text-sm font-medium text-slate-700 bg-slate-100 hover:bg-slate-200 px-3 py-1.5 rounded-md transition-colors cursor-pointer disabled:opacity-50"
+              >
+                <.icon name="hero-document-magnifying-glass" class="w-4 h-4" /> Plan
+              </button>
+              <button
+                type="button"
+                data-sync-apply
+                disabled
+                class="inline-flex items-center gap-1 text-sm font-medium text-white bg-emerald-600 hover:bg-emerald-700 px-3 py-1.5 rounded-md transition-colors cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <.icon name="hero-check" class="w-4 h-4" /> Apply
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div
+          id="sync-output"
+          phx-update="ignore"
+          data-sync-output
+          aria-live="polite"
+          class="glass-card rounded-2xl p-4 sm:p-6 text-sm"
+        >
+          <p class="text-slate-400">
+            Plan the config to see what would be created, updated and deleted.
+          </p>
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
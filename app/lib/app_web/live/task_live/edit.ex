@@ -2,6 +2,8 @@ defmodule PrikkeWeb.TaskLive.Edit do
   use PrikkeWeb, :live_view
 
   import PrikkeWeb.CronBuilder
+  import PrikkeWeb.RequestEditors, only: [headers_editor: 1, body_editor: 1]
+  import PrikkeWeb.TestRequestPanel, only: [test_request_panel: 1]
 
   alias Prikke.Cron
   alias Prikke.Tasks
@@ -47,6 +49,7 @@ defmodule PrikkeWeb.TaskLive.Edit do
            |> assign(:cron_weekdays, cron_weekdays)
            |> assign(:cron_day_of_month, cron_day_of_month)
            |> assign(:test_result, nil)
+           |> assign(:test_run, 0)
            |> assign(:testing, false)
            |> assign(:failure_notification_mode, notification_mode(task.on_failure_url))
            |> assign(:recovery_notification_mode, notification_mode(task.on_recovery_url))
@@ -79,7 +82,7 @@ defmodule PrikkeWeb.TaskLive.Edit do
   end
 
   def handle_event("save", %{"task" => task_params}, socket) do
-    {task_params, _, _} = task_params |> parse_headers() |> cast_notification_overrides(socket)
+    {task_params, _, _} = cast_notification_overrides(task_params, socket)
 
     case Tasks.update_task(socket.assigns.organization, socket.assigns.task, task_params,
            scope: socket.assigns.current_scope
@@ -196,29 +199,20 @@ defmodule PrikkeWeb.TaskLive.Edit do
   end
 
   def handle_event("test_url", _, socket) do
-    changeset = socket.assigns.form.source
-
-    url = Ecto.Changeset.get_field(changeset, :url)
-    method = Ecto.Changeset.get_field(changeset, :method)
-    body = Ecto.Changeset.get_field(changeset, :body)
-    timeout_ms = parse_timeout(Ecto.Changeset.get_field(changeset, :timeout_ms))
-    headers = Ecto.Changeset.get_field(changeset, :headers) || %{}
-
-    async_task =
-      Elixir.Task.async(fn ->
-        Tasks.test_webhook(%{
-          url: url,
-          method: method,
-          headers: headers,
-          body: body,
-          timeout_ms: timeout_ms
-        })
-      end)
+    org = socket.assigns.organization
+
+    task =
+      socket.assigns.form.source
+      |> Ecto.Changeset.apply_changes()
+      |> Map.merge(%{organization: org, organization_id: org.id})
+
+    async_task = Elixir.Task.async(fn -> Tasks.send_test_request(task) end)
 
     {:noreply,
      socket
      |> assign(:testing, true)
      |> assign(:test_result, nil)
+     |> update(:test_run, &(&1 + 1))
      |> assign(:test_task_ref, async_task.ref)}
   end
 
@@ -262,17 +256,6 @@ defmodule PrikkeWeb.TaskLive.Edit do
 
   def handle_info(_msg, socket), do: {:noreply, socket}
 
-  defp parse_timeout(val) when is_integer(val), do: val
-
-  defp parse_timeout(val) when is_binary(val) do
-    case Integer.parse(val) do
-      {n, _} -> n
-      :error -> 10_000
-    end
-  end
-
-  defp parse_timeout(_), do: 10_000
-
   defp cast_notification_overrides(params, socket) do
     failure_mode = Map.get(params, "failure_notification_mode", socket.assigns.failure_notification_mode)
     recovery_mode = Map.get(params, "recovery_notification_mode", socket.assigns.recovery_notification_mode)
@@ -302,20 +285,6 @@ defmodule PrikkeWeb.TaskLive.Edit do
   defp notification_mode(url) when is_binary(url) and url != "", do: "custom"
   defp notification_mode(_), do: "default"
 
-  defp parse_headers(%{"headers_json" => json} = params) when is_binary(json) and json != "" do
-    case Jason.decode(json) do
-      {:ok, headers} when is_map(headers) ->
-        params
-        |> Map.delete("headers_json")
-        |> Map.put("headers", headers)
-
-      _ ->
-        params |> Map.put("headers", %{})
-    end
-  end
-
-  defp parse_headers(params), do: params
-
   defp get_organization(socket, session) do
     user = socket.assigns.current_scope.user
     org_id = session["current_organization_id"]
@@ -348,57 +317,6 @@ defmodule PrikkeWeb.TaskLive.Edit do
     assign_form(socket, changeset)
   end
 
-  defp test_result_panel(assigns) do
-    ~H"""
-    <div id="test-result-panel" class="mb-4 rounded-lg border overflow-hidden">
-      <%= case @test_result do %>
-        <% {:ok, result} -> %>
-          <div class={[
-            "px-4 py-3 flex items-center justify-between",
-            (result.status >= 200 and result.status < 300) && "bg-emerald-50 border-emerald-200",
-            (result.status < 200 or result.status >= 300) && "bg-red-50 border-red-200"
-          ]}>
-            <div class="flex items-center gap-3">
-              <%= if result.status >= 200 and result.status < 300 do %>
-                <.icon name="hero-check-circle" class="w-5 h-5 text-emerald-600" />
-              <% else %>
-                <.icon name="hero-x-circle" class="w-5 h-5 text-red-600" />
-              <% end %>
-              <span class="font-mono text-sm font-medium">HTTP {result.status}</span>
-              <span class="text-sm text-slate-500">{result.duration_ms}ms</span>
-            </div>
-            <button
-              type="button"
-              phx-click="dismiss_test_result"
-              class="text-slate-400 hover:text-slate-600 cursor-pointer"
-            >
-              <.icon name="hero-x-mark" class="w-4 h-4" />
-            </button>
-          </div>
-          <%= if result.body && result.body != "" do %>
-            <div class="px-4 py-3 bg-white/50 border-t border-slate-100">
-              <pre class="text-xs font-mono text-slate-700 whitespace-pre-wrap break-all max-h-48 overflow-y-auto"><%= result.body %></pre>
-            </div>
-          <% end %>
-        <% {:error, message} -> %>
-          <div class="px-4 py-3 bg-red-50 border-red-200 flex items-center justify-between">
-            <div class="flex items-center gap-3">
-              <.icon name="hero-x-circle" class="w-5 h-5 text-red-600" />
-              <span class="text-sm text-red-700">{message}</span>
-            </div>
-            <button
-              type="button"
-              phx-click="dismiss_test_result"
-              class="text-slate-400 hover:text-slate-600 cursor-pointer"
-            >
-              <.icon name="hero-x-mark" class="w-4 h-4" />
-            </button>
-          </div>
-      <% end %>
-    </div>
-    """
-  end
-
   defp parse_cron_for_builder(nil), do: {:simple, "every_hour", "0", "9", ["1"], "1"}
 
   defp parse_cron_for_builder(expression) do
@@ -620,16 +538,18 @@ defmodule PrikkeWeb.TaskLive.Edit do
               ]}
             >
               <%= if @testing do %>
-                <.icon name="hero-arrow-path" class="w-4 h-4 animate-spin" /> Testing...
+                <.icon name="hero-arrow-path" class="w-4 h-4 animate-spin" /> Sending...
               <% else %>
-                <.icon name="hero-play" class="w-4 h-4" /> Test URL
+                <.icon name="hero-play" class="w-4 h-4" /> Send test request
               <% end %>
             </button>
           </div>
 
-          <%= if @test_result do %>
-            <.test_result_panel test_result={@test_result} />
-          <% end %>
+          <.test_request_panel
+            :if={@test_result}
+            id={"test-result-#{@test_run}"}
+            result={@test_result}
+          />
 
           <div class="space-y-4">
             <div class="grid grid-cols-2 gap-4">
@@ -652,29 +572,25 @@ defmodule PrikkeWeb.TaskLive.Edit do
             </div>
 
             <div>
-              <label for="task_headers" class="block text-sm font-medium text-slate-700 mb-1">
-                Headers <span class="text-slate-400 font-normal">(JSON)</span>
+              <label for="task_headers_json" class="block text-sm font-medium text-slate-700 mb-1">
+                Headers
               </label>
-              <.input
+              <.headers_editor
+                id="task-headers-editor"
                 field={@form[:headers_json]}
-                type="textarea"
-                rows="6"
                 placeholder='{"Content-Type": "application/json"}'
-                class="w-full px-4 py-3 font-mono text-sm bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400 min-h-[140px]"
               />
-              <p class="text-xs text-slate-500 mt-1">Optional. JSON object with custom headers.</p>
+              <p class="text-xs text-slate-500 mt-1">Optional. Sent with every request.</p>
             </div>
 
             <div>
               <label for="task_body" class="block text-sm font-medium text-slate-700 mb-1">
                 Request Body
               </label>
-              <.input
+              <.body_editor
+                id="task-body-editor"
                 field={@form[:body]}
-                type="textarea"
-                rows="10"
-                placeholder='{"key": "value"}'
-                class="w-full px-4 py-3 font-mono text-sm bg-white/70 border border-white/50 rounded-md text-slate-900 placeholder-slate-400 min-h-[200px]"
+                headers_input="task_headers_json"
               />
               <p class="text-xs text-slate-500 mt-1">Optional. For POST/PUT/PATCH requests.</p>
             </div>
@@ -1,11 +1,15 @@
 defmodule PrikkeWeb.TaskLive.ExecutionShow do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.PayloadViewer, only: [payload_viewer: 1]
+  import PrikkeWeb.PayloadDiff, only: [payload_diff: 1]
+
   alias Prikke.Tasks
   alias Prikke.Executions
+  alias PrikkeWeb.PayloadDiff
 
   @impl true
-  def mount(%{"task_id" => task_id, "id" => execution_id}, session, socket) do
+  def mount(%{"task_id" => task_id, "id" => execution_id} = params, session, socket) do
     org = get_organization(socket, session)
 
     if org do
@@ -26,6 +30,7 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
              |> assign(:task, task)
              |> assign(:deleted, task.deleted_at != nil)
              |> assign(:execution, execution)
+             |> assign(:compare, load_compare(task, execution, params["compare"]))
              |> assign(:page_title, "Execution Details")}
           else
             {:ok,
@@ -56,6 +61,19 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
     end
   end
 
+  # ?compare=<id> puts another execution of the same task side by side,
+  # older one on the left
+  defp load_compare(_task, _execution, nil), do: nil
+
+  defp load_compare(task, execution, compare_id) do
+    with {:ok, compare_id} <- Ecto.UUID.cast(compare_id),
+         %{} = other <- Executions.get_execution_for_task(task, compare_id) do
+      Enum.sort_by([execution, other], & &1.scheduled_for, DateTime)
+    else
+      _ -> nil
+    end
+  end
+
   @impl true
   def handle_event("retry", _params, socket) do
     task = socket.assigns.task
@@ -88,6 +106,8 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
         </.link>
       </div>
 
+      <.compare_panel :if={@compare} task={@task} execution={@execution} compare={@compare} />
+
       <div class="glass-card rounded-2xl">
         <%= if @deleted do %>
           <div class="px-4 sm:px-6 py-3 bg-red-50 border-b border-red-100 flex items-center gap-2 rounded-t-2xl">
@@ -165,13 +185,23 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
               <%= if @task.headers && @task.headers != %{} do %>
                 <div>
                   <span class="text-xs text-slate-500 uppercase">Headers</span>
-                  <pre class="text-xs bg-slate-100 p-2 rounded mt-1 overflow-x-auto"><%= Jason.encode!(@task.headers, pretty: true) %></pre>
+                  <.payload_viewer
+                    id="request-headers"
+                    body={Jason.encode!(@task.headers)}
+                    content_type="application/json"
+                    filename={"execution-#{@execution.id}-request-headers"}
+                  />
                 </div>
               <% end %>
               <%= if @task.body && @task.body != "" do %>
                 <div>
                   <span class="text-xs text-slate-500 uppercase">Body</span>
-                  <pre class="text-xs bg-slate-100 p-2 rounded mt-1 overflow-x-auto whitespace-pre-wrap"><%= @task.body %></pre>
+                  <.payload_viewer
+                    id="request-body"
+                    body={@task.body}
+                    content_type={PrikkeWeb.PayloadViewer.content_type(@task.headers)}
+                    filename={"execution-#{@execution.id}-request"}
+                  />
                 </div>
               <% end %>
             </div>
@@ -211,7 +241,11 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
               <%= if @execution.response_body && @execution.response_body != "" do %>
                 <div>
                   <span class="text-xs text-slate-500 uppercase">Response Body</span>
-                  <pre class="text-xs bg-slate-100 p-2 rounded mt-1 overflow-x-auto whitespace-pre-wrap max-h-96 overflow-y-auto"><%= format_response_body(@execution.response_body) %></pre>
+                  <.payload_viewer
+                    id="response-body"
+                    body={@execution.response_body}
+                    filename={"execution-#{@execution.id}-response"}
+                  />
                 </div>
               <% else %>
                 <div>
@@ -284,17 +318,46 @@ defmodule PrikkeWeb.TaskLive.ExecutionShow do
   defp status_code_color(code) when code >= 400 and code < 500, do: "text-amber-600"
   defp status_code_color(_), do: "text-red-600"
 
+  defp compare_panel(assigns) do
+    [left, right] = assigns.compare
+    assigns = assign(assigns, left: left, right: right)
+
+    ~H"""
+    <div id="execution-compare" class="glass-card rounded-2xl p-4 sm:p-6 mb-6">
+      <div class="flex items-center justify-between gap-3 mb-4">
+        <h2 class="text-sm font-medium text-slate-500 uppercase tracking-wide">
+          Comparing executions
+        </h2>
+        <.link
+          navigate={~p"/tasks/#{@task.id}/executions/#{@execution.id}"}
+          class="text-sm text-slate-500 hover:text-slate-700"
+        >
+          Stop comparing
+        </.link>
+      </div>
+      <.payload_diff
+        id="execution-diff"
+        left_label={compare_label(@left)}
+        right_label={compare_label(@right)}
+        left={PayloadDiff.execution_sections(@left)}
+        right={PayloadDiff.execution_sections(@right)}
+      />
+      <p id="execution-compare-note" class="mt-4 text-xs text-slate-500">
+        Only the responses are compared. Executions don't keep a copy of the request they sent
+        or of the response headers, so changes to the task's URL, headers or body between these
+        runs won't show here.
+      </p>
+    </div>
+    """
+  end
+
+  defp compare_label(execution) do
+    scheduled = Calendar.strftime(execution.scheduled_for, "%b %-d, %H:%M:%S UTC")
+    "#{status_label(execution.status)} · #{scheduled}"
+  end
+
   defp format_duration(nil), do: "—"
   defp format_duration(ms) when ms < 1000, do: "#{ms}ms"
   defp format_duration(ms) when ms < 60_000, do: "#{Float.round(ms / 1000, 2)}s"
   defp format_duration(ms), do: "#{Float.round(ms / 60_000, 2)}m"
-
-  defp format_response_body(body) when is_binary(body) do
-    case Jason.decode(body) do
-      {:ok, decoded} -> Jason.encode!(decoded, pretty: true)
-      {:error, _} -> body
-    end
-  end
-
-  defp format_response_body(_), do: ""
 end
@@ -166,13 +166,17 @@ defmodule PrikkeWeb.TaskLive.Index do
   end
 
   def handle_event("pause_queue", %{"queue" => queue_name}, socket) do
-    Queues.pause_queue(socket.assigns.organization, queue_name)
+    Queues.pause_queue(socket.assigns.organization, queue_name,
+      scope: socket.assigns.current_scope
+    )
     paused_queues = Queues.list_paused_queues(socket.assigns.organization)
     {:noreply, assign(socket, :paused_queues, MapSet.new(paused_queues))}
   end
 
   def handle_event("resume_queue", %{"queue" => queue_name}, socket) do
-    Queues.resume_queue(socket.assigns.organization, queue_name)
+    Queues.resume_queue(socket.assigns.organization, queue_name,
+      scope: socket.assigns.current_scope
+    )
     paused_queues = Queues.list_paused_queues(socket.assigns.organization)
     {:noreply, assign(socket, :paused_queues, MapSet.new(paused_queues))}
   end
@@ -404,7 +408,7 @@ defmodule PrikkeWeb.TaskLive.Index do
             <%= if MapSet.member?(@paused_queues, queue) do %>
               <span class="inline-flex items-center gap-1.5 text-xs font-medium px-2.5 py-1 rounded-full bg-amber-50 text-amber-700 border border-amber-200">
                 <.icon name="hero-pause-circle" class="w-3.5 h-3.5" />
-                {queue}
+                <.link navigate={~p"/queues/#{queue}"} class="hover:underline">{queue}</.link>
                 <button
                   type="button"
                   phx-click="resume_queue"
@@ -417,7 +421,7 @@ defmodule PrikkeWeb.TaskLive.Index do
               </span>
             <% else %>
               <span class="inline-flex items-center gap-1.5 text-xs font-medium px-2.5 py-1 rounded-full bg-slate-50 text-slate-600 border border-slate-200">
-                {queue}
+                <.link navigate={~p"/queues/#{queue}"} class="hover:underline">{queue}</.link>
                 <button
                   type="button"
                   phx-click="pause_queue"
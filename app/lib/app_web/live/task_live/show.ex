@@ -1,14 +1,26 @@
 defmodule PrikkeWeb.TaskLive.Show do
   use PrikkeWeb, :live_view
 
+  import PrikkeWeb.TrendChart, only: [trend_chart: 1]
+  import PrikkeWeb.LiveTail, only: [live_tail: 1]
+  import PrikkeWeb.PayloadDiff, only: [compare_bar: 1]
+  import PrikkeWeb.AuditHistory, only: [history_tabs: 1, audit_history: 1]
+  import PrikkeWeb.Menu, only: [dropdown_menu: 1]
+
+  alias Prikke.Audit
   alias Prikke.Tasks
   alias Prikke.Executions
   alias Prikke.Queues
+  alias PrikkeWeb.TrendChart
+  alias PrikkeWeb.LiveTail
 
   @per_page 20
+  # The trend runs a percentile query over up to 30 days, so finished
+  # executions refresh it at most once per this many milliseconds
+  @trend_debounce 5_000
 
   @impl true
-  def mount(%{"id" => id}, session, socket) do
+  def mount(%{"id" => id} = params, session, socket) do
     org = get_organization(socket, session)
 
     if org do
@@ -21,11 +33,11 @@ defmodule PrikkeWeb.TaskLive.Show do
 
         task ->
           status_filter = nil
+          # Optional scheduled_for window, linked from the trend chart
+          window = window_opts(params)
 
-          executions =
-            Executions.list_task_executions(task, limit: @per_page, status: status_filter)
-
-          total_count = Executions.count_task_executions(task, status: status_filter)
+          executions = list_executions(task, status_filter, window)
+          total_count = count_executions(task, status_filter, window)
           stats = Executions.get_task_stats(task)
           latest_info = get_latest_info(executions)
 
@@ -45,13 +57,20 @@ defmodule PrikkeWeb.TaskLive.Show do
            |> assign(:stats, stats)
            |> assign(:latest_info, latest_info)
            |> assign(:status_filter, status_filter)
+           |> assign(:window, window)
+           |> assign(:live_tail, false)
+           |> assign(:comparing, false)
+           |> assign(:compare_ids, [])
+           |> assign(:trend, load_trend(task, org))
+           |> assign(:trend_scheduled, false)
            |> assign(:total_count, total_count)
            |> assign(:page_title, task.name)
-           |> assign(:menu_open, false)
            |> assign(:test_result, nil)
            |> assign(:testing, false)
            |> assign(:host, host)
-           |> assign(:queue_paused, task.queue && Queues.queue_paused?(org, task.queue))}
+           |> assign(:queue_paused, task.queue && Queues.queue_paused?(org, task.queue))
+           |> assign(:can_view_history, can_view_history?(socket, org))
+           |> assign_tab(params["tab"])}
       end
     else
       {:ok,
@@ -65,8 +84,8 @@ defmodule PrikkeWeb.TaskLive.Show do
   def handle_info({:updated, task}, socket) do
     if task.id == socket.assigns.task.id do
       status_filter = socket.assigns.status_filter
-      executions = Executions.list_task_executions(task, limit: @per_page, status: status_filter)
-      total_count = Executions.count_task_executions(task, status: status_filter)
+      executions = list_executions(task, status_filter, socket.assigns.window)
+      total_count = count_executions(task, status_filter, socket.assigns.window)
       stats = Executions.get_task_stats(task)
       latest_info = get_latest_info(executions)
 
@@ -93,11 +112,11 @@ defmodule PrikkeWeb.TaskLive.Show do
     end
   end
 
-  def handle_info({:execution_updated, _execution}, socket) do
+  def handle_info({:execution_updated, execution}, socket) do
     task = socket.assigns.task
     status_filter = socket.assigns.status_filter
-    executions = Executions.list_task_executions(task, limit: @per_page, status: status_filter)
-    total_count = Executions.count_task_executions(task, status: status_filter)
+    executions = list_executions(task, status_filter, socket.assigns.window)
+    total_count = count_executions(task, status_filter, socket.assigns.window)
     stats = Executions.get_task_stats(task)
     latest_info = get_latest_info(executions)
 
@@ -106,7 +125,16 @@ defmodule PrikkeWeb.TaskLive.Show do
      |> assign(:executions, executions)
      |> assign(:total_count, total_count)
      |> assign(:stats, stats)
-     |> assign(:latest_info, latest_info)}
+     |> assign(:latest_info, latest_info)
+     |> schedule_trend(execution)
+     |> push_tail_item(execution)}
+  end
+
+  def handle_info(:refresh_trend, socket) do
+    {:noreply,
+     socket
+     |> assign(:trend, load_trend(socket.assigns.task, socket.assigns.organization))
+     |> assign(:trend_scheduled, false)}
   end
 
   def handle_info({ref, result}, socket) when is_reference(ref) do
@@ -141,14 +169,6 @@ defmodule PrikkeWeb.TaskLive.Show do
     end
   end
 
-  def handle_event("toggle_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, !socket.assigns.menu_open)}
-  end
-
-  def handle_event("close_menu", _, socket) do
-    {:noreply, assign(socket, :menu_open, false)}
-  end
-
   def handle_event("clone", _, socket) do
     org = socket.assigns.organization
     task = socket.assigns.task
@@ -224,10 +244,8 @@ defmodule PrikkeWeb.TaskLive.Show do
 
         status_filter = socket.assigns.status_filter
 
-        executions =
-          Executions.list_task_executions(task, limit: @per_page, status: status_filter)
-
-        total_count = Executions.count_task_executions(task, status: status_filter)
+        executions = list_executions(task, status_filter, socket.assigns.window)
+        total_count = count_executions(task, status_filter, socket.assigns.window)
         stats = Executions.get_task_stats(task)
         latest_info = get_latest_info(executions)
 
@@ -247,8 +265,8 @@ defmodule PrikkeWeb.TaskLive.Show do
   def handle_event("filter", %{"status" => status}, socket) do
     task = socket.assigns.task
     status_filter = if status == "", do: nil, else: status
-    executions = Executions.list_task_executions(task, limit: @per_page, status: status_filter)
-    total_count = Executions.count_task_executions(task, status: status_filter)
+    executions = list_executions(task, status_filter, socket.assigns.window)
+    total_count = count_executions(task, status_filter, socket.assigns.window)
 
     {:noreply,
      socket
@@ -257,23 +275,113 @@ defmodule PrikkeWeb.TaskLive.Show do
      |> assign(:total_count, total_count)}
   end
 
+  def handle_event("show_tab", %{"tab" => tab}, socket) do
+    {:noreply, assign_tab(socket, tab)}
+  end
+
+  def handle_event("toggle_live_tail", _, socket) do
+    {:noreply, assign(socket, live_tail: !socket.assigns.live_tail, comparing: false)}
+  end
+
+  def handle_event("toggle_compare", _, socket) do
+    {:noreply, assign(socket, comparing: !socket.assigns.comparing, compare_ids: [])}
+  end
+
+  # Keeps the two most recently picked executions
+  def handle_event("select_compare", %{"id" => id}, socket) do
+    ids = socket.assigns.compare_ids
+    ids = if id in ids, do: List.delete(ids, id), else: Enum.take(ids ++ [id], -2)
+    {:noreply, assign(socket, :compare_ids, ids)}
+  end
+
+  def handle_event("execution_trend_zoom", params, socket) do
+    case TrendChart.zoom_window(params) do
+      {:ok, from, to} ->
+        {:reply, %{buckets: Executions.execution_trend(socket.assigns.task, from, to, :hour)},
+         socket}
+
+      :error ->
+        {:reply, %{buckets: []}, socket}
+    end
+  end
+
   def handle_event("load_more", _, socket) do
     task = socket.assigns.task
     status_filter = socket.assigns.status_filter
     current_count = length(socket.assigns.executions)
 
     more_executions =
-      Executions.list_task_executions(task,
-        limit: @per_page,
-        offset: current_count,
-        status: status_filter
-      )
+      list_executions(task, status_filter, socket.assigns.window, offset: current_count)
 
     {:noreply,
      socket
      |> assign(:executions, socket.assigns.executions ++ more_executions)}
   end
 
+  defp list_executions(task, status_filter, window, opts \\ []) do
+    Executions.list_task_executions(
+      task,
+      [limit: @per_page, status: status_filter] ++ window ++ opts
+    )
+  end
+
+  defp count_executions(task, status_filter, window) do
+    Executions.count_task_executions(task, [status: status_filter] ++ window)
+  end
+
+  defp window_opts(params) do
+    {from, to} = TrendChart.window_params(params)
+    Enum.reject([from: from, to: to], fn {_key, value} -> is_nil(value) end)
+  end
+
+  defp compare_href(task, [id, compare_id]),
+    do: ~p"/tasks/#{task.id}/executions/#{id}?#{[compare: compare_id]}"
+
+  defp compare_href(_task, _ids), do: nil
+
+  defp tail_item(task, execution) do
+    LiveTail.execution_item(execution, ~p"/tasks/#{task.id}/executions/#{execution.id}")
+  end
+
+  defp push_tail_item(%{assigns: %{live_tail: true}} = socket, execution) do
+    item = tail_item(socket.assigns.task, execution)
+    LiveTail.push_items(socket, "execution-live-tail", [item])
+  end
+
+  defp push_tail_item(socket, _execution), do: socket
+
+  # The History tab is the resource's audit log, which like the organization's
+  # audit log is only for owners and admins. It's loaded each time the tab is
+  # opened, not kept up to date.
+  defp assign_tab(%{assigns: %{can_view_history: true}} = socket, "history") do
+    history = Audit.list_resource_logs(:task, socket.assigns.task.id)
+    socket |> assign(:tab, "history") |> assign(:history, history)
+  end
+
+  defp assign_tab(socket, _tab), do: socket |> assign(:tab, "activity") |> assign(:history, [])
+
+  defp can_view_history?(socket, organization) do
+    Prikke.Accounts.has_role?(organization, socket.assigns.current_scope.user, "admin")
+  end
+
+  # Only finished executions change the trend
+  defp schedule_trend(%{assigns: %{trend_scheduled: false}} = socket, %{status: status})
+       when status not in ["pending", "running"] do
+    Process.send_after(self(), :refresh_trend, @trend_debounce)
+    assign(socket, :trend_scheduled, true)
+  end
+
+  defp schedule_trend(socket, _execution), do: socket
+
+  defp load_trend(task, organization) do
+    days = if organization.tier == "pro", do: 30, else: 7
+    today = Date.utc_today()
+    from = DateTime.new!(Date.add(today, 1 - days), ~T[00:00:00], "Etc/UTC")
+    to = DateTime.new!(Date.add(today, 1), ~T[00:00:00], "Etc/UTC")
+
+    Executions.execution_trend(task, from, to, :day)
+  end
+
   defp get_organization(socket, session) do
     user = socket.assigns.current_scope.user
     org_id = session["current_organization_id"]
@@ -358,55 +466,51 @@ defmodule PrikkeWeb.TaskLive.Show do
                     <.icon name="hero-play" class="w-4 h-4" /> Run Now
                   <% end %>
                 </button>
-                <div class="relative" id="task-actions-menu" phx-hook=".ClickOutside">
+                <.dropdown_menu
+                  id="task-actions-menu"
+                  button_class="p-1.5 text-slate-500 hover:text-slate-700 hover:bg-slate-100 rounded-md transition-colors"
+                  class="w-44"
+                >
+                  <%= if @task.schedule_type == "cron" do %>
+                    <button
+                      type="button"
+                      role="menuitem"
+                      phx-click="toggle"
+                      class="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2 cursor-pointer"
+                    >
+                      <%= if @task.enabled do %>
+                        <.icon name="hero-pause" class="w-4 h-4 text-slate-400" /> Pause
+                      <% else %>
+                        <.icon name="hero-play" class="w-4 h-4 text-slate-400" /> Enable
+                      <% end %>
+                    </button>
+                  <% end %>
+                  <.link
+                    navigate={~p"/tasks/#{@task.id}/edit"}
+                    role="menuitem"
+                    class="block px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2"
+                  >
+                    <.icon name="hero-pencil" class="w-4 h-4 text-slate-400" /> Edit
+                  </.link>
                   <button
                     type="button"
-                    phx-click="toggle_menu"
-                    class="p-1.5 text-slate-500 hover:text-slate-700 hover:bg-slate-100 rounded-md transition-colors cursor-pointer"
-                    aria-label="More actions"
+                    role="menuitem"
+                    phx-click="clone"
+                    class="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2 cursor-pointer"
                   >
-                    <.icon name="hero-ellipsis-vertical" class="w-5 h-5" />
+                    <.icon name="hero-document-duplicate" class="w-4 h-4 text-slate-400" /> Clone
                   </button>
-                  <%= if @menu_open do %>
-                    <div class="absolute right-0 top-full mt-1 w-44 bg-white rounded-lg shadow-lg border border-slate-200 py-1 z-50">
-                      <%= if @task.schedule_type == "cron" do %>
-                        <button
-                          type="button"
-                          phx-click="toggle"
-                          class="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2 cursor-pointer"
-                        >
-                          <%= if @task.enabled do %>
-                            <.icon name="hero-pause" class="w-4 h-4 text-slate-400" /> Pause
-                          <% else %>
-                            <.icon name="hero-play" class="w-4 h-4 text-slate-400" /> Enable
-                          <% end %>
-                        </button>
-                      <% end %>
-                      <.link
-                        navigate={~p"/tasks/#{@task.id}/edit"}
-                        class="block px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2"
-                      >
-                        <.icon name="hero-pencil" class="w-4 h-4 text-slate-400" /> Edit
-                      </.link>
-                      <button
-                        type="button"
-                        phx-click="clone"
-                        class="w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 flex items-center gap-2 cursor-pointer"
-                      >
-                        <.icon name="hero-document-duplicate" class="w-4 h-4 text-slate-400" /> Clone
-                      </button>
-                      <div class="border-t border-slate-100 my-1"></div>
-                      <button
-                        type="button"
-                        phx-click="delete"
-                        data-confirm="Are you sure you want to delete this task? This cannot be undone."
-                        class="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 flex items-center gap-2 cursor-pointer"
-                      >
-                        <.icon name="hero-trash" class="w-4 h-4" /> Delete
-                      </button>
-                    </div>
-                  <% end %>
-                </div>
+                  <div role="separator" class="border-t border-slate-100 my-1"></div>
+                  <button
+                    type="button"
+                    role="menuitem"
+                    phx-click="delete"
+                    data-confirm="Are you sure you want to delete this task? This cannot be undone."
+                    class="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 flex items-center gap-2 cursor-pointer"
+                  >
+                    <.icon name="hero-trash" class="w-4 h-4" /> Delete
+                  </button>
+                </.dropdown_menu>
               </div>
             <% end %>
           </div>
@@ -567,109 +671,189 @@ defmodule PrikkeWeb.TaskLive.Show do
               </div>
             </div>
           <% end %>
+
+          <%= if Enum.any?(@trend, &(&1.total > 0)) do %>
+            <div class="bg-white/30 rounded-xl overflow-hidden">
+              <.trend_chart
+                id="task-execution-trend"
+                title={"#{length(@trend)}-day trend"}
+                buckets={@trend}
+                zoom_event="execution_trend_zoom"
+                executions_href={~p"/tasks/#{@task.id}"}
+              />
+            </div>
+          <% end %>
           
     <!-- Execution History -->
           <div>
-            <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
-              <h3 class="text-sm font-medium text-slate-500 uppercase tracking-wide">
-                Execution History
-                <span class="text-slate-400 font-normal normal-case">
-                  ({@total_count} total)
-                </span>
-              </h3>
-              <form phx-change="filter" class="flex items-center gap-2">
-                <label for="status-filter" class="text-sm text-slate-500">Filter:</label>
-                <select
-                  name="status"
-                  id="status-filter"
-                  class="text-sm border-slate-200 rounded-md py-1 pl-2 pr-8 focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
-                >
-                  <option value="" selected={@status_filter == nil}>All</option>
-                  <option value="success" selected={@status_filter == "success"}>Success</option>
-                  <option value="failed" selected={@status_filter == "failed"}>Failed</option>
-                  <option value="timeout" selected={@status_filter == "timeout"}>Timeout</option>
-                  <option value="pending" selected={@status_filter == "pending"}>Pending</option>
-                  <option value="running" selected={@status_filter == "running"}>Running</option>
-                </select>
-              </form>
-            </div>
-            <%= if @executions == [] do %>
-              <div class="bg-white/30 rounded-xl p-6 sm:p-8 text-center text-slate-500">
-                <%= if @status_filter do %>
-                  No executions matching this filter.
-                <% else %>
-                  No executions yet. This task will run according to its schedule.
-                <% end %>
-              </div>
-            <% else %>
-              <div class="bg-white/30 rounded-xl divide-y divide-white/30">
-                <%= for exec <- @executions do %>
-                  <.link
-                    navigate={~p"/tasks/#{@task.id}/executions/#{exec.id}"}
-                    class="block px-4 py-3 hover:bg-slate-100 transition-colors"
+            <.history_tabs :if={@can_view_history} tab={@tab} label="Executions" />
+            <div :if={@tab == "activity"}>
+              <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-3">
+                <h3 class="text-sm font-medium text-slate-500 uppercase tracking-wide">
+                  Execution History
+                  <span class="text-slate-400 font-normal normal-case">
+                    ({@total_count} total)
+                  </span>
+                  <%= if @window != [] do %>
+                    <span class="ml-1 inline-flex items-center gap-1 text-xs font-normal normal-case px-2 py-0.5 rounded-full bg-slate-100 text-slate-600">
+                      {format_window(@window)}
+                      <.link
+                        navigate={~p"/tasks/#{@task.id}"}
+                        class="text-slate-400 hover:text-slate-600"
+                      >
+                        <.icon name="hero-x-mark" class="w-3.5 h-3.5" />
+                      </.link>
+                    </span>
+                  <% end %>
+                </h3>
+                <div class="flex items-center gap-2">
+                  <button
+                    type="button"
+                    id="toggle-live-tail"
+                    phx-click="toggle_live_tail"
+                    aria-pressed={to_string(@live_tail)}
+                    class={[
+                      "px-3 py-1 text-sm font-medium rounded-md border transition-colors flex items-center gap-1.5",
+                      if(@live_tail,
+                        do: "bg-emerald-50 border-emerald-200 text-emerald-700",
+                        else: "bg-white border-slate-200 text-slate-600 hover:bg-white/50"
+                      )
+                    ]}
                   >
-                    <div class="flex items-center justify-between">
-                      <div class="flex items-center gap-3">
-                        <.status_badge status={exec.status} />
-                        <span class="text-sm text-slate-600">
-                          <.local_time id={"exec-#{exec.id}"} datetime={exec.scheduled_for} />
-                        </span>
-                      </div>
-                      <div class="flex items-center gap-4 text-sm text-slate-500">
-                        <span>{format_duration(exec.duration_ms)}</span>
-                        <%= if exec.status_code do %>
-                          <span class={[
-                            "font-mono",
-                            status_code_color(exec.status_code)
-                          ]}>
-                            {exec.status_code}
-                          </span>
-                        <% end %>
-                        <.icon name="hero-chevron-right" class="w-4 h-4 text-slate-400" />
-                      </div>
-                    </div>
-                    <%= if exec.error_message do %>
-                      <p class="text-red-600 text-xs mt-1 pl-0 sm:pl-16">
-                        {truncate(exec.error_message, 60)}
-                      </p>
-                    <% end %>
-                  </.link>
-                <% end %>
-              </div>
-              <%= if length(@executions) < @total_count do %>
-                <div class="mt-4 text-center">
+                    <.icon name="hero-signal" class="w-4 h-4" /> Live tail
+                  </button>
                   <button
+                    :if={!@live_tail}
                     type="button"
-                    phx-click="load_more"
-                    class="px-4 py-2 text-sm font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-white/50 transition-colors"
+                    id="toggle-compare"
+                    phx-click="toggle_compare"
+                    aria-pressed={to_string(@comparing)}
+                    class={[
+                      "px-3 py-1 text-sm font-medium rounded-md border transition-colors flex items-center gap-1.5",
+                      if(@comparing,
+                        do: "bg-emerald-50 border-emerald-200 text-emerald-700",
+                        else: "bg-white border-slate-200 text-slate-600 hover:bg-white/50"
+                      )
+                    ]}
                   >
-                    Load more
-                    <span class="text-slate-400">
-                      (showing {length(@executions)} of {@total_count})
-                    </span>
+                    <.icon name="hero-arrows-right-left" class="w-4 h-4" /> Compare
                   </button>
+                  <form :if={!@live_tail} phx-change="filter" class="flex items-center gap-2">
+                    <label for="status-filter" class="text-sm text-slate-500">Filter:</label>
+                    <select
+                      name="status"
+                      id="status-filter"
+                      class="text-sm border-slate-200 rounded-md py-1 pl-2 pr-8 focus:outline-none focus:ring-2 focus:ring-emerald-600 focus:border-emerald-600"
+                    >
+                      <option value="" selected={@status_filter == nil}>All</option>
+                      <option value="success" selected={@status_filter == "success"}>
+                        Success
+                      </option>
+                      <option value="failed" selected={@status_filter == "failed"}>Failed</option>
+                      <option value="timeout" selected={@status_filter == "timeout"}>
+                        Timeout
+                      </option>
+                      <option value="pending" selected={@status_filter == "pending"}>
+                        Pending
+                      </option>
+                      <option value="running" selected={@status_filter == "running"}>
+                        Running
+                      </option>
+                    </select>
+                  </form>
                 </div>
+              </div>
+              <%= cond do %>
+                <% @live_tail -> %>
+                  <.live_tail
+                    id="execution-live-tail"
+                    items={@executions |> Enum.reverse() |> Enum.map(&tail_item(@task, &1))}
+                  />
+                <% @executions == [] -> %>
+                  <div class="bg-white/30 rounded-xl p-6 sm:p-8 text-center text-slate-500">
+                    <%= if @status_filter || @window != [] do %>
+                      No executions matching this filter.
+                    <% else %>
+                      No executions yet. This task will run according to its schedule.
+                    <% end %>
+                  </div>
+                <% true -> %>
+                  <.compare_bar
+                    :if={@comparing}
+                    noun="executions"
+                    ids={@compare_ids}
+                    href={compare_href(@task, @compare_ids)}
+                  />
+                  <div class="bg-white/30 rounded-xl divide-y divide-white/30">
+                    <%= for exec <- @executions do %>
+                      <div class="flex items-center">
+                        <label :if={@comparing} class="pl-4 py-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            class="checkbox checkbox-sm"
+                            phx-click="select_compare"
+                            phx-value-id={exec.id}
+                            checked={exec.id in @compare_ids}
+                            aria-label="Select for comparison"
+                          />
+                        </label>
+                        <.link
+                          navigate={~p"/tasks/#{@task.id}/executions/#{exec.id}"}
+                          class="block flex-1 min-w-0 px-4 py-3 hover:bg-slate-100 transition-colors"
+                        >
+                          <div class="flex items-center justify-between">
+                            <div class="flex items-center gap-3">
+                              <.status_badge status={exec.status} />
+                              <span class="text-sm text-slate-600">
+                                <.local_time
+                                  id={"exec-#{exec.id}"}
+                                  datetime={exec.scheduled_for}
+                                />
+                              </span>
+                            </div>
+                            <div class="flex items-center gap-4 text-sm text-slate-500">
+                              <span>{format_duration(exec.duration_ms)}</span>
+                              <%= if exec.status_code do %>
+                                <span class={[
+                                  "font-mono",
+                                  status_code_color(exec.status_code)
+                                ]}>
+                                  {exec.status_code}
+                                </span>
+                              <% end %>
+                              <.icon name="hero-chevron-right" class="w-4 h-4 text-slate-400" />
+                            </div>
+                          </div>
+                          <%= if exec.error_message do %>
+                            <p class="text-red-600 text-xs mt-1 pl-0 sm:pl-16">
+                              {truncate(exec.error_message, 60)}
+                            </p>
+                          <% end %>
+                        </.link>
+                      </div>
+                    <% end %>
+                  </div>
+                  <%= if length(@executions) < @total_count do %>
+                    <div class="mt-4 text-center">
+                      <button
+                        type="button"
+                        phx-click="load_more"
+                        class="px-4 py-2 text-sm font-medium text-slate-600 bg-white border border-slate-200 rounded-md hover:bg-white/50 transition-colors"
+                      >
+                        Load more
+                        <span class="text-slate-400">
+                          (showing {length(@executions)} of {@total_count})
+                        </span>
+                      </button>
+                    </div>
+                  <% end %>
               <% end %>
-            <% end %>
+            </div>
+            <.audit_history :if={@tab == "history"} logs={@history} />
           </div>
         </div>
       </div>
     </div>
-    <script :type={Phoenix.LiveView.ColocatedHook} name=".ClickOutside">
-      export default {
-        mounted() {
-          this.handler = (e) => {
-            if (!this.el.contains(e.target)) {
-              this.pushEvent("close_menu", {})
-            }
-          }
-          document.addEventListener("click", this.handler)
-        },
-        destroyed() {
-          document.removeEventListener("click", this.handler)
-        }
-      }
-    </script>
     """
   end
 
@@ -810,6 +994,15 @@ defmodule PrikkeWeb.TaskLive.Show do
   defp status_label("missed"), do: "Missed"
   defp status_label(status), do: status
 
+  defp format_window(window) do
+    edge = fn
+      nil -> "…"
+      datetime -> Calendar.strftime(datetime, "%b %d %H:%M")
+    end
+
+    "#{edge.(window[:from])} – #{edge.(window[:to])} UTC"
+  end
+
   defp format_duration(nil), do: "—"
   defp format_duration(ms) when ms < 1000, do: "#{ms}ms"
   defp format_duration(ms) when ms < 60_000, do: "#{Float.round(ms / 1000, 1)}s"
@@ -76,6 +76,22 @@ defmodule PrikkeWeb.Router do
     end
   end
 
+  # Web app manifest for installing a public status page. A plain public
+  # document, so it needs no session and no content negotiation.
+  scope "/s", PrikkeWeb do
+    get "/:slug/manifest.webmanifest", StatusPageManifestController, :show
+  end
+
+  # JSON feed behind the embeddable status widget (public, polled from
+  # customer sites), and the push subscriptions of status page visitors
+  scope "/s", PrikkeWeb do
+    pipe_through :api
+
+    get "/:slug/status.json", StatusWidgetController, :show
+    post "/:slug/push-subscriptions", StatusPagePushController, :create
+    delete "/:slug/push-subscriptions", StatusPagePushController, :delete
+  end
+
   # Health check endpoint for Koyeb
   scope "/health", PrikkeWeb do
     pipe_through :api
@@ -222,6 +238,11 @@ defmodule PrikkeWeb.Router do
 
       live "/failures", FailuresLive, :index
 
+      live "/queues", QueueLive.Index, :index
+      live "/queues/:name", QueueLive.Show, :show
+
+      live "/sync", SyncLive, :index
+
       live "/status-page", StatusLive.Index, :index
     end
 
@@ -253,6 +274,7 @@ defmodule PrikkeWeb.Router do
          :regenerate_webhook_secret
 
     get "/organizations/audit", OrganizationController, :audit
+    get "/organizations/audit/export", OrganizationController, :export_audit
 
     # Invites (authenticated)
     get "/invites", InviteController, :index
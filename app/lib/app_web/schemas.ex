@@ -104,6 +104,7 @@ defmodule PrikkeWeb.Schemas do
           nullable: true,
           description: "URL to POST to on recovery after a failure."
         },
+        queue: %Schema{type: :string, nullable: true, description: "Queue name"},
         next_run_at: %Schema{
           type: :string,
           format: :"date-time",
@@ -170,6 +171,7 @@ defmodule PrikkeWeb.Schemas do
           nullable: true,
           description: "Required for one-time tasks"
         },
+        queue: %Schema{type: :string, nullable: true, description: "Queue name"},
         enabled: %Schema{type: :boolean, default: true},
         timeout_ms: %Schema{type: :integer, default: 30000},
         retry_attempts: %Schema{type: :integer, default: 3},
@@ -224,6 +226,55 @@ defmodule PrikkeWeb.Schemas do
     })
   end
 
+  defmodule TaskCreateRequest do
+    require OpenApiSpex
+
+    OpenApiSpex.schema(%{
+      title: "TaskCreateRequest",
+      description: """
+      Request body for creating a task. The timing parameter decides the kind of task:
+      `cron` for recurring, `delay` or `run_at` for one-time, none for immediate.
+      """,
+      type: :object,
+      required: [:url],
+      properties: %{
+        name: %Schema{type: :string, description: "Task name. Defaults to the URL and time."},
+        url: %Schema{type: :string, format: :uri, description: "Target URL to call"},
+        method: %Schema{
+          type: :string,
+          enum: ["GET", "POST", "PUT", "PATCH", "DELETE"],
+          description: "Defaults to GET for cron tasks and POST otherwise"
+        },
+        headers: %Schema{type: :object, additionalProperties: %Schema{type: :string}},
+        body: %Schema{type: :string, nullable: true},
+        cron: %Schema{type: :string, description: "Cron expression for a recurring task"},
+        delay: %Schema{type: :string, description: "Delay before execution (e.g. \"5m\")"},
+        run_at: %Schema{
+          type: :string,
+          format: :"date-time",
+          description: "Time to run a one-time task"
+        },
+        queue: %Schema{type: :string, nullable: true, description: "Queue name"},
+        enabled: %Schema{type: :boolean, default: true},
+        timeout_ms: %Schema{type: :integer, default: 30000},
+        retry_attempts: %Schema{type: :integer, default: 5},
+        callback_url: %Schema{type: :string, format: :uri, nullable: true},
+        expected_status_codes: %Schema{type: :string, nullable: true},
+        expected_body_pattern: %Schema{type: :string, nullable: true},
+        notify_on_failure: %Schema{type: :boolean, nullable: true},
+        notify_on_recovery: %Schema{type: :boolean, nullable: true},
+        on_failure_url: %Schema{type: :string, format: :uri, nullable: true},
+        on_recovery_url: %Schema{type: :string, format: :uri, nullable: true}
+      },
+      example: %{
+        url: "https://example.com/api/send-email",
+        method: "POST",
+        body: ~s({"to": "user@example.com"}),
+        delay: "5m"
+      }
+    })
+  end
+
   defmodule TaskResponse do
     require OpenApiSpex
 
@@ -314,6 +365,28 @@ defmodule PrikkeWeb.Schemas do
     })
   end
 
+  defmodule TaskQueuedResponse do
+    require OpenApiSpex
+
+    OpenApiSpex.schema(%{
+      title: "TaskQueuedResponse",
+      description: "Response from creating a one-time or immediate task",
+      type: :object,
+      properties: %{
+        data: %Schema{
+          type: :object,
+          properties: %{
+            task_id: %Schema{type: :string, format: :uuid},
+            execution_id: %Schema{type: :string, format: :uuid},
+            status: %Schema{type: :string},
+            scheduled_for: %Schema{type: :string, format: :"date-time"}
+          }
+        },
+        message: %Schema{type: :string}
+      }
+    })
+  end
+
   defmodule SyncRequest do
     require OpenApiSpex
 
@@ -341,6 +414,11 @@ defmodule PrikkeWeb.Schemas do
           type: :boolean,
           default: false,
           description: "Delete resources not in the list"
+        },
+        dry_run: %Schema{
+          type: :boolean,
+          default: false,
+          description: "Return the plan of changes without applying it"
         }
       },
       example: %{
@@ -754,6 +832,12 @@ defmodule PrikkeWeb.Schemas do
           description:
             "Custom HTTP method that overrides the original webhook method when forwarding. Leave empty to forward the original method."
         },
+        filter: %Schema{
+          type: :object,
+          nullable: true,
+          description:
+            ~s(Rules an event must match to be forwarded. A group is {"combinator": "and" | "or", "rules": [...]}; a rule is {"source": "header" | "body", "path", "operator", "value"} where path is a header name or a JSONPath like $.type and operator is one of eq, neq, in, not_in, contains, exists, not_exists. Groups nest one level. Events that don't match are stored with status "filtered". null = forward everything.)
+        },
         inserted_at: %Schema{
           type: :string,
           format: :"date-time",
@@ -854,6 +938,12 @@ defmodule PrikkeWeb.Schemas do
           enum: ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"],
           description:
             "Custom HTTP method that overrides the original webhook method when forwarding. Leave empty to forward the original method."
+        },
+        filter: %Schema{
+          type: :object,
+          nullable: true,
+          description:
+            "Rules an event must match to be forwarded. See Endpoint.filter. null = forward everything."
         }
       },
       example: %{
@@ -916,7 +1006,7 @@ defmodule PrikkeWeb.Schemas do
           type: :string,
           nullable: true,
           description:
-            "Aggregated forwarding status: success (all succeeded), failed (any failed), pending (any pending)"
+            "Aggregated forwarding status: success (all succeeded), failed (any failed), pending (any pending), or filtered (didn't match the endpoint's filter and wasn't forwarded)"
         }
       }
     })
@@ -935,6 +1025,33 @@ defmodule PrikkeWeb.Schemas do
     })
   end
 
+  defmodule ReplayRequest do
+    require OpenApiSpex
+
+    OpenApiSpex.schema(%{
+      title: "ReplayRequest",
+      description:
+        "Optional changes for a replay. Without any, the event is resent unchanged to all " <>
+          "its destinations.",
+      type: :object,
+      properties: %{
+        url: %Schema{
+          type: :string,
+          format: :uri,
+          description:
+            "Replay to this URL only. One of the endpoint's forward URLs, or any other URL " <>
+              "for a one-off delivery"
+        },
+        body: %Schema{type: :string, description: "Send this body instead of the original"},
+        headers: %Schema{
+          type: :object,
+          additionalProperties: %Schema{type: :string},
+          description: "Send these headers instead of the forwarded ones"
+        }
+      }
+    })
+  end
+
   defmodule ReplayResponse do
     require OpenApiSpex
 
@@ -952,6 +1069,11 @@ defmodule PrikkeWeb.Schemas do
                 type: :object,
                 properties: %{
                   execution_id: %Schema{type: :string, format: :uuid},
+                  task_id: %Schema{
+                    type: :string,
+                    format: :uuid,
+                    description: "The event's task, or a new one for an edited replay"
+                  },
                   status: %Schema{type: :string},
                   scheduled_for: %Schema{type: :string, format: :"date-time"}
                 }
@@ -105,6 +105,8 @@ defmodule Prikke.MixProject do
       "ecto.setup": ["ecto.create", "ecto.migrate", "run priv/repo/seeds.exs"],
       "ecto.reset": ["ecto.drop", "ecto.setup"],
       test: test_alias(),
+      # The browser helpers' tests, assets/js/*.test.mjs
+      "assets.test": ["cmd node --test assets/js/"],
       "assets.setup": ["tailwind.install --if-missing", "esbuild.install --if-missing"],
       "assets.build": ["compile", "tailwind app", "esbuild app"],
       "assets.deploy": [
@@ -112,7 +114,13 @@ defmodule Prikke.MixProject do
         "esbuild app --minify",
         "phx.digest"
       ],
-      precommit: ["compile --warnings-as-errors", "deps.unlock --unused", "format", "test"]
+      precommit: [
+        "compile --warnings-as-errors",
+        "deps.unlock --unused",
+        "format",
+        "test",
+        "assets.test"
+      ]
     ]
   end
 
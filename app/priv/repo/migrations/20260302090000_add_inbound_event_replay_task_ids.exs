@@ -0,0 +1,11 @@
+defmodule Prikke.Repo.Migrations.AddInboundEventReplayTaskIds do
+  use Ecto.Migration
+
+  def change do
+    # Tasks created by edited replays, kept apart from task_ids so a plain
+    # replay only resends what was received
+    alter table(:inbound_events) do
+      add :replay_task_ids, {:array, :binary_id}, null: false, default: "{}"
+    end
+  end
+end
@@ -0,0 +1,13 @@
+defmodule Prikke.Repo.Migrations.AddEndpointFilter do
+  use Ecto.Migration
+
+  def change do
+    alter table(:endpoints) do
+      add :filter, :map
+    end
+
+    alter table(:inbound_events) do
+      add :filtered, :boolean, null: false, default: false
+    end
+  end
+end
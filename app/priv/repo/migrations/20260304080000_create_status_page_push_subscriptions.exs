@@ -0,0 +1,26 @@
+defmodule Prikke.Repo.Migrations.CreateStatusPagePushSubscriptions do
+  use Ecto.Migration
+
+  def change do
+    create table(:status_page_push_subscriptions, primary_key: false) do
+      add :id, :binary_id, primary_key: true
+
+      add :status_page_id,
+          references(:status_pages, type: :binary_id, on_delete: :delete_all),
+          null: false
+
+      add :endpoint, :text, null: false
+      add :p256dh, :text, null: false
+      add :auth, :text, null: false
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:status_page_push_subscriptions, [:status_page_id, :endpoint])
+
+    # Component statuses subscribers were last notified of
+    alter table(:status_pages) do
+      add :notified_statuses, :map
+    end
+  end
+end
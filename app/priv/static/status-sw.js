@@ -0,0 +1,94 @@
+// Service worker for public status pages (/s/:slug), registered by
+// assets/js/status_page.js with scope "/s/".
+//
+// Pages are fetched network first and the last good copy is kept, so a status
+// page still opens on a bad connection. While a page is open it also sends a
+// snapshot of itself after every live update, so the cached copy shows the
+// latest status rather than the one it was first loaded with. Scripts,
+// styles and icons are served from the cache while they are refreshed.
+//
+// Visitors who turn on notifications get Web Push messages from the server
+// (Prikke.StatusPages.PushNotifier) when a component changes status, which
+// are shown here whether or not the page is open.
+
+const CACHE = "runlater-status-v1"
+
+self.addEventListener("install", () => self.skipWaiting())
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith("runlater-status-") && key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener("fetch", event => {
+  const request = event.request
+  const url = new URL(request.url)
+  if (request.method !== "GET" || url.origin !== self.location.origin) return
+
+  if (request.mode === "navigate" && url.pathname.startsWith("/s/")) {
+    event.respondWith(networkFirst(request, url.pathname))
+  } else if (url.pathname.startsWith("/assets/") || url.pathname === "/favicon.svg") {
+    event.respondWith(staleWhileRevalidate(event, request))
+  }
+})
+
+self.addEventListener("message", event => {
+  const {type, path, html} = event.data || {}
+  if (type !== "snapshot" || typeof path !== "string" || !path.startsWith("/s/")) return
+
+  event.waitUntil(
+    caches.open(CACHE).then(cache => cache.put(path, new Response(html, {headers: {"Content-Type": "text/html; charset=utf-8"}})))
+  )
+})
+
+self.addEventListener("push", event => {
+  const {title, body, tag, url} = event.data?.json() || {}
+  if (!title) return
+
+  event.waitUntil(self.registration.showNotification(title, {body, tag, icon: "/favicon.svg", data: {url}}))
+})
+
+self.addEventListener("notificationclick", event => {
+  event.notification.close()
+  const url = event.notification.data?.url || "/"
+
+  event.waitUntil(
+    self.clients.matchAll({type: "window"}).then(windows => {
+      const open = windows.find(client => new URL(client.url).pathname === url)
+      return open ? open.focus() : self.clients.openWindow(url)
+    })
+  )
+})
+
+async function networkFirst(request, path) {
+  const cache = await caches.open(CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) await cache.put(path, response.clone())
+    return response
+  } catch (error) {
+    const cached = await cache.match(path)
+    if (cached) return cached
+    throw error
+  }
+}
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(CACHE)
+  const cached = await cache.match(request)
+  const refresh = fetch(request).then(response => {
+    if (response.ok) cache.put(request, response.clone())
+    return response
+  })
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => null))
+    return cached
+  }
+  return refresh
+}
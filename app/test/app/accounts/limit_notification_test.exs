@@ -87,6 +87,16 @@ defmodule Prikke.Accounts.LimitNotificationTest do
       assert updated_org.limit_warning_sent_at != nil
     end
 
+    test "broadcasts each notification to subscribers", %{org: org} do
+      Accounts.subscribe_limit_notifications(org)
+
+      Accounts.maybe_send_limit_notification(org, 8000)
+      assert_receive {:limit_notification, :warning, 8000, 10000}
+
+      Accounts.maybe_send_limit_notification(Accounts.get_organization(org.id), 10000)
+      assert_receive {:limit_notification, :reached, 10000, 10000}
+    end
+
     test "skips when below warning threshold", %{org: org} do
       # 50% of 10000 = 5000
       result = Accounts.maybe_send_limit_notification(org, 5000)
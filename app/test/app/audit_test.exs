@@ -70,6 +70,138 @@ defmodule Prikke.AuditTest do
     end
   end
 
+  describe "page_organization_logs/2" do
+    setup do
+      user = user_fixture()
+      org = organization_fixture(%{user: user})
+      %{org: org, user: user, scope: Scope.for_user(user)}
+    end
+
+    test "filters by actor type, action and resource type", %{org: org, scope: scope} do
+      Audit.log(scope, :created, :task, Ecto.UUID.generate(), organization_id: org.id)
+      Audit.log(scope, :updated, :monitor, Ecto.UUID.generate(), organization_id: org.id)
+      Audit.log_api("ci", :created, :endpoint, Ecto.UUID.generate(), organization_id: org.id)
+      Audit.log_system(:deleted, :task, Ecto.UUID.generate(), organization_id: org.id)
+
+      assert {[%{resource_type: "endpoint"}], nil} =
+               Audit.page_organization_logs(org, actor_type: "api")
+
+      assert {[%{actor_type: "system"}], nil} =
+               Audit.page_organization_logs(org, action: "deleted")
+
+      {logs, nil} = Audit.page_organization_logs(org, resource_type: "task", actor_type: "user")
+      assert [%{action: "created"}] = logs
+
+      # Unset filters are ignored
+      {logs, nil} = Audit.page_organization_logs(org, actor_type: nil, search: "")
+      assert length(logs) == 4
+    end
+
+    test "searches resource names, API key names and actor emails", context do
+      %{org: org, user: user, scope: scope} = context
+      id = Ecto.UUID.generate()
+
+      Audit.log(scope, :created, :task, id,
+        organization_id: org.id,
+        metadata: %{"task_name" => "Nightly backup"}
+      )
+
+      Audit.log_api("deploy-bot", :deleted, :monitor, Ecto.UUID.generate(),
+        organization_id: org.id,
+        metadata: %{"monitor_name" => "Heartbeat"}
+      )
+
+      assert {[%{resource_id: ^id}], nil} = Audit.page_organization_logs(org, search: "BACKUP")
+      assert {[%{action: "deleted"}], nil} = Audit.page_organization_logs(org, search: "deploy")
+      assert {[%{action: "created"}], nil} = Audit.page_organization_logs(org, search: user.email)
+      # LIKE wildcards are matched literally
+      assert {[], nil} = Audit.page_organization_logs(org, search: "%")
+    end
+
+    test "filters by an inclusive date range", %{org: org, scope: scope} do
+      for {day, action} <- [{~D[2026-03-01], :created}, {~D[2026-03-02], :updated}] do
+        {:ok, log} =
+          Audit.log(scope, action, :task, Ecto.UUID.generate(), organization_id: org.id)
+
+        inserted_at = DateTime.new!(day, ~T[23:59:59], "Etc/UTC")
+        log |> Ecto.Changeset.change(inserted_at: inserted_at) |> Repo.update!()
+      end
+
+      assert {[%{action: "updated"}], nil} =
+               Audit.page_organization_logs(org, from: ~D[2026-03-02])
+
+      assert {[%{action: "created"}], nil} =
+               Audit.page_organization_logs(org, to: ~D[2026-03-01])
+
+      {logs, nil} = Audit.page_organization_logs(org, from: ~D[2026-03-01], to: ~D[2026-03-02])
+      assert length(logs) == 2
+    end
+
+    test "pages through logs with a cursor", %{org: org, scope: scope} do
+      ids =
+        for _ <- 1..5 do
+          {:ok, log} =
+            Audit.log(scope, :updated, :task, Ecto.UUID.generate(), organization_id: org.id)
+
+          log.id
+        end
+
+      {first, cursor} = Audit.page_organization_logs(org, limit: 2)
+      assert length(first) == 2
+      assert is_binary(cursor)
+
+      {second, cursor} = Audit.page_organization_logs(org, limit: 2, cursor: cursor)
+      {third, nil} = Audit.page_organization_logs(org, limit: 2, cursor: cursor)
+      assert length(third) == 1
+
+      paged_ids = Enum.map(first ++ second ++ third, & &1.id)
+      assert Enum.sort(paged_ids) == Enum.sort(ids)
+
+      # Anything that isn't a cursor starts over at the first page
+      assert {^first, _} = Audit.page_organization_logs(org, limit: 2, cursor: "not-a-cursor")
+    end
+  end
+
+  describe "export_organization_logs/2" do
+    test "lists every matching log with its actor" do
+      user = user_fixture()
+      org = organization_fixture(%{user: user})
+      scope = Scope.for_user(user)
+
+      for _ <- 1..3 do
+        Audit.log(scope, :updated, :task, Ecto.UUID.generate(), organization_id: org.id)
+      end
+
+      Audit.log_system(:deleted, :task, Ecto.UUID.generate(), organization_id: org.id)
+
+      logs = Audit.export_organization_logs(org, actor_type: "user")
+      assert length(logs) == 3
+      assert Enum.all?(logs, &(&1.actor.id == user.id))
+    end
+  end
+
+  describe "resource_name/1 and actor_name/1" do
+    test "read names from the metadata" do
+      org = organization_fixture()
+
+      {:ok, log} =
+        Audit.log_api("ci", :updated, :monitor, Ecto.UUID.generate(),
+          organization_id: org.id,
+          metadata: %{"monitor_name" => "Heartbeat"}
+        )
+
+      assert Audit.resource_name(log) == "Heartbeat"
+      assert Audit.actor_name(log) == "ci"
+
+      {:ok, key_log} = Audit.log_api("ci", :api_key_created, :api_key, Ecto.UUID.generate())
+      assert Audit.resource_name(key_log) == "ci"
+
+      {:ok, system_log} = Audit.log_system(:deleted, :execution, Ecto.UUID.generate())
+      assert Audit.resource_name(system_log) == nil
+      assert Audit.actor_name(system_log) == "System"
+    end
+  end
+
   describe "compute_changes/3" do
     test "computes changes between old and new maps" do
       old = %{name: "Old Name", enabled: true, url: "https://example.com"}
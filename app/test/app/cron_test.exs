@@ -165,4 +165,41 @@ defmodule Prikke.CronTest do
       assert Cron.describe("0 9 * * 1-5") == "Mon-Fri at 9:00"
     end
   end
+
+  # Shared with assets/js/cron.test.mjs so the browser cron editor and the
+  # server agree on validity, run times and the estimated interval.
+  @expressions "test/support/fixtures/cron_expressions.json"
+               |> File.read!()
+               |> Jason.decode!()
+
+  describe "shared cron expression table" do
+    for entry <- @expressions do
+      @entry entry
+      from = if entry["from"], do: " from #{entry["from"]}"
+
+      test "#{entry["expression"]}#{from} is #{if entry["valid"], do: "valid", else: "invalid"}" do
+        entry = @entry
+        parsed = Crontab.CronExpression.Parser.parse(entry["expression"])
+
+        if entry["valid"] do
+          assert {:ok, cron} = parsed
+          assert Cron.estimate_interval_minutes(cron) == entry["interval_minutes"]
+
+          if entry["next_runs"] do
+            {:ok, from, 0} = DateTime.from_iso8601(entry["from"])
+
+            runs =
+              cron
+              |> Crontab.Scheduler.get_next_run_dates(DateTime.to_naive(from))
+              |> Enum.take(length(entry["next_runs"]))
+              |> Enum.map(&(&1 |> DateTime.from_naive!("Etc/UTC") |> DateTime.to_iso8601()))
+
+            assert runs == entry["next_runs"]
+          end
+        else
+          assert {:error, _} = parsed
+        end
+      end
+    end
+  end
 end
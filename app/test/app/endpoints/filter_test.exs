@@ -0,0 +1,104 @@
+defmodule Prikke.Endpoints.FilterTest do
+  use ExUnit.Case, async: true
+
+  alias Prikke.Endpoints.Filter
+
+  doctest Filter
+
+  @stripe %{
+    headers: %{"content-type" => "application/json"},
+    body:
+      Jason.encode!(%{type: "invoice.paid", livemode: true, data: %{amount: 1200, tags: ["vip"]}})
+  }
+
+  @github %{headers: %{"x-github-event" => "push"}, body: ~s({"ref": "refs/heads/main"})}
+
+  defp rule(source, path, operator, value \\ nil) do
+    %{"source" => source, "path" => path, "operator" => operator, "value" => value}
+  end
+
+  defp all(rules), do: %{"combinator" => "and", "rules" => rules}
+  defp any(rules), do: %{"combinator" => "or", "rules" => rules}
+
+  describe "matches?/2" do
+    test "forwards everything without a filter" do
+      assert Filter.matches?(nil, @stripe)
+    end
+
+    test "compares body values as text" do
+      assert Filter.matches?(all([rule("body", "$.type", "eq", "invoice.paid")]), @stripe)
+      refute Filter.matches?(all([rule("body", "$.type", "eq", "invoice.failed")]), @stripe)
+      assert Filter.matches?(all([rule("body", "$.data.amount", "eq", "1200")]), @stripe)
+      assert Filter.matches?(all([rule("body", "$.livemode", "in", ["true"])]), @stripe)
+      assert Filter.matches?(all([rule("body", "$.data.tags", "contains", "vip")]), @stripe)
+      refute Filter.matches?(all([rule("body", "$.data", "eq", "%{}")]), @stripe)
+    end
+
+    test "matches header names case-insensitively" do
+      filter = all([rule("header", "X-GitHub-Event", "in", ["push", "release"])])
+
+      assert Filter.matches?(filter, @github)
+      assert Filter.matches?(filter, %{headers: %{"X-GITHUB-EVENT" => "release"}, body: ""})
+      refute Filter.matches?(filter, %{headers: %{"x-github-event" => "issues"}, body: ""})
+    end
+
+    test "treats missing values and non-JSON bodies as absent" do
+      plain = %{headers: %{}, body: "type=invoice.paid"}
+
+      refute Filter.matches?(all([rule("body", "$.type", "exists")]), plain)
+      assert Filter.matches?(all([rule("body", "$.type", "not_exists")]), plain)
+      assert Filter.matches?(all([rule("body", "$.type", "neq", "invoice.paid")]), plain)
+      refute Filter.matches?(all([rule("body", "$.ref.length", "exists")]), @github)
+    end
+
+    test "combines rules with AND and OR groups" do
+      filter =
+        all([
+          rule("header", "content-type", "contains", "json"),
+          any([
+            rule("body", "$.type", "eq", "invoice.paid"),
+            rule("header", "x-github-event", "eq", "push")
+          ])
+        ])
+
+      assert Filter.matches?(filter, @stripe)
+      refute Filter.matches?(filter, @github)
+    end
+  end
+
+  describe "validate/1" do
+    test "accepts a valid filter" do
+      filter =
+        all([
+          rule("body", "$.items[0]['x-id']", "exists"),
+          any([rule("header", "X-GitHub-Event", "in", ["push"])])
+        ])
+
+      assert Filter.validate(filter) == []
+      assert Filter.validate(nil) == []
+    end
+
+    test "reports bad rules" do
+      assert ["Filter rule 1: \"type\" is not a JSONPath like $.type"] =
+               Filter.validate(all([rule("body", "type", "eq", "x")]))
+
+      assert ["Filter rule 1: value must be a list of strings"] =
+               Filter.validate(all([rule("header", "x-a", "in", "push")]))
+
+      assert ["Filter rule 1: unknown operator \"matches\""] =
+               Filter.validate(all([rule("header", "x-a", "matches", "x")]))
+
+      assert ["Filter must combine its rules with \"and\" or \"or\""] =
+               Filter.validate(%{"combinator" => "xor", "rules" => []})
+    end
+
+    test "limits nesting and size" do
+      nested = all([any([all([rule("header", "x-a", "exists")])])])
+      assert ["Filter rule 1 rule 1: groups can only be nested 2 levels deep"] =
+               Filter.validate(nested)
+
+      many = all(for _ <- 1..21, do: rule("header", "x-a", "exists"))
+      assert ["Filter can't have more than 20 conditions"] = Filter.validate(many)
+    end
+  end
+end
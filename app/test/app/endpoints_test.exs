@@ -230,6 +230,34 @@ defmodule Prikke.EndpointsTest do
       assert updated.retry_attempts == 0
       assert updated.use_queue == false
     end
+
+    test "update_endpoint/4 validates the filter and drops an empty one" do
+      org = organization_fixture()
+      endpoint = endpoint_fixture(org)
+
+      rule = %{"source" => "header", "path" => "X-GitHub-Event", "operator" => "in"}
+      filter = %{"combinator" => "or", "rules" => [Map.put(rule, "value", ["push"])]}
+
+      {:ok, updated} = Endpoints.update_endpoint(org, endpoint, %{filter: filter})
+      assert updated.filter == filter
+
+      assert {:error, changeset} =
+               Endpoints.update_endpoint(org, updated, %{
+                 filter: %{
+                   "combinator" => "and",
+                   "rules" => [%{"source" => "body", "path" => "type", "operator" => "exists"}]
+                 }
+               })
+
+      assert errors_on(changeset).filter == [
+               "Filter rule 1: \"type\" is not a JSONPath like $.type"
+             ]
+
+      empty = %{"combinator" => "and", "rules" => []}
+      {:ok, cleared} = Endpoints.update_endpoint(org, updated, %{filter: empty})
+
+      assert cleared.filter == nil
+    end
   end
 
   describe "receive_event/2" do
@@ -252,6 +280,23 @@ defmodule Prikke.EndpointsTest do
       assert length(event.task_ids) == 1
     end
 
+    test "broadcasts the received event" do
+      org = organization_fixture()
+      endpoint = endpoint_fixture(org)
+      Endpoints.subscribe_endpoints(org)
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{},
+          body: "test",
+          source_ip: "1.2.3.4"
+        })
+
+      event_id = event.id
+      assert_receive {:inbound_event_received, %{id: ^event_id}}
+    end
+
     test "creates 2 tasks and 2 executions with 2 URLs" do
       org = organization_fixture()
 
@@ -418,6 +463,118 @@ defmodule Prikke.EndpointsTest do
     end
   end
 
+  describe "replay_event/4 with overrides" do
+    setup do
+      org = organization_fixture()
+
+      endpoint =
+        endpoint_fixture(org, %{forward_urls: ["https://a.com/hook", "https://b.com/hook"]})
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{"content-type" => "application/json"},
+          body: ~s({"amount": "12,00"}),
+          source_ip: "1.2.3.4"
+        })
+
+      %{org: org, endpoint: endpoint, event: event}
+    end
+
+    test "sends an edited body to every destination through new tasks", %{
+      endpoint: endpoint,
+      event: event
+    } do
+      {:ok, executions} =
+        Endpoints.replay_event(endpoint, event, %{"body" => ~s({"amount": 1200})})
+
+      assert length(executions) == 2
+      refute Enum.any?(executions, &(&1.task_id in event.task_ids))
+
+      event = Endpoints.get_inbound_event!(endpoint, event.id)
+      assert Enum.sort(event.replay_task_ids) == Enum.sort(Enum.map(executions, & &1.task_id))
+      assert Enum.all?(event.replays, &(&1.body == ~s({"amount": 1200})))
+      assert Enum.all?(event.replays, &(&1.headers == %{"content-type" => "application/json"}))
+      assert Enum.sort(Enum.map(event.replays, & &1.url)) == endpoint.forward_urls
+
+      # The original tasks keep what was received
+      assert Enum.all?(event.tasks, &(&1.body == ~s({"amount": "12,00"})))
+    end
+
+    test "resends unchanged to one forward URL with its own task", %{
+      endpoint: endpoint,
+      event: event
+    } do
+      {:ok, [execution]} =
+        Endpoints.replay_event(endpoint, event, %{
+          "url" => "https://b.com/hook",
+          "body" => ~s({"amount": "12,00"})
+        })
+
+      event = Endpoints.get_inbound_event!(endpoint, event.id)
+      task = Enum.find(event.tasks, &(&1.url == "https://b.com/hook"))
+      assert execution.task_id == task.id
+      assert event.replay_task_ids == []
+    end
+
+    test "sends a one-off to another URL with edited headers", %{
+      endpoint: endpoint,
+      event: event
+    } do
+      {:ok, [execution]} =
+        Endpoints.replay_event(endpoint, event, %{
+          "url" => "https://staging.example.com/hook",
+          "headers" => %{"x-debug" => "1"}
+        })
+
+      [replay] = Endpoints.get_inbound_event!(endpoint, event.id).replays
+      assert replay.id == execution.task_id
+      assert replay.url == "https://staging.example.com/hook"
+      assert replay.headers == %{"x-debug" => "1"}
+      assert replay.body == ~s({"amount": "12,00"})
+    end
+
+    test "returns the changeset for an invalid URL", %{endpoint: endpoint, event: event} do
+      assert {:error, %Ecto.Changeset{} = changeset} =
+               Endpoints.replay_event(endpoint, event, %{"url" => "not a url"})
+
+      assert changeset.errors[:url]
+      assert Endpoints.get_inbound_event!(endpoint, event.id).replay_task_ids == []
+    end
+
+    test "rejects a blank URL instead of sending to every destination", %{
+      endpoint: endpoint,
+      event: event
+    } do
+      assert {:error, :blank_url} =
+               Endpoints.replay_event(endpoint, event, %{"url" => "", "body" => "{}"})
+
+      assert {:error, :blank_url} = Endpoints.replay_event(endpoint, event, %{"url" => "  "})
+
+      exec_count =
+        Prikke.Repo.aggregate(
+          Prikke.Executions.Execution
+          |> Ecto.Query.where([e], e.task_id in ^event.task_ids),
+          :count
+        )
+
+      assert exec_count == 2
+      assert Endpoints.get_inbound_event!(endpoint, event.id).replay_task_ids == []
+    end
+
+    test "records the replay in the audit log", %{org: org, endpoint: endpoint, event: event} do
+      {:ok, _executions} =
+        Endpoints.replay_event(endpoint, event, %{"body" => "{}"}, api_key_name: "ci")
+
+      [log] = Prikke.Audit.list_organization_logs(org)
+      assert log.action == "replayed"
+      assert log.resource_id == endpoint.id
+      assert log.metadata["event_id"] == event.id
+      assert log.metadata["edited"] == ["body"]
+      assert log.metadata["executions"] == 2
+    end
+  end
+
   describe "inbound events" do
     test "list_inbound_events/2 returns events with tasks" do
       org = organization_fixture()
@@ -689,6 +689,84 @@ defmodule Prikke.ExecutionsTest do
       [failed] = Executions.list_failed_executions(org)
       assert failed.task.name == "Failure Task"
     end
+
+    test "filters by scheduled_for window", %{organization: org, task: task} do
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      {:ok, old} = Executions.create_execution_for_task(task, DateTime.add(now, -2, :day))
+      {:ok, _} = Executions.fail_execution(old, %{error_message: "Old"})
+
+      {:ok, recent} = Executions.create_execution_for_task(task, now)
+      {:ok, _} = Executions.fail_execution(recent, %{error_message: "Recent"})
+
+      opts = [from: DateTime.add(now, -1, :hour), to: DateTime.add(now, 1, :hour)]
+      assert [%{error_message: "Recent"}] = Executions.list_failed_executions(org, opts)
+      assert Executions.count_failed_executions(org, opts) == 1
+    end
+  end
+
+  describe "execution_trend/4" do
+    setup do
+      user = user_fixture()
+      {:ok, org} = Accounts.create_organization(user, %{name: "Trend Org"})
+
+      {:ok, task} =
+        Tasks.create_task(org, %{
+          name: "Trend Task",
+          url: "https://example.com/webhook",
+          schedule_type: "cron",
+          cron_expression: "0 * * * *"
+        })
+
+      %{organization: org, task: task}
+    end
+
+    test "returns every day bucket with counts and percentiles", %{
+      organization: org,
+      task: task
+    } do
+      today = DateTime.new!(Date.utc_today(), ~T[00:00:00], "Etc/UTC")
+      from = DateTime.add(today, -2, :day)
+      to = DateTime.add(today, 1, :day)
+
+      {:ok, ok} = Executions.create_execution_for_task(task, DateTime.add(today, 1, :minute))
+      {:ok, _} = Executions.complete_execution(ok, %{status_code: 200, duration_ms: 100})
+
+      {:ok, failed} = Executions.create_execution_for_task(task, DateTime.add(today, 2, :minute))
+      {:ok, _} = Executions.fail_execution(failed, %{error_message: "Boom", duration_ms: 300})
+
+      {:ok, timeout} = Executions.create_execution_for_task(task, DateTime.add(today, 3, :minute))
+      {:ok, _} = Executions.timeout_execution(timeout, 500)
+
+      buckets = Executions.execution_trend(org, from, to, :day)
+
+      assert length(buckets) == 3
+      assert [%{total: 0, p50_ms: nil}, %{total: 0}, bucket] = buckets
+      assert bucket.start == today
+      assert bucket.end == DateTime.add(today, 1, :day)
+      assert %{total: 3, success: 1, failed: 1, timeout: 1, p50_ms: 300} = bucket
+      assert bucket.p95_ms > 300
+    end
+
+    test "buckets by hour for a single task", %{organization: org, task: task} do
+      {:ok, other} =
+        Tasks.create_task(org, %{
+          name: "Other Task",
+          url: "https://example.com/other",
+          schedule_type: "cron",
+          cron_expression: "0 * * * *"
+        })
+
+      hour = DateTime.utc_now() |> Map.merge(%{minute: 0, second: 0, microsecond: {0, 0}})
+      {:ok, _} = Executions.create_execution_for_task(task, DateTime.add(hour, 5, :minute))
+      {:ok, _} = Executions.create_execution_for_task(other, DateTime.add(hour, 5, :minute))
+
+      from = DateTime.add(hour, -1, :hour)
+      to = DateTime.add(hour, 1, :hour)
+      buckets = Executions.execution_trend(task, from, to, :hour)
+
+      assert [%{total: 0}, %{total: 1, start: ^hour}] = buckets
+    end
   end
 
   describe "retry_execution/1" do
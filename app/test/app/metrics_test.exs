@@ -66,6 +66,42 @@ defmodule Prikke.MetricsTest do
     end
   end
 
+  describe "alerts" do
+    import Prikke.AccountsFixtures
+    import Prikke.TasksFixtures
+
+    alias Prikke.Executions
+
+    setup do
+      start_supervised!({Metrics, test_mode: true})
+      :ok
+    end
+
+    test "keep their start time and move to the history once cleared" do
+      task = task_fixture(organization_fixture())
+      now = DateTime.utc_now()
+
+      for i <- 1..50 do
+        {:ok, _} = Executions.create_execution_for_task(task, DateTime.add(now, -i, :minute))
+      end
+
+      :ok = Metrics.sample()
+      assert [%{level: :warning, value: 50, since: since}] = queue_alerts(Metrics.alerts())
+
+      :ok = Metrics.sample()
+      assert [%{since: ^since}] = queue_alerts(Metrics.alerts())
+      assert Metrics.alert_history() == []
+
+      Prikke.Repo.delete_all(Executions.Execution)
+      :ok = Metrics.sample()
+
+      assert queue_alerts(Metrics.alerts()) == []
+
+      assert [%{level: :warning, since: ^since, until: %DateTime{}}] =
+               queue_alerts(Metrics.alert_history())
+    end
+  end
+
   describe "historical query functions" do
     import Prikke.AccountsFixtures
     import Prikke.TasksFixtures
@@ -101,37 +137,6 @@ defmodule Prikke.MetricsTest do
       assert result.avg == Decimal.new("250.0000000000000000")
     end
 
-    test "get_avg_queue_wait/1 returns correct structure with no data" do
-      result = Executions.get_avg_queue_wait()
-      assert result.count == 0
-      assert is_nil(result.avg_wait_ms)
-    end
-
-    test "throughput_per_minute/1 returns empty list with no data" do
-      result = Executions.throughput_per_minute()
-      assert result == []
-    end
-
-    test "throughput_per_minute/1 with execution data" do
-      org = organization_fixture()
-      task = task_fixture(org)
-
-      {:ok, execution} = Executions.create_execution_for_task(task, DateTime.utc_now())
-
-      {:ok, _} =
-        Executions.complete_execution(execution, %{
-          status_code: 200,
-          duration_ms: 100,
-          response_body: "ok"
-        })
-
-      result = Executions.throughput_per_minute(60)
-      assert length(result) >= 1
-
-      {_timestamp, count} = hd(result)
-      assert count >= 1
-    end
-
     test "get_scheduling_precision/1 returns correct structure with no data" do
       result = Executions.get_scheduling_precision()
       assert result.count == 0
@@ -170,6 +175,52 @@ defmodule Prikke.MetricsTest do
       assert result.p95 > 0
     end
 
+    test "system_series/2 fills the window with empty buckets" do
+      series = Executions.system_series("24h")
+      assert length(series) == 96
+      assert Enum.all?(series, &(&1.throughput == 0.0 and is_nil(&1.scheduling_lag_ms)))
+
+      [first, second | _] = series
+      assert DateTime.diff(second.start, first.start) == 900
+
+      assert [_, _] = Executions.system_series("7d", buckets: 2)
+    end
+
+    test "system_series/2 with execution data" do
+      org = organization_fixture()
+      task = task_fixture(org)
+
+      {:ok, execution} =
+        Executions.create_execution_for_task(task, DateTime.add(DateTime.utc_now(), -5, :second))
+
+      {:ok, claimed} =
+        execution
+        |> Prikke.Executions.Execution.start_changeset()
+        |> Prikke.Repo.update()
+
+      {:ok, _} =
+        Executions.complete_execution(claimed, %{
+          status_code: 200,
+          duration_ms: 6_000,
+          response_body: "ok"
+        })
+
+      # The execution lands in the current minute, or the one before if it
+      # just ticked over
+      assert [bucket] =
+               "1h"
+               |> Executions.system_series(buckets: 2)
+               |> Enum.filter(&(&1.throughput > 0))
+
+      assert bucket.throughput == 1.0
+
+      assert bucket.worker_utilization ==
+               Float.round(6_000 * 100 / (Prikke.WorkerPool.max_workers() * 60_000), 1)
+
+      assert bucket.queue_wait_ms >= 4_000
+      assert bucket.scheduling_lag_ms >= 4_000
+    end
+
     test "get_daily_scheduling_precision/1 returns empty list with no data" do
       result = Executions.get_daily_scheduling_precision()
       assert result == []
@@ -240,4 +291,7 @@ defmodule Prikke.MetricsTest do
       assert day.avg > 0
     end
   end
+
+  # CPU alerts depend on the machine running the tests
+  defp queue_alerts(alerts), do: Enum.filter(alerts, &(&1.metric == "queue_depth"))
 end
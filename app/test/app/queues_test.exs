@@ -4,6 +4,9 @@ defmodule Prikke.QueuesTest do
   import Prikke.AccountsFixtures
   import Prikke.TasksFixtures
 
+  alias Prikke.Accounts.Scope
+  alias Prikke.Audit
+  alias Prikke.Executions
   alias Prikke.Queues
 
   describe "pause_queue/2" do
@@ -128,4 +131,119 @@ defmodule Prikke.QueuesTest do
       assert Queues.list_queues_with_status(org) == []
     end
   end
+
+  describe "audit logging" do
+    test "records pause and resume with the acting user" do
+      user = user_fixture()
+      org = organization_fixture(%{user: user})
+      scope = Scope.for_user(user)
+
+      {:ok, _} = Queues.pause_queue(org, "emails", scope: scope)
+      {:ok, _} = Queues.resume_queue(org, "emails", scope: scope)
+
+      logs = Audit.list_organization_logs(org)
+      assert logs |> Enum.map(& &1.action) |> Enum.sort() == ["paused", "resumed"]
+
+      for log <- logs do
+        assert log.resource_type == "queue"
+        assert log.actor_id == user.id
+        assert log.metadata["queue_name"] == "emails"
+      end
+    end
+
+    test "records purges made with an API key" do
+      org = organization_fixture()
+      task_fixture(org, %{queue: "emails"})
+      task_fixture(org, %{queue: "emails"})
+
+      assert {:ok, %{cancelled: 2}} = Queues.purge_queue(org, "emails", api_key_name: "CI")
+
+      assert [log] = Audit.list_organization_logs(org)
+      assert log.action == "purged"
+      assert log.actor_type == "api"
+      assert log.metadata["queue_name"] == "emails"
+      assert log.metadata["cancelled"] == 2
+      assert log.metadata["api_key_name"] == "CI"
+    end
+
+    test "purging a queue without a row doesn't create one" do
+      org = organization_fixture()
+
+      assert {:ok, %{cancelled: 0}} = Queues.purge_queue(org, "typo", api_key_name: "CI")
+
+      assert Queues.get_queue(org, "typo") == nil
+      assert [log] = Audit.list_organization_logs(org)
+      assert log.resource_type == "organization"
+      assert log.resource_id == org.id
+      assert log.metadata["queue_name"] == "typo"
+    end
+
+    test "purges are logged against the queue when it has a row" do
+      org = organization_fixture()
+      {:ok, queue} = Queues.pause_queue(org, "emails")
+
+      assert {:ok, _} = Queues.purge_queue(org, "emails", api_key_name: "CI")
+
+      assert [log] = Audit.list_organization_logs(org)
+      assert log.resource_type == "queue"
+      assert log.resource_id == queue.id
+    end
+
+    test "logs nothing without a scope or API key" do
+      org = organization_fixture()
+      Queues.pause_queue(org, "emails")
+
+      assert Audit.list_organization_logs(org) == []
+    end
+  end
+
+  describe "list_queue_stats/2" do
+    test "counts pending, running and finished executions per queue" do
+      org = organization_fixture()
+      task = task_fixture(org, %{queue: "emails"})
+      task_fixture(org, %{queue: "reports"})
+      Queues.pause_queue(org, "reports")
+
+      overdue = DateTime.add(DateTime.utc_now(), -120, :second)
+      {:ok, _} = Executions.create_execution_for_task(task, overdue)
+      {:ok, _} = Executions.create_execution_for_task(task, DateTime.add(overdue, 3600, :second))
+      {:ok, done} = Executions.create_execution_for_task(task, overdue)
+      {:ok, _} = Executions.complete_execution(done, %{status_code: 200})
+
+      assert [emails, reports] = Queues.list_queue_stats(org, 10)
+
+      assert emails.name == "emails"
+      assert emails.pending == 2
+      assert emails.paused == false
+      assert emails.running == nil
+      assert DateTime.compare(emails.oldest_pending_at, DateTime.truncate(overdue, :second)) ==
+               :eq
+      assert length(emails.throughput) == 10
+      assert List.last(emails.throughput) == 1
+
+      assert reports.paused
+      assert reports.pending == 0
+      assert reports.oldest_pending_at == nil
+      assert reports.throughput == List.duplicate(0, 10)
+    end
+  end
+
+  describe "list_pending_executions/3" do
+    test "lists pending executions in run order" do
+      org = organization_fixture()
+      task = task_fixture(org, %{queue: "emails"})
+      now = DateTime.utc_now()
+
+      {:ok, later} = Executions.create_execution_for_task(task, DateTime.add(now, 60, :second))
+      {:ok, sooner} = Executions.create_execution_for_task(task, DateTime.add(now, -60, :second))
+
+      assert [first, second] = Queues.list_pending_executions(org, "emails")
+      assert first.id == sooner.id
+      assert second.id == later.id
+      assert first.task.id == task.id
+
+      assert [_] = Queues.list_pending_executions(org, "emails", 1)
+      assert Queues.list_pending_executions(org, "other") == []
+    end
+  end
 end
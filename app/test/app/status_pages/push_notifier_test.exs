@@ -0,0 +1,51 @@
+defmodule Prikke.StatusPages.PushNotifierTest do
+  use Prikke.DataCase
+
+  import Prikke.AccountsFixtures
+  import Prikke.StatusPagesFixtures
+  import Prikke.TasksFixtures
+
+  alias Prikke.StatusPages
+  alias Prikke.StatusPages.{PushNotifier, SummaryCache}
+
+  setup do
+    {:ok, pid} = start_supervised({PushNotifier, test_mode: true})
+    Ecto.Adapters.SQL.Sandbox.allow(Prikke.Repo, self(), pid)
+    %{notifier: pid}
+  end
+
+  test "pushes status changes to the subscribers of each status page" do
+    org = organization_fixture()
+    sp = status_page_fixture(org, %{title: "Acme Status"})
+    task = task_fixture(org, %{name: "Nightly Sync"})
+    StatusPages.add_item(sp, "task", task.id)
+
+    bypass = Bypass.open()
+    attrs = push_subscription_attrs("http://localhost:#{bypass.port}/push/abc")
+    {:ok, _} = StatusPages.subscribe_to_push(sp, attrs)
+
+    assert {:ok, 0} = PushNotifier.check_now()
+
+    task |> Ecto.Changeset.change(last_execution_status: "failed") |> Repo.update!()
+    SummaryCache.invalidate(sp)
+
+    Bypass.expect_once(bypass, "POST", "/push/abc", fn conn ->
+      {:ok, body, conn} = Plug.Conn.read_body(conn)
+      message = body |> decrypt_push(attrs.keys) |> Jason.decode!()
+      assert message["title"] == "Nightly Sync is failing"
+      Plug.Conn.resp(conn, 201, "")
+    end)
+
+    assert {:ok, 1} = PushNotifier.check_now()
+  end
+
+  test "skips status pages nobody subscribed to" do
+    org = organization_fixture()
+    sp = status_page_fixture(org)
+    task = task_fixture(org)
+    StatusPages.add_item(sp, "task", task.id)
+
+    assert {:ok, 0} = PushNotifier.check_now()
+    assert StatusPages.get_public_status_page(sp.slug).notified_statuses == nil
+  end
+end
@@ -224,6 +224,127 @@ defmodule Prikke.StatusPagesTest do
     end
   end
 
+  describe "push subscriptions" do
+    test "subscribe_to_push/2 stores a subscription and replaces its keys on resubscribe" do
+      sp = status_page_fixture()
+      attrs = push_subscription_attrs("http://localhost:4010/push/abc")
+
+      assert {:ok, subscription} = StatusPages.subscribe_to_push(sp, attrs)
+      assert subscription.status_page_id == sp.id
+
+      renewed = push_subscription_attrs(attrs.endpoint)
+      assert {:ok, _} = StatusPages.subscribe_to_push(sp, renewed)
+
+      assert [%{p256dh: p256dh}] = StatusPages.list_push_subscriptions(sp)
+      assert p256dh == renewed.p256dh
+    end
+
+    test "subscribe_to_push/2 rejects endpoints off the push services and bad keys" do
+      sp = status_page_fixture()
+
+      attrs = push_subscription_attrs("http://169.254.169.254/latest/meta-data")
+      assert {:error, changeset} = StatusPages.subscribe_to_push(sp, attrs)
+      assert "is not a push service" in errors_on(changeset).endpoint
+
+      attrs = %{push_subscription_attrs("http://localhost:4010/push") | auth: "c2hvcnQ"}
+      assert {:error, changeset} = StatusPages.subscribe_to_push(sp, attrs)
+      assert "is not a valid key" in errors_on(changeset).auth
+    end
+
+    test "unsubscribe_from_push/2 removes the subscription" do
+      sp = status_page_fixture()
+      attrs = push_subscription_attrs("http://localhost:4010/push/abc")
+      {:ok, _} = StatusPages.subscribe_to_push(sp, attrs)
+
+      assert :ok = StatusPages.unsubscribe_from_push(sp, attrs.endpoint)
+      assert StatusPages.list_push_subscriptions(sp) == []
+    end
+
+    test "list_status_pages_with_push_subscriptions/0 skips disabled pages" do
+      watched = status_page_fixture()
+      disabled = status_page_fixture(organization_fixture(), %{enabled: false})
+      _unwatched = status_page_fixture()
+
+      for sp <- [watched, disabled] do
+        attrs = push_subscription_attrs("http://localhost:4010/push/abc")
+        {:ok, _} = StatusPages.subscribe_to_push(sp, attrs)
+      end
+
+      ids = Enum.map(StatusPages.list_status_pages_with_push_subscriptions(), & &1.id)
+      assert watched.id in ids
+      refute disabled.id in ids
+    end
+  end
+
+  describe "notify_status_changes/1" do
+    setup do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{title: "Acme Status", slug: "acme-push"})
+      task = task_fixture(org, %{name: "Nightly Sync"})
+      StatusPages.add_item(sp, "task", task.id)
+
+      %{status_page: sp, task: task}
+    end
+
+    test "pushes components that changed status since the last call", %{
+      status_page: sp,
+      task: task
+    } do
+      bypass = Bypass.open()
+      attrs = push_subscription_attrs("http://localhost:#{bypass.port}/push/abc")
+      {:ok, _} = StatusPages.subscribe_to_push(sp, attrs)
+
+      # The first call only records the statuses
+      assert {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+      assert {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+
+      task |> Ecto.Changeset.change(last_execution_status: "failed") |> Repo.update!()
+      Prikke.StatusPages.SummaryCache.invalidate(sp)
+
+      Bypass.expect_once(bypass, "POST", "/push/abc", fn conn ->
+        {:ok, body, conn} = Plug.Conn.read_body(conn)
+        message = body |> decrypt_push(attrs.keys) |> Jason.decode!()
+
+        assert message["title"] == "Nightly Sync is failing"
+        assert message["body"] == "Acme Status: changed from unknown to failing"
+        assert message["url"] == "/s/acme-push"
+        assert message["tag"] == "/s/acme-push:task-#{task.id}"
+
+        Plug.Conn.resp(conn, 201, "")
+      end)
+
+      assert {:ok, 1} = StatusPages.notify_status_changes(public_status_page(sp))
+      assert {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+    end
+
+    test "deletes subscriptions the push service reports as gone", %{
+      status_page: sp,
+      task: task
+    } do
+      bypass = Bypass.open()
+      attrs = push_subscription_attrs("http://localhost:#{bypass.port}/push/gone")
+      {:ok, _} = StatusPages.subscribe_to_push(sp, attrs)
+      {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+
+      task |> Ecto.Changeset.change(last_execution_status: "failed") |> Repo.update!()
+      Prikke.StatusPages.SummaryCache.invalidate(sp)
+      Bypass.expect_once(bypass, "POST", "/push/gone", &Plug.Conn.resp(&1, 410, ""))
+
+      assert {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+      assert StatusPages.list_push_subscriptions(sp) == []
+    end
+
+    test "reset_unwatched_notified_statuses/0 forgets pages without subscribers", %{
+      status_page: sp
+    } do
+      {:ok, 0} = StatusPages.notify_status_changes(public_status_page(sp))
+      assert public_status_page(sp).notified_statuses != nil
+
+      StatusPages.reset_unwatched_notified_statuses()
+      assert public_status_page(sp).notified_statuses == nil
+    end
+  end
+
   describe "slugify/1" do
     test "converts name to slug" do
       assert StatusPages.slugify("My Company") == "my-company"
@@ -253,4 +374,6 @@ defmodule Prikke.StatusPagesTest do
       assert %Ecto.Changeset{} = changeset
     end
   end
+
+  defp public_status_page(sp), do: StatusPages.get_public_status_page(sp.slug)
 end
@@ -0,0 +1,133 @@
+defmodule Prikke.SyncTest do
+  use Prikke.DataCase
+
+  import Prikke.AccountsFixtures
+  import Prikke.TasksFixtures
+  import Prikke.MonitorsFixtures
+  import Prikke.EndpointsFixtures
+
+  alias Prikke.Accounts.Scope
+  alias Prikke.Audit
+  alias Prikke.Sync
+
+  describe "export/1" do
+    test "exports cron tasks, monitors and endpoints sorted by name" do
+      org = organization_fixture()
+      task_fixture(org, %{name: "B task"})
+      task_fixture(org, %{name: "A task", queue: "emails"})
+      once_task_fixture(org, %{name: "One-off"})
+      monitor_fixture(org, %{name: "Heartbeat"})
+      endpoint_fixture(org, %{name: "Stripe"})
+
+      export = Sync.export(org)
+
+      assert Enum.map(export["tasks"], & &1["name"]) == ["A task", "B task"]
+      assert [%{"name" => "Heartbeat", "interval_seconds" => 3600}] = export["monitors"]
+
+      assert [%{"name" => "Stripe", "forward_urls" => ["https://example.com/webhooks/test"]}] =
+               export["endpoints"]
+
+      [task | _] = export["tasks"]
+      assert task["queue"] == "emails"
+      # Unset fields are left out
+      refute Map.has_key?(task, "callback_url")
+    end
+
+    test "round-trips without changes" do
+      org = organization_fixture()
+      task_fixture(org)
+      monitor_fixture(org)
+      endpoint_fixture(org)
+
+      assert {:ok, plan} = Sync.plan(org, Sync.export(org))
+      assert Sync.plan_message(plan) == "No changes"
+      assert plan.unchanged_count == 3
+    end
+  end
+
+  describe "plan/2" do
+    test "lists field-level changes without writing anything" do
+      org = organization_fixture()
+      monitor_fixture(org, %{name: "Heartbeat", interval_seconds: 3600})
+
+      params = %{
+        "monitors" => [
+          %{"name" => "Heartbeat", "schedule_type" => "interval", "interval_seconds" => 600}
+        ]
+      }
+
+      assert {:ok, plan} = Sync.plan(org, params)
+
+      assert [%{action: "update", name: "Heartbeat", changes: changes}] = plan.monitors
+      assert changes == %{"interval_seconds" => %{"from" => 3600, "to" => 600}}
+      assert plan.update_count == 1
+      assert plan.tasks == []
+
+      assert [%{interval_seconds: 3600}] = Prikke.Monitors.list_monitors(org)
+    end
+
+    test "plans deletes only with delete_removed" do
+      org = organization_fixture()
+      endpoint_fixture(org, %{name: "Old"})
+
+      assert {:ok, %{endpoints: []}} = Sync.plan(org, %{"endpoints" => []})
+
+      assert {:ok, %{endpoints: [delete], delete_count: 1}} =
+               Sync.plan(org, %{"endpoints" => [], "delete_removed" => true})
+
+      assert %{action: "delete", name: "Old"} = delete
+      assert delete.changes["forward_urls"]["to"] == nil
+    end
+
+    test "normalizes an endpoint's forward_url like a sync" do
+      org = organization_fixture()
+
+      params = %{"endpoints" => [%{"name" => "Hooks", "forward_url" => "https://example.com/a"}]}
+
+      assert {:ok, %{endpoints: [%{action: "create", changes: changes}]}} =
+               Sync.plan(org, params)
+
+      assert changes["forward_urls"]["to"] == ["https://example.com/a"]
+    end
+
+    test "reports every invalid resource" do
+      org = organization_fixture()
+
+      params = %{
+        "tasks" => [%{"name" => "", "url" => "https://example.com"}],
+        "monitors" => [%{"name" => "Broken", "schedule_type" => "sometimes"}]
+      }
+
+      assert {:error, %{errors: [%{name: ""}, %{name: "Broken"}]}} = Sync.plan(org, params)
+    end
+
+    test "requires at least one resource list" do
+      assert Sync.plan(organization_fixture(), %{"tasks" => "all"}) == {:error, :no_resources}
+    end
+  end
+
+  describe "run/3" do
+    test "attributes changes to the acting user" do
+      user = user_fixture()
+      org = organization_fixture(%{user: user})
+
+      params = %{
+        "tasks" => [
+          %{
+            "name" => "Nightly",
+            "url" => "https://example.com/nightly",
+            "schedule_type" => "cron",
+            "cron_expression" => "0 0 * * *"
+          }
+        ]
+      }
+
+      assert {:ok, summary} = Sync.run(org, params, scope: Scope.for_user(user))
+      assert summary.tasks.created == ["Nightly"]
+      assert Sync.summary_message(summary) == "Sync complete: 1 created"
+
+      assert [%{action: "created", actor_id: actor_id}] = Audit.list_organization_logs(org)
+      assert actor_id == user.id
+    end
+  end
+end
@@ -199,6 +199,25 @@ defmodule Prikke.TasksTest do
       assert task.interval_minutes == 60
     end
 
+    test "with headers_json takes the headers from the JSON" do
+      org = organization_fixture()
+
+      attrs = %{
+        url: "https://example.com/webhook",
+        schedule_type: "cron",
+        cron_expression: "0 * * * *",
+        headers_json: ~s({"Content-Type": "application/json", "X-Api-Key": "secret"})
+      }
+
+      assert {:ok, task} = Tasks.create_task(org, attrs)
+      assert task.headers == %{"Content-Type" => "application/json", "X-Api-Key" => "secret"}
+
+      assert {:error, changeset} =
+               Tasks.create_task(org, %{attrs | headers_json: ~s(["X-Api-Key"])})
+
+      assert "must be a JSON object" in errors_on(changeset).headers_json
+    end
+
     test "with valid cron data creates a task (pro tier, per-minute)" do
       org = organization_fixture(tier: "pro")
 
@@ -918,6 +937,69 @@ defmodule Prikke.TasksTest do
     end
   end
 
+  describe "send_test_request/2" do
+    setup do
+      org = organization_fixture()
+      bypass = Bypass.open()
+
+      task = %Task{
+        url: "http://localhost:#{bypass.port}/hook",
+        method: "POST",
+        headers: %{"X-Custom" => "yes"},
+        body: ~s({"ping": true}),
+        organization: org,
+        organization_id: org.id
+      }
+
+      %{bypass: bypass, task: task}
+    end
+
+    test "sends the task's request signed like an execution", %{bypass: bypass, task: task} do
+      Bypass.expect_once(bypass, "POST", "/hook", fn conn ->
+        {:ok, body, conn} = Plug.Conn.read_body(conn)
+        assert body == ~s({"ping": true})
+        assert Plug.Conn.get_req_header(conn, "x-custom") == ["yes"]
+        assert Plug.Conn.get_req_header(conn, "x-runlater-execution-id") == ["test"]
+        assert [_signature] = Plug.Conn.get_req_header(conn, "x-runlater-signature")
+
+        conn
+        |> Plug.Conn.put_resp_content_type("application/json")
+        |> Plug.Conn.resp(200, ~s({"ok": true}))
+      end)
+
+      assert {:ok, result} = Tasks.send_test_request(task, skip_ssrf: true)
+      assert result.status == 200
+      assert result.body == ~s({"ok": true})
+      assert {"content-type", "application/json; charset=utf-8"} in result.headers
+      assert is_integer(result.timings[:receive])
+      assert [%{description: "Status is 2xx", passed: true, message: nil}] = result.assertions
+    end
+
+    test "evaluates the task's assertions", %{bypass: bypass, task: task} do
+      Bypass.expect_once(bypass, "POST", "/hook", fn conn ->
+        Plug.Conn.resp(conn, 201, "created")
+      end)
+
+      task = %{task | expected_status_codes: "200", expected_body_pattern: "created"}
+
+      assert {:ok, %{assertions: [status, body]}} = Tasks.send_test_request(task, skip_ssrf: true)
+      assert %{passed: false, message: "Assertion failed: status 201 not in [200]"} = status
+      assert %{description: ~s(Body contains "created"), passed: true} = body
+    end
+
+    test "refuses private URLs", %{task: task} do
+      assert {:error, "URL cannot target private or internal addresses"} =
+               Tasks.send_test_request(task)
+    end
+
+    test "doesn't contact blocked hosts", %{task: task} do
+      Prikke.HostBlocker.block(task.organization_id, "localhost", 60_000, "test")
+
+      assert {:error, message} = Tasks.send_test_request(task, skip_ssrf: true)
+      assert message =~ "localhost is paused until"
+    end
+  end
+
   describe "interval_minutes calculation" do
     test "every minute cron (pro tier)" do
       org = organization_fixture(tier: "pro")
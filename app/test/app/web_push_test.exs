@@ -0,0 +1,104 @@
+defmodule Prikke.WebPushTest do
+  use ExUnit.Case, async: true
+
+  import Prikke.StatusPagesFixtures, only: [push_subscription_attrs: 1, decrypt_push: 2]
+
+  alias Prikke.WebPush
+
+  describe "encrypt/3" do
+    test "encrypts a payload the subscription can decrypt" do
+      %{keys: keys} = push_subscription_attrs("http://localhost/push")
+
+      body = WebPush.encrypt(~s({"title":"API is down"}), keys.public, keys.auth)
+
+      assert decrypt_push(body, keys) == ~s({"title":"API is down"})
+    end
+
+    test "uses a fresh key and salt for every message" do
+      %{keys: keys} = push_subscription_attrs("http://localhost/push")
+
+      refute WebPush.encrypt("same", keys.public, keys.auth) ==
+               WebPush.encrypt("same", keys.public, keys.auth)
+    end
+  end
+
+  describe "valid_endpoint?/1" do
+    test "accepts only the configured push service hosts" do
+      assert WebPush.valid_endpoint?("http://localhost:4002/push/abc")
+      refute WebPush.valid_endpoint?("http://169.254.169.254/latest/meta-data")
+      refute WebPush.valid_endpoint?("ftp://localhost/push")
+      refute WebPush.valid_endpoint?("not a url")
+      refute WebPush.valid_endpoint?(nil)
+    end
+  end
+
+  describe "decode_key/1" do
+    test "decodes base64url with or without padding" do
+      assert WebPush.decode_key("-_8") == {:ok, <<251, 255>>}
+      assert WebPush.decode_key("-_8=") == {:ok, <<251, 255>>}
+      assert WebPush.decode_key("not base64!") == :error
+      assert WebPush.decode_key(nil) == :error
+    end
+  end
+
+  describe "send_notification/2" do
+    setup do
+      bypass = Bypass.open()
+      attrs = push_subscription_attrs("http://localhost:#{bypass.port}/push/abc")
+      %{bypass: bypass, subscription: attrs}
+    end
+
+    test "pushes the encrypted message signed with the VAPID key", %{
+      bypass: bypass,
+      subscription: subscription
+    } do
+      Bypass.expect_once(bypass, "POST", "/push/abc", fn conn ->
+        {:ok, body, conn} = Plug.Conn.read_body(conn)
+
+        assert Plug.Conn.get_req_header(conn, "content-encoding") == ["aes128gcm"]
+        assert Plug.Conn.get_req_header(conn, "ttl") == ["86400"]
+        assert decrypt_push(body, subscription.keys) |> Jason.decode!() == %{"title" => "Hi"}
+
+        ["vapid t=" <> rest] = Plug.Conn.get_req_header(conn, "authorization")
+        [token, "k=" <> key] = String.split(rest, ", ")
+        assert key == WebPush.public_key()
+        assert_valid_token(token, "http://localhost:#{bypass.port}")
+
+        Plug.Conn.resp(conn, 201, "")
+      end)
+
+      assert WebPush.send_notification(subscription, %{title: "Hi"}) == :ok
+    end
+
+    test "reports expired subscriptions as gone", %{bypass: bypass, subscription: subscription} do
+      Bypass.expect_once(bypass, "POST", "/push/abc", &Plug.Conn.resp(&1, 410, ""))
+
+      assert WebPush.send_notification(subscription, %{title: "Hi"}) == {:error, :gone}
+    end
+
+    test "returns other failures", %{bypass: bypass, subscription: subscription} do
+      Bypass.expect_once(bypass, "POST", "/push/abc", &Plug.Conn.resp(&1, 500, ""))
+
+      assert WebPush.send_notification(subscription, %{title: "Hi"}) ==
+               {:error, {:http_status, 500}}
+    end
+  end
+
+  # An ES256 JWT for the push service's origin, verified with the public key
+  defp assert_valid_token(token, audience) do
+    [header, claims, signature] = String.split(token, ".")
+    assert %{"alg" => "ES256"} = header |> Base.url_decode64!(padding: false) |> Jason.decode!()
+
+    payload = claims |> Base.url_decode64!(padding: false) |> Jason.decode!()
+    assert payload["aud"] == audience
+    assert payload["sub"] == "mailto:test@localhost"
+    assert payload["exp"] > System.system_time(:second)
+
+    <<r::unsigned-big-256, s::unsigned-big-256>> = Base.url_decode64!(signature, padding: false)
+    der = :public_key.der_encode(:"ECDSA-Sig-Value", {:"ECDSA-Sig-Value", r, s})
+    {:ok, public_key} = WebPush.decode_key(WebPush.public_key())
+
+    signing_input = header <> "." <> claims
+    assert :crypto.verify(:ecdsa, :sha256, signing_input, der, [public_key, :prime256v1])
+  end
+end
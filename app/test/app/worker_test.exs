@@ -313,6 +313,43 @@ defmodule Prikke.WorkerTest do
       GenServer.stop(pid, :normal)
     end
 
+    test "a JSON body is asserted on as received, same as a test request", %{org: org} do
+      Process.flag(:trap_exit, true)
+
+      bypass = Bypass.open()
+
+      Bypass.expect(bypass, "POST", "/webhook", fn conn ->
+        conn
+        |> Plug.Conn.put_resp_content_type("application/json")
+        |> Plug.Conn.resp(200, ~s({"status":"error"}))
+      end)
+
+      task =
+        insert_task_for_bypass(org, "http://localhost:#{bypass.port}/webhook", %{
+          expected_body_pattern: ~s("status":"ok")
+        })
+
+      {:ok, execution} = Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      {:ok, pid} = Worker.start_link()
+      Process.sleep(500)
+
+      updated = Executions.get_execution(execution.id)
+      assert updated.status == "failed"
+      assert updated.response_body == ~s({"status":"error"})
+      assert updated.error_message =~ "Assertion failed: response body does not contain"
+
+      GenServer.stop(pid, :normal)
+
+      task = Repo.preload(task, :organization)
+
+      assert {:ok, %{assertions: [_status, body]}} =
+               Prikke.Tasks.send_test_request(task, skip_ssrf: true)
+
+      assert body.passed == false
+      assert body.message == updated.error_message
+    end
+
     test "task with no assertions and 200 response -> success (backward compat)", %{org: org} do
       Process.flag(:trap_exit, true)
 
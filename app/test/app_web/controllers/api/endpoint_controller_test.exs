@@ -319,5 +319,22 @@ defmodule PrikkeWeb.Api.EndpointControllerTest do
       assert hd(response["data"]["executions"])["status"] == "pending"
       assert response["message"] =~ "Event replayed"
     end
+
+    test "rejects a blank url", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{},
+          body: "test",
+          source_ip: "1.2.3.4"
+        })
+
+      conn =
+        post(conn, ~p"/api/v1/endpoints/#{endpoint.id}/events/#{event.id}/replay", %{url: ""})
+
+      assert json_response(conn, 422)["error"]["code"] == "blank_url"
+    end
   end
 end
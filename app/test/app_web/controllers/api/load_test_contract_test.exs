@@ -0,0 +1,79 @@
+defmodule PrikkeWeb.Api.LoadTestContractTest do
+  @moduledoc """
+  The k6 suite in `loadtest/k6` builds its payloads and response checks from
+  `loadtest/k6/contract.json`, generated from the OpenAPI spec by
+  `loadtest/k6/generate.mjs`. This applies the generator's rules to the spec
+  the app serves, so an API change that isn't regenerated into the contract
+  fails the build.
+  """
+  use PrikkeWeb.ConnCase, async: true
+
+  @contract_path Path.expand("../../../../../loadtest/k6/contract.json", __DIR__)
+  @external_resource @contract_path
+
+  test "contract.json matches the served OpenAPI spec", %{conn: conn} do
+    spec = conn |> get(~p"/api/v1/openapi") |> json_response(200)
+    contract = @contract_path |> File.read!() |> Jason.decode!()
+
+    for {name, %{"method" => method, "path" => path} = expected} <- contract do
+      operation = get_in(spec, ["paths", path, method])
+      assert operation, "#{name}: #{String.upcase(method)} #{path} is not in the spec"
+
+      assert expected == operation_contract(spec, method, path, operation),
+             "#{name} has drifted from the spec. Run `node loadtest/k6/generate.mjs`."
+    end
+  end
+
+  defp operation_contract(spec, method, path, operation) do
+    responses =
+      for {status, response} <- operation["responses"],
+          String.starts_with?(status, "2"),
+          into: %{} do
+        schema = get_in(response, ["content", "application/json", "schema"])
+        {status, response_fields(spec, schema)}
+      end
+
+    %{
+      "method" => method,
+      "path" => path,
+      "request" => request_fields(spec, operation["requestBody"]),
+      "responses" => responses
+    }
+  end
+
+  defp request_fields(_spec, nil), do: nil
+
+  defp request_fields(spec, request_body) do
+    schema = resolve(spec, get_in(request_body, ["content", "application/json", "schema"]))
+
+    %{
+      "required" => Enum.sort(schema["required"] || []),
+      "properties" => (schema["properties"] || %{}) |> Map.keys() |> Enum.sort()
+    }
+  end
+
+  defp response_fields(spec, schema) do
+    properties = resolve(spec, schema)["properties"] || %{}
+
+    properties
+    |> Enum.flat_map(fn {name, property} ->
+      property = resolve(spec, property)
+
+      {prefix, nested} =
+        if property["type"] == "array" do
+          {"#{name}[]", resolve(spec, property["items"])["properties"]}
+        else
+          {name, property["properties"]}
+        end
+
+      [name | Enum.map(Map.keys(nested || %{}), &"#{prefix}.#{&1}")]
+    end)
+    |> Enum.sort()
+  end
+
+  defp resolve(spec, %{"$ref" => "#/components/schemas/" <> name}),
+    do: resolve(spec, spec["components"]["schemas"][name])
+
+  defp resolve(_spec, nil), do: %{}
+  defp resolve(_spec, schema), do: schema
+end
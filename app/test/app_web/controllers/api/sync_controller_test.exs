@@ -561,4 +561,98 @@ defmodule PrikkeWeb.Api.SyncControllerTest do
       assert response["error"]["code"] == "validation_error"
     end
   end
+
+  describe "PUT /api/v1/sync - dry run" do
+    test "returns the plan without applying it", %{conn: conn, org: org} do
+      task_fixture(org, %{name: "Existing", cron_expression: "0 * * * *"})
+      task_fixture(org, %{name: "Removed"})
+      monitor_fixture(org, %{name: "Heartbeat"})
+
+      params = %{
+        "dry_run" => true,
+        "delete_removed" => true,
+        "tasks" => [
+          %{
+            "name" => "Existing",
+            "url" => "https://example.com/webhook",
+            "schedule_type" => "cron",
+            "cron_expression" => "0 0 * * *"
+          },
+          %{
+            "name" => "New Task",
+            "url" => "https://example.com/new",
+            "schedule_type" => "cron",
+            "cron_expression" => "0 * * * *"
+          }
+        ]
+      }
+
+      conn = put(conn, ~p"/api/v1/sync", params)
+      response = json_response(conn, 200)
+
+      assert response["message"] == "Plan: 1 to create, 1 to update, 1 to delete"
+      assert response["data"]["create_count"] == 1
+      assert response["data"]["monitors"] == []
+
+      assert [update, create, delete] = response["data"]["tasks"]
+
+      assert update["action"] == "update"
+      assert update["name"] == "Existing"
+
+      assert update["changes"] == %{
+               "cron_expression" => %{"from" => "0 * * * *", "to" => "0 0 * * *"}
+             }
+
+      assert %{"action" => "create", "name" => "New Task"} = create
+      assert create["changes"]["url"] == %{"from" => nil, "to" => "https://example.com/new"}
+      assert %{"action" => "delete", "name" => "Removed"} = delete
+
+      # Nothing was written
+      assert org |> Tasks.list_tasks() |> Enum.map(& &1.name) |> Enum.sort() ==
+               ["Existing", "Removed"]
+
+      existing = Enum.find(Tasks.list_cron_tasks(org), &(&1.name == "Existing"))
+      assert existing.cron_expression == "0 * * * *"
+    end
+
+    test "accepts dry_run as a query parameter", %{conn: conn, org: org} do
+      params = %{
+        "monitors" => [
+          %{"name" => "ETL", "schedule_type" => "interval", "interval_seconds" => 600}
+        ]
+      }
+
+      conn = put(conn, ~p"/api/v1/sync?dry_run=true", params)
+      response = json_response(conn, 200)
+
+      assert [%{"action" => "create", "name" => "ETL"}] = response["data"]["monitors"]
+      assert Monitors.list_monitors(org) == []
+    end
+
+    test "reports no changes for an unchanged config", %{conn: conn, org: org} do
+      task_fixture(org, %{name: "Hourly"})
+      endpoint_fixture(org, %{name: "Stripe"})
+
+      params = org |> Prikke.Sync.export() |> Map.put("dry_run", true)
+
+      conn = put(conn, ~p"/api/v1/sync", params)
+      response = json_response(conn, 200)
+
+      assert response["message"] == "No changes"
+      assert response["data"]["unchanged_count"] == 2
+    end
+
+    test "returns the same validation errors as a sync", %{conn: conn} do
+      params = %{
+        "dry_run" => true,
+        "tasks" => [%{"name" => "Broken", "url" => "not-a-url", "schedule_type" => "cron"}]
+      }
+
+      conn = put(conn, ~p"/api/v1/sync", params)
+      response = json_response(conn, 422)
+
+      assert response["error"]["code"] == "validation_error"
+      assert [%{"name" => "Broken"}] = response["error"]["details"]
+    end
+  end
 end
@@ -108,6 +108,7 @@ defmodule PrikkeWeb.Api.TaskControllerTest do
 
       assert response["data"]["id"] == task.id
       assert response["data"]["name"] == "Test Task"
+      assert Map.has_key?(response["data"], "callback_url")
     end
 
     test "returns 404 for non-existent task", %{conn: conn} do
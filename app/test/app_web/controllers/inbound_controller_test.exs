@@ -70,5 +70,39 @@ defmodule PrikkeWeb.InboundControllerTest do
 
       assert json_response(conn, 200)["status"] == "received"
     end
+
+    test "stores events that don't match the filter without forwarding them", %{conn: conn} do
+      org = organization_fixture()
+
+      endpoint =
+        endpoint_fixture(org, %{
+          filter: %{
+            "combinator" => "and",
+            "rules" => [
+              %{"source" => "body", "path" => "$.type", "operator" => "eq", "value" => "paid"}
+            ]
+          }
+        })
+
+      matching =
+        conn
+        |> put_req_header("content-type", "application/json")
+        |> post("/in/#{endpoint.slug}", ~s({"type": "paid"}))
+
+      assert json_response(matching, 200)["status"] == "received"
+
+      other =
+        build_conn()
+        |> put_req_header("content-type", "application/json")
+        |> post("/in/#{endpoint.slug}", ~s({"type": "refunded"}))
+
+      response = json_response(other, 200)
+      assert response["status"] == "filtered"
+
+      event = Prikke.Endpoints.get_inbound_event!(endpoint, response["id"])
+      assert event.filtered
+      assert event.task_ids == []
+      assert Prikke.Endpoints.event_status(event) == "filtered"
+    end
   end
 end
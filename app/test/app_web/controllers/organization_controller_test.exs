@@ -0,0 +1,120 @@
+defmodule PrikkeWeb.OrganizationControllerTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Prikke.AccountsFixtures
+
+  alias Prikke.Accounts
+  alias Prikke.Accounts.Scope
+  alias Prikke.Audit
+
+  setup :register_and_log_in_user
+
+  setup %{user: user} do
+    org = organization_fixture(%{user: user})
+    %{org: org, scope: Scope.for_user(user)}
+  end
+
+  describe "GET /organizations/audit" do
+    test "lists logs grouped by day with a diff of the changes", %{conn: conn} = context do
+      %{org: org, scope: scope} = context
+      task_id = Ecto.UUID.generate()
+
+      Audit.log(scope, :updated, :task, task_id,
+        organization_id: org.id,
+        changes: %{"url" => %{"from" => "https://a.example", "to" => "https://b.example"}},
+        metadata: %{"task_name" => "Nightly"}
+      )
+
+      html = conn |> get(~p"/organizations/audit") |> html_response(200)
+
+      assert html =~ Calendar.strftime(Date.utc_today(), "%A %d %B %Y")
+      assert html =~ ~s("/tasks/#{task_id}")
+      assert html =~ "1 field changed"
+      assert html =~ "data-audit-diff"
+      assert html =~ "https://b.example"
+    end
+
+    test "filters logs", %{conn: conn, org: org, scope: scope} do
+      Audit.log(scope, :created, :task, Ecto.UUID.generate(),
+        organization_id: org.id,
+        metadata: %{"task_name" => "Nightly"}
+      )
+
+      Audit.log_api("ci", :created, :monitor, Ecto.UUID.generate(),
+        organization_id: org.id,
+        metadata: %{"monitor_name" => "Heartbeat"}
+      )
+
+      html = conn |> get(~p"/organizations/audit?actor=api") |> html_response(200)
+      assert html =~ "Heartbeat"
+      refute html =~ "Nightly"
+
+      html = conn |> get(~p"/organizations/audit?q=night") |> html_response(200)
+      assert html =~ "Nightly"
+      refute html =~ "Heartbeat"
+
+      html = conn |> get(~p"/organizations/audit?resource_type=endpoint") |> html_response(200)
+      assert html =~ "No activity matches these filters"
+    end
+
+    test "links to older entries", %{conn: conn, org: org, scope: scope} do
+      for _ <- 1..51 do
+        Audit.log(scope, :updated, :task, Ecto.UUID.generate(), organization_id: org.id)
+      end
+
+      html = conn |> get(~p"/organizations/audit") |> html_response(200)
+      assert [_, cursor] = Regex.run(~r/id="audit-older"\s+href="[^"]*cursor=([^"&]+)/, html)
+
+      html = conn |> get(~p"/organizations/audit?cursor=#{cursor}") |> html_response(200)
+      refute html =~ ~s(id="audit-older")
+      assert html =~ "Newest"
+    end
+
+    test "redirects members who aren't admins", %{conn: conn, user: user} do
+      other_org = organization_fixture()
+      {:ok, _} = Accounts.create_membership(other_org, user, "member")
+
+      conn =
+        conn
+        |> put_session(:current_organization_id, other_org.id)
+        |> get(~p"/organizations/audit")
+
+      assert redirected_to(conn) == ~p"/organizations/settings"
+    end
+  end
+
+  describe "GET /organizations/audit/export" do
+    test "downloads the filtered logs as CSV", %{conn: conn, org: org, scope: scope} do
+      Audit.log(scope, :updated, :task, Ecto.UUID.generate(),
+        organization_id: org.id,
+        changes: %{"name" => %{"from" => "Old", "to" => "New"}},
+        metadata: %{"task_name" => "New"}
+      )
+
+      Audit.log_system(:deleted, :task, Ecto.UUID.generate(), organization_id: org.id)
+
+      conn = get(conn, ~p"/organizations/audit/export?format=csv&actor=user")
+
+      assert response_content_type(conn, :csv)
+      assert [disposition] = get_resp_header(conn, "content-disposition")
+      assert disposition =~ ~r/audit-log-\d{8}-\d{6}\.csv/
+
+      [header, row] = conn |> response(200) |> String.split("\r\n", trim: true)
+      assert header =~ "time,actor_type,actor,action,resource_type"
+      assert row =~ ",user,#{scope.user.email},updated,task,"
+      assert row =~ ~s("{""name"":{""from"":""Old"",""to"":""New""}}")
+    end
+
+    test "downloads JSON", %{conn: conn, org: org} do
+      Audit.log_api("ci", :created, :endpoint, Ecto.UUID.generate(),
+        organization_id: org.id,
+        metadata: %{"endpoint_name" => "Stripe"}
+      )
+
+      conn = get(conn, ~p"/organizations/audit/export?format=json")
+
+      assert [%{"actor" => "ci", "resource_name" => "Stripe", "action" => "created"}] =
+               json_response(conn, 200)
+    end
+  end
+end
@@ -0,0 +1,33 @@
+defmodule PrikkeWeb.StatusPageManifestControllerTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Prikke.AccountsFixtures
+  import Prikke.StatusPagesFixtures
+
+  describe "GET /s/:slug/manifest.webmanifest" do
+    test "returns the manifest of an enabled status page", %{conn: conn} do
+      org = organization_fixture()
+      status_page_fixture(org, %{title: "Acme Status", slug: "acme-status", enabled: true})
+
+      conn = get(conn, ~p"/s/acme-status/manifest.webmanifest")
+
+      assert get_resp_header(conn, "content-type") |> List.first() =~ "application/manifest+json"
+      assert get_resp_header(conn, "cache-control") |> List.first() =~ "public"
+
+      manifest = Jason.decode!(response(conn, 200))
+      assert manifest["name"] == "Acme Status"
+      assert manifest["start_url"] == "/s/acme-status"
+      assert manifest["scope"] == "/s/acme-status"
+      assert manifest["display"] == "standalone"
+      assert [%{"src" => "/favicon.svg"}] = manifest["icons"]
+    end
+
+    test "returns 404 for a disabled or unknown status page", %{conn: conn} do
+      org = organization_fixture()
+      status_page_fixture(org, %{slug: "hidden-status", enabled: false})
+
+      assert conn |> get(~p"/s/hidden-status/manifest.webmanifest") |> response(404)
+      assert conn |> get(~p"/s/no-such-page/manifest.webmanifest") |> response(404)
+    end
+  end
+end
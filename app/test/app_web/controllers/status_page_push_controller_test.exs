@@ -0,0 +1,59 @@
+defmodule PrikkeWeb.StatusPagePushControllerTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Prikke.StatusPagesFixtures
+
+  alias Prikke.StatusPages
+
+  @endpoint_url "http://localhost:4010/push/abc"
+
+  defp subscription_json(attrs) do
+    %{
+      "endpoint" => attrs.endpoint,
+      "expirationTime" => nil,
+      "keys" => %{"p256dh" => attrs.p256dh, "auth" => attrs.auth}
+    }
+  end
+
+  describe "POST /s/:slug/push-subscriptions" do
+    test "subscribes the browser to the status page", %{conn: conn} do
+      sp = status_page_fixture(nil, %{slug: "push-create"})
+      attrs = push_subscription_attrs(@endpoint_url)
+
+      conn = post(conn, ~p"/s/push-create/push-subscriptions", subscription_json(attrs))
+
+      assert response(conn, 201)
+      assert [%{endpoint: @endpoint_url}] = StatusPages.list_push_subscriptions(sp)
+    end
+
+    test "rejects endpoints off the push services", %{conn: conn} do
+      _sp = status_page_fixture(nil, %{slug: "push-invalid"})
+      attrs = push_subscription_attrs("http://169.254.169.254/latest/meta-data")
+
+      conn = post(conn, ~p"/s/push-invalid/push-subscriptions", subscription_json(attrs))
+
+      assert %{"error" => %{"details" => %{"endpoint" => _}}} = json_response(conn, 422)
+    end
+
+    test "returns 404 for a disabled status page", %{conn: conn} do
+      _sp = status_page_fixture(nil, %{slug: "push-disabled", enabled: false})
+      attrs = push_subscription_attrs(@endpoint_url)
+
+      conn = post(conn, ~p"/s/push-disabled/push-subscriptions", subscription_json(attrs))
+
+      assert json_response(conn, 404)
+    end
+  end
+
+  describe "DELETE /s/:slug/push-subscriptions" do
+    test "unsubscribes the browser", %{conn: conn} do
+      sp = status_page_fixture(nil, %{slug: "push-delete"})
+      {:ok, _} = StatusPages.subscribe_to_push(sp, push_subscription_attrs(@endpoint_url))
+
+      conn = delete(conn, ~p"/s/push-delete/push-subscriptions", %{"endpoint" => @endpoint_url})
+
+      assert response(conn, 204)
+      assert StatusPages.list_push_subscriptions(sp) == []
+    end
+  end
+end
@@ -0,0 +1,115 @@
+defmodule PrikkeWeb.StatusWidgetControllerTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Prikke.AccountsFixtures
+  import Prikke.StatusPagesFixtures
+  import Prikke.MonitorsFixtures
+  import Prikke.TasksFixtures
+
+  alias Prikke.StatusPages
+
+  describe "GET /s/:slug/status.json" do
+    test "returns the visible resources of an enabled status page", %{conn: conn} do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{title: "Acme Status", slug: "acme-feed", enabled: true})
+
+      monitor = monitor_fixture(org, %{name: "API"})
+      StatusPages.add_item(sp, "monitor", monitor.id)
+      _hidden = monitor_fixture(org, %{name: "Internal"})
+
+      conn = get(conn, ~p"/s/acme-feed/status.json")
+
+      assert get_resp_header(conn, "access-control-allow-origin") == ["*"]
+      assert get_resp_header(conn, "cache-control") |> List.first() =~ "public"
+
+      feed = json_response(conn, 200)
+      assert feed["title"] == "Acme Status"
+      assert feed["url"] =~ "/s/acme-feed"
+      assert feed["status"] == "operational"
+      assert feed["label"] == "All systems operational"
+      assert [%{"name" => "API", "type" => "monitor", "days" => days}] = feed["components"]
+      assert length(days) == 30
+    end
+
+    test "reports failing resources as an outage", %{conn: conn} do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{slug: "outage-feed", enabled: true})
+
+      task = task_fixture(org, %{name: "Nightly export"})
+      task |> Ecto.Changeset.change(last_execution_status: "failed") |> Prikke.Repo.update!()
+      StatusPages.add_item(sp, "task", task.id)
+
+      feed = conn |> get(~p"/s/outage-feed/status.json") |> json_response(200)
+
+      assert feed["status"] == "major_outage"
+
+      assert [%{"name" => "Nightly export", "status" => "failing", "health" => "outage"}] =
+               feed["components"]
+    end
+
+    test "answers 304 while the status is unchanged", %{conn: conn} do
+      org = organization_fixture()
+      status_page_fixture(org, %{slug: "etag-feed", enabled: true})
+
+      [etag] = conn |> get(~p"/s/etag-feed/status.json") |> get_resp_header("etag")
+
+      conn =
+        build_conn()
+        |> put_req_header("if-none-match", etag)
+        |> get(~p"/s/etag-feed/status.json")
+
+      assert response(conn, 304) == ""
+    end
+
+    test "matches weak and listed ETags", %{conn: conn} do
+      org = organization_fixture()
+      status_page_fixture(org, %{slug: "weak-etag-feed", enabled: true})
+
+      [etag] = conn |> get(~p"/s/weak-etag-feed/status.json") |> get_resp_header("etag")
+
+      for header <- [~s(W/#{etag}), ~s("other", #{etag}), "*"] do
+        conn =
+          build_conn()
+          |> put_req_header("if-none-match", header)
+          |> get(~p"/s/weak-etag-feed/status.json")
+
+        assert response(conn, 304) == ""
+      end
+
+      conn =
+        build_conn()
+        |> put_req_header("if-none-match", ~s("other"))
+        |> get(~p"/s/weak-etag-feed/status.json")
+
+      assert json_response(conn, 200)
+    end
+
+    test "serves the cached summary until it expires", %{conn: conn} do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{slug: "cached-feed", enabled: true})
+      task = task_fixture(org)
+      StatusPages.add_item(sp, "task", task.id)
+
+      assert %{"status" => "operational"} =
+               conn |> get(~p"/s/cached-feed/status.json") |> json_response(200)
+
+      task |> Ecto.Changeset.change(last_execution_status: "failed") |> Prikke.Repo.update!()
+
+      assert %{"status" => "operational"} =
+               conn |> get(~p"/s/cached-feed/status.json") |> json_response(200)
+
+      Prikke.StatusPages.SummaryCache.invalidate(sp)
+
+      assert %{"status" => "major_outage"} =
+               conn |> get(~p"/s/cached-feed/status.json") |> json_response(200)
+    end
+
+    test "returns 404 for a disabled or unknown status page", %{conn: conn} do
+      org = organization_fixture()
+      status_page_fixture(org, %{slug: "hidden-feed", enabled: false})
+
+      assert conn |> get(~p"/s/hidden-feed/status.json") |> json_response(404)
+      assert conn |> get(~p"/s/no-such-page/status.json") |> json_response(404)
+    end
+  end
+end
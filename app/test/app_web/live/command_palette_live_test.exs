@@ -0,0 +1,92 @@
+defmodule PrikkeWeb.CommandPaletteLiveTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Prikke.AccountsFixtures
+  import Prikke.TasksFixtures
+  import Prikke.MonitorsFixtures
+  import Prikke.EndpointsFixtures
+
+  alias Prikke.Executions
+  alias Prikke.Queues
+
+  describe "Command palette" do
+    setup :register_and_log_in_user
+
+    test "is rendered in the layout for logged in users", %{conn: conn, user: user} do
+      _org = organization_fixture(%{user: user})
+
+      html = conn |> get(~p"/dashboard") |> html_response(200)
+
+      assert html =~ ~s(phx-hook="CommandPalette")
+    end
+
+    test "index lists tasks, monitors, endpoints and queues", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org, %{name: "Nightly report", queue: "reports"})
+      monitor = monitor_fixture(org, %{name: "Backup heartbeat"})
+      endpoint = endpoint_fixture(org, %{name: "Stripe"})
+
+      {:ok, view, _html} =
+        live_isolated(conn, PrikkeWeb.CommandPaletteLive,
+          session: %{"current_organization_id" => org.id}
+        )
+
+      render_hook(view, "index", %{})
+      assert_reply(view, %{items: items})
+
+      assert Enum.any?(items, &(&1.kind == "task" and &1.id == task.id))
+      assert Enum.any?(items, &(&1.kind == "monitor" and &1.id == monitor.id))
+      assert Enum.any?(items, &(&1.kind == "endpoint" and &1.id == endpoint.id))
+      assert Enum.any?(items, &(&1.kind == "queue" and &1.id == "reports"))
+    end
+
+    test "trigger_task queues an execution", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+
+      {:ok, view, _html} =
+        live_isolated(conn, PrikkeWeb.CommandPaletteLive,
+          session: %{"current_organization_id" => org.id}
+        )
+
+      render_hook(view, "trigger_task", %{"id" => task.id})
+      assert_reply(view, %{ok: true})
+
+      assert [%{status: "pending"}] = Executions.list_task_executions(task)
+    end
+
+    test "pause_queue and resume_queue toggle the queue", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} =
+        live_isolated(conn, PrikkeWeb.CommandPaletteLive,
+          session: %{"current_organization_id" => org.id}
+        )
+
+      render_hook(view, "pause_queue", %{"name" => "emails"})
+      assert_reply(view, %{ok: true})
+      assert Queues.queue_paused?(org, "emails")
+
+      render_hook(view, "resume_queue", %{"name" => "emails"})
+      assert_reply(view, %{ok: true})
+      refute Queues.queue_paused?(org, "emails")
+    end
+
+    test "cannot trigger tasks from another organization", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      other_task = task_fixture(organization_fixture())
+
+      {:ok, view, _html} =
+        live_isolated(conn, PrikkeWeb.CommandPaletteLive,
+          session: %{"current_organization_id" => org.id}
+        )
+
+      render_hook(view, "trigger_task", %{"id" => other_task.id})
+      assert_reply(view, %{ok: false})
+
+      assert Executions.list_task_executions(other_task) == []
+    end
+  end
+end
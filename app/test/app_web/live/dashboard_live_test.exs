@@ -44,6 +44,30 @@ defmodule PrikkeWeb.DashboardLiveTest do
       assert html =~ "every hour"
     end
 
+    test "renders the execution trend chart and zooms to hourly buckets", %{
+      conn: conn,
+      user: user
+    } do
+      org = organization_fixture(%{user: user})
+      task_fixture(org)
+
+      {:ok, view, html} = live(conn, ~p"/dashboard")
+
+      assert html =~ ~s(phx-hook="TrendChart")
+
+      today = DateTime.new!(Date.utc_today(), ~T[00:00:00], "Etc/UTC")
+
+      view
+      |> element("#execution-trend")
+      |> render_hook("execution_trend_zoom", %{
+        "from" => DateTime.to_iso8601(today),
+        "to" => today |> DateTime.add(1, :day) |> DateTime.to_iso8601()
+      })
+
+      assert_reply(view, %{buckets: buckets})
+      assert length(buckets) == 24
+    end
+
     test "shows new task button", %{conn: conn, user: user} do
       _org = organization_fixture(%{user: user})
 
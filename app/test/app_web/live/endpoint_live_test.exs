@@ -97,6 +97,28 @@ defmodule PrikkeWeb.EndpointLiveTest do
       assert has_element?(view, "p", "No events received yet")
     end
 
+    test "disables the endpoint from the actions menu", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}")
+
+      assert has_element?(view, "#endpoint-actions-menu-items[role=menu][hidden]")
+      view |> element("#endpoint-actions-menu [role=menuitem]", "Disable") |> render_click()
+
+      assert has_element?(view, "#endpoint-actions-menu [role=menuitem]", "Enable")
+      refute Endpoints.get_endpoint!(org, endpoint.id).enabled
+    end
+
+    test "shows an empty History tab", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}")
+
+      view |> element("#history-tab") |> render_click()
+
+      assert has_element?(view, "#audit-history", "No changes recorded yet")
+    end
+
     test "shows events after receiving", %{conn: conn, org: org} do
       endpoint = endpoint_fixture(org)
 
@@ -113,6 +135,49 @@ defmodule PrikkeWeb.EndpointLiveTest do
       assert render(view) =~ "POST"
       assert has_element?(view, ~s{a[href*="/events/"]})
     end
+
+    test "shows events received while open", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}")
+      assert has_element?(view, "p", "No events received yet")
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "PUT",
+          headers: %{},
+          body: "test",
+          source_ip: "1.2.3.4"
+        })
+
+      assert has_element?(view, ~s{a[href="/endpoints/#{endpoint.id}/events/#{event.id}"]})
+    end
+
+    test "live tail streams new events", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}")
+
+      view |> element("#toggle-live-tail") |> render_click()
+      assert has_element?(view, "#event-live-tail[phx-hook=LiveTail]")
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{},
+          body: ~s({"type": "invoice.paid"}),
+          source_ip: "1.2.3.4"
+        })
+
+      render(view)
+
+      event_id = event.id
+
+      assert_push_event(view, "live_tail", %{
+        id: "event-live-tail",
+        items: [%{id: ^event_id, method: "POST", status: "pending"}]
+      })
+    end
   end
 
   describe "Edit" do
@@ -130,6 +195,36 @@ defmodule PrikkeWeb.EndpointLiveTest do
       updated = Endpoints.get_endpoint!(org, endpoint.id)
       assert updated.name == "New Name"
     end
+
+    test "saves a filter from the rule builder", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, _event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{"x-github-event" => "push"},
+          body: ~s({"ref": "main"}),
+          source_ip: "1.2.3.4"
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}/edit")
+
+      assert has_element?(view, "#endpoint-filter-builder[data-events*='x-github-event']")
+
+      assert view
+             |> form("#endpoint-form", endpoint: %{filter_json: ~s({"combinator": "and"})})
+             |> render_change() =~ "Filter must have a combinator and rules"
+
+      rule = %{"source" => "header", "path" => "X-GitHub-Event", "operator" => "eq"}
+      filter = %{"combinator" => "and", "rules" => [Map.put(rule, "value", "push")]}
+
+      view
+      |> form("#endpoint-form", endpoint: %{filter_json: Jason.encode!(filter)})
+      |> render_submit()
+
+      assert_redirect(view)
+      assert Endpoints.get_endpoint!(org, endpoint.id).filter == filter
+    end
   end
 
   describe "New - add/remove URL" do
@@ -244,6 +339,34 @@ defmodule PrikkeWeb.EndpointLiveTest do
 
       assert render(view) =~ "Event replayed"
     end
+
+    test "edited replay to another URL requires the URL", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{},
+          body: "test",
+          source_ip: "1.2.3.4"
+        })
+
+      {:ok, view, _html} =
+        live(conn, ~p"/endpoints/#{endpoint.id}/events/#{event.id}")
+
+      view |> element(~s{button[phx-click="edit_replay"]}) |> render_click()
+
+      view |> form("#replay-form", replay: %{url: "other"}) |> render_change()
+
+      html =
+        view
+        |> form("#replay-form", replay: %{url: "other", other_url: " "})
+        |> render_submit()
+
+      assert html =~ "can&#39;t be blank"
+      refute html =~ "Event replayed"
+      assert Endpoints.get_inbound_event!(endpoint, event.id).replay_task_ids == []
+    end
   end
 
   describe "Event Show" do
@@ -286,6 +409,75 @@ defmodule PrikkeWeb.EndpointLiveTest do
       assert html =~ "https://a.com/hook"
       assert html =~ "https://b.com/hook"
     end
+
+    test "compares two events side by side", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      [first, second] =
+        for body <- [~s({"status": "active"}), ~s({"status": "past_due"})] do
+          {:ok, event} =
+            Endpoints.receive_event(endpoint, %{
+              method: "POST",
+              headers: %{"content-type" => "application/json"},
+              body: body,
+              source_ip: "1.2.3.4"
+            })
+
+          event
+        end
+
+      {:ok, view, _html} =
+        live(conn, ~p"/endpoints/#{endpoint.id}/events/#{second.id}?#{[compare: first.id]}")
+
+      assert has_element?(view, "#event-diff[phx-hook=PayloadDiff]")
+      html = render(view)
+      assert html =~ "active"
+      assert html =~ "past_due"
+    end
+
+    test "renders the body in the payload viewer", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{"Content-Type" => "application/x-www-form-urlencoded"},
+          body: "amount=10&currency=eur",
+          source_ip: "1.2.3.4"
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}/events/#{event.id}")
+
+      assert has_element?(view, ~s{#event-body[phx-hook="PayloadViewer"]})
+      assert render(view) =~ ~s{data-content-type="application/x-www-form-urlencoded"}
+
+      assert has_element?(view, "#event-body pre[data-viewer-raw]", "amount=10&currency=eur")
+    end
+
+    test "prefills the signature verifier with the signed forward", %{conn: conn, org: org} do
+      endpoint = endpoint_fixture(org)
+
+      {:ok, event} =
+        Endpoints.receive_event(endpoint, %{
+          method: "POST",
+          headers: %{"content-type" => "text/plain"},
+          body: "paid",
+          source_ip: "1.2.3.4"
+        })
+
+      {:ok, view, _html} = live(conn, ~p"/endpoints/#{endpoint.id}/events/#{event.id}")
+
+      signature = Prikke.WebhookSignature.sign("paid", org.webhook_secret)
+
+      assert has_element?(view, ~s{#event-signature-verifier[phx-hook="SignatureVerifier"]})
+      assert has_element?(view, "textarea[data-verifier-body]", "paid")
+
+      assert has_element?(
+               view,
+               "textarea[data-verifier-headers]",
+               "x-runlater-signature: #{signature}"
+             )
+    end
   end
 
   defp count_url_inputs(html) do
@@ -132,5 +132,136 @@ defmodule PrikkeWeb.FailuresLiveTest do
       assert html =~ "Queue A Task"
       refute html =~ "Queue B Task"
     end
+
+    test "filters by the window linked from the trend chart", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+
+      {:ok, task} =
+        Tasks.create_task(org, %{
+          name: "Window Task",
+          url: "https://example.com/webhook",
+          schedule_type: "cron",
+          cron_expression: "0 * * * *"
+        })
+
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      {:ok, old} = Executions.create_execution_for_task(task, DateTime.add(now, -3, :day))
+      {:ok, _} = Executions.fail_execution(old, %{error_message: "Old failure"})
+
+      {:ok, recent} = Executions.create_execution_for_task(task, now)
+      {:ok, _} = Executions.fail_execution(recent, %{error_message: "Recent failure"})
+
+      from = DateTime.add(now, -1, :hour) |> DateTime.to_iso8601()
+      to = DateTime.add(now, 1, :hour) |> DateTime.to_iso8601()
+
+      {:ok, _view, html} = live(conn, ~p"/failures?#{[from: from, to: to]}")
+
+      assert html =~ "Recent failure"
+      refute html =~ "Old failure"
+    end
+
+    test "keeps the status code and task filters in the URL", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      server_error = create_failure(org, "Server Error Task", %{status_code: 503})
+      _not_found = create_failure(org, "Not Found Task", %{status_code: 404})
+
+      {:ok, view, _html} = live(conn, ~p"/failures")
+
+      html =
+        view
+        |> element("#failure-filters form")
+        |> render_change(%{"code" => "5xx"})
+
+      assert_patch(view, ~p"/failures?#{[code: "5xx"]}")
+      assert html =~ "Server Error Task"
+      refute html =~ "Not Found Task"
+
+      {:ok, _view, html} = live(conn, ~p"/failures?#{[task: server_error.task_id]}")
+
+      assert html =~ "Server Error Task"
+      refute html =~ "Not Found Task"
+    end
+
+    test "selects a range and all matching failures", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      first = create_failure(org, "First Task")
+      second = create_failure(org, "Second Task")
+
+      {:ok, view, _html} = live(conn, ~p"/failures")
+
+      html = render_hook(view, "select_range", %{"ids" => [first.id], "selected" => true})
+      assert html =~ "1 selected"
+
+      assert render_hook(view, "select_matching", %{}) =~ "2 selected"
+
+      render_hook(view, "select_range", %{"ids" => [first.id, second.id], "selected" => false})
+      refute has_element?(view, "#failure-bulk-actions")
+    end
+
+    test "bulk retry queues a retry per selected failure", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      first = create_failure(org, "First Task")
+      second = create_failure(org, "Second Task")
+
+      {:ok, view, _html} = live(conn, ~p"/failures")
+
+      render_click(view, "select_all")
+      view |> element("#failure-bulk-actions button", "Retry") |> render_click()
+
+      html = render(view)
+      assert html =~ "Queued 2 of 2 retries"
+      assert html =~ "Retry queued"
+
+      for failure <- [first, second] do
+        assert [_ | _] = Executions.list_task_executions(failure.task, status: "pending")
+      end
+    end
+
+    test "bulk mute turns off failure notifications for the tasks", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      failure = create_failure(org, "Noisy Task")
+
+      {:ok, view, _html} = live(conn, ~p"/failures")
+
+      render_click(view, "select_all")
+      html =
+        view
+        |> element("#failure-bulk-actions button", "Mute notifications")
+        |> render_click()
+
+      assert html =~ "Muted failure notifications for 1 task"
+      assert Tasks.get_task!(org, failure.task_id).notify_on_failure == false
+    end
+
+    test "exports the selected failures as CSV", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      create_failure(org, "Export Task", %{error_message: "=cmd, \"quoted\""})
+
+      {:ok, view, _html} = live(conn, ~p"/failures")
+
+      render_click(view, "select_all")
+      view |> element("#failure-bulk-actions button", "Export CSV") |> render_click()
+
+      assert_push_event(view, "failures:download", %{filename: filename, content: content})
+      assert filename =~ ~r/^failures-.*\.csv$/
+      assert content =~ "Export Task"
+      assert content =~ ~s("'=cmd, ""quoted""")
+    end
+  end
+
+  defp create_failure(org, name, attrs \\ %{}) do
+    {:ok, task} =
+      Tasks.create_task(org, %{
+        name: name,
+        url: "https://example.com/webhook",
+        schedule_type: "cron",
+        cron_expression: "0 * * * *"
+      })
+
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+    {:ok, exec} = Executions.create_execution_for_task(task, now)
+    {:ok, failed} = Executions.fail_execution(exec, Map.merge(%{error_message: "Error"}, attrs))
+    %{failed | task: task}
   end
 end
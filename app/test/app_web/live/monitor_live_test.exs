@@ -48,10 +48,39 @@ defmodule PrikkeWeb.MonitorLiveTest do
 
       {:ok, view, _html} = live(conn, ~p"/monitors/#{monitor.id}")
 
-      html = view |> element("#monitor-actions-menu button") |> render_click()
+      assert has_element?(view, "#monitor-actions-menu-button[aria-haspopup=menu]")
+      assert has_element?(view, "#monitor-actions-menu [role=menuitem]", "Edit")
+      assert has_element?(view, "#monitor-actions-menu [role=menuitem]", "Delete")
+    end
+
+    test "opens the History tab from the URL", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      monitor = monitor_fixture(org)
+      scope = Prikke.Accounts.Scope.for_user(user)
+      {:ok, _} = Prikke.Monitors.update_monitor(org, monitor, %{name: "Renamed"}, scope: scope)
+
+      {:ok, view, _html} = live(conn, ~p"/monitors/#{monitor.id}?tab=history")
+
+      assert has_element?(view, "#audit-history", "Updated")
+      assert has_element?(view, "#audit-history [data-audit-diff]", "Renamed")
+
+      view |> element("#activity-tab") |> render_click()
+      refute has_element?(view, "#audit-history")
+    end
+
+    test "hides the History tab from members", %{conn: conn, user: user} do
+      owner = user_fixture()
+      org = organization_fixture(%{user: owner})
+      {:ok, _} = Prikke.Accounts.create_membership(org, user, "member")
+      monitor = monitor_fixture(org)
+      scope = Prikke.Accounts.Scope.for_user(owner)
+      {:ok, _} = Prikke.Monitors.update_monitor(org, monitor, %{name: "Renamed"}, scope: scope)
+
+      {:ok, view, _html} = live(conn, ~p"/monitors/#{monitor.id}?tab=history")
 
-      assert html =~ "Edit"
-      assert html =~ "Delete"
+      refute has_element?(view, "#history-tab")
+      refute has_element?(view, "#audit-history")
+      assert has_element?(view, "h2", "Availability")
     end
   end
 
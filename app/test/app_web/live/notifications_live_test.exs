@@ -0,0 +1,81 @@
+defmodule PrikkeWeb.NotificationsLiveTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Prikke.AccountsFixtures
+  import Prikke.TasksFixtures
+  import Prikke.MonitorsFixtures
+
+  alias Prikke.Executions
+
+  setup :register_and_log_in_user
+
+  setup %{conn: conn, user: user} do
+    org = organization_fixture(%{user: user})
+
+    {:ok, view, _html} =
+      live_isolated(conn, PrikkeWeb.NotificationsLive,
+        session: %{"current_organization_id" => org.id}
+      )
+
+    %{org: org, view: view}
+  end
+
+  test "is rendered in the layout for logged in users", %{conn: conn} do
+    html = conn |> get(~p"/dashboard") |> html_response(200)
+
+    assert html =~ ~s(phx-hook="DesktopNotifications")
+  end
+
+  test "notifies of failed executions", %{org: org, view: view} do
+    task = task_fixture(org, %{name: "Nightly report"})
+    {:ok, execution} = Executions.create_execution_for_task(task, DateTime.utc_now())
+    {:ok, _} = Executions.fail_execution(execution, %{status_code: 500, error_message: "Boom"})
+
+    render(view)
+    tag = "task-#{task.id}"
+
+    assert_push_event(view, "desktop_notification", %{
+      kind: "failure",
+      title: "Nightly report failed",
+      body: "Boom",
+      tag: ^tag
+    })
+  end
+
+  test "stays silent for muted tasks", %{org: org, view: view} do
+    task = task_fixture(org, %{notify_on_failure: false})
+    {:ok, execution} = Executions.create_execution_for_task(task, DateTime.utc_now())
+    {:ok, _} = Executions.fail_execution(execution, %{error_message: "Boom"})
+
+    render(view)
+
+    refute_push_event(view, "desktop_notification", %{kind: "failure"})
+  end
+
+  test "notifies when a monitor goes down and recovers", %{org: org, view: view} do
+    monitor = monitor_fixture(org, %{name: "Backup heartbeat"})
+
+    send(view.pid, {:monitor_updated, %{monitor | status: "down"}})
+    render(view)
+    assert_push_event(view, "desktop_notification", %{kind: "monitor_down"})
+
+    send(view.pid, {:monitor_updated, %{monitor | status: "up"}})
+    render(view)
+
+    assert_push_event(view, "desktop_notification", %{
+      kind: "monitor_recovery",
+      title: "Backup heartbeat recovered"
+    })
+  end
+
+  test "notifies of usage limit warnings", %{view: view} do
+    send(view.pid, {:limit_notification, :warning, 8000, 10000})
+    render(view)
+
+    assert_push_event(view, "desktop_notification", %{
+      kind: "usage",
+      body: "8000 of 10000 executions used this month"
+    })
+  end
+end
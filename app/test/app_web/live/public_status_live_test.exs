@@ -124,5 +124,63 @@ defmodule PrikkeWeb.PublicStatusLiveTest do
 
       assert html =~ "Public Page"
     end
+
+    test "refreshes the status on a timer", %{conn: conn} do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{title: "Refresh", slug: "refresh-test", enabled: true})
+      task = task_fixture(org, %{name: "Nightly Sync"})
+      StatusPages.add_item(sp, "task", task.id)
+
+      {:ok, view, html} = live(conn, ~p"/s/refresh-test")
+      assert html =~ "All systems operational"
+      assert html =~ ~s(data-component="task-#{task.id}")
+
+      task
+      |> Ecto.Changeset.change(last_execution_status: "failed")
+      |> Prikke.Repo.update!()
+
+      # Open pages share a cached summary until it expires
+      send(view.pid, :refresh)
+      assert render(view) =~ "All systems operational"
+
+      Prikke.StatusPages.SummaryCache.invalidate(sp)
+      send(view.pid, :refresh)
+
+      html = render(view)
+      assert html =~ "Major outage"
+      assert html =~ ~s(data-status="failing")
+    end
+
+    test "shows not found once the page is disabled", %{conn: conn} do
+      org = organization_fixture()
+      sp = status_page_fixture(org, %{slug: "soon-disabled", enabled: true})
+
+      {:ok, view, _html} = live(conn, ~p"/s/soon-disabled")
+
+      {:ok, _} = StatusPages.update_status_page(sp, %{enabled: false})
+      send(view.pid, :refresh)
+
+      assert render(view) =~ "Status page not found"
+    end
+
+    test "offers push notifications with the VAPID key", %{conn: conn} do
+      org = organization_fixture()
+      _sp = status_page_fixture(org, %{slug: "push-page", enabled: true})
+
+      {:ok, _view, html} = live(conn, ~p"/s/push-page")
+
+      assert html =~ ~s(data-push-key="#{Prikke.WebPush.public_key()}")
+      assert html =~ ~s(data-push-path="/s/push-page/push-subscriptions")
+    end
+
+    test "links the web app manifest", %{conn: conn} do
+      org = organization_fixture()
+      _sp = status_page_fixture(org, %{title: "Installable", slug: "installable", enabled: true})
+
+      html = conn |> get(~p"/s/installable") |> html_response(200)
+
+      assert html =~ ~s(rel="manifest" href="/s/installable/manifest.webmanifest")
+      assert html =~ "status-stale-banner"
+    end
   end
 end
@@ -0,0 +1,119 @@
+defmodule PrikkeWeb.QueueLiveTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Prikke.AccountsFixtures
+  import Prikke.TasksFixtures
+
+  alias Prikke.Audit
+  alias Prikke.Executions
+  alias Prikke.Queues
+
+  setup :register_and_log_in_user
+
+  setup %{user: user} do
+    %{org: organization_fixture(%{user: user})}
+  end
+
+  describe "Index" do
+    test "renders empty state when there are no queues", %{conn: conn} do
+      {:ok, _view, html} = live(conn, ~p"/queues")
+
+      assert html =~ "No queues yet"
+    end
+
+    test "lists queues with their pending count", %{conn: conn, org: org} do
+      task = task_fixture(org, %{queue: "emails"})
+      {:ok, _} = Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      {:ok, view, html} = live(conn, ~p"/queues")
+
+      assert html =~ "emails"
+      assert has_element?(view, "#queues a[href='/queues/emails']")
+      assert has_element?(view, "#queues dd", "1")
+      assert has_element?(view, "#queues [phx-hook='Sparkline']")
+    end
+
+    test "pauses and resumes a queue", %{conn: conn, org: org, user: user} do
+      task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} = live(conn, ~p"/queues")
+
+      html = view |> element("#queues button[phx-click='pause']") |> render_click()
+      assert html =~ "Queue &quot;emails&quot; paused"
+      assert Queues.queue_paused?(org, "emails")
+
+      view |> element("#queues button[phx-click='resume']") |> render_click()
+      refute Queues.queue_paused?(org, "emails")
+
+      logs = Audit.list_organization_logs(org)
+      assert Enum.all?(logs, &(&1.actor_id == user.id))
+      assert logs |> Enum.map(& &1.action) |> Enum.sort() == ["paused", "resumed"]
+    end
+
+    test "purges a queue", %{conn: conn, org: org} do
+      task_fixture(org, %{queue: "emails"})
+      task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} = live(conn, ~p"/queues")
+
+      html = view |> element("#queues button[phx-click='purge']") |> render_click()
+
+      assert html =~ "2 tasks cancelled"
+      assert html =~ "No queues yet"
+      assert [%{action: "purged"}] = Audit.list_organization_logs(org)
+    end
+
+    test "refreshes when a queued execution changes", %{conn: conn, org: org} do
+      task = task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} = live(conn, ~p"/queues")
+      {:ok, _} = Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      send(view.pid, :refresh)
+      assert has_element?(view, "#queues dd", "1")
+    end
+  end
+
+  describe "Show" do
+    test "lists pending executions in run order", %{conn: conn, org: org} do
+      first = task_fixture(org, %{name: "First up", queue: "emails"})
+      second = task_fixture(org, %{name: "Second up", queue: "emails"})
+      now = DateTime.utc_now()
+
+      {:ok, later} = Executions.create_execution_for_task(second, DateTime.add(now, 60, :second))
+      {:ok, sooner} = Executions.create_execution_for_task(first, DateTime.add(now, -60, :second))
+
+      {:ok, view, html} = live(conn, ~p"/queues/emails")
+
+      assert html =~ "emails"
+      assert has_element?(view, "#pending-#{sooner.id}", "Due")
+      assert has_element?(view, "#pending-#{later.id}", "Scheduled")
+      assert html =~ ~r/First up.*Second up/s
+    end
+
+    test "pauses the queue", %{conn: conn, org: org} do
+      task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} = live(conn, ~p"/queues/emails")
+
+      assert view |> element("button[phx-click='pause']") |> render_click() =~ "Paused"
+      assert Queues.queue_paused?(org, "emails")
+    end
+
+    test "purging returns to the queues page", %{conn: conn, org: org} do
+      task_fixture(org, %{queue: "emails"})
+
+      {:ok, view, _html} = live(conn, ~p"/queues/emails")
+
+      view |> element("button[phx-click='purge']") |> render_click()
+
+      assert_redirect(view, ~p"/queues")
+      assert Prikke.Tasks.list_queues(org) == []
+    end
+
+    test "redirects for an unknown queue", %{conn: conn} do
+      assert {:error, {:redirect, %{to: "/queues"}}} = live(conn, ~p"/queues/missing")
+    end
+  end
+end
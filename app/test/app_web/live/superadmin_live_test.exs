@@ -100,6 +100,33 @@ defmodule PrikkeWeb.SuperadminLiveTest do
       assert html =~ "CPU Usage"
       assert html =~ "Memory Usage"
       assert html =~ "Response Times"
+      assert html =~ ~s(id="metrics-console")
+      assert html =~ "Worker Utilization"
+      assert html =~ "Scheduling Lag (p95)"
+    end
+
+    test "switching windows pushes a new series", %{conn: conn, superadmin: superadmin} do
+      {:ok, view, _html} =
+        conn
+        |> log_in_user(superadmin)
+        |> live(~p"/superadmin")
+
+      view |> element("#metrics-window button", "24h") |> render_click()
+
+      assert_push_event(view, "metrics:reset", %{window: "24h", points: points})
+      assert length(points) == 96
+      assert view |> element(~s(#metrics-window [aria-pressed="true"])) |> render() =~ "24h"
+    end
+
+    test "pushes the latest buckets on every tick", %{conn: conn, superadmin: superadmin} do
+      {:ok, view, _html} =
+        conn
+        |> log_in_user(superadmin)
+        |> live(~p"/superadmin")
+
+      send(view.pid, :tick)
+
+      assert_push_event(view, "metrics:points", %{window: "1h", points: [_, _]})
     end
   end
 end
@@ -0,0 +1,99 @@
+defmodule PrikkeWeb.SyncLiveTest do
+  use PrikkeWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+  import Prikke.AccountsFixtures
+  import Prikke.TasksFixtures
+
+  alias Prikke.Tasks
+
+  setup :register_and_log_in_user
+
+  setup %{user: user} do
+    %{org: organization_fixture(%{user: user})}
+  end
+
+  test "shows the current config for editing", %{conn: conn, org: org} do
+    task_fixture(org, %{name: "Hourly report"})
+
+    {:ok, view, html} = live(conn, ~p"/sync")
+
+    assert has_element?(view, "#sync[phx-hook='SyncPlan']")
+    assert has_element?(view, "#sync-config", "Hourly report")
+    assert html =~ "PUT /api/v1/sync"
+  end
+
+  test "replies with the plan without applying it", %{conn: conn, org: org} do
+    task_fixture(org, %{name: "Hourly report", cron_expression: "0 * * * *"})
+
+    {:ok, view, _html} = live(conn, ~p"/sync")
+
+    config = %{
+      "tasks" => [
+        %{
+          "name" => "Hourly report",
+          "url" => "https://example.com/webhook",
+          "schedule_type" => "cron",
+          "cron_expression" => "30 * * * *"
+        }
+      ]
+    }
+
+    render_hook(view, "plan", %{"config" => config})
+
+    assert_reply(view, %{
+      ok: true,
+      message: "Plan: 0 to create, 1 to update, 0 to delete",
+      plan: %{tasks: [%{action: "update", name: "Hourly report"}]}
+    })
+
+    assert [%{cron_expression: "0 * * * *"}] = Tasks.list_cron_tasks(org)
+  end
+
+  test "applies a config and replies with the new export", %{conn: conn, org: org} do
+    task_fixture(org, %{name: "Old task"})
+
+    {:ok, view, _html} = live(conn, ~p"/sync")
+
+    config = %{
+      "delete_removed" => true,
+      "tasks" => [
+        %{
+          "name" => "New task",
+          "url" => "https://example.com/new",
+          "schedule_type" => "cron",
+          "cron_expression" => "0 0 * * *"
+        }
+      ]
+    }
+
+    render_hook(view, "apply", %{"config" => config})
+
+    assert_reply(view, %{
+      ok: true,
+      message: "Sync complete: 1 created, 1 deleted",
+      config: export
+    })
+    assert %{"tasks" => [%{"name" => "New task"}]} = Jason.decode!(export)
+    assert [%{name: "New task"}] = Tasks.list_cron_tasks(org)
+
+    actions = org |> Prikke.Audit.list_organization_logs() |> Enum.map(& &1.action)
+    assert Enum.sort(actions) == ["created", "deleted"]
+  end
+
+  test "replies with validation errors", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/sync")
+
+    render_hook(view, "apply", %{"config" => %{"monitors" => [%{"name" => "No schedule"}]}})
+
+    assert_reply(view, %{ok: false, errors: [%{name: "No schedule"}]})
+  end
+
+  test "rejects configs without a resource list", %{conn: conn} do
+    {:ok, view, _html} = live(conn, ~p"/sync")
+
+    render_hook(view, "plan", %{"config" => %{"tasks" => "everything"}})
+
+    assert_reply(view, %{ok: false, message: "The config needs a" <> _})
+  end
+end
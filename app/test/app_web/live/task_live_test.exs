@@ -238,11 +238,10 @@ defmodule PrikkeWeb.TaskLiveTest do
 
       {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
 
-      html = view |> element("#task-actions-menu button") |> render_click()
-
-      assert html =~ "Edit"
-      assert html =~ "Delete"
-      assert html =~ "Clone"
+      assert has_element?(view, "#task-actions-menu-button[aria-haspopup=menu]")
+      assert has_element?(view, "#task-actions-menu [role=menuitem]", "Edit")
+      assert has_element?(view, "#task-actions-menu [role=menuitem]", "Delete")
+      assert has_element?(view, "#task-actions-menu [role=menuitem]", "Clone")
     end
 
     test "shows execution history section", %{conn: conn, user: user} do
@@ -253,6 +252,136 @@ defmodule PrikkeWeb.TaskLiveTest do
 
       assert html =~ "Execution History"
     end
+
+    test "shows the task's audit log in the History tab", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+      scope = Prikke.Accounts.Scope.for_user(user)
+      {:ok, _} = Prikke.Tasks.update_task(org, task, %{name: "Renamed"}, scope: scope)
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
+      refute has_element?(view, "#audit-history")
+
+      view |> element("#history-tab") |> render_click()
+
+      assert has_element?(view, "#history-tab[aria-selected='true']")
+      assert has_element?(view, "#audit-history", "Updated")
+      assert has_element?(view, "#audit-history [phx-hook='AuditDiff']", "Renamed")
+      refute has_element?(view, "#toggle-live-tail")
+    end
+
+    test "hides the History tab from members", %{conn: conn, user: user} do
+      owner = user_fixture()
+      org = organization_fixture(%{user: owner})
+      {:ok, _} = Prikke.Accounts.create_membership(org, user, "member")
+      task = task_fixture(org)
+      scope = Prikke.Accounts.Scope.for_user(owner)
+      {:ok, _} = Prikke.Tasks.update_task(org, task, %{name: "Renamed"}, scope: scope)
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}?tab=history")
+
+      refute has_element?(view, "#history-tab")
+      refute has_element?(view, "#audit-history")
+
+      render_hook(view, "show_tab", %{"tab" => "history"})
+      refute has_element?(view, "#audit-history")
+      refute render(view) =~ owner.email
+    end
+
+    test "live tail streams finished executions", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
+
+      view |> element("#toggle-live-tail") |> render_click()
+      assert has_element?(view, "#execution-live-tail[phx-hook=LiveTail]")
+      refute has_element?(view, "#status-filter")
+
+      {:ok, execution} = Prikke.Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      {:ok, _} =
+        Prikke.Executions.complete_execution(execution, %{status_code: 201, duration_ms: 42})
+
+      render(view)
+
+      assert_push_event(view, "live_tail", %{
+        id: "execution-live-tail",
+        items: [%{status: "success", status_code: 201, duration_ms: 42}]
+      })
+    end
+
+    test "refreshes the trend once executions finish", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
+      refute has_element?(view, "#task-execution-trend")
+
+      {:ok, execution} = Prikke.Executions.create_execution_for_task(task, DateTime.utc_now())
+      {:ok, done} = Prikke.Executions.complete_execution(execution, %{status_code: 200})
+
+      # Debounced, so a burst of executions reruns the trend query once
+      send(view.pid, {:execution_updated, done})
+      refute has_element?(view, "#task-execution-trend")
+
+      send(view.pid, :refresh_trend)
+      assert has_element?(view, "#task-execution-trend")
+    end
+
+    test "compare mode links two selected executions", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+      {:ok, first} = Prikke.Executions.create_execution_for_task(task, DateTime.utc_now())
+      {:ok, second} = Prikke.Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
+
+      view |> element("#toggle-compare") |> render_click()
+      view |> element(~s{input[phx-value-id="#{first.id}"]}) |> render_click()
+      refute has_element?(view, "#compare-selected")
+
+      view |> element(~s{input[phx-value-id="#{second.id}"]}) |> render_click()
+
+      href = ~p"/tasks/#{task.id}/executions/#{first.id}?#{[compare: second.id]}"
+      assert has_element?(view, ~s{#compare-selected[href="#{href}"]})
+    end
+  end
+
+  describe "Execution Show" do
+    setup :register_and_log_in_user
+
+    test "compares two executions side by side", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      {:ok, good} = Prikke.Executions.create_execution_for_task(task, DateTime.add(now, -60))
+      {:ok, _} = Prikke.Executions.complete_execution(good, %{status_code: 200})
+      {:ok, bad} = Prikke.Executions.create_execution_for_task(task, now)
+      {:ok, _} = Prikke.Executions.fail_execution(bad, %{status_code: 500})
+
+      {:ok, view, _html} =
+        live(conn, ~p"/tasks/#{task.id}/executions/#{bad.id}?#{[compare: good.id]}")
+
+      assert has_element?(view, "#execution-diff[phx-hook=PayloadDiff]")
+      assert has_element?(view, "#execution-diff", "Success")
+      assert render(view) =~ "success 200"
+      assert render(view) =~ "failed 500"
+      refute render(view) =~ "Request body"
+      assert has_element?(view, "#execution-compare-note", "Only the responses are compared")
+    end
+
+    test "ignores an unknown execution to compare with", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org)
+      {:ok, execution} = Prikke.Executions.create_execution_for_task(task, DateTime.utc_now())
+
+      {:ok, view, _html} =
+        live(conn, ~p"/tasks/#{task.id}/executions/#{execution.id}?compare=nope")
+
+      refute has_element?(view, "#execution-compare")
+    end
   end
 
   describe "Task Clone" do
@@ -264,9 +393,7 @@ defmodule PrikkeWeb.TaskLiveTest do
 
       {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
 
-      html = view |> element("#task-actions-menu button") |> render_click()
-
-      assert html =~ "Clone"
+      assert has_element?(view, "#task-actions-menu [role=menuitem]", "Clone")
     end
 
     test "clicking clone creates a copy and redirects", %{conn: conn, user: user} do
@@ -275,8 +402,7 @@ defmodule PrikkeWeb.TaskLiveTest do
 
       {:ok, view, _html} = live(conn, ~p"/tasks/#{task.id}")
 
-      view |> element("#task-actions-menu button") |> render_click()
-      view |> element("button", "Clone") |> render_click()
+      view |> element("#task-actions-menu button", "Clone") |> render_click()
 
       {_path, flash} = assert_redirect(view)
       assert flash["info"] =~ "cloned"
@@ -411,6 +537,35 @@ defmodule PrikkeWeb.TaskLiveTest do
       assert length(executions) == 1
       assert hd(executions).status == "pending"
     end
+
+    test "renders the headers and body editors", %{conn: conn, user: user} do
+      _org = organization_fixture(%{user: user})
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/new")
+
+      assert has_element?(view, "#task-headers-editor[phx-hook=HeadersEditor] #task_headers_json")
+      assert has_element?(view, "#task-body-editor[phx-hook=BodyEditor] #task_body")
+    end
+
+    test "saves headers written by the headers editor", %{conn: conn, user: user} do
+      org = organization_fixture(%{user: user})
+
+      {:ok, view, _html} = live(conn, ~p"/tasks/new")
+
+      view
+      |> form("#task-form",
+        task: %{
+          url: "https://example.com/webhook",
+          headers_json: ~s({"Authorization": "Bearer abc"})
+        },
+        timing_mode: "immediate"
+      )
+      |> render_submit()
+
+      {path, _flash} = assert_redirect(view)
+      task = Prikke.Tasks.get_task!(org, path |> String.split("/") |> List.last())
+      assert task.headers == %{"Authorization" => "Bearer abc"}
+    end
   end
 
   describe "Task Edit" do
@@ -458,5 +613,19 @@ defmodule PrikkeWeb.TaskLiveTest do
       assert html =~ "Advanced"
       assert html =~ "minute hour day month weekday"
     end
+
+    test "advanced mode attaches the cron editor with the plan's minimum interval", %{
+      conn: conn,
+      user: user
+    } do
+      org = organization_fixture(%{user: user})
+      task = task_fixture(org, %{cron_expression: "0 9 1-15 * 1-5"})
+
+      {:ok, _view, html} = live(conn, ~p"/tasks/#{task.id}/edit")
+
+      assert html =~ "CronEditor"
+      assert html =~ ~s(data-min-interval="60")
+      assert html =~ "Next 10 runs"
+    end
   end
 end
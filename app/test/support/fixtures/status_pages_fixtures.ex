@@ -35,4 +35,49 @@ defmodule Prikke.StatusPagesFixtures do
     {:ok, item} = Prikke.StatusPages.add_item(status_page, resource_type, resource_id)
     item
   end
+
+  @doc """
+  Attributes of a browser push subscription to `endpoint`, as
+  `Prikke.StatusPages.subscribe_to_push/2` takes them. Also returns the
+  browser's keys as `:keys`, for decrypting what is pushed to it.
+  """
+  def push_subscription_attrs(endpoint) do
+    {public, private} = :crypto.generate_key(:ecdh, :prime256v1)
+    auth = :crypto.strong_rand_bytes(16)
+
+    %{
+      endpoint: endpoint,
+      p256dh: Base.url_encode64(public, padding: false),
+      auth: Base.url_encode64(auth, padding: false),
+      keys: %{public: public, private: private, auth: auth}
+    }
+  end
+
+  @doc """
+  Decrypts a Web Push request body (RFC 8291, `aes128gcm`) with the keys of
+  `push_subscription_attrs/1`, the way the browser does.
+  """
+  def decrypt_push(body, %{public: ua_public, private: ua_private, auth: auth}) do
+    <<salt::binary-16, _record_size::32, id_length::8, as_public::binary-size(id_length),
+      record::binary>> = body
+
+    ecdh_secret = :crypto.compute_key(:ecdh, as_public, ua_private, :prime256v1)
+    ikm = hkdf(auth, ecdh_secret, "WebPush: info" <> <<0>> <> ua_public <> as_public, 32)
+    cek = hkdf(salt, ikm, "Content-Encoding: aes128gcm" <> <<0>>, 16)
+    nonce = hkdf(salt, ikm, "Content-Encoding: nonce" <> <<0>>, 12)
+
+    ciphertext_size = byte_size(record) - 16
+    <<ciphertext::binary-size(ciphertext_size), tag::binary-16>> = record
+
+    padded = :crypto.crypto_one_time_aead(:aes_128_gcm, cek, nonce, ciphertext, <<>>, tag, false)
+    # The last record ends with a 2 delimiter
+    plaintext_size = byte_size(padded) - 1
+    <<plaintext::binary-size(plaintext_size), 2>> = padded
+    plaintext
+  end
+
+  defp hkdf(salt, ikm, info, length) do
+    prk = :crypto.mac(:hmac, :sha256, salt, ikm)
+    :crypto.mac(:hmac, :sha256, prk, info <> <<1>>) |> binary_part(0, length)
+  end
 end
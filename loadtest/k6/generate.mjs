@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// Generates contract.json, the part of the OpenAPI spec the k6 suite relies
+// on: for each operation the request fields it may send and the fields each
+// success response must contain. lib/api.js builds payloads and checks from
+// it, so when the API changes, regenerating this file is what updates the
+// load tests.
+//
+//   node loadtest/k6/generate.mjs                      # spec from BASE_URL
+//   node loadtest/k6/generate.mjs --spec openapi.json  # or a file or URL
+//   node loadtest/k6/generate.mjs --check              # exit 1 on drift
+//
+// app/test/app_web/controllers/api/load_test_contract_test.exs applies the
+// same rules to the served spec, so `mix test` fails when the two drift apart.
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+const CONTRACT_PATH = fileURLToPath(new URL("./contract.json", import.meta.url));
+
+// Operations the suite calls, by the name the scenarios use.
+const OPERATIONS = {
+  createTask: ["post", "/api/v1/tasks"],
+  listTasks: ["get", "/api/v1/tasks"],
+  triggerTask: ["post", "/api/v1/tasks/{task_id}/trigger"],
+  batchTasks: ["post", "/api/v1/tasks/batch"],
+  pauseQueue: ["post", "/api/v1/queues/{name}/pause"],
+  resumeQueue: ["post", "/api/v1/queues/{name}/resume"],
+  createEndpoint: ["post", "/api/v1/endpoints"],
+  deleteEndpoint: ["delete", "/api/v1/endpoints/{id}"],
+  sync: ["put", "/api/v1/sync"],
+};
+
+function parseArgs(argv) {
+  const args = {
+    check: false,
+    spec: `${process.env.BASE_URL || "http://localhost:4000"}/api/v1/openapi`,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--check") args.check = true;
+    else if (argv[i] === "--spec") args.spec = argv[++i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function loadSpec(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`GET ${source} returned ${response.status}`);
+    return response.json();
+  }
+  return JSON.parse(await readFile(source, "utf8"));
+}
+
+function resolve(spec, schema) {
+  const ref = schema?.$ref;
+  if (!ref) return schema || {};
+  return resolve(spec, spec.components.schemas[ref.replace("#/components/schemas/", "")]);
+}
+
+// "data", then "data.id" for an object or "data[].id" for a list of objects.
+function responseFields(spec, schema) {
+  const properties = resolve(spec, schema).properties || {};
+
+  return Object.entries(properties)
+    .flatMap(([name, property]) => {
+      const resolved = resolve(spec, property);
+      const items = resolved.type === "array" ? resolve(spec, resolved.items) : null;
+      const nested = items ? items.properties : resolved.properties;
+      const prefix = items ? `${name}[]` : name;
+
+      return [name, ...Object.keys(nested || {}).map((key) => `${prefix}.${key}`)];
+    })
+    .sort();
+}
+
+function requestFields(spec, requestBody) {
+  if (!requestBody) return null;
+  const schema = resolve(spec, requestBody.content["application/json"].schema);
+
+  return {
+    required: [...(schema.required || [])].sort(),
+    properties: Object.keys(schema.properties || {}).sort(),
+  };
+}
+
+export function buildContract(spec) {
+  return Object.fromEntries(
+    Object.entries(OPERATIONS).map(([name, [method, path]]) => {
+      const operation = spec.paths[path]?.[method];
+      if (!operation) throw new Error(`${method.toUpperCase()} ${path} is not in the spec`);
+
+      const responses = Object.entries(operation.responses)
+        .filter(([status]) => status.startsWith("2"))
+        .map(([status, response]) => [
+          status,
+          responseFields(spec, response.content?.["application/json"]?.schema),
+        ]);
+
+      return [
+        name,
+        {
+          method,
+          path,
+          request: requestFields(spec, operation.requestBody),
+          responses: Object.fromEntries(responses),
+        },
+      ];
+    }),
+  );
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const contract = `${JSON.stringify(buildContract(await loadSpec(args.spec)), null, 2)}\n`;
+
+  if (!args.check) {
+    await writeFile(CONTRACT_PATH, contract);
+    console.log(`Wrote ${CONTRACT_PATH}`);
+    return;
+  }
+
+  const current = await readFile(CONTRACT_PATH, "utf8").catch(() => "");
+  if (current !== contract) {
+    console.error("contract.json is out of date. Run `node loadtest/k6/generate.mjs`.");
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
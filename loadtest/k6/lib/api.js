@@ -0,0 +1,96 @@
+import http from "k6/http";
+import { check, sleep } from "k6";
+import { Rate } from "k6/metrics";
+import { BASE_URL, apiHeaders } from "./config.js";
+
+// Requests and response checks for the operations in contract.json, which
+// generate.mjs derives from the OpenAPI spec. Nothing here hardcodes a status
+// code or response field: a check passes when the status is one of the
+// operation's documented success codes and the body has every field the spec
+// documents for that code.
+
+const contract = JSON.parse(open(import.meta.resolve("../contract.json")));
+
+export const failedRequests = new Rate("failed_requests");
+
+const CONFLICT_RETRIES = 10;
+
+function operation(name) {
+  const op = contract[name];
+  if (!op) throw new Error(`${name} is not in contract.json; add it to generate.mjs`);
+  return op;
+}
+
+// JSON body for an operation, rejecting fields the spec doesn't document and
+// missing required ones, so a payload can't silently drift from the API.
+export function payload(name, fields) {
+  const { request } = operation(name);
+  const unknown = Object.keys(fields).filter((key) => !request.properties.includes(key));
+  const missing = request.required.filter((key) => fields[key] === undefined);
+
+  if (unknown.length > 0) throw new Error(`${name}: unknown fields ${unknown.join(", ")}`);
+  if (missing.length > 0) throw new Error(`${name}: missing fields ${missing.join(", ")}`);
+
+  return JSON.stringify(fields);
+}
+
+function hasField(body, path) {
+  const [head, key] = path.split(".");
+
+  if (head.endsWith("[]")) {
+    const items = body[head.slice(0, -2)];
+    return Array.isArray(items) && items.every((item) => item !== null && key in item);
+  }
+  if (key === undefined) return head in body;
+  return body[head] !== null && typeof body[head] === "object" && key in body[head];
+}
+
+function parse(res) {
+  try {
+    return JSON.parse(res.body);
+  } catch {
+    return null;
+  }
+}
+
+// An operation as an http.batch() request. Every request is tagged with the
+// operation name so its timings can be told apart.
+export function request(name, { params = {}, query = "", body = null, headers = {} } = {}) {
+  const op = operation(name);
+  const path = op.path.replace(/\{(\w+)\}/g, (_, param) => encodeURIComponent(params[param]));
+  const url = `${BASE_URL}${path}${query ? `?${query}` : ""}`;
+
+  return [op.method.toUpperCase(), url, body, { headers: { ...apiHeaders, ...headers }, tags: { name, type: "api" } }];
+}
+
+// Checks a response against the contract.
+export function verify(name, res) {
+  const fields = operation(name).responses[String(res.status)];
+  const json = parse(res);
+
+  const ok = check(res, {
+    [`${name}: documented status`]: () => fields !== undefined,
+    [`${name}: documented fields`]: () =>
+      fields !== undefined && json !== null && fields.every((field) => hasField(json, field)),
+  });
+
+  failedRequests.add(!ok);
+  if (!ok) console.warn(`${name}: ${res.status} ${res.body}`);
+
+  return { res, json, ok };
+}
+
+// Sends an operation and checks the response. With `retryConflicts`, a 409
+// (another request with the same Idempotency-Key in flight) is retried the way
+// the API asks clients to.
+export function send(name, { retryConflicts = false, ...options } = {}) {
+  const [method, url, body, params] = request(name, options);
+  let res = http.request(method, url, body, params);
+
+  for (let i = 0; retryConflicts && res.status === 409 && i < CONFLICT_RETRIES; i++) {
+    sleep(0.2);
+    res = http.request(method, url, body, params);
+  }
+
+  return verify(name, res);
+}
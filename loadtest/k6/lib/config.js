@@ -0,0 +1,49 @@
+// Environment shared by every scenario. Override with `-e NAME=value`:
+//
+//   BASE_URL      App under test
+//   API_KEY       API key of the load test organization
+//   MOCK_URL      Mock endpoint the created tasks call (loadtest/mock-endpoint)
+//   ENDPOINT_URL  Inbound endpoint URL (/in/:slug) for endpoint_ingest
+//   SCENARIO      Which scenario of suite.js to run
+//   RATE          Requests per second (peak rate for queue_burst)
+//   DURATION      How long constant-rate scenarios run
+//   TRACK_DELIVERIES  0 to skip end-to-end delivery tracking (lib/delivery.js)
+//   DRAIN_TIMEOUT     Seconds to wait after the run for deliveries to arrive
+//   QUEUES        Named queues queue_serial and queue_pause spread tasks over
+//   BATCH_SIZE    Items per batch request
+//   PAUSE_HOLD    Seconds queue_pause keeps a queue paused
+//   SYNC_TASKS    Tasks declared by each sync request
+//   POOL_SIZE     The app's POOL_SIZE, recorded in the report
+//   NOTES         Notes column of the report's table
+//   REPORT        Report path without extension (lib/report.js)
+//   BASELINE      Earlier report JSON to compare the run against
+//   TOLERANCES    Per-metric regression tolerances, e.g. "p95=0.1,dropped=500"
+export const BASE_URL = __ENV.BASE_URL || "https://staging.runlater.eu";
+export const API_KEY = __ENV.API_KEY || "CHANGE_ME";
+export const MOCK_URL = __ENV.MOCK_URL || "http://localhost:8080";
+export const ENDPOINT_URL = __ENV.ENDPOINT_URL || "";
+export const SCENARIO = __ENV.SCENARIO || "sustained";
+export const RATE = parseInt(__ENV.RATE || "25", 10);
+export const DURATION = __ENV.DURATION || "2m";
+export const TRACK_DELIVERIES = __ENV.TRACK_DELIVERIES !== "0";
+export const DRAIN_TIMEOUT = parseInt(__ENV.DRAIN_TIMEOUT || "120", 10);
+export const QUEUES = parseInt(__ENV.QUEUES || "5", 10);
+export const BATCH_SIZE = parseInt(__ENV.BATCH_SIZE || "50", 10);
+export const PAUSE_HOLD = parseInt(__ENV.PAUSE_HOLD || "10", 10);
+export const SYNC_TASKS = parseInt(__ENV.SYNC_TASKS || "10", 10);
+export const POOL_SIZE = __ENV.POOL_SIZE ? parseInt(__ENV.POOL_SIZE, 10) : null;
+export const NOTES = __ENV.NOTES || null;
+export const REPORT = __ENV.REPORT || null;
+export const BASELINE = __ENV.BASELINE || null;
+export const TOLERANCES = __ENV.TOLERANCES || "";
+
+export const apiHeaders = {
+  "Content-Type": "application/json",
+  Authorization: `Bearer ${API_KEY}`,
+};
+
+// Where created tasks deliver to; `jitter` is the mock's random delay in ms.
+// Deliveries to a `stream` are checked for overlap and order by the mock.
+export function targetUrl(jitter = 200, stream = null) {
+  return `${MOCK_URL}/?jitter=${jitter}${stream ? `&stream=${encodeURIComponent(stream)}` : ""}`;
+}
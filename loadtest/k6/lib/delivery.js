@@ -0,0 +1,107 @@
+import http from "k6/http";
+import { sleep } from "k6";
+import { Counter, Rate, Trend } from "k6/metrics";
+import { DRAIN_TIMEOUT, MOCK_URL } from "./config.js";
+
+// End-to-end delivery tracking through the mock receiver
+// (loadtest/mock-endpoint). Every created task carries a correlation id in its
+// body and is registered with the receiver along with the scheduled_for the
+// API returned. After the run, teardown waits for the receiver to see every
+// task, then reports:
+//
+//   delivery_lag          scheduled_for to first 2xx delivery, per task
+//                         (except tasks held in a paused queue)
+//   delay_punctuality     the same, for delayed tasks only
+//   lost_tasks            share of tasks never delivered
+//   duplicate_deliveries  share of delivered tasks delivered more than once
+//   delivery_retries      failed attempts before delivery, in total
+//   stream_overlaps       deliveries to a serial stream (a queue) that
+//                         started while an earlier one was still running
+//   stream_out_of_order   deliveries that overtook an earlier event from the
+//                         same sender
+//
+// Lag compares the app's clock with the receiver's, so keep both synced.
+
+export const deliveryLag = new Trend("delivery_lag", true);
+export const delayPunctuality = new Trend("delay_punctuality", true);
+export const lostTasks = new Rate("lost_tasks");
+export const duplicateDeliveries = new Rate("duplicate_deliveries");
+export const deliveryRetries = new Counter("delivery_retries");
+export const streamOverlaps = new Counter("stream_overlaps");
+export const streamOutOfOrder = new Counter("stream_out_of_order");
+
+const POLL_INTERVAL = 5;
+const receiverParams = { headers: { "Content-Type": "application/json" }, tags: { name: "receiver" } };
+
+export function correlationId() {
+  return `${__VU}-${__ITER}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function resetReceiver() {
+  http.post(`${MOCK_URL}/_reset`, null, receiverParams);
+}
+
+// A task sent to a `stream` is expected once per stream it is delivered to.
+export function expectDelivery(id, kind, scheduledFor, streams = [null]) {
+  expectDeliveries(streams.map((stream) => ({ id, kind, scheduledFor, stream })));
+}
+
+export function expectDeliveries(deliveries) {
+  const tasks = deliveries.map(({ id, kind, scheduledFor, stream }) => ({
+    id: stream ? `${id}@${stream}` : id,
+    kind,
+    scheduled_at: scheduledFor,
+  }));
+
+  http.post(`${MOCK_URL}/_expect`, JSON.stringify({ tasks }), receiverParams);
+}
+
+// What the receiver has seen on one stream so far.
+export function streamStats(name) {
+  const res = http.get(`${MOCK_URL}/_streams?name=${encodeURIComponent(name)}`, receiverParams);
+  return JSON.parse(res.body).data[name];
+}
+
+function fetchReport() {
+  const res = http.get(`${MOCK_URL}/_report`, receiverParams);
+  if (res.status !== 200) throw new Error(`Receiver report failed: ${res.status} ${res.body}`);
+  return JSON.parse(res.body);
+}
+
+// Polls the receiver until every expected task has arrived or `DRAIN_TIMEOUT`
+// seconds pass, then records the delivery metrics. Run from teardown().
+export function collectDeliveries() {
+  const deadline = Date.now() + DRAIN_TIMEOUT * 1000;
+  let report = fetchReport();
+
+  while (report.lost > 0 && Date.now() < deadline) {
+    console.log(`Waiting for ${report.lost} of ${report.expected} deliveries`);
+    sleep(POLL_INTERVAL);
+    report = fetchReport();
+  }
+
+  for (const [kind, lag, failed, successes] of report.tasks) {
+    if (kind !== "paused") deliveryLag.add(lag, { kind });
+    if (kind === "delayed") delayPunctuality.add(lag);
+    duplicateDeliveries.add(successes > 1);
+    deliveryRetries.add(failed);
+    lostTasks.add(false);
+  }
+
+  for (let i = 0; i < report.lost; i++) lostTasks.add(true);
+  if (report.lost > 0) console.warn(`${report.lost} tasks never delivered, e.g. ${report.lost_ids.join(", ")}`);
+
+  // Zero first, so the thresholds hold a value even without streams
+  streamOverlaps.add(0);
+  streamOutOfOrder.add(0);
+
+  const res = http.get(`${MOCK_URL}/_streams`, receiverParams);
+  for (const [name, stream] of Object.entries(JSON.parse(res.body).data)) {
+    streamOverlaps.add(stream.overlaps);
+    streamOutOfOrder.add(stream.out_of_order);
+    if (stream.overlaps > 0) console.warn(`${name}: ${stream.overlaps} overlapping deliveries`);
+    if (stream.out_of_order > 0) console.warn(`${name}: ${stream.out_of_order} deliveries out of order`);
+  }
+
+  return report;
+}
@@ -0,0 +1,147 @@
+import http from "k6/http";
+import { check, sleep } from "k6";
+import { Counter, Rate } from "k6/metrics";
+import { request, send, verify, failedRequests } from "./api.js";
+import { batch, endpoint, immediateTask, syncTasks } from "./payloads.js";
+import { correlationId, expectDelivery, expectDeliveries, streamStats } from "./delivery.js";
+import { BASE_URL, BATCH_SIZE, PAUSE_HOLD, QUEUES, SYNC_TASKS } from "./config.js";
+
+// Scenarios for the API's ordering and exactly-once guarantees. Lost and
+// duplicate deliveries, overlaps and ordering are checked by lib/delivery.js
+// after the run; what only the scenario can see is checked here:
+//
+//   paused_deliveries       deliveries from a queue while it was paused
+//   idempotency_violations  repeated Idempotency-Key requests that answered
+//                           with a different task
+//   sync_duplicates         extra copies of a task declared through sync
+
+export const pausedDeliveries = new Counter("paused_deliveries");
+export const idempotencyViolations = new Rate("idempotency_violations");
+export const syncDuplicates = new Counter("sync_duplicates");
+
+const FANOUT_STREAMS = ["fanout-a", "fanout-b"];
+const IDEMPOTENT_REPEATS = 3;
+const PAUSE_TASKS = 20;
+const SYNC_QUEUE = "loadtest-sync";
+
+// Immediate tasks spread over QUEUES named queues. A queue runs one task at a
+// time, so its deliveries must never overlap.
+export function queueSerial() {
+  const queue = `loadtest-serial-${__VU % QUEUES}`;
+  const id = correlationId();
+  const { json, ok } = send("createTask", {
+    body: immediateTask({ queue, stream: queue, jitter: 50, correlationId: id }),
+  });
+
+  if (ok) expectDelivery(id, "immediate", json.data.scheduled_for, [queue]);
+}
+
+// Each VU sends its events in sequence to an endpoint forwarding to two URLs.
+// Both must get every event, in the order it was received.
+export function setupFanout() {
+  const { json, ok } = send("createEndpoint", { body: endpoint(FANOUT_STREAMS) });
+  if (!ok) throw new Error("Could not create the fan-out endpoint");
+
+  return { endpointId: json.data.id, inboundUrl: `${BASE_URL}/in/${json.data.slug}` };
+}
+
+export function teardownFanout(data) {
+  send("deleteEndpoint", { params: { id: data.endpointId } });
+}
+
+export function endpointFanout(data) {
+  const id = correlationId();
+  const sentAt = new Date().toISOString();
+  const res = http.post(
+    data.inboundUrl,
+    JSON.stringify({ correlation_id: id, sender: `vu-${__VU}`, sequence: __ITER }),
+    { headers: { "Content-Type": "application/json" }, tags: { name: "endpointFanout", type: "api" } },
+  );
+
+  const ok = check(res, { "endpointFanout: status 200": (r) => r.status === 200 });
+  failedRequests.add(!ok);
+
+  if (ok) expectDelivery(id, "forward", sentAt, FANOUT_STREAMS);
+}
+
+// BATCH_SIZE tasks in a fresh queue per request: every item must be delivered,
+// one at a time.
+export function batchQueue() {
+  const queue = `loadtest-batch-${__VU}-${__ITER}`;
+  const ids = Array.from({ length: BATCH_SIZE }, () => correlationId());
+  const { json, ok } = send("batchTasks", {
+    body: batch(queue, ids.map((id) => ({ correlation_id: id }))),
+  });
+
+  if (ok) {
+    expectDeliveries(ids.map((id) => ({ id, kind: "batch", scheduledFor: json.data.scheduled_for, stream: queue })));
+  }
+}
+
+// The same create sent concurrently, then once more, under one
+// Idempotency-Key. All must answer with the same task, and that task is
+// expected exactly once at the receiver.
+export function idempotentCreate() {
+  const id = correlationId();
+  const options = { body: immediateTask({ correlationId: id }), headers: { "Idempotency-Key": `loadtest-${id}` } };
+
+  const concurrent = http
+    .batch(Array.from({ length: IDEMPOTENT_REPEATS }, () => request("createTask", options)))
+    .map((res) =>
+      res.status === 409 ? send("createTask", { ...options, retryConflicts: true }) : verify("createTask", res),
+    );
+  const results = [...concurrent, send("createTask", { ...options, retryConflicts: true })];
+
+  const taskIds = new Set(results.filter((r) => r.ok).map((r) => r.json.data.task_id));
+  idempotencyViolations.add(taskIds.size > 1);
+
+  const first = results.find((r) => r.ok);
+  if (first) expectDelivery(id, "immediate", first.json.data.scheduled_for);
+}
+
+// Each iteration pauses a fresh queue, fills it, and checks nothing was
+// delivered PAUSE_HOLD seconds later before resuming. That everything then
+// drains shows up as lost_tasks.
+export function queuePause() {
+  const queue = `loadtest-pause-${__VU}-${__ITER}`;
+  send("pauseQueue", { params: { name: queue } });
+
+  for (let i = 0; i < PAUSE_TASKS; i++) {
+    const id = correlationId();
+    const { json, ok } = send("createTask", {
+      body: immediateTask({ queue, stream: queue, jitter: 20, correlationId: id }),
+    });
+
+    if (ok) expectDelivery(id, "paused", json.data.scheduled_for, [queue]);
+  }
+
+  sleep(PAUSE_HOLD);
+
+  const delivered = streamStats(queue)?.deliveries || 0;
+  pausedDeliveries.add(delivered);
+  if (delivered > 0) console.warn(`${queue}: ${delivered} deliveries while paused`);
+
+  send("resumeQueue", { params: { name: queue } });
+}
+
+// Every VU declares the same SYNC_TASKS tasks at once. However the requests
+// interleave, each must end up existing exactly once.
+export function syncDeclared() {
+  const { json, ok } = send("sync", { body: syncTasks(SYNC_QUEUE, SYNC_TASKS) });
+
+  check(json, {
+    "sync: declared tasks all accounted for": () =>
+      ok && json.data.tasks.created_count + json.data.tasks.updated_count === SYNC_TASKS,
+  });
+}
+
+export function teardownSync() {
+  const { json, ok } = send("listTasks", { query: `queue=${SYNC_QUEUE}&limit=100` });
+  if (!ok) return;
+
+  const names = json.data.map((task) => task.name);
+  const duplicates = names.length - new Set(names).size;
+
+  syncDuplicates.add(duplicates);
+  if (duplicates > 0) console.warn(`sync: ${duplicates} duplicate tasks in ${SYNC_QUEUE}`);
+}
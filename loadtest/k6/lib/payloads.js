@@ -0,0 +1,70 @@
+import { payload } from "./api.js";
+import { targetUrl } from "./config.js";
+
+// Request payloads, always sent unwrapped (not as `{task: {...}}`) and
+// validated against the operation's request schema. Task bodies carry the
+// correlation id the mock receiver matches deliveries by.
+
+function taskName(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Runs as soon as a worker picks it up.
+export function immediateTask({ queue, stream, jitter, correlationId = null } = {}) {
+  return payload("createTask", {
+    name: taskName("loadtest"),
+    url: targetUrl(jitter, stream),
+    method: "POST",
+    body: JSON.stringify({ test: true, correlation_id: correlationId }),
+    retry_attempts: 1,
+    timeout_ms: 10000,
+    ...(queue ? { queue } : {}),
+  });
+}
+
+// `items` each become the body of one task in `queue`.
+export function batch(queue, items) {
+  return payload("batchTasks", {
+    url: targetUrl(20, queue),
+    method: "POST",
+    queue,
+    items,
+    retry_attempts: 1,
+  });
+}
+
+// Declares the same `count` disabled cron tasks in queue `queue` every time.
+export function syncTasks(queue, count) {
+  const tasks = Array.from({ length: count }, (_, i) => ({
+    name: `${queue}-${i + 1}`,
+    url: targetUrl(),
+    schedule_type: "cron",
+    cron_expression: "0 0 1 1 *",
+    enabled: false,
+    queue,
+  }));
+
+  return payload("sync", { tasks, delete_removed: false });
+}
+
+// An endpoint forwarding to the mock, once per stream in `streams`.
+export function endpoint(streams) {
+  return payload("createEndpoint", {
+    name: taskName("loadtest-fanout"),
+    forward_urls: streams.map((stream) => targetUrl(20, stream)),
+    use_queue: true,
+    retry_attempts: 1,
+  });
+}
+
+// Runs once after `delay` (e.g. "5s").
+export function delayedTask({ delay = "5s", correlationId = null } = {}) {
+  return payload("createTask", {
+    name: taskName("loadtest-delayed"),
+    url: targetUrl(),
+    method: "POST",
+    body: JSON.stringify({ test: true, correlation_id: correlationId }),
+    delay,
+    retry_attempts: 1,
+  });
+}
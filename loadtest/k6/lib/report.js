@@ -0,0 +1,181 @@
+// Turns the k6 end-of-test summary into a result for LOADTEST.md: a JSON
+// record of the run and a Markdown table in the doc's format, compared
+// against a baseline (a result JSON from an earlier run). No k6 imports, so
+// it only depends on the summary data handleSummary() receives.
+
+// Per metric: which direction is better and how far it may move the wrong way
+// before it counts as a regression, relative to the baseline or, with
+// `absolute`, in the metric's own unit.
+export const METRICS = {
+  throughput: { label: "Throughput", better: "higher", tolerance: 0.05, format: formatRate },
+  success: { label: "Success", better: "higher", tolerance: 0.005, absolute: true, format: formatPercent },
+  p50: { label: "p50", better: "lower", tolerance: 0.2, format: formatDuration },
+  p95: { label: "p95", better: "lower", tolerance: 0.2, format: formatDuration },
+  p99: { label: "p99", better: "lower", tolerance: 0.25, format: formatDuration },
+  dropped: { label: "Dropped", better: "lower", tolerance: 100, absolute: true, format: formatNumber },
+  delivery_lag_p50: { label: "Delivery lag p50", better: "lower", tolerance: 0.25, format: formatDuration },
+  delivery_lag_p95: { label: "Delivery lag p95", better: "lower", tolerance: 0.25, format: formatDuration },
+  delivery_lag_p99: { label: "Delivery lag p99", better: "lower", tolerance: 0.25, format: formatDuration },
+  lost_tasks: { label: "Lost tasks", better: "lower", tolerance: 0, absolute: true, format: formatPercent },
+  duplicate_deliveries: { label: "Duplicates", better: "lower", tolerance: 0, absolute: true, format: formatPercent },
+};
+
+export function formatNumber(value) {
+  return Math.round(value).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+}
+
+export function formatRate(value) {
+  return `${formatNumber(value)}/s`;
+}
+
+// 272ms, 1.39s
+export function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+// 100%, 99.5%
+export function formatPercent(ratio) {
+  return `${Number((ratio * 100).toFixed(2))}%`;
+}
+
+function value(data, metric, stat) {
+  return data.metrics[metric]?.values[stat];
+}
+
+function thresholdsPassed(data) {
+  return Object.values(data.metrics).every((metric) =>
+    Object.values(metric.thresholds || {}).every((threshold) => threshold.ok),
+  );
+}
+
+// The result of a run. `run` describes it: scenario, target host, rate,
+// duration, the app's POOL_SIZE and free-text notes for the table.
+export function summarize(data, run) {
+  const metrics = {
+    throughput: value(data, "iterations", "rate"),
+    success: 1 - (value(data, "failed_requests", "rate") ?? 0),
+    p50: value(data, "http_req_duration{type:api}", "p(50)"),
+    p95: value(data, "http_req_duration{type:api}", "p(95)"),
+    p99: value(data, "http_req_duration{type:api}", "p(99)"),
+    dropped: value(data, "dropped_iterations", "count") ?? 0,
+    delivery_lag_p50: value(data, "delivery_lag", "p(50)"),
+    delivery_lag_p95: value(data, "delivery_lag", "p(95)"),
+    delivery_lag_p99: value(data, "delivery_lag", "p(99)"),
+    lost_tasks: value(data, "lost_tasks", "rate"),
+    duplicate_deliveries: value(data, "duplicate_deliveries", "rate"),
+  };
+
+  return {
+    ...run,
+    finished_at: new Date().toISOString(),
+    passed: thresholdsPassed(data),
+    metrics: Object.fromEntries(Object.entries(metrics).filter(([, v]) => v !== undefined)),
+  };
+}
+
+// "p95=0.1,throughput=0.02" overrides the default tolerances.
+export function parseTolerances(spec) {
+  return Object.fromEntries(
+    (spec || "")
+      .split(",")
+      .map((pair) => pair.split("=").map((part) => part.trim()))
+      .filter(([key, tolerance]) => METRICS[key] && tolerance && !isNaN(Number(tolerance)))
+      .map(([key, tolerance]) => [key, Number(tolerance)]),
+  );
+}
+
+// Per metric in both runs: "pass" or "regress", with the change from the
+// baseline.
+export function compare(result, baseline, tolerances = {}) {
+  return Object.entries(METRICS)
+    .filter(([key]) => result.metrics[key] !== undefined && baseline.metrics[key] !== undefined)
+    .map(([key, metric]) => {
+      const current = result.metrics[key];
+      const base = baseline.metrics[key];
+      const tolerance = tolerances[key] ?? metric.tolerance;
+      const worse = metric.better === "lower" ? current - base : base - current;
+      const allowed = metric.absolute ? tolerance : Math.abs(base) * tolerance;
+      const change = base === 0 ? null : (current - base) / Math.abs(base);
+
+      return { key, baseline: base, current, change, verdict: worse > allowed ? "regress" : "pass" };
+    });
+}
+
+function bold(text, on) {
+  return on ? `**${text}**` : text;
+}
+
+// A section to paste into LOADTEST.md.
+export function markdown(result, comparison) {
+  const { metrics, passed } = result;
+  const lines = [
+    `### ${result.scenario}: ${result.finished_at.slice(0, 10)}`,
+    "",
+    [
+      `Target: ${result.target}.`,
+      `${formatNumber(result.rate)} req/s for ${result.duration}.`,
+      result.pool_size && `POOL_SIZE=${result.pool_size}.`,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    "",
+    "| Rate | Success | p50 | p95 | Dropped | Notes |",
+    "|------|---------|-----|-----|---------|-------|",
+    `| ${[
+      bold(formatRate(result.rate), passed),
+      bold(formatPercent(metrics.success), passed),
+      bold(metrics.p50 === undefined ? "-" : formatDuration(metrics.p50), passed),
+      bold(metrics.p95 === undefined ? "-" : formatDuration(metrics.p95), passed),
+      formatNumber(metrics.dropped),
+      result.notes || (passed ? "Clean" : "Threshold fail"),
+    ].join(" | ")} |`,
+  ];
+
+  if (metrics.delivery_lag_p95 !== undefined) {
+    lines.push(
+      "",
+      "| Delivery lag p50 | p95 | p99 | Lost | Duplicates |",
+      "|------------------|-----|-----|------|------------|",
+      `| ${[
+        formatDuration(metrics.delivery_lag_p50),
+        formatDuration(metrics.delivery_lag_p95),
+        formatDuration(metrics.delivery_lag_p99),
+        formatPercent(metrics.lost_tasks ?? 0),
+        formatPercent(metrics.duplicate_deliveries ?? 0),
+      ].join(" | ")} |`,
+    );
+  }
+
+  if (comparison) {
+    lines.push(
+      "",
+      "| Metric | Baseline | This run | Change | Verdict |",
+      "|--------|----------|----------|--------|---------|",
+    );
+
+    for (const { key, baseline, current, change, verdict } of comparison) {
+      const { label, format } = METRICS[key];
+      const changeText = change === null ? "-" : `${change >= 0 ? "+" : ""}${(change * 100).toFixed(1)}%`;
+      const verdictCell = bold(verdict, verdict === "regress");
+      lines.push(`| ${label} | ${format(baseline)} | ${format(current)} | ${changeText} | ${verdictCell} |`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// One line per metric for the console.
+export function verdictText(comparison) {
+  const regressed = comparison.filter((c) => c.verdict === "regress");
+  const lines = comparison.map(({ key, baseline, current, verdict }) => {
+    const { label, format } = METRICS[key];
+    const mark = verdict === "regress" ? "✗ regress" : "✓ pass   ";
+    return `  ${mark}  ${label}: ${format(current)} (baseline ${format(baseline)})`;
+  });
+
+  const headline =
+    regressed.length > 0
+      ? `${regressed.length} metric(s) regressed against the baseline`
+      : "No regressions against the baseline";
+  return `\n${headline}:\n${lines.join("\n")}\n`;
+}
@@ -0,0 +1,241 @@
+import http from "k6/http";
+import { check } from "k6";
+import { textSummary } from "https://jslib.k6.io/k6-summary/0.0.2/index.js";
+import { send, failedRequests } from "./lib/api.js";
+import { immediateTask, delayedTask } from "./lib/payloads.js";
+import { collectDeliveries, correlationId, expectDelivery, resetReceiver } from "./lib/delivery.js";
+import { setupFanout, teardownFanout, teardownSync } from "./lib/guarantees.js";
+import { compare, markdown, parseTolerances, summarize, verdictText } from "./lib/report.js";
+import {
+  BASE_URL,
+  BASELINE,
+  BATCH_SIZE,
+  DRAIN_TIMEOUT,
+  DURATION,
+  ENDPOINT_URL,
+  NOTES,
+  POOL_SIZE,
+  QUEUES,
+  RATE,
+  REPORT,
+  SCENARIO,
+  TOLERANCES,
+  TRACK_DELIVERIES,
+} from "./lib/config.js";
+
+export { queueSerial, endpointFanout, batchQueue, idempotentCreate, queuePause, syncDeclared } from "./lib/guarantees.js";
+
+// The load test suite. Pick a scenario with `-e SCENARIO=`:
+//
+//   queue_burst      Ramp immediate task creation up to RATE/s
+//   sustained        RATE/s for DURATION: 70% immediate, 15% delayed, 15% list
+//   endpoint_ingest  RATE/s POSTs to an inbound endpoint (ENDPOINT_URL)
+//   read_heavy       RATE/s task list pages, with the odd trigger
+//
+// And the API's guarantees under load (lib/guarantees.js):
+//
+//   queue_serial     RATE/s tasks over QUEUES named queues: no overlap per queue
+//   endpoint_fanout  RATE/s events to an endpoint with two forward URLs: every
+//                    event reaches both, in order
+//   batch            Batches of BATCH_SIZE at RATE tasks/s: all delivered, serially
+//   idempotency      RATE/s creates, each repeated under one Idempotency-Key:
+//                    exactly one task each
+//   queue_pause      QUEUES queues paused, filled and resumed 3 times each:
+//                    nothing delivered while paused, everything after
+//   sync             RATE/s concurrent syncs of the same tasks: no duplicates
+//
+//   k6 run -e SCENARIO=sustained -e RATE=200 -e BASE_URL=... -e API_KEY=... \
+//     -e MOCK_URL=... loadtest/k6/suite.js
+//
+// Every scenario uses the same payloads, checks and thresholds, so rounds in
+// LOADTEST.md stay comparable. Scenarios that create tasks also track their
+// delivery end to end when MOCK_URL is the mock receiver (lib/delivery.js).
+// Each run writes REPORT.json and REPORT.md, compared against BASELINE when
+// given (lib/report.js).
+
+function constantRate(exec, rate = RATE) {
+  return {
+    executor: "constant-arrival-rate",
+    rate,
+    timeUnit: "1s",
+    duration: DURATION,
+    preAllocatedVUs: rate,
+    maxVUs: rate * 3,
+    exec,
+  };
+}
+
+const SCENARIOS = {
+  queue_burst: {
+    executor: "ramping-arrival-rate",
+    startRate: Math.max(1, Math.round(RATE / 50)),
+    timeUnit: "1s",
+    preAllocatedVUs: Math.max(10, Math.round(RATE / 10)),
+    maxVUs: RATE * 3,
+    stages: [
+      { duration: "30s", target: Math.round(RATE / 10) },
+      { duration: "1m", target: Math.round(RATE / 5) },
+      { duration: "1m", target: Math.round(RATE / 2) },
+      { duration: "1m", target: RATE },
+      { duration: "30s", target: Math.max(1, Math.round(RATE / 50)) },
+    ],
+    exec: "queueBurst",
+  },
+  sustained: constantRate("sustained"),
+  endpoint_ingest: constantRate("endpointIngest"),
+  read_heavy: constantRate("readHeavy"),
+  queue_serial: constantRate("queueSerial"),
+  endpoint_fanout: constantRate("endpointFanout"),
+  batch: constantRate("batchQueue", Math.max(1, Math.round(RATE / BATCH_SIZE))),
+  idempotency: constantRate("idempotentCreate"),
+  queue_pause: {
+    executor: "per-vu-iterations",
+    vus: QUEUES,
+    iterations: 3,
+    maxDuration: "10m",
+    exec: "queuePause",
+  },
+  sync: constantRate("syncDeclared"),
+};
+
+if (!SCENARIOS[SCENARIO]) {
+  throw new Error(`Unknown SCENARIO "${SCENARIO}". Use one of: ${Object.keys(SCENARIOS).join(", ")}`);
+}
+
+if (SCENARIO === "endpoint_ingest" && !ENDPOINT_URL) {
+  throw new Error("endpoint_ingest needs -e ENDPOINT_URL=https://.../in/<slug>");
+}
+
+const TRACKED =
+  TRACK_DELIVERIES &&
+  ["queue_burst", "sustained", "queue_serial", "endpoint_fanout", "batch", "idempotency", "queue_pause"].includes(
+    SCENARIO,
+  );
+
+// Limits for the worker pool, not just the API: every task delivered exactly
+// once, promptly.
+const DELIVERY_THRESHOLDS = {
+  delivery_lag: ["p(50)<1000", "p(95)<5000", "p(99)<10000"],
+  delay_punctuality: ["p(95)<2000"],
+  lost_tasks: ["rate==0"],
+  duplicate_deliveries: ["rate==0"],
+  delivery_retries: ["count==0"],
+  stream_overlaps: ["count==0"],
+  stream_out_of_order: ["count==0"],
+};
+
+const GUARANTEE_THRESHOLDS = {
+  queue_pause: { paused_deliveries: ["count==0"] },
+  idempotency: { idempotency_violations: ["rate==0"] },
+  sync: { sync_duplicates: ["count==0"] },
+};
+
+export const options = {
+  scenarios: { [SCENARIO]: SCENARIOS[SCENARIO] },
+  summaryTrendStats: ["avg", "min", "med", "max", "p(50)", "p(95)", "p(99)"],
+  teardownTimeout: `${DRAIN_TIMEOUT + 30}s`,
+  thresholds: {
+    "http_req_duration{type:api}": ["p(95)<2000"],
+    failed_requests: ["rate<0.05"],
+    ...(TRACKED ? DELIVERY_THRESHOLDS : {}),
+    ...GUARANTEE_THRESHOLDS[SCENARIO],
+  },
+};
+
+// open() only works in the init context. Relative paths resolve from this file.
+const baseline = BASELINE ? JSON.parse(open(BASELINE)) : null;
+
+export function setup() {
+  if (TRACKED) resetReceiver();
+  if (SCENARIO === "endpoint_fanout") return setupFanout();
+}
+
+export function teardown(data) {
+  if (TRACKED) collectDeliveries();
+  if (SCENARIO === "endpoint_fanout") teardownFanout(data);
+  if (SCENARIO === "sync") teardownSync();
+}
+
+// k6 sets the exit code from the thresholds before this runs, so a regression
+// against the baseline doesn't fail the run: check `regressed` in the JSON.
+export function handleSummary(data) {
+  const result = summarize(data, {
+    scenario: SCENARIO,
+    target: BASE_URL.replace(/^\w+:\/\//, "").replace(/\/.*$/, ""),
+    rate: RATE,
+    duration: DURATION,
+    pool_size: POOL_SIZE,
+    notes: NOTES,
+  });
+  const comparison = baseline
+    ? compare(result, baseline, { ...baseline.tolerances, ...parseTolerances(TOLERANCES) })
+    : null;
+
+  if (comparison) {
+    result.baseline = { finished_at: baseline.finished_at, comparison };
+    result.regressed = comparison.some((c) => c.verdict === "regress");
+  }
+
+  const path = REPORT || `loadtest/results/${SCENARIO}-${result.finished_at.replace(/[:.]/g, "-")}`;
+
+  return {
+    stdout: textSummary(data, { indent: " ", enableColors: true }) + (comparison ? verdictText(comparison) : ""),
+    [`${path}.json`]: `${JSON.stringify(result, null, 2)}\n`,
+    [`${path}.md`]: markdown(result, comparison),
+  };
+}
+
+function createTask(kind, build) {
+  const id = TRACKED ? correlationId() : null;
+  const { json, ok } = send("createTask", { body: build(id) });
+
+  if (ok && id) expectDelivery(id, kind, json.data.scheduled_for);
+}
+
+export function queueBurst() {
+  createTask("immediate", (id) => immediateTask({ correlationId: id }));
+}
+
+export function sustained() {
+  const roll = Math.random();
+
+  if (roll < 0.7) {
+    createTask("immediate", (id) => immediateTask({ correlationId: id }));
+  } else if (roll < 0.85) {
+    createTask("delayed", (id) => delayedTask({ correlationId: id }));
+  } else {
+    send("listTasks");
+  }
+}
+
+// Inbound endpoints aren't part of the API spec, so this check is written out.
+export function endpointIngest() {
+  const res = http.post(
+    ENDPOINT_URL,
+    JSON.stringify({ event: "loadtest", timestamp: new Date().toISOString(), iteration: __ITER, vu: __VU }),
+    { headers: { "Content-Type": "application/json" }, tags: { name: "endpointIngest", type: "api" } },
+  );
+
+  const ok = check(res, {
+    "endpointIngest: status 200": (r) => r.status === 200,
+    "endpointIngest: has id": (r) => {
+      try {
+        return JSON.parse(r.body).id !== undefined;
+      } catch {
+        return false;
+      }
+    },
+  });
+
+  failedRequests.add(!ok);
+}
+
+export function readHeavy() {
+  const offset = Math.floor(Math.random() * 5) * 20;
+  const { json, ok } = send("listTasks", { query: `limit=20&offset=${offset}` });
+
+  if (ok && json.data.length > 0 && Math.random() < 0.1) {
+    const task = json.data[Math.floor(Math.random() * json.data.length)];
+    send("triggerTask", { params: { task_id: task.id } });
+  }
+}
@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+// Mock webhook receiver for load and end-to-end delivery tests. No
+// dependencies, so it runs anywhere Node 20 does:
+//
+//   PORT=8080 WEBHOOK_SECRET=whsec_... node loadtest/mock-endpoint/server.mjs
+//
+// Any path except the /_ ones below is a delivery target. How it answers is
+// set per task through the query string of the task URL:
+//
+//   ?delay=100         Wait 100ms before answering
+//   ?jitter=500        Wait a random 0-500ms before answering
+//   ?status=503        Answer with this status (default 200)
+//   ?fail_rate=10      Answer 10% of requests with fail_status (default 500)
+//   ?rate_limit=20     Answer 20% with 429 and Retry-After: retry_after (default 1)
+//   ?slow_body=2000    Send the headers, then trickle the body out over 2s
+//   ?hang=1            Never answer, so the delivery times out
+//
+// Every delivery is recorded with the Runlater task and execution ids and,
+// when WEBHOOK_SECRET is set, whether its X-Runlater-Signature is valid
+// (HMAC-SHA256 of the body, as Prikke.WebhookSignature signs it). With
+// REQUIRE_SIGNATURE=1, deliveries with a bad or missing signature get a 401.
+//
+//   GET  /_stats       Delivery counts, duplicates and signature results
+//   GET  /_deliveries  Recorded deliveries, filtered by ?task_id= or ?execution_id=
+//   POST /_verify      Body {"task_ids": [...]}: which were lost or delivered twice
+//   POST /_reset       Forget all deliveries and expected tasks
+//
+// End-to-end runs (loadtest/k6/lib/delivery.js) put a `correlation_id` in each
+// task body and register it with its scheduled time:
+//
+//   POST /_expect      Body {"tasks": [{"id", "kind", "scheduled_at"}]}
+//   GET  /_report      For the expected tasks: lag from scheduled time to the
+//                      first 2xx delivery, failed attempts, lost and duplicated
+//
+// Deliveries to a URL with ?stream=<name> (a queue, an endpoint's forward URL)
+// are also checked as a stream. The same correlation id may then arrive once
+// per stream, so it's expected as "<id>@<stream>". A body with `sender` and
+// `sequence` marks the order a sender produced events in:
+//
+//   GET  /_streams     Per stream: deliveries that overlapped an earlier one
+//                      still in flight, and 2xx deliveries that arrived out of
+//                      sequence for their sender. Filter with ?name=
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+
+const HANG_MS = 10 * 60_000;
+const SLOW_BODY_CHUNKS = 10;
+
+// Whether X-Runlater-Signature matches the body: "valid", "invalid",
+// "unsigned", or "unchecked" when no secret is configured.
+export function signatureStatus(body, secret, signature) {
+  if (!secret) return "unchecked";
+  if (!signature) return "unsigned";
+
+  const expected = Buffer.from(`sha256=${createHmac("sha256", secret).update(body).digest("hex")}`);
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && timingSafeEqual(expected, actual) ? "valid" : "invalid";
+}
+
+function number(params, name, fallback = 0) {
+  const value = Number(params.get(name));
+  return params.has(name) && Number.isFinite(value) ? value : fallback;
+}
+
+// What to answer for a delivery, from its query string. `random` is injectable
+// for tests.
+export function plan(params, random = Math.random) {
+  const wait = number(params, "delay") + Math.floor(random() * number(params, "jitter"));
+
+  if (params.get("hang") === "1") return { wait, hang: true };
+  if (random() * 100 < number(params, "rate_limit")) {
+    return { wait, status: 429, headers: { "Retry-After": String(number(params, "retry_after", 1)) } };
+  }
+
+  const failed = random() * 100 < number(params, "fail_rate");
+  const status = failed ? number(params, "fail_status", 500) : number(params, "status", 200);
+
+  return { wait, status, headers: {}, slowBody: number(params, "slow_body") };
+}
+
+function succeeded(status) {
+  return status >= 200 && status < 300;
+}
+
+export function createStore({ maxDeliveries = 500_000 } = {}) {
+  let deliveries = [];
+  let dropped = 0;
+  // Correlation id => {kind, scheduledAt} and => [{at, status}], in arrival order
+  let expected = new Map();
+  let attempts = new Map();
+  // Stream name => deliveries in arrival order
+  let streams = new Map();
+
+  return {
+    record(delivery) {
+      if (delivery.correlation_id) {
+        const key = delivery.stream ? `${delivery.correlation_id}@${delivery.stream}` : delivery.correlation_id;
+        const list = attempts.get(key) || [];
+        list.push({ at: Date.parse(delivery.received_at), status: delivery.status });
+        attempts.set(key, list);
+      }
+
+      if (delivery.stream) {
+        const list = streams.get(delivery.stream) || [];
+        list.push(delivery);
+        streams.set(delivery.stream, list);
+      }
+
+      if (deliveries.length >= maxDeliveries) dropped++;
+      else deliveries.push(delivery);
+    },
+
+    reset() {
+      deliveries = [];
+      dropped = 0;
+      expected = new Map();
+      attempts = new Map();
+      streams = new Map();
+    },
+
+    expect(tasks) {
+      for (const { id, kind, scheduled_at } of tasks) {
+        expected.set(id, { kind: kind || "task", scheduledAt: Date.parse(scheduled_at) });
+      }
+    },
+
+    // `tasks` holds [kind, lag_ms, failed_attempts, successes] per delivered
+    // task, compact so a big run stays a small response. Expected tasks without
+    // a 2xx delivery count as lost, which while the run drains means "not yet".
+    report() {
+      const tasks = [];
+      const lostIds = [];
+      let duplicated = 0;
+      let retries = 0;
+
+      for (const [id, { kind, scheduledAt }] of expected) {
+        const all = attempts.get(id) || [];
+        const successes = all.filter((attempt) => succeeded(attempt.status));
+
+        if (successes.length === 0) {
+          lostIds.push(id);
+          continue;
+        }
+
+        const failed = all.length - successes.length;
+        if (successes.length > 1) duplicated++;
+        retries += failed;
+        tasks.push([kind, successes[0].at - scheduledAt, failed, successes.length]);
+      }
+
+      return {
+        expected: expected.size,
+        delivered: tasks.length,
+        lost: lostIds.length,
+        lost_ids: lostIds.slice(0, 100),
+        duplicated,
+        retries,
+        tasks,
+      };
+    },
+
+    list({ taskId, executionId } = {}) {
+      return deliveries.filter(
+        (d) => (!taskId || d.task_id === taskId) && (!executionId || d.execution_id === executionId),
+      );
+    },
+
+    // Deliveries still in flight have no finished_at, so anything after them
+    // overlaps.
+    streams(name) {
+      const names = name ? [name] : [...streams.keys()];
+
+      return Object.fromEntries(
+        names.map((stream) => {
+          const list = streams.get(stream) || [];
+          const lastSequence = new Map();
+          let busyUntil = -Infinity;
+          let overlaps = 0;
+          let outOfOrder = 0;
+
+          for (const d of list) {
+            const start = Date.parse(d.received_at);
+            if (start < busyUntil) overlaps++;
+            busyUntil = Math.max(busyUntil, d.finished_at ? Date.parse(d.finished_at) : Infinity);
+
+            if (succeeded(d.status) && d.sender != null && d.sequence != null) {
+              if (d.sequence < (lastSequence.get(d.sender) ?? -Infinity)) outOfOrder++;
+              else lastSequence.set(d.sender, d.sequence);
+            }
+          }
+
+          const delivered = list.filter((d) => succeeded(d.status)).length;
+          return [stream, { deliveries: list.length, succeeded: delivered, overlaps, out_of_order: outOfOrder }];
+        }),
+      );
+    },
+
+    stats() {
+      const byStatus = {};
+      const signatures = { valid: 0, invalid: 0, unsigned: 0, unchecked: 0 };
+      const executions = new Map();
+      const tasks = new Set();
+
+      for (const d of deliveries) {
+        const status = d.status ?? "hang";
+        byStatus[status] = (byStatus[status] || 0) + 1;
+        signatures[d.signature]++;
+        if (d.task_id) tasks.add(d.task_id);
+        if (d.execution_id) executions.set(d.execution_id, (executions.get(d.execution_id) || 0) + 1);
+      }
+
+      const duplicates = [...executions].filter(([, count]) => count > 1).map(([id]) => id);
+
+      return {
+        deliveries: deliveries.length,
+        dropped,
+        tasks: tasks.size,
+        executions: executions.size,
+        duplicate_executions: duplicates.length,
+        duplicates: duplicates.slice(0, 100),
+        by_status: byStatus,
+        signatures,
+        first_at: deliveries[0]?.received_at ?? null,
+        last_at: deliveries.at(-1)?.received_at ?? null,
+      };
+    },
+
+    // Lost: no 2xx delivery for the task. Duplicated: a task whose
+    // successfully delivered execution arrived more than once.
+    verify(taskIds) {
+      const delivered = new Map();
+
+      for (const d of deliveries) {
+        if (d.task_id && succeeded(d.status)) {
+          const executions = delivered.get(d.task_id) || new Map();
+          executions.set(d.execution_id, (executions.get(d.execution_id) || 0) + 1);
+          delivered.set(d.task_id, executions);
+        }
+      }
+
+      const lost = taskIds.filter((id) => !delivered.has(id));
+      const duplicated = taskIds.filter((id) =>
+        [...(delivered.get(id)?.values() || [])].some((count) => count > 1),
+      );
+
+      return { expected: taskIds.length, delivered: taskIds.length - lost.length, lost, duplicated };
+    },
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// Holds the connection open without answering until the client gives up.
+function hang(res) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => res.destroy(), HANG_MS);
+    res.on("close", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+async function sendSlowly(res, body, ms) {
+  const size = Math.ceil(body.length / SLOW_BODY_CHUNKS);
+
+  for (let i = 0; i < body.length && !res.destroyed; i += size) {
+    res.write(body.slice(i, i + size));
+    await sleep(ms / SLOW_BODY_CHUNKS);
+  }
+  res.end();
+}
+
+async function control(req, res, url, store) {
+  if (req.method === "GET" && url.pathname === "/_stats") return sendJson(res, 200, store.stats());
+
+  if (req.method === "GET" && url.pathname === "/_deliveries") {
+    const filters = { taskId: url.searchParams.get("task_id"), executionId: url.searchParams.get("execution_id") };
+    return sendJson(res, 200, { data: store.list(filters) });
+  }
+
+  if (req.method === "POST" && url.pathname === "/_reset") {
+    store.reset();
+    return sendJson(res, 200, { status: "ok" });
+  }
+
+  if (req.method === "POST" && url.pathname === "/_verify") {
+    const taskIds = JSON.parse((await readBody(req)).toString() || "{}").task_ids;
+    if (!Array.isArray(taskIds)) return sendJson(res, 400, { error: "Expected {\"task_ids\": [...]}" });
+    return sendJson(res, 200, store.verify(taskIds));
+  }
+
+  if (req.method === "POST" && url.pathname === "/_expect") {
+    const tasks = JSON.parse((await readBody(req)).toString() || "{}").tasks;
+    if (!Array.isArray(tasks)) return sendJson(res, 400, { error: "Expected {\"tasks\": [...]}" });
+    store.expect(tasks);
+    return sendJson(res, 200, { status: "ok" });
+  }
+
+  if (req.method === "GET" && url.pathname === "/_report") return sendJson(res, 200, store.report());
+
+  if (req.method === "GET" && url.pathname === "/_streams") {
+    return sendJson(res, 200, { data: store.streams(url.searchParams.get("name")) });
+  }
+
+  sendJson(res, 404, { error: "Not found" });
+}
+
+// The correlation id, sender and sequence the k6 suite puts in task bodies.
+function tracking(body) {
+  try {
+    const { correlation_id, sender, sequence } = JSON.parse(body.toString());
+    return { correlation_id: correlation_id ?? null, sender: sender ?? null, sequence: sequence ?? null };
+  } catch {
+    return { correlation_id: null, sender: null, sequence: null };
+  }
+}
+
+async function deliver(req, res, url, store, { secret, requireSignature, random }) {
+  const received = Date.now();
+  const body = await readBody(req);
+  const signature = signatureStatus(body, secret, req.headers["x-runlater-signature"]);
+  const answer = plan(url.searchParams, random);
+  const rejected = requireSignature && signature !== "valid";
+  const status = rejected ? 401 : answer.hang ? null : answer.status;
+
+  const delivery = {
+    received_at: new Date(received).toISOString(),
+    finished_at: null,
+    method: req.method,
+    path: url.pathname,
+    query: url.search,
+    task_id: req.headers["x-runlater-task-id"] || null,
+    execution_id: req.headers["x-runlater-execution-id"] || null,
+    stream: url.searchParams.get("stream"),
+    ...tracking(body),
+    signature,
+    status,
+    bytes: body.length,
+  };
+
+  store.record(delivery);
+  res.on("close", () => {
+    delivery.finished_at = new Date().toISOString();
+  });
+
+  if (rejected) return sendJson(res, 401, { error: `Signature ${signature}` });
+  await sleep(answer.wait);
+  if (answer.hang) return hang(res);
+
+  const response = JSON.stringify({ status: "ok", method: req.method, path: url.pathname, signature });
+  res.writeHead(answer.status, { "Content-Type": "application/json", ...answer.headers });
+
+  if (answer.slowBody > 0) return sendSlowly(res, response, answer.slowBody);
+  res.end(response);
+}
+
+export function createReceiver({
+  secret = "",
+  requireSignature = false,
+  maxDeliveries,
+  random = Math.random,
+} = {}) {
+  const store = createStore({ maxDeliveries });
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const handle = url.pathname.startsWith("/_")
+      ? control(req, res, url, store)
+      : deliver(req, res, url, store, { secret, requireSignature, random });
+
+    handle.catch((error) => {
+      if (!res.headersSent) sendJson(res, 400, { error: error.message });
+      else res.destroy();
+    });
+  });
+
+  return { server, store };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT || 8080);
+  const { server } = createReceiver({
+    secret: process.env.WEBHOOK_SECRET || "",
+    requireSignature: process.env.REQUIRE_SIGNATURE === "1",
+    maxDeliveries: Number(process.env.MAX_DELIVERIES || 500_000),
+  });
+
+  server.listen(port, () => console.log(`Mock endpoint listening on :${port}`));
+}
@@ -0,0 +1,141 @@
+// Run with `node --test loadtest/mock-endpoint/`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createReceiver, plan } from "./server.mjs";
+
+const SECRET = "whsec_test";
+
+function sign(body) {
+  return `sha256=${createHmac("sha256", SECRET).update(body).digest("hex")}`;
+}
+
+async function withReceiver(options, fn) {
+  const { server } = createReceiver({ secret: SECRET, ...options });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  try {
+    await fn(`http://localhost:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function deliver(base, query, { taskId = "task-1", executionId = "exec-1", body = "{}", signature } = {}) {
+  return fetch(`${base}/hook${query}`, {
+    method: "POST",
+    body,
+    headers: {
+      "x-runlater-task-id": taskId,
+      "x-runlater-execution-id": executionId,
+      "x-runlater-signature": signature ?? sign(body),
+    },
+  });
+}
+
+test("plans answers from the query string", () => {
+  const params = (query) => new URLSearchParams(query);
+
+  assert.deepEqual(plan(params("")), { wait: 0, status: 200, headers: {}, slowBody: 0 });
+  assert.equal(plan(params("status=503")).status, 503);
+  assert.equal(plan(params("delay=100&jitter=50"), () => 0.5).wait, 125);
+  assert.equal(plan(params("fail_rate=10"), () => 0.05).status, 500);
+  assert.equal(plan(params("fail_rate=10"), () => 0.5).status, 200);
+  assert.equal(plan(params("fail_rate=100&fail_status=502")).status, 502);
+  assert.deepEqual(plan(params("rate_limit=100&retry_after=7")).headers, { "Retry-After": "7" });
+  assert.equal(plan(params("hang=1")).hang, true);
+});
+
+test("verifies signatures and records deliveries", async () => {
+  await withReceiver({}, async (base) => {
+    assert.equal((await deliver(base, "")).status, 200);
+    await deliver(base, "", { executionId: "exec-2", signature: "sha256=wrong" });
+    await deliver(base, "?status=500", { executionId: "exec-3", signature: "" });
+
+    const stats = await (await fetch(`${base}/_stats`)).json();
+    assert.equal(stats.deliveries, 3);
+    assert.deepEqual(stats.signatures, { valid: 1, invalid: 1, unsigned: 1, unchecked: 0 });
+    assert.deepEqual(stats.by_status, { 200: 2, 500: 1 });
+
+    const { data } = await (await fetch(`${base}/_deliveries?execution_id=exec-2`)).json();
+    assert.equal(data.length, 1);
+    assert.equal(data[0].signature, "invalid");
+  });
+});
+
+test("rejects bad signatures when required", async () => {
+  await withReceiver({ requireSignature: true }, async (base) => {
+    assert.equal((await deliver(base, "", { signature: "sha256=wrong" })).status, 401);
+    assert.equal((await deliver(base, "")).status, 200);
+  });
+});
+
+test("answers 429 with Retry-After", async () => {
+  await withReceiver({}, async (base) => {
+    const res = await deliver(base, "?rate_limit=100&retry_after=3");
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get("retry-after"), "3");
+  });
+});
+
+test("finds lost and duplicated tasks", async () => {
+  await withReceiver({}, async (base) => {
+    await deliver(base, "", { taskId: "a", executionId: "a-1" });
+    await deliver(base, "", { taskId: "b", executionId: "b-1" });
+    await deliver(base, "", { taskId: "b", executionId: "b-1" });
+    await deliver(base, "?status=500", { taskId: "c", executionId: "c-1" });
+
+    const res = await fetch(`${base}/_verify`, {
+      method: "POST",
+      body: JSON.stringify({ task_ids: ["a", "b", "c"] }),
+    });
+
+    assert.deepEqual(await res.json(), { expected: 3, delivered: 2, lost: ["c"], duplicated: ["b"] });
+
+    await fetch(`${base}/_reset`, { method: "POST" });
+    assert.equal((await (await fetch(`${base}/_stats`)).json()).deliveries, 0);
+  });
+});
+
+test("reports lag, retries, lost and duplicated expected tasks", async () => {
+  await withReceiver({}, async (base) => {
+    const scheduledAt = new Date(Date.now() - 1000).toISOString();
+    const tasks = ["t1", "t2", "t3"].map((id) => ({ id, kind: "delayed", scheduled_at: scheduledAt }));
+    await fetch(`${base}/_expect`, { method: "POST", body: JSON.stringify({ tasks }) });
+
+    const body = (id) => JSON.stringify({ correlation_id: id });
+    await deliver(base, "?status=500", { body: body("t1"), executionId: "e1" });
+    await deliver(base, "", { body: body("t1"), executionId: "e2" });
+    await deliver(base, "", { body: body("t2"), executionId: "e3" });
+    await deliver(base, "", { body: body("t2"), executionId: "e3" });
+
+    const report = await (await fetch(`${base}/_report`)).json();
+    assert.deepEqual(
+      { ...report, tasks: undefined },
+      { expected: 3, delivered: 2, lost: 1, lost_ids: ["t3"], duplicated: 1, retries: 1, tasks: undefined },
+    );
+
+    const [kind, lag, failed, successes] = report.tasks[0];
+    assert.deepEqual([kind, failed, successes], ["delayed", 1, 1]);
+    assert.ok(lag >= 1000 && lag < 5000);
+  });
+});
+
+test("reports overlapping and out-of-order deliveries per stream", async () => {
+  await withReceiver({}, async (base) => {
+    const body = (sequence) => JSON.stringify({ sender: "vu-1", sequence });
+
+    await Promise.all([
+      deliver(base, "?stream=q&delay=100", { body: body(1) }),
+      deliver(base, "?stream=q&delay=100", { body: body(2) }),
+    ]);
+    await deliver(base, "?stream=q", { body: body(0) });
+    await deliver(base, "?stream=other", { body: body(0) });
+
+    const { data } = await (await fetch(`${base}/_streams`)).json();
+    assert.deepEqual(data.q, { deliveries: 3, succeeded: 3, overlaps: 1, out_of_order: 1 });
+    assert.deepEqual(data.other, { deliveries: 1, succeeded: 1, overlaps: 0, out_of_order: 0 });
+  });
+});